@@ -16,7 +16,7 @@ import { Login, Register, VerifyOtp, ForgotPassword, ResetPassword } from './pag
 import { Home } from './pages/home';
 
 // User Pages
-import { Dashboard, Profile, Notifications, LicenseUpload, Reviews, Settings, TripHistory, CarbonReport, EmergencyContacts, CompleteProfile, DocumentUpload } from './pages/user';
+import { Dashboard, Profile, Notifications, LicenseUpload, Reviews, Settings, TripHistory, CarbonReport, EmergencyContacts, CompleteProfile, DocumentUpload, Wallet, Earnings } from './pages/user';
 
 // Rides Pages
 import { PostRide, SearchRides, RideDetails, MyRides, EditRide } from './pages/rides';
@@ -28,10 +28,10 @@ import { MyBookings, BookingDetails, Payment, RateBooking, PaymentSuccess, Payme
 import { Chat } from './pages/chat';
 
 // Tracking Pages
-import { LiveTracking, Safety, DriverTracking } from './pages/tracking';
+import { LiveTracking, Safety, DriverTracking, SharedTrip } from './pages/tracking';
 
 // Admin Pages
-import { AdminDashboard, AdminUsers, AdminUserDetails, AdminRides, AdminRideDetails, AdminVerifications, AdminBookings, AdminBookingDetails, AdminSafety } from './pages/admin';
+import { AdminDashboard, AdminUsers, AdminUserDetails, AdminRides, AdminRideDetails, AdminRideReplay, AdminVerifications, AdminBookings, AdminBookingDetails, AdminSafety, AdminPayouts, AdminPromoCodes } from './pages/admin';
 
 // Protected Route Components
 import ProtectedRoute from './components/ProtectedRoute';
@@ -56,6 +56,7 @@ function App() {
                 <Route path="/verify-otp" element={<VerifyOtp />} />
                 <Route path="/forgot-password" element={<ForgotPassword />} />
                 <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/share/:token" element={<SharedTrip />} />
                 
                 {/* User Protected Routes */}
                 <Route path="/dashboard" element={
@@ -198,6 +199,20 @@ function App() {
                   </Layout>
                 </ProtectedRoute>
               } />
+              <Route path="/wallet" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Wallet />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/earnings" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Earnings />
+                  </Layout>
+                </ProtectedRoute>
+              } />
               <Route path="/emergency-contacts" element={
                 <ProtectedRoute>
                   <Layout>
@@ -304,6 +319,13 @@ function App() {
                   </AdminLayout>
                 </AdminRoute>
               } />
+              <Route path="/admin/rides/:id/replay" element={
+                <AdminRoute>
+                  <AdminLayout>
+                    <AdminRideReplay />
+                  </AdminLayout>
+                </AdminRoute>
+              } />
               <Route path="/admin/licenses" element={
                 <AdminRoute>
                   <AdminLayout>
@@ -339,6 +361,20 @@ function App() {
                   </AdminLayout>
                 </AdminRoute>
               } />
+              <Route path="/admin/payouts" element={
+                <AdminRoute>
+                  <AdminLayout>
+                    <AdminPayouts />
+                  </AdminLayout>
+                </AdminRoute>
+              } />
+              <Route path="/admin/promo-codes" element={
+                <AdminRoute>
+                  <AdminLayout>
+                    <AdminPromoCodes />
+                  </AdminLayout>
+                </AdminRoute>
+              } />
               
               {/* Fallback */}
               <Route path="*" element={<Navigate to="/" replace />} />
@@ -5,6 +5,8 @@ import userService from '../../services/userService';
  * Contribution Calculator Component
  * BlaBlaCar-style suggested price calculator for cost sharing
  * Now with interactive price slider!
+ * Pass origin/destination ([lng, lat]) and departure to also show a
+ * demand-based recommendation from past rides on the same corridor
  */
 const ContributionCalculator = ({ 
   distanceKm = 0, 
@@ -13,13 +15,17 @@ const ContributionCalculator = ({
   showBreakdown = true,
   showPassengerSelector = false,
   allowSlider = true,
-  initialPrice = null
+  initialPrice = null,
+  origin = null,
+  destination = null,
+  departure = null
 }) => {
   const [calculation, setCalculation] = useState(null);
   const [loading, setLoading] = useState(false);
   const [customPassengers, setCustomPassengers] = useState(passengers);
   const [sliderValue, setSliderValue] = useState(null);
   const [userAdjustedSlider, setUserAdjustedSlider] = useState(false);
+  const [recommendation, setRecommendation] = useState(null);
 
   // Update customPassengers when prop changes
   useEffect(() => {
@@ -41,6 +47,15 @@ const ContributionCalculator = ({
     }
   }, [distanceKm, customPassengers]);
 
+  // Demand-based recommendation for the corridor (optional - needs both ends)
+  useEffect(() => {
+    if (distanceKm > 0 && origin?.length === 2 && destination?.length === 2) {
+      fetchRecommendation();
+    } else {
+      setRecommendation(null);
+    }
+  }, [distanceKm, customPassengers, origin?.[0], origin?.[1], destination?.[0], destination?.[1], departure]);
+
   // Update slider to suggested price when calculation is ready (and user hasn't manually adjusted)
   useEffect(() => {
     if (calculation?.suggestedPrice && !userAdjustedSlider) {
@@ -98,6 +113,29 @@ const ContributionCalculator = ({
     }
   };
 
+  const fetchRecommendation = async () => {
+    try {
+      const response = await userService.getRecommendedPrice({
+        distanceKm,
+        seats: customPassengers,
+        originLng: origin[0],
+        originLat: origin[1],
+        destLng: destination[0],
+        destLat: destination[1],
+        departure: departure || undefined
+      });
+      setRecommendation(response.pricing);
+    } catch (error) {
+      console.error('Failed to fetch price recommendation:', error);
+      setRecommendation(null);
+    }
+  };
+
+  const applyRecommendation = () => {
+    setSliderValue(recommendation.recommended);
+    setUserAdjustedSlider(true);
+  };
+
   const handleSliderChange = (e) => {
     const value = parseInt(e.target.value);
     setSliderValue(value);
@@ -136,8 +174,12 @@ const ContributionCalculator = ({
     carbonSaved
   } = calculation;
 
-  const minPrice = priceRange?.min || Math.round(suggestedPrice * 0.8);
-  const maxPrice = priceRange?.max || Math.round(suggestedPrice * 1.3);
+  // Keep the recommendation reachable on the slider; the cost cap stays the ceiling
+  const minPrice = Math.min(priceRange?.min || Math.round(suggestedPrice * 0.8), recommendation?.band?.low || Infinity);
+  const maxPrice = Math.max(
+    priceRange?.max || Math.round(suggestedPrice * 1.3),
+    Math.min(recommendation?.band?.high || 0, calculation.costCap || Infinity)
+  );
   const currentPrice = sliderValue || suggestedPrice;
 
   // Calculate slider percentage for gradient
@@ -164,6 +206,56 @@ const ContributionCalculator = ({
         </p>
       </div>
 
+      {/* Demand-based recommendation from past rides on this corridor */}
+      {recommendation?.basis === 'HISTORY' && (
+        <div className="bg-white rounded-lg p-3 mb-4 border border-blue-200">
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <p className="text-sm font-semibold text-gray-800">
+                <i className="fas fa-chart-line text-blue-500 mr-1"></i>
+                Recommended ₹{recommendation.recommended}
+                <span className={`ml-2 text-xs px-2 py-0.5 rounded ${
+                  recommendation.confidence === 'HIGH' ? 'bg-green-100 text-green-700' :
+                  recommendation.confidence === 'MEDIUM' ? 'bg-yellow-100 text-yellow-700' :
+                  'bg-gray-100 text-gray-600'
+                }`}>
+                  {recommendation.confidence.toLowerCase()} confidence
+                </span>
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                Similar rides sold at ₹{recommendation.band.low}–₹{recommendation.band.high} ·
+                based on {recommendation.sampleSize} past ride{recommendation.sampleSize === 1 ? '' : 's'} on this route
+              </p>
+            </div>
+            {allowSlider && currentPrice !== recommendation.recommended && (
+              <button
+                type="button"
+                onClick={applyRecommendation}
+                className="text-xs px-3 py-1.5 bg-blue-500 hover:bg-blue-600 text-white rounded-lg whitespace-nowrap"
+              >
+                Use ₹{recommendation.recommended}
+              </button>
+            )}
+          </div>
+          {recommendation.factors?.some(f => f.rides > 0) && (
+            <ul className="mt-2 space-y-0.5 text-xs text-gray-500">
+              {recommendation.factors.filter(f => f.rides > 0).map(f => (
+                <li key={f.factor}>
+                  {f.label}: {Math.round(f.fillRate * 100)}% of seats filled
+                  {recommendation.corridor?.fillRate !== null && ` (route average ${Math.round(recommendation.corridor.fillRate * 100)}%)`}
+                </li>
+              ))}
+            </ul>
+          )}
+          {recommendation.capped && (
+            <p className="text-xs text-orange-600 mt-2">
+              <i className="fas fa-info-circle mr-1"></i>
+              Capped at ₹{recommendation.costCap} - a full car must not earn more than the trip costs.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Interactive Price Slider */}
       {allowSlider && (
         <div className="mb-4 px-2">
@@ -284,7 +376,7 @@ const ContributionCalculator = ({
       {/* Info Note */}
       <p className="text-xs text-gray-400 text-center mt-3">
         <i className="fas fa-lightbulb mr-1"></i> This is a cost-sharing model, not a commercial fare. 
-        Drivers should only recover their costs.
+        Drivers should only recover their costs{calculation.costCap ? `, so seats are capped at ₹${calculation.costCap}` : ''}.
       </p>
     </div>
   );
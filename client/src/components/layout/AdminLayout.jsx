@@ -27,6 +27,8 @@ const AdminLayout = ({ children }) => {
     { path: '/admin/rides', icon: 'fa-car-side', label: 'Rides', description: 'All rides' },
     { path: '/admin/bookings', icon: 'fa-clipboard-list', label: 'Bookings', description: 'All bookings' },
     { path: '/admin/safety', icon: 'fa-exclamation-triangle', label: 'Safety', description: 'Emergency alerts' },
+    { path: '/admin/payouts', icon: 'fa-money-check-alt', label: 'Payouts', description: 'Driver payouts' },
+    { path: '/admin/promo-codes', icon: 'fa-tags', label: 'Promo Codes', description: 'Discounts & referrals' },
   ];
 
   const isActive = (path) => {
@@ -207,6 +207,16 @@ function Navbar({ adminTheme = false }) {
                           <i className="fas fa-user w-5 text-gray-400" aria-hidden="true" />
                           <span className="ml-2">Profile</span>
                         </Link>
+                        <Link to="/wallet" className="flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100">
+                          <i className="fas fa-wallet w-5 text-gray-400" aria-hidden="true" />
+                          <span className="ml-2">Wallet</span>
+                        </Link>
+                        {user.role === 'RIDER' && (
+                          <Link to="/earnings" className="flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100">
+                            <i className="fas fa-coins w-5 text-gray-400" aria-hidden="true" />
+                            <span className="ml-2">Earnings</span>
+                          </Link>
+                        )}
                         <Link to="/notifications" className="flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100">
                           <i className="fas fa-bell w-5 text-gray-400" aria-hidden="true" />
                           <span className="ml-2">Notifications</span>
@@ -347,6 +357,14 @@ function Navbar({ adminTheme = false }) {
               <MobileNavLink to="/profile" icon="fa-user" adminTheme={isAdminRoute || adminTheme}>
                 Profile
               </MobileNavLink>
+              <MobileNavLink to="/wallet" icon="fa-wallet" adminTheme={isAdminRoute || adminTheme}>
+                Wallet
+              </MobileNavLink>
+              {user?.role === 'RIDER' && (
+                <MobileNavLink to="/earnings" icon="fa-coins" adminTheme={isAdminRoute || adminTheme}>
+                  Earnings
+                </MobileNavLink>
+              )}
               <MobileNavLink to="/notifications" icon="fa-bell" adminTheme={isAdminRoute || adminTheme}>
                 Notifications
               </MobileNavLink>
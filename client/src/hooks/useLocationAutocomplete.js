@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import locationService from '../services/locationService';
 
 const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
 
@@ -6,6 +7,18 @@ const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
 const searchCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
+// Backend suggestion → the Nominatim result shape LocationInput renders
+const toNominatimResult = (suggestion) => ({
+  display_name: suggestion.label,
+  lat: String(suggestion.value.coordinates[1]),
+  lon: String(suggestion.value.coordinates[0]),
+  type: suggestion.value.type,
+  address: {
+    city: suggestion.value.city,
+    state: suggestion.value.state
+  }
+});
+
 // Rate limiting - Nominatim allows 1 request per second
 let lastRequestTime = 0;
 const MIN_REQUEST_INTERVAL = 1100; // 1.1 seconds to be safe
@@ -36,23 +49,45 @@ const useLocationAutocomplete = (initialValue = '') => {
       return;
     }
 
-    // Rate limiting - wait if needed
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-      const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
     // Cancel previous request
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
-    abortControllerRef.current = new AbortController();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
 
     setLoading(true);
     setError(null);
 
+    // Prefer the backend, which serves repeat searches from the shared geo cache
+    if (retryCount === 0) {
+      try {
+        const data = await locationService.autocomplete(searchQuery, { signal: abortController.signal });
+        if (data.success) {
+          const results = data.suggestions.map(toNominatimResult);
+          searchCache.set(cacheKey, { data: results, timestamp: Date.now() });
+          setSuggestions(results);
+          if (results.length === 0) {
+            setError('No locations found. Try a different spelling or add more details.');
+          }
+          setLoading(false);
+          return;
+        }
+      } catch (err) {
+        if (abortController.signal.aborted) return;
+        console.warn('Backend autocomplete unavailable, searching Nominatim directly');
+      }
+    }
+
+    // Rate limiting - wait if needed
+    const now = Date.now();
+    const timeSinceLastRequest = now - lastRequestTime;
+    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
+      const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+    if (abortController.signal.aborted) return;
+
     try {
       lastRequestTime = Date.now();
       
@@ -68,7 +103,7 @@ const useLocationAutocomplete = (initialValue = '') => {
             'User-Agent': 'LANE-Carpool-App (carpooling app)',
             'Accept': 'application/json'
           },
-          signal: abortControllerRef.current.signal
+          signal: abortController.signal
         }
       );
       
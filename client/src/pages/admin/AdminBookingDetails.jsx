@@ -12,6 +12,7 @@ const AdminBookingDetails = () => {
   const [success, setSuccess] = useState('');
   const [refundAmount, setRefundAmount] = useState('');
   const [showRefundModal, setShowRefundModal] = useState(false);
+  const [refundQuote, setRefundQuote] = useState(null);
 
   useEffect(() => {
     fetchBookingDetails();
@@ -32,6 +33,17 @@ const AdminBookingDetails = () => {
     }
   };
 
+  const openRefundModal = async () => {
+    setShowRefundModal(true);
+    try {
+      const response = await adminService.getBookingRefundQuote(id);
+      setRefundQuote(response.quote);
+      setRefundAmount(response.quote.refundAmount.toString());
+    } catch (err) {
+      setRefundQuote(null);
+    }
+  };
+
   const handleRefund = async () => {
     if (!refundAmount || parseFloat(refundAmount) <= 0) {
       setError('Please enter a valid refund amount');
@@ -336,7 +348,7 @@ const AdminBookingDetails = () => {
         <div className="flex flex-wrap gap-3">
           {booking.payment?.status !== 'REFUNDED' && booking.status !== 'PENDING' && (
             <button
-              onClick={() => setShowRefundModal(true)}
+              onClick={openRefundModal}
               className="px-6 py-3 bg-blue-500 text-white rounded-lg font-semibold hover:bg-blue-600 transition"
             >
               <i className="fas fa-undo mr-2"></i>Process Refund
@@ -350,6 +362,12 @@ const AdminBookingDetails = () => {
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
           <div className="bg-white rounded-2xl p-8 max-w-md w-full mx-4">
             <h2 className="text-xl font-bold text-gray-900 mb-4">Process Refund</h2>
+            {refundQuote && (
+              <div className="bg-blue-50 rounded-lg p-3 mb-4 text-sm text-blue-800">
+                <p className="font-semibold">Policy refund: ₹{refundQuote.refundAmount}</p>
+                <p>{refundQuote.description}</p>
+              </div>
+            )}
             <p className="text-gray-600 mb-4">Enter the amount to refund:</p>
             <div className="relative mb-4">
               <span className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-500">₹</span>
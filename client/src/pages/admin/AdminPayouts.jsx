@@ -0,0 +1,376 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import adminService from '../../services/adminService';
+import { Alert, Button, Modal } from '../../components/common';
+
+const BATCH_STATUS = {
+  PENDING_APPROVAL: { label: 'Awaiting approval', className: 'bg-yellow-100 text-yellow-800' },
+  APPROVED: { label: 'Approved', className: 'bg-blue-100 text-blue-800' },
+  SETTLED: { label: 'Settled', className: 'bg-emerald-100 text-emerald-800' },
+  CANCELLED: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' }
+};
+
+const LINE_STATUS = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  PAID: 'bg-emerald-100 text-emerald-800',
+  FAILED: 'bg-red-100 text-red-800'
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '-');
+const riderName = (rider) => `${rider?.profile?.firstName || 'Unknown'} ${rider?.profile?.lastName || ''}`.trim();
+
+const AdminPayouts = () => {
+  const [batches, setBatches] = useState([]);
+  const [schedule, setSchedule] = useState({});
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [settleOpen, setSettleOpen] = useState(false);
+  const [results, setResults] = useState({});
+
+  useEffect(() => {
+    loadBatches();
+  }, []);
+
+  const loadBatches = async () => {
+    try {
+      const response = await adminService.getPayoutBatches();
+      if (response.success) {
+        setBatches(response.batches || []);
+        setSchedule(response.schedule || {});
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load payout batches');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openBatch = async (batchId) => {
+    try {
+      const response = await adminService.getPayoutBatch(batchId);
+      setSelected(response.batch);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load batch');
+    }
+  };
+
+  // Run an action, then refresh the list and the open batch
+  const runAction = async (action, fallbackError) => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await action();
+      setSuccess(response.message);
+      await loadBatches();
+      if (response.batch) await openBatch(response.batch._id);
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackError);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleGenerate = () => runAction(() => adminService.generatePayoutBatch(), 'Failed to generate batch');
+
+  const handleApprove = () => runAction(() => adminService.approvePayoutBatch(selected._id), 'Failed to approve batch');
+
+  const handleCancel = () => {
+    const reason = window.prompt('Why is this batch being cancelled?');
+    if (reason === null) return;
+    runAction(() => adminService.cancelPayoutBatch(selected._id, reason), 'Failed to cancel batch');
+  };
+
+  const handleExport = async () => {
+    setWorking(true);
+    try {
+      const blob = await adminService.exportPayoutBatch(selected._id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${selected.reference}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+      await openBatch(selected._id);
+    } catch (err) {
+      setError('Failed to export batch');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const openSettle = () => {
+    const initial = {};
+    selected.payouts.forEach((payout) => {
+      initial[payout._id] = { status: 'PAID', transactionId: '', reason: '' };
+    });
+    setResults(initial);
+    setSettleOpen(true);
+  };
+
+  const updateResult = (payoutId, changes) => {
+    setResults({ ...results, [payoutId]: { ...results[payoutId], ...changes } });
+  };
+
+  const handleSettle = async () => {
+    const payload = Object.entries(results).map(([payoutId, result]) => ({
+      payoutId,
+      status: result.status,
+      transactionId: result.transactionId || undefined,
+      reason: result.reason || undefined
+    }));
+    setSettleOpen(false);
+    await runAction(() => adminService.settlePayoutBatch(selected._id, payload), 'Failed to settle batch');
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  const awaitingApproval = batches.some((batch) => batch.status === 'PENDING_APPROVAL');
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800 flex items-center">
+            💸 Driver Payouts
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Generated every {schedule.intervalDays || 7} days for trips older than {schedule.holdDays || 2} days ·
+            minimum {formatAmount(schedule.minAmount)}
+          </p>
+        </div>
+        <Button onClick={handleGenerate} loading={working} disabled={awaitingApproval}>
+          <i className="fas fa-plus mr-2"></i>Generate Batch Now
+        </Button>
+      </div>
+
+      {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} className="mb-6" onClose={() => setSuccess('')} />}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Batches */}
+        <div className="bg-white rounded-xl shadow-md p-4">
+          <h2 className="font-semibold text-gray-800 mb-3">Batches</h2>
+          {batches.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">No payout batches yet</p>
+          ) : (
+            <ul className="space-y-2">
+              {batches.map((batch) => {
+                const status = BATCH_STATUS[batch.status];
+                return (
+                  <li key={batch._id}>
+                    <button
+                      onClick={() => openBatch(batch._id)}
+                      className={`w-full text-left p-3 rounded-lg border transition ${
+                        selected?._id === batch._id ? 'border-indigo-500 bg-indigo-50' : 'border-gray-100 hover:bg-gray-50'
+                      }`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="font-mono text-sm text-gray-800">{batch.reference}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.className}`}>{status.label}</span>
+                      </div>
+                      <p className="text-sm text-gray-600 mt-1">
+                        {formatAmount(batch.totals?.net)} · {batch.totals?.drivers || 0} drivers
+                      </p>
+                      <p className="text-xs text-gray-400">{formatDate(batch.createdAt)}</p>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        {/* Batch details */}
+        <div className="lg:col-span-2">
+          {!selected ? (
+            <div className="bg-white rounded-2xl shadow-lg p-12 text-center">
+              <div className="text-6xl text-gray-300 mb-4"><i className="fas fa-money-check-alt"></i></div>
+              <p className="text-gray-500">Select a batch to review it</p>
+            </div>
+          ) : (
+            <div className="bg-white rounded-xl shadow-md p-6">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4 mb-6">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-800 font-mono">{selected.reference}</h2>
+                  <p className="text-sm text-gray-500">
+                    Trips finished before {formatDate(selected.periodEnd)} ·
+                    {selected.generatedBy === 'SCHEDULER' ? ' scheduled' : ' generated by admin'}
+                  </p>
+                  {selected.cancellationReason && (
+                    <p className="text-sm text-red-600 mt-1">Cancelled: {selected.cancellationReason}</p>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {selected.status === 'PENDING_APPROVAL' && (
+                    <Button size="sm" onClick={handleApprove} loading={working}>
+                      <i className="fas fa-check mr-1"></i>Approve
+                    </Button>
+                  )}
+                  {['APPROVED', 'SETTLED'].includes(selected.status) && (
+                    <Button size="sm" variant="outline" onClick={handleExport} disabled={working}>
+                      <i className="fas fa-file-csv mr-1"></i>Bank CSV
+                    </Button>
+                  )}
+                  {selected.status === 'APPROVED' && (
+                    <Button size="sm" onClick={openSettle} disabled={working}>
+                      <i className="fas fa-check-double mr-1"></i>Confirm Transfer
+                    </Button>
+                  )}
+                  {['PENDING_APPROVAL', 'APPROVED'].includes(selected.status) && (
+                    <Button size="sm" variant="danger" onClick={handleCancel} disabled={working}>
+                      Cancel
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 p-4 bg-gray-50 rounded-lg mb-6">
+                <div>
+                  <p className="text-gray-500 text-sm">Gross earnings</p>
+                  <p className="font-semibold text-gray-800">{formatAmount(selected.totals?.gross)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500 text-sm">Cash commission netted</p>
+                  <p className="font-semibold text-gray-800">{formatAmount(selected.totals?.commissionDues)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500 text-sm">Net payout</p>
+                  <p className="font-bold text-emerald-600 text-lg">{formatAmount(selected.totals?.net)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500 text-sm">Exported</p>
+                  <p className="font-semibold text-gray-800">
+                    {selected.exportCount ? `${selected.exportCount}× · ${formatDate(selected.exportedAt)}` : 'Not yet'}
+                  </p>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-100">
+                      <th className="py-2 pr-4 font-medium">Driver</th>
+                      <th className="py-2 pr-4 font-medium">Destination</th>
+                      <th className="py-2 pr-4 font-medium text-right">Gross</th>
+                      <th className="py-2 pr-4 font-medium text-right">Dues</th>
+                      <th className="py-2 pr-4 font-medium text-right">Net</th>
+                      <th className="py-2 font-medium">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {selected.payouts.map((payout) => (
+                      <tr key={payout._id}>
+                        <td className="py-3 pr-4">
+                          <Link to={`/admin/users/${payout.rider?._id}`} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                            {riderName(payout.rider)}
+                          </Link>
+                          <p className="text-xs text-gray-400">{payout.bookings.length} bookings</p>
+                        </td>
+                        <td className="py-3 pr-4 text-gray-600">
+                          {payout.destination?.method === 'UPI' ? (
+                            <span>UPI · {payout.destination.upiId}</span>
+                          ) : (
+                            <span>
+                              {payout.destination?.accountNumber} · {payout.destination?.ifsc}
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-3 pr-4 text-right">{formatAmount(payout.grossEarnings)}</td>
+                        <td className="py-3 pr-4 text-right text-gray-500">{formatAmount(payout.commissionDues)}</td>
+                        <td className="py-3 pr-4 text-right font-semibold">{formatAmount(payout.netAmount)}</td>
+                        <td className="py-3">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${LINE_STATUS[payout.status]}`}>
+                            {payout.status}
+                          </span>
+                          {payout.failureReason && <p className="text-xs text-red-500 mt-1">{payout.failureReason}</p>}
+                          {payout.status === 'PAID' && payout.transactionId && (
+                            <p className="text-xs text-gray-400 font-mono mt-1">{payout.transactionId}</p>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {selected.skipped?.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="font-semibold text-gray-800 mb-2">Not included ({selected.skipped.length})</h3>
+                  <ul className="divide-y divide-gray-100 text-sm">
+                    {selected.skipped.map((skip) => (
+                      <li key={skip._id} className="py-2 flex items-center justify-between">
+                        <span className="text-gray-700">{riderName(skip.rider)}</span>
+                        <span className="text-gray-500">{formatAmount(skip.grossEarnings)} · {skip.reason}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Confirm transfer results */}
+      <Modal isOpen={settleOpen} onClose={() => setSettleOpen(false)} title="Confirm Transfer" size="lg">
+        <p className="text-sm text-gray-600 mb-4">
+          Enter the bank reference (UTR) for each transfer and mark any that bounced. Failed payouts go back into the next batch.
+        </p>
+        <div className="space-y-3 max-h-96 overflow-y-auto">
+          {selected?.payouts.map((payout) => {
+            const result = results[payout._id] || {};
+            return (
+              <div key={payout._id} className="p-3 border border-gray-100 rounded-lg">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="font-medium text-gray-800">
+                    {riderName(payout.rider)} · {formatAmount(payout.netAmount)}
+                  </span>
+                  <select
+                    value={result.status}
+                    onChange={(e) => updateResult(payout._id, { status: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="PAID">Paid</option>
+                    <option value="FAILED">Failed</option>
+                  </select>
+                </div>
+                {result.status === 'FAILED' ? (
+                  <input
+                    value={result.reason}
+                    onChange={(e) => updateResult(payout._id, { reason: e.target.value })}
+                    placeholder="Failure reason"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                ) : (
+                  <input
+                    value={result.transactionId}
+                    onChange={(e) => updateResult(payout._id, { transactionId: e.target.value })}
+                    placeholder="UTR / UPI reference (optional)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <div className="flex justify-end gap-2 mt-6">
+          <Button variant="outline" onClick={() => setSettleOpen(false)}>Back</Button>
+          <Button onClick={handleSettle} loading={working}>Settle Batch</Button>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminPayouts;
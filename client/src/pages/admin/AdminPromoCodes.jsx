@@ -0,0 +1,496 @@
+import { useState, useEffect } from 'react';
+import adminService from '../../services/adminService';
+import { Alert, Button, Modal, LocationInput } from '../../components/common';
+
+const FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'active', label: 'Active' },
+  { value: 'inactive', label: 'Inactive' }
+];
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: 'PERCENT',
+  value: '',
+  maxDiscount: '',
+  minFare: '',
+  firstRideOnly: false,
+  perUserLimit: '1',
+  totalLimit: '',
+  validFrom: '',
+  validUntil: '',
+  corridorStart: null,
+  corridorDestination: null,
+  radiusKm: '5'
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' }) : '-');
+// <input type="datetime-local"> wants local time without a zone
+const toInputDate = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const describeDiscount = (promo) => (
+  promo.discountType === 'PERCENT'
+    ? `${promo.value}% off${promo.maxDiscount ? ` (up to ${formatAmount(promo.maxDiscount)})` : ''}`
+    : `${formatAmount(promo.value)} off`
+);
+
+const promoStatus = (promo) => {
+  const now = new Date();
+  if (!promo.active) return { label: 'Inactive', className: 'bg-gray-100 text-gray-600' };
+  if (promo.validUntil && new Date(promo.validUntil) < now) return { label: 'Expired', className: 'bg-red-100 text-red-700' };
+  if (promo.validFrom && new Date(promo.validFrom) > now) return { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' };
+  if (promo.totalLimit && promo.usage?.redemptions >= promo.totalLimit) return { label: 'Used up', className: 'bg-yellow-100 text-yellow-800' };
+  return { label: 'Active', className: 'bg-emerald-100 text-emerald-800' };
+};
+
+const AdminPromoCodes = () => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [referralRewards, setReferralRewards] = useState({});
+  const [filter, setFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [editing, setEditing] = useState(null); // null = closed, {} = new, promo = edit
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+
+  useEffect(() => {
+    loadPromoCodes();
+  }, [filter]);
+
+  const loadPromoCodes = async () => {
+    try {
+      const response = await adminService.getPromoCodes({ status: filter || undefined, search: search || undefined });
+      if (response.success) {
+        setPromoCodes(response.promoCodes || []);
+        setReferralRewards(response.referralRewards || {});
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load promo codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (promo) => {
+    setFormError('');
+    setEditing(promo || {});
+    if (!promo) {
+      setForm(EMPTY_FORM);
+      return;
+    }
+    const corridor = promo.corridor?.start?.coordinates?.length ? promo.corridor : null;
+    setForm({
+      code: promo.code,
+      description: promo.description || '',
+      discountType: promo.discountType,
+      value: String(promo.value),
+      maxDiscount: promo.maxDiscount ? String(promo.maxDiscount) : '',
+      minFare: promo.minFare ? String(promo.minFare) : '',
+      firstRideOnly: !!promo.firstRideOnly,
+      perUserLimit: String(promo.perUserLimit || 1),
+      totalLimit: promo.totalLimit ? String(promo.totalLimit) : '',
+      validFrom: toInputDate(promo.validFrom),
+      validUntil: toInputDate(promo.validUntil),
+      corridorStart: corridor ? { address: corridor.start.name, coordinates: corridor.start.coordinates } : null,
+      corridorDestination: corridor ? { address: corridor.destination.name, coordinates: corridor.destination.coordinates } : null,
+      radiusKm: corridor ? String(corridor.radiusKm) : '5'
+    });
+  };
+
+  const updateForm = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const buildPayload = () => {
+    if (!!form.corridorStart !== !!form.corridorDestination) {
+      throw new Error('Pick both ends of the corridor, or neither');
+    }
+    const place = (location) => ({ name: location.city || location.address, coordinates: location.coordinates });
+
+    return {
+      code: editing._id ? undefined : form.code.trim(),
+      description: form.description.trim(),
+      discountType: form.discountType,
+      value: form.value,
+      maxDiscount: form.discountType === 'PERCENT' ? form.maxDiscount || null : null,
+      minFare: form.minFare || 0,
+      firstRideOnly: form.firstRideOnly,
+      perUserLimit: form.perUserLimit || 1,
+      totalLimit: form.totalLimit || null,
+      validFrom: form.validFrom ? new Date(form.validFrom).toISOString() : null,
+      validUntil: form.validUntil ? new Date(form.validUntil).toISOString() : null,
+      corridor: form.corridorStart
+        ? { start: place(form.corridorStart), destination: place(form.corridorDestination), radiusKm: form.radiusKm || 5 }
+        : null
+    };
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    setSaving(true);
+    try {
+      const payload = buildPayload();
+      const response = editing._id
+        ? await adminService.updatePromoCode(editing._id, payload)
+        : await adminService.createPromoCode(payload);
+      setSuccess(response.message);
+      setEditing(null);
+      await loadPromoCodes();
+    } catch (err) {
+      setFormError(err.response?.data?.message || err.message || 'Failed to save promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (promo) => {
+    setError('');
+    try {
+      const response = await adminService.updatePromoCode(promo._id, { active: !promo.active });
+      setSuccess(response.message);
+      await loadPromoCodes();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update promo code');
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadPromoCodes();
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800 flex items-center">
+            🏷️ Promo Codes
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Referrals: {formatAmount(referralRewards.referrer)} to the referrer and {formatAmount(referralRewards.referee)} to
+            the new user after their first completed ride
+          </p>
+        </div>
+        <Button onClick={() => openForm(null)}>
+          <i className="fas fa-plus mr-2"></i>New Promo Code
+        </Button>
+      </div>
+
+      {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} className="mb-6" onClose={() => setSuccess('')} />}
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-md p-4 mb-6 flex flex-col md:flex-row md:items-center gap-3">
+        <div className="flex gap-2">
+          {FILTERS.map((f) => (
+            <button
+              key={f.value}
+              onClick={() => setFilter(f.value)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition ${
+                filter === f.value ? 'bg-indigo-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleSearch} className="flex gap-2 md:ml-auto">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search code"
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500"
+          />
+          <Button type="submit" variant="secondary" size="sm">Search</Button>
+        </form>
+      </div>
+
+      {/* Codes */}
+      <div className="bg-white rounded-xl shadow-md overflow-x-auto">
+        {promoCodes.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-12">No promo codes yet</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rules</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Valid</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Used</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {promoCodes.map((promo) => {
+                const status = promoStatus(promo);
+                return (
+                  <tr key={promo._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <p className="font-mono font-semibold text-gray-800">{promo.code}</p>
+                      {promo.description && <p className="text-xs text-gray-500">{promo.description}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{describeDiscount(promo)}</td>
+                    <td className="px-4 py-3 text-xs text-gray-600 space-y-0.5">
+                      {promo.minFare > 0 && <p>Fare from {formatAmount(promo.minFare)}</p>}
+                      {promo.firstRideOnly && <p>First ride only</p>}
+                      <p>{promo.perUserLimit || 1} per user{promo.totalLimit ? `, ${promo.totalLimit} total` : ''}</p>
+                      {promo.corridor?.start?.name && (
+                        <p>
+                          <i className="fas fa-route mr-1"></i>
+                          {promo.corridor.start.name} → {promo.corridor.destination.name} ({promo.corridor.radiusKm} km)
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-600">
+                      {formatDate(promo.validFrom)} – {promo.validUntil ? formatDate(promo.validUntil) : 'no end'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <p>{promo.usage?.redemptions || 0}{promo.totalLimit ? ` / ${promo.totalLimit}` : ''}</p>
+                      <p className="text-xs text-gray-500">{formatAmount(promo.usage?.discountGiven)} given</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.className}`}>{status.label}</span>
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <button onClick={() => openForm(promo)} className="text-indigo-600 hover:text-indigo-800 text-sm mr-3">
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => toggleActive(promo)}
+                        className={`text-sm ${promo.active ? 'text-red-600 hover:text-red-800' : 'text-emerald-600 hover:text-emerald-800'}`}
+                      >
+                        {promo.active ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Create / edit */}
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing?._id ? `Edit ${editing.code}` : 'New Promo Code'}
+        size="lg"
+      >
+        <form onSubmit={handleSave} className="space-y-4">
+          {formError && <Alert type="error" message={formError} />}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+              <input
+                type="text"
+                value={form.code}
+                onChange={(e) => updateForm({ code: e.target.value.toUpperCase() })}
+                disabled={!!editing?._id}
+                required
+                maxLength={20}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono uppercase disabled:bg-gray-100"
+                placeholder="MONSOON50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => updateForm({ description: e.target.value })}
+                maxLength={200}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                placeholder="Shown to passengers"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={form.discountType}
+                onChange={(e) => updateForm({ discountType: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="PERCENT">Percent off</option>
+                <option value="FLAT">Flat amount</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {form.discountType === 'PERCENT' ? 'Percent' : 'Amount (₹)'}
+              </label>
+              <input
+                type="number"
+                min="1"
+                max={form.discountType === 'PERCENT' ? 100 : undefined}
+                value={form.value}
+                onChange={(e) => updateForm({ value: e.target.value })}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Max discount (₹)</label>
+              <input
+                type="number"
+                min="1"
+                value={form.maxDiscount}
+                onChange={(e) => updateForm({ maxDiscount: e.target.value })}
+                disabled={form.discountType !== 'PERCENT'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+                placeholder="No cap"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Minimum fare (₹)</label>
+              <input
+                type="number"
+                min="0"
+                value={form.minFare}
+                onChange={(e) => updateForm({ minFare: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                placeholder="0"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Uses per user</label>
+              <input
+                type="number"
+                min="1"
+                value={form.perUserLimit}
+                onChange={(e) => updateForm({ perUserLimit: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Total uses</label>
+              <input
+                type="number"
+                min="1"
+                value={form.totalLimit}
+                onChange={(e) => updateForm({ totalLimit: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                placeholder="Unlimited"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+              <input
+                type="datetime-local"
+                value={form.validFrom}
+                onChange={(e) => updateForm({ validFrom: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+              <input
+                type="datetime-local"
+                value={form.validUntil}
+                onChange={(e) => updateForm({ validUntil: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.firstRideOnly}
+              onChange={(e) => updateForm({ firstRideOnly: e.target.checked })}
+              className="rounded text-indigo-500 focus:ring-indigo-500"
+            />
+            Only for a passenger's first ride
+          </label>
+
+          {/* Corridor */}
+          <div className="border-t pt-4">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-700">Corridor (optional)</h3>
+              {(form.corridorStart || form.corridorDestination) && (
+                <button
+                  type="button"
+                  onClick={() => updateForm({ corridorStart: null, corridorDestination: null })}
+                  className="text-xs text-red-600 hover:text-red-800"
+                >
+                  Remove corridor
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+              Limit the code to trips whose pickup and dropoff are near these two places.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <LocationInput
+                key={`start-${editing?._id || 'new'}`}
+                label="From"
+                placeholder="Corridor start"
+                icon="fa-map-marker-alt"
+                iconColor="text-green-600"
+                value={form.corridorStart}
+                onChange={(loc) => updateForm({ corridorStart: loc })}
+              />
+              <LocationInput
+                key={`destination-${editing?._id || 'new'}`}
+                label="To"
+                placeholder="Corridor end"
+                icon="fa-flag-checkered"
+                iconColor="text-red-600"
+                value={form.corridorDestination}
+                onChange={(loc) => updateForm({ corridorDestination: loc })}
+              />
+            </div>
+            <div className="mt-3 w-40">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Radius (km)</label>
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={form.radiusKm}
+                onChange={(e) => updateForm({ radiusKm: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-2">
+            <Button type="button" variant="secondary" onClick={() => setEditing(null)}>Cancel</Button>
+            <Button type="submit" loading={saving}>{editing?._id ? 'Save Changes' : 'Create Code'}</Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default AdminPromoCodes;
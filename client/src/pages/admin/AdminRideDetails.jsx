@@ -1,19 +1,37 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
 import adminService from '../../services/adminService';
 import { Alert } from '../../components/common';
 
+const DEVIATION_COLORS = { LOW: '#f59e0b', MEDIUM: '#f97316', HIGH: '#ef4444' };
+
+// Fit the map to the planned route and driven path
+const FitBounds = ({ points }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (points.length >= 2) {
+      map.fitBounds(L.latLngBounds(points), { padding: [30, 30] });
+    }
+  }, [points, map]);
+  return null;
+};
+
 const AdminRideDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [ride, setRide] = useState(null);
   const [bookings, setBookings] = useState([]);
+  const [path, setPath] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
   useEffect(() => {
     fetchRideDetails();
+    fetchRidePath();
   }, [id]);
 
   const fetchRideDetails = async () => {
@@ -31,6 +49,17 @@ const AdminRideDetails = () => {
     }
   };
 
+  const fetchRidePath = async () => {
+    try {
+      const response = await adminService.getRidePath(id);
+      if (response.success) {
+        setPath(response.path);
+      }
+    } catch (err) {
+      console.error('Failed to load driven path:', err);
+    }
+  };
+
   const handleCancelRide = async () => {
     const reason = prompt('Enter reason for cancellation:');
     if (!reason) return;
@@ -106,9 +135,19 @@ const AdminRideDetails = () => {
             <i className="fas fa-car mr-2"></i>Ride Details
           </h1>
         </div>
-        <span className={`px-4 py-2 rounded-full font-semibold ${getStatusBadge(ride.status)}`}>
-          {ride.status}
-        </span>
+        <div className="flex items-center gap-3">
+          {ride.status === 'COMPLETED' && (
+            <button
+              onClick={() => navigate(`/admin/rides/${id}/replay`)}
+              className="px-4 py-2 bg-indigo-100 text-indigo-700 rounded-lg hover:bg-indigo-200 transition"
+            >
+              <i className="fas fa-history mr-2"></i>Replay Trip
+            </button>
+          )}
+          <span className={`px-4 py-2 rounded-full font-semibold ${getStatusBadge(ride.status)}`}>
+            {ride.status}
+          </span>
+        </div>
       </div>
 
       {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
@@ -180,6 +219,67 @@ const AdminRideDetails = () => {
         </div>
       </div>
 
+      {/* Driven Path */}
+      {path?.pointCount > 0 && (() => {
+        const planned = (ride.route?.geometry?.coordinates || []).map(c => [c[1], c[0]]);
+        const driven = path.coordinates.map(c => [c[1], c[0]]);
+        return (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+              <i className="fas fa-map-marked-alt mr-2 text-indigo-500"></i>Driven Path
+            </h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Distance Driven</p>
+                <p className="font-semibold text-gray-800">{path.distanceKm} km</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Recorded Points</p>
+                <p className="font-semibold text-gray-800">{path.pointCount}</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Tracked</p>
+                <p className="font-semibold text-gray-800">
+                  {new Date(path.startedAt).toLocaleTimeString()} – {new Date(path.endedAt).toLocaleTimeString()}
+                </p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <p className="text-sm text-gray-500">Off-route Points</p>
+                <p className={`font-semibold ${path.deviations.length ? 'text-red-600' : 'text-gray-800'}`}>
+                  {path.deviations.length}
+                </p>
+              </div>
+            </div>
+            <div className="h-80 rounded-lg overflow-hidden border">
+              <MapContainer center={driven[0]} zoom={12} style={{ height: '100%', width: '100%' }}>
+                <TileLayer
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                />
+                {planned.length > 1 && <Polyline positions={planned} color="#9ca3af" weight={4} dashArray="6 8" />}
+                {driven.length > 1 && <Polyline positions={driven} color="#4f46e5" weight={4} />}
+                {path.deviations.map((d, i) => (
+                  <CircleMarker
+                    key={i}
+                    center={[d.coordinates[1], d.coordinates[0]]}
+                    radius={5}
+                    pathOptions={{ color: DEVIATION_COLORS[d.severity], fillOpacity: 0.8 }}
+                  >
+                    <Tooltip>
+                      {d.severity} deviation · {d.distance} m · {new Date(d.timestamp).toLocaleTimeString()}
+                    </Tooltip>
+                  </CircleMarker>
+                ))}
+                <FitBounds points={[...planned, ...driven]} />
+              </MapContainer>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Grey dashes: planned route · Indigo: driven path · Dots: off-route points
+            </p>
+          </div>
+        );
+      })()}
+
       {/* Driver Info */}
       <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
         <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
@@ -0,0 +1,380 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import adminService from '../../services/adminService';
+import { Alert } from '../../components/common';
+
+const EVENT_STYLES = {
+  RIDE_START: { color: '#10b981', icon: 'fa-play', label: 'Start' },
+  RIDE_END: { color: '#6b7280', icon: 'fa-flag-checkered', label: 'End' },
+  PICKUP: { color: '#22c55e', icon: 'fa-user-plus', label: 'Pickup' },
+  DROPOFF: { color: '#3b82f6', icon: 'fa-user-minus', label: 'Dropoff' },
+  DEVIATION: { color: '#f97316', icon: 'fa-route', label: 'Deviation' },
+  SOS: { color: '#ef4444', icon: 'fa-exclamation-triangle', label: 'SOS' }
+};
+
+const PLAYBACK_SPEEDS = [1, 10, 30, 60, 120];
+const TICK_MS = 200;
+const GRAPH_WIDTH = 1000;
+const GRAPH_HEIGHT = 140;
+
+const toLatLng = (coordinates) => [coordinates[1], coordinates[0]];
+const formatTime = (ms) => new Date(ms).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Fit the map to the trip once it loads
+const FitBounds = ({ points }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (points.length >= 2) {
+      map.fitBounds(L.latLngBounds(points), { padding: [30, 30] });
+    }
+  }, [points, map]);
+  return null;
+};
+
+const AdminRideReplay = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [ride, setRide] = useState(null);
+  const [replay, setReplay] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Playback state: cursor is a timestamp (ms) between the trip start and end
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(30);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    const fetchReplay = async () => {
+      setLoading(true);
+      try {
+        const response = await adminService.getRideReplay(id);
+        if (response.success) {
+          setRide(response.ride);
+          setReplay(response.replay);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load trip replay');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReplay();
+  }, [id]);
+
+  // Timeline bounds and time-indexed data
+  const timeline = useMemo(() => {
+    if (!replay) return null;
+    const track = replay.track.map(p => ({ ...p, time: new Date(p.t).getTime() }));
+    const start = new Date(replay.startedAt || track[0]?.time || Date.now()).getTime();
+    const end = Math.max(new Date(replay.endedAt || track[track.length - 1]?.time || start).getTime(), start + 1);
+    const events = replay.events.map(e => ({ ...e, time: new Date(e.timestamp).getTime() }));
+    return { track, events, start, end };
+  }, [replay]);
+
+  useEffect(() => {
+    if (timeline) setCursor(timeline.start);
+  }, [timeline]);
+
+  // Advance the cursor while playing
+  useEffect(() => {
+    if (!playing || !timeline) return undefined;
+    timerRef.current = setInterval(() => {
+      setCursor(prev => {
+        const next = prev + TICK_MS * playbackSpeed;
+        if (next >= timeline.end) {
+          setPlaying(false);
+          return timeline.end;
+        }
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(timerRef.current);
+  }, [playing, playbackSpeed, timeline]);
+
+  // Index of the last recorded point at or before the cursor
+  const cursorIndex = useMemo(() => {
+    if (!timeline?.track.length) return -1;
+    let index = -1;
+    for (let i = 0; i < timeline.track.length && timeline.track[i].time <= cursor; i++) {
+      index = i;
+    }
+    return index;
+  }, [timeline, cursor]);
+
+  const plannedRoute = useMemo(() => (replay?.plannedRoute || []).map(toLatLng), [replay]);
+  const fullTrack = useMemo(() => (timeline?.track || []).map(p => toLatLng(p.coordinates)), [timeline]);
+  const bounds = useMemo(() => [...plannedRoute, ...fullTrack], [plannedRoute, fullTrack]);
+
+  // Speed graph geometry
+  const graph = useMemo(() => {
+    if (!timeline?.track.length) return null;
+    const maxSpeed = Math.max(...timeline.track.map(p => p.speed), 20);
+    const span = timeline.end - timeline.start;
+    const x = (time) => ((time - timeline.start) / span) * GRAPH_WIDTH;
+    const y = (speed) => GRAPH_HEIGHT - (speed / maxSpeed) * (GRAPH_HEIGHT - 10);
+    return {
+      maxSpeed,
+      x,
+      line: timeline.track.map(p => `${x(p.time).toFixed(1)},${y(p.speed).toFixed(1)}`).join(' '),
+      offRoute: timeline.track.filter(p => p.severity !== 'NONE').map(p => ({ cx: x(p.time), cy: y(p.speed), severity: p.severity }))
+    };
+  }, [timeline]);
+
+  const seekFromClick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    setCursor(timeline.start + ratio * (timeline.end - timeline.start));
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  if (!replay || !timeline) {
+    return (
+      <div className="p-6">
+        <Alert type="error" message={error || 'Replay not available'} />
+        <button
+          onClick={() => navigate(`/admin/rides/${id}`)}
+          className="mt-4 px-4 py-2 bg-indigo-500 text-white rounded-lg"
+        >
+          ← Back to Ride
+        </button>
+      </div>
+    );
+  }
+
+  const current = cursorIndex >= 0 ? timeline.track[cursorIndex] : null;
+  const traversed = fullTrack.slice(0, cursorIndex + 1);
+  const pastEvents = timeline.events.filter(e => e.time <= cursor);
+  const progress = ((cursor - timeline.start) / (timeline.end - timeline.start)) * 100;
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-4">
+          <button
+            onClick={() => navigate(`/admin/rides/${id}`)}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition"
+          >
+            ← Back
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">
+              <i className="fas fa-history mr-2"></i>Trip Replay
+            </h1>
+            <p className="text-sm text-gray-500">
+              {ride?.start?.name || ride?.start?.address} → {ride?.destination?.name || ride?.destination?.address}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        {[
+          ['Duration', replay.stats.durationMinutes != null ? `${replay.stats.durationMinutes} min` : 'N/A'],
+          ['Recorded Points', replay.stats.points],
+          ['Avg Speed', `${replay.stats.avgSpeed} km/h`],
+          ['Max Speed', `${replay.stats.maxSpeed} km/h`],
+          ['Off-route Points', replay.stats.offRoutePoints]
+        ].map(([label, value]) => (
+          <div key={label} className="bg-white rounded-xl shadow p-4">
+            <p className="text-sm text-gray-500">{label}</p>
+            <p className="font-semibold text-gray-800 text-lg">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {replay.track.length === 0 && (
+        <Alert type="info" message="No positions were recorded for this ride (or they are past the retention period). Events are still shown." className="mb-6" />
+      )}
+
+      {/* Map */}
+      <div className="bg-white rounded-xl shadow-lg p-4 mb-6">
+        <div className="h-[28rem] rounded-lg overflow-hidden border">
+          <MapContainer center={fullTrack[0] || plannedRoute[0] || [20.5937, 78.9629]} zoom={12} style={{ height: '100%', width: '100%' }}>
+            <TileLayer
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            />
+            {plannedRoute.length > 1 && <Polyline positions={plannedRoute} color="#9ca3af" weight={4} dashArray="6 8" />}
+            {fullTrack.length > 1 && <Polyline positions={fullTrack} color="#c7d2fe" weight={4} />}
+            {traversed.length > 1 && <Polyline positions={traversed} color="#4f46e5" weight={5} />}
+            {timeline.events.filter(e => e.coordinates).map((e, i) => (
+              <CircleMarker
+                key={`${e.type}-${i}`}
+                center={toLatLng(e.coordinates)}
+                radius={e.type === 'SOS' ? 9 : 7}
+                pathOptions={{
+                  color: EVENT_STYLES[e.type].color,
+                  fillColor: EVENT_STYLES[e.type].color,
+                  fillOpacity: e.time <= cursor ? 0.9 : 0.25
+                }}
+                eventHandlers={{ click: () => setCursor(e.time) }}
+              >
+                <Tooltip>{formatTime(e.time)} · {e.label}</Tooltip>
+              </CircleMarker>
+            ))}
+            {current && (
+              <CircleMarker
+                center={toLatLng(current.coordinates)}
+                radius={10}
+                pathOptions={{ color: '#ffffff', weight: 3, fillColor: '#1d4ed8', fillOpacity: 1 }}
+              >
+                <Tooltip permanent direction="top">{current.speed} km/h</Tooltip>
+              </CircleMarker>
+            )}
+            <FitBounds points={bounds} />
+          </MapContainer>
+        </div>
+        <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-600">
+          <span><span className="inline-block w-4 border-t-2 border-dashed border-gray-400 mr-1 align-middle"></span>Planned route</span>
+          <span><span className="inline-block w-4 border-t-4 border-indigo-600 mr-1 align-middle"></span>Driven so far</span>
+          {Object.entries(EVENT_STYLES).map(([type, style]) => (
+            <span key={type}>
+              <span className="inline-block w-3 h-3 rounded-full mr-1 align-middle" style={{ backgroundColor: style.color }}></span>
+              {style.label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Timeline & playback */}
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => {
+                if (cursor >= timeline.end) setCursor(timeline.start);
+                setPlaying(!playing);
+              }}
+              className="w-10 h-10 rounded-full bg-indigo-500 text-white hover:bg-indigo-600 transition"
+            >
+              <i className={`fas ${playing ? 'fa-pause' : 'fa-play'}`}></i>
+            </button>
+            <button
+              onClick={() => { setPlaying(false); setCursor(timeline.start); }}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm"
+            >
+              <i className="fas fa-undo mr-1"></i>Restart
+            </button>
+            <span className="font-mono text-gray-800">{formatTime(cursor)}</span>
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500">Speed</span>
+            {PLAYBACK_SPEEDS.map(speed => (
+              <button
+                key={speed}
+                onClick={() => setPlaybackSpeed(speed)}
+                className={`px-2 py-1 rounded ${playbackSpeed === speed ? 'bg-indigo-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                {speed}x
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Scrubber with event ticks */}
+        <div className="relative h-8 mb-2">
+          <div className="absolute top-3 left-0 right-0 h-2 bg-gray-200 rounded-full cursor-pointer" onClick={seekFromClick}>
+            <div className="h-2 bg-indigo-500 rounded-full" style={{ width: `${progress}%` }}></div>
+          </div>
+          {timeline.events.map((e, i) => (
+            <button
+              key={`tick-${i}`}
+              title={`${formatTime(e.time)} · ${e.label}`}
+              onClick={() => setCursor(e.time)}
+              className="absolute top-1 w-2 h-6 rounded-sm -ml-1"
+              style={{
+                left: `${((e.time - timeline.start) / (timeline.end - timeline.start)) * 100}%`,
+                backgroundColor: EVENT_STYLES[e.type].color
+              }}
+            ></button>
+          ))}
+        </div>
+        <input
+          type="range"
+          min={timeline.start}
+          max={timeline.end}
+          step={1000}
+          value={cursor}
+          onChange={(e) => { setPlaying(false); setCursor(Number(e.target.value)); }}
+          className="w-full accent-indigo-500"
+        />
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>{formatTime(timeline.start)}</span>
+          <span>{formatTime(timeline.end)}</span>
+        </div>
+
+        {/* Speed graph */}
+        {graph && (
+          <div className="mt-6">
+            <p className="text-sm font-semibold text-gray-700 mb-2">
+              Speed (km/h) <span className="font-normal text-gray-500">· dots mark off-route points</span>
+            </p>
+            <svg
+              viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+              preserveAspectRatio="none"
+              className="w-full h-36 bg-gray-50 rounded-lg cursor-crosshair"
+              onClick={seekFromClick}
+            >
+              {[0.5, 1].map(f => (
+                <line key={f} x1="0" x2={GRAPH_WIDTH} y1={GRAPH_HEIGHT - f * (GRAPH_HEIGHT - 10)} y2={GRAPH_HEIGHT - f * (GRAPH_HEIGHT - 10)} stroke="#e5e7eb" strokeDasharray="4 4" />
+              ))}
+              <polyline points={graph.line} fill="none" stroke="#4f46e5" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+              {graph.offRoute.map((p, i) => (
+                <circle key={i} cx={p.cx} cy={p.cy} r="3" fill={p.severity === 'HIGH' ? '#ef4444' : '#f97316'} />
+              ))}
+              <line x1={graph.x(cursor)} x2={graph.x(cursor)} y1="0" y2={GRAPH_HEIGHT} stroke="#1d4ed8" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500">
+              <span>0</span>
+              <span>max {Math.round(graph.maxSpeed)}</span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Event log */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+          <i className="fas fa-list mr-2 text-indigo-500"></i>Events ({timeline.events.length})
+        </h2>
+        <div className="space-y-2">
+          {timeline.events.map((e, i) => (
+            <button
+              key={`log-${i}`}
+              onClick={() => setCursor(e.time)}
+              className={`w-full flex items-center gap-3 p-3 rounded-lg border text-left transition hover:bg-gray-50 ${pastEvents.includes(e) ? '' : 'opacity-50'}`}
+            >
+              <span
+                className="w-8 h-8 rounded-full flex items-center justify-center text-white text-sm"
+                style={{ backgroundColor: EVENT_STYLES[e.type].color }}
+              >
+                <i className={`fas ${EVENT_STYLES[e.type].icon}`}></i>
+              </span>
+              <span className="font-mono text-sm text-gray-500">{formatTime(e.time)}</span>
+              <span className="flex-1 text-gray-800">{e.label}</span>
+              {e.status && <span className="px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-700">{e.status}</span>}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminRideReplay;
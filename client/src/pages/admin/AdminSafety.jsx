@@ -1,6 +1,9 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Circle, Polygon, Polyline, CircleMarker, Tooltip, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
 import api from '../../services/api';
+import adminService from '../../services/adminService';
 import { Alert } from '../../components/common';
 
 const AdminSafety = () => {
@@ -19,6 +22,7 @@ const AdminSafety = () => {
   const [selectedEmergency, setSelectedEmergency] = useState(null);
   const [adminNotes, setAdminNotes] = useState('');
   const [updating, setUpdating] = useState(false);
+  const [view, setView] = useState('alerts'); // 'alerts' | 'zones'
 
   useEffect(() => {
     loadData();
@@ -159,6 +163,31 @@ const AdminSafety = () => {
         {error && <Alert type="error" message={error} className="mb-6" />}
         {success && <Alert type="success" message={success} className="mb-6" />}
 
+        {/* Alerts / Zones switch */}
+        <div className="flex gap-2 mb-6">
+          {[['alerts', 'Emergency Alerts'], ['zones', 'Safe & Danger Zones']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition ${
+                view === key ? 'bg-gray-900 text-white' : 'bg-white text-gray-600 hover:bg-gray-50 shadow-sm'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {view === 'zones' ? (
+          <SafetyZonesPanel
+            onError={setError}
+            onSuccess={(message) => {
+              setSuccess(message);
+              setTimeout(() => setSuccess(''), 3000);
+            }}
+          />
+        ) : (
+        <>
         {/* Stats Cards */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
           <div className="bg-white rounded-lg shadow-sm p-4">
@@ -376,6 +405,8 @@ const AdminSafety = () => {
             </div>
           )}
         </div>
+        </>
+        )}
       </div>
 
       {/* Update Modal */}
@@ -427,4 +458,412 @@ const AdminSafety = () => {
   );
 };
 
+// ============ SAFETY ZONES ============
+
+const DEFAULT_CENTER = [14.7502, 78.5480]; // Fallback center (AP, India)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const RISK_COLORS = { LOW: '#eab308', MEDIUM: '#f97316', HIGH: '#dc2626' };
+
+const emptyDraft = () => ({
+  name: '',
+  kind: 'DANGER',
+  category: 'OTHER',
+  shape: 'CIRCLE',
+  center: null, // [lng, lat]
+  radius: 300,
+  polygon: [], // open ring of [lng, lat]
+  riskLevel: 'MEDIUM',
+  reason: '',
+  recommendations: '',
+  activeHours: { start: '', end: '' },
+  activeDays: [],
+  active: true
+});
+
+// Stored zone -> editable draft (the stored polygon ring is closed)
+const toDraft = (zone) => ({
+  ...emptyDraft(),
+  ...zone,
+  center: zone.shape === 'CIRCLE' ? zone.center : null,
+  radius: zone.radius || 300,
+  polygon: zone.shape === 'POLYGON' ? zone.polygon.slice(0, -1) : [],
+  reason: zone.reason || '',
+  recommendations: (zone.recommendations || []).join('\n'),
+  activeHours: { start: zone.activeHours?.start || '', end: zone.activeHours?.end || '' },
+  activeDays: zone.activeDays || []
+});
+
+const zoneColor = (zone) => zone.kind === 'SAFE' ? '#16a34a' : RISK_COLORS[zone.riskLevel] || RISK_COLORS.MEDIUM;
+const toLatLng = ([lng, lat]) => [lat, lng];
+const formatLabel = (value) => value.replace(/_/g, ' ').toLowerCase().replace(/^\w/, c => c.toUpperCase());
+
+// Clicks on the map place the circle center or add a polygon point
+const DrawHandler = ({ onPoint }) => {
+  useMapEvents({
+    click: (e) => onPoint([Number(e.latlng.lng.toFixed(6)), Number(e.latlng.lat.toFixed(6))])
+  });
+  return null;
+};
+
+const SafetyZonesPanel = ({ onError, onSuccess }) => {
+  const [zones, setZones] = useState([]);
+  const [categories, setCategories] = useState({ SAFE: ['OTHER'], DANGER: ['OTHER'] });
+  const [kindFilter, setKindFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadZones = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await adminService.getSafetyZones(kindFilter ? { kind: kindFilter } : {});
+      if (data.success) {
+        setZones(data.zones || []);
+        if (data.categories) setCategories(data.categories);
+      }
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to load zones');
+    } finally {
+      setLoading(false);
+    }
+  }, [kindFilter, onError]);
+
+  useEffect(() => {
+    loadZones();
+  }, [loadZones]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const startNew = () => {
+    setEditingId(null);
+    setDraft(emptyDraft());
+  };
+
+  const startEdit = (zone) => {
+    setEditingId(zone._id);
+    setDraft(toDraft(zone));
+  };
+
+  const closeEditor = () => {
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  const handleMapPoint = (point) => {
+    if (!draft) return;
+    if (draft.shape === 'CIRCLE') update({ center: point });
+    else update({ polygon: [...draft.polygon, point] });
+  };
+
+  const toggleDay = (day) => {
+    update({
+      activeDays: draft.activeDays.includes(day)
+        ? draft.activeDays.filter(d => d !== day)
+        : [...draft.activeDays, day].sort()
+    });
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      name: draft.name,
+      kind: draft.kind,
+      category: draft.category,
+      shape: draft.shape,
+      reason: draft.reason,
+      recommendations: draft.recommendations,
+      activeHours: draft.activeHours.start || draft.activeHours.end ? draft.activeHours : null,
+      activeDays: draft.activeDays,
+      active: draft.active
+    };
+    if (draft.kind === 'DANGER') payload.riskLevel = draft.riskLevel;
+    if (draft.shape === 'CIRCLE') {
+      payload.center = draft.center;
+      payload.radius = Number(draft.radius);
+    } else {
+      payload.polygon = draft.polygon;
+    }
+
+    try {
+      setSaving(true);
+      onError('');
+      const data = editingId
+        ? await adminService.updateSafetyZone(editingId, payload)
+        : await adminService.createSafetyZone(payload);
+      onSuccess(data.message);
+      closeEditor();
+      loadZones();
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to save zone');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (zone) => {
+    try {
+      const data = await adminService.updateSafetyZone(zone._id, { active: !zone.active });
+      onSuccess(data.message);
+      loadZones();
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to update zone');
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    if (!window.confirm(`Delete zone "${zone.name}"?`)) return;
+    try {
+      const data = await adminService.deleteSafetyZone(zone._id);
+      onSuccess(data.message);
+      if (editingId === zone._id) closeEditor();
+      loadZones();
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to delete zone');
+    }
+  };
+
+  const firstZone = zones[0];
+  const mapCenter = firstZone
+    ? toLatLng(firstZone.shape === 'CIRCLE' ? firstZone.center : firstZone.polygon[0])
+    : DEFAULT_CENTER;
+  const hasShape = draft && (draft.shape === 'CIRCLE' ? !!draft.center : draft.polygon.length >= 3);
+  const inputClass = 'w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Map */}
+      <div className="lg:col-span-2 bg-white rounded-lg shadow-sm overflow-hidden">
+        <div className="px-4 py-3 border-b flex items-center justify-between">
+          <div className="text-sm text-gray-600">
+            {draft
+              ? draft.shape === 'CIRCLE'
+                ? 'Click the map to place the zone center'
+                : `Click the map to add polygon points (${draft.polygon.length} so far)`
+              : 'Click a zone to edit it'}
+          </div>
+          <div className="flex items-center gap-3 text-xs text-gray-500">
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-green-600"></span>Safe</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-orange-500"></span>Danger</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-blue-500"></span>Editing</span>
+          </div>
+        </div>
+        <div className="h-[520px]">
+          <MapContainer center={mapCenter} zoom={12} className="h-full w-full">
+            <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution='&copy; OpenStreetMap' />
+            <DrawHandler onPoint={handleMapPoint} />
+
+            {zones.filter(zone => zone._id !== editingId).map(zone => {
+              const pathOptions = {
+                color: zoneColor(zone),
+                fillOpacity: zone.active ? 0.2 : 0.05,
+                dashArray: zone.active ? null : '6 6'
+              };
+              const tooltip = (
+                <Tooltip sticky>
+                  {zone.name} · {formatLabel(zone.category)}{zone.kind === 'DANGER' ? ` · ${zone.riskLevel} risk` : ''}
+                  {!zone.active && ' (disabled)'}
+                </Tooltip>
+              );
+              const eventHandlers = { click: () => !draft && startEdit(zone) };
+              return zone.shape === 'CIRCLE' ? (
+                <Circle key={zone._id} center={toLatLng(zone.center)} radius={zone.radius} pathOptions={pathOptions} eventHandlers={eventHandlers}>
+                  {tooltip}
+                </Circle>
+              ) : (
+                <Polygon key={zone._id} positions={zone.polygon.map(toLatLng)} pathOptions={pathOptions} eventHandlers={eventHandlers}>
+                  {tooltip}
+                </Polygon>
+              );
+            })}
+
+            {/* Zone being drawn */}
+            {draft?.shape === 'CIRCLE' && draft.center && (
+              <Circle center={toLatLng(draft.center)} radius={Number(draft.radius) || 0} pathOptions={{ color: '#3b82f6', fillOpacity: 0.25 }} />
+            )}
+            {draft?.shape === 'POLYGON' && draft.polygon.length > 0 && (
+              <>
+                {draft.polygon.length >= 3
+                  ? <Polygon positions={draft.polygon.map(toLatLng)} pathOptions={{ color: '#3b82f6', fillOpacity: 0.25 }} />
+                  : <Polyline positions={draft.polygon.map(toLatLng)} pathOptions={{ color: '#3b82f6' }} />}
+                {draft.polygon.map((point, idx) => (
+                  <CircleMarker key={idx} center={toLatLng(point)} radius={4} pathOptions={{ color: '#1d4ed8', fillOpacity: 1 }} />
+                ))}
+              </>
+            )}
+          </MapContainer>
+        </div>
+      </div>
+
+      {/* Editor / list */}
+      <div className="bg-white rounded-lg shadow-sm p-4">
+        {draft ? (
+          <div className="space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Zone' : 'New Zone'}</h3>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input value={draft.name} onChange={(e) => update({ name: e.target.value })} maxLength={100} className={inputClass} placeholder="e.g. Old highway underpass" />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Kind</label>
+                <select value={draft.kind} onChange={(e) => update({ kind: e.target.value, category: 'OTHER' })} className={inputClass}>
+                  <option value="DANGER">Danger</option>
+                  <option value="SAFE">Safe</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <select value={draft.category} onChange={(e) => update({ category: e.target.value })} className={inputClass}>
+                  {(categories[draft.kind] || ['OTHER']).map(category => (
+                    <option key={category} value={category}>{formatLabel(category)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Shape</label>
+              <div className="flex gap-2">
+                {['CIRCLE', 'POLYGON'].map(shape => (
+                  <button
+                    key={shape}
+                    type="button"
+                    onClick={() => update({ shape })}
+                    className={`flex-1 py-2 rounded-lg text-sm font-medium border transition ${
+                      draft.shape === shape ? 'bg-blue-50 border-blue-500 text-blue-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    {formatLabel(shape)}
+                  </button>
+                ))}
+              </div>
+              {draft.shape === 'CIRCLE' ? (
+                <div className="mt-2">
+                  <label className="block text-xs text-gray-500 mb-1">Radius: {draft.radius} m</label>
+                  <input type="range" min={50} max={5000} step={50} value={draft.radius} onChange={(e) => update({ radius: Number(e.target.value) })} className="w-full" />
+                </div>
+              ) : (
+                <div className="mt-2 flex gap-2">
+                  <button type="button" onClick={() => update({ polygon: draft.polygon.slice(0, -1) })} disabled={draft.polygon.length === 0} className="px-3 py-1 text-xs border rounded hover:bg-gray-50 disabled:opacity-50">
+                    Undo point
+                  </button>
+                  <button type="button" onClick={() => update({ polygon: [] })} disabled={draft.polygon.length === 0} className="px-3 py-1 text-xs border rounded hover:bg-gray-50 disabled:opacity-50">
+                    Clear
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {draft.kind === 'DANGER' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Risk level</label>
+                  <select value={draft.riskLevel} onChange={(e) => update({ riskLevel: e.target.value })} className={inputClass}>
+                    <option value="LOW">Low</option>
+                    <option value="MEDIUM">Medium</option>
+                    <option value="HIGH">High (admins are alerted)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                  <input value={draft.reason} onChange={(e) => update({ reason: e.target.value })} maxLength={300} className={inputClass} placeholder="Shown to riders and passengers" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Recommendations (one per line)</label>
+                  <textarea value={draft.recommendations} onChange={(e) => update({ recommendations: e.target.value })} rows={2} className={inputClass} />
+                </div>
+              </>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Active hours (empty = all day)</label>
+              <div className="flex items-center gap-2">
+                <input type="time" value={draft.activeHours.start} onChange={(e) => update({ activeHours: { ...draft.activeHours, start: e.target.value } })} className={inputClass} />
+                <span className="text-gray-400">to</span>
+                <input type="time" value={draft.activeHours.end} onChange={(e) => update({ activeHours: { ...draft.activeHours, end: e.target.value } })} className={inputClass} />
+              </div>
+              <div className="flex gap-1 mt-2">
+                {WEEKDAYS.map((day, idx) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleDay(idx)}
+                    className={`flex-1 py-1 text-xs rounded border transition ${
+                      draft.activeDays.includes(idx) ? 'bg-emerald-500 border-emerald-500 text-white' : 'border-gray-300 text-gray-600'
+                    }`}
+                  >
+                    {day}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-400 mt-1">No days selected = every day</p>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={draft.active} onChange={(e) => update({ active: e.target.checked })} />
+              Enabled
+            </label>
+
+            <div className="flex gap-2 pt-2">
+              <button onClick={closeEditor} disabled={saving} className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition">
+                Cancel
+              </button>
+              <button onClick={handleSave} disabled={saving || !hasShape || !draft.name.trim()} className="flex-1 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Zone'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Zones ({zones.length})</h3>
+              <button onClick={startNew} className="px-3 py-1.5 bg-emerald-600 text-white text-sm rounded-lg hover:bg-emerald-700 transition">
+                + New Zone
+              </button>
+            </div>
+            <select value={kindFilter} onChange={(e) => setKindFilter(e.target.value)} className={`${inputClass} mb-4`}>
+              <option value="">All zones</option>
+              <option value="DANGER">Danger zones</option>
+              <option value="SAFE">Safe zones</option>
+            </select>
+
+            {loading ? (
+              <div className="py-8 flex justify-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-emerald-500"></div>
+              </div>
+            ) : zones.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-8">No zones yet. Add police stations, hospitals or areas riders should be warned about.</p>
+            ) : (
+              <ul className="divide-y max-h-[440px] overflow-y-auto">
+                {zones.map(zone => (
+                  <li key={zone._id} className="py-3">
+                    <div className="flex items-start gap-2">
+                      <span className="w-3 h-3 rounded-full mt-1 flex-shrink-0" style={{ backgroundColor: zoneColor(zone) }}></span>
+                      <div className="flex-1 min-w-0">
+                        <p className={`text-sm font-medium truncate ${zone.active ? 'text-gray-900' : 'text-gray-400 line-through'}`}>{zone.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {formatLabel(zone.category)}
+                          {zone.kind === 'DANGER' && ` · ${zone.riskLevel} risk`}
+                          {zone.activeHours?.start && ` · ${zone.activeHours.start}-${zone.activeHours.end}`}
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex gap-3 mt-2 ml-5 text-xs">
+                      <button onClick={() => startEdit(zone)} className="text-blue-600 hover:underline">Edit</button>
+                      <button onClick={() => handleToggle(zone)} className="text-gray-600 hover:underline">{zone.active ? 'Disable' : 'Enable'}</button>
+                      <button onClick={() => handleDelete(zone)} className="text-red-600 hover:underline">Delete</button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 export default AdminSafety;
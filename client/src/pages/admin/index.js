@@ -3,7 +3,10 @@ export { default as AdminUsers } from './AdminUsers';
 export { default as AdminUserDetails } from './AdminUserDetails';
 export { default as AdminRides } from './AdminRides';
 export { default as AdminRideDetails } from './AdminRideDetails';
+export { default as AdminRideReplay } from './AdminRideReplay';
 export { default as AdminBookings } from './AdminBookings';
 export { default as AdminBookingDetails } from './AdminBookingDetails';
 export { default as AdminVerifications } from './AdminVerifications';
 export { default as AdminSafety } from './AdminSafety';
+export { default as AdminPayouts } from './AdminPayouts';
+export { default as AdminPromoCodes } from './AdminPromoCodes';
@@ -1,10 +1,11 @@
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { Button, Alert, Modal } from '../../components/common';
 
 const Register = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { register } = useAuth();
 
   const [formData, setFormData] = useState({
@@ -14,6 +15,7 @@ const Register = () => {
     password: '',
     confirmPassword: '',
     role: 'PASSENGER',
+    referralCode: (searchParams.get('ref') || '').toUpperCase(),
     agreeTerms: false
   });
   const [showPassword, setShowPassword] = useState(false);
@@ -120,7 +122,8 @@ const Register = () => {
         phone: formData.phone,
         password: formData.password,
         confirmPassword: formData.confirmPassword,
-        role: formData.role
+        role: formData.role,
+        referralCode: formData.referralCode.trim() || undefined
       });
 
       if (result.success) {
@@ -335,6 +338,23 @@ const Register = () => {
               </div>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Referral Code (Optional)
+              </label>
+              <input
+                type="text"
+                name="referralCode"
+                value={formData.referralCode}
+                onChange={(e) => setFormData(prev => ({ ...prev, referralCode: e.target.value.toUpperCase() }))}
+                maxLength={16}
+                pattern="[A-Za-z0-9]{4,16}"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent uppercase"
+                placeholder="Friend's code"
+              />
+              <p className="text-xs text-gray-500 mt-1">Get wallet credit after your first completed ride</p>
+            </div>
+
             <label className="flex items-start">
               <input
                 type="checkbox"
@@ -1,11 +1,11 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { LoadingSpinner, Alert, Badge } from '../../components/common';
+import { LoadingSpinner, Alert, Badge, LocationInput } from '../../components/common';
 import { useAuth } from '../../context/AuthContext';
 import { useSocket } from '../../context/SocketContext';
 import bookingService from '../../services/bookingService';
 import { getUserDisplayName, getInitials, getAvatarColor, getUserPhoto } from '../../utils/imageHelpers';
-import { getRating, formatRating } from '../../utils/helpers';
+import { getRating, formatRating, describeRefundQuote, saveFile, getBlobErrorMessage } from '../../utils/helpers';
 
 const BookingDetails = () => {
   const { id } = useParams();
@@ -19,7 +19,9 @@ const BookingDetails = () => {
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [showRejectModal, setShowRejectModal] = useState(false);
   const [cancelReason, setCancelReason] = useState('');
+  const [refundQuote, setRefundQuote] = useState(null);
   const [rejectReason, setRejectReason] = useState('');
+  const [showChangeModal, setShowChangeModal] = useState(false);
   const [notification, setNotification] = useState(null);
   
   // OTP Verification State
@@ -71,11 +73,19 @@ const BookingDetails = () => {
         }
       };
       
+      // Booking change requested, applied, declined or withdrawn
+      const handleBookingChanged = (data) => {
+        if (data.bookingId === id) {
+          fetchBooking();
+        }
+      };
+      
       socket.on('booking-confirmed', handleBookingConfirmed);
       socket.on('booking-rejected', handleBookingRejected);
       socket.on('booking-cancelled', handleBookingCancelled);
       socket.on('pickup-confirmed', handlePickupConfirmed);
       socket.on('dropoff-confirmed', handleDropoffConfirmed);
+      socket.on('booking-changed', handleBookingChanged);
       
       return () => {
         socket.off('booking-confirmed', handleBookingConfirmed);
@@ -83,6 +93,7 @@ const BookingDetails = () => {
         socket.off('booking-cancelled', handleBookingCancelled);
         socket.off('pickup-confirmed', handlePickupConfirmed);
         socket.off('dropoff-confirmed', handleDropoffConfirmed);
+        socket.off('booking-changed', handleBookingChanged);
       };
     }
   }, [socket, isConnected, id]);
@@ -98,6 +109,17 @@ const BookingDetails = () => {
     }
   };
 
+  // Open the cancel modal with a preview of the refund
+  const openCancelModal = async () => {
+    setRefundQuote(null);
+    setShowCancelModal(true);
+    try {
+      setRefundQuote(await bookingService.getCancellationQuote(id));
+    } catch (err) {
+      // The preview is informational - cancelling still works without it
+    }
+  };
+
   // Cancel booking handler
   const handleCancelBooking = async () => {
     if (!cancelReason.trim()) {
@@ -117,6 +139,21 @@ const BookingDetails = () => {
     }
   };
 
+  // No-show handler (for rider, once the wait time has passed)
+  const handleMarkNoShow = async () => {
+    if (!window.confirm('Mark this passenger as a no-show? Their seat will be released.')) return;
+
+    setActionLoading(true);
+    try {
+      await bookingService.markNoShow(id, 'Passenger did not turn up for pickup');
+      fetchBooking(); // Refresh booking data
+    } catch (err) {
+      alert(err.response?.data?.message || err.message || 'Failed to mark no-show');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   // Accept booking handler (for rider)
   const handleAcceptBooking = async () => {
     setActionLoading(true);
@@ -149,6 +186,42 @@ const BookingDetails = () => {
     }
   };
   
+  // Approve or decline a passenger's booking change (for rider)
+  const handleRespondToChange = async (changeId, action) => {
+    let message;
+    if (action === 'reject') {
+      message = window.prompt('Reason for declining (optional)') ?? null;
+      if (message === null) return;
+    }
+
+    setActionLoading(true);
+    try {
+      await bookingService.respondToBookingChange(id, changeId, action, message || undefined);
+      setNotification({
+        type: action === 'approve' ? 'success' : 'warning',
+        message: action === 'approve' ? 'Booking change approved.' : 'Booking change declined.'
+      });
+      fetchBooking();
+    } catch (err) {
+      alert(err.response?.data?.message || err.message || 'Failed to respond to the change');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Withdraw a change still waiting for the rider (for passenger)
+  const handleWithdrawChange = async (changeId) => {
+    setActionLoading(true);
+    try {
+      await bookingService.withdrawBookingChange(id, changeId);
+      fetchBooking();
+    } catch (err) {
+      alert(err.response?.data?.message || err.message || 'Failed to withdraw the change');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   // OTP Verification Handler (for rider)
   const handleVerifyOTP = async () => {
     if (otpInput.length !== 4) {
@@ -202,6 +275,10 @@ const BookingDetails = () => {
   // Rider can accept/reject PENDING bookings
   const canAcceptReject = isRider && booking.status === 'PENDING';
 
+  // Rider can report a no-show once the passenger is late for pickup
+  const canMarkNoShow = isRider && ['CONFIRMED', 'PICKUP_PENDING'].includes(booking.status) &&
+    new Date(booking.ride?.schedule?.departureDateTime) < new Date();
+
   return (
     <div className="pb-12 bg-gray-50 min-h-screen">
       <div className="container mx-auto px-4 max-w-4xl">
@@ -282,6 +359,18 @@ const BookingDetails = () => {
           </div>
         )}
 
+        {/* Booking changes: pending request and history */}
+        {booking.changeRequests?.length > 0 && (
+          <BookingChanges
+            booking={booking}
+            isRider={isRider}
+            isPassenger={isPassenger}
+            loading={actionLoading}
+            onRespond={handleRespondToChange}
+            onWithdraw={handleWithdrawChange}
+          />
+        )}
+
         {/* OTP Section (for Passengers) */}
         {isPassenger && <OTPSection booking={booking} />}
         
@@ -293,6 +382,22 @@ const BookingDetails = () => {
           />
         )}
 
+        {canMarkNoShow && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6 flex items-center justify-between gap-4">
+            <p className="text-sm text-gray-600">
+              <i className="fas fa-user-clock text-orange-500 mr-2"></i>
+              Passenger hasn't turned up? You can mark them as a no-show after the wait time.
+            </p>
+            <button
+              onClick={handleMarkNoShow}
+              disabled={actionLoading}
+              className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg transition disabled:opacity-50 whitespace-nowrap"
+            >
+              <i className="fas fa-user-slash mr-2"></i>Mark No-Show
+            </button>
+          </div>
+        )}
+
         {/* Journey Status */}
         <JourneyStatus booking={booking} />
 
@@ -305,7 +410,7 @@ const BookingDetails = () => {
         )}
 
         {/* Payment Details */}
-        <PaymentDetails booking={booking} />
+        <PaymentDetails booking={booking} isRider={isRider} />
 
         {/* Driver/Passenger Info */}
         <PersonInfo booking={booking} isRider={isRider} />
@@ -336,11 +441,19 @@ const BookingDetails = () => {
             </h3>
             <div className="flex flex-wrap gap-3">
               <button
-                onClick={() => setShowCancelModal(true)}
+                onClick={openCancelModal}
                 className="px-6 py-3 bg-red-500 hover:bg-red-600 text-white rounded-lg transition flex items-center"
               >
                 <i className="fas fa-times-circle mr-2"></i>Cancel Booking
               </button>
+              <button
+                onClick={() => setShowChangeModal(true)}
+                disabled={booking.changeRequests?.some(change => change.status === 'PENDING')}
+                title={booking.changeRequests?.some(change => change.status === 'PENDING') ? 'A change is already waiting for the rider' : undefined}
+                className="px-6 py-3 bg-blue-500 hover:bg-blue-600 text-white rounded-lg transition flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <i className="fas fa-edit mr-2"></i>Change Booking
+              </button>
               <Link
                 to={`/chat?bookingId=${booking._id}`}
                 className="px-6 py-3 bg-emerald-500 hover:bg-emerald-600 text-white rounded-lg transition flex items-center"
@@ -426,6 +539,23 @@ const BookingDetails = () => {
             loading={actionLoading}
             reason={cancelReason}
             setReason={setCancelReason}
+            refundText={describeRefundQuote(refundQuote || undefined)}
+          />
+        )}
+        
+        {/* Change Booking Modal */}
+        {showChangeModal && (
+          <ChangeBookingModal
+            booking={booking}
+            onClose={() => setShowChangeModal(false)}
+            onDone={(result) => {
+              setShowChangeModal(false);
+              setNotification({
+                type: 'success',
+                message: result.applied ? 'Booking updated.' : 'Change requested. Waiting for the rider to approve.'
+              });
+              fetchBooking();
+            }}
           />
         )}
         
@@ -446,7 +576,7 @@ const BookingDetails = () => {
 };
 
 // Cancel Booking Modal
-const CancelModal = ({ onClose, onConfirm, loading, reason, setReason }) => {
+const CancelModal = ({ onClose, onConfirm, loading, reason, setReason, refundText }) => {
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl shadow-2xl max-w-md w-full p-6">
@@ -460,6 +590,11 @@ const CancelModal = ({ onClose, onConfirm, loading, reason, setReason }) => {
           </p>
         </div>
 
+        <div className="bg-blue-50 rounded-lg p-3 mb-6 text-sm text-blue-800">
+          <i className="fas fa-receipt mr-2"></i>
+          {refundText || 'Checking your refund...'}
+        </div>
+
         <div className="mb-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Reason for cancellation <span className="text-red-500">*</span>
@@ -561,6 +696,314 @@ const RejectModal = ({ onClose, onConfirm, loading, reason, setReason, passenger
   );
 };
 
+// Change Booking Modal (for passengers) - seats, pickup/dropoff, co-passengers
+const ChangeBookingModal = ({ booking, onClose, onDone }) => {
+  const [seats, setSeats] = useState(booking.seatsBooked);
+  const [pickup, setPickup] = useState(null);
+  const [dropoff, setDropoff] = useState(null);
+  const [coPassengers, setCoPassengers] = useState(
+    (booking.coPassengers || []).map(({ name, phone, age }) => ({ name: name || '', phone: phone || '', age: age ?? '' }))
+  );
+  const [reason, setReason] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const totalSeats = booking.ride?.pricing?.totalSeats || booking.seatsBooked;
+
+  const buildPayload = () => ({
+    seats,
+    ...(pickup && { pickupLocation: pickup }),
+    ...(dropoff && { dropoffLocation: dropoff }),
+    coPassengers: coPassengers.filter(person => person.name.trim()),
+    reason: reason.trim() || undefined
+  });
+
+  // Any edit invalidates the last preview
+  const edit = (setter) => (value) => {
+    setter(value);
+    setPreview(null);
+    setError('');
+  };
+
+  const updateCoPassenger = (index, field, value) => {
+    setCoPassengers(list => list.map((person, i) => (i === index ? { ...person, [field]: value } : person)));
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await bookingService.previewBookingChange(booking._id, buildPayload());
+      setPreview(data.preview);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'This change is not possible');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      onDone(await bookingService.requestBookingChange(booking._id, buildPayload()));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to request the change');
+      setPreview(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800">
+            <i className="fas fa-edit text-blue-500 mr-2"></i>Change Booking
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {error && <Alert type="error" message={error} className="mb-4" />}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Seats</label>
+            <select
+              value={seats}
+              onChange={(e) => edit(setSeats)(Number(e.target.value))}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {Array.from({ length: totalSeats }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n} seat{n > 1 ? 's' : ''}</option>
+              ))}
+            </select>
+          </div>
+
+          <LocationInput
+            label="New pickup (optional)"
+            placeholder={booking.pickupPoint?.address || 'Keep current pickup'}
+            icon="fa-map-marker-alt"
+            iconColor="text-green-600"
+            value={pickup}
+            onChange={edit(setPickup)}
+          />
+          <LocationInput
+            label="New drop-off (optional)"
+            placeholder={booking.dropoffPoint?.address || 'Keep current drop-off'}
+            icon="fa-flag-checkered"
+            iconColor="text-red-600"
+            value={dropoff}
+            onChange={edit(setDropoff)}
+          />
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-gray-700">Co-passengers</label>
+              {coPassengers.length < seats - 1 && (
+                <button
+                  type="button"
+                  onClick={() => edit(setCoPassengers)([...coPassengers, { name: '', phone: '', age: '' }])}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <i className="fas fa-plus mr-1"></i>Add
+                </button>
+              )}
+            </div>
+            {coPassengers.length === 0 && (
+              <p className="text-sm text-gray-500">Travelling alone</p>
+            )}
+            {coPassengers.map((person, index) => (
+              <div key={index} className="flex gap-2 mb-2">
+                <input
+                  type="text"
+                  value={person.name}
+                  onChange={(e) => updateCoPassenger(index, 'name', e.target.value)}
+                  placeholder="Name"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <input
+                  type="tel"
+                  value={person.phone}
+                  onChange={(e) => updateCoPassenger(index, 'phone', e.target.value)}
+                  placeholder="Phone"
+                  className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="120"
+                  value={person.age}
+                  onChange={(e) => updateCoPassenger(index, 'age', e.target.value)}
+                  placeholder="Age"
+                  className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={() => edit(setCoPassengers)(coPassengers.filter((_, i) => i !== index))}
+                  className="px-2 text-gray-400 hover:text-red-500"
+                >
+                  <i className="fas fa-trash"></i>
+                </button>
+              </div>
+            ))}
+            {coPassengers.length > seats - 1 && (
+              <p className="text-xs text-red-600">Remove co-passengers to fit {seats} seat{seats > 1 ? 's' : ''}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Note for the rider (optional)</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={300}
+              rows={2}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        {preview && (
+          <div className="bg-blue-50 rounded-lg p-4 mt-4 text-sm text-blue-900 space-y-1">
+            <p>
+              <strong>New total:</strong> ₹{preview.pricing.totalAmount}
+              {preview.pricing.difference !== 0 && (
+                <span className={preview.pricing.difference > 0 ? 'text-orange-700' : 'text-green-700'}>
+                  {' '}({preview.pricing.difference > 0 ? '+' : '−'}₹{Math.abs(preview.pricing.difference)})
+                </span>
+              )}
+            </p>
+            {preview.detour && (
+              <p><strong>Detour for the rider:</strong> {preview.detour.distance} km, ~{preview.detour.duration} min</p>
+            )}
+            <p>
+              <i className={`fas ${preview.needsApproval ? 'fa-hourglass-half' : 'fa-bolt'} mr-1`}></i>
+              {preview.needsApproval ? 'The rider needs to approve this change. Your current booking stands until then.' : 'This change applies straight away.'}
+            </p>
+          </div>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            disabled={loading}
+            className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+          >
+            Keep Booking
+          </button>
+          <button
+            onClick={preview ? handleSubmit : handlePreview}
+            disabled={loading || coPassengers.length > seats - 1}
+            className="flex-1 px-4 py-3 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+          >
+            {loading ? (
+              <><i className="fas fa-spinner fa-spin mr-2"></i>Checking...</>
+            ) : preview ? (
+              <><i className="fas fa-check mr-2"></i>{preview.needsApproval ? 'Send Request' : 'Confirm Change'}</>
+            ) : (
+              <><i className="fas fa-calculator mr-2"></i>Check Price</>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Booking Changes Component - pending request and change history
+const BookingChanges = ({ booking, isRider, isPassenger, loading, onRespond, onWithdraw }) => {
+  const statusStyles = {
+    PENDING: 'bg-yellow-100 text-yellow-800',
+    APPROVED: 'bg-green-100 text-green-800',
+    AUTO_APPROVED: 'bg-green-100 text-green-800',
+    REJECTED: 'bg-red-100 text-red-800',
+    WITHDRAWN: 'bg-gray-100 text-gray-700',
+    EXPIRED: 'bg-gray-100 text-gray-700'
+  };
+
+  const describe = ({ changes, previous }) => {
+    const parts = [];
+    if (changes?.seatsBooked) parts.push(`${previous.seatsBooked} → ${changes.seatsBooked} seats`);
+    if (changes?.pickupPoint?.coordinates?.length) parts.push(`Pickup: ${changes.pickupPoint.address || changes.pickupPoint.name}`);
+    if (changes?.dropoffPoint?.coordinates?.length) parts.push(`Drop-off: ${changes.dropoffPoint.address || changes.dropoffPoint.name}`);
+    if (changes?.coPassengers) parts.push(`Co-passengers: ${changes.coPassengers.map(p => p.name).join(', ') || 'none'}`);
+    return parts;
+  };
+
+  const changes = [...booking.changeRequests].reverse();
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h3 className="font-semibold text-gray-700 mb-4">
+        <i className="fas fa-history text-blue-500 mr-2"></i>Booking Changes
+      </h3>
+      <div className="space-y-3">
+        {changes.map(change => (
+          <div
+            key={change._id}
+            className={`rounded-lg p-4 ${change.status === 'PENDING' ? 'border-2 border-yellow-200 bg-yellow-50' : 'bg-gray-50'}`}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <span className={`px-2 py-0.5 rounded text-xs font-semibold ${statusStyles[change.status]}`}>
+                {change.status.replace('_', ' ')}
+              </span>
+              <span className="text-xs text-gray-500">{new Date(change.requestedAt).toLocaleString()}</span>
+            </div>
+            <ul className="text-sm text-gray-800 space-y-1">
+              {describe(change).map(part => <li key={part}>{part}</li>)}
+            </ul>
+            <p className="text-sm text-gray-600 mt-2">
+              Total: ₹{change.previous?.totalPrice} → ₹{change.pricing?.totalAmount}
+              {change.detour?.distance !== undefined && ` · Detour ${change.detour.distance} km`}
+            </p>
+            {change.reason && <p className="text-sm text-gray-600 italic mt-1">"{change.reason}"</p>}
+            {change.responseMessage && (
+              <p className="text-sm text-gray-600 mt-1"><strong>Response:</strong> {change.responseMessage}</p>
+            )}
+
+            {change.status === 'PENDING' && isRider && (
+              <div className="flex gap-3 mt-3">
+                <button
+                  onClick={() => onRespond(change._id, 'approve')}
+                  disabled={loading}
+                  className="px-4 py-2 bg-emerald-500 hover:bg-emerald-600 text-white rounded-lg transition disabled:opacity-50"
+                >
+                  <i className="fas fa-check mr-2"></i>Approve
+                </button>
+                <button
+                  onClick={() => onRespond(change._id, 'reject')}
+                  disabled={loading}
+                  className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition disabled:opacity-50"
+                >
+                  <i className="fas fa-times mr-2"></i>Decline
+                </button>
+              </div>
+            )}
+            {change.status === 'PENDING' && isPassenger && (
+              <div className="flex items-center justify-between gap-3 mt-3">
+                <p className="text-xs text-yellow-800">Waiting for the rider. Your current booking stands until then.</p>
+                <button
+                  onClick={() => onWithdraw(change._id)}
+                  disabled={loading}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition disabled:opacity-50 whitespace-nowrap"
+                >
+                  Withdraw
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 // Passenger Summary for Rider to review
 const PassengerSummary = ({ passenger, booking }) => {
   const [imgError, setImgError] = useState(false);
@@ -736,7 +1179,30 @@ const JourneyDetails = ({ booking }) => {
 };
 
 // Payment Details Component
-const PaymentDetails = ({ booking }) => {
+const PaymentDetails = ({ booking, isRider }) => {
+  const paymentStatus = booking.payment?.status || 'PENDING';
+  const discount = booking.payment?.discount?.amount || 0;
+  const [downloading, setDownloading] = useState(false);
+  const [invoiceError, setInvoiceError] = useState('');
+  const canDownloadInvoice = !isRider && booking.status === 'COMPLETED';
+  const canPayOnline = !isRider &&
+    booking.payment?.method !== 'WALLET' &&
+    ['PENDING', 'FAILED'].includes(paymentStatus) &&
+    !['REJECTED', 'EXPIRED', 'CANCELLED', 'NO_SHOW', 'COMPLETED'].includes(booking.status);
+
+  const handleDownloadInvoice = async () => {
+    setDownloading(true);
+    setInvoiceError('');
+    try {
+      const blob = await bookingService.downloadInvoice(booking._id);
+      saveFile(blob, `LANE-invoice-${booking._id.slice(-8)}.pdf`);
+    } catch (err) {
+      setInvoiceError(await getBlobErrorMessage(err, 'Could not download the invoice'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   return (
     <div className="bg-emerald-50 rounded-lg p-6 mb-6">
       <h3 className="font-semibold text-gray-700 mb-3">
@@ -745,8 +1211,14 @@ const PaymentDetails = ({ booking }) => {
       <div className="space-y-2">
         <div className="flex justify-between">
           <span className="text-gray-600">Subtotal:</span>
-          <span className="font-semibold">₹{booking.totalPrice || 0}</span>
+          <span className="font-semibold">₹{(booking.totalPrice || 0) + discount}</span>
         </div>
+        {discount > 0 && (
+          <div className="flex justify-between text-emerald-600">
+            <span>Promo ({booking.payment.discount.code}):</span>
+            <span className="font-semibold">-₹{discount}</span>
+          </div>
+        )}
         <div className="flex justify-between">
           <span className="text-gray-600">Payment Method:</span>
           <span className="font-semibold">{booking.payment?.method || 'CASH'}</span>
@@ -754,18 +1226,56 @@ const PaymentDetails = ({ booking }) => {
         <div className="flex justify-between">
           <span className="text-gray-600">Payment Status:</span>
           <span className={`px-3 py-1 ${
-            booking.payment?.status === 'PAID' 
+            paymentStatus === 'PAID' 
               ? 'bg-green-100 text-green-800' 
-              : 'bg-yellow-100 text-yellow-800'
+              : paymentStatus === 'FAILED'
+                ? 'bg-red-100 text-red-800'
+                : 'bg-yellow-100 text-yellow-800'
           } rounded-full text-sm font-semibold`}>
-            {booking.payment?.status || 'PENDING'}
+            {paymentStatus}
           </span>
         </div>
+        {paymentStatus === 'FAILED' && booking.payment?.failureReason && (
+          <p className="text-xs text-red-600">{booking.payment.failureReason}</p>
+        )}
+        {booking.payment?.method === 'WALLET' && paymentStatus === 'PENDING' && !isRider && (
+          <p className="text-xs text-gray-500">
+            <i className="fas fa-lock mr-1"></i>Held in your wallet until the rider accepts
+          </p>
+        )}
+        {paymentStatus === 'REFUNDED' && booking.payment?.refundAmount > 0 && (
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-600">Refunded:</span>
+            <span className="font-semibold text-emerald-600">₹{booking.payment.refundAmount}</span>
+          </div>
+        )}
         <div className="border-t pt-2 mt-2 flex justify-between text-lg">
           <span className="font-bold">Total:</span>
           <span className="font-bold text-emerald-600">₹{booking.totalPrice || 0}</span>
         </div>
       </div>
+      {canPayOnline && (
+        <Link
+          to={`/bookings/${booking._id}/payment`}
+          className="block w-full mt-4 py-3 px-4 bg-emerald-500 text-white text-center rounded-lg font-medium hover:bg-emerald-600 transition"
+        >
+          <i className="fas fa-credit-card mr-2"></i>
+          {paymentStatus === 'FAILED' ? 'Retry Online Payment' : 'Pay Online'}
+        </Link>
+      )}
+      {canDownloadInvoice && (
+        <>
+          <button
+            onClick={handleDownloadInvoice}
+            disabled={downloading}
+            className="block w-full mt-4 py-3 px-4 border-2 border-emerald-500 text-emerald-600 text-center rounded-lg font-medium hover:bg-emerald-100 transition disabled:opacity-50"
+          >
+            <i className={`fas ${downloading ? 'fa-spinner fa-spin' : 'fa-file-invoice'} mr-2`}></i>
+            Download Invoice (PDF)
+          </button>
+          {invoiceError && <p className="text-xs text-red-600 mt-2">{invoiceError}</p>}
+        </>
+      )}
     </div>
   );
 };
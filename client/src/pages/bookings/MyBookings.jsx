@@ -5,7 +5,7 @@ import { useToast } from '../../components/common/Toast';
 import { useSocket } from '../../context/SocketContext';
 import bookingService from '../../services/bookingService';
 import { getUserDisplayName, getInitials, getAvatarColor, getUserPhoto } from '../../utils/imageHelpers';
-import { getRating, formatRating } from '../../utils/helpers';
+import { getRating, formatRating, describeRefundQuote } from '../../utils/helpers';
 
 // Rider avatar component with fallback
 const RiderAvatar = ({ rider }) => {
@@ -31,6 +31,224 @@ const RiderAvatar = ({ rider }) => {
   );
 };
 
+// Recurring ride subscriptions panel
+const SubscriptionsPanel = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, []);
+
+  const fetchSubscriptions = async () => {
+    try {
+      const data = await bookingService.getMySubscriptions();
+      setSubscriptions((data.subscriptions || []).filter(s => ['ACTIVE', 'PAUSED'].includes(s.status)));
+    } catch (err) {
+      console.error('Failed to load subscriptions');
+    }
+  };
+
+  const runAction = async (id, action) => {
+    if (action === 'cancel' && !window.confirm('Stop booking this recurring ride automatically? Rides already booked are kept.')) return;
+    setBusyId(id);
+    setPanelError('');
+    try {
+      if (action === 'pause') await bookingService.pauseSubscription(id);
+      if (action === 'resume') await bookingService.resumeSubscription(id);
+      if (action === 'cancel') await bookingService.cancelSubscription(id);
+      fetchSubscriptions();
+    } catch (err) {
+      setPanelError(err.response?.data?.message || err.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (subscriptions.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">
+        <i className="fas fa-redo text-emerald-500 mr-2"></i>Recurring Ride Subscriptions
+      </h2>
+      {panelError && <Alert type="error" message={panelError} onClose={() => setPanelError('')} />}
+      <div className="space-y-4">
+        {subscriptions.map(sub => {
+          const booked = sub.occurrences.filter(o => o.status === 'BOOKED').length;
+          const lastFailure = [...sub.occurrences].reverse().find(o => o.status === 'FAILED');
+          return (
+            <div key={sub._id} className="border border-emerald-100 rounded-xl p-4">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <p className="font-semibold text-gray-800">
+                    {sub.pickupPoint?.name} <i className="fas fa-arrow-right text-gray-400 mx-2"></i> {sub.dropoffPoint?.name}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    <i className="fas fa-calendar-week text-emerald-500 mr-1"></i>
+                    {sub.series?.patternLabel} • with {getUserDisplayName(sub.rider)}
+                  </p>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {sub.seatsBooked} seat{sub.seatsBooked > 1 ? 's' : ''} • {booked} ride{booked !== 1 ? 's' : ''} booked
+                  </p>
+                  {lastFailure && (
+                    <p className="text-sm text-orange-600 mt-1">
+                      <i className="fas fa-exclamation-triangle mr-1"></i>
+                      {lastFailure.date}: {lastFailure.reason}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant={sub.status === 'ACTIVE' ? 'success' : 'warning'}>{sub.status}</Badge>
+                  <button
+                    onClick={() => runAction(sub._id, sub.status === 'ACTIVE' ? 'pause' : 'resume')}
+                    disabled={busyId === sub._id}
+                    className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-semibold transition disabled:opacity-50"
+                  >
+                    <i className={`fas ${sub.status === 'ACTIVE' ? 'fa-pause' : 'fa-play'} mr-1`}></i>
+                    {sub.status === 'ACTIVE' ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => runAction(sub._id, 'cancel')}
+                    disabled={busyId === sub._id}
+                    className="px-3 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg text-sm font-semibold transition disabled:opacity-50"
+                  >
+                    <i className="fas fa-ban mr-1"></i>Unsubscribe
+                  </button>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Waitlisted rides panel - queue position, or seats held with a deadline
+const WaitlistPanel = () => {
+  const { socket, isConnected } = useSocket();
+  const [entries, setEntries] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+    socket.on('waitlist-updated', fetchEntries);
+    return () => socket.off('waitlist-updated', fetchEntries);
+  }, [socket, isConnected]);
+
+  const fetchEntries = async () => {
+    try {
+      const data = await bookingService.getMyWaitlist();
+      setEntries(data.entries || []);
+    } catch (err) {
+      console.error('Failed to load waitlist');
+    }
+  };
+
+  const runAction = async (id, action) => {
+    if (action === 'leave' && !window.confirm('Leave the waitlist for this ride?')) return;
+    setBusyId(id);
+    setPanelError('');
+    try {
+      if (action === 'leave') {
+        await bookingService.leaveWaitlist(id);
+      } else {
+        const result = await bookingService.respondToWaitlistOffer(id, action);
+        if (action === 'accept' && result.redirectUrl) {
+          window.location.assign(result.redirectUrl);
+          return;
+        }
+      }
+      fetchEntries();
+    } catch (err) {
+      setPanelError(err.response?.data?.message || err.message || 'Action failed');
+      fetchEntries();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">
+        <i className="fas fa-hourglass-half text-emerald-500 mr-2"></i>Waitlisted Rides
+      </h2>
+      {panelError && <Alert type="error" message={panelError} onClose={() => setPanelError('')} />}
+      <div className="space-y-4">
+        {entries.map(entry => (
+          <div
+            key={entry._id}
+            className={`border rounded-xl p-4 ${entry.status === 'OFFERED' ? 'border-yellow-300 bg-yellow-50' : 'border-emerald-100'}`}
+          >
+            <div className="flex flex-wrap items-start justify-between gap-3">
+              <div>
+                <Link to={`/rides/${entry.ride?._id}`} className="font-semibold text-gray-800 hover:text-emerald-600">
+                  {entry.pickupPoint?.name} <i className="fas fa-arrow-right text-gray-400 mx-2"></i> {entry.dropoffPoint?.name}
+                </Link>
+                <p className="text-sm text-gray-600 mt-1">
+                  <i className="fas fa-calendar text-emerald-500 mr-1"></i>
+                  {entry.ride?.schedule?.departureDateTime && new Date(entry.ride.schedule.departureDateTime).toLocaleString('en-IN', {
+                    weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+                  })}
+                  {' '}• {entry.seats} seat{entry.seats > 1 ? 's' : ''}
+                </p>
+                {entry.status === 'OFFERED' ? (
+                  <p className="text-sm text-yellow-800 font-medium mt-1">
+                    <i className="fas fa-bell mr-1"></i>
+                    Seats held for you until {new Date(entry.offer.expiresAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+                  </p>
+                ) : (
+                  <p className="text-sm text-gray-500 mt-1">
+                    #{entry.position} in line{entry.autoBook ? ' • books automatically' : ''}
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                {entry.status === 'OFFERED' && (
+                  <>
+                    <button
+                      onClick={() => runAction(entry._id, 'accept')}
+                      disabled={busyId === entry._id}
+                      className="px-3 py-2 bg-emerald-500 hover:bg-emerald-600 text-white rounded-lg text-sm font-semibold transition disabled:opacity-50"
+                    >
+                      <i className="fas fa-check mr-1"></i>Book Now
+                    </button>
+                    <button
+                      onClick={() => runAction(entry._id, 'decline')}
+                      disabled={busyId === entry._id}
+                      className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-semibold transition disabled:opacity-50"
+                    >
+                      Decline
+                    </button>
+                  </>
+                )}
+                {entry.status === 'WAITING' && (
+                  <button
+                    onClick={() => runAction(entry._id, 'leave')}
+                    disabled={busyId === entry._id}
+                    className="px-3 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg text-sm font-semibold transition disabled:opacity-50"
+                  >
+                    <i className="fas fa-sign-out-alt mr-1"></i>Leave
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 const MyBookings = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const { socket, isConnected } = useSocket();
@@ -39,6 +257,7 @@ const MyBookings = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [cancelBookingId, setCancelBookingId] = useState(null);
+  const [refundQuote, setRefundQuote] = useState(null);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -117,8 +336,14 @@ const MyBookings = () => {
     setSearchParams({ status: currentStatus, page: page.toString() });
   };
 
-  const handleCancelBooking = (bookingId) => {
+  const handleCancelBooking = async (bookingId) => {
+    setRefundQuote(null);
     setCancelBookingId(bookingId);
+    try {
+      setRefundQuote(await bookingService.getCancellationQuote(bookingId));
+    } catch (err) {
+      // The preview is informational - cancelling still works without it
+    }
   };
 
   const confirmCancelBooking = async () => {
@@ -225,6 +450,10 @@ const MyBookings = () => {
 
         {error && <Alert type="error" message={error} onClose={() => setError('')} />}
 
+        <SubscriptionsPanel />
+
+        <WaitlistPanel />
+
         {/* Bookings List */}
         {loading ? (
           <LoadingSpinner fullScreen={false} size="lg" text="Loading bookings..." />
@@ -254,6 +483,16 @@ const MyBookings = () => {
                   {/* Status Badge */}
                   <div>
                     {getStatusBadge(booking)}
+                    {booking.subscription && (
+                      <Badge variant="primary" className="ml-2">
+                        <i className="fas fa-redo mr-1"></i>Recurring
+                      </Badge>
+                    )}
+                    {booking.itinerary && (
+                      <Badge variant="info" className="ml-2">
+                        <i className="fas fa-exchange-alt mr-1"></i>Leg {booking.itineraryLeg} of 2
+                      </Badge>
+                    )}
                     <p className="text-gray-500 text-sm mt-2">
                       Booking ID: #{booking._id?.toString().slice(-8).toUpperCase()}
                     </p>
@@ -488,7 +727,7 @@ const MyBookings = () => {
         onClose={() => setCancelBookingId(null)}
         onConfirm={confirmCancelBooking}
         title="Cancel Booking"
-        message="Are you sure you want to cancel this booking? This action cannot be undone."
+        message={`Are you sure you want to cancel this booking? ${describeRefundQuote(refundQuote || undefined) || 'This action cannot be undone.'}`}
         confirmText="Cancel Booking"
         cancelText="Keep Booking"
         variant="danger"
@@ -1,7 +1,14 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import bookingService from '../../services/bookingService';
-import { Button, Alert } from '../../components/common';
+import { Button, Alert, Modal } from '../../components/common';
+import { loadRazorpayCheckout } from '../../utils/razorpayCheckout';
+
+const PAYMENT_METHODS = [
+  { value: 'upi', label: 'UPI', description: 'Google Pay, PhonePe, Paytm or any UPI app', icon: 'fa-mobile-alt' },
+  { value: 'card', label: 'Credit/Debit Card', description: 'Visa, Mastercard, RuPay', icon: 'fa-credit-card' },
+  { value: 'netbanking', label: 'Netbanking', description: 'All major Indian banks', icon: 'fa-university' }
+];
 
 const Payment = () => {
   const { bookingId } = useParams();
@@ -10,17 +17,9 @@ const Payment = () => {
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState('');
-  const [success, setSuccess] = useState('');
+  const [notice, setNotice] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('upi');
-  const [upiId, setUpiId] = useState('');
-  const [cardDetails, setCardDetails] = useState({
-    number: '',
-    expiry: '',
-    cvv: '',
-    name: ''
-  });
-  const [couponCode, setCouponCode] = useState('');
-  const [discount, setDiscount] = useState(0);
+  const [mockOrder, setMockOrder] = useState(null);
 
   useEffect(() => {
     fetchBooking();
@@ -35,74 +34,121 @@ const Payment = () => {
         setError('Booking not found');
       }
     } catch (err) {
-      setError(err.message || 'Failed to load booking');
+      setError(err.response?.data?.message || err.message || 'Failed to load booking');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleApplyCoupon = () => {
-    // Mock coupon validation
-    const totalAmount = booking.totalPrice || booking.totalAmount;
-    if (couponCode.toUpperCase() === 'FIRST50') {
-      setDiscount(50);
-      setSuccess('Coupon applied! ₹50 discount');
-    } else if (couponCode.toUpperCase() === 'SAVE10') {
-      const disc = Math.round(totalAmount * 0.1);
-      setDiscount(disc);
-      setSuccess(`Coupon applied! ₹${disc} discount (10% off)`);
-    } else {
-      setError('Invalid coupon code');
-      setDiscount(0);
+  const handleSuccess = async (order, { paymentId, signature }) => {
+    try {
+      const response = await bookingService.verifyPayment(bookingId, {
+        orderId: order.orderId,
+        paymentId,
+        signature
+      });
+      navigate(`/bookings/${bookingId}/success`, {
+        state: {
+          paymentId: response.paymentId,
+          amount: response.amount,
+          rideCompleted: response.rideCompleted
+        }
+      });
+    } catch (err) {
+      navigate(`/bookings/${bookingId}/failed`, {
+        state: {
+          message: err.response?.data?.message || 'We could not verify your payment.',
+          transactionId: paymentId
+        }
+      });
     }
   };
 
-  const handlePayment = async () => {
-    setProcessing(true);
-    setError('');
-
-    const totalAmount = booking.totalPrice || booking.totalAmount;
-
-    // Validate payment method specific fields
-    if (paymentMethod === 'upi' && !upiId) {
-      setError('Please enter your UPI ID');
-      setProcessing(false);
-      return;
+  const handleFailure = async (order, { paymentId, reason }) => {
+    try {
+      await bookingService.reportPaymentFailure(bookingId, { orderId: order.orderId, paymentId, reason });
+    } catch (err) {
+      console.error('Failed to record payment failure:', err);
     }
+    navigate(`/bookings/${bookingId}/failed`, {
+      state: { message: reason, transactionId: paymentId }
+    });
+  };
 
-    if (paymentMethod === 'card') {
-      if (!cardDetails.number || !cardDetails.expiry || !cardDetails.cvv || !cardDetails.name) {
-        setError('Please fill all card details');
-        setProcessing(false);
-        return;
+  const openRazorpayCheckout = async (order, details) => {
+    const Razorpay = await loadRazorpayCheckout();
+    const checkout = new Razorpay({
+      key: order.keyId,
+      order_id: order.orderId,
+      amount: Math.round(order.amount * 100),
+      currency: order.currency,
+      name: 'LOOPLANE',
+      description: `Booking #${bookingId.slice(-8)}`,
+      prefill: {
+        name: details.passenger?.name,
+        email: details.passenger?.email,
+        method: paymentMethod
+      },
+      theme: { color: '#10b981' },
+      handler: (response) => handleSuccess(order, {
+        paymentId: response.razorpay_payment_id,
+        signature: response.razorpay_signature
+      }),
+      modal: {
+        ondismiss: () => {
+          setProcessing(false);
+          setNotice('Payment was cancelled. You can try again whenever you are ready.');
+        }
       }
+    });
+
+    checkout.on('payment.failed', (response) => {
+      checkout.close();
+      handleFailure(order, {
+        paymentId: response.error?.metadata?.payment_id,
+        reason: response.error?.description
+      });
+    });
+
+    checkout.open();
+  };
+
+  const handleMockOutcome = async (outcome) => {
+    const order = mockOrder;
+    setMockOrder(null);
+    try {
+      const response = await bookingService.mockCheckout(order.orderId, outcome);
+      await handleSuccess(order, response);
+    } catch (err) {
+      await handleFailure(order, {
+        paymentId: err.response?.data?.paymentId,
+        reason: err.response?.data?.message || 'Payment failed'
+      });
     }
+  };
+
+  const handleMockDismiss = () => {
+    setMockOrder(null);
+    setProcessing(false);
+    setNotice('Payment was cancelled. You can try again whenever you are ready.');
+  };
+
+  const handlePayment = async () => {
+    setProcessing(true);
+    setError('');
+    setNotice('');
 
     try {
-      const paymentData = {
-        bookingId,
-        method: paymentMethod,
-        amount: totalAmount - discount,
-        ...(paymentMethod === 'upi' && { upiId }),
-        ...(paymentMethod === 'card' && { cardDetails }),
-        ...(discount > 0 && { couponCode, discount })
-      };
+      const response = await bookingService.createPaymentOrder(bookingId);
+      const { order } = response;
 
-      const response = await bookingService.completePayment(bookingId, paymentData);
-      
-      if (response.success) {
-        navigate(`/bookings/${bookingId}/success`, { 
-          state: { 
-            paymentId: response.paymentId,
-            amount: totalAmount - discount
-          } 
-        });
+      if (order.gateway === 'mock') {
+        setMockOrder(order);
       } else {
-        setError(response.message || 'Payment failed');
+        await openRazorpayCheckout(order, response.booking);
       }
     } catch (err) {
-      setError(err.message || 'Payment processing failed');
-    } finally {
+      setError(err.response?.data?.message || err.message || 'Could not start the payment');
       setProcessing(false);
     }
   };
@@ -115,7 +161,7 @@ const Payment = () => {
     );
   }
 
-  if (error || !booking) {
+  if (!booking) {
     return (
       <div className="min-h-screen bg-gray-50 py-8">
         <div className="max-w-lg mx-auto px-4">
@@ -131,21 +177,37 @@ const Payment = () => {
     );
   }
 
-  const totalAmount = booking.totalPrice || booking.totalAmount || 0;
+  const totalAmount = booking.payment?.totalAmount || booking.totalPrice || 0;
   const pickupAddress = booking.pickupPoint?.address || booking.ride?.route?.start?.address || 'Pickup';
   const dropoffAddress = booking.dropoffPoint?.address || booking.ride?.route?.destination?.address || 'Dropoff';
   const pricePerSeat = booking.ride?.pricing?.pricePerSeat || 0;
   const rideDate = booking.ride?.schedule?.departureDateTime || booking.ride?.schedule?.date || booking.createdAt;
+  const paymentStatus = booking.payment?.status || 'PENDING';
+  const isPaid = ['PAID', 'PAYMENT_CONFIRMED', 'REFUNDED'].includes(paymentStatus);
+  const isClosed = ['REJECTED', 'EXPIRED', 'CANCELLED', 'NO_SHOW'].includes(booking.status);
+  const attempts = booking.payment?.attempts?.filter(a => a.status === 'FAILED').length || 0;
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-2xl mx-auto px-4">
         <h1 className="text-2xl font-bold text-gray-900 mb-6">Complete Payment</h1>
 
+        {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
+        {notice && <Alert type="warning" message={notice} className="mb-6" onClose={() => setNotice('')} />}
+
+        {paymentStatus === 'FAILED' && !notice && (
+          <Alert
+            type="warning"
+            title="Your last payment attempt failed"
+            message={`${booking.payment?.failureReason || 'The payment did not go through.'} No money was taken - you can safely try again.`}
+            className="mb-6"
+          />
+        )}
+
         {/* Booking Summary */}
         <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Booking Summary</h2>
-          
+
           <div className="flex items-start mb-4">
             <div className="flex flex-col items-center mr-4">
               <div className="w-3 h-3 rounded-full bg-emerald-500"></div>
@@ -172,211 +234,113 @@ const Payment = () => {
               <span className="text-gray-600">Price per seat</span>
               <span className="text-gray-900">₹{pricePerSeat}</span>
             </div>
+            {booking.payment?.platformCommission > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-600">Platform fee</span>
+                <span className="text-gray-900">₹{booking.payment.platformCommission}</span>
+              </div>
+            )}
             <div className="flex justify-between text-base font-semibold pt-2 border-t border-gray-200">
               <span className="text-gray-900">Total Amount</span>
               <span className="text-emerald-600">₹{totalAmount}</span>
             </div>
-            {discount > 0 && (
-              <>
-                <div className="flex justify-between text-sm text-green-600">
-                  <span>Discount Applied</span>
-                  <span>-₹{discount}</span>
-                </div>
-                <div className="flex justify-between text-base font-semibold">
-                  <span className="text-gray-900">Final Amount</span>
-                  <span className="text-emerald-600">₹{totalAmount - discount}</span>
-                </div>
-              </>
-            )}
           </div>
         </div>
 
-        {/* Coupon Section */}
-        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Apply Coupon</h2>
-          <div className="flex space-x-2">
-            <input
-              type="text"
-              value={couponCode}
-              onChange={(e) => setCouponCode(e.target.value)}
-              placeholder="Enter coupon code"
-              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-            />
-            <button
-              onClick={handleApplyCoupon}
-              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors font-medium"
-            >
-              Apply
-            </button>
+        {isPaid || isClosed ? (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-6 text-center">
+            <i className={`fas ${isPaid ? 'fa-check-circle text-emerald-500' : 'fa-ban text-gray-400'} text-4xl mb-3`}></i>
+            <p className="text-gray-900 font-medium mb-1">
+              {isPaid ? 'This booking has already been paid' : `This booking is ${booking.status.toLowerCase().replace('_', ' ')}`}
+            </p>
+            {isPaid && booking.payment?.gatewayPaymentId && (
+              <p className="text-sm text-gray-500 font-mono">{booking.payment.gatewayPaymentId}</p>
+            )}
+            <Link to={`/bookings/${bookingId}`} className="inline-block mt-4 text-emerald-500 hover:text-emerald-600 font-medium">
+              View Booking
+            </Link>
           </div>
-          <p className="text-xs text-gray-500 mt-2">Try: FIRST50 or SAVE10</p>
-        </div>
+        ) : (
+          <>
+            {/* Payment Methods */}
+            <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Payment Method</h2>
 
-        {/* Payment Methods */}
-        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Payment Method</h2>
-          
-          <div className="space-y-3">
-            <label className={`flex items-center p-4 border-2 rounded-lg cursor-pointer transition ${
-              paymentMethod === 'upi' ? 'border-emerald-500 bg-emerald-50' : 'border-gray-200 hover:border-emerald-400'
-            }`}>
-              <input
-                type="radio"
-                name="paymentMethod"
-                value="upi"
-                checked={paymentMethod === 'upi'}
-                onChange={(e) => setPaymentMethod(e.target.value)}
-                className="text-emerald-500 focus:ring-emerald-500"
-              />
-              <div className="ml-3 flex-1">
-                <p className="font-medium text-gray-900">UPI</p>
-                <p className="text-xs text-gray-500">Pay using Google Pay, PhonePe, Paytm</p>
-              </div>
-              <div className="flex space-x-2">
-                <img src="/images/gpay.png" alt="GPay" className="h-6 w-6 object-contain" />
-                <img src="/images/phonepe.png" alt="PhonePe" className="h-6 w-6 object-contain" />
-              </div>
-            </label>
-
-            <label className={`flex items-center p-4 border-2 rounded-lg cursor-pointer transition ${
-              paymentMethod === 'card' ? 'border-emerald-500 bg-emerald-50' : 'border-gray-200 hover:border-emerald-400'
-            }`}>
-              <input
-                type="radio"
-                name="paymentMethod"
-                value="card"
-                checked={paymentMethod === 'card'}
-                onChange={(e) => setPaymentMethod(e.target.value)}
-                className="text-emerald-500 focus:ring-emerald-500"
-              />
-              <div className="ml-3 flex-1">
-                <p className="font-medium text-gray-900">Credit/Debit Card</p>
-                <p className="text-xs text-gray-500">Visa, Mastercard, RuPay</p>
+              <div className="space-y-3">
+                {PAYMENT_METHODS.map((method) => (
+                  <label
+                    key={method.value}
+                    className={`flex items-center p-4 border-2 rounded-lg cursor-pointer transition ${
+                      paymentMethod === method.value ? 'border-emerald-500 bg-emerald-50' : 'border-gray-200 hover:border-emerald-400'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="paymentMethod"
+                      value={method.value}
+                      checked={paymentMethod === method.value}
+                      onChange={(e) => setPaymentMethod(e.target.value)}
+                      className="text-emerald-500 focus:ring-emerald-500"
+                    />
+                    <div className="ml-3 flex-1">
+                      <p className="font-medium text-gray-900">{method.label}</p>
+                      <p className="text-xs text-gray-500">{method.description}</p>
+                    </div>
+                    <i className={`fas ${method.icon} text-xl text-gray-400`}></i>
+                  </label>
+                ))}
               </div>
-              <svg className="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
-              </svg>
-            </label>
 
-            <label className={`flex items-center p-4 border-2 rounded-lg cursor-pointer transition ${
-              paymentMethod === 'wallet' ? 'border-emerald-500 bg-emerald-50' : 'border-gray-200 hover:border-emerald-400'
-            }`}>
-              <input
-                type="radio"
-                name="paymentMethod"
-                value="wallet"
-                checked={paymentMethod === 'wallet'}
-                onChange={(e) => setPaymentMethod(e.target.value)}
-                className="text-emerald-500 focus:ring-emerald-500"
-              />
-              <div className="ml-3 flex-1">
-                <p className="font-medium text-gray-900">LOOPLANE Wallet</p>
-                <p className="text-xs text-gray-500">Balance: ₹500</p>
-              </div>
-              <svg className="w-8 h-8 text-emerald-500" fill="currentColor" viewBox="0 0 24 24">
-                <path d="M21 18v1a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h14a2 2 0 012 2v1" />
-                <path d="M21 12H8" />
-              </svg>
-            </label>
-
-            <label className={`flex items-center p-4 border-2 rounded-lg cursor-pointer transition ${
-              paymentMethod === 'cash' ? 'border-emerald-500 bg-emerald-50' : 'border-gray-200 hover:border-emerald-400'
-            }`}>
-              <input
-                type="radio"
-                name="paymentMethod"
-                value="cash"
-                checked={paymentMethod === 'cash'}
-                onChange={(e) => setPaymentMethod(e.target.value)}
-                className="text-emerald-500 focus:ring-emerald-500"
-              />
-              <div className="ml-3 flex-1">
-                <p className="font-medium text-gray-900">Cash</p>
-                <p className="text-xs text-gray-500">Pay driver directly after ride</p>
-              </div>
-              <span className="text-xl">💵</span>
-            </label>
-          </div>
-
-          {/* UPI Input */}
-          {paymentMethod === 'upi' && (
-            <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-              <label className="block text-sm font-medium text-gray-700 mb-2">UPI ID</label>
-              <input
-                type="text"
-                value={upiId}
-                onChange={(e) => setUpiId(e.target.value)}
-                placeholder="example@upi"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-              />
+              <p className="text-xs text-gray-500 mt-4">
+                <i className="fas fa-lock mr-1"></i>
+                Your card and UPI details are entered on our payment partner's secure checkout, never on LOOPLANE.
+              </p>
             </div>
-          )}
 
-          {/* Card Details Input */}
-          {paymentMethod === 'card' && (
-            <div className="mt-4 p-4 bg-gray-50 rounded-lg space-y-3">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Card Number</label>
-                <input
-                  type="text"
-                  value={cardDetails.number}
-                  onChange={(e) => setCardDetails(prev => ({ ...prev, number: e.target.value }))}
-                  placeholder="1234 5678 9012 3456"
-                  maxLength={19}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Cardholder Name</label>
-                <input
-                  type="text"
-                  value={cardDetails.name}
-                  onChange={(e) => setCardDetails(prev => ({ ...prev, name: e.target.value }))}
-                  placeholder="Name on card"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-                />
-              </div>
-              <div className="grid grid-cols-2 gap-3">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Expiry</label>
-                  <input
-                    type="text"
-                    value={cardDetails.expiry}
-                    onChange={(e) => setCardDetails(prev => ({ ...prev, expiry: e.target.value }))}
-                    placeholder="MM/YY"
-                    maxLength={5}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">CVV</label>
-                  <input
-                    type="password"
-                    value={cardDetails.cvv}
-                    onChange={(e) => setCardDetails(prev => ({ ...prev, cvv: e.target.value }))}
-                    placeholder="***"
-                    maxLength={3}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
-                  />
-                </div>
-              </div>
-            </div>
-          )}
-        </div>
+            {/* Pay Button */}
+            <Button
+              onClick={handlePayment}
+              loading={processing}
+              className="w-full"
+            >
+              {paymentStatus === 'FAILED' ? 'Retry Payment' : 'Pay'} ₹{totalAmount}
+            </Button>
 
-        {/* Pay Button */}
-        <Button
-          onClick={handlePayment}
-          loading={processing}
-          className="w-full"
-        >
-          Pay ₹{totalAmount - discount}
-        </Button>
+            {attempts > 0 && (
+              <p className="text-xs text-gray-500 text-center mt-2">
+                {attempts} failed attempt{attempts > 1 ? 's' : ''} so far
+              </p>
+            )}
 
-        <p className="text-xs text-gray-500 text-center mt-4">
-          By completing payment, you agree to our refund and cancellation policy
-        </p>
+            <p className="text-xs text-gray-500 text-center mt-4">
+              By completing payment, you agree to our refund and cancellation policy
+            </p>
+          </>
+        )}
       </div>
+
+      {/* Simulated checkout for the local mock gateway */}
+      <Modal
+        isOpen={Boolean(mockOrder)}
+        onClose={handleMockDismiss}
+        title="Test Checkout"
+        size="sm"
+      >
+        <p className="text-sm text-gray-600 mb-2">
+          The mock payment gateway is active, so no real money will move.
+        </p>
+        <p className="text-sm text-gray-900 mb-6">
+          Order <span className="font-mono">{mockOrder?.orderId}</span> for <span className="font-semibold">₹{mockOrder?.amount}</span>
+        </p>
+        <div className="space-y-3">
+          <Button onClick={() => handleMockOutcome('success')} className="w-full">
+            <i className="fas fa-check mr-2"></i>Simulate Successful Payment
+          </Button>
+          <Button variant="outline" onClick={() => handleMockOutcome('failure')} className="w-full">
+            <i className="fas fa-times mr-2"></i>Simulate Failed Payment
+          </Button>
+        </div>
+      </Modal>
     </div>
   );
 };
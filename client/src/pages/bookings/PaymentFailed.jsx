@@ -1,5 +1,7 @@
+import { useEffect, useState } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import { Link } from 'react-router-dom';
+import bookingService from '../../services/bookingService';
 
 const PaymentFailed = () => {
   const { bookingId } = useParams();
@@ -7,6 +9,19 @@ const PaymentFailed = () => {
   const location = useLocation();
   
   const errorInfo = location.state || {};
+  const [booking, setBooking] = useState(null);
+
+  // The failure reason is also stored on the booking, so a refreshed page still explains it
+  useEffect(() => {
+    bookingService.getBookingById(bookingId)
+      .then((response) => {
+        if (response.success) setBooking(response.booking);
+      })
+      .catch((err) => console.error('Failed to fetch booking:', err));
+  }, [bookingId]);
+
+  const message = errorInfo.message || booking?.payment?.failureReason;
+  const alreadyPaid = ['PAID', 'PAYMENT_CONFIRMED'].includes(booking?.payment?.status);
 
   const handleRetry = () => {
     navigate(`/bookings/${bookingId}/payment`);
@@ -25,9 +40,15 @@ const PaymentFailed = () => {
           
           <h1 className="text-2xl font-bold text-gray-900 mb-2">Payment Failed</h1>
           <p className="text-gray-600 mb-6">
-            {errorInfo.message || 'Something went wrong with your payment. Please try again.'}
+            {message || 'Something went wrong with your payment. Please try again.'}
           </p>
 
+          {alreadyPaid && (
+            <div className="bg-emerald-50 rounded-lg p-4 mb-6 text-sm text-emerald-800">
+              Good news - a later attempt went through and this booking is now paid.
+            </div>
+          )}
+
           {/* Error Details */}
           <div className="bg-red-50 rounded-lg p-4 mb-6 text-left">
             <h3 className="font-medium text-red-800 mb-2">Possible reasons:</h3>
@@ -54,12 +75,14 @@ const PaymentFailed = () => {
 
           {/* Action Buttons */}
           <div className="space-y-3">
-            <button 
-              onClick={handleRetry}
-              className="block w-full py-3 px-4 bg-emerald-500 text-white rounded-lg font-medium hover:bg-emerald-600 transition"
-            >
-              Try Again
-            </button>
+            {!alreadyPaid && (
+              <button 
+                onClick={handleRetry}
+                className="block w-full py-3 px-4 bg-emerald-500 text-white rounded-lg font-medium hover:bg-emerald-600 transition"
+              >
+                Try Again
+              </button>
+            )}
             <Link 
               to={`/bookings/${bookingId}`}
               className="block w-full py-3 px-4 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition"
@@ -67,7 +90,7 @@ const PaymentFailed = () => {
               View Booking
             </Link>
             <a 
-              href="mailto:support@looplane.com?subject=Payment%20Issue%20-%20Booking%20ID%20"
+              href={`mailto:support@looplane.com?subject=Payment%20Issue%20-%20Booking%20ID%20${bookingId}`}
               className="block w-full py-3 px-4 text-emerald-500 font-medium hover:text-emerald-600 transition text-center"
             >
               Contact Support
@@ -49,18 +49,24 @@ const PaymentSuccess = () => {
           </div>
           
           <h1 className="text-2xl font-bold text-gray-900 mb-2">Payment Successful!</h1>
-          <p className="text-gray-600 mb-6">Your booking has been confirmed</p>
+          <p className="text-gray-600 mb-6">
+            {paymentInfo.rideCompleted || booking?.status === 'COMPLETED'
+              ? 'Thanks for riding with us - your trip is complete'
+              : booking?.status === 'PENDING'
+                ? 'Your booking is prepaid and waiting for the driver to accept'
+                : 'Your booking is paid'}
+          </p>
 
           {/* Payment Details */}
           <div className="bg-emerald-50 rounded-lg p-4 mb-6 text-left">
             <div className="space-y-2">
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Payment ID</span>
-                <span className="font-mono text-gray-900">{paymentInfo.paymentId || 'PAY123456'}</span>
+                <span className="font-mono text-gray-900">{paymentInfo.paymentId || booking?.payment?.gatewayPaymentId || '-'}</span>
               </div>
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Amount Paid</span>
-                <span className="font-semibold text-emerald-600">₹{paymentInfo.amount || booking?.totalAmount}</span>
+                <span className="font-semibold text-emerald-600">₹{paymentInfo.amount || booking?.payment?.totalAmount || booking?.totalPrice}</span>
               </div>
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Booking ID</span>
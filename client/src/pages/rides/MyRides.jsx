@@ -9,6 +9,7 @@ const MyRides = () => {
   const [error, setError] = useState('');
   const [currentStatus, setCurrentStatus] = useState('all');
   const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1 });
+  const [seriesList, setSeriesList] = useState([]);
 
   const statusFilters = [
     { key: 'all', label: 'All Rides', color: 'bg-emerald-500' },
@@ -22,6 +23,24 @@ const MyRides = () => {
     fetchRides();
   }, [currentStatus, pagination.currentPage]);
 
+  useEffect(() => {
+    fetchSeries();
+  }, []);
+
+  const fetchSeries = async () => {
+    try {
+      const data = await rideService.getMySeries();
+      setSeriesList((data.series || []).filter(s => s.status === 'ACTIVE'));
+    } catch (err) {
+      console.error('Failed to load recurring rides');
+    }
+  };
+
+  const refreshAll = () => {
+    fetchRides();
+    fetchSeries();
+  };
+
   const fetchRides = async () => {
     setLoading(true);
     try {
@@ -100,6 +119,20 @@ const MyRides = () => {
 
         {error && <Alert type="error" message={error} onClose={() => setError('')} />}
 
+        {/* Recurring Rides */}
+        {seriesList.length > 0 && (
+          <div className="bg-white rounded-2xl shadow-lg p-6 mb-8">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">
+              <i className="fas fa-redo text-emerald-500 mr-2"></i>Recurring Rides
+            </h2>
+            <div className="space-y-4">
+              {seriesList.map(series => (
+                <SeriesCard key={series._id} series={series} onRefresh={refreshAll} />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Rides List */}
         <div className="space-y-6">
           {rides.length === 0 ? (
@@ -115,7 +148,7 @@ const MyRides = () => {
             </div>
           ) : (
             rides.map(ride => (
-              <RideCard key={ride._id} ride={ride} getStatusBadge={getStatusBadge} formatDate={formatDate} onRefresh={fetchRides} />
+              <RideCard key={ride._id} ride={ride} getStatusBadge={getStatusBadge} formatDate={formatDate} onRefresh={refreshAll} />
             ))
           )}
 
@@ -149,6 +182,97 @@ const MyRides = () => {
   );
 };
 
+// Recurring Series Card Component
+const SeriesCard = ({ series, onRefresh }) => {
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState('');
+  const upcoming = (series.upcomingRides || []).filter(r => r.status === 'ACTIVE');
+
+  const formatDay = (dateKey) => {
+    return new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric'
+    });
+  };
+
+  const handleSkip = async (dateKey) => {
+    if (!window.confirm(`Skip the ride on ${formatDay(dateKey)}? Booked passengers will be notified.`)) return;
+    setBusy(true);
+    setActionError('');
+    try {
+      await rideService.skipSeriesOccurrence(series._id, dateKey);
+      onRefresh();
+    } catch (err) {
+      setActionError(err.response?.data?.message || err.message || 'Failed to skip date');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancelSeries = async () => {
+    if (!window.confirm('Cancel this recurring ride? All upcoming rides will be cancelled and passengers notified.')) return;
+    setBusy(true);
+    setActionError('');
+    try {
+      await rideService.cancelRideSeries(series._id, 'Recurring ride cancelled by rider');
+      onRefresh();
+    } catch (err) {
+      setActionError(err.response?.data?.message || err.message || 'Failed to cancel recurring ride');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="border border-emerald-100 rounded-xl p-4">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p className="font-semibold text-gray-800">
+            {series.route?.start?.name} <i className="fas fa-arrow-right text-gray-400 mx-2"></i> {series.route?.destination?.name}
+          </p>
+          <p className="text-sm text-gray-600 mt-1">
+            <i className="fas fa-calendar-week text-emerald-500 mr-1"></i>
+            {series.patternLabel} • {formatDay(series.recurrence?.startDate)} – {formatDay(series.recurrence?.endDate)}
+          </p>
+          <p className="text-sm text-gray-500 mt-1">
+            ₹{series.pricing?.pricePerSeat} per seat • {series.pricing?.totalSeats} seats • {upcoming.length} upcoming ride{upcoming.length !== 1 ? 's' : ''}
+          </p>
+        </div>
+        <button
+          onClick={handleCancelSeries}
+          disabled={busy}
+          className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg font-semibold transition disabled:opacity-50"
+        >
+          <i className="fas fa-ban mr-2"></i>Cancel Series
+        </button>
+      </div>
+
+      {upcoming.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {upcoming.map(ride => (
+            <span key={ride._id} className="inline-flex items-center bg-emerald-50 text-emerald-700 px-3 py-1 rounded-full text-xs font-semibold">
+              <Link to={`/rides/${ride._id}`} className="hover:underline">{formatDay(ride.seriesOccurrence)}</Link>
+              <button
+                onClick={() => handleSkip(ride.seriesOccurrence)}
+                disabled={busy}
+                title="Skip this date"
+                className="ml-2 text-emerald-500 hover:text-red-500"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {actionError && (
+        <p className="text-sm text-red-600 mt-2">
+          <i className="fas fa-exclamation-circle mr-1"></i>{actionError}
+        </p>
+      )}
+    </div>
+  );
+};
+
 // Ride Card Component
 const RideCard = ({ ride, getStatusBadge, formatDate, onRefresh }) => {
   const navigate = useNavigate();
@@ -159,6 +283,7 @@ const RideCard = ({ ride, getStatusBadge, formatDate, onRefresh }) => {
   const [deleteError, setDeleteError] = useState('');
   const [cancelError, setCancelError] = useState('');
   const [cancelReason, setCancelReason] = useState('');
+  const [cancelQuote, setCancelQuote] = useState(null);
   
   const confirmedBookings = (ride.bookings || []).filter(b => ['CONFIRMED', 'COMPLETED'].includes(b.status));
   const pendingBookings = (ride.bookings || []).filter(b => b.status === 'PENDING');
@@ -185,6 +310,17 @@ const RideCard = ({ ride, getStatusBadge, formatDate, onRefresh }) => {
     }
   };
 
+  const openCancelModal = async () => {
+    setCancelQuote(null);
+    setShowCancelModal(true);
+    try {
+      const response = await rideService.getCancellationQuote(ride._id);
+      setCancelQuote(response.quote);
+    } catch (err) {
+      // The preview is informational - cancelling still works without it
+    }
+  };
+
   const handleCancel = async () => {
     setCancelling(true);
     setCancelError('');
@@ -216,6 +352,11 @@ const RideCard = ({ ride, getStatusBadge, formatDate, onRefresh }) => {
                 <i className="fas fa-female mr-1"></i>Ladies Only
               </span>
             )}
+            {ride.series && (
+              <span className="bg-emerald-100 text-emerald-700 px-3 py-1 rounded-full text-xs font-semibold">
+                <i className="fas fa-redo mr-1"></i>Recurring
+              </span>
+            )}
           </div>
           <p className="text-gray-500 text-sm mt-2">
             {formatDate(ride.schedule?.departureDateTime || ride.schedule?.date)}
@@ -383,7 +524,7 @@ const RideCard = ({ ride, getStatusBadge, formatDate, onRefresh }) => {
         {/* Cancel Button - Only if HAS bookings (need to notify passengers & keep record) */}
         {canCancel && (
           <button 
-            onClick={() => setShowCancelModal(true)}
+            onClick={openCancelModal}
             className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg font-semibold transition"
           >
             <i className="fas fa-ban mr-2"></i>Cancel Ride
@@ -425,6 +566,26 @@ const RideCard = ({ ride, getStatusBadge, formatDate, onRefresh }) => {
               </div>
             </div>
             
+            {/* Refunds and penalty under the cancellation policy */}
+            {cancelQuote?.confirmedBookings > 0 && (
+              <div className={`rounded-lg p-3 mb-4 text-sm ${cancelQuote.penaltyAmount > 0 ? 'bg-red-50 text-red-800' : 'bg-blue-50 text-blue-800'}`}>
+                <p>
+                  <i className="fas fa-receipt mr-2"></i>
+                  Passengers get a {cancelQuote.refundPercent}% refund (₹{cancelQuote.refundTotal} in total).
+                </p>
+                {cancelQuote.penaltyAmount > 0 ? (
+                  <p className="mt-1 font-semibold">
+                    <i className="fas fa-exclamation-triangle mr-2"></i>
+                    Cancelling within {cancelQuote.penaltyWindowHours} hours of departure costs you a ₹{cancelQuote.penaltyAmount} penalty, deducted from your next payout.
+                  </p>
+                ) : cancelQuote.penaltyPerPassenger > 0 && (
+                  <p className="mt-1">
+                    Cancelling within {cancelQuote.penaltyWindowHours} hours of departure adds a ₹{cancelQuote.penaltyPerPassenger} penalty per confirmed passenger.
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Cancel Reason */}
             <div className="mb-4">
               <label className="block text-gray-700 font-medium mb-2">Reason (optional)</label>
@@ -16,6 +16,7 @@ const PostRide = () => {
   const [allVehicles, setAllVehicles] = useState([]);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [zoneWarnings, setZoneWarnings] = useState([]);
 
   const [formData, setFormData] = useState({
     origin: null,
@@ -26,13 +27,27 @@ const PostRide = () => {
     availableSeats: 4,
     customPricePerSeat: '',
     ladiesOnly: false,
-    notes: ''
+    notes: '',
+    repeatWeekly: false,
+    daysOfWeek: [],
+    endDate: '',
+    autoAcceptSubscribers: false
   });
 
   const [distance, setDistance] = useState(null);
   const [pricePerSeat, setPricePerSeat] = useState(null);
 
   const today = new Date().toISOString().split('T')[0];
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  const toggleWeekday = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day].sort()
+    }));
+  };
 
   useEffect(() => {
     fetchVehicles();
@@ -151,9 +166,48 @@ const PostRide = () => {
       return;
     }
 
+    if (formData.repeatWeekly) {
+      if (formData.daysOfWeek.length === 0) {
+        setError('Please select at least one day for the recurring ride');
+        return;
+      }
+      if (!formData.endDate || formData.endDate < formData.date) {
+        setError('Please select an end date on or after the start date');
+        return;
+      }
+    }
+
     setSubmitting(true);
 
     try {
+      if (formData.repeatWeekly) {
+        const result = await rideService.createRideSeries({
+          originCoordinates: formData.origin,
+          destinationCoordinates: formData.destination,
+          fromLocation: formData.origin.address,
+          toLocation: formData.destination.address,
+          time: formData.time,
+          daysOfWeek: formData.daysOfWeek,
+          startDate: formData.date,
+          endDate: formData.endDate,
+          timezoneOffset: new Date().getTimezoneOffset(),
+          vehicleId: formData.vehicleId,
+          availableSeats: parseInt(formData.availableSeats),
+          pricePerSeat: pricePerSeat,
+          ladiesOnly: formData.ladiesOnly,
+          autoAcceptBookings: formData.autoAcceptSubscribers,
+          notes: formData.notes
+        });
+
+        if (result.success) {
+          setSuccess(result.message || 'Recurring ride created successfully!');
+          setTimeout(() => navigate('/my-rides'), 1500);
+        } else {
+          setError(result.message || 'Failed to create recurring ride');
+        }
+        return;
+      }
+
       const departureTime = new Date(`${formData.date}T${formData.time}`).toISOString();
 
       const rideData = {
@@ -174,7 +228,10 @@ const PostRide = () => {
 
       if (result.success) {
         setSuccess('Ride posted successfully!');
-        setTimeout(() => navigate('/my-rides'), 1500);
+        // Leave time to read any danger zone warnings for the route
+        const warnings = result.zoneWarnings || [];
+        setZoneWarnings(warnings);
+        setTimeout(() => navigate('/my-rides'), warnings.length > 0 ? 6000 : 1500);
       } else {
         setError(result.message || 'Failed to post ride');
       }
@@ -341,6 +398,21 @@ const PostRide = () => {
         <div className="bg-white rounded-2xl shadow-lg p-8">
           {error && <Alert type="error" message={error} onClose={() => setError('')} />}
           {success && <Alert type="success" message={success} />}
+          {zoneWarnings.length > 0 && (
+            <div className="mb-4 p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+              <p className="font-semibold mb-2">
+                <i className="fas fa-exclamation-triangle mr-2"></i>Your route passes through flagged areas
+              </p>
+              <ul className="space-y-1">
+                {zoneWarnings.map((zone, idx) => (
+                  <li key={idx}>
+                    <span className="font-medium">{zone.name}</span> ({zone.riskLevel} risk)
+                    {zone.recommendations?.length > 0 && <span className="text-amber-700"> - {zone.recommendations.join('. ')}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
 
           <form onSubmit={handleSubmit} className="space-y-6">
             {/* Route Section */}
@@ -404,6 +476,68 @@ const PostRide = () => {
                   />
                 </div>
               </div>
+
+              {/* Recurring ride */}
+              <label className="flex items-center mt-4 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.repeatWeekly}
+                  onChange={(e) => setFormData(prev => ({ ...prev, repeatWeekly: e.target.checked }))}
+                  className="w-5 h-5 text-emerald-500 rounded focus:ring-emerald-500"
+                />
+                <span className="ml-3 text-gray-700">
+                  <i className="fas fa-redo text-emerald-500 mr-1"></i>Repeat weekly (e.g. daily commute)
+                </span>
+              </label>
+
+              {formData.repeatWeekly && (
+                <div className="mt-4 p-4 bg-emerald-50 rounded-lg space-y-4">
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-2">Repeat on *</label>
+                    <div className="flex flex-wrap gap-2">
+                      {weekdays.map((label, day) => (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() => toggleWeekday(day)}
+                          className={`px-3 py-2 rounded-lg text-sm font-medium border transition ${
+                            formData.daysOfWeek.includes(day)
+                              ? 'bg-emerald-500 text-white border-emerald-500'
+                              : 'bg-white text-gray-700 border-gray-300 hover:border-emerald-500'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-2">Repeat until *</label>
+                    <input
+                      type="date"
+                      name="endDate"
+                      value={formData.endDate}
+                      onChange={(e) => setFormData(prev => ({ ...prev, endDate: e.target.value }))}
+                      min={formData.date || today}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    />
+                    <p className="text-sm text-gray-500 mt-1">
+                      Rides are posted automatically up to two weeks ahead. The first date acts as the start date.
+                    </p>
+                  </div>
+                  <label className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.autoAcceptSubscribers}
+                      onChange={(e) => setFormData(prev => ({ ...prev, autoAcceptSubscribers: e.target.checked }))}
+                      className="w-5 h-5 text-emerald-500 rounded focus:ring-emerald-500"
+                    />
+                    <span className="ml-3 text-gray-700">
+                      Auto-approve regular passengers who subscribe to this ride
+                    </span>
+                  </label>
+                </div>
+              )}
             </div>
 
             {/* Vehicle & Capacity */}
@@ -466,6 +600,9 @@ const PostRide = () => {
                     }}
                     showBreakdown={true}
                     allowSlider={true}
+                    origin={formData.origin?.coordinates}
+                    destination={formData.destination?.coordinates}
+                    departure={formData.date && formData.time ? new Date(`${formData.date}T${formData.time}`).toISOString() : null}
                   />
 
                   {/* Final Price Summary */}
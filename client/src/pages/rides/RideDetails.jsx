@@ -5,6 +5,7 @@ import { useAuth } from '../../context/AuthContext';
 import { useSocket } from '../../context/SocketContext';
 import rideService from '../../services/rideService';
 import bookingService from '../../services/bookingService';
+import userService from '../../services/userService';
 import { getUserDisplayName, getInitials, getAvatarColor, getUserPhoto } from '../../utils/imageHelpers';
 import { getRating, formatRating, getRatingCount } from '../../utils/helpers';
 
@@ -19,6 +20,12 @@ const RideDetails = () => {
   const [error, setError] = useState('');
   const [bookingModal, setBookingModal] = useState(false);
   const [notification, setNotification] = useState(null);
+  const [isWatching, setIsWatching] = useState(false);
+  const [watchLoading, setWatchLoading] = useState(false);
+  const [waitlistEntry, setWaitlistEntry] = useState(null);
+  const [waitlistCount, setWaitlistCount] = useState(0);
+  const [waitlistModal, setWaitlistModal] = useState(false);
+  const [waitlistLoading, setWaitlistLoading] = useState(false);
   
   // Action states
   const [actionLoading, setActionLoading] = useState(false);
@@ -40,6 +47,9 @@ const RideDetails = () => {
       const data = await rideService.getRideById(id);
       if (data && data.ride) {
         setRide(data.ride);
+        setIsWatching(!!data.isWatching);
+        setWaitlistEntry(data.waitlistEntry || null);
+        setWaitlistCount(data.waitlistCount || 0);
       } else {
         setError('Ride not found');
       }
@@ -105,12 +115,21 @@ const RideDetails = () => {
         }
       };
       
+      // Seats held for us from the waitlist, or the offer lapsed
+      const handleWaitlistUpdated = (data) => {
+        if (data.rideId === id) {
+          if (data.status === 'OFFERED') showNotification('🎟️ A seat opened up - it is held for you!', 'success');
+          fetchRideDetails();
+        }
+      };
+      
       socket.on('new-booking-request', handleNewBooking);
       socket.on('booking-cancelled', handleBookingCancelled);
       socket.on('booking-confirmed', handleBookingConfirmed);
       socket.on('pickup-confirmed', handlePickupConfirmed);
       socket.on('dropoff-confirmed', handleDropoffConfirmed);
       socket.on('ride-status-updated', handleRideStatusUpdated);
+      socket.on('waitlist-updated', handleWaitlistUpdated);
       
       // Join ride room for updates
       socket.emit('join-ride', { rideId: id });
@@ -122,6 +141,7 @@ const RideDetails = () => {
         socket.off('pickup-confirmed', handlePickupConfirmed);
         socket.off('dropoff-confirmed', handleDropoffConfirmed);
         socket.off('ride-status-updated', handleRideStatusUpdated);
+        socket.off('waitlist-updated', handleWaitlistUpdated);
         socket.emit('leave-ride', { rideId: id });
       };
     }
@@ -146,6 +166,50 @@ const RideDetails = () => {
   // Check if current user is the ride owner
   const isOwner = ride?.rider?._id === user?._id;
   
+  // Watch / unwatch for price drops and freed-up seats
+  const handleToggleWatch = async () => {
+    setWatchLoading(true);
+    try {
+      if (isWatching) {
+        await rideService.unwatchRide(id);
+        showNotification('Stopped watching this ride', 'success');
+      } else {
+        await rideService.watchRide(id);
+        showNotification('Watching this ride - we will alert you about price drops and free seats', 'success');
+      }
+      setIsWatching(!isWatching);
+    } catch (err) {
+      showNotification(err.response?.data?.message || err.message || 'Failed to update watch', 'error');
+    } finally {
+      setWatchLoading(false);
+    }
+  };
+
+  // Answer seats held from the waitlist, or leave the queue
+  const handleWaitlistAction = async (action) => {
+    if (action === 'leave' && !window.confirm('Leave the waitlist for this ride?')) return;
+    setWaitlistLoading(true);
+    try {
+      if (action === 'leave') {
+        await bookingService.leaveWaitlist(waitlistEntry._id);
+        showNotification('You left the waitlist', 'success');
+      } else {
+        const result = await bookingService.respondToWaitlistOffer(waitlistEntry._id, action);
+        if (action === 'accept') {
+          navigate(result.redirectUrl || `/bookings/${result.booking._id}`);
+          return;
+        }
+        showNotification('Offer declined', 'success');
+      }
+      fetchRideDetails();
+    } catch (err) {
+      showNotification(err.response?.data?.message || err.message || 'Waitlist action failed', 'error');
+      fetchRideDetails();
+    } finally {
+      setWaitlistLoading(false);
+    }
+  };
+
   // ============ DRIVER ACTIONS ============
   
   // Start ride handler
@@ -379,6 +443,16 @@ const RideDetails = () => {
                 canBook={canBook()}
                 onBook={() => setBookingModal(true)}
                 isOwner={isOwner}
+                canWatch={!!user && ride.status === 'ACTIVE'}
+                isWatching={isWatching}
+                watchLoading={watchLoading}
+                onToggleWatch={handleToggleWatch}
+                waitlistEntry={waitlistEntry}
+                waitlistCount={waitlistCount}
+                canJoinWaitlist={!!user && ride.status === 'ACTIVE' && (ride.pricing?.availableSeats || 0) <= 0}
+                onJoinWaitlist={() => setWaitlistModal(true)}
+                onWaitlistAction={handleWaitlistAction}
+                waitlistLoading={waitlistLoading}
               />
             )}
           </div>
@@ -392,7 +466,23 @@ const RideDetails = () => {
             searchedDropoff={searchedDropoff}
             searchedSeats={searchedSeats}
             onClose={() => setBookingModal(false)}
-            onSuccess={(bookingId) => navigate(`/bookings/${bookingId}`)}
+            onSuccess={(bookingId, redirectUrl) => navigate(redirectUrl || (bookingId ? `/bookings/${bookingId}` : '/bookings'))}
+          />
+        )}
+
+        {/* Waitlist Modal */}
+        {waitlistModal && (
+          <WaitlistModal
+            ride={ride}
+            searchedPickup={searchedPickup}
+            searchedDropoff={searchedDropoff}
+            searchedSeats={searchedSeats}
+            onClose={() => setWaitlistModal(false)}
+            onJoined={(message) => {
+              setWaitlistModal(false);
+              showNotification(message, 'success');
+              fetchRideDetails();
+            }}
           />
         )}
       </div>
@@ -835,6 +925,14 @@ const PassengerBookingCard = ({ booking, getStatusBadge, isPending }) => {
               <span>{booking.seatsBooked} seat{booking.seatsBooked > 1 ? 's' : ''}</span>
               <span>•</span>
               <span className="font-semibold text-emerald-600">₹{booking.totalPrice || booking.payment?.total || 0}</span>
+              {booking.detour?.duration > 0 && (
+                <>
+                  <span>•</span>
+                  <span className="text-amber-600" title={`${booking.detour.distance} km off your route`}>
+                    <i className="fas fa-route mr-1"></i>+{booking.detour.duration} min detour
+                  </span>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -925,7 +1023,10 @@ const PassengerBookingCard = ({ booking, getStatusBadge, isPending }) => {
 };
 
 // Booking Card (Sidebar)
-const BookingCard = ({ ride, canBook, onBook, isOwner }) => {
+const BookingCard = ({
+  ride, canBook, onBook, isOwner, canWatch, isWatching, watchLoading, onToggleWatch,
+  waitlistEntry, waitlistCount, canJoinWaitlist, onJoinWaitlist, onWaitlistAction, waitlistLoading
+}) => {
   const pricePerSeat = ride.pricing?.pricePerSeat || 0;
   const availableSeats = ride.pricing?.availableSeats || 0;
 
@@ -965,7 +1066,52 @@ const BookingCard = ({ ride, canBook, onBook, isOwner }) => {
       </div>
 
       {/* Book Button */}
-      {isOwner ? (
+      {!isOwner && waitlistEntry?.status === 'OFFERED' ? (
+        <div className="bg-yellow-50 border-2 border-yellow-300 rounded-lg p-4">
+          <p className="text-sm font-semibold text-yellow-800">
+            <i className="fas fa-bell mr-2"></i>
+            {waitlistEntry.seats} seat{waitlistEntry.seats > 1 ? 's' : ''} held for you
+          </p>
+          <p className="text-xs text-yellow-700 mt-1">
+            Book before {new Date(waitlistEntry.offer.expiresAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })} or they go to the next passenger
+          </p>
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={() => onWaitlistAction('accept')}
+              disabled={waitlistLoading}
+              className="flex-1 bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-2 rounded-lg transition disabled:opacity-50"
+            >
+              <i className="fas fa-check mr-2"></i>Book Now
+            </button>
+            <button
+              onClick={() => onWaitlistAction('decline')}
+              disabled={waitlistLoading}
+              className="px-4 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+            >
+              Decline
+            </button>
+          </div>
+        </div>
+      ) : !isOwner && waitlistEntry ? (
+        <div className="bg-blue-50 text-blue-800 rounded-lg p-3 text-sm">
+          <p className="font-semibold">
+            <i className="fas fa-hourglass-half mr-2"></i>
+            You're #{waitlistEntry.position} on the waitlist
+          </p>
+          <p className="text-xs mt-1">
+            {waitlistEntry.autoBook
+              ? 'We will book the seat for you as soon as one frees up.'
+              : 'We will hold a seat for you when one frees up.'}
+          </p>
+          <button
+            onClick={() => onWaitlistAction('leave')}
+            disabled={waitlistLoading}
+            className="mt-2 text-xs text-blue-700 hover:underline disabled:opacity-50"
+          >
+            Leave waitlist
+          </button>
+        </div>
+      ) : isOwner ? (
         <div className="bg-yellow-50 text-yellow-700 rounded-lg p-3 text-center text-sm">
           <i className="fas fa-info-circle mr-2"></i>
           This is your ride
@@ -977,6 +1123,18 @@ const BookingCard = ({ ride, canBook, onBook, isOwner }) => {
         >
           <i className="fas fa-ticket-alt mr-2"></i>Book Now
         </button>
+      ) : availableSeats <= 0 && canJoinWaitlist ? (
+        <div>
+          <button
+            onClick={onJoinWaitlist}
+            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 rounded-lg transition flex items-center justify-center"
+          >
+            <i className="fas fa-user-clock mr-2"></i>Join Waitlist
+          </button>
+          <p className="text-xs text-gray-500 text-center mt-2">
+            Ride is full{waitlistCount > 0 ? ` • ${waitlistCount} waiting` : ''}. We'll hold a seat for you if one frees up.
+          </p>
+        </div>
       ) : availableSeats <= 0 ? (
         <div className="bg-red-50 text-red-600 rounded-lg p-3 text-center text-sm">
           <i className="fas fa-times-circle mr-2"></i>
@@ -991,6 +1149,20 @@ const BookingCard = ({ ride, canBook, onBook, isOwner }) => {
         </Link>
       )}
 
+      {/* Watch for price drops / free seats */}
+      {!isOwner && canWatch && (
+        <button
+          onClick={onToggleWatch}
+          disabled={watchLoading}
+          className={`w-full mt-3 border-2 font-semibold py-2 rounded-lg transition flex items-center justify-center disabled:opacity-50 ${
+            isWatching ? 'border-emerald-500 bg-emerald-50 text-emerald-700' : 'border-gray-200 text-gray-600 hover:border-emerald-500 hover:text-emerald-600'
+          }`}
+        >
+          <i className={`fas ${isWatching ? 'fa-eye-slash' : 'fa-eye'} mr-2`}></i>
+          {isWatching ? 'Stop Watching' : 'Watch for Price Drops & Seats'}
+        </button>
+      )}
+
       {/* Trust Badges */}
       <div className="mt-4 pt-4 border-t">
         <div className="space-y-2 text-sm text-gray-600">
@@ -1012,13 +1184,162 @@ const BookingCard = ({ ride, canBook, onBook, isOwner }) => {
   );
 };
 
+// Waitlist Modal - queue for a full ride with the details the booking will use
+const WaitlistModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, onClose, onJoined }) => {
+  const totalSeats = ride.pricing?.totalSeats || 1;
+  const [seats, setSeats] = useState(Math.min(searchedSeats || 1, totalSeats));
+  const [paymentMethod, setPaymentMethod] = useState('CASH');
+  const [autoBook, setAutoBook] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const pickupData = searchedPickup || ride.route?.start || {};
+  const dropoffData = searchedDropoff || ride.route?.destination || {};
+  const toLocation = (data) => JSON.stringify({
+    address: data.address || data.name,
+    name: data.name || data.city,
+    coordinates: data.coordinates || (data.lat && data.lon ? [parseFloat(data.lon), parseFloat(data.lat)] : undefined)
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const response = await bookingService.joinWaitlist(ride._id, {
+        seats,
+        pickupLocation: toLocation(pickupData),
+        dropoffLocation: toLocation(dropoffData),
+        paymentMethod,
+        autoBook
+      });
+      onJoined(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to join the waitlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-800">
+              <i className="fas fa-user-clock text-blue-500 mr-2"></i>Join Waitlist
+            </h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <i className="fas fa-times text-xl"></i>
+            </button>
+          </div>
+
+          {error && <Alert type="error" message={error} className="mb-4" />}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Seats Needed</label>
+              <div className="flex items-center gap-4">
+                <button
+                  type="button"
+                  onClick={() => setSeats(Math.max(1, seats - 1))}
+                  className="w-10 h-10 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50"
+                >
+                  <i className="fas fa-minus"></i>
+                </button>
+                <span className="text-2xl font-bold text-gray-800 w-8 text-center">{seats}</span>
+                <button
+                  type="button"
+                  onClick={() => setSeats(Math.min(totalSeats, seats + 1))}
+                  className="w-10 h-10 rounded-full border border-gray-300 flex items-center justify-center hover:bg-gray-50"
+                >
+                  <i className="fas fa-plus"></i>
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">Fewer seats are easier to free up</p>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+              <p><span className="text-gray-500">Pickup:</span> {pickupData.address || pickupData.name || 'Ride start'}</p>
+              <p><span className="text-gray-500">Dropoff:</span> {dropoffData.address || dropoffData.name || 'Ride end'}</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Payment Method</label>
+              <div className="grid grid-cols-3 gap-2">
+                {[
+                  { value: 'CASH', label: 'Cash', icon: 'fa-money-bill-wave' },
+                  { value: 'UPI', label: 'UPI', icon: 'fa-mobile-alt' },
+                  { value: 'WALLET', label: 'Wallet', icon: 'fa-wallet' }
+                ].map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setPaymentMethod(option.value)}
+                    className={`py-2 px-3 rounded-lg border-2 transition text-sm font-medium ${
+                      paymentMethod === option.value
+                        ? 'border-blue-500 bg-blue-50 text-blue-700'
+                        : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                    }`}
+                  >
+                    <i className={`fas ${option.icon} mr-1`}></i>{option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={autoBook}
+                onChange={(e) => setAutoBook(e.target.checked)}
+                className="mt-1 h-4 w-4 text-blue-600 rounded"
+              />
+              <span className="text-sm text-gray-700">
+                Book automatically when a seat frees up
+                <span className="block text-xs text-gray-500">
+                  Otherwise we hold the seat and you have a short time to confirm
+                </span>
+              </span>
+            </label>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 rounded-lg transition disabled:opacity-50 flex items-center justify-center"
+            >
+              {loading ? (
+                <><i className="fas fa-spinner fa-spin mr-2"></i>Joining...</>
+              ) : (
+                <><i className="fas fa-user-clock mr-2"></i>Join Waitlist</>
+              )}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Booking Modal
 const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, onClose, onSuccess }) => {
   const [seats, setSeats] = useState(searchedSeats || 1);
   const [specialRequests, setSpecialRequests] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('CASH');
+  const [subscribe, setSubscribe] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [checkingPromo, setCheckingPromo] = useState(false);
+
+  useEffect(() => {
+    userService.getWallet({ limit: 1 })
+      .then((response) => setWalletBalance(response.wallet?.available ?? 0))
+      .catch(() => setWalletBalance(null));
+  }, []);
 
   // Use SEARCHED locations if available, otherwise fall back to ride's route
   // This shows the passenger what THEY searched for, not the entire ride route
@@ -1041,7 +1362,39 @@ const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, on
   const availableSeats = ride.pricing?.availableSeats || 1;
   const platformCommission = 50; // Fixed ₹50 commission
   const rideFare = seats * pricePerSeat;
-  const totalPrice = rideFare + platformCommission;
+  const discount = promo?.discount || 0;
+  const totalPrice = rideFare + platformCommission - discount;
+
+  // Get coordinates - searchedPickup has coordinates as [lon, lat] array
+  const pickupCoords = pickupData.coordinates || (pickupData.lat && pickupData.lon ? [parseFloat(pickupData.lon), parseFloat(pickupData.lat)] : null);
+  const dropoffCoords = dropoffData.coordinates || (dropoffData.lat && dropoffData.lon ? [parseFloat(dropoffData.lon), parseFloat(dropoffData.lat)] : null);
+
+  // A discount depends on the fare and payment method, so it is re-checked when they change
+  useEffect(() => {
+    setPromo(null);
+  }, [seats, paymentMethod]);
+
+  const handleApplyPromo = async () => {
+    if (!promoCode.trim()) return;
+    setPromoError('');
+    setCheckingPromo(true);
+    try {
+      const response = await bookingService.checkPromoCode({
+        rideId: ride._id,
+        promoCode: promoCode.trim(),
+        seats,
+        paymentMethod,
+        pickup: pickupCoords || undefined,
+        dropoff: dropoffCoords || undefined
+      });
+      setPromo(response.promo);
+    } catch (err) {
+      setPromo(null);
+      setPromoError(err.response?.data?.message || 'This promo code cannot be used');
+    } finally {
+      setCheckingPromo(false);
+    }
+  };
 
   // ✅ EDGE CASE FIX: Prevent double-submission race condition
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -1060,10 +1413,6 @@ const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, on
     setIsSubmitting(true); // Lock form immediately
 
     try {
-      // Get coordinates - searchedPickup has coordinates as [lon, lat] array
-      const pickupCoords = pickupData.coordinates || (pickupData.lat && pickupData.lon ? [parseFloat(pickupData.lon), parseFloat(pickupData.lat)] : null);
-      const dropoffCoords = dropoffData.coordinates || (dropoffData.lat && dropoffData.lon ? [parseFloat(dropoffData.lon), parseFloat(dropoffData.lat)] : null);
-      
       const bookingData = {
         seatsBooked: seats,
         // Send the full location data with coordinates
@@ -1079,14 +1428,31 @@ const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, on
         }),
         specialRequests: specialRequests || undefined,
         paymentMethod,
+        promoCode: promo?.code,
         // ✅ Add idempotency key to prevent duplicate processing
         idempotencyKey: `${ride._id}-${Date.now()}`
       };
 
       console.log('📝 Booking data:', bookingData);
+
+      // Recurring ride: subscribe once and let every occurrence be booked automatically
+      if (subscribe) {
+        const response = await bookingService.createSubscription({
+          seriesId: ride.series,
+          seats,
+          pickupLocation: bookingData.pickupLocation,
+          dropoffLocation: bookingData.dropoffLocation,
+          specialRequests: bookingData.specialRequests,
+          paymentMethod
+        });
+        const thisRideBooking = (response.bookings || []).find(b => b.ride === ride._id);
+        onSuccess(thisRideBooking?._id);
+        return;
+      }
       
       const response = await bookingService.createBooking(ride._id, bookingData);
-      onSuccess(response.booking._id);
+      // Online payments go straight to checkout
+      onSuccess(response.booking._id, paymentMethod === 'ONLINE' ? response.redirectUrl : undefined);
     } catch (err) {
       console.error('Booking error:', err);
       setError(err.response?.data?.message || err.message || 'Failed to create booking');
@@ -1183,7 +1549,7 @@ const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, on
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Payment Method
               </label>
-              <div className="flex gap-3">
+              <div className="grid grid-cols-2 gap-3">
                 <button
                   type="button"
                   onClick={() => setPaymentMethod('CASH')}
@@ -1206,9 +1572,114 @@ const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, on
                 >
                   <i className="fas fa-mobile-alt mr-2"></i>UPI
                 </button>
+                {!subscribe && (
+                  <button
+                    type="button"
+                    onClick={() => setPaymentMethod('ONLINE')}
+                    className={`flex-1 py-3 px-4 rounded-lg border-2 transition font-medium ${
+                      paymentMethod === 'ONLINE'
+                        ? 'border-emerald-500 bg-emerald-50 text-emerald-700'
+                        : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                    }`}
+                  >
+                    <i className="fas fa-credit-card mr-2"></i>Pay Now
+                  </button>
+                )}
+                {!subscribe && walletBalance !== null && (
+                  <button
+                    type="button"
+                    onClick={() => setPaymentMethod('WALLET')}
+                    className={`flex-1 py-3 px-4 rounded-lg border-2 transition font-medium ${
+                      paymentMethod === 'WALLET'
+                        ? 'border-emerald-500 bg-emerald-50 text-emerald-700'
+                        : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                    }`}
+                  >
+                    <i className="fas fa-wallet mr-2"></i>Wallet (₹{walletBalance})
+                  </button>
+                )}
               </div>
+              {paymentMethod === 'ONLINE' && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Pay securely online by card, UPI or netbanking right after booking.
+                </p>
+              )}
+              {paymentMethod === 'WALLET' && (
+                walletBalance >= totalPrice ? (
+                  <p className="text-xs text-gray-500 mt-2">
+                    ₹{totalPrice} is held in your wallet and only taken when the rider accepts.
+                  </p>
+                ) : (
+                  <p className="text-xs text-red-600 mt-2">
+                    Not enough balance for ₹{totalPrice}. <Link to="/wallet" className="underline">Top up your wallet</Link> or choose another method.
+                  </p>
+                )
+              )}
             </div>
 
+            {/* Recurring ride subscription */}
+            {ride.series && (
+              <label className="flex items-start gap-3 bg-emerald-50 rounded-lg p-4 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={subscribe}
+                  onChange={(e) => {
+                    setSubscribe(e.target.checked);
+                    setPromo(null);
+                    // Subscriptions are paid per ride, not up front
+                    if (e.target.checked && ['ONLINE', 'WALLET'].includes(paymentMethod)) setPaymentMethod('CASH');
+                  }}
+                  className="w-5 h-5 mt-0.5 text-emerald-500 rounded focus:ring-emerald-500"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-800">
+                    <i className="fas fa-redo text-emerald-500 mr-1"></i>Book every ride of this recurring trip
+                  </span>
+                  <span className="block text-xs text-gray-500 mt-1">
+                    We'll reserve your seat on each upcoming day with the same pickup and dropoff, and let you know if a day can't be booked.
+                  </span>
+                </span>
+              </label>
+            )}
+
+            {/* Promo Code */}
+            {!subscribe && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Promo Code (Optional)
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={promoCode}
+                    onChange={(e) => {
+                      setPromoCode(e.target.value.toUpperCase());
+                      setPromo(null);
+                      setPromoError('');
+                    }}
+                    placeholder="Enter code"
+                    maxLength={20}
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 uppercase"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleApplyPromo}
+                    disabled={checkingPromo || !promoCode.trim() || !!promo}
+                    className="px-4 py-2 border-2 border-emerald-500 text-emerald-600 rounded-lg font-medium hover:bg-emerald-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {checkingPromo ? <i className="fas fa-spinner fa-spin"></i> : promo ? 'Applied' : 'Apply'}
+                  </button>
+                </div>
+                {promoError && <p className="text-xs text-red-600 mt-1">{promoError}</p>}
+                {promo && (
+                  <p className="text-xs text-emerald-600 mt-1">
+                    <i className="fas fa-tag mr-1"></i>{promo.description}
+                    {promo.limitedToCommission && ' (limited to the platform fee for cash and UPI payments)'}
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Price Summary */}
             <div className="bg-gray-50 rounded-lg p-4">
               <div className="flex justify-between text-gray-600 mb-2">
@@ -1219,6 +1690,12 @@ const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, on
                 <span>Platform Fee</span>
                 <span>₹{platformCommission}</span>
               </div>
+              {discount > 0 && (
+                <div className="flex justify-between text-emerald-600 mb-2">
+                  <span>Promo ({promo.code})</span>
+                  <span>-₹{discount}</span>
+                </div>
+              )}
               <div className="border-t pt-2 flex justify-between text-lg font-bold">
                 <span>Total</span>
                 <span className="text-emerald-600">₹{totalPrice}</span>
@@ -1237,7 +1714,7 @@ const BookingModal = ({ ride, searchedPickup, searchedDropoff, searchedSeats, on
                 </>
               ) : (
                 <>
-                  <i className="fas fa-check mr-2"></i>Confirm Booking
+                  <i className="fas fa-check mr-2"></i>{subscribe ? 'Subscribe & Book' : 'Confirm Booking'}
                 </>
               )}
             </button>
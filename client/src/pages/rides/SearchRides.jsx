@@ -1,13 +1,93 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { Button, Alert, Card, Badge, LoadingSpinner } from '../../components/common';
 import LocationInput from '../../components/common/LocationInput';
 import rideService from '../../services/rideService';
+import bookingService from '../../services/bookingService';
 import { getRating, formatRating } from '../../utils/helpers';
 import { setSearchResults, setFilters, clearSearchResults } from '../../redux/slices/ridesSlice';
 import { setGlobalLoading } from '../../redux/slices/uiSlice';
 
+// Saved searches with ride alerts
+const SavedSearchesPanel = ({ refreshKey, onRun }) => {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    fetchSavedSearches();
+  }, [refreshKey]);
+
+  const fetchSavedSearches = async () => {
+    try {
+      const data = await rideService.getSavedSearches();
+      setSavedSearches(data.savedSearches || []);
+    } catch (err) {
+      console.error('Failed to load saved searches');
+    }
+  };
+
+  const runAction = async (search, action) => {
+    if (action === 'delete' && !window.confirm('Delete this saved search? You will stop getting alerts for it.')) return;
+    setBusyId(search._id);
+    setPanelError('');
+    try {
+      if (action === 'toggle') await rideService.updateSavedSearch(search._id, { alertsEnabled: !search.alertsEnabled });
+      if (action === 'delete') await rideService.deleteSavedSearch(search._id);
+      fetchSavedSearches();
+    } catch (err) {
+      setPanelError(err.response?.data?.message || err.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (savedSearches.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg p-6 mb-8">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">
+        <i className="fas fa-bell text-emerald-500 mr-2"></i>Saved Searches & Ride Alerts
+      </h2>
+      {panelError && <Alert type="error" message={panelError} onClose={() => setPanelError('')} />}
+      <div className="space-y-3">
+        {savedSearches.map(search => (
+          <div key={search._id} className="border border-emerald-100 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+            <button onClick={() => onRun(search)} className="text-left">
+              <p className="font-semibold text-gray-800 hover:text-emerald-600">{search.name}</p>
+              <p className="text-sm text-gray-500 mt-1">
+                {search.timeWindow?.from && search.timeWindow?.to && (
+                  <span className="mr-3"><i className="fas fa-clock mr-1"></i>{search.timeWindow.from} – {search.timeWindow.to}</span>
+                )}
+                {search.maxPrice && <span className="mr-3"><i className="fas fa-rupee-sign mr-1"></i>up to ₹{search.maxPrice}/seat</span>}
+                <span><i className="fas fa-users mr-1"></i>{search.seats} seat{search.seats > 1 ? 's' : ''}</span>
+              </p>
+            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => runAction(search, 'toggle')}
+                disabled={busyId === search._id}
+                className="px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-semibold transition disabled:opacity-50"
+              >
+                <i className={`fas ${search.alertsEnabled ? 'fa-bell-slash' : 'fa-bell'} mr-1`}></i>
+                {search.alertsEnabled ? 'Mute alerts' : 'Enable alerts'}
+              </button>
+              <button
+                onClick={() => runAction(search, 'delete')}
+                disabled={busyId === search._id}
+                className="px-3 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg text-sm font-semibold transition disabled:opacity-50"
+              >
+                <i className="fas fa-trash mr-1"></i>Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 const SearchRides = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
@@ -20,12 +100,22 @@ const SearchRides = () => {
     origin: cachedFilters?.origin || null,
     destination: cachedFilters?.destination || null,
     date: cachedFilters?.date || '',
-    seats: cachedFilters?.seats || 1
+    seats: cachedFilters?.seats || 1,
+    timeMode: cachedFilters?.timeMode || 'any', // any | depart | arrive
+    timeFrom: cachedFilters?.timeFrom || '',
+    timeTo: cachedFilters?.timeTo || '',
+    flexDays: cachedFilters?.flexDays || 0
   });
   const [results, setResults] = useState(cachedResults || []);
   const [loading, setLoading] = useState(false);
   const [searched, setSearched] = useState(cachedResults?.length > 0);
   const [error, setError] = useState('');
+  const [connections, setConnections] = useState([]);
+  const [bookingConnection, setBookingConnection] = useState(null);
+  const [success, setSuccess] = useState('');
+  const [savingSearch, setSavingSearch] = useState(false);
+  const [savedSearchesKey, setSavedSearchesKey] = useState(0);
+  const [formKey, setFormKey] = useState(0);
 
   const today = new Date().toISOString().split('T')[0];
 
@@ -45,16 +135,33 @@ const SearchRides = () => {
     // Store search filters in Redux
     dispatch(setFilters(searchParams));
 
+    // Only send the time fields that belong to the selected mode
+    const { timeMode, timeFrom, timeTo, ...baseParams } = searchParams;
+    const queryParams = {
+      ...baseParams,
+      ...(timeMode === 'depart' && { timeFrom, timeTo }),
+      ...(timeMode === 'arrive' && { timeTo, arriveBy: true })
+    };
+
     try {
-      const data = await rideService.searchRides(searchParams);
+      const data = await rideService.searchRides(queryParams);
       const searchResults = data.rides || [];
       setResults(searchResults);
       
       // Store results in Redux for caching
       dispatch(setSearchResults(searchResults));
+
+      // Trips that need one transfer are a fallback - don't fail the search over them
+      try {
+        const connectionData = await rideService.searchConnections(searchParams);
+        setConnections(connectionData.connections || []);
+      } catch (connectionErr) {
+        setConnections([]);
+      }
     } catch (err) {
       setError(err.message || 'Failed to search rides');
       setResults([]);
+      setConnections([]);
       dispatch(clearSearchResults());
     } finally {
       setLoading(false);
@@ -62,6 +169,73 @@ const SearchRides = () => {
     }
   };
 
+  const handleBookConnection = async (connection, index) => {
+    const [firstLeg, secondLeg] = connection.legs;
+    if (!window.confirm(`Request both rides for ₹${connection.totalPrice}? Each rider needs to accept their leg.`)) {
+      return;
+    }
+
+    setBookingConnection(index);
+    setError('');
+    try {
+      const data = await bookingService.createItinerary({
+        legs: [
+          {
+            rideId: firstLeg.ride._id,
+            pickupLocation: { address: searchParams.origin.address, coordinates: searchParams.origin.coordinates },
+            dropoffLocation: { name: 'Transfer point', address: 'Transfer point', coordinates: firstLeg.dropoffPoint.coordinates }
+          },
+          {
+            rideId: secondLeg.ride._id,
+            pickupLocation: { name: 'Transfer point', address: 'Transfer point', coordinates: secondLeg.pickupPoint.coordinates },
+            dropoffLocation: { address: searchParams.destination.address, coordinates: searchParams.destination.coordinates }
+          }
+        ],
+        seats: searchParams.seats
+      });
+      navigate(data.redirectUrl || '/bookings');
+    } catch (err) {
+      setError(err.message || 'Failed to book connecting trip');
+    } finally {
+      setBookingConnection(null);
+    }
+  };
+
+  const handleSaveSearch = async () => {
+    setSavingSearch(true);
+    setError('');
+    try {
+      const { origin, destination, seats, timeMode, timeFrom, timeTo } = searchParams;
+      await rideService.createSavedSearch({
+        origin: { address: origin.address, coordinates: origin.coordinates },
+        destination: { address: destination.address, coordinates: destination.coordinates },
+        seats,
+        ...(timeMode === 'depart' && { timeFrom, timeTo })
+      });
+      setSuccess('Search saved. We will alert you when a matching ride is posted.');
+      setSavedSearchesKey(key => key + 1);
+    } catch (err) {
+      setError(err.message || 'Failed to save search');
+    } finally {
+      setSavingSearch(false);
+    }
+  };
+
+  // Load a saved search into the form (locations need a remount to show)
+  const handleRunSavedSearch = (search) => {
+    const hasWindow = search.timeWindow?.from && search.timeWindow?.to;
+    setSearchParams(prev => ({
+      ...prev,
+      origin: { type: 'Point', coordinates: search.origin.coordinates, address: search.origin.address },
+      destination: { type: 'Point', coordinates: search.destination.coordinates, address: search.destination.address },
+      seats: search.seats || 1,
+      timeMode: hasWindow ? 'depart' : 'any',
+      timeFrom: search.timeWindow?.from || '',
+      timeTo: search.timeWindow?.to || ''
+    }));
+    setFormKey(key => key + 1);
+  };
+
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-IN', {
       weekday: 'short',
@@ -88,12 +262,14 @@ const SearchRides = () => {
           </h1>
 
           {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+          {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
 
           {/* Search Form */}
           <form onSubmit={handleSearch} className="space-y-4">
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
               {/* From Location */}
               <LocationInput
+                key={`origin-${formKey}`}
                 label="From"
                 placeholder="Enter pickup location"
                 icon="fa-map-marker-alt"
@@ -105,6 +281,7 @@ const SearchRides = () => {
 
               {/* To Location */}
               <LocationInput
+                key={`destination-${formKey}`}
                 label="To"
                 placeholder="Enter destination"
                 icon="fa-map-marker-alt"
@@ -147,15 +324,95 @@ const SearchRides = () => {
               </div>
             </div>
 
-            <div className="flex justify-center mt-6">
+            {/* Time window & flexible dates */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-gray-700 font-medium mb-2">
+                  <i className="fas fa-clock text-emerald-500 mr-2"></i>Time
+                </label>
+                <select
+                  value={searchParams.timeMode}
+                  onChange={(e) => setSearchParams(prev => ({ ...prev, timeMode: e.target.value }))}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                >
+                  <option value="any">Any time</option>
+                  <option value="depart">Leave between</option>
+                  <option value="arrive">Arrive by</option>
+                </select>
+              </div>
+
+              {searchParams.timeMode === 'depart' && (
+                <>
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-2">From</label>
+                    <input
+                      type="time"
+                      value={searchParams.timeFrom}
+                      onChange={(e) => setSearchParams(prev => ({ ...prev, timeFrom: e.target.value }))}
+                      required
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-2">To</label>
+                    <input
+                      type="time"
+                      value={searchParams.timeTo}
+                      onChange={(e) => setSearchParams(prev => ({ ...prev, timeTo: e.target.value }))}
+                      required
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    />
+                  </div>
+                </>
+              )}
+
+              {searchParams.timeMode === 'arrive' && (
+                <div>
+                  <label className="block text-gray-700 font-medium mb-2">Arrive by</label>
+                  <input
+                    type="time"
+                    value={searchParams.timeTo}
+                    onChange={(e) => setSearchParams(prev => ({ ...prev, timeTo: e.target.value }))}
+                    required
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                  />
+                </div>
+              )}
+
+              <div className={searchParams.timeMode === 'arrive' ? 'lg:col-span-2' : searchParams.timeMode === 'any' ? 'lg:col-span-3' : ''}>
+                <label className="block text-gray-700 font-medium mb-2">
+                  <i className="fas fa-calendar-week text-emerald-500 mr-2"></i>Flexible dates
+                </label>
+                <select
+                  value={searchParams.flexDays}
+                  onChange={(e) => setSearchParams(prev => ({ ...prev, flexDays: parseInt(e.target.value) }))}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                >
+                  <option value="0">Exact date</option>
+                  <option value="1">± 1 day</option>
+                  <option value="2">± 2 days</option>
+                  <option value="3">± 3 days</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-center gap-3 mt-6">
               <Button type="submit" loading={loading} className="px-8">
                 <i className="fas fa-search mr-2"></i>
                 Search Rides
               </Button>
+              {searched && searchParams.origin && searchParams.destination && (
+                <Button type="button" variant="outline" loading={savingSearch} onClick={handleSaveSearch}>
+                  <i className="fas fa-bell mr-2"></i>
+                  Save & Alert Me
+                </Button>
+              )}
             </div>
           </form>
         </div>
 
+        <SavedSearchesPanel refreshKey={savedSearchesKey} onRun={handleRunSavedSearch} />
+
         {/* Results Section */}
         {loading ? (
           <LoadingSpinner size="lg" text="Searching for rides..." className="py-12" />
@@ -210,6 +467,9 @@ const SearchRides = () => {
                           </div>
                           <div className="text-xs text-gray-500">
                             {formatTime(departureTime)}
+                            {result.estimatedPickupTime && (
+                              <span className="ml-1">· pickup ~{formatTime(result.estimatedPickupTime)}</span>
+                            )}
                           </div>
                         </div>
                         <div className="flex-1 flex items-center px-4">
@@ -279,6 +539,27 @@ const SearchRides = () => {
                           {result.distance.toFixed(1)} km
                         </Badge>
                       )}
+                      {result.detourMinutes > 0 && (
+                        <Badge variant="warning" size="sm">
+                          <i className="fas fa-route mr-1"></i>+{result.detourMinutes} min detour
+                        </Badge>
+                      )}
+                      {searchParams.timeMode !== 'any' && (
+                        result.withinWindow ? (
+                          <Badge variant="success" size="sm">
+                            <i className="fas fa-clock mr-1"></i>In your time window
+                          </Badge>
+                        ) : (
+                          <Badge variant="warning" size="sm">
+                            <i className="fas fa-clock mr-1"></i>{result.timeDeviation} min outside window
+                          </Badge>
+                        )
+                      )}
+                      {result.dayOffset !== undefined && result.dayOffset !== 0 && (
+                        <Badge variant="info" size="sm">
+                          {result.dayOffset > 0 ? `+${result.dayOffset}` : result.dayOffset} day{Math.abs(result.dayOffset) > 1 ? 's' : ''}
+                        </Badge>
+                      )}
                     </div>
                   )}
                 </Card>
@@ -287,6 +568,65 @@ const SearchRides = () => {
             </div>
           )
         ) : null}
+
+        {/* Connections with one transfer */}
+        {!loading && searched && connections.length > 0 && (
+          <div className="mt-8 space-y-4">
+            <h2 className="text-xl font-bold text-gray-800">
+              <i className="fas fa-exchange-alt text-emerald-500 mr-2"></i>
+              Connections with one transfer
+            </h2>
+            {connections.map((connection, index) => (
+              <Card key={connection.legs.map(leg => leg.ride._id).join('-')}>
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                  <div className="flex-1 space-y-3">
+                    {connection.legs.map((leg, legIndex) => (
+                      <div key={leg.ride._id}>
+                        <div className="flex items-center gap-3 text-sm">
+                          <Badge variant="primary" size="sm">Leg {legIndex + 1}</Badge>
+                          <span className="font-semibold text-gray-800">
+                            {formatTime(leg.departureTime)} → {formatTime(leg.arrivalTime)}
+                          </span>
+                          <span className="text-gray-600">
+                            <i className="fas fa-user-circle mr-1"></i>
+                            {leg.riderDisplayName || 'Driver'}
+                          </span>
+                          <span className="text-gray-500">{leg.distance?.toFixed(1)} km</span>
+                        </div>
+                        <div className="text-xs text-gray-500 ml-1 mt-1">
+                          {(leg.ride.route?.start?.name || leg.ride.route?.start?.address || '').split(',')[0]} → {(leg.ride.route?.destination?.name || leg.ride.route?.destination?.address || '').split(',')[0]}
+                        </div>
+                        {legIndex === 0 && (
+                          <div className="text-xs text-gray-600 ml-1 mt-2">
+                            <i className="fas fa-walking text-emerald-500 mr-1"></i>
+                            Walk {Math.round(connection.transfer.walkingDistance * 1000)} m ({connection.transfer.walkingMinutes} min),
+                            wait {connection.transfer.layoverMinutes} min
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="flex flex-col items-end">
+                    <div className="text-2xl font-bold text-emerald-500">₹{connection.totalPrice}</div>
+                    <div className="text-xs text-gray-500 mb-2">
+                      {formatDate(connection.departureTime)} · {connection.totalDuration} min total
+                    </div>
+                    <Button
+                      variant="primary"
+                      size="sm"
+                      loading={bookingConnection === index}
+                      disabled={bookingConnection !== null}
+                      onClick={() => handleBookConnection(connection, index)}
+                    >
+                      Book Trip
+                    </Button>
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
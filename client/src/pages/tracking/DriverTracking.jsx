@@ -9,6 +9,8 @@ const DriverTracking = () => {
   const [ride, setRide] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [manifest, setManifest] = useState(null);
+  const [optimizing, setOptimizing] = useState(false);
   
   const { 
     isSharing, 
@@ -30,6 +32,7 @@ const DriverTracking = () => {
 
   useEffect(() => {
     fetchRide();
+    fetchManifest();
   }, [rideId]);
 
   const fetchRide = async () => {
@@ -46,6 +49,35 @@ const DriverTracking = () => {
     }
   };
 
+  const fetchManifest = async () => {
+    try {
+      const response = await rideService.getRideManifest(rideId);
+      if (response.success) {
+        setManifest(response.manifest);
+      }
+    } catch (err) {
+      console.error('Failed to load stop manifest:', err);
+    }
+  };
+
+  const handleOptimizeStops = async () => {
+    setOptimizing(true);
+    try {
+      const response = await rideService.optimizeRideStops(rideId);
+      if (response.success) {
+        setManifest(response.manifest);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  const formatEta = (date) => (
+    date ? new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : '--:--'
+  );
+
   const handleStatusChange = (status) => {
     setCurrentStatus(status);
     updateRideStatus(status);
@@ -150,6 +182,53 @@ const DriverTracking = () => {
           </div>
         </div>
 
+        {/* Stop Manifest */}
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Stop Manifest</h2>
+            <Button variant="outline" size="sm" onClick={handleOptimizeStops} loading={optimizing}>
+              <i className="fas fa-route mr-2"></i>Re-optimise
+            </Button>
+          </div>
+
+          {manifest?.stops?.length > 0 ? (
+            <>
+              <ol className="space-y-3">
+                {manifest.stops.map((stop) => {
+                  const isPickup = stop.type === 'PICKUP';
+                  const passengerName = [stop.passenger?.profile?.firstName, stop.passenger?.profile?.lastName].filter(Boolean).join(' ') || 'Passenger';
+
+                  return (
+                    <li key={`${stop.booking}-${stop.type}`} className="flex items-start">
+                      <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-3 flex-shrink-0 ${isPickup ? 'bg-emerald-100 text-emerald-600' : 'bg-red-100 text-red-600'}`}>
+                        <i className={`fas ${isPickup ? 'fa-user-plus' : 'fa-user-minus'} text-sm`}></i>
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-900">
+                          {stop.order}. {isPickup ? 'Pick up' : 'Drop off'} {passengerName}
+                          {stop.seats > 1 && <span className="text-gray-500"> ({stop.seats} seats)</span>}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">{stop.address || stop.name}</p>
+                      </div>
+                      <span className="text-sm font-semibold text-gray-700 ml-3">{formatEta(stop.estimatedArrival)}</span>
+                    </li>
+                  );
+                })}
+              </ol>
+              <div className="border-t border-gray-200 mt-4 pt-3 flex justify-between text-xs text-gray-500">
+                <span>
+                  {manifest.totalDistance != null && `${manifest.totalDistance} km`}
+                  {manifest.totalDuration != null && ` · ${manifest.totalDuration} min`}
+                  {manifest.source === 'ESTIMATE' && ' (estimated)'}
+                </span>
+                {manifest.computedAt && <span>Updated {formatEta(manifest.computedAt)}</span>}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">No confirmed passengers yet. Stops will appear here once you accept bookings.</p>
+          )}
+        </div>
+
         {/* Ride Info */}
         {ride && (
           <div className="bg-white rounded-lg shadow-sm p-6">
@@ -66,6 +66,9 @@ const carIcon = L.divIcon({
 // Alias for backward compatibility
 const driverIcon = carIcon;
 
+// Bookings a passenger can share a live link for
+const SHAREABLE_STATUSES = ['CONFIRMED', 'PICKUP_PENDING', 'PICKED_UP', 'IN_TRANSIT', 'DROPOFF_PENDING'];
+
 // Auto-fit map to show all points
 const FitBounds = ({ points }) => {
   const map = useMap();
@@ -95,6 +98,7 @@ const LiveTracking = () => {
   const [driverLocation, setDriverLocation] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [routeCoords, setRouteCoords] = useState([]);
+  const [drivenPath, setDrivenPath] = useState([]); // [lat, lng] points the driver has covered
   const [routeInfo, setRouteInfo] = useState({ distance: null, duration: null });
   
   // UI state
@@ -141,6 +145,18 @@ const LiveTracking = () => {
     }
   }, [bookingId, driverLocation]);
 
+  // Path the driver has covered so far (simplified on the server)
+  const fetchDrivenPath = useCallback(async () => {
+    try {
+      const response = await bookingService.getTrackingPath(bookingId);
+      if (response.success) {
+        setDrivenPath(response.path.coordinates.map(c => [c[1], c[0]]));
+      }
+    } catch (err) {
+      console.error('Path fetch failed:', err);
+    }
+  }, [bookingId]);
+
   // Fetch actual road route from OSRM
   const fetchRoute = async (start, end) => {
     try {
@@ -178,6 +194,10 @@ const LiveTracking = () => {
     getUserLocation();
   }, [fetchBooking, getUserLocation]);
 
+  useEffect(() => {
+    fetchDrivenPath();
+  }, [fetchDrivenPath]);
+
   // Socket event listeners using global socket context
   useEffect(() => {
     if (!socket || !isConnected || !booking) return;
@@ -196,6 +216,7 @@ const LiveTracking = () => {
     const handleLocationUpdate = (data) => {
       if (data.location) {
         setDriverLocation({ lat: data.location.latitude, lng: data.location.longitude });
+        setDrivenPath(prev => [...prev, [data.location.latitude, data.location.longitude]]);
         setLastUpdate(new Date());
       }
     };
@@ -229,8 +250,18 @@ const LiveTracking = () => {
       }
     };
 
+    // Ride entered an admin-flagged danger zone
+    const handleSafetyAlert = (data) => {
+      if (data.type !== 'DANGER_ZONE') return;
+      const safePlace = data.nearestSafeZone
+        ? ` Nearest safe place: ${data.nearestSafeZone.name} (${(data.nearestSafeZone.distance / 1000).toFixed(1)} km).`
+        : '';
+      showNotification(`${data.message}${safePlace}`, 'error');
+    };
+
     socket.on('driver-location', handleDriverLocation);
     socket.on('location-update', handleLocationUpdate);
+    socket.on('safety-alert', handleSafetyAlert);
     socket.on('booking-status-updated', handleBookingStatusUpdated);
     socket.on('pickup-confirmed', handlePickupConfirmed);
     socket.on('dropoff-confirmed', handleDropoffConfirmed);
@@ -240,6 +271,7 @@ const LiveTracking = () => {
       socket.emit('leave-tracking', { bookingId });
       socket.off('driver-location', handleDriverLocation);
       socket.off('location-update', handleLocationUpdate);
+      socket.off('safety-alert', handleSafetyAlert);
       socket.off('booking-status-updated', handleBookingStatusUpdated);
       socket.off('pickup-confirmed', handlePickupConfirmed);
       socket.off('dropoff-confirmed', handleDropoffConfirmed);
@@ -250,12 +282,15 @@ const LiveTracking = () => {
   // Polling fallback for data refresh
   useEffect(() => {
     if (booking) {
-      pollRef.current = setInterval(fetchBooking, 15000);
+      pollRef.current = setInterval(() => {
+        fetchBooking();
+        fetchDrivenPath();
+      }, 15000);
       return () => {
         if (pollRef.current) clearInterval(pollRef.current);
       };
     }
-  }, [booking, fetchBooking]);
+  }, [booking, fetchBooking, fetchDrivenPath]);
 
   // ============ HANDLERS ============
   const showNotification = (message, type = 'info') => {
@@ -454,6 +489,7 @@ const LiveTracking = () => {
           {userLocation && <Marker position={[userLocation.lat, userLocation.lng]} icon={userIcon}><Popup><b>Your Location</b></Popup></Marker>}
           
           {routeCoords.length > 0 && <Polyline positions={routeCoords} color="#10b981" weight={5} opacity={0.8} />}
+          {drivenPath.length > 1 && <Polyline positions={drivenPath} color="#3b82f6" weight={4} opacity={0.7} dashArray="6 8" />}
           {mapPoints.length >= 2 && <FitBounds points={mapPoints} />}
         </MapContainer>
 
@@ -506,6 +542,11 @@ const LiveTracking = () => {
         {/* Journey Status Message */}
         <JourneyStatusMessage booking={booking} isPassenger={isPassenger} />
 
+        {/* Share the trip with family/friends */}
+        {isPassenger && SHAREABLE_STATUSES.includes(booking.status) && (
+          <TripSharePanel bookingId={booking._id} onNotify={showNotification} />
+        )}
+
         {/* Driver/Passenger Info */}
         <div className="p-4 border-b">
           {isPassenger ? (
@@ -804,6 +845,99 @@ const JourneyStatusMessage = ({ booking, isPassenger }) => {
   );
 };
 
+// Share Trip Links
+const TripSharePanel = ({ bookingId, onNotify }) => {
+  const [shares, setShares] = useState([]);
+  const [label, setLabel] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const fetchShares = useCallback(async () => {
+    try {
+      const response = await bookingService.getTripShares(bookingId);
+      if (response.success) setShares(response.shares);
+    } catch (err) {
+      console.error('Share links fetch failed:', err);
+    }
+  }, [bookingId]);
+
+  useEffect(() => {
+    fetchShares();
+  }, [fetchShares]);
+
+  const copyLink = (share) => {
+    navigator.clipboard.writeText(share.url);
+    onNotify('Share link copied to clipboard!', 'success');
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const response = await bookingService.createTripShare(bookingId, { label: label.trim() || undefined });
+      setLabel('');
+      await fetchShares();
+      if (navigator.share) {
+        navigator.share({ title: 'Follow my ride', url: response.share.url }).catch(() => {});
+      } else {
+        copyLink(response.share);
+      }
+    } catch (err) {
+      onNotify(err.response?.data?.message || 'Failed to create share link', 'error');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    try {
+      await bookingService.revokeTripShare(bookingId, share._id);
+      setShares(prev => prev.filter(s => s._id !== share._id));
+      onNotify('Share link revoked', 'info');
+    } catch (err) {
+      onNotify(err.response?.data?.message || 'Failed to revoke share link', 'error');
+    }
+  };
+
+  return (
+    <div className="mx-4 my-3 p-4 bg-white border border-gray-200 rounded-xl">
+      <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">Share Trip</h3>
+      <p className="text-xs text-gray-500 mb-3">Anyone with the link can follow your ride live until you are dropped off.</p>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          maxLength={60}
+          placeholder="Who is it for? (optional)"
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+        />
+        <button onClick={handleCreate} disabled={creating} className="px-4 py-2 bg-emerald-500 text-white rounded-lg text-sm font-semibold hover:bg-emerald-600 transition disabled:opacity-50">
+          <i className={`fas ${creating ? 'fa-spinner fa-spin' : 'fa-share-alt'} mr-1`}></i>Share
+        </button>
+      </div>
+      {shares.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-100">
+          {shares.map(share => (
+            <li key={share._id} className="py-2 flex items-center gap-2 text-sm">
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-800 truncate">{share.label || 'Share link'}</p>
+                <p className="text-xs text-gray-500">
+                  {share.views} view{share.views === 1 ? '' : 's'} • until {new Date(share.expiresAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+                </p>
+              </div>
+              <button onClick={() => copyLink(share)} className="p-2 text-gray-500 hover:text-emerald-600 transition" title="Copy link">
+                <i className="fas fa-copy"></i>
+              </button>
+              <button onClick={() => handleRevoke(share)} className="p-2 text-gray-500 hover:text-red-600 transition" title="Stop sharing">
+                <i className="fas fa-ban"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
 // Route Display
 const RouteDisplay = ({ booking }) => (
   <div className="space-y-3">
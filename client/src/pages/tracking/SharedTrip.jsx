@@ -0,0 +1,246 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { io } from 'socket.io-client';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import bookingService from '../../services/bookingService';
+
+// Public, read-only view of a trip shared by a passenger (no login)
+
+const createIcon = (color) => new L.Icon({
+  iconUrl: `https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-${color}.png`,
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconSize: [25, 41], iconAnchor: [12, 41], popupAnchor: [1, -34], shadowSize: [41, 41]
+});
+
+const pickupIcon = createIcon('green');
+const dropoffIcon = createIcon('red');
+const carIcon = createIcon('blue');
+
+const STATUS_TEXT = {
+  CONFIRMED: 'Waiting for pickup',
+  PICKUP_PENDING: 'Driver is on the way to the pickup',
+  PICKED_UP: 'On board',
+  IN_TRANSIT: 'On the way to the destination',
+  DROPOFF_PENDING: 'Arriving soon'
+};
+
+const ENDED_TEXT = {
+  DROPPED_OFF: 'They have arrived at their destination.',
+  REVOKED: 'The passenger stopped sharing this trip.',
+  BOOKING_ENDED: 'This trip is no longer active.',
+  EXPIRED: 'This link has expired or was revoked.'
+};
+
+// Keep the car and the destination in view
+const FitBounds = ({ points }) => {
+  const map = useMap();
+  const key = points.map(p => p.join(',')).join('|');
+  useEffect(() => {
+    if (points.length >= 2) {
+      map.fitBounds(L.latLngBounds(points), { padding: [50, 50], maxZoom: 15 });
+    } else if (points.length === 1) {
+      map.setView(points[0], 14);
+    }
+  }, [key, map]);
+  return null;
+};
+
+const SharedTrip = () => {
+  const { token } = useParams();
+  const [trip, setTrip] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [ended, setEnded] = useState(null); // reason the link stopped working
+  const [lastUpdate, setLastUpdate] = useState(null);
+
+  const fetchTrip = useCallback(async () => {
+    try {
+      const response = await bookingService.getSharedTrip(token);
+      if (response.success) {
+        setTrip(response.trip);
+        setLastUpdate(new Date());
+      }
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setEnded(prev => prev || 'EXPIRED');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchTrip();
+  }, [fetchTrip]);
+
+  // Live position over the socket
+  useEffect(() => {
+    if (ended) return;
+
+    const socket = io(import.meta.env.VITE_SOCKET_URL || 'http://localhost:3000', {
+      withCredentials: true,
+      transports: ['websocket', 'polling']
+    });
+
+    socket.on('connect', () => socket.emit('join-share', { token }));
+    socket.on('share-location', (data) => {
+      setTrip(prev => prev && { ...prev, location: data.location, eta: data.eta || prev.eta, isLive: true });
+      setLastUpdate(new Date());
+    });
+    socket.on('share-ended', (data) => setEnded(data.reason || 'EXPIRED'));
+
+    return () => socket.disconnect();
+  }, [token, ended]);
+
+  // Polling fallback (status changes, missed socket updates)
+  useEffect(() => {
+    if (ended) return;
+    const interval = setInterval(fetchTrip, 30000);
+    return () => clearInterval(interval);
+  }, [fetchTrip, ended]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-16 w-16 border-4 border-emerald-500 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  if (ended || !trip) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-lg mx-auto px-4 text-center">
+          <div className="bg-white rounded-2xl shadow-lg p-8">
+            <div className={`w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4 ${ended === 'DROPPED_OFF' ? 'bg-green-100' : 'bg-gray-100'}`}>
+              <i className={`fas ${ended === 'DROPPED_OFF' ? 'fa-flag-checkered text-green-500' : 'fa-link-slash text-gray-400'} text-3xl`}></i>
+            </div>
+            <h2 className="text-xl font-bold text-gray-800 mb-2">
+              {ended === 'DROPPED_OFF' ? 'Trip completed' : 'Tracking unavailable'}
+            </h2>
+            <p className="text-gray-600 mb-6">{ENDED_TEXT[ended] || ENDED_TEXT.EXPIRED}</p>
+            <Link to="/" className="text-emerald-600 font-semibold hover:underline">Go to LOOPLANE</Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const toLatLng = (coordinates) => coordinates?.length === 2 ? [coordinates[1], coordinates[0]] : null;
+  const carLatLng = trip.location ? [trip.location.lat, trip.location.lng] : null;
+  const pickupLatLng = toLatLng(trip.pickup?.coordinates);
+  const dropoffLatLng = toLatLng(trip.dropoff?.coordinates);
+  const onBoard = ['PICKED_UP', 'IN_TRANSIT', 'DROPOFF_PENDING'].includes(trip.status);
+  const mapPoints = [carLatLng, onBoard ? null : pickupLatLng, dropoffLatLng].filter(Boolean);
+  const center = carLatLng || pickupLatLng || dropoffLatLng || [14.7502, 78.5480];
+
+  return (
+    <div className="h-screen flex flex-col lg:flex-row bg-gray-100">
+      <div className="flex-1 relative min-h-[50vh]">
+        <MapContainer center={center} zoom={13} className="h-full w-full" zoomControl={false}>
+          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution='&copy; OpenStreetMap' />
+          <FitBounds points={mapPoints} />
+          {carLatLng && (
+            <Marker position={carLatLng} icon={carIcon}>
+              <Popup>{trip.driver.firstName}'s car</Popup>
+            </Marker>
+          )}
+          {pickupLatLng && !onBoard && (
+            <Marker position={pickupLatLng} icon={pickupIcon}>
+              <Popup>Pickup</Popup>
+            </Marker>
+          )}
+          {dropoffLatLng && (
+            <Marker position={dropoffLatLng} icon={dropoffIcon}>
+              <Popup>Drop-off</Popup>
+            </Marker>
+          )}
+        </MapContainer>
+
+        <div className="absolute top-4 left-4 z-[1000] bg-white/95 rounded-full shadow px-4 py-2 flex items-center gap-2 text-sm">
+          <span className={`w-2 h-2 rounded-full ${trip.isLive ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`}></span>
+          <span className="font-medium text-gray-700">{trip.isLive ? 'Live' : 'Waiting for the driver to start'}</span>
+        </div>
+      </div>
+
+      <div className="lg:w-96 bg-white shadow-lg overflow-y-auto">
+        <div className="p-5 border-b">
+          <p className="text-xs text-gray-500 uppercase tracking-wide font-semibold">Following {trip.passengerFirstName}'s trip</p>
+          <h1 className="text-lg font-bold text-gray-800 mt-1">{STATUS_TEXT[trip.status] || trip.status}</h1>
+        </div>
+
+        {trip.eta && (
+          <div className="mx-4 my-3 p-4 bg-emerald-50 border border-emerald-200 rounded-xl flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <div className="w-10 h-10 bg-emerald-500 rounded-full flex items-center justify-center">
+                <i className="fas fa-clock text-white"></i>
+              </div>
+              <div>
+                <p className="text-xs text-emerald-600 font-medium">Arrival at drop-off</p>
+                <p className="text-lg font-bold text-emerald-800">
+                  {trip.eta.minutes} min
+                  <span className="text-sm font-normal text-emerald-700 ml-2">
+                    ({new Date(trip.eta.at).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })})
+                  </span>
+                </p>
+              </div>
+            </div>
+            <p className="text-sm text-gray-600">{Number(trip.eta.remainingKm).toFixed(1)} km</p>
+          </div>
+        )}
+
+        <div className="p-4 border-b">
+          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-3">Driver & Vehicle</h3>
+          <div className="flex items-center gap-3">
+            <div className="w-14 h-14 rounded-full overflow-hidden bg-gray-200 flex-shrink-0 flex items-center justify-center">
+              {trip.driver.photo ? (
+                <img src={trip.driver.photo} alt={trip.driver.firstName} className="w-full h-full object-cover" />
+              ) : (
+                <i className="fas fa-user text-gray-400 text-xl"></i>
+              )}
+            </div>
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2">
+                <h4 className="font-semibold text-gray-800 truncate">{trip.driver.firstName}</h4>
+                {trip.driver.rating && (
+                  <span className="flex items-center text-xs bg-yellow-100 text-yellow-700 px-2 py-0.5 rounded-full">
+                    <i className="fas fa-star text-yellow-500 mr-1"></i>{Number(trip.driver.rating).toFixed(1)}
+                  </span>
+                )}
+              </div>
+              {trip.vehicle ? (
+                <p className="text-sm text-gray-600 mt-0.5">{trip.vehicle.color} {trip.vehicle.make} {trip.vehicle.model}</p>
+              ) : (
+                <p className="text-sm text-gray-400 mt-0.5">Vehicle details not available</p>
+              )}
+            </div>
+          </div>
+          {trip.vehicle?.licensePlate && (
+            <div className="mt-3 inline-block px-3 py-1 border-2 border-gray-800 rounded font-mono font-bold tracking-wider text-gray-800">
+              {trip.vehicle.licensePlate}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-b space-y-3 text-sm">
+          <div>
+            <p className="text-xs text-emerald-600 font-semibold uppercase">Pickup</p>
+            <p className="text-gray-800 mt-0.5">{trip.pickup?.address || 'Pickup location'}</p>
+          </div>
+          <div>
+            <p className="text-xs text-red-600 font-semibold uppercase">Drop-off</p>
+            <p className="text-gray-800 mt-0.5">{trip.dropoff?.address || 'Destination'}</p>
+          </div>
+        </div>
+
+        <div className="p-4 text-xs text-gray-500 space-y-1">
+          <p>Last updated {lastUpdate?.toLocaleTimeString() || 'just now'}</p>
+          <p>This link stops working at drop-off or {new Date(trip.expiresAt).toLocaleString('en-IN')}, whichever is first.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedTrip;
@@ -1,4 +1,5 @@
 export { default as LiveTracking } from './LiveTracking';
 export { default as Safety } from './Safety';
 export { default as DriverTracking } from './DriverTracking';
+export { default as SharedTrip } from './SharedTrip';
 export { useTracking, useDriverTracking, calculateDistance, estimateETA } from './trackingUtils';
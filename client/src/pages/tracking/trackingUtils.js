@@ -100,11 +100,15 @@ export const useDriverTracking = (rideId) => {
             lat: position.coords.latitude,
             lng: position.coords.longitude,
             accuracy: position.coords.accuracy,
-            speed: position.coords.speed,
+            // Browsers report m/s; the tracking service works in km/h
+            speed: position.coords.speed != null ? position.coords.speed * 3.6 : null,
+            heading: position.coords.heading,
             timestamp: position.timestamp
           };
-          // Use location-update event which backend handles
-          socketRef.current.emit('location-update', { rideId, location });
+          // The server only accepts this from the ride's driver (session cookie)
+          socketRef.current.emit('location-update', { rideId, location }, (response) => {
+            if (response && !response.success) setError(response.message);
+          });
         },
         (err) => {
           setError(err.message);
@@ -0,0 +1,369 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import userService from '../../services/userService';
+import { Button, Alert } from '../../components/common';
+
+const PAYOUT_STATUS = {
+  PAID: { label: 'Paid', className: 'bg-emerald-100 text-emerald-700' },
+  PROCESSING: { label: 'Processing', className: 'bg-blue-100 text-blue-700' },
+  PENDING: { label: 'Processing', className: 'bg-blue-100 text-blue-700' },
+  FAILED: { label: 'Failed', className: 'bg-red-100 text-red-700' }
+};
+
+const EMPTY_DETAILS = {
+  method: 'BANK_TRANSFER',
+  accountHolderName: '',
+  accountNumber: '',
+  ifsc: '',
+  bankName: '',
+  upiId: ''
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '-');
+
+// First and last day of the current month as yyyy-mm-dd
+const currentMonth = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const last = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  return {
+    startDate: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-01`,
+    endDate: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(last)}`
+  };
+};
+
+const tripPayoutStatus = (trip) => {
+  if (trip.collectedBy === 'DRIVER') return { label: 'Collected in cash', className: 'bg-gray-100 text-gray-600' };
+  if (trip.payout.settled) return { label: 'Paid out', className: 'bg-emerald-100 text-emerald-700' };
+  if (trip.payout.inBatch) return { label: 'In payout', className: 'bg-blue-100 text-blue-700' };
+  return { label: 'Awaiting payout', className: 'bg-amber-100 text-amber-700' };
+};
+
+const Earnings = () => {
+  const [range, setRange] = useState(currentMonth);
+  const [statement, setStatement] = useState(null);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [hasDetails, setHasDetails] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchStatement();
+  }, [range]);
+
+  const fetchStatement = async () => {
+    try {
+      const response = await userService.getEarnings(range);
+      if (response.success) {
+        setStatement(response.statement);
+        if (response.payoutDetails) {
+          setDetails({ ...EMPTY_DETAILS, ...response.payoutDetails });
+          setHasDetails(Boolean(response.payoutDetails.accountNumber || response.payoutDetails.upiId));
+        }
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load earnings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDetailChange = (e) => {
+    setDetails({ ...details, [e.target.name]: e.target.value });
+  };
+
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await userService.updatePayoutDetails(details);
+      setDetails({ ...EMPTY_DETAILS, ...response.payoutDetails });
+      setHasDetails(true);
+      setEditing(false);
+      setSuccess(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save payout details');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-emerald-500"></div>
+      </div>
+    );
+  }
+
+  const summary = statement?.summary || {};
+  const schedule = statement?.schedule || {};
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4">
+        {/* Summary */}
+        <div className="bg-gradient-to-r from-emerald-500 to-teal-500 rounded-2xl shadow-lg p-8 mb-8 text-white">
+          <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-6">
+            <div>
+              <h1 className="text-3xl font-bold mb-2 flex items-center">
+                <i className="fas fa-coins mr-3"></i> Earnings
+              </h1>
+              <p className="opacity-90">
+                Online and wallet fares are paid out every {schedule.intervalDays || 7} days, minus commission on cash rides
+              </p>
+            </div>
+            <div className="flex items-center gap-2 text-gray-900">
+              <input
+                type="date"
+                value={range.startDate}
+                max={range.endDate}
+                onChange={(e) => setRange({ ...range, startDate: e.target.value })}
+                className="px-3 py-2 rounded-lg text-sm"
+                aria-label="From"
+              />
+              <span className="text-white">to</span>
+              <input
+                type="date"
+                value={range.endDate}
+                min={range.startDate}
+                onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+                className="px-3 py-2 rounded-lg text-sm"
+                aria-label="To"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-white/15 rounded-xl p-4">
+              <p className="text-sm opacity-90">Total earned</p>
+              <p className="text-2xl font-bold">{formatAmount(summary.totalEarnings)}</p>
+              <p className="text-xs opacity-80">{summary.trips || 0} trips</p>
+            </div>
+            <div className="bg-white/15 rounded-xl p-4">
+              <p className="text-sm opacity-90">Collected in cash</p>
+              <p className="text-2xl font-semibold">{formatAmount(summary.collectedInCash)}</p>
+            </div>
+            <div className="bg-white/15 rounded-xl p-4">
+              <p className="text-sm opacity-90">Paid out</p>
+              <p className="text-2xl font-semibold">{formatAmount(summary.paidOut)}</p>
+            </div>
+            <div className="bg-white/15 rounded-xl p-4">
+              <p className="text-sm opacity-90">Upcoming payout</p>
+              <p className="text-2xl font-semibold">{formatAmount((summary.awaitingPayout || 0) + (summary.processing || 0))}</p>
+              {summary.processing > 0 && (
+                <p className="text-xs opacity-80">{formatAmount(summary.processing)} processing</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
+        {success && <Alert type="success" message={success} className="mb-6" onClose={() => setSuccess('')} />}
+
+        {summary.commissionDues > 0 && (
+          <Alert
+            type="warning"
+            className="mb-6"
+            message={`You owe ${formatAmount(summary.commissionDues)} in cash-ride commission and penalties. It will be deducted from your next payout.`}
+          />
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+          {/* Payout details */}
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Payout Account</h2>
+              {hasDetails && !editing && (
+                <Button variant="outline" size="sm" onClick={() => setEditing(true)}>
+                  <i className="fas fa-pen mr-1"></i>Edit
+                </Button>
+              )}
+            </div>
+
+            {hasDetails && !editing ? (
+              <div className="text-sm text-gray-700 space-y-1">
+                {details.method === 'UPI' ? (
+                  <p><i className="fas fa-mobile-alt text-emerald-500 mr-2"></i>UPI · {details.upiId}</p>
+                ) : (
+                  <>
+                    <p><i className="fas fa-university text-emerald-500 mr-2"></i>{details.bankName || 'Bank account'} · {details.accountNumber}</p>
+                    <p className="text-gray-500">{details.accountHolderName} · IFSC {details.ifsc}</p>
+                  </>
+                )}
+                <p className="text-xs text-gray-400 pt-2">
+                  Payouts below {formatAmount(schedule.minAmount)} roll over to the next cycle.
+                </p>
+              </div>
+            ) : (
+              <form onSubmit={handleSaveDetails} className="space-y-3">
+                {!hasDetails && (
+                  <p className="text-sm text-amber-600">
+                    <i className="fas fa-exclamation-circle mr-1"></i>
+                    Add a bank account or UPI ID to receive payouts.
+                  </p>
+                )}
+                <div className="flex gap-2">
+                  {[{ value: 'BANK_TRANSFER', label: 'Bank account' }, { value: 'UPI', label: 'UPI' }].map((option) => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => setDetails({ ...details, method: option.value })}
+                      className={`flex-1 px-3 py-2 rounded-lg border-2 text-sm font-medium transition ${
+                        details.method === option.value ? 'border-emerald-500 bg-emerald-50 text-emerald-700' : 'border-gray-200 text-gray-700'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+
+                {details.method === 'UPI' ? (
+                  <input
+                    name="upiId"
+                    value={details.upiId || ''}
+                    onChange={handleDetailChange}
+                    placeholder="yourname@bank"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    required
+                  />
+                ) : (
+                  <>
+                    <input
+                      name="accountHolderName"
+                      value={details.accountHolderName || ''}
+                      onChange={handleDetailChange}
+                      placeholder="Account holder name"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                      required
+                    />
+                    <input
+                      name="accountNumber"
+                      value={details.accountNumber || ''}
+                      onChange={handleDetailChange}
+                      placeholder="Account number"
+                      inputMode="numeric"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                      required
+                    />
+                    <div className="grid grid-cols-2 gap-3">
+                      <input
+                        name="ifsc"
+                        value={details.ifsc || ''}
+                        onChange={handleDetailChange}
+                        placeholder="IFSC"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                        required
+                      />
+                      <input
+                        name="bankName"
+                        value={details.bankName || ''}
+                        onChange={handleDetailChange}
+                        placeholder="Bank name"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                      />
+                    </div>
+                  </>
+                )}
+
+                <div className="flex gap-2">
+                  <Button type="submit" loading={saving} className="flex-1">Save</Button>
+                  {hasDetails && (
+                    <Button type="button" variant="outline" onClick={() => setEditing(false)}>Cancel</Button>
+                  )}
+                </div>
+              </form>
+            )}
+          </div>
+
+          {/* Payout history */}
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Payouts</h2>
+            {statement?.payouts?.length > 0 ? (
+              <ul className="divide-y divide-gray-100">
+                {statement.payouts.map((payout) => {
+                  const status = PAYOUT_STATUS[payout.status] || PAYOUT_STATUS.PROCESSING;
+                  return (
+                    <li key={payout.batch} className="py-3 flex items-center justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {formatAmount(payout.netAmount)}
+                          <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${status.className}`}>{status.label}</span>
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {formatAmount(payout.grossEarnings)} earned
+                          {payout.commissionDues > 0 && ` − ${formatAmount(payout.commissionDues)} dues`}
+                        </p>
+                        {payout.transactionId && payout.status === 'PAID' && (
+                          <p className="text-xs text-gray-400 font-mono">Ref {payout.transactionId}</p>
+                        )}
+                      </div>
+                      <span className="text-xs text-gray-500">{formatDate(payout.settledAt || payout.createdAt)}</span>
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-400 text-center py-6">No payouts yet</p>
+            )}
+          </div>
+        </div>
+
+        {/* Trips */}
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Trip Earnings</h2>
+          {statement?.trips?.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-2 pr-4 font-medium">Date</th>
+                    <th className="py-2 pr-4 font-medium">Trip</th>
+                    <th className="py-2 pr-4 font-medium">Passenger</th>
+                    <th className="py-2 pr-4 font-medium text-right">Fare</th>
+                    <th className="py-2 pr-4 font-medium text-right">Your earnings</th>
+                    <th className="py-2 font-medium">Payout</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {statement.trips.map((trip) => {
+                    const status = tripPayoutStatus(trip);
+                    return (
+                      <tr key={trip.transaction}>
+                        <td className="py-3 pr-4 whitespace-nowrap text-gray-600">{formatDate(trip.date)}</td>
+                        <td className="py-3 pr-4">
+                          <Link to={`/bookings/${trip.booking}`} className="text-emerald-600 hover:text-emerald-700">
+                            {trip.from} → {trip.to}
+                          </Link>
+                          <p className="text-xs text-gray-400">
+                            {trip.seats} seat{trip.seats > 1 ? 's' : ''} · {trip.paymentMethod?.toLowerCase()}
+                            {trip.status !== 'COMPLETED' && ` · ${trip.status.toLowerCase().replace('_', ' ')}`}
+                          </p>
+                        </td>
+                        <td className="py-3 pr-4 text-gray-700">{trip.passenger}</td>
+                        <td className="py-3 pr-4 text-right text-gray-600">{formatAmount(trip.fare)}</td>
+                        <td className="py-3 pr-4 text-right font-semibold text-gray-900">{formatAmount(trip.earnings)}</td>
+                        <td className="py-3">
+                          <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${status.className}`}>{status.label}</span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400 text-center py-8">No trips in this period</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Earnings;
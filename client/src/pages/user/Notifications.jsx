@@ -79,7 +79,9 @@ const Notifications = () => {
       'PAYMENT_RECEIVED': 'fa-money-bill-wave',
       'REVIEW_RECEIVED': 'fa-star',
       'MESSAGE_RECEIVED': 'fa-comment-dots',
-      'SOS_ALERT': 'fa-exclamation-circle'
+      'SOS_ALERT': 'fa-exclamation-circle',
+      'PRICE_DROP': 'fa-tag',
+      'SEATS_AVAILABLE': 'fa-chair'
     };
     return icons[type] || 'fa-bell';
   };
@@ -95,7 +97,9 @@ const Notifications = () => {
       'PAYMENT_RECEIVED': 'bg-yellow-500',
       'REVIEW_RECEIVED': 'bg-orange-500',
       'MESSAGE_RECEIVED': 'bg-indigo-500',
-      'SOS_ALERT': 'bg-red-600'
+      'SOS_ALERT': 'bg-red-600',
+      'PRICE_DROP': 'bg-emerald-500',
+      'SEATS_AVAILABLE': 'bg-teal-500'
     };
     return colors[type] || 'bg-gray-500';
   };
@@ -2,8 +2,22 @@ import { useState, useEffect } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import userService from '../../services/userService';
-import { Alert } from '../../components/common';
-import { getRating, formatRating } from '../../utils/helpers';
+import bookingService from '../../services/bookingService';
+import { Alert, Button } from '../../components/common';
+import { getRating, formatRating, saveFile, getBlobErrorMessage } from '../../utils/helpers';
+
+// The last 12 finished months as { value: 'YYYY-MM', label }
+const statementMonths = () => Array.from({ length: 12 }, (_, i) => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - i - 1);
+  return {
+    value: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+    label: date.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })
+  };
+});
+
+const EMPTY_BILLING = { legalName: '', gstin: '', address: '' };
 
 const TripHistory = () => {
   const { user } = useAuth();
@@ -22,12 +36,68 @@ const TripHistory = () => {
     total: 0
   });
 
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [success, setSuccess] = useState('');
+  const [statementMonth, setStatementMonth] = useState(() => statementMonths()[0].value);
+  const [billing, setBilling] = useState(EMPTY_BILLING);
+  const [showBilling, setShowBilling] = useState(false);
+  const [savingBilling, setSavingBilling] = useState(false);
+
   const isRider = user?.role === 'RIDER';
 
   useEffect(() => {
     fetchTripHistory();
   }, [searchParams]);
 
+  useEffect(() => {
+    if (isRider) return;
+    userService.getBillingDetails()
+      .then((response) => setBilling({ ...EMPTY_BILLING, ...response.billingDetails }))
+      .catch((err) => console.error('Failed to load billing details:', err));
+  }, [isRider]);
+
+  const handleDownloadInvoice = async (bookingId) => {
+    setDownloadingId(bookingId);
+    setError('');
+    try {
+      const blob = await bookingService.downloadInvoice(bookingId);
+      saveFile(blob, `LANE-invoice-${bookingId.slice(-8)}.pdf`);
+    } catch (err) {
+      setError(await getBlobErrorMessage(err, 'Could not download the invoice'));
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const handleDownloadStatement = async () => {
+    setDownloadingId(statementMonth);
+    setError('');
+    try {
+      const blob = await userService.downloadEarningsStatement(statementMonth);
+      saveFile(blob, `LANE-statement-${statementMonth}.pdf`);
+    } catch (err) {
+      setError(await getBlobErrorMessage(err, 'Could not download the statement'));
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const handleSaveBilling = async (e) => {
+    e.preventDefault();
+    setSavingBilling(true);
+    setError('');
+    try {
+      const response = await userService.updateBillingDetails(billing);
+      setBilling({ ...EMPTY_BILLING, ...response.billingDetails });
+      setSuccess(response.message);
+      setShowBilling(false);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save billing details');
+    } finally {
+      setSavingBilling(false);
+    }
+  };
+
   const fetchTripHistory = async () => {
     setLoading(true);
     try {
@@ -95,7 +165,85 @@ const TripHistory = () => {
           </div>
         </div>
 
-        {error && <Alert type="error" message={error} className="mb-6" />}
+        {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
+        {success && <Alert type="success" message={success} className="mb-6" onClose={() => setSuccess('')} />}
+
+        {/* Documents */}
+        {isRider ? (
+          <div className="bg-white rounded-xl shadow-md p-6 mb-8 flex flex-col md:flex-row md:items-center gap-4">
+            <div className="flex-1">
+              <h2 className="font-semibold text-gray-800">
+                <i className="fas fa-file-invoice-dollar text-emerald-500 mr-2"></i>Monthly Earnings Statements
+              </h2>
+              <p className="text-sm text-gray-500">Emailed to you at the start of each month. Download any of the last 12 months.</p>
+            </div>
+            <select
+              value={statementMonth}
+              onChange={(e) => setStatementMonth(e.target.value)}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500"
+            >
+              {statementMonths().map((month) => (
+                <option key={month.value} value={month.value}>{month.label}</option>
+              ))}
+            </select>
+            <Button onClick={handleDownloadStatement} loading={downloadingId === statementMonth}>
+              <i className="fas fa-download mr-2"></i>Download PDF
+            </Button>
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <h2 className="font-semibold text-gray-800">
+                  <i className="fas fa-building text-emerald-500 mr-2"></i>Invoice Details
+                </h2>
+                <p className="text-sm text-gray-500">
+                  {billing.gstin
+                    ? `Invoices are billed to ${billing.legalName} (GSTIN ${billing.gstin})`
+                    : 'Travelling for work? Add your company GSTIN to claim input tax credit on new invoices.'}
+                </p>
+              </div>
+              <button
+                onClick={() => setShowBilling(!showBilling)}
+                className="text-sm font-semibold text-emerald-600 hover:text-emerald-700 whitespace-nowrap"
+              >
+                {showBilling ? 'Close' : billing.gstin ? 'Edit' : 'Add details'}
+              </button>
+            </div>
+
+            {showBilling && (
+              <form onSubmit={handleSaveBilling} className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                <input
+                  type="text"
+                  value={billing.legalName || ''}
+                  onChange={(e) => setBilling({ ...billing, legalName: e.target.value })}
+                  placeholder="Registered business name"
+                  maxLength={120}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500"
+                />
+                <input
+                  type="text"
+                  value={billing.gstin || ''}
+                  onChange={(e) => setBilling({ ...billing, gstin: e.target.value.toUpperCase() })}
+                  placeholder="GSTIN (e.g. 36ABCDE1234F1Z5)"
+                  maxLength={15}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 uppercase"
+                />
+                <textarea
+                  value={billing.address || ''}
+                  onChange={(e) => setBilling({ ...billing, address: e.target.value })}
+                  placeholder="Billing address"
+                  rows={2}
+                  maxLength={300}
+                  className="md:col-span-2 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500"
+                />
+                <div className="md:col-span-2 flex justify-end">
+                  <Button type="submit" loading={savingBilling}>Save Details</Button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
 
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
@@ -293,6 +441,16 @@ const TripHistory = () => {
                     👁️ View Details
                   </Link>
 
+                  {!isRider && (
+                    <button
+                      onClick={() => handleDownloadInvoice(trip._id)}
+                      disabled={downloadingId === trip._id}
+                      className="px-4 py-2 bg-emerald-50 hover:bg-emerald-100 text-emerald-700 rounded-lg font-semibold transition text-sm disabled:opacity-50"
+                    >
+                      {downloadingId === trip._id ? <i className="fas fa-spinner fa-spin mr-1"></i> : '🧾 '}Invoice
+                    </button>
+                  )}
+
                   {!isRider && !trip.reviews?.passengerReviewed && (
                     <Link
                       to={`/bookings/${trip._id}/rate`}
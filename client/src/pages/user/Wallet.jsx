@@ -0,0 +1,478 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import userService from '../../services/userService';
+import bookingService from '../../services/bookingService';
+import { Button, Alert, Modal } from '../../components/common';
+import { loadRazorpayCheckout } from '../../utils/razorpayCheckout';
+
+const QUICK_AMOUNTS = [200, 500, 1000, 2000];
+
+const TRANSACTION_TYPES = {
+  TOPUP: { label: 'Top-up', icon: 'fa-plus-circle', color: 'text-emerald-600' },
+  BOOKING_PAYMENT: { label: 'Booking payment', icon: 'fa-ticket-alt', color: 'text-gray-700' },
+  REFUND: { label: 'Refund', icon: 'fa-undo', color: 'text-emerald-600' },
+  PROMO_CREDIT: { label: 'Promo credit', icon: 'fa-gift', color: 'text-purple-600' },
+  REFERRAL_CREDIT: { label: 'Referral reward', icon: 'fa-user-friends', color: 'text-purple-600' },
+  HOLD: { label: 'Held for booking', icon: 'fa-lock', color: 'text-amber-600' },
+  HOLD_RELEASE: { label: 'Hold released', icon: 'fa-lock-open', color: 'text-gray-500' }
+};
+
+const FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'TOPUP', label: 'Top-ups' },
+  { value: 'BOOKING_PAYMENT', label: 'Payments' },
+  { value: 'REFUND', label: 'Refunds' },
+  { value: 'PROMO_CREDIT', label: 'Promos' },
+  { value: 'REFERRAL_CREDIT', label: 'Referrals' }
+];
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const Wallet = () => {
+  const [wallet, setWallet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [amount, setAmount] = useState('500');
+  const [processing, setProcessing] = useState(false);
+  const [mockOrder, setMockOrder] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [referral, setReferral] = useState(null);
+  const [referralCode, setReferralCode] = useState('');
+  const [applyingReferral, setApplyingReferral] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    fetchWallet();
+  }, [filter, page]);
+
+  useEffect(() => {
+    userService.getReferral()
+      .then((response) => setReferral(response.referral))
+      .catch((err) => console.error('Failed to load referral:', err));
+  }, []);
+
+  const referralLink = referral ? `${window.location.origin}/register?ref=${referral.code}` : '';
+
+  const copyReferralLink = async () => {
+    try {
+      await navigator.clipboard.writeText(referralLink);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      setError('Could not copy the link - select it and copy it instead.');
+    }
+  };
+
+  const handleApplyReferral = async (e) => {
+    e.preventDefault();
+    setApplyingReferral(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await userService.applyReferralCode(referralCode.trim());
+      setReferral(response.referral);
+      setReferralCode('');
+      setSuccess(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not apply the referral code');
+    } finally {
+      setApplyingReferral(false);
+    }
+  };
+
+  const fetchWallet = async () => {
+    try {
+      const response = await userService.getWallet({ page, type: filter || undefined });
+      if (response.success) {
+        setWallet(response.wallet);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load wallet');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSuccess = async (order, { paymentId, signature }) => {
+    try {
+      const response = await userService.verifyWalletTopup({ orderId: order.orderId, paymentId, signature });
+      setSuccess(response.message);
+      setPage(1);
+      await fetchWallet();
+    } catch (err) {
+      setError(err.response?.data?.message || 'We could not verify your payment.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleFailure = async (order, reason) => {
+    try {
+      await userService.reportWalletTopupFailure({ orderId: order.orderId, reason });
+    } catch (err) {
+      console.error('Failed to record top-up failure:', err);
+    }
+    setError(`${reason || 'Payment failed'}. No money was added - you can try again.`);
+    setProcessing(false);
+    fetchWallet();
+  };
+
+  const openRazorpayCheckout = async (order, user) => {
+    const Razorpay = await loadRazorpayCheckout();
+    const checkout = new Razorpay({
+      key: order.keyId,
+      order_id: order.orderId,
+      amount: Math.round(order.amount * 100),
+      currency: order.currency,
+      name: 'LOOPLANE',
+      description: 'Wallet top-up',
+      prefill: { name: user?.name, email: user?.email },
+      theme: { color: '#10b981' },
+      handler: (response) => handleSuccess(order, {
+        paymentId: response.razorpay_payment_id,
+        signature: response.razorpay_signature
+      }),
+      modal: {
+        ondismiss: () => setProcessing(false)
+      }
+    });
+
+    checkout.on('payment.failed', (response) => {
+      checkout.close();
+      handleFailure(order, response.error?.description);
+    });
+
+    checkout.open();
+  };
+
+  const handleTopup = async (e) => {
+    e.preventDefault();
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await userService.createWalletTopup(Number(amount));
+      if (response.order.gateway === 'mock') {
+        setMockOrder(response.order);
+      } else {
+        await openRazorpayCheckout(response.order, response.user);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Could not start the top-up');
+      setProcessing(false);
+    }
+  };
+
+  const handleMockOutcome = async (outcome) => {
+    const order = mockOrder;
+    setMockOrder(null);
+    try {
+      const response = await bookingService.mockCheckout(order.orderId, outcome);
+      await handleSuccess(order, response);
+    } catch (err) {
+      await handleFailure(order, err.response?.data?.message || 'Payment failed');
+    }
+  };
+
+  const handleMockDismiss = () => {
+    setMockOrder(null);
+    setProcessing(false);
+  };
+
+  const changeFilter = (value) => {
+    setFilter(value);
+    setPage(1);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-emerald-500"></div>
+      </div>
+    );
+  }
+
+  const limits = wallet?.limits || {};
+  const pagination = wallet?.pagination || { page: 1, pages: 1 };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4">
+        {/* Balance */}
+        <div className="bg-gradient-to-r from-emerald-500 to-teal-500 rounded-2xl shadow-lg p-8 mb-8 text-white">
+          <h1 className="text-3xl font-bold mb-2 flex items-center">
+            <i className="fas fa-wallet mr-3"></i> My Wallet
+          </h1>
+          <p className="opacity-90 mb-6">Pay for rides in one tap and get refunds instantly</p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="bg-white/15 rounded-xl p-4">
+              <p className="text-sm opacity-90">Available</p>
+              <p className="text-3xl font-bold">{formatAmount(wallet?.available)}</p>
+            </div>
+            <div className="bg-white/15 rounded-xl p-4">
+              <p className="text-sm opacity-90">On hold</p>
+              <p className="text-2xl font-semibold">{formatAmount(wallet?.held)}</p>
+            </div>
+            <div className="bg-white/15 rounded-xl p-4">
+              <p className="text-sm opacity-90">Total balance</p>
+              <p className="text-2xl font-semibold">{formatAmount(wallet?.balance)}</p>
+            </div>
+          </div>
+        </div>
+
+        {error && <Alert type="error" message={error} className="mb-6" onClose={() => setError('')} />}
+        {success && <Alert type="success" message={success} className="mb-6" onClose={() => setSuccess('')} />}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+          {/* Top-up */}
+          <form onSubmit={handleTopup} className="bg-white rounded-xl shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Add Money</h2>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+              {QUICK_AMOUNTS.map((value) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setAmount(String(value))}
+                  className={`px-4 py-2 rounded-lg border-2 text-sm font-medium transition ${
+                    Number(amount) === value ? 'border-emerald-500 bg-emerald-50 text-emerald-700' : 'border-gray-200 text-gray-700 hover:border-emerald-400'
+                  }`}
+                >
+                  ₹{value}
+                </button>
+              ))}
+            </div>
+
+            <label className="block text-sm text-gray-600 mb-1" htmlFor="topup-amount">Amount (₹)</label>
+            <input
+              id="topup-amount"
+              type="number"
+              min={limits.minTopup || 10}
+              max={limits.maxTopup || 20000}
+              step="1"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent mb-4"
+              required
+            />
+
+            <Button type="submit" loading={processing} className="w-full">
+              Add {amount ? formatAmount(amount) : 'Money'}
+            </Button>
+
+            <p className="text-xs text-gray-500 mt-3">
+              <i className="fas fa-lock mr-1"></i>
+              Paid through our payment partner's secure checkout. Between {formatAmount(limits.minTopup)} and {formatAmount(limits.maxTopup)} per top-up.
+            </p>
+          </form>
+
+          {/* Holds */}
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">On Hold</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Reserved for booking requests. Taken when the rider accepts, released if they decline.
+            </p>
+
+            {wallet?.holds?.length > 0 ? (
+              <ul className="divide-y divide-gray-100">
+                {wallet.holds.map((hold) => (
+                  <li key={hold._id} className="py-3 flex items-center justify-between">
+                    <div>
+                      <Link
+                        to={`/bookings/${hold.booking?._id || hold.booking}`}
+                        className="text-sm font-medium text-emerald-600 hover:text-emerald-700"
+                      >
+                        Booking #{String(hold.booking?._id || hold.booking).slice(-8)}
+                      </Link>
+                      <p className="text-xs text-gray-500">Since {new Date(hold.createdAt).toLocaleString('en-IN')}</p>
+                    </div>
+                    <span className="font-semibold text-amber-600">{formatAmount(hold.amount)}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-400 text-center py-6">Nothing on hold</p>
+            )}
+          </div>
+        </div>
+
+        {/* Referrals */}
+        {referral && (
+          <div className="bg-white rounded-xl shadow-sm p-6 mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">
+              <i className="fas fa-user-friends text-purple-600 mr-2"></i>Invite Friends
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Your friend gets {formatAmount(referral.rewards?.referee)} and you get {formatAmount(referral.rewards?.referrer)} in wallet credit after their first completed ride.
+            </p>
+
+            <div className="flex flex-col sm:flex-row gap-3 mb-4">
+              <div className="flex-1 flex items-center justify-between bg-purple-50 rounded-lg px-4 py-3">
+                <span className="text-sm text-gray-600">Your code</span>
+                <span className="text-xl font-bold tracking-wider text-purple-700">{referral.code}</span>
+              </div>
+              <button
+                type="button"
+                onClick={copyReferralLink}
+                className="px-4 py-3 rounded-lg border-2 border-purple-500 text-purple-700 font-medium hover:bg-purple-50 transition"
+              >
+                <i className={`fas ${copied ? 'fa-check' : 'fa-link'} mr-2`}></i>
+                {copied ? 'Copied' : 'Copy invite link'}
+              </button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-4 text-center mb-4">
+              <div>
+                <p className="text-2xl font-bold text-gray-900">{referral.invited}</p>
+                <p className="text-xs text-gray-500">Friends joined</p>
+              </div>
+              <div>
+                <p className="text-2xl font-bold text-gray-900">{referral.rewarded}</p>
+                <p className="text-xs text-gray-500">Completed a ride</p>
+              </div>
+              <div>
+                <p className="text-2xl font-bold text-emerald-600">{formatAmount(referral.earned)}</p>
+                <p className="text-xs text-gray-500">Earned</p>
+              </div>
+            </div>
+
+            {referral.referredBy ? (
+              <p className="text-sm text-gray-600 border-t pt-4">
+                <i className="fas fa-gift text-purple-600 mr-2"></i>
+                Referred by {referral.referredBy}
+                {referral.rewardedAt ? ' - reward credited' : ' - your reward arrives after your first completed ride'}
+              </p>
+            ) : (
+              <form onSubmit={handleApplyReferral} className="flex gap-2 border-t pt-4">
+                <input
+                  type="text"
+                  value={referralCode}
+                  onChange={(e) => setReferralCode(e.target.value.toUpperCase())}
+                  placeholder="Have a friend's code?"
+                  maxLength={16}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent uppercase"
+                />
+                <Button type="submit" variant="outline" loading={applyingReferral} disabled={!referralCode.trim()}>
+                  Apply
+                </Button>
+              </form>
+            )}
+          </div>
+        )}
+
+        {/* History */}
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Transaction History</h2>
+            <div className="flex flex-wrap gap-2">
+              {FILTERS.map((f) => (
+                <button
+                  key={f.value}
+                  onClick={() => changeFilter(f.value)}
+                  className={`px-3 py-1 rounded-full text-xs font-medium transition ${
+                    filter === f.value ? 'bg-emerald-500 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {f.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {wallet?.transactions?.length > 0 ? (
+            <ul className="divide-y divide-gray-100">
+              {wallet.transactions.map((txn) => {
+                const meta = TRANSACTION_TYPES[txn.type] || { label: txn.type, icon: 'fa-exchange-alt', color: 'text-gray-700' };
+                const sign = txn.direction === 'CREDIT' ? '+' : txn.direction === 'DEBIT' ? '−' : '';
+                return (
+                  <li key={txn._id} className="py-3 flex items-center">
+                    <div className="w-10 h-10 rounded-full bg-gray-50 flex items-center justify-center mr-4">
+                      <i className={`fas ${meta.icon} ${meta.color}`}></i>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900">
+                        {meta.label}
+                        {txn.status !== 'COMPLETED' && (
+                          <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
+                            txn.status === 'FAILED' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+                          }`}>
+                            {txn.status.toLowerCase()}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {txn.failureReason || txn.description}
+                        {txn.booking && (
+                          <>
+                            {' · '}
+                            <Link to={`/bookings/${txn.booking._id || txn.booking}`} className="text-emerald-600 hover:text-emerald-700">
+                              View booking
+                            </Link>
+                          </>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-400">{new Date(txn.createdAt).toLocaleString('en-IN')}</p>
+                    </div>
+                    <div className="text-right ml-4">
+                      <p className={`font-semibold ${
+                        txn.direction === 'CREDIT' ? 'text-emerald-600' : txn.direction === 'DEBIT' ? 'text-gray-900' : 'text-gray-400'
+                      }`}>
+                        {sign}{formatAmount(txn.amount)}
+                      </p>
+                      {txn.status === 'COMPLETED' && txn.balanceAfter !== undefined && (
+                        <p className="text-xs text-gray-400">Bal {formatAmount(txn.balanceAfter)}</p>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-400 text-center py-8">No transactions yet</p>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-100">
+              <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                Previous
+              </Button>
+              <span className="text-sm text-gray-500">Page {pagination.page} of {pagination.pages}</span>
+              <Button variant="outline" size="sm" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>
+                Next
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Simulated checkout for the local mock gateway */}
+      <Modal
+        isOpen={Boolean(mockOrder)}
+        onClose={handleMockDismiss}
+        title="Test Checkout"
+        size="sm"
+      >
+        <p className="text-sm text-gray-600 mb-2">
+          The mock payment gateway is active, so no real money will move.
+        </p>
+        <p className="text-sm text-gray-900 mb-6">
+          Top-up <span className="font-mono">{mockOrder?.orderId}</span> for <span className="font-semibold">₹{mockOrder?.amount}</span>
+        </p>
+        <div className="space-y-3">
+          <Button onClick={() => handleMockOutcome('success')} className="w-full">
+            <i className="fas fa-check mr-2"></i>Simulate Successful Payment
+          </Button>
+          <Button variant="outline" onClick={() => handleMockOutcome('failure')} className="w-full">
+            <i className="fas fa-times mr-2"></i>Simulate Failed Payment
+          </Button>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default Wallet;
@@ -9,3 +9,5 @@ export { default as Notifications } from './Notifications';
 export { default as Reviews } from './Reviews';
 export { default as CompleteProfile } from './CompleteProfile';
 export { default as DocumentUpload } from './DocumentUpload';
+export { default as Wallet } from './Wallet';
+export { default as Earnings } from './Earnings';
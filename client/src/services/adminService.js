@@ -69,6 +69,18 @@ const adminService = {
     return response.data;
   },
 
+  // Driven path recorded during the ride (simplified polyline)
+  getRidePath: async (rideId, tolerance) => {
+    const response = await api.get(`/api/admin/rides/${rideId}/path`, { params: { tolerance } });
+    return response.data;
+  },
+
+  // Recorded positions and events of a completed ride
+  getRideReplay: async (rideId) => {
+    const response = await api.get(`/api/admin/rides/${rideId}/replay`);
+    return response.data;
+  },
+
   cancelRide: async (rideId, reason) => {
     const response = await api.post(`/api/admin/rides/${rideId}/cancel`, { reason });
     return response.data;
@@ -90,6 +102,12 @@ const adminService = {
     return response.data;
   },
 
+  // Refund the cancellation policy allows for a booking
+  getBookingRefundQuote: async (bookingId) => {
+    const response = await api.get(`/api/admin/bookings/${bookingId}/refund-quote`);
+    return response.data;
+  },
+
   refundBooking: async (bookingId, amount) => {
     const response = await api.post(`/api/admin/bookings/${bookingId}/refund`, { amount });
     return response.data;
@@ -159,6 +177,92 @@ const adminService = {
     return response.data;
   },
 
+  // Geo cache (geocoding/routing responses)
+  getGeoCacheStats: async () => {
+    const response = await api.get('/api/admin/geo-cache');
+    return response.data;
+  },
+
+  purgeGeoCache: async (filters = {}) => {
+    const response = await api.delete('/api/admin/geo-cache', { params: filters });
+    return response.data;
+  },
+
+  // Driver payout batches
+  getPayoutBatches: async (params = {}) => {
+    const response = await api.get('/api/admin/payouts', { params });
+    return response.data;
+  },
+
+  getPayoutBatch: async (batchId) => {
+    const response = await api.get(`/api/admin/payouts/${batchId}`);
+    return response.data;
+  },
+
+  generatePayoutBatch: async (notes) => {
+    const response = await api.post('/api/admin/payouts/generate', { notes });
+    return response.data;
+  },
+
+  approvePayoutBatch: async (batchId) => {
+    const response = await api.post(`/api/admin/payouts/${batchId}/approve`);
+    return response.data;
+  },
+
+  // Bank-transfer CSV as a Blob for download
+  exportPayoutBatch: async (batchId) => {
+    const response = await api.get(`/api/admin/payouts/${batchId}/export`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  // results: [{ payoutId, status: 'PAID' | 'FAILED', transactionId, reason }]
+  settlePayoutBatch: async (batchId, results = []) => {
+    const response = await api.post(`/api/admin/payouts/${batchId}/settle`, { results });
+    return response.data;
+  },
+
+  cancelPayoutBatch: async (batchId, reason) => {
+    const response = await api.post(`/api/admin/payouts/${batchId}/cancel`, { reason });
+    return response.data;
+  },
+
+  // Promo codes
+  getPromoCodes: async (params = {}) => {
+    const response = await api.get('/api/admin/promo-codes', { params });
+    return response.data;
+  },
+
+  createPromoCode: async (data) => {
+    const response = await api.post('/api/admin/promo-codes', data);
+    return response.data;
+  },
+
+  updatePromoCode: async (promoId, data) => {
+    const response = await api.put(`/api/admin/promo-codes/${promoId}`, data);
+    return response.data;
+  },
+
+  // Safety zones (safe places and danger areas)
+  getSafetyZones: async (params = {}) => {
+    const response = await api.get('/api/admin/safety-zones', { params });
+    return response.data;
+  },
+
+  createSafetyZone: async (data) => {
+    const response = await api.post('/api/admin/safety-zones', data);
+    return response.data;
+  },
+
+  updateSafetyZone: async (zoneId, data) => {
+    const response = await api.put(`/api/admin/safety-zones/${zoneId}`, data);
+    return response.data;
+  },
+
+  deleteSafetyZone: async (zoneId) => {
+    const response = await api.delete(`/api/admin/safety-zones/${zoneId}`);
+    return response.data;
+  },
+
   // Notifications
   getNotifications: async () => {
     const response = await api.get('/api/admin/notifications');
@@ -24,18 +24,112 @@ const bookingService = {
     return response.data;
   },
 
+  // Driver's path so far as a simplified polyline (live tracking)
+  getTrackingPath: async (id, tolerance) => {
+    const response = await api.get(`/api/tracking/api/${id}/path`, { params: { tolerance } });
+    return response.data;
+  },
+
+  // Public live tracking links for family/friends (passenger)
+  getTripShares: async (id) => {
+    const response = await api.get(`/api/bookings/${id}/share`);
+    return response.data;
+  },
+
+  createTripShare: async (id, data = {}) => {
+    const response = await api.post(`/api/bookings/${id}/share`, data);
+    return response.data;
+  },
+
+  revokeTripShare: async (id, shareId) => {
+    const response = await api.delete(`/api/bookings/${id}/share/${shareId}`);
+    return response.data;
+  },
+
+  // Shared trip as seen through a link (no login needed)
+  getSharedTrip: async (token) => {
+    const response = await api.get(`/api/tracking/share/${token}`);
+    return response.data;
+  },
+
   // Create booking request
   createBooking: async (rideId, data) => {
     const response = await api.post(`/api/bookings/create/${rideId}`, data);
     return response.data;
   },
 
+  // Price a booking with a promo code before it is placed
+  checkPromoCode: async (data) => {
+    const response = await api.post('/api/bookings/promo-codes/check', data);
+    return response.data;
+  },
+
+  // Refund the cancellation policy would give if the passenger cancelled now
+  getCancellationQuote: async (id) => {
+    const response = await api.get(`/api/bookings/${id}/cancellation-quote`);
+    return response.data;
+  },
+
+  // Tax invoice PDF (Blob) for a completed booking
+  downloadInvoice: async (id) => {
+    const response = await api.get(`/api/bookings/${id}/invoice`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Join the waitlist of a full ride (same details as a booking, plus autoBook)
+  joinWaitlist: async (rideId, data) => {
+    const response = await api.post(`/api/bookings/waitlist/${rideId}`, data);
+    return response.data;
+  },
+
+  // My waitlist entries still queued or with seats held
+  getMyWaitlist: async () => {
+    const response = await api.get('/api/bookings/waitlist/my-entries');
+    return response.data;
+  },
+
+  // Accept or decline seats held from the waitlist
+  respondToWaitlistOffer: async (entryId, action) => {
+    const response = await api.post(`/api/bookings/waitlist/entries/${entryId}/${action}`);
+    return response.data;
+  },
+
+  // Leave a ride's waitlist
+  leaveWaitlist: async (entryId) => {
+    const response = await api.post(`/api/bookings/waitlist/entries/${entryId}/leave`);
+    return response.data;
+  },
+
   // Cancel booking
   cancelBooking: async (id, reason) => {
     const response = await api.post(`/api/bookings/${id}/cancel`, { reason });
     return response.data;
   },
 
+  // Price and route-check a change to seats, pickup/dropoff or co-passengers
+  previewBookingChange: async (id, data) => {
+    const response = await api.post(`/api/bookings/${id}/changes/preview`, data);
+    return response.data;
+  },
+
+  // Request a booking change (applied at once or sent to the rider)
+  requestBookingChange: async (id, data) => {
+    const response = await api.post(`/api/bookings/${id}/changes`, data);
+    return response.data;
+  },
+
+  // Approve or reject a passenger's booking change (for rider)
+  respondToBookingChange: async (id, changeId, action, message) => {
+    const response = await api.post(`/api/bookings/${id}/changes/${changeId}/${action}`, { message });
+    return response.data;
+  },
+
+  // Withdraw a booking change still waiting for the rider
+  withdrawBookingChange: async (id, changeId) => {
+    const response = await api.post(`/api/bookings/${id}/changes/${changeId}/withdraw`);
+    return response.data;
+  },
+
   // Accept booking (for rider)
   acceptBooking: async (id) => {
     const response = await api.post(`/api/bookings/${id}/accept`);
@@ -49,6 +143,11 @@ const bookingService = {
   },
 
   // Confirm pickup with OTP
+  markNoShow: async (id, reason) => {
+    const response = await api.post(`/api/bookings/${id}/no-show`, { reason });
+    return response.data;
+  },
+
   confirmPickup: async (id, otp) => {
     const response = await api.post(`/api/bookings/${id}/verify-pickup`, { otp });
     return response.data;
@@ -66,6 +165,30 @@ const bookingService = {
     return response.data;
   },
 
+  // Create (or reuse) the gateway order for an online payment
+  createPaymentOrder: async (id) => {
+    const response = await api.post(`/api/bookings/${id}/payment/order`);
+    return response.data;
+  },
+
+  // Verify the signed checkout response
+  verifyPayment: async (id, { orderId, paymentId, signature }) => {
+    const response = await api.post(`/api/bookings/${id}/payment/verify`, { orderId, paymentId, signature });
+    return response.data;
+  },
+
+  // Record a failed checkout attempt
+  reportPaymentFailure: async (id, { orderId, paymentId, reason }) => {
+    const response = await api.post(`/api/bookings/${id}/payment/failed`, { orderId, paymentId, reason });
+    return response.data;
+  },
+
+  // Simulated checkout (mock gateway only)
+  mockCheckout: async (orderId, outcome) => {
+    const response = await api.post('/api/bookings/payments/mock-checkout', { orderId, outcome });
+    return response.data;
+  },
+
   // Get booking payment status
   getPaymentStatus: async (id) => {
     const response = await api.get(`/api/bookings/${id}`);
@@ -78,6 +201,54 @@ const bookingService = {
     const response = await api.post(`/api/reviews/booking/${id}`, reviewData, { timeout: 30000 });
     console.log('📥 [BookingService] Review response:', response.data);
     return response.data;
+  },
+
+  // Subscribe to every ride of a recurring series
+  createSubscription: async (data) => {
+    const response = await api.post('/api/bookings/subscriptions', data);
+    return response.data;
+  },
+
+  // Get passenger's recurring ride subscriptions
+  getMySubscriptions: async () => {
+    const response = await api.get('/api/bookings/subscriptions/my-subscriptions');
+    return response.data;
+  },
+
+  // Pause a subscription
+  pauseSubscription: async (id) => {
+    const response = await api.post(`/api/bookings/subscriptions/${id}/pause`);
+    return response.data;
+  },
+
+  // Resume a paused subscription
+  resumeSubscription: async (id) => {
+    const response = await api.post(`/api/bookings/subscriptions/${id}/resume`);
+    return response.data;
+  },
+
+  // Cancel a subscription
+  cancelSubscription: async (id, reason) => {
+    const response = await api.post(`/api/bookings/subscriptions/${id}/cancel`, { reason });
+    return response.data;
+  },
+
+  // Book a connecting trip (two rides with a transfer)
+  createItinerary: async (data) => {
+    const response = await api.post('/api/bookings/itinerary', data);
+    return response.data;
+  },
+
+  // Get a connecting trip with both legs
+  getItinerary: async (id) => {
+    const response = await api.get(`/api/bookings/itinerary/${id}`);
+    return response.data;
+  },
+
+  // Cancel every leg of a connecting trip
+  cancelItinerary: async (id, reason) => {
+    const response = await api.post(`/api/bookings/itinerary/${id}/cancel`, { reason });
+    return response.data;
   }
 };
 
@@ -26,6 +26,12 @@ const locationService = {
     return response.data;
   },
 
+  // Location suggestions from the backend (served from the shared geo cache)
+  autocomplete: async (query, options = {}) => {
+    const response = await api.get('/api/autocomplete', { params: { query }, ...options });
+    return response.data;
+  },
+
   // Calculate distance using OSRM (free, no backend needed)
   // Supports intermediate stops: calculateDistance(origin, destination, [stop1, stop2, ...])
   calculateDistance: async (origin, destination, intermediateStops = []) => {
@@ -8,6 +8,10 @@ const rideService = {
     if (params.destination) queryParams.append('destination', JSON.stringify(params.destination));
     if (params.date) queryParams.append('date', params.date);
     if (params.seats) queryParams.append('seats', params.seats);
+    if (params.timeFrom) queryParams.append('timeFrom', params.timeFrom);
+    if (params.timeTo) queryParams.append('timeTo', params.timeTo);
+    if (params.flexDays) queryParams.append('flexDays', params.flexDays);
+    if (params.arriveBy) queryParams.append('arriveBy', 'true');
     if (params.maxPrice) queryParams.append('maxPrice', params.maxPrice);
     if (params.departureTime) queryParams.append('departureTime', params.departureTime);
     if (params.preferences) queryParams.append('preferences', JSON.stringify(params.preferences));
@@ -19,6 +23,58 @@ const rideService = {
     return response.data;
   },
 
+  // Search two-ride connections (one transfer) for the same route
+  searchConnections: async (params) => {
+    const queryParams = new URLSearchParams();
+    if (params.origin) queryParams.append('origin', JSON.stringify(params.origin));
+    if (params.destination) queryParams.append('destination', JSON.stringify(params.destination));
+    if (params.date) queryParams.append('date', params.date);
+    if (params.seats) queryParams.append('seats', params.seats);
+    if (params.walkingRadius) queryParams.append('walkingRadius', params.walkingRadius);
+    if (params.minLayover) queryParams.append('minLayover', params.minLayover);
+    if (params.maxLayover) queryParams.append('maxLayover', params.maxLayover);
+
+    const response = await api.get(`/api/rides/search/connections?${queryParams.toString()}`);
+    return response.data;
+  },
+
+  // Saved searches (ride alerts)
+  getSavedSearches: async () => {
+    const response = await api.get('/api/rides/saved-searches');
+    return response.data;
+  },
+
+  createSavedSearch: async (data) => {
+    const response = await api.post('/api/rides/saved-searches', data);
+    return response.data;
+  },
+
+  updateSavedSearch: async (id, data) => {
+    const response = await api.put(`/api/rides/saved-searches/${id}`, data);
+    return response.data;
+  },
+
+  deleteSavedSearch: async (id) => {
+    const response = await api.delete(`/api/rides/saved-searches/${id}`);
+    return response.data;
+  },
+
+  // Watch a ride for price drops and freed-up seats
+  watchRide: async (rideId, options = {}) => {
+    const response = await api.post(`/api/rides/${rideId}/watch`, options);
+    return response.data;
+  },
+
+  unwatchRide: async (rideId) => {
+    const response = await api.delete(`/api/rides/${rideId}/watch`);
+    return response.data;
+  },
+
+  getWatchedRides: async () => {
+    const response = await api.get('/api/rides/watched');
+    return response.data;
+  },
+
   // Get ride by ID with full details
   getRideById: async (id) => {
     const response = await api.get(`/api/rides/${id}`);
@@ -42,6 +98,18 @@ const rideService = {
     return response.data;
   },
 
+  // Get the ordered pickup/drop-off manifest for a ride (driver)
+  getRideManifest: async (rideId) => {
+    const response = await api.get(`/api/rides/${rideId}/manifest`);
+    return response.data;
+  },
+
+  // Re-run stop optimisation for a ride (driver)
+  optimizeRideStops: async (rideId) => {
+    const response = await api.post(`/api/rides/${rideId}/optimize-stops`);
+    return response.data;
+  },
+
   // Post a new ride
   postRide: async (data) => {
     const response = await api.post('/api/rides/post', data);
@@ -55,6 +123,12 @@ const rideService = {
   },
 
   // Cancel ride
+  // Refunds passengers get and any penalty the driver pays for cancelling now
+  getCancellationQuote: async (rideId) => {
+    const response = await api.get(`/api/rides/${rideId}/cancellation-quote`);
+    return response.data;
+  },
+
   cancelRide: async (id, reason) => {
     const response = await api.post(`/api/rides/${id}/cancel`, { reason });
     return response.data;
@@ -100,6 +174,42 @@ const rideService = {
   getPopularRoutes: async () => {
     const response = await api.get('/api/rides/popular-routes');
     return response.data;
+  },
+
+  // Create a recurring ride series
+  createRideSeries: async (data) => {
+    const response = await api.post('/api/rides/series', data);
+    return response.data;
+  },
+
+  // Get rider's recurring ride series
+  getMySeries: async () => {
+    const response = await api.get('/api/rides/series/my-series');
+    return response.data;
+  },
+
+  // Get recurring series with its upcoming rides
+  getSeriesDetails: async (seriesId) => {
+    const response = await api.get(`/api/rides/series/${seriesId}`);
+    return response.data;
+  },
+
+  // Update every future occurrence of a series
+  updateRideSeries: async (seriesId, data) => {
+    const response = await api.put(`/api/rides/series/${seriesId}`, data);
+    return response.data;
+  },
+
+  // Skip a single date of a series
+  skipSeriesOccurrence: async (seriesId, date, reason) => {
+    const response = await api.post(`/api/rides/series/${seriesId}/skip`, { date, reason });
+    return response.data;
+  },
+
+  // Cancel a whole series (future occurrences)
+  cancelRideSeries: async (seriesId, reason) => {
+    const response = await api.post(`/api/rides/series/${seriesId}/cancel`, { reason });
+    return response.data;
   }
 };
 
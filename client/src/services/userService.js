@@ -202,11 +202,10 @@ const userService = {
     return response.data;
   },
 
-  // Get recommended price for a ride
-  getRecommendedPrice: async (distanceKm, vehicleType = 'SEDAN') => {
-    const response = await api.get('/api/user/recommended-price', {
-      params: { distanceKm, vehicleType }
-    });
+  // Get demand-based recommended price for a ride
+  // params: { distanceKm, seats, originLat, originLng, destLat, destLng, departure }
+  getRecommendedPrice: async (params) => {
+    const response = await api.get('/api/user/recommended-price', { params });
     return response.data;
   },
 
@@ -232,6 +231,76 @@ const userService = {
     return response.data;
   },
 
+  // Wallet balance, holds and history
+  getWallet: async (params = {}) => {
+    const response = await api.get('/api/user/wallet', { params });
+    return response.data;
+  },
+
+  // Open a gateway order to add money to the wallet
+  createWalletTopup: async (amount) => {
+    const response = await api.post('/api/user/wallet/topup', { amount });
+    return response.data;
+  },
+
+  // Verify the signed checkout response and credit the wallet
+  verifyWalletTopup: async ({ orderId, paymentId, signature }) => {
+    const response = await api.post('/api/user/wallet/topup/verify', { orderId, paymentId, signature });
+    return response.data;
+  },
+
+  // Record a declined or abandoned top-up
+  reportWalletTopupFailure: async ({ orderId, reason }) => {
+    const response = await api.post('/api/user/wallet/topup/failed', { orderId, reason });
+    return response.data;
+  },
+
+  // Monthly earnings statement PDF (Blob); month as YYYY-MM
+  downloadEarningsStatement: async (month) => {
+    const response = await api.get(`/api/user/earnings/statements/${month}`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Company name, GSTIN and address for tax invoices
+  getBillingDetails: async () => {
+    const response = await api.get('/api/user/billing-details');
+    return response.data;
+  },
+
+  updateBillingDetails: async (details) => {
+    const response = await api.put('/api/user/billing-details', details);
+    return response.data;
+  },
+
+  // Own referral code, rewards and who referred this user
+  getReferral: async () => {
+    const response = await api.get('/api/user/referral');
+    return response.data;
+  },
+
+  // Use a friend's referral code before the first completed ride
+  applyReferralCode: async (code) => {
+    const response = await api.post('/api/user/referral', { code });
+    return response.data;
+  },
+
+  // Driver earnings statement and payout history
+  getEarnings: async (params = {}) => {
+    const response = await api.get('/api/user/earnings', { params });
+    return response.data;
+  },
+
+  getPayoutDetails: async () => {
+    const response = await api.get('/api/user/payout-details');
+    return response.data;
+  },
+
+  // Bank account or UPI ID for payouts
+  updatePayoutDetails: async (details) => {
+    const response = await api.put('/api/user/payout-details', details);
+    return response.data;
+  },
+
   // ✅ NEW: Get document verification status
   getDocumentStatus: async () => {
     const response = await api.get('/api/user/documents/status');
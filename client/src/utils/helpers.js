@@ -51,3 +51,31 @@ export function getRatingCount(ratingData, statistics) {
   }
   return 0;
 }
+
+// One-line summary of a cancellation quote from /api/bookings/:id/cancellation-quote
+export function describeRefundQuote({ quote, holdRelease } = {}) {
+  if (!quote) return '';
+  if (holdRelease) return 'Your wallet hold will be released in full.';
+  if (!quote.collected) return `${quote.description}. Nothing has been charged for this booking yet.`;
+  return `${quote.description}. You will get ${formatCurrency(quote.refundAmount)} back.`;
+}
+
+// Save a Blob (PDF, CSV) from an API response as a file
+export function saveFile(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+}
+
+// Error message from a request made with responseType: 'blob' (the JSON body arrives as a Blob)
+export async function getBlobErrorMessage(err, fallback) {
+  try {
+    const body = JSON.parse(await err.response.data.text());
+    return body.message || fallback;
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Razorpay Checkout loader
+ * Shared by booking payments and wallet top-ups
+ */
+
+const RAZORPAY_CHECKOUT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+// Load Razorpay Checkout once, on demand
+export const loadRazorpayCheckout = () => new Promise((resolve, reject) => {
+  if (window.Razorpay) {
+    resolve(window.Razorpay);
+    return;
+  }
+  const script = document.createElement('script');
+  script.src = RAZORPAY_CHECKOUT_URL;
+  script.onload = () => resolve(window.Razorpay);
+  script.onerror = () => reject(new Error('Could not load the payment checkout. Check your connection and try again.'));
+  document.body.appendChild(script);
+});
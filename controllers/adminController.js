@@ -13,6 +13,8 @@ const Settings = require('../models/Settings');
 const RouteDeviation = require('../models/RouteDeviation');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const helpers = require('../utils/helpers');
+const locationHistory = require('../utils/locationHistory');
+const tripReplay = require('../utils/tripReplay');
 const { sendEmail } = require('../config/email');
 
 /**
@@ -352,8 +354,14 @@ exports.suspendUser = asyncHandler(async (req, res) => {
         });
 
         for (const booking of activeBookings) {
+            const quote = await require('../utils/cancellationPolicy').quoteBooking(booking, { actor: 'ADMIN' });
             booking.status = 'CANCELLED';
             booking.cancellationReason = 'Passenger account suspended by admin';
+            await require('../utils/wallet').settleCancelledBooking(booking, {
+                refundAmount: quote.refundAmount,
+                reason: 'Passenger account suspended',
+                postedBy: req.user._id
+            });
             await booking.save();
 
             // Notify rider
@@ -1334,15 +1342,24 @@ exports.cancelRide = asyncHandler(async (req, res) => {
     // Notify all passengers
     const bookings = await Booking.find({ ride: rideId, status: { $in: ['PENDING', 'CONFIRMED'] } });
     
+    const walletService = require('../utils/wallet');
+    const cancellationPolicy = require('../utils/cancellationPolicy');
+    const policy = await cancellationPolicy.getPolicy();
     for (const booking of bookings) {
+        const quote = cancellationPolicy.quote(booking, policy, { actor: 'ADMIN', departure: ride.schedule?.departureDateTime });
         booking.status = 'CANCELLED';
+        const { refunded } = await walletService.settleCancelledBooking(booking, {
+            refundAmount: quote.refundAmount,
+            reason: 'Ride cancelled by admin',
+            postedBy: req.user._id
+        });
         await booking.save();
 
         await Notification.create({
             user: booking.passenger,
             type: 'RIDE_CANCELLED',
             title: 'Ride Cancelled by Admin',
-            message: `Ride from ${ride.origin.address} to ${ride.destination.address} has been cancelled. Reason: ${reason}`,
+            message: `Ride from ${ride.origin.address} to ${ride.destination.address} has been cancelled. Reason: ${reason}${refunded ? `. ₹${refunded} has been refunded to your wallet` : ''}`,
             priority: 'HIGH'
         });
     }
@@ -1940,28 +1957,82 @@ exports.getBookingDetails = asyncHandler(async (req, res) => {
 
 /**
  * Refund Booking API
+ * Body: { amount } - defaults to what the cancellation policy allows for the booking
  */
 exports.refundBooking = asyncHandler(async (req, res) => {
     const { amount } = req.body;
-    const booking = await Booking.findById(req.params.bookingId);
+    const booking = await Booking.findById(req.params.bookingId).populate('ride', 'schedule rider');
 
     if (!booking) {
         return res.status(404).json({ success: false, message: 'Booking not found' });
     }
+    if (booking.payment.status === 'REFUNDED') {
+        throw new AppError(`This booking was already refunded ₹${booking.payment.refundAmount || 0}`, 400);
+    }
+    if (!['PAID', 'PAYMENT_CONFIRMED'].includes(booking.payment.status)) {
+        throw new AppError('Nothing has been paid for this booking', 400);
+    }
+
+    // Without an explicit amount, refund what the policy gives for how the booking ended
+    const cancellationPolicy = require('../utils/cancellationPolicy');
+    const quote = await cancellationPolicy.quoteBooking(booking, refundQuoteOptions(booking));
+    const refundAmount = amount !== undefined && amount !== '' ? Number(amount) : quote.refundAmount;
 
-    booking.payment.status = 'REFUNDED';
-    booking.payment.refundedAt = new Date();
-    booking.payment.refundAmount = amount || booking.totalPrice;
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > booking.totalPrice) {
+        throw new AppError(`Refund must be between ₹1 and ₹${booking.totalPrice}`, 400);
+    }
+
+    // The refund goes to the passenger's wallet; cash/UPI the driver collected
+    // is recovered from their next payout
+    const walletService = require('../utils/wallet');
+    const recovered = !walletService.isRefundable(booking);
+
+    await walletService.refundBooking(booking, {
+        amount: refundAmount,
+        key: 'admin',
+        postedBy: req.user._id,
+        recoverFromDriver: true
+    });
     await booking.save();
 
     await Notification.create({
         user: booking.passenger,
         type: 'PAYMENT_REFUNDED',
         title: 'Refund Processed',
-        message: `₹${amount || booking.totalPrice} has been refunded.`
+        message: `₹${booking.payment.refundAmount} has been refunded to your wallet.`
+    });
+
+    res.json({
+        success: true,
+        message: `Refund processed successfully${recovered ? ' (recovered from the driver\'s next payout)' : ''}`,
+        refundAmount: booking.payment.refundAmount,
+        policy: quote
     });
+});
 
-    res.json({ success: true, message: 'Refund processed successfully' });
+/**
+ * Policy refund for a booking, judged by who ended it
+ */
+const refundQuoteOptions = (booking) => ({
+    actor: { PASSENGER: 'PASSENGER', RIDER: 'DRIVER' }[booking.cancellation?.cancelledBy] || 'ADMIN',
+    noShow: booking.status === 'NO_SHOW',
+    at: booking.cancellation?.cancelledAt || new Date()
+});
+
+/**
+ * Preview the policy refund for a booking API
+ */
+exports.getBookingRefundQuote = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.bookingId).populate('ride', 'schedule rider');
+
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
+    }
+
+    const cancellationPolicy = require('../utils/cancellationPolicy');
+    const quote = await cancellationPolicy.quoteBooking(booking, refundQuoteOptions(booking));
+
+    res.json({ success: true, quote });
 });
 
 /**
@@ -2267,7 +2338,8 @@ exports.getSettings = asyncHandler(async (req, res) => {
         });
     }
 
-    res.json({ success: true, settings });
+    const cancellationPolicy = require('../utils/cancellationPolicy');
+    res.json({ success: true, settings, cancellationPolicy: cancellationPolicy.fromSettings(settings) });
 });
 
 /**
@@ -2300,10 +2372,23 @@ exports.updateSettings = asyncHandler(async (req, res) => {
     settings.updatedAt = new Date();
     await settings.save();
 
+    // Cancellation & refund policy - validated and saved by the policy engine
+    const cancellationPolicy = require('../utils/cancellationPolicy');
+    let policy;
+    if (req.body.cancellationPolicy !== undefined) {
+        try {
+            policy = await cancellationPolicy.update(req.body.cancellationPolicy, req.user._id);
+        } catch (error) {
+            throw new AppError(error.message, 400);
+        }
+        settings = await Settings.getSettings();
+    }
+
     res.json({
         success: true,
         message: 'Settings updated successfully',
-        settings
+        settings,
+        cancellationPolicy: policy || cancellationPolicy.fromSettings(settings)
     });
 });
 
@@ -2373,4 +2458,652 @@ exports.getRideDetails = asyncHandler(async (req, res) => {
     }
 
     res.json({ success: true, ride });
-});
\ No newline at end of file
+});
+
+/**
+ * Get Ride Driven Path API
+ * Simplified polyline of the stored location history (?tolerance=<meters>)
+ */
+exports.getRidePath = asyncHandler(async (req, res) => {
+    const ride = await Ride.findById(req.params.rideId).select('tracking');
+
+    if (!ride) {
+        return res.status(404).json({ success: false, message: 'Ride not found' });
+    }
+
+    const path = await locationHistory.getPath(ride._id, { tolerance: req.query.tolerance });
+
+    res.json({
+        success: true,
+        path,
+        currentLocation: ride.tracking?.currentLocation || null,
+        lastDeviation: ride.tracking?.lastDeviation || null
+    });
+});
+
+/**
+ * Get Trip Replay API
+ * Recorded positions of a completed ride with its events, for investigations
+ */
+exports.getRideReplay = asyncHandler(async (req, res) => {
+    const ride = await Ride.findById(req.params.rideId)
+        .select('rider status route schedule tracking')
+        .populate('rider', 'profile email phone')
+        .lean();
+
+    if (!ride) {
+        return res.status(404).json({ success: false, message: 'Ride not found' });
+    }
+
+    if (ride.status !== 'COMPLETED') {
+        throw new AppError('Replay is only available for completed rides', 400);
+    }
+
+    const replay = await tripReplay.buildReplay(ride);
+
+    res.json({
+        success: true,
+        ride: {
+            _id: ride._id,
+            status: ride.status,
+            rider: ride.rider,
+            start: ride.route?.start,
+            destination: ride.route?.destination,
+            departureDateTime: ride.schedule?.departureDateTime
+        },
+        replay
+    });
+});
+// ============================================
+// GEO CACHE (geocoding/routing response cache)
+// ============================================
+
+/**
+ * Geo cache hit/miss metrics, stored entries and provider status API
+ */
+exports.getGeoCacheStats = asyncHandler(async (req, res) => {
+    const geoService = require('../utils/geoService');
+    const geoCache = require('../utils/geoCache');
+
+    res.json({
+        success: true,
+        cache: await geoCache.getMetrics(),
+        providers: geoService.getStatus()
+    });
+});
+
+/**
+ * Purge geo cache entries API
+ * Filters (query string): operation, provider, query (substring); all=true purges everything
+ */
+exports.purgeGeoCache = asyncHandler(async (req, res) => {
+    const geoCache = require('../utils/geoCache');
+    const { operation, provider, query, all } = req.query;
+
+    if (!operation && !provider && !query && all !== 'true') {
+        throw new AppError('Provide operation, provider or query to purge, or all=true', 400);
+    }
+
+    const deletedCount = await geoCache.purge({ operation, provider, query });
+
+    res.json({
+        success: true,
+        message: `Purged ${deletedCount} cached entr${deletedCount === 1 ? 'y' : 'ies'}`,
+        deletedCount
+    });
+});
+
+// ============================================
+// LEDGER (double-entry balances)
+// ============================================
+
+/**
+ * Ledger accounts with running balances API
+ * Filters (query string): type, owner, nonZero=true
+ */
+exports.getLedgerAccounts = asyncHandler(async (req, res) => {
+    const ledger = require('../utils/ledger');
+    const { type, owner, nonZero } = req.query;
+
+    const accounts = await ledger.getAccounts({ type, owner, nonZero: nonZero === 'true' });
+
+    res.json({
+        success: true,
+        accounts,
+        trialBalance: await ledger.getTrialBalance()
+    });
+});
+
+/**
+ * Statement (lines with running balance) for one ledger account API
+ */
+exports.getLedgerStatement = asyncHandler(async (req, res) => {
+    const ledger = require('../utils/ledger');
+    const { limit, before } = req.query;
+
+    const statement = await ledger.getStatement(req.params.accountKey, {
+        limit: parseInt(limit, 10) || 50,
+        before
+    });
+    if (!statement) {
+        throw new AppError('Ledger account not found', 404);
+    }
+
+    res.json({ success: true, ...statement });
+});
+
+/**
+ * Reconcile the ledger against Transaction.getFinancialSummary API
+ * Query: startDate, endDate (defaults to the last 30 days)
+ */
+exports.getLedgerReconciliation = asyncHandler(async (req, res) => {
+    const ledger = require('../utils/ledger');
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+        ? new Date(req.query.startDate)
+        : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const report = await ledger.reconcile(startDate, endDate);
+
+    console.log(`📒 [Admin Ledger] Reconciliation: ${report.mismatched} mismatched of ${report.transactionsChecked} transactions`);
+
+    res.json({ success: true, report });
+});
+
+/**
+ * Record commission dues paid by a cash-collecting driver API
+ * Body: { riderId, amount, reference }
+ */
+exports.recordCommissionSettlement = asyncHandler(async (req, res) => {
+    const ledger = require('../utils/ledger');
+    const { riderId, amount, reference } = req.body;
+    const value = Number(amount);
+
+    if (!riderId || !Number.isFinite(value) || value <= 0) {
+        throw new AppError('riderId and a positive amount are required', 400);
+    }
+    if (!reference || !String(reference).trim()) {
+        throw new AppError('A payment reference is required so the settlement is only recorded once', 400);
+    }
+
+    const rider = await User.findById(riderId).select('role');
+    if (!rider || rider.role !== 'RIDER') {
+        throw new AppError('Rider not found', 404);
+    }
+
+    const entry = await ledger.recordCommissionSettlement(riderId, value, {
+        reference,
+        postedBy: req.user._id
+    });
+
+    res.status(201).json({
+        success: true,
+        message: `Recorded ₹${entry.amount} commission settlement`,
+        entry
+    });
+});
+
+/**
+ * Reverse a ledger entry API (entries are never edited)
+ * Body: { reason }
+ */
+exports.reverseLedgerEntry = asyncHandler(async (req, res) => {
+    const ledger = require('../utils/ledger');
+
+    let entry;
+    try {
+        entry = await ledger.reverse(req.params.entryId, { reason: req.body.reason, postedBy: req.user._id });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    res.status(201).json({ success: true, message: 'Entry reversed', entry });
+});
+
+/**
+ * Post ledger entries for payments collected before the ledger existed API
+ */
+exports.backfillLedger = asyncHandler(async (req, res) => {
+    const ledger = require('../utils/ledger');
+    const result = await ledger.backfill();
+
+    res.json({
+        success: true,
+        message: `Posted ${result.posted} of ${result.checked} collected transactions`,
+        ...result
+    });
+});
+
+// ============================================
+// WALLETS (promo and referral credits)
+// ============================================
+
+/**
+ * A user's wallet balance, holds and history API
+ */
+exports.getUserWallet = asyncHandler(async (req, res) => {
+    const walletService = require('../utils/wallet');
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+        throw new AppError('User not found', 404);
+    }
+
+    const wallet = await walletService.getSummary(user._id, { page, limit: 50, type: req.query.type });
+    res.json({ success: true, wallet });
+});
+
+/**
+ * Grant a promo or referral credit API
+ * Body: { amount, type: PROMO_CREDIT | REFERRAL_CREDIT, reason, reference }
+ */
+exports.grantWalletCredit = asyncHandler(async (req, res) => {
+    const walletService = require('../utils/wallet');
+    const { type = 'PROMO_CREDIT', reason, reference } = req.body;
+    const value = Number(req.body.amount);
+
+    if (!Number.isFinite(value) || value <= 0 || value > walletService.limits.maxTopup) {
+        throw new AppError(`Amount must be between ₹1 and ₹${walletService.limits.maxTopup}`, 400);
+    }
+    if (!['PROMO_CREDIT', 'REFERRAL_CREDIT'].includes(type)) {
+        throw new AppError('type must be PROMO_CREDIT or REFERRAL_CREDIT', 400);
+    }
+
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+        throw new AppError('User not found', 404);
+    }
+
+    const { transaction } = await walletService.grantCredit(user._id, value, {
+        type,
+        reason,
+        reference,
+        createdBy: req.user._id
+    });
+
+    await Notification.create({
+        user: user._id,
+        type: 'SYSTEM_ALERT',
+        title: type === 'REFERRAL_CREDIT' ? 'Referral Reward 🎁' : 'Wallet Credit 🎁',
+        message: `₹${transaction.amount} has been added to your wallet. ${transaction.description}`
+    });
+
+    res.status(201).json({
+        success: true,
+        message: `Credited ₹${transaction.amount} to the user's wallet`,
+        transaction
+    });
+});
+
+// ============================================
+// PROMO CODES
+// ============================================
+
+/**
+ * Promo codes API, with live redemptions and discount given
+ * Filters (query string): status (active | inactive), search
+ */
+exports.getPromoCodes = asyncHandler(async (req, res) => {
+    const PromoCode = require('../models/PromoCode');
+    const promotions = require('../utils/promotions');
+
+    const query = {};
+    if (req.query.status === 'active') query.active = true;
+    if (req.query.status === 'inactive') query.active = false;
+    if (req.query.search) {
+        query.code = { $regex: req.query.search.replace(/[^A-Za-z0-9_-]/g, ''), $options: 'i' };
+    }
+
+    const promoCodes = await PromoCode.find(query).sort({ createdAt: -1 }).limit(100).lean();
+    const usage = await promotions.getUsage(promoCodes.map(p => p._id));
+
+    res.json({
+        success: true,
+        promoCodes: promoCodes.map(promo => ({
+            ...promo,
+            usage: usage.get(promo._id.toString()) || { redemptions: 0, discountGiven: 0 }
+        })),
+        referralRewards: promotions.referralRewards
+    });
+});
+
+/**
+ * Create promo code API
+ * Body: { code, description, discountType: PERCENT | FLAT, value, maxDiscount, minFare,
+ *         firstRideOnly, corridor: { start, destination, radiusKm }, validFrom, validUntil,
+ *         perUserLimit, totalLimit }
+ */
+exports.createPromoCode = asyncHandler(async (req, res) => {
+    const PromoCode = require('../models/PromoCode');
+    const promotions = require('../utils/promotions');
+
+    let fields;
+    try {
+        fields = promotions.normalize(req.body);
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    if (await PromoCode.exists({ code: fields.code })) {
+        throw new AppError(`Promo code ${fields.code} already exists`, 400);
+    }
+
+    const promo = await PromoCode.create({ ...fields, createdBy: req.user._id });
+    console.log(`🏷️ [Admin] Promo code ${promo.code} created`);
+
+    res.status(201).json({
+        success: true,
+        message: `Promo code ${promo.code} created`,
+        promoCode: promo
+    });
+});
+
+/**
+ * Update promo code API (also used to switch a code on or off)
+ * The code itself cannot change once bookings may carry it
+ */
+exports.updatePromoCode = asyncHandler(async (req, res) => {
+    const PromoCode = require('../models/PromoCode');
+    const promotions = require('../utils/promotions');
+
+    const promo = await PromoCode.findById(req.params.promoId);
+    if (!promo) {
+        throw new AppError('Promo code not found', 404);
+    }
+
+    let fields;
+    try {
+        const { code, ...changes } = req.body;
+        fields = promotions.normalize({ discountType: promo.discountType, ...changes }, { partial: true });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    promo.set(fields);
+    if (promo.validFrom && promo.validUntil && promo.validFrom >= promo.validUntil) {
+        throw new AppError('The end date must be after the start date', 400);
+    }
+    await promo.save();
+
+    res.json({
+        success: true,
+        message: `Promo code ${promo.code} updated`,
+        promoCode: promo
+    });
+});
+
+// ============================================
+// SAFETY ZONES
+// ============================================
+
+/**
+ * Safe and danger zones API
+ * Filters (query string): kind (SAFE | DANGER), category, status (active | inactive)
+ */
+exports.getSafetyZones = asyncHandler(async (req, res) => {
+    const SafetyZone = require('../models/SafetyZone');
+
+    const query = {};
+    if (['SAFE', 'DANGER'].includes(req.query.kind)) query.kind = req.query.kind;
+    if (req.query.category) query.category = String(req.query.category);
+    if (req.query.status === 'active') query.active = true;
+    if (req.query.status === 'inactive') query.active = false;
+
+    const zones = await SafetyZone.find(query).sort({ kind: 1, name: 1 }).limit(500).lean();
+
+    res.json({
+        success: true,
+        zones,
+        categories: {
+            SAFE: SafetyZone.SAFE_CATEGORIES,
+            DANGER: SafetyZone.DANGER_CATEGORIES
+        }
+    });
+});
+
+/**
+ * Create safety zone API
+ * Body: { name, kind: SAFE | DANGER, category, shape: CIRCLE | POLYGON, center: [lng, lat], radius (m),
+ *         polygon: [[lng, lat]...], riskLevel, reason, recommendations, activeHours: { start, end }, activeDays }
+ */
+exports.createSafetyZone = asyncHandler(async (req, res) => {
+    const SafetyZone = require('../models/SafetyZone');
+    const safetyZones = require('../utils/safetyZones');
+
+    let fields;
+    try {
+        fields = safetyZones.normalize(req.body);
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    const zone = await SafetyZone.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+    safetyZones.invalidate();
+    console.log(`🗺️ [Admin] ${zone.kind} zone ${zone.name} created`);
+
+    res.status(201).json({
+        success: true,
+        message: `Zone ${zone.name} created`,
+        zone
+    });
+});
+
+/**
+ * Update safety zone API (also used to switch a zone on or off)
+ */
+exports.updateSafetyZone = asyncHandler(async (req, res) => {
+    const SafetyZone = require('../models/SafetyZone');
+    const safetyZones = require('../utils/safetyZones');
+
+    const zone = await SafetyZone.findById(req.params.zoneId);
+    if (!zone) {
+        throw new AppError('Zone not found', 404);
+    }
+
+    let fields;
+    try {
+        fields = safetyZones.normalize(req.body, { partial: true, current: zone });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    zone.set({ ...fields, updatedBy: req.user._id });
+    await zone.save();
+    safetyZones.invalidate();
+
+    res.json({
+        success: true,
+        message: `Zone ${zone.name} updated`,
+        zone
+    });
+});
+
+/**
+ * Delete safety zone API
+ */
+exports.deleteSafetyZone = asyncHandler(async (req, res) => {
+    const SafetyZone = require('../models/SafetyZone');
+    const safetyZones = require('../utils/safetyZones');
+
+    const zone = await SafetyZone.findByIdAndDelete(req.params.zoneId);
+    if (!zone) {
+        throw new AppError('Zone not found', 404);
+    }
+    safetyZones.invalidate();
+    console.log(`🗺️ [Admin] ${zone.kind} zone ${zone.name} deleted`);
+
+    res.json({
+        success: true,
+        message: `Zone ${zone.name} deleted`
+    });
+});
+
+// ============================================
+// PAYOUTS (driver payout batches)
+// ============================================
+
+/**
+ * Map a payouts utility error to an HTTP error
+ */
+const toPayoutError = (error) => new AppError(error.message, /not found/i.test(error.message) ? 404 : 400);
+
+/**
+ * Payout batches API
+ * Filters (query string): status, page
+ */
+exports.getPayoutBatches = asyncHandler(async (req, res) => {
+    const PayoutBatch = require('../models/PayoutBatch');
+    const payouts = require('../utils/payouts');
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = 20;
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const [batches, total] = await Promise.all([
+        PayoutBatch.find(query)
+            .select('-payouts.transactions -payouts.bookings')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        PayoutBatch.countDocuments(query)
+    ]);
+
+    res.json({
+        success: true,
+        batches,
+        schedule: {
+            intervalDays: payouts.intervalDays,
+            minAmount: payouts.minAmount,
+            holdDays: payouts.holdDays
+        },
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+});
+
+/**
+ * One payout batch with driver details API
+ */
+exports.getPayoutBatch = asyncHandler(async (req, res) => {
+    const PayoutBatch = require('../models/PayoutBatch');
+
+    const batch = await PayoutBatch.findById(req.params.batchId)
+        .populate('payouts.rider', 'profile.firstName profile.lastName email phone')
+        .populate('skipped.rider', 'profile.firstName profile.lastName email phone')
+        .populate('createdBy approvedBy settledBy cancelledBy', 'profile.firstName profile.lastName email');
+    if (!batch) {
+        throw new AppError('Payout batch not found', 404);
+    }
+
+    res.json({ success: true, batch });
+});
+
+/**
+ * Generate a payout batch now instead of waiting for the scheduler API
+ * Body: { notes }
+ */
+exports.generatePayoutBatch = asyncHandler(async (req, res) => {
+    const PayoutBatch = require('../models/PayoutBatch');
+    const payouts = require('../utils/payouts');
+
+    if (await PayoutBatch.exists({ status: 'PENDING_APPROVAL' })) {
+        throw new AppError('Approve or cancel the batch awaiting approval first', 409);
+    }
+
+    const batch = await payouts.generateBatch({
+        generatedBy: 'ADMIN',
+        createdBy: req.user._id,
+        notes: req.body.notes
+    });
+    if (!batch) {
+        return res.json({ success: true, message: 'No unsettled driver earnings to pay out', batch: null });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: `Batch ${batch.reference} created for ${batch.totals.drivers} drivers`,
+        batch
+    });
+});
+
+/**
+ * Approve a payout batch for transfer API
+ */
+exports.approvePayoutBatch = asyncHandler(async (req, res) => {
+    const payouts = require('../utils/payouts');
+
+    let batch;
+    try {
+        batch = await payouts.approveBatch(req.params.batchId, { approvedBy: req.user._id });
+    } catch (error) {
+        throw toPayoutError(error);
+    }
+
+    res.json({ success: true, message: `Batch ${batch.reference} approved`, batch });
+});
+
+/**
+ * Download the bank-transfer CSV for an approved batch API
+ */
+exports.exportPayoutBatch = asyncHandler(async (req, res) => {
+    const payouts = require('../utils/payouts');
+
+    let file;
+    try {
+        file = await payouts.exportCsv(req.params.batchId);
+    } catch (error) {
+        throw toPayoutError(error);
+    }
+
+    res.attachment(file.filename);
+    res.type('text/csv');
+    res.send(file.csv);
+});
+
+/**
+ * Confirm the transfer and settle the batch API
+ * Body: { results: [{ payoutId, status: PAID | FAILED, transactionId, reason }] }
+ * Lines not listed in results are settled as PAID
+ */
+exports.settlePayoutBatch = asyncHandler(async (req, res) => {
+    const payouts = require('../utils/payouts');
+    const results = Array.isArray(req.body.results) ? req.body.results : [];
+
+    const invalid = results.find(r => !r.payoutId || !['PAID', 'FAILED'].includes(r.status));
+    if (invalid) {
+        throw new AppError('Each result needs a payoutId and a status of PAID or FAILED', 400);
+    }
+
+    let batch;
+    try {
+        batch = await payouts.settleBatch(req.params.batchId, { results, settledBy: req.user._id });
+    } catch (error) {
+        throw toPayoutError(error);
+    }
+
+    res.json({
+        success: true,
+        message: `Batch ${batch.reference} settled: ₹${batch.totals.paid} paid` +
+            (batch.totals.failed > 0 ? `, ${batch.totals.failed} failed` : ''),
+        batch
+    });
+});
+
+/**
+ * Cancel a batch that has not been settled; its bookings go back into the pool API
+ * Body: { reason }
+ */
+exports.cancelPayoutBatch = asyncHandler(async (req, res) => {
+    const payouts = require('../utils/payouts');
+
+    let batch;
+    try {
+        batch = await payouts.cancelBatch(req.params.batchId, { cancelledBy: req.user._id, reason: req.body.reason });
+    } catch (error) {
+        throw toPayoutError(error);
+    }
+
+    res.json({ success: true, message: `Batch ${batch.reference} cancelled`, batch });
+});
@@ -1,13 +1,10 @@
 /**
  * API Controller
- * Handles external API integrations: Nominatim (geocoding) and OSRM (routing)
+ * Handles geocoding and routing (through geoService providers) and notifications
  */
 
-const axios = require('axios');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
-
-const NOMINATIM_URL = process.env.NOMINATIM_API_URL || 'https://nominatim.openstreetmap.org';
-const OSRM_URL = process.env.OSRM_API_URL || 'https://router.project-osrm.org';
+const geoService = require('../utils/geoService');
 
 /**
  * Geocode address to coordinates
@@ -20,28 +17,7 @@ exports.geocodeAddress = asyncHandler(async (req, res) => {
     }
 
     try {
-        const response = await axios.get(`${NOMINATIM_URL}/search`, {
-            params: {
-                q: address,
-                format: 'json',
-                limit: 5,
-                countrycodes: 'in', // India only
-                addressdetails: 1
-            },
-            headers: {
-                'User-Agent': 'LANE-Carpool-App/1.0'
-            }
-        });
-
-        const results = response.data.map(place => ({
-            displayName: place.display_name,
-            address: place.address,
-            coordinates: [parseFloat(place.lon), parseFloat(place.lat)],
-            city: place.address.city || place.address.town || place.address.village,
-            state: place.address.state,
-            country: place.address.country,
-            placeId: place.place_id
-        }));
+        const results = await geoService.geocode(address, { limit: 5 });
 
         res.status(200).json({
             success: true,
@@ -65,29 +41,20 @@ exports.reverseGeocode = asyncHandler(async (req, res) => {
     }
 
     try {
-        const response = await axios.get(`${NOMINATIM_URL}/reverse`, {
-            params: {
-                lat: parseFloat(lat),
-                lon: parseFloat(lon),
-                format: 'json',
-                addressdetails: 1
-            },
-            headers: {
-                'User-Agent': 'LANE-Carpool-App/1.0'
-            }
-        });
-
-        const place = response.data;
+        const place = await geoService.reverseGeocode(parseFloat(lat), parseFloat(lon));
+        if (!place) {
+            throw new Error('No address found');
+        }
 
         res.status(200).json({
             success: true,
             result: {
-                displayName: place.display_name,
+                displayName: place.displayName,
                 address: place.address,
-                coordinates: [parseFloat(place.lon), parseFloat(place.lat)],
-                city: place.address.city || place.address.town || place.address.village,
-                state: place.address.state,
-                country: place.address.country
+                coordinates: place.coordinates,
+                city: place.city,
+                state: place.state,
+                country: place.country
             }
         });
     } catch (error) {
@@ -112,44 +79,13 @@ exports.getRoute = asyncHandler(async (req, res) => {
         const destCoords = JSON.parse(destination);
         const waypointCoords = waypoints ? JSON.parse(waypoints) : [];
 
-        // Build coordinate string
         const allCoords = [
             originCoords,
             ...waypointCoords,
             destCoords
-        ];
-
-        const coordString = allCoords
-            .map(c => `${c.coordinates[0]},${c.coordinates[1]}`)
-            .join(';');
-
-        const response = await axios.get(`${OSRM_URL}/route/v1/driving/${coordString}`, {
-            params: {
-                overview: 'full',
-                geometries: 'geojson',
-                steps: true,
-                alternatives: true
-            }
-        });
-
-        if (response.data.code !== 'Ok') {
-            throw new Error('OSRM routing failed');
-        }
+        ].map(c => c.coordinates);
 
-        const routes = response.data.routes.map(route => ({
-            geometry: route.geometry,
-            distance: route.distance / 1000, // Convert to km
-            duration: route.duration / 60, // Convert to minutes
-            legs: route.legs.map(leg => ({
-                distance: leg.distance / 1000,
-                duration: leg.duration / 60,
-                steps: leg.steps ? leg.steps.map(step => ({
-                    instruction: step.maneuver?.instruction || '',
-                    distance: step.distance / 1000,
-                    duration: step.duration / 60
-                })) : []
-            }))
-        }));
+        const routes = await geoService.route(allCoords, { steps: true, alternatives: true });
 
         res.status(200).json({
             success: true,
@@ -175,30 +111,18 @@ exports.getDistanceMatrix = asyncHandler(async (req, res) => {
         const originCoords = JSON.parse(origins);
         const destCoords = JSON.parse(destinations);
 
-        // OSRM table service
-        const allCoords = [...originCoords, ...destCoords];
-        const coordString = allCoords
-            .map(c => `${c[0]},${c[1]}`)
-            .join(';');
-
-        const originIndices = originCoords.map((_, i) => i).join(';');
-        const destIndices = destCoords.map((_, i) => i + originCoords.length).join(';');
-
-        const response = await axios.get(`${OSRM_URL}/table/v1/driving/${coordString}`, {
-            params: {
-                sources: originIndices,
-                destinations: destIndices
+        const { distances, durations } = await geoService.table(
+            [...originCoords, ...destCoords],
+            {
+                sources: originCoords.map((_, i) => i),
+                destinations: destCoords.map((_, i) => i + originCoords.length)
             }
-        });
-
-        if (response.data.code !== 'Ok') {
-            throw new Error('Distance matrix calculation failed');
-        }
+        );
 
         res.status(200).json({
             success: true,
-            distances: response.data.distances, // 2D array in meters
-            durations: response.data.durations // 2D array in seconds
+            distances, // 2D array in meters
+            durations // 2D array in seconds
         });
     } catch (error) {
         console.error('Distance matrix error:', error.message);
@@ -217,26 +141,16 @@ exports.autocomplete = asyncHandler(async (req, res) => {
     }
 
     try {
-        const response = await axios.get(`${NOMINATIM_URL}/search`, {
-            params: {
-                q: query,
-                format: 'json',
-                limit: 10,
-                countrycodes: 'in',
-                addressdetails: 1
-            },
-            headers: {
-                'User-Agent': 'LANE-Carpool-App/1.0'
-            }
-        });
+        const places = await geoService.autocomplete(query, { limit: 10 });
 
-        const suggestions = response.data.map(place => ({
-            label: place.display_name,
+        const suggestions = places.map(place => ({
+            label: place.displayName,
             value: {
-                address: place.display_name,
-                coordinates: [parseFloat(place.lon), parseFloat(place.lat)],
-                city: place.address.city || place.address.town || place.address.village,
-                state: place.address.state
+                address: place.displayName,
+                coordinates: place.coordinates,
+                city: place.city,
+                state: place.state,
+                type: place.type
             }
         }));
 
@@ -261,26 +175,7 @@ exports.snapToRoad = asyncHandler(async (req, res) => {
     }
 
     try {
-        const coords = JSON.parse(coordinates);
-        const coordString = coords
-            .map(c => `${c[0]},${c[1]}`)
-            .join(';');
-
-        const response = await axios.get(`${OSRM_URL}/nearest/v1/driving/${coordString}`, {
-            params: {
-                number: 1
-            }
-        });
-
-        if (response.data.code !== 'Ok') {
-            throw new Error('Snap to road failed');
-        }
-
-        const snapped = response.data.waypoints.map(wp => ({
-            coordinates: [wp.location[0], wp.location[1]],
-            distance: wp.distance,
-            name: wp.name
-        }));
+        const snapped = await geoService.nearest(JSON.parse(coordinates));
 
         res.status(200).json({
             success: true,
@@ -306,26 +201,13 @@ exports.calculateETA = asyncHandler(async (req, res) => {
         const originCoords = JSON.parse(origin);
         const destCoords = JSON.parse(destination);
 
-        const coordString = `${originCoords[0]},${originCoords[1]};${destCoords[0]},${destCoords[1]}`;
-
-        const response = await axios.get(`${OSRM_URL}/route/v1/driving/${coordString}`, {
-            params: {
-                overview: 'false',
-                geometries: 'geojson'
-            }
-        });
-
-        if (response.data.code !== 'Ok') {
-            throw new Error('ETA calculation failed');
-        }
-
-        const route = response.data.routes[0];
-        const eta = new Date(Date.now() + route.duration * 1000);
+        const [route] = await geoService.route([originCoords, destCoords], { overview: 'false' });
+        const eta = new Date(Date.now() + route.duration * 60 * 1000);
 
         res.status(200).json({
             success: true,
-            distance: route.distance / 1000, // km
-            duration: route.duration / 60, // minutes
+            distance: route.distance, // km
+            duration: route.duration, // minutes
             eta: eta.toISOString()
         });
     } catch (error) {
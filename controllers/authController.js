@@ -7,6 +7,7 @@ const User = require('../models/User');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const emailService = require('../utils/emailService');
 const helpers = require('../utils/helpers');
+const promotions = require('../utils/promotions');
 
 /**
  * Show registration page
@@ -22,7 +23,7 @@ exports.showRegisterPage = (req, res) => {
  * Handle registration - Step 1 (Send OTP)
  */
 exports.register = asyncHandler(async (req, res) => {
-    const { name, email, phone, password, role } = req.body;
+    const { name, email, phone, password, role, referralCode } = req.body;
 
     // Check if email already exists (phone can be shared across accounts)
     const existingUser = await User.findOne({ email });
@@ -38,6 +39,15 @@ exports.register = asyncHandler(async (req, res) => {
         }
     }
 
+    // Optional referral code - both sides are rewarded after the first completed ride
+    let referrer = null;
+    if (referralCode) {
+        referrer = await promotions.findReferrer(referralCode);
+        if (!referrer) {
+            throw new AppError('This referral code is not valid', 400);
+        }
+    }
+
     // Generate OTP
     const otp = helpers.generateOTP();
     const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
@@ -61,7 +71,8 @@ exports.register = asyncHandler(async (req, res) => {
         otpExpires: otpExpiry,
         accountStatus: 'ACTIVE',
         emailVerified: false,
-        phoneVerified: false  // Phone not verified via OTP
+        phoneVerified: false,  // Phone not verified via OTP
+        referral: referrer ? { referredBy: referrer._id, referredAt: new Date() } : undefined
     });
 
     // Send OTP via email only
@@ -7,10 +7,66 @@ const Booking = require('../models/Booking');
 const Ride = require('../models/Ride');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const RideSeries = require('../models/RideSeries');
+const RideSubscription = require('../models/RideSubscription');
+const Itinerary = require('../models/Itinerary');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const rideSubscriptionUtils = require('../utils/rideSubscriptions');
+const itineraryUtils = require('../utils/itineraries');
+const waitlist = require('../utils/waitlist');
+const stopSequencer = require('../utils/stopSequencer');
+const routeMatching = require('../utils/routeMatching');
+const paymentService = require('../utils/paymentService');
+const ledger = require('../utils/ledger');
+const walletService = require('../utils/wallet');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const promotions = require('../utils/promotions');
+const invoices = require('../utils/invoices');
+const bookingChanges = require('../utils/bookingChanges');
+const tripShares = require('../utils/tripShares');
+const { reserveSeats, releaseSeats, createBookingRecord, PLATFORM_COMMISSION } = require('../utils/bookingRecords');
 const emailService = require('../utils/emailService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const helpers = require('../utils/helpers');
 
+/**
+ * Check a passenger against the ride's and rider's booking restrictions
+ * ✅ RESPECTS: ladies-only rides, verifiedUsersOnly, preferredCoRiderGender
+ * @param {Object} ride - Ride or RideSeries (anything with preferences.gender)
+ * @param {Object} rider - Rider user document (with profile and preferences)
+ * @param {Object} passenger - Passenger user document
+ */
+function assertPassengerAllowed(ride, rider, passenger) {
+    // ✅ CHECK GENDER RESTRICTION (FEMALE ONLY)
+    if (ride.preferences.gender === 'FEMALE_ONLY' && passenger.profile.gender !== 'FEMALE') {
+        throw new AppError('This ride is for female passengers only', 403);
+    }
+
+    // ✅ CHECK VERIFIED USERS ONLY PREFERENCE
+    if (rider.preferences?.booking?.verifiedUsersOnly === true) {
+        if (passenger.verificationStatus !== 'VERIFIED') {
+            throw new AppError('This rider only accepts verified users. Please complete your verification first.', 403);
+        }
+    }
+
+    // ✅ CHECK PREFERRED CO-RIDER GENDER
+    const genderPref = rider.preferences?.booking?.preferredCoRiderGender;
+    if (genderPref && genderPref !== 'ANY') {
+        const passengerGender = passenger.profile?.gender;
+        const riderGender = rider.profile?.gender;
+        
+        if (genderPref === 'MALE_ONLY' && passengerGender !== 'MALE') {
+            throw new AppError('This rider prefers male co-riders only', 403);
+        }
+        if (genderPref === 'FEMALE_ONLY' && passengerGender !== 'FEMALE') {
+            throw new AppError('This rider prefers female co-riders only', 403);
+        }
+        if (genderPref === 'SAME_GENDER' && passengerGender !== riderGender) {
+            throw new AppError('This rider prefers same gender co-riders only', 403);
+        }
+    }
+}
+
 /**
  * Create booking
  * ✅ RESPECTS: verifiedUsersOnly, preferredCoRiderGender, ride comfort preferences
@@ -21,7 +77,7 @@ exports.createBooking = asyncHandler(async (req, res) => {
 
     // Get rideId from URL params OR body for backwards compatibility
     const rideId = req.params.rideId || req.body.rideId;
-    const { pickupLocation, dropoffLocation, seats, paymentMethod, specialRequests, pickupPoint, dropoffPoint, seatsBooked, idempotencyKey } = req.body;
+    const { pickupLocation, dropoffLocation, seats, paymentMethod, specialRequests, pickupPoint, dropoffPoint, seatsBooked, idempotencyKey, promoCode } = req.body;
 
     // ✅ EDGE CASE FIX: Idempotency check to prevent duplicate bookings from network retries
     if (idempotencyKey) {
@@ -49,34 +105,7 @@ exports.createBooking = asyncHandler(async (req, res) => {
     if (ride.status !== 'ACTIVE') throw new AppError('Ride is not available for booking', 400);
     if (ride.rider._id.toString() === req.user._id.toString()) throw new AppError('Cannot book your own ride', 400);
 
-    // ✅ CHECK GENDER RESTRICTION (FEMALE ONLY)
-    if (ride.preferences.gender === 'FEMALE_ONLY' && passenger.profile.gender !== 'FEMALE') {
-        throw new AppError('This ride is for female passengers only', 403);
-    }
-
-    // ✅ CHECK VERIFIED USERS ONLY PREFERENCE
-    if (ride.rider.preferences?.booking?.verifiedUsersOnly === true) {
-        if (passenger.verificationStatus !== 'VERIFIED') {
-            throw new AppError('This rider only accepts verified users. Please complete your verification first.', 403);
-        }
-    }
-
-    // ✅ CHECK PREFERRED CO-RIDER GENDER
-    const genderPref = ride.rider.preferences?.booking?.preferredCoRiderGender;
-    if (genderPref && genderPref !== 'ANY') {
-        const passengerGender = passenger.profile?.gender;
-        const riderGender = ride.rider.profile?.gender;
-        
-        if (genderPref === 'MALE_ONLY' && passengerGender !== 'MALE') {
-            throw new AppError('This rider prefers male co-riders only', 403);
-        }
-        if (genderPref === 'FEMALE_ONLY' && passengerGender !== 'FEMALE') {
-            throw new AppError('This rider prefers female co-riders only', 403);
-        }
-        if (genderPref === 'SAME_GENDER' && passengerGender !== riderGender) {
-            throw new AppError('This rider prefers same gender co-riders only', 403);
-        }
-    }
+    assertPassengerAllowed(ride, ride.rider, passenger);
 
     const numSeats = parseInt(seats || seatsBooked || 1);
     
@@ -161,14 +190,47 @@ exports.createBooking = asyncHandler(async (req, res) => {
     // Calculate price with commission
     const pricePerSeat = ride.pricing.pricePerSeat;
     const rideFare = pricePerSeat * numSeats;
-    const platformCommission = 50; // Fixed ₹50 commission per booking
-    const totalAmount = rideFare + platformCommission;
+    const platformCommission = PLATFORM_COMMISSION; // Fixed commission per booking
+
+    // Promo discount (platform-funded - the rider's fare is unchanged)
+    let promo = null;
+    if (promoCode) {
+        try {
+            promo = await promotions.quote(promoCode, {
+                passengerId: req.user._id,
+                rideFare,
+                platformCommission,
+                paymentMethod: paymentMethod || 'CASH',
+                pickup: pickup.coordinates || ride.route?.start?.coordinates,
+                dropoff: dropoff.coordinates || ride.route?.destination?.coordinates
+            });
+        } catch (error) {
+            await Ride.findByIdAndUpdate(rideId, {
+                $inc: { 'pricing.availableSeats': numSeats }
+            });
+            throw new AppError(error.message, 400);
+        }
+    }
+    const discount = promo ? promo.amount : 0;
+    const totalAmount = rideFare + platformCommission - discount;
 
     console.log('💰 [Create Booking] Price Calculation:');
     console.log(`   - Ride Fare: ₹${rideFare} (${numSeats} seats × ₹${pricePerSeat})`);
     console.log(`   - Platform Commission: ₹${platformCommission}`);
+    if (promo) console.log(`   - Promo ${promo.code}: -₹${discount}`);
     console.log(`   - Total Amount: ₹${totalAmount}`);
 
+    // Wallet payment: the total is held now and taken when the rider accepts
+    if (paymentMethod === 'WALLET') {
+        const wallet = await walletService.getWallet(req.user._id);
+        if (wallet.available < totalAmount) {
+            await Ride.findByIdAndUpdate(rideId, {
+                $inc: { 'pricing.availableSeats': numSeats }
+            });
+            throw new AppError(`Insufficient wallet balance: ₹${wallet.available} available, ₹${totalAmount} needed. Top up your wallet or choose another payment method`, 400);
+        }
+    }
+
     // All bookings start as PENDING - rider must approve
     const initialStatus = 'PENDING';
     
@@ -188,6 +250,30 @@ exports.createBooking = asyncHandler(async (req, res) => {
         dropoff: { address: dropoff.address, coords: dropoffCoords }
     });
 
+    // Check the detour against the rider's limit
+    const detour = await routeMatching.calculateDetour(ride.route, pickupCoords, dropoffCoords);
+    const maxDetourKm = ride.rider.preferences?.booking?.maxDetourKm;
+    if (typeof maxDetourKm === 'number' && detour.distance > maxDetourKm) {
+        await Ride.findByIdAndUpdate(rideId, {
+            $inc: { 'pricing.availableSeats': numSeats }
+        });
+        throw new AppError(`This pickup/drop-off needs a ${detour.distance} km detour; the rider accepts up to ${maxDetourKm} km`, 400);
+    }
+    console.log(`🧭 [Create Booking] Detour: ${detour.distance} km / ${detour.duration} min (${detour.source})`);
+
+    // Hold one use of the promo code - the caps are enforced atomically here
+    let redemption = null;
+    if (promo) {
+        try {
+            redemption = await promotions.reserveRedemption(promo.promo, req.user._id);
+        } catch (error) {
+            await Ride.findByIdAndUpdate(rideId, {
+                $inc: { 'pricing.availableSeats': numSeats }
+            });
+            throw new AppError(error.message, 400);
+        }
+    }
+
     // Create booking
     const booking = await Booking.create({
         passenger: req.user._id,
@@ -203,6 +289,7 @@ exports.createBooking = asyncHandler(async (req, res) => {
             address: dropoff.address,
             coordinates: dropoffCoords
         },
+        detour,
         seatsBooked: numSeats,
         totalPrice: totalAmount,
         specialRequests: specialRequests || '',
@@ -210,6 +297,7 @@ exports.createBooking = asyncHandler(async (req, res) => {
             method: paymentMethod || 'CASH',
             rideFare: rideFare,
             platformCommission: platformCommission,
+            discount: promo ? { promo: promo.promo._id, code: promo.code, amount: discount } : undefined,
             totalAmount: totalAmount,
             amount: totalAmount,
             status: 'PENDING',
@@ -218,6 +306,24 @@ exports.createBooking = asyncHandler(async (req, res) => {
         status: initialStatus
     });
 
+    if (redemption) {
+        await promotions.attachRedemption(redemption, booking._id);
+    }
+
+    if (booking.payment.method === 'WALLET') {
+        try {
+            await walletService.placeHold(req.user._id, booking, totalAmount);
+        } catch (error) {
+            // Balance changed since the check above - undo the booking
+            await Booking.deleteOne({ _id: booking._id });
+            await promotions.releaseRedemption(redemption);
+            await Ride.findByIdAndUpdate(rideId, {
+                $inc: { 'pricing.availableSeats': numSeats }
+            });
+            throw new AppError(error.message, 400);
+        }
+    }
+
     // Create financial transaction record
     const Transaction = require('../models/Transaction');
     await Transaction.create({
@@ -230,6 +336,7 @@ exports.createBooking = asyncHandler(async (req, res) => {
             passengerPaid: totalAmount,
             rideFare: rideFare,
             platformCommission: platformCommission,
+            discount,
             total: totalAmount
         },
         payment: {
@@ -244,24 +351,39 @@ exports.createBooking = asyncHandler(async (req, res) => {
             amount: rideFare,
             settled: false
         },
-        description: `Booking payment for ${numSeats} seat(s)`
+        description: `Booking payment for ${numSeats} seat(s)${promo ? ` (promo ${promo.code})` : ''}`
     });
 
     console.log('✅ [Create Booking] Transaction record created');
 
+    // Online payment: open the gateway order now so the passenger can pay straight away
+    let paymentOrder = null;
+    if (booking.payment.method === 'ONLINE') {
+        try {
+            paymentOrder = await paymentService.createBookingOrder(booking);
+        } catch (error) {
+            // The booking stands; the payment page creates the order on retry
+            console.error('❌ [Create Booking] Gateway order failed:', error.response?.data || error.message);
+        }
+    }
+
     // ✅ ADD BOOKING TO RIDE'S BOOKINGS ARRAY (seats already decremented atomically above)
     await Ride.findByIdAndUpdate(ride._id, {
         $push: { bookings: booking._id }
     });
 
+    // Booked directly - no need to keep a place in the waitlist
+    await waitlist.closeForBooking(ride._id, req.user._id);
+
     // ✅ NOTIFY RIDER OF BOOKING REQUEST (all bookings require manual approval)
     const passengerName = User.getUserName(req.user);
+    const detourNote = detour.duration > 0 ? ` (+${detour.duration} min detour)` : '';
     
     await Notification.create({
         user: ride.rider._id,
         type: 'BOOKING_REQUEST',
         title: 'New Booking Request',
-        message: `${passengerName} wants to book ${numSeats} seat(s)`,
+        message: `${passengerName} wants to book ${numSeats} seat(s)${detourNote}`,
         data: {
             bookingId: booking._id,
             rideId: ride._id
@@ -273,7 +395,7 @@ exports.createBooking = asyncHandler(async (req, res) => {
         io.to(`user-${ride.rider._id}`).emit('notification', {
             type: 'BOOKING_REQUEST',
             title: 'New Booking Request',
-            message: `${passengerName} wants to book ${numSeats} seat(s) in your ride`,
+            message: `${passengerName} wants to book ${numSeats} seat(s) in your ride${detourNote}`,
             bookingId: booking._id,
             rideId: ride._id,
             timestamp: new Date()
@@ -284,7 +406,8 @@ exports.createBooking = asyncHandler(async (req, res) => {
             bookingId: booking._id.toString(),
             rideId: ride._id.toString(),
             passengerName: passengerName,
-            seats: numSeats
+            seats: numSeats,
+            detourMinutes: detour.duration
         });
     }
 
@@ -308,7 +431,56 @@ exports.createBooking = asyncHandler(async (req, res) => {
         message: 'Booking request sent. Waiting for rider approval.',
         booking,
         autoAccepted: false,
-        redirectUrl: `/bookings/${booking._id}`
+        paymentOrder,
+        redirectUrl: booking.payment.method === 'ONLINE' ? `/bookings/${booking._id}/payment` : `/bookings/${booking._id}`
+    });
+});
+
+/**
+ * Check a promo code before booking
+ * Body: { rideId, promoCode, seats, paymentMethod, pickup, dropoff } (pickup/dropoff as [lng, lat])
+ */
+exports.checkPromoCode = asyncHandler(async (req, res) => {
+    const { rideId, promoCode, paymentMethod, pickup, dropoff } = req.body;
+
+    if (!promoCode) {
+        throw new AppError('Enter a promo code', 400);
+    }
+
+    const ride = await Ride.findById(rideId).select('pricing route.start.coordinates route.destination.coordinates status');
+    if (!ride || ride.status !== 'ACTIVE') {
+        throw new AppError('Ride is not available for booking', 404);
+    }
+
+    const numSeats = Math.min(Math.max(parseInt(req.body.seats) || 1, 1), 7);
+    const rideFare = ride.pricing.pricePerSeat * numSeats;
+
+    let quote;
+    try {
+        quote = await promotions.quote(promoCode, {
+            passengerId: req.user._id,
+            rideFare,
+            platformCommission: PLATFORM_COMMISSION,
+            paymentMethod: paymentMethod || 'CASH',
+            pickup: Array.isArray(pickup) ? pickup.map(Number) : ride.route.start.coordinates,
+            dropoff: Array.isArray(dropoff) ? dropoff.map(Number) : ride.route.destination.coordinates
+        });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `${quote.description} applied`,
+        promo: {
+            code: quote.code,
+            description: quote.description,
+            discount: quote.amount,
+            limitedToCommission: quote.limitedToCommission,
+            rideFare,
+            platformCommission: PLATFORM_COMMISSION,
+            totalAmount: quote.totalAmount
+        }
     });
 });
 
@@ -432,6 +604,23 @@ exports.acceptBooking = asyncHandler(async (req, res) => {
 
     console.log('✅ [Accept Booking] Booking confirmed:', booking._id, 'ℹ️ Pickup OTP will be generated when ride starts');
 
+    // Wallet bookings are paid from the held balance on acceptance; without the
+    // payment the booking goes back to PENDING rather than staying confirmed unpaid
+    if (booking.payment.method === 'WALLET') {
+        const captured = await walletService.captureHold(booking).catch(error => {
+            console.error('❌ [Accept Booking] Wallet capture failed:', error.message);
+            return false;
+        });
+
+        if (!captured) {
+            await Booking.findByIdAndUpdate(bookingId, {
+                $set: { status: 'PENDING' },
+                $unset: { 'riderResponse.respondedAt': '', 'riderResponse.message': '' }
+            });
+            throw new AppError('The passenger\'s wallet payment could not be taken. The booking is still pending.', 400);
+        }
+    }
+
     // Get passenger and rider names safely
     const passengerName = User.getUserName(booking.passenger), riderName = User.getUserName(req.user);
 
@@ -498,6 +687,10 @@ exports.acceptBooking = asyncHandler(async (req, res) => {
 
     console.log('✅ [Accept Booking] All notifications sent successfully');
 
+    // Fit the new passenger into the driver's pickup/drop-off order
+    stopSequencer.sequenceRideStops(booking.ride._id, { io })
+        .catch(error => console.error('❌ [Accept Booking] Error sequencing stops:', error.message));
+
     res.status(200).json({
         success: true,
         message: 'Booking accepted successfully. Pickup OTP will be sent when ride starts.',
@@ -564,6 +757,12 @@ exports.rejectBooking = asyncHandler(async (req, res) => {
         $inc: { 'pricing.availableSeats': booking.seatsBooked }
     });
 
+    // Free a wallet hold, or refund a prepaid booking in full
+    const settlement = await walletService.settleCancelledBooking(booking, { reason: 'Booking request rejected', postedBy: req.user._id });
+    if (settlement.refunded) {
+        await booking.save();
+    }
+
     // Get rider name safely
     const riderName = User.getUserName(req.user);
 
@@ -600,6 +799,14 @@ exports.rejectBooking = asyncHandler(async (req, res) => {
         });
     }
 
+    // Waitlisted passengers, then watchers, hear about the freed seats
+    waitlist.handleSeatsReleased(booking.ride._id, io);
+
+    // A rejected leg breaks the passenger's connecting trip
+    if (booking.itinerary) {
+        await itineraryUtils.handleLegCancelled(booking, { io, reason: 'Booking request rejected by rider' });
+    }
+
     // Send email notification to passenger
     try {
         const emailService = require('../utils/emailService');
@@ -860,6 +1067,10 @@ exports.verifyDropoffOTP = asyncHandler(async (req, res) => {
         });
     }
 
+    // Shared trip links stop working once the passenger is off the ride
+    await tripShares.endForBooking(booking._id, 'DROPPED_OFF', io)
+        .catch(error => console.error('❌ [Verify Dropoff] Error ending trip shares:', error.message));
+
     // ⭐ CHANGED: No longer auto-complete ride
     // Ride stays IN_PROGRESS until rider confirms all payments
 
@@ -946,6 +1157,18 @@ exports.confirmPayment = asyncHandler(async (req, res) => {
 
     console.log('✅ [Confirm Payment] Transaction record updated');
 
+    // Cash/UPI went to the driver: they now owe us the commission
+    await ledger.recordBookingPayment(booking, { postedBy: req.user._id })
+        .catch(error => console.error('❌ [Ledger] Failed to post booking payment:', error.message));
+
+    // First completed ride of a referred passenger pays out the referral
+    await promotions.rewardReferral(booking)
+        .catch(error => console.error('❌ [Promotions] Failed to reward referral:', error.message));
+
+    // Tax invoice to the passenger - rendered in the background as it takes a few seconds
+    invoices.sendBookingInvoice(booking._id)
+        .catch(error => console.error('❌ [Invoices] Failed to send invoice:', error.message));
+
     // Update passenger statistics
     const passenger = await User.findById(booking.passenger._id);
     if (passenger && passenger.statistics) {
@@ -1052,42 +1275,13 @@ exports.confirmPayment = asyncHandler(async (req, res) => {
 });
 
 /**
- * Complete Payment (Passenger action after dropoff)
- * POST /bookings/:bookingId/complete-payment
- * Passenger marks payment as completed → same effect as rider confirming
+ * Close out a dropped-off booking whose payment has been received online:
+ * complete the journey, update statistics, finish the ride once every
+ * passenger is done and notify the rider
+ * @returns {Boolean} Whether the whole ride was completed
  */
-exports.completePayment = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
-
-    console.log('💰 [Complete Payment] Passenger completing payment for booking:', bookingId);
-
-    const booking = await Booking.findById(bookingId)
-        .populate('passenger', 'profile.firstName profile.lastName name email statistics')
-        .populate({
-            path: 'ride',
-            populate: { path: 'rider', select: 'profile.firstName profile.lastName name statistics' }
-        });
-
-    if (!booking) {
-        throw new AppError('Booking not found', 404);
-    }
-
-    // Authorization check - only passenger can complete their own payment
-    if (booking.passenger._id.toString() !== req.user._id.toString()) {
-        throw new AppError('Only the passenger can complete this payment', 403);
-    }
-
-    // Status check - must be DROPPED_OFF
-    if (booking.status !== 'DROPPED_OFF') {
-        throw new AppError(`Cannot complete payment. Booking must be DROPPED_OFF. Current status: ${booking.status}`, 400);
-    }
-
-    // Check if already confirmed
-    if (booking.payment.riderConfirmedPayment || booking.payment.status === 'PAID' || booking.payment.status === 'PAYMENT_CONFIRMED') {
-        throw new AppError('Payment already completed', 400);
-    }
-
-    // Update booking payment - mark as if rider confirmed it
+const completePaidBooking = async (booking, io) => {
+    // The gateway has confirmed the money, so the rider does not need to
     booking.payment.riderConfirmedPayment = true;
     booking.payment.riderConfirmedAt = new Date();
     booking.payment.riderConfirmedBy = booking.ride.rider._id; // Set rider as confirmer
@@ -1100,7 +1294,7 @@ exports.completePayment = asyncHandler(async (req, res) => {
 
     await booking.save();
 
-    console.log(`✅ [Complete Payment] Payment completed by passenger: ₹${booking.payment.totalAmount} (Fare: ₹${booking.payment.rideFare}, Commission: ₹${booking.payment.platformCommission})`);
+    console.log(`✅ [Complete Payment] Online payment settled: ₹${booking.payment.totalAmount} (Fare: ₹${booking.payment.rideFare}, Commission: ₹${booking.payment.platformCommission})`);
 
     // Update Transaction record
     const Transaction = require('../models/Transaction');
@@ -1119,6 +1313,17 @@ exports.completePayment = asyncHandler(async (req, res) => {
 
     console.log('✅ [Complete Payment] Transaction record updated');
 
+    // Normally posted at capture already; idempotent if so
+    await ledger.recordBookingPayment(booking)
+        .catch(error => console.error('❌ [Ledger] Failed to post booking payment:', error.message));
+
+    await promotions.rewardReferral(booking)
+        .catch(error => console.error('❌ [Promotions] Failed to reward referral:', error.message));
+
+    // Tax invoice to the passenger - rendered in the background as it takes a few seconds
+    invoices.sendBookingInvoice(booking._id)
+        .catch(error => console.error('❌ [Invoices] Failed to send invoice:', error.message));
+
     // Update passenger statistics
     const passenger = await User.findById(booking.passenger._id);
     if (passenger && passenger.statistics) {
@@ -1186,7 +1391,6 @@ exports.completePayment = asyncHandler(async (req, res) => {
     });
 
     // Real-time notifications
-    const io = req.app.get('io');
     if (io) {
         // Notify rider
         io.to(`user-${booking.ride.rider._id}`).emit('payment-confirmed', {
@@ -1208,6 +1412,53 @@ exports.completePayment = asyncHandler(async (req, res) => {
         }
     }
 
+    return rideCompleted;
+};
+
+/**
+ * Complete Payment (Passenger action after dropoff)
+ * POST /bookings/:bookingId/complete-payment
+ * Passenger closes the booking once the online payment has been captured
+ * (see verifyBookingPayment); unpaid bookings are confirmed by the rider instead
+ */
+exports.completePayment = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+
+    console.log('💰 [Complete Payment] Passenger completing payment for booking:', bookingId);
+
+    const booking = await Booking.findById(bookingId)
+        .populate('passenger', 'profile.firstName profile.lastName name email statistics')
+        .populate({
+            path: 'ride',
+            populate: { path: 'rider', select: 'profile.firstName profile.lastName name statistics' }
+        });
+
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
+    }
+
+    // Authorization check - only passenger can complete their own payment
+    if (booking.passenger._id.toString() !== req.user._id.toString()) {
+        throw new AppError('Only the passenger can complete this payment', 403);
+    }
+
+    // Status check - must be DROPPED_OFF
+    if (booking.status !== 'DROPPED_OFF') {
+        throw new AppError(`Cannot complete payment. Booking must be DROPPED_OFF. Current status: ${booking.status}`, 400);
+    }
+
+    // Check if already confirmed
+    if (booking.payment.riderConfirmedPayment || booking.payment.status === 'PAYMENT_CONFIRMED') {
+        throw new AppError('Payment already completed', 400);
+    }
+
+    // Only a gateway-verified payment counts - the passenger's word is not enough
+    if (booking.payment.status !== 'PAID') {
+        throw new AppError('Payment has not been received yet. Please complete the online payment first', 400);
+    }
+
+    const rideCompleted = await completePaidBooking(booking, req.app.get('io'));
+
     res.status(200).json({
         success: true,
         message: 'Payment completed successfully',
@@ -1330,16 +1581,31 @@ exports.cancelBooking = asyncHandler(async (req, res) => {
         throw new AppError('Cannot cancel this booking', 400);
     }
 
+    // Refund per the cancellation policy, worked out before the status changes
+    const quote = await cancellationPolicy.quoteBooking(booking, { actor: 'PASSENGER' });
+
+    const wasConfirmed = booking.status === 'CONFIRMED';
     booking.status = 'CANCELLED';
     booking.cancellation = {
         cancelled: true,
         cancelledBy: 'PASSENGER',
         reason: reason || 'No reason provided',
-        cancelledAt: new Date()
+        cancelledAt: new Date(),
+        policy: { rule: quote.rule, refundPercent: quote.refundPercent, feeAmount: quote.feeAmount }
     };
 
-    if (booking.payment.status === 'PAID') {
-        booking.payment.refundAmount = booking.totalPrice;
+    // Wallet hold released, or money we collected refunded to the wallet
+    const settlement = await walletService.settleCancelledBooking(booking, {
+        refundAmount: quote.refundAmount,
+        reason: 'Booking cancelled',
+        postedBy: req.user._id
+    });
+
+    // Paid directly to the driver - refund stays manual
+    const manualRefund = !settlement.released && quote.refundAmount > 0 &&
+        booking.payment.status === 'PAID' && !walletService.isRefundable(booking);
+    if (manualRefund) {
+        booking.payment.refundAmount = quote.refundAmount;
         booking.payment.status = 'REFUNDED';
         booking.payment.refundedAt = new Date();
         booking.cancellation.refundIssued = true;
@@ -1347,6 +1613,11 @@ exports.cancelBooking = asyncHandler(async (req, res) => {
 
     await booking.save();
 
+    if (manualRefund) {
+        await ledger.recordRefund(booking, { amount: booking.payment.refundAmount, key: 'cancellation' })
+            .catch(error => console.error('❌ [Ledger] Failed to post refund:', error.message));
+    }
+
     // Restore seats (use already populated booking.ride)
     booking.ride.pricing.availableSeats += booking.seatsBooked;
     await booking.ride.save();
@@ -1387,224 +1658,1386 @@ exports.cancelBooking = asyncHandler(async (req, res) => {
         });
     }
 
+    // A change still waiting for the rider gives back the seats it held
+    await bookingChanges.discardPending(booking, { io })
+        .catch(error => console.error('❌ [Cancel Booking] Error discarding booking change:', error.message));
+
+    // Waitlisted passengers, then watchers, hear about the freed seats
+    waitlist.handleSeatsReleased(booking.ride._id, io);
+
+    await tripShares.endForBooking(booking._id, 'CANCELLED', io)
+        .catch(error => console.error('❌ [Cancel Booking] Error ending trip shares:', error.message));
+
+    // Drop this passenger's stops from the driver's manifest
+    if (wasConfirmed) {
+        stopSequencer.sequenceRideStops(booking.ride._id, { io })
+            .catch(error => console.error('❌ [Cancel Booking] Error sequencing stops:', error.message));
+    }
+
+    // The rest of a connecting trip is useless without this leg
+    if (booking.itinerary) {
+        await itineraryUtils.handleLegCancelled(booking, {
+            io,
+            reason: `Passenger cancelled leg ${booking.itineraryLeg}`,
+            notify: false
+        });
+    }
+
     res.status(200).json({
         success: true,
-        message: 'Booking cancelled',
-        booking
+        message: settlement.refunded
+            ? `Booking cancelled. ₹${settlement.refunded} refunded to your wallet`
+            : 'Booking cancelled',
+        booking,
+        refund: {
+            amount: settlement.refunded,
+            toWallet: settlement.refunded > 0,
+            holdReleased: settlement.released,
+            policy: quote
+        }
     });
 });
 
 /**
- * Show my bookings
+ * Preview what cancelling a booking would refund, under the current policy
+ * GET /api/bookings/:bookingId/cancellation-quote
  */
-exports.showMyBookings = asyncHandler(async (req, res) => {
-    const { status = 'all' } = req.query;
-    const page = parseInt(req.query.page) || 1;
-    const limit = 10;
-    const skip = (page - 1) * limit;
+exports.getCancellationQuote = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.bookingId).populate('ride', 'schedule rider');
 
-    const query = { passenger: req.user._id };
-    if (status !== 'all') {
-        const statusUpper = status.toUpperCase();
-        
-        // For "completed" filter, show both COMPLETED and DROPPED_OFF with PAID payment
-        if (statusUpper === 'COMPLETED') {
-            query.$or = [
-                { status: 'COMPLETED' },
-                { 
-                    status: 'DROPPED_OFF',
-                    'payment.status': 'PAID'
-                }
-            ];
-        } else {
-            query.status = statusUpper;
-        }
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
     }
 
-    const totalBookings = await Booking.countDocuments(query);
-    const bookings = await Booking.find(query)
-        .populate({
-            path: 'ride',
-            populate: { 
-                path: 'rider', 
-                // Select explicit profile fields so virtual name can be derived reliably
-                select: 'profile.firstName profile.lastName profile.photo rating vehicles createdAt'
-            }
-        })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
+    if (booking.passenger.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
 
-    const pagination = helpers.paginate(totalBookings, page, limit);
+    if (!['PENDING', 'CONFIRMED'].includes(booking.status)) {
+        throw new AppError('This booking can no longer be cancelled', 400);
+    }
 
-    // Return JSON for React frontend
-    res.json({
+    const quote = await cancellationPolicy.quoteBooking(booking, { actor: 'PASSENGER' });
+
+    res.status(200).json({
         success: true,
-        bookings,
-        currentStatus: status,
-        pagination
+        quote: {
+            ...quote,
+            // A wallet hold on an unaccepted request is released whatever the policy says
+            holdRelease: booking.payment.method === 'WALLET' && booking.status === 'PENDING'
+        }
     });
 });
 
+// ============================================
+// BOOKING CHANGES
+// ============================================
+
 /**
- * Start journey (when passenger is picked up)
+ * Load a booking for a change request with the ride and its rider's preferences
  */
-exports.startJourney = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
+const findBookingForChange = async (bookingId) => {
+    const booking = await Booking.findById(bookingId).populate({
+        path: 'ride',
+        populate: { path: 'rider', select: 'preferences' }
+    });
+    if (!booking) throw new AppError('Booking not found', 404);
+    return booking;
+};
 
-    const booking = await Booking.findById(bookingId)
-        .populate({
-            path: 'ride',
-            populate: { path: 'rider', select: 'profile.firstName profile.lastName name email' }
-        });
+/**
+ * Preview a booking change: route check, detour and new price
+ * POST /api/bookings/:bookingId/changes/preview
+ * Body: { seats, pickupLocation, dropoffLocation, coPassengers } (locations as { address, coordinates: [lng, lat] })
+ */
+exports.previewBookingChange = asyncHandler(async (req, res) => {
+    const booking = await findBookingForChange(req.params.bookingId);
+
+    if (booking.passenger.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+
+    let plan;
+    try {
+        plan = await bookingChanges.prepare(booking, booking.ride, req.body);
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    res.status(200).json({
+        success: true,
+        preview: {
+            ...plan,
+            needsApproval: !bookingChanges.isAutoApproved(booking, booking.ride)
+        }
+    });
+});
+
+/**
+ * Ask to change seats, pickup/dropoff or co-passengers on a booking
+ * POST /api/bookings/:bookingId/changes
+ * Applied straight away on auto-accept rides and unaccepted bookings, otherwise sent to the rider
+ */
+exports.requestBookingChange = asyncHandler(async (req, res) => {
+    const booking = await findBookingForChange(req.params.bookingId);
 
+    if (booking.passenger.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+
+    let result;
+    try {
+        result = await bookingChanges.request(booking, req.body, { io: req.app.get('io') });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    res.status(result.applied ? 200 : 202).json({
+        success: true,
+        message: result.applied ? 'Booking updated' : 'Change requested. Waiting for rider approval.',
+        booking: result.booking,
+        change: result.change,
+        applied: result.applied
+    });
+});
+
+/**
+ * Approve or reject a passenger's booking change (by rider)
+ * POST /api/bookings/:bookingId/changes/:changeId/approve|reject
+ */
+exports.respondToBookingChange = asyncHandler(async (req, res) => {
+    const { bookingId, changeId, action } = req.params;
+    const { message } = req.body;
+
+    const booking = await Booking.findById(bookingId).select('rider');
     if (!booking) {
         throw new AppError('Booking not found', 404);
     }
 
-    // Use already populated booking.ride instead of fetching again
-    if (booking.ride.rider._id.toString() !== req.user._id.toString()) {
+    if (booking.rider.toString() !== req.user._id.toString()) {
         throw new AppError('Not authorized', 403);
     }
 
-    if (booking.status !== 'CONFIRMED') {
-        throw new AppError('Booking must be confirmed', 400);
+    const io = req.app.get('io');
+    let result;
+    try {
+        result = action === 'approve'
+            ? await bookingChanges.approve(bookingId, changeId, { respondedBy: req.user._id, message, io })
+            : await bookingChanges.close(bookingId, changeId, 'REJECTED', { respondedBy: req.user._id, message, io });
+    } catch (error) {
+        throw new AppError(error.message, 400);
     }
 
-    booking.status = 'IN_PROGRESS';
-    booking.journey.started = true;
-    booking.journey.startedAt = new Date();
-    await booking.save();
+    if (!result) {
+        throw new AppError('This change request is no longer pending', 400);
+    }
 
     res.status(200).json({
         success: true,
-        message: 'Journey started',
-        booking
+        message: action === 'approve' ? 'Booking change approved' : 'Booking change declined',
+        booking: result.booking,
+        change: result.change
     });
 });
 
 /**
- * Complete journey (when passenger is dropped off)
+ * Withdraw a booking change still waiting for the rider (by passenger)
+ * POST /api/bookings/:bookingId/changes/:changeId/withdraw
  */
-exports.completeJourney = asyncHandler(async (req, res) => {
-    const { bookingId } = req.params;
-
-    const booking = await Booking.findById(bookingId)
-        .populate({
-            path: 'ride',
-            populate: { path: 'rider', select: 'profile.firstName profile.lastName email' }
-        })
-        .populate('passenger', 'profile.firstName profile.lastName email');
+exports.withdrawBookingChange = asyncHandler(async (req, res) => {
+    const { bookingId, changeId } = req.params;
 
+    const booking = await Booking.findById(bookingId).select('passenger');
     if (!booking) {
         throw new AppError('Booking not found', 404);
     }
 
-    // Only rider can complete individual passenger journey
-    if (booking.ride.rider._id.toString() !== req.user._id.toString()) {
+    if (booking.passenger.toString() !== req.user._id.toString()) {
         throw new AppError('Not authorized', 403);
     }
 
-    if (booking.status !== 'IN_PROGRESS') {
-        throw new AppError('Journey is not in progress', 400);
+    const result = await bookingChanges.close(bookingId, changeId, 'WITHDRAWN', {
+        respondedBy: req.user._id,
+        io: req.app.get('io')
+    });
+    if (!result) {
+        throw new AppError('This change request is no longer pending', 400);
     }
 
-    console.log('🔵 [Complete Journey] Completing booking:', bookingId);
+    res.status(200).json({
+        success: true,
+        message: 'Booking change withdrawn',
+        booking: result.booking,
+        change: result.change
+    });
+});
 
-    booking.status = 'COMPLETED';
-    booking.journey.completed = true;
-    booking.journey.completedAt = new Date();
-    if (booking.journey.startedAt) {
-        booking.journey.duration = Math.round((new Date() - booking.journey.startedAt) / 60000); // minutes
-    }
-    await booking.save();
+// ============================================
+// WAITLIST
+// ============================================
 
-    console.log('✅ [Complete Journey] Booking marked as COMPLETED');
+/**
+ * Join the waitlist of a full ride
+ * POST /api/bookings/waitlist/:rideId
+ * Body: same as createBooking (seats, pickupLocation, dropoffLocation, paymentMethod, specialRequests) plus autoBook
+ */
+exports.joinWaitlist = asyncHandler(async (req, res) => {
+    const { rideId } = req.params;
+    const { seats, seatsBooked, pickupLocation, dropoffLocation, paymentMethod, specialRequests, autoBook } = req.body;
 
-    // Update passenger statistics
-    //update passenger statistics...
-    const passenger = await User.findById(booking.passenger._id);
-    if (passenger && passenger.statistics) {
-        passenger.statistics.completedRides = (passenger.statistics.completedRides || 0) + 1;
-        await passenger.save();
-        console.log('✅ [Complete Journey] Passenger statistics updated');
+    const ride = await Ride.findById(rideId).populate('rider', 'name profile preferences');
+    const passenger = await User.findById(req.user._id);
+
+    if (!ride) throw new AppError('Ride not found', 404);
+    if (ride.rider._id.toString() === req.user._id.toString()) throw new AppError('Cannot join the waitlist of your own ride', 400);
+
+    assertPassengerAllowed(ride, ride.rider, passenger);
+
+    let result;
+    try {
+        result = await waitlist.joinWaitlist(ride, req.user._id, {
+            seats: seats || seatsBooked,
+            pickupLocation,
+            dropoffLocation,
+            paymentMethod,
+            specialRequests,
+            autoBook
+        });
+    } catch (error) {
+        throw new AppError(error.message, 400);
     }
 
-    // Send real-time notification to passenger
+    res.status(201).json({
+        success: true,
+        message: `You're #${result.position} on the waitlist. We'll hold a seat for you when one frees up.`,
+        entry: result.entry,
+        position: result.position
+    });
+});
+
+/**
+ * Passenger's waitlist entries still in the queue or with an open offer
+ * GET /api/bookings/waitlist/my-entries
+ */
+exports.getMyWaitlist = asyncHandler(async (req, res) => {
+    const entries = await WaitlistEntry.find({
+        passenger: req.user._id,
+        status: { $in: ['WAITING', 'OFFERED'] }
+    })
+        .populate('ride', 'route.start route.destination schedule.departureDateTime pricing.pricePerSeat status')
+        .sort({ createdAt: -1 });
+
+    const withPositions = await Promise.all(entries.map(async entry => ({
+        ...entry.toObject(),
+        position: await waitlist.getPosition(entry)
+    })));
+
+    res.status(200).json({
+        success: true,
+        entries: withPositions
+    });
+});
+
+/**
+ * Accept or decline the seats held for a waitlisted passenger
+ * POST /api/bookings/waitlist/entries/:entryId/accept|decline
+ */
+exports.respondToWaitlistOffer = asyncHandler(async (req, res) => {
+    const { entryId, action } = req.params;
     const io = req.app.get('io');
-    if (io) {
-        io.to(`user-${booking.passenger._id}`).emit('journey-completed', {
-            type: 'JOURNEY_COMPLETED',
-            bookingId: booking._id,
-            rideId: booking.ride._id,
-            message: 'You have reached your destination! Please rate your ride.',
-            timestamp: new Date()
+
+    if (action === 'decline') {
+        try {
+            await waitlist.declineOffer(entryId, req.user._id, { io });
+        } catch (error) {
+            throw new AppError(error.message, 400);
+        }
+        return res.status(200).json({
+            success: true,
+            message: 'Offer declined. The seats go to the next passenger in line.'
         });
-        console.log('📡 [Complete Journey] Real-time notification sent to passenger');
     }
 
-    // Create notification in database
-    const Notification = require('../models/Notification');
-    await Notification.create({
-        user: booking.passenger._id,
-        type: 'JOURNEY_COMPLETED',
-        title: 'Journey Completed',
-        message: 'You have reached your destination. Please rate your ride experience!',
-        data: {
-            bookingId: booking._id,
-            rideId: booking.ride._id,
-            riderId: booking.ride.rider._id
-        }
+    let booking;
+    try {
+        booking = await waitlist.acceptOffer(entryId, req.user._id, { io });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: booking.status === 'CONFIRMED' ? 'Booking confirmed!' : 'Booking request sent. Waiting for rider approval.',
+        booking,
+        redirectUrl: booking.payment.method === 'ONLINE' ? `/bookings/${booking._id}/payment` : `/bookings/${booking._id}`
     });
+});
 
-    console.log('✅ [Complete Journey] Database notification created');
+/**
+ * Leave a ride's waitlist
+ * POST /api/bookings/waitlist/entries/:entryId/leave
+ */
+exports.leaveWaitlist = asyncHandler(async (req, res) => {
+    try {
+        await waitlist.leaveWaitlist(req.params.entryId, req.user._id, { io: req.app.get('io') });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
 
-    // Check if all bookings for this ride are completed
-    const remainingBookings = await Booking.countDocuments({
-        ride: booking.ride._id,
-        status: { $in: ['CONFIRMED', 'IN_PROGRESS'] }
+    res.status(200).json({
+        success: true,
+        message: 'You left the waitlist'
     });
+});
 
-    console.log(`🔵 [Complete Journey] Remaining active bookings: ${remainingBookings}`);
+// ============================================
+// TRIP SHARING
+// ============================================
 
-    // If no more active bookings, mark ride as completed
-    if (remainingBookings === 0) {
-        const Ride = require('../models/Ride');
-        const ride = await Ride.findById(booking.ride._id);
-        if (ride && ride.status === 'IN_PROGRESS') {
-            ride.status = 'COMPLETED';
-            ride.tracking.isLive = false;
-            ride.tracking.completedAt = new Date();
-            await ride.save();
-            console.log('✅ [Complete Journey] All passengers dropped - Ride auto-completed');
+/**
+ * Load a booking the current user is the passenger of
+ */
+const findSharedBooking = async (bookingId, user) => {
+    const booking = await Booking.findById(bookingId).select('passenger ride status');
+    if (!booking) throw new AppError('Booking not found', 404);
+    if (booking.passenger.toString() !== user._id.toString()) {
+        throw new AppError('Only the passenger can share this trip', 403);
+    }
+    return booking;
+};
+
+const shareUrl = (share) => `${process.env.BASE_URL || ''}/share/${share.token}`;
+
+const formatShare = (share) => ({
+    _id: share._id,
+    label: share.label,
+    url: shareUrl(share),
+    expiresAt: share.expiresAt,
+    views: share.views,
+    lastViewedAt: share.lastViewedAt,
+    createdAt: share.createdAt
+});
 
-            // Update rider statistics
-            const rider = await User.findById(ride.rider);
-            if (rider && rider.statistics) {
-                rider.statistics.completedRides = (rider.statistics.completedRides || 0) + 1;
-                rider.statistics.totalDistance = (rider.statistics.totalDistance || 0) + (ride.route.distance || 0);
-                rider.statistics.carbonSaved = (rider.statistics.carbonSaved || 0) + (ride.carbon?.carbonSaved || 0);
-                await rider.save();
-                console.log('✅ [Complete Journey] Rider statistics updated');
-            }
+/**
+ * Create a public live tracking link for a booking
+ * POST /api/bookings/:bookingId/share
+ * Body: { label, hours } - hours is capped at TRIP_SHARE_HOURS
+ */
+exports.createTripShare = asyncHandler(async (req, res) => {
+    const booking = await findSharedBooking(req.params.bookingId, req.user);
 
-            // Notify rider that ride is auto-completed
-            if (io) {
-                io.to(`user-${ride.rider}`).emit('ride-auto-completed', {
-                    type: 'RIDE_AUTO_COMPLETED',
-                    rideId: ride._id,
-                    message: 'All passengers have been dropped off. Ride completed!',
-                    timestamp: new Date()
-                });
-            }
-        }
+    let share;
+    try {
+        share = await tripShares.createShare(booking, req.body);
+    } catch (error) {
+        throw new AppError(error.message, 400);
     }
 
+    res.status(201).json({
+        success: true,
+        message: 'Share link created',
+        share: formatShare(share)
+    });
+});
+
+/**
+ * Active share links of a booking
+ * GET /api/bookings/:bookingId/share
+ */
+exports.getTripShares = asyncHandler(async (req, res) => {
+    const booking = await findSharedBooking(req.params.bookingId, req.user);
+    const shares = await tripShares.listShares(booking._id);
+
     res.status(200).json({
         success: true,
-        message: 'Journey completed successfully',
-        booking,
-        remainingBookings
+        shares: shares.map(formatShare),
+        maxHours: tripShares.SHARE_HOURS
+    });
+});
+
+/**
+ * Revoke a share link
+ * DELETE /api/bookings/:bookingId/share/:shareId
+ */
+exports.revokeTripShare = asyncHandler(async (req, res) => {
+    const booking = await findSharedBooking(req.params.bookingId, req.user);
+
+    const revoked = await tripShares.revokeShare(req.params.shareId, booking._id, req.app.get('io'));
+    if (!revoked) {
+        throw new AppError('Share link not found or already inactive', 404);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Share link revoked'
+    });
+});
+
+/**
+ * Download the tax invoice for a completed booking (PDF)
+ * GET /api/bookings/:bookingId/invoice
+ * Issued on completion; older bookings get theirs issued on first download
+ */
+exports.downloadInvoice = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.bookingId).select('passenger status');
+
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
+    }
+
+    if (booking.passenger.toString() !== req.user._id.toString() && req.user.role !== 'ADMIN') {
+        throw new AppError('Not authorized', 403);
+    }
+
+    if (booking.status !== 'COMPLETED') {
+        throw new AppError('An invoice is available once the trip is completed', 400);
+    }
+
+    const invoice = await invoices.issueForBooking(booking._id);
+    const pdf = await invoices.renderPdf(invoice);
+
+    res.attachment(invoices.filename(invoice));
+    res.type('application/pdf');
+    res.send(pdf);
+});
+
+/**
+ * Mark a passenger who never turned up as a no-show
+ * POST /api/bookings/:bookingId/no-show
+ * Only once the driver has waited the policy's no-show time past departure;
+ * what the passenger paid is refunded per the no-show rule
+ */
+exports.markNoShow = asyncHandler(async (req, res) => {
+    const booking = await Booking.findById(req.params.bookingId)
+        .populate('ride', 'schedule rider status');
+
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
+    }
+
+    if (booking.ride.rider.toString() !== req.user._id.toString()) {
+        throw new AppError('Only the rider can mark a no-show', 403);
+    }
+
+    if (!['CONFIRMED', 'PICKUP_PENDING'].includes(booking.status)) {
+        throw new AppError(`Cannot mark a no-show. Booking status: ${booking.status}`, 400);
+    }
+
+    const policy = await cancellationPolicy.getPolicy();
+    const waitUntil = new Date(booking.ride.schedule.departureDateTime.getTime() + policy.noShow.waitMinutes * 60 * 1000);
+    if (new Date() < waitUntil) {
+        throw new AppError(`Please wait for the passenger until ${waitUntil.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })} before marking a no-show`, 400);
+    }
+
+    const quote = cancellationPolicy.quote(booking, policy, { noShow: true });
+
+    booking.status = 'NO_SHOW';
+    booking.cancellation = {
+        cancelled: true,
+        cancelledBy: 'RIDER',
+        reason: 'Passenger did not show up',
+        cancelledAt: new Date(),
+        policy: { rule: quote.rule, refundPercent: quote.refundPercent, feeAmount: quote.feeAmount }
+    };
+
+    const settlement = await walletService.settleCancelledBooking(booking, {
+        refundAmount: quote.refundAmount,
+        key: 'no-show',
+        reason: 'Passenger did not show up',
+        postedBy: req.user._id
+    });
+
+    await booking.save();
+
+    const notification = await Notification.create({
+        user: booking.passenger,
+        type: 'BOOKING_CANCELLED',
+        title: 'Marked as No-Show',
+        message: 'Your driver marked you as a no-show for your ride.' +
+            (settlement.refunded ? ` ₹${settlement.refunded} has been refunded to your wallet.` : ''),
+        data: {
+            bookingId: booking._id,
+            rideId: booking.ride._id
+        }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+        io.to(`user-${booking.passenger}`).emit('notification', {
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            data: notification.data,
+            _id: notification._id,
+            createdAt: notification.createdAt
+        });
+    }
+
+    // Take the passenger's stop off the driver's manifest
+    stopSequencer.sequenceRideStops(booking.ride._id, { io })
+        .catch(error => console.error('❌ [No-Show] Error sequencing stops:', error.message));
+
+    await tripShares.endForBooking(booking._id, 'NO_SHOW', io)
+        .catch(error => console.error('❌ [No-Show] Error ending trip shares:', error.message));
+
+    res.status(200).json({
+        success: true,
+        message: 'Passenger marked as a no-show',
+        booking,
+        refund: { amount: settlement.refunded, policy: quote }
+    });
+});
+
+/**
+ * Show my bookings
+ */
+exports.showMyBookings = asyncHandler(async (req, res) => {
+    const { status = 'all' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = 10;
+    const skip = (page - 1) * limit;
+
+    const query = { passenger: req.user._id };
+    if (status !== 'all') {
+        const statusUpper = status.toUpperCase();
+        
+        // For "completed" filter, show both COMPLETED and DROPPED_OFF with PAID payment
+        if (statusUpper === 'COMPLETED') {
+            query.$or = [
+                { status: 'COMPLETED' },
+                { 
+                    status: 'DROPPED_OFF',
+                    'payment.status': 'PAID'
+                }
+            ];
+        } else {
+            query.status = statusUpper;
+        }
+    }
+
+    const totalBookings = await Booking.countDocuments(query);
+    const bookings = await Booking.find(query)
+        .populate({
+            path: 'ride',
+            populate: { 
+                path: 'rider', 
+                // Select explicit profile fields so virtual name can be derived reliably
+                select: 'profile.firstName profile.lastName profile.photo rating vehicles createdAt'
+            }
+        })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const pagination = helpers.paginate(totalBookings, page, limit);
+
+    // Return JSON for React frontend
+    res.json({
+        success: true,
+        bookings,
+        currentStatus: status,
+        pagination
+    });
+});
+
+/**
+ * Start journey (when passenger is picked up)
+ */
+exports.startJourney = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+
+    const booking = await Booking.findById(bookingId)
+        .populate({
+            path: 'ride',
+            populate: { path: 'rider', select: 'profile.firstName profile.lastName name email' }
+        });
+
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
+    }
+
+    // Use already populated booking.ride instead of fetching again
+    if (booking.ride.rider._id.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+
+    if (booking.status !== 'CONFIRMED') {
+        throw new AppError('Booking must be confirmed', 400);
+    }
+
+    booking.status = 'IN_PROGRESS';
+    booking.journey.started = true;
+    booking.journey.startedAt = new Date();
+    await booking.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Journey started',
+        booking
+    });
+});
+
+/**
+ * Complete journey (when passenger is dropped off)
+ */
+exports.completeJourney = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+
+    const booking = await Booking.findById(bookingId)
+        .populate({
+            path: 'ride',
+            populate: { path: 'rider', select: 'profile.firstName profile.lastName email' }
+        })
+        .populate('passenger', 'profile.firstName profile.lastName email');
+
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
+    }
+
+    // Only rider can complete individual passenger journey
+    if (booking.ride.rider._id.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+
+    if (booking.status !== 'IN_PROGRESS') {
+        throw new AppError('Journey is not in progress', 400);
+    }
+
+    console.log('🔵 [Complete Journey] Completing booking:', bookingId);
+
+    booking.status = 'COMPLETED';
+    booking.journey.completed = true;
+    booking.journey.completedAt = new Date();
+    if (booking.journey.startedAt) {
+        booking.journey.duration = Math.round((new Date() - booking.journey.startedAt) / 60000); // minutes
+    }
+    await booking.save();
+
+    console.log('✅ [Complete Journey] Booking marked as COMPLETED');
+
+    await promotions.rewardReferral(booking)
+        .catch(error => console.error('❌ [Promotions] Failed to reward referral:', error.message));
+
+    // Tax invoice to the passenger - rendered in the background as it takes a few seconds
+    invoices.sendBookingInvoice(booking._id)
+        .catch(error => console.error('❌ [Invoices] Failed to send invoice:', error.message));
+
+    // Update passenger statistics
+    //update passenger statistics...
+    const passenger = await User.findById(booking.passenger._id);
+    if (passenger && passenger.statistics) {
+        passenger.statistics.completedRides = (passenger.statistics.completedRides || 0) + 1;
+        await passenger.save();
+        console.log('✅ [Complete Journey] Passenger statistics updated');
+    }
+
+    // Send real-time notification to passenger
+    const io = req.app.get('io');
+    if (io) {
+        io.to(`user-${booking.passenger._id}`).emit('journey-completed', {
+            type: 'JOURNEY_COMPLETED',
+            bookingId: booking._id,
+            rideId: booking.ride._id,
+            message: 'You have reached your destination! Please rate your ride.',
+            timestamp: new Date()
+        });
+        console.log('📡 [Complete Journey] Real-time notification sent to passenger');
+    }
+
+    // Create notification in database
+    const Notification = require('../models/Notification');
+    await Notification.create({
+        user: booking.passenger._id,
+        type: 'JOURNEY_COMPLETED',
+        title: 'Journey Completed',
+        message: 'You have reached your destination. Please rate your ride experience!',
+        data: {
+            bookingId: booking._id,
+            rideId: booking.ride._id,
+            riderId: booking.ride.rider._id
+        }
+    });
+
+    console.log('✅ [Complete Journey] Database notification created');
+
+    // Check if all bookings for this ride are completed
+    const remainingBookings = await Booking.countDocuments({
+        ride: booking.ride._id,
+        status: { $in: ['CONFIRMED', 'IN_PROGRESS'] }
+    });
+
+    console.log(`🔵 [Complete Journey] Remaining active bookings: ${remainingBookings}`);
+
+    // If no more active bookings, mark ride as completed
+    if (remainingBookings === 0) {
+        const Ride = require('../models/Ride');
+        const ride = await Ride.findById(booking.ride._id);
+        if (ride && ride.status === 'IN_PROGRESS') {
+            ride.status = 'COMPLETED';
+            ride.tracking.isLive = false;
+            ride.tracking.completedAt = new Date();
+            await ride.save();
+            console.log('✅ [Complete Journey] All passengers dropped - Ride auto-completed');
+
+            // Update rider statistics
+            const rider = await User.findById(ride.rider);
+            if (rider && rider.statistics) {
+                rider.statistics.completedRides = (rider.statistics.completedRides || 0) + 1;
+                rider.statistics.totalDistance = (rider.statistics.totalDistance || 0) + (ride.route.distance || 0);
+                rider.statistics.carbonSaved = (rider.statistics.carbonSaved || 0) + (ride.carbon?.carbonSaved || 0);
+                await rider.save();
+                console.log('✅ [Complete Journey] Rider statistics updated');
+            }
+
+            // Notify rider that ride is auto-completed
+            if (io) {
+                io.to(`user-${ride.rider}`).emit('ride-auto-completed', {
+                    type: 'RIDE_AUTO_COMPLETED',
+                    rideId: ride._id,
+                    message: 'All passengers have been dropped off. Ride completed!',
+                    timestamp: new Date()
+                });
+            }
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Journey completed successfully',
+        booking,
+        remainingBookings
+    });
+});
+
+// ============================================
+// ONLINE PAYMENTS (gateway checkout)
+// ============================================
+
+/**
+ * Load a booking for its passenger, populated the way completePaidBooking needs
+ */
+const findPassengerBooking = async (bookingId, userId) => {
+    const booking = await Booking.findById(bookingId)
+        .populate('passenger', 'profile.firstName profile.lastName name email statistics')
+        .populate({
+            path: 'ride',
+            populate: { path: 'rider', select: 'profile.firstName profile.lastName name statistics' }
+        });
+
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
+    }
+    if (userId && booking.passenger._id.toString() !== userId.toString()) {
+        throw new AppError('Only the passenger can pay for this booking', 403);
+    }
+    return booking;
+};
+
+/**
+ * After a capture: finish a dropped-off booking, otherwise tell the rider it is prepaid
+ * @returns {Boolean} Whether the whole ride was completed
+ */
+const afterOnlinePayment = async (booking, io) => {
+    if (booking.status === 'DROPPED_OFF' && !booking.payment.riderConfirmedPayment) {
+        return completePaidBooking(booking, io);
+    }
+
+    const passengerName = User.getUserName(booking.passenger);
+    await Notification.create({
+        user: booking.ride.rider._id,
+        type: 'PAYMENT_RECEIVED',
+        title: 'Booking Prepaid 💳',
+        message: `${passengerName} paid ₹${booking.payment.totalAmount} online for their booking`,
+        data: {
+            bookingId: booking._id,
+            amount: booking.payment.totalAmount
+        }
+    });
+
+    if (io) {
+        io.to(`user-${booking.ride.rider._id}`).emit('payment-confirmed', {
+            bookingId: booking._id,
+            passengerName,
+            amount: booking.payment.totalAmount,
+            message: 'Passenger paid online',
+            timestamp: new Date()
+        });
+    }
+    return false;
+};
+
+/**
+ * Create Payment Order
+ * POST /bookings/:bookingId/payment/order
+ * Creates (or reuses) the gateway order the checkout collects against
+ */
+exports.createPaymentOrder = asyncHandler(async (req, res) => {
+    const booking = await findPassengerBooking(req.params.bookingId, req.user._id);
+
+    const payableError = paymentService.getPayableError(booking);
+    if (payableError) {
+        throw new AppError(payableError, 400);
+    }
+
+    let order;
+    try {
+        order = await paymentService.createBookingOrder(booking);
+    } catch (error) {
+        console.error('❌ [Payment Order] Gateway order failed:', error.response?.data || error.message);
+        throw new AppError('Payment gateway is unavailable. Please try again shortly', 502);
+    }
+
+    res.status(200).json({
+        success: true,
+        order,
+        booking: {
+            _id: booking._id,
+            amount: booking.payment.totalAmount,
+            attempts: booking.payment.attempts.length,
+            passenger: {
+                name: User.getUserName(booking.passenger),
+                email: booking.passenger.email
+            }
+        }
+    });
+});
+
+/**
+ * Verify Payment
+ * POST /bookings/:bookingId/payment/verify
+ * Checks the signature returned by the checkout and records the capture
+ */
+exports.verifyBookingPayment = asyncHandler(async (req, res) => {
+    const { orderId, paymentId, signature } = req.body;
+
+    if (!orderId || !paymentId || !signature) {
+        throw new AppError('orderId, paymentId and signature are required', 400);
+    }
+
+    const booking = await findPassengerBooking(req.params.bookingId, req.user._id);
+
+    if (!paymentService.verifyCheckout(booking, { orderId, paymentId, signature })) {
+        await paymentService.recordFailure(booking, {
+            orderId,
+            paymentId,
+            reason: 'Payment signature could not be verified',
+            source: 'CHECKOUT'
+        });
+        throw new AppError('Payment verification failed', 400);
+    }
+
+    const captured = await paymentService.recordCapture(booking, { orderId, paymentId, source: 'CHECKOUT' });
+    const rideCompleted = captured ? await afterOnlinePayment(booking, req.app.get('io')) : false;
+
+    res.status(200).json({
+        success: true,
+        message: 'Payment successful',
+        paymentId: booking.payment.gatewayPaymentId,
+        amount: booking.payment.totalAmount,
+        paidAt: booking.payment.paidAt,
+        bookingStatus: booking.status,
+        rideCompleted
+    });
+});
+
+/**
+ * Report Payment Failure
+ * POST /bookings/:bookingId/payment/failed
+ * Records a failed or abandoned checkout so the passenger can retry
+ */
+exports.reportPaymentFailure = asyncHandler(async (req, res) => {
+    const { orderId, paymentId, reason } = req.body;
+    const booking = await findPassengerBooking(req.params.bookingId, req.user._id);
+
+    if (orderId && orderId !== booking.payment.gatewayOrderId) {
+        throw new AppError('Order does not belong to this booking', 400);
+    }
+
+    await paymentService.recordFailure(booking, {
+        orderId: booking.payment.gatewayOrderId,
+        paymentId,
+        reason: reason ? String(reason).slice(0, 200) : undefined,
+        source: 'CHECKOUT'
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Payment failure recorded',
+        paymentStatus: booking.payment.status,
+        failureReason: booking.payment.failureReason,
+        attempts: booking.payment.attempts.length
+    });
+});
+
+/**
+ * Mock Checkout
+ * POST /bookings/payments/mock-checkout
+ * Stands in for the hosted checkout (bookings and wallet top-ups) when the mock gateway is active
+ */
+exports.mockCheckout = asyncHandler(async (req, res) => {
+    const { orderId, outcome, reason } = req.body;
+
+    if (!paymentService.isMockEnabled()) {
+        throw new AppError('Mock checkout is disabled', 404);
+    }
+
+    const booking = await Booking.findOne({ 'payment.gatewayOrderId': orderId, passenger: req.user._id });
+    const topup = booking ? null : await walletService.findTopup(orderId, req.user._id);
+    if (!booking && !topup) {
+        throw new AppError('Order not found', 404);
+    }
+
+    try {
+        const result = paymentService.simulateCheckout(orderId, { fail: outcome === 'failure', reason });
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message,
+            paymentId: error.paymentId
+        });
+    }
+});
+
+/**
+ * Payment Webhook
+ * POST /bookings/payments/webhook
+ * Gateway-to-server notification, authenticated by its signature (no session)
+ */
+exports.paymentWebhook = asyncHandler(async (req, res) => {
+    const signature = req.get('x-razorpay-signature') || req.get('x-mock-signature');
+    const result = await paymentService.handleWebhook(req.rawBody, signature, req.body);
+
+    if (!result.verified) {
+        console.warn('⚠️ [Payment Webhook] Rejected webhook with invalid signature');
+        throw new AppError('Invalid webhook signature', 400);
+    }
+
+    console.log(`🔔 [Payment Webhook] ${req.body.event} → ${result.event}${result.bookingId ? ` (booking ${result.bookingId})` : ''}`);
+
+    if (result.event === 'CAPTURED' && result.changed) {
+        const booking = await findPassengerBooking(result.bookingId);
+        await afterOnlinePayment(booking, req.app.get('io'));
+    }
+
+    res.status(200).json({ success: true });
+});
+
+// ============================================
+// RECURRING RIDE SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Parse a pickup/dropoff location sent as JSON string or object,
+ * falling back to a point of the ride route
+ */
+function parseSubscriptionPoint(value, fallback, defaultName) {
+    const point = value ? (typeof value === 'string' ? JSON.parse(value) : value) : {};
+    const address = point.address || fallback.address || fallback.name;
+
+    return {
+        name: point.name || address?.split(',')[0] || defaultName,
+        address,
+        coordinates: point.coordinates || fallback.coordinates
+    };
+}
+
+/**
+ * Find a subscription owned by the current passenger
+ */
+async function findOwnSubscription(subscriptionId, userId) {
+    const subscription = await RideSubscription.findById(subscriptionId);
+
+    if (!subscription) {
+        throw new AppError('Subscription not found', 404);
+    }
+    if (subscription.passenger.toString() !== userId.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+    return subscription;
+}
+
+/**
+ * Subscribe to a recurring ride
+ * Books every upcoming occurrence now and new ones as the series generates them
+ */
+exports.createSubscription = asyncHandler(async (req, res) => {
+    const { seriesId, pickupLocation, dropoffLocation, seats, paymentMethod, specialRequests } = req.body;
+
+    const series = await RideSeries.findById(seriesId).populate('rider', 'name email phone profile preferences');
+    const passenger = await User.findById(req.user._id);
+
+    if (!series) throw new AppError('Recurring ride not found', 404);
+    if (series.status !== 'ACTIVE') throw new AppError('This recurring ride is no longer running', 400);
+    if (series.rider._id.toString() === req.user._id.toString()) throw new AppError('Cannot subscribe to your own ride', 400);
+
+    assertPassengerAllowed(series, series.rider, passenger);
+
+    const numSeats = parseInt(seats || 1);
+    if (numSeats > series.pricing.totalSeats) {
+        throw new AppError(`This ride only offers ${series.pricing.totalSeats} seat(s)`, 400);
+    }
+
+    const existing = await RideSubscription.findOne({
+        series: series._id,
+        passenger: req.user._id,
+        status: { $in: ['ACTIVE', 'PAUSED'] }
+    });
+    if (existing) {
+        throw new AppError('You are already subscribed to this recurring ride', 400);
+    }
+
+    let pickupPoint, dropoffPoint;
+    try {
+        pickupPoint = parseSubscriptionPoint(pickupLocation, series.route.start, 'Pickup');
+        dropoffPoint = parseSubscriptionPoint(dropoffLocation, series.route.destination, 'Dropoff');
+    } catch (error) {
+        throw new AppError('Invalid location data format', 400);
+    }
+
+    const subscription = await RideSubscription.create({
+        series: series._id,
+        passenger: req.user._id,
+        rider: series.rider._id,
+        pickupPoint,
+        dropoffPoint,
+        seatsBooked: numSeats,
+        paymentMethod: paymentMethod || 'CASH',
+        specialRequests: specialRequests || ''
+    });
+
+    console.log(`🔁 [Subscription] ${req.user._id} subscribed to series ${series._id}`);
+
+    const { booked, failed } = await rideSubscriptionUtils.processSubscription(subscription, { io: req.app.get('io') });
+
+    res.status(201).json({
+        success: true,
+        message: failed.length > 0
+            ? `Subscribed. ${booked.length} ride(s) booked, ${failed.length} could not be booked.`
+            : `Subscribed. ${booked.length} upcoming ride(s) booked.`,
+        subscription,
+        bookings: booked,
+        failed,
+        redirectUrl: '/bookings'
+    });
+});
+
+/**
+ * List the passenger's recurring ride subscriptions
+ */
+exports.getMySubscriptions = asyncHandler(async (req, res) => {
+    const subscriptions = await RideSubscription.find({ passenger: req.user._id })
+        .populate('series', 'route.start route.destination recurrence pricing status')
+        .populate('rider', 'profile.firstName profile.lastName profile.photo rating')
+        .populate('occurrences.booking', 'status')
+        .sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        subscriptions
+    });
+});
+
+/**
+ * Pause or resume a subscription
+ * Resuming books upcoming occurrences that were generated while paused
+ */
+exports.updateSubscriptionStatus = asyncHandler(async (req, res) => {
+    const subscription = await findOwnSubscription(req.params.subscriptionId, req.user._id);
+    const { action } = req.params;
+
+    if (action === 'pause') {
+        if (subscription.status !== 'ACTIVE') {
+            throw new AppError('Only active subscriptions can be paused', 400);
+        }
+        subscription.status = 'PAUSED';
+        await subscription.save();
+
+        return res.json({
+            success: true,
+            message: 'Subscription paused. Rides already booked are kept.',
+            subscription
+        });
+    }
+
+    if (subscription.status !== 'PAUSED') {
+        throw new AppError('Only paused subscriptions can be resumed', 400);
+    }
+    subscription.status = 'ACTIVE';
+    await subscription.save();
+
+    const { booked, failed } = await rideSubscriptionUtils.processSubscription(subscription, { io: req.app.get('io') });
+
+    res.json({
+        success: true,
+        message: `Subscription resumed. ${booked.length} ride(s) booked.`,
+        subscription,
+        bookings: booked,
+        failed
+    });
+});
+
+/**
+ * Cancel a subscription
+ * Already created bookings stay and can be cancelled individually
+ */
+exports.cancelSubscription = asyncHandler(async (req, res) => {
+    const subscription = await findOwnSubscription(req.params.subscriptionId, req.user._id);
+
+    if (!['ACTIVE', 'PAUSED'].includes(subscription.status)) {
+        throw new AppError('Subscription is not active', 400);
+    }
+
+    subscription.status = 'CANCELLED';
+    subscription.cancellation = {
+        cancelledAt: new Date(),
+        reason: req.body.reason || 'Cancelled by passenger'
+    };
+    await subscription.save();
+
+    console.log(`🚫 [Subscription] Subscription ${subscription._id} cancelled`);
+
+    res.json({
+        success: true,
+        message: 'Subscription cancelled. Rides already booked are kept - cancel them individually if needed.',
+        subscription
+    });
+});
+
+// ============================================
+// MULTI-LEG ITINERARIES (two rides with a transfer)
+// ============================================
+
+/**
+ * Book a connecting trip found by /api/rides/search/connections
+ * Both legs are reserved together - if either has no seats left, nothing is booked
+ */
+exports.createItinerary = asyncHandler(async (req, res) => {
+    const { legs, seats, paymentMethod, specialRequests, minLayoverMinutes, maxLayoverMinutes } = req.body;
+    const numSeats = parseInt(seats || 1);
+    const passenger = await User.findById(req.user._id);
+
+    // Load and check both rides the same way createBooking does
+    const rides = [];
+    for (const leg of legs) {
+        const ride = await Ride.findById(leg.rideId).populate('rider', 'name email phone profile preferences');
+
+        if (!ride) throw new AppError('Ride not found', 404);
+        if (ride.status !== 'ACTIVE') throw new AppError('One of the rides is no longer available for booking', 400);
+        if (ride.rider._id.toString() === req.user._id.toString()) throw new AppError('Cannot book your own ride', 400);
+        if (new Date(ride.schedule.departureDateTime) <= new Date()) throw new AppError('One of the rides has already departed', 400);
+
+        assertPassengerAllowed(ride, ride.rider, passenger);
+
+        const existingBooking = await Booking.findOne({
+            passenger: req.user._id,
+            ride: ride._id,
+            status: { $nin: ['CANCELLED', 'REJECTED', 'EXPIRED'] }
+        });
+        if (existingBooking) {
+            throw new AppError('You already have a booking on one of these rides', 400);
+        }
+
+        rides.push(ride);
+    }
+
+    if (rides[0]._id.toString() === rides[1]._id.toString()) {
+        throw new AppError('A connecting trip needs two different rides', 400);
+    }
+
+    let points;
+    try {
+        points = legs.map((leg, i) => ({
+            pickupPoint: parseSubscriptionPoint(leg.pickupLocation, rides[i].route.start, 'Pickup'),
+            dropoffPoint: parseSubscriptionPoint(leg.dropoffLocation, rides[i].route.destination, 'Dropoff')
+        }));
+    } catch (error) {
+        throw new AppError('Invalid location data format', 400);
+    }
+
+    // Re-check the connection on the server - schedules may have changed since the search
+    const [fromLon, fromLat] = points[0].dropoffPoint.coordinates;
+    const [toLon, toLat] = points[1].pickupPoint.coordinates;
+    const walkingDistance = helpers.calculateDistance(fromLat, fromLon, toLat, toLon);
+    if (walkingDistance > 3) {
+        throw new AppError('The transfer point is too far to walk between the two rides', 400);
+    }
+
+    const transfer = {
+        walkingDistance,
+        walkingMinutes: Math.ceil((walkingDistance / 5) * 60),
+        minLayoverMinutes: minLayoverMinutes !== undefined ? parseInt(minLayoverMinutes) : undefined,
+        maxLayoverMinutes: maxLayoverMinutes !== undefined ? parseInt(maxLayoverMinutes) : undefined
+    };
+    const { connects, layoverMinutes } = itineraryUtils.checkConnection(
+        rides[0], points[0].dropoffPoint.coordinates,
+        rides[1], points[1].pickupPoint.coordinates,
+        transfer
+    );
+    if (!connects) {
+        throw new AppError('These rides no longer connect - please search again', 400);
+    }
+    transfer.layoverMinutes = layoverMinutes;
+
+    // ✅ Reserve seats on both legs atomically, rolling back the first leg if the second is full
+    if (!await reserveSeats(rides[0]._id, numSeats)) {
+        throw new AppError('Not enough seats available on the first ride', 400);
+    }
+    if (!await reserveSeats(rides[1]._id, numSeats)) {
+        await releaseSeats(rides[0]._id, numSeats);
+        throw new AppError('Not enough seats available on the second ride', 400);
+    }
+
+    const itinerary = new Itinerary({
+        passenger: req.user._id,
+        legs: rides.map((ride, i) => ({
+            order: i + 1,
+            ride: ride._id,
+            rider: ride.rider._id,
+            pickupPoint: points[i].pickupPoint,
+            dropoffPoint: points[i].dropoffPoint
+        })),
+        transfer,
+        seatsBooked: numSeats
+    });
+
+    const bookings = [];
+    try {
+        for (const [i, ride] of rides.entries()) {
+            const booking = await createBookingRecord({
+                ride,
+                passengerId: req.user._id,
+                pickupPoint: points[i].pickupPoint,
+                dropoffPoint: points[i].dropoffPoint,
+                seats: numSeats,
+                paymentMethod: paymentMethod || 'CASH',
+                specialRequests: specialRequests || '',
+                description: `Connecting trip leg ${i + 1} for ${numSeats} seat(s)`,
+                extra: { itinerary: itinerary._id, itineraryLeg: i + 1 }
+            });
+            itinerary.legs[i].booking = booking._id;
+            bookings.push(booking);
+        }
+
+        itinerary.totalPrice = bookings.reduce((sum, booking) => sum + booking.totalPrice, 0);
+        await itinerary.save();
+    } catch (error) {
+        // Undo whatever was created so seats don't leak
+        await Booking.deleteMany({ _id: { $in: bookings.map(b => b._id) } });
+        await Promise.all(rides.map(ride => Ride.findByIdAndUpdate(ride._id, {
+            $inc: { 'pricing.availableSeats': numSeats },
+            $pull: { bookings: { $in: bookings.map(b => b._id) } }
+        })));
+        throw error;
+    }
+
+    // ✅ NOTIFY BOTH RIDERS (each leg needs its own approval)
+    const passengerName = User.getUserName(req.user);
+    const io = req.app.get('io');
+    for (const [i, booking] of bookings.entries()) {
+        const riderId = rides[i].rider._id;
+        const message = `${passengerName} wants to book ${numSeats} seat(s) as part of a connecting trip`;
+
+        await Notification.create({
+            user: riderId,
+            type: 'BOOKING_REQUEST',
+            title: 'New Booking Request',
+            message,
+            data: {
+                bookingId: booking._id,
+                rideId: rides[i]._id
+            }
+        });
+
+        if (io) {
+            io.to(`user-${riderId}`).emit('notification', {
+                type: 'BOOKING_REQUEST',
+                title: 'New Booking Request',
+                message,
+                bookingId: booking._id,
+                rideId: rides[i]._id,
+                timestamp: new Date()
+            });
+            io.to(`user-${riderId}`).emit('new-booking-request', {
+                bookingId: booking._id.toString(),
+                rideId: rides[i]._id.toString(),
+                passengerName: passengerName,
+                seats: numSeats
+            });
+        }
+    }
+
+    console.log(`🧭 [Itinerary] ${itinerary._id} booked: rides ${rides[0]._id} → ${rides[1]._id}, layover ${layoverMinutes} min`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Connecting trip requested. Both riders need to accept their leg.',
+        itinerary,
+        bookings,
+        redirectUrl: `/bookings/${bookings[0]._id}`
+    });
+});
+
+/**
+ * Get a connecting trip with both legs
+ */
+exports.getItinerary = asyncHandler(async (req, res) => {
+    const itinerary = await Itinerary.findById(req.params.itineraryId)
+        .populate('legs.ride', 'route.start route.destination schedule status')
+        .populate('legs.booking', 'status bookingReference totalPrice seatsBooked')
+        .populate('legs.rider', 'profile.firstName profile.lastName profile.photo rating');
+
+    if (!itinerary) {
+        throw new AppError('Itinerary not found', 404);
+    }
+    if (itinerary.passenger.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+
+    res.json({
+        success: true,
+        itinerary
+    });
+});
+
+/**
+ * Cancel a whole connecting trip (every leg that is still active)
+ */
+exports.cancelItinerary = asyncHandler(async (req, res) => {
+    const itinerary = await Itinerary.findById(req.params.itineraryId);
+
+    if (!itinerary) {
+        throw new AppError('Itinerary not found', 404);
+    }
+    if (itinerary.passenger.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+    if (itinerary.status !== 'ACTIVE') {
+        throw new AppError('This trip is not active', 400);
+    }
+
+    const reason = req.body.reason || 'Connecting trip cancelled by passenger';
+    const io = req.app.get('io');
+
+    for (const leg of itinerary.legs) {
+        const cancelled = leg.booking && await itineraryUtils.cancelLegBooking(leg.booking, reason, io);
+        if (cancelled) {
+            itinerary.history.push({ action: 'LEG_CANCELLED', legOrder: leg.order, fromRide: leg.ride, reason });
+        }
+    }
+
+    itinerary.status = 'CANCELLED';
+    itinerary.cancellation = {
+        cancelledAt: new Date(),
+        reason
+    };
+    itinerary.history.push({ action: 'CANCELLED', reason });
+    await itinerary.save();
+
+    res.json({
+        success: true,
+        message: 'Connecting trip cancelled',
+        itinerary
     });
 });
 
@@ -4,12 +4,31 @@
  */
 
 const Ride = require('../models/Ride');
+const RideSeries = require('../models/RideSeries');
+const RideSubscription = require('../models/RideSubscription');
+const SavedSearch = require('../models/SavedSearch');
+const RideWatch = require('../models/RideWatch');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Notification = require('../models/Notification');
 const routeMatching = require('../utils/routeMatching');
 const carbonCalculator = require('../utils/carbonCalculator');
 const autoReassignment = require('../utils/autoReassignment');
+const rideSeriesUtils = require('../utils/rideSeries');
+const itineraryUtils = require('../utils/itineraries');
+const { PLATFORM_COMMISSION } = require('../utils/bookingRecords');
+const rideAlerts = require('../utils/rideAlerts');
+const rideWatches = require('../utils/rideWatches');
+const waitlist = require('../utils/waitlist');
+const stopSequencer = require('../utils/stopSequencer');
+const trackingIngestion = require('../utils/trackingIngestion');
+const safetyZones = require('../utils/safetyZones');
+const walletService = require('../utils/wallet');
+const cancellationPolicy = require('../utils/cancellationPolicy');
+const ledger = require('../utils/ledger');
+const promotions = require('../utils/promotions');
+const invoices = require('../utils/invoices');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const helpers = require('../utils/helpers');
 const axios = require('axios');
@@ -147,49 +166,14 @@ exports.postRide = asyncHandler(async (req, res) => {
     
     console.log('  Total waypoints:', waypoints.length);
     
-    let distance = 0;
-    let duration = 0;
-    let geometry = null;
-    
-    try {
-        console.log('  Calling OSRM API with', waypoints.length, 'waypoints...');
-        const routeData = await routeMatching.getRoute(waypoints);
-        // getRoute already returns distance in km and duration in minutes
-        distance = routeData.distance; // Already in km
-        duration = routeData.duration; // Already in minutes
-        geometry = routeData.geometry;
-        
-        console.log('✅ [Route Calculation] OSRM Success!');
-        console.log('  Total Distance:', distance.toFixed(2), 'km');
-        console.log('  Total Duration:', Math.round(duration), 'mins');
-        console.log('  Geometry points:', geometry?.coordinates?.length || 0);
-    } catch (error) {
-        console.error('❌ [Route Calculation] OSRM Failed:', error.message);
-        console.log('🔄 [Route Calculation] Using fallback calculation (Haversine formula)');
-        
-        // Fallback to approximate calculation - sum all segments
-        distance = 0;
-        for (let i = 0; i < waypoints.length - 1; i++) {
-            const R = 6371; // Earth's radius in km
-            const dLat = (waypoints[i+1][1] - waypoints[i][1]) * Math.PI / 180;
-            const dLon = (waypoints[i+1][0] - waypoints[i][0]) * Math.PI / 180;
-            const a = 
-                Math.sin(dLat/2) * Math.sin(dLat/2) +
-                Math.cos(waypoints[i][1] * Math.PI / 180) * Math.cos(waypoints[i+1][1] * Math.PI / 180) *
-                Math.sin(dLon/2) * Math.sin(dLon/2);
-            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-            distance += R * c;
-        }
-        duration = (distance / 60) * 60; // Rough estimate: 60 km/h average speed
-        geometry = {
-            type: 'LineString',
-            coordinates: waypoints
-        };
-        
-        console.log('✅ [Route Calculation] Fallback calculation complete');
-        console.log('  Distance:', distance.toFixed(2), 'km');
-        console.log('  Duration:', Math.round(duration), 'mins (estimated at 60 km/h)');
-    }
+    const { distance, duration, geometry } = await calculateRouteData(waypoints);
+
+    // Warn the rider about danger zones on the way (they do not stop the ride being posted)
+    const zoneRisks = await safetyZones.analyzeRoute(geometry?.coordinates, departureDate, duration)
+        .catch(error => {
+            console.error('❌ [Post Ride] Error checking safety zones:', error.message);
+            return [];
+        });
 
     // Create ride with correct schema structure
     // ✅ GET USER'S DEFAULT PREFERENCES
@@ -244,6 +228,13 @@ const rideData = {
         conversation: userRideComfort.conversationPreference || 'DEPENDS_ON_MOOD'
     },
     specialInstructions: notes || '',
+    zoneRisks: zoneRisks.map(risk => ({
+        zone: risk.zoneId,
+        name: risk.zoneName,
+        category: risk.category,
+        riskLevel: risk.riskLevel,
+        coordinates: risk.coordinates
+    })),
     status: 'ACTIVE'
 };
 
@@ -253,14 +244,75 @@ const ride = await Ride.create(rideData);
 
     console.log('Ride created successfully:', ride._id);
 
+    // Alert passengers whose saved searches match (runs in the background)
+    rideAlerts.processRideAlerts(ride._id, req.app.get('io'));
+
     res.status(201).json({
         success: true,
         message: 'Ride posted successfully',
         ride,
+        zoneWarnings: zoneRisks.map(risk => ({
+            name: risk.zoneName,
+            category: risk.category,
+            riskLevel: risk.riskLevel,
+            recommendations: risk.recommendation
+        })),
         redirectUrl: `/rides/my-rides`
     });
 });
 
+/**
+ * Calculate route geometry, distance (km) and duration (minutes) through OSRM,
+ * falling back to a straight-line estimate when OSRM is unavailable
+ */
+async function calculateRouteData(waypoints) {
+    let distance = 0;
+    let duration = 0;
+    let geometry = null;
+    
+    try {
+        console.log('  Calling OSRM API with', waypoints.length, 'waypoints...');
+        const routeData = await routeMatching.getRoute(waypoints);
+        // getRoute already returns distance in km and duration in minutes
+        distance = routeData.distance; // Already in km
+        duration = routeData.duration; // Already in minutes
+        geometry = routeData.geometry;
+        
+        console.log('✅ [Route Calculation] OSRM Success!');
+        console.log('  Total Distance:', distance.toFixed(2), 'km');
+        console.log('  Total Duration:', Math.round(duration), 'mins');
+        console.log('  Geometry points:', geometry?.coordinates?.length || 0);
+    } catch (error) {
+        console.error('❌ [Route Calculation] OSRM Failed:', error.message);
+        console.log('🔄 [Route Calculation] Using fallback calculation (Haversine formula)');
+        
+        // Fallback to approximate calculation - sum all segments
+        distance = 0;
+        for (let i = 0; i < waypoints.length - 1; i++) {
+            const R = 6371; // Earth's radius in km
+            const dLat = (waypoints[i+1][1] - waypoints[i][1]) * Math.PI / 180;
+            const dLon = (waypoints[i+1][0] - waypoints[i][0]) * Math.PI / 180;
+            const a = 
+                Math.sin(dLat/2) * Math.sin(dLat/2) +
+                Math.cos(waypoints[i][1] * Math.PI / 180) * Math.cos(waypoints[i+1][1] * Math.PI / 180) *
+                Math.sin(dLon/2) * Math.sin(dLon/2);
+            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+            distance += R * c;
+        }
+        duration = (distance / 60) * 60; // Rough estimate: 60 km/h average speed
+        geometry = {
+            type: 'LineString',
+            coordinates: waypoints
+        };
+        
+        console.log('✅ [Route Calculation] Fallback calculation complete');
+        console.log('  Distance:', distance.toFixed(2), 'km');
+        console.log('  Duration:', Math.round(duration), 'mins (estimated at 60 km/h)');
+    }
+
+    return { distance, duration, geometry };
+}
+
 // Helper function for distance calculation
 function calculateHaversineDistance(lat1, lon1, lat2, lon2) {
     const R = 6371; // Earth's radius in km
@@ -287,9 +339,12 @@ exports.showSearchPage = (req, res) => {
 /**
  * Search rides
  * ✅ RESPECTS: Comfort preferences (smoking, pets, music), gender, verifiedUsersOnly
+ * ✅ TIME WINDOW: timeFrom/timeTo ("HH:MM"), flexDays (±N days), arriveBy (window applies to drop-off)
  */
 exports.searchRides = asyncHandler(async (req, res) => {
-    const { origin, destination, date, seats, smokingAllowed, petsAllowed, verifiedOnly, genderPreference } = req.query;
+    const { origin, destination, date, seats, smokingAllowed, petsAllowed, verifiedOnly, genderPreference, timeFrom, timeTo } = req.query;
+    const flexDays = Math.min(Math.max(parseInt(req.query.flexDays) || 0, 0), 3);
+    const arriveBy = req.query.arriveBy === 'true';
 
     console.log('🔍 [Search Rides] ========== NEW SEARCH REQUEST ==========');
     console.log('  Origin:', origin);
@@ -308,18 +363,27 @@ exports.searchRides = asyncHandler(async (req, res) => {
     console.log('  Parsed origin coords:', originCoords.coordinates);
     console.log('  Parsed dest coords:', destCoords.coordinates);
 
-    // Parse date - search for the ENTIRE DAY
+    // Parse date - search for the ENTIRE DAY (± flexDays, never before today)
     const searchDate = date ? new Date(date) : new Date();
     // Set to start of day
     searchDate.setHours(0, 0, 0, 0);
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const rangeStart = new Date(searchDate);
+    rangeStart.setDate(rangeStart.getDate() - flexDays);
+    if (rangeStart < startOfToday) rangeStart.setTime(startOfToday.getTime());
     const endOfDay = new Date(searchDate);
+    endOfDay.setDate(endOfDay.getDate() + flexDays);
     endOfDay.setHours(23, 59, 59, 999);
 
-    console.log('  Search date range:', searchDate.toISOString(), 'to', endOfDay.toISOString());
+    console.log('  Search date range:', rangeStart.toISOString(), 'to', endOfDay.toISOString());
+    if (timeFrom || timeTo) {
+        console.log(`  Time window: ${timeFrom || '--:--'} - ${timeTo || '--:--'}${arriveBy ? ' (arrive by)' : ''}`);
+    }
 
     // Build base query
     const baseQuery = {
-        'schedule.departureDateTime': { $gte: searchDate, $lte: endOfDay },
+        'schedule.departureDateTime': { $gte: rangeStart, $lte: endOfDay },
         'pricing.availableSeats': { $gte: parseInt(seats) || 1 },
         status: 'ACTIVE'
     };
@@ -412,11 +476,14 @@ exports.searchRides = asyncHandler(async (req, res) => {
 
     console.log('🔍 [Route Matching] Passenger route:', passengerRoute);
 
-    const matchedRides = routeMatching.findMatchingRides(
-        passengerRoute,
-        ridesWithValidGeometry,
-        20
-    );
+    // Rank by time window (and day distance) before cutting the list down
+    const rankedRides = routeMatching.rankByTimeWindow(
+        routeMatching.findMatchingRides(passengerRoute, ridesWithValidGeometry, ridesWithValidGeometry.length),
+        { searchDate, timeFrom, timeTo, arriveBy }
+    ).slice(0, 20);
+
+    // Measure off-route pickups/dropoffs on the road against each driver's detour limit
+    const matchedRides = await routeMatching.refineDetours(rankedRides, passengerRoute);
 
     console.log('✅ [Search Rides] Matched rides:', matchedRides.length);
     matchedRides.forEach((match, idx) => {
@@ -454,10 +521,17 @@ exports.searchRides = asyncHandler(async (req, res) => {
             matchScore: match.matchDetails.matchScore,
             matchQuality: match.matchDetails.matchQuality,
             detour: match.matchDetails.detourPercent,
+            detourKm: match.matchDetails.detour.distance,
+            detourMinutes: match.matchDetails.detour.duration,
             distance: match.matchDetails.segmentDistance,
             directDistance: match.matchDetails.directDistance,
             pickupPoint: match.matchDetails.pickupPoint,
             dropoffPoint: match.matchDetails.dropoffPoint,
+            estimatedPickupTime: match.timing.estimatedPickupTime,
+            estimatedDropoffTime: match.timing.estimatedDropoffTime,
+            timeDeviation: match.timing.timeDeviation,
+            withinWindow: match.timing.withinWindow,
+            dayOffset: match.timing.dayOffset,
             price: (match.ride.pricing?.pricePerSeat || 0) * (parseInt(seats) || 1),
             carbonSaved: carbonData.totalSaved || 0, // Send just the number
             carbonData: carbonData, // Send full object for detailed display if needed
@@ -493,6 +567,113 @@ exports.searchRides = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Search two-ride connections (one transfer) for routes no single ride covers
+ * Query: same as searchRides plus walkingRadius (km), minLayover, maxLayover (minutes)
+ */
+exports.searchConnections = asyncHandler(async (req, res) => {
+    const { origin, destination, date, seats, verifiedOnly } = req.query;
+
+    if (!origin || !destination) {
+        throw new AppError('Origin and destination are required', 400);
+    }
+
+    const originCoords = JSON.parse(origin);
+    const destCoords = JSON.parse(destination);
+    const numSeats = parseInt(seats) || 1;
+
+    // Transfer constraints - clamped so a search can't ask for absurd walks or waits
+    const clamp = (value, min, max, fallback) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+    };
+    const walkingRadiusKm = clamp(req.query.walkingRadius, 0.1, 3, routeMatching.TRANSFER_WALKING_RADIUS);
+    const minLayoverMinutes = clamp(req.query.minLayover, 0, 60, routeMatching.MIN_LAYOVER_MINUTES);
+    const maxLayoverMinutes = clamp(req.query.maxLayover, minLayoverMinutes + 5, 240, routeMatching.MAX_LAYOVER_MINUTES);
+
+    console.log('🔍 [Search Connections] Origin:', originCoords.coordinates, 'Destination:', destCoords.coordinates);
+
+    // Second legs may leave after midnight when the first leg runs late in the day
+    const searchDate = date ? new Date(date) : new Date();
+    searchDate.setHours(0, 0, 0, 0);
+    const endOfWindow = new Date(searchDate);
+    endOfWindow.setHours(23, 59, 59, 999);
+    endOfWindow.setMinutes(endOfWindow.getMinutes() + maxLayoverMinutes);
+
+    const query = {
+        'schedule.departureDateTime': { $gte: searchDate, $lte: endOfWindow },
+        'pricing.availableSeats': { $gte: numSeats },
+        status: 'ACTIVE'
+    };
+    if (req.user) {
+        query.rider = { $ne: req.user._id };
+    }
+
+    let rides = await Ride.find(query)
+        .populate('rider', 'profile.firstName profile.lastName profile.photo profile.gender rating statistics name fullName displayName verificationStatus preferences.booking preferences.rideComfort preferences.privacy')
+        .populate('vehicle', 'make model type')
+        .lean();
+
+    if (verifiedOnly === 'true') {
+        rides = rides.filter(ride => ride.rider?.verificationStatus === 'VERIFIED');
+    }
+
+    const connections = routeMatching.findConnections(
+        { pickup: originCoords.coordinates, dropoff: destCoords.coordinates },
+        rides,
+        { walkingRadiusKm, minLayoverMinutes, maxLayoverMinutes }
+    );
+
+    // Format results (rider contact info filtered by privacy settings, as in searchRides)
+    const results = connections.map(connection => {
+        const legs = connection.legs.map(leg => {
+            const riderData = { ...leg.ride.rider };
+            const privacyPrefs = riderData.preferences?.privacy || {};
+            if (privacyPrefs.showPhone === false) delete riderData.phone;
+            if (privacyPrefs.showEmail === false) delete riderData.email;
+
+            const riderDisplay = getUserDisplay(leg.ride.rider || {});
+
+            return {
+                ride: { ...leg.ride, rider: riderData },
+                pickupPoint: leg.pickupPoint,
+                dropoffPoint: leg.dropoffPoint,
+                departureTime: leg.departureTime,
+                arrivalTime: leg.arrivalTime,
+                distance: leg.segmentDistance,
+                price: (leg.ride.pricing?.pricePerSeat || 0) * numSeats,
+                riderDisplayName: riderDisplay.name,
+                riderPhoto: riderDisplay.photo,
+                riderInitials: riderDisplay.initials
+            };
+        });
+
+        return {
+            legs,
+            transfer: connection.transfer,
+            departureTime: connection.departureTime,
+            arrivalTime: connection.arrivalTime,
+            totalDuration: connection.totalDuration,
+            totalDistance: connection.totalDistance,
+            // Each leg is a separate booking and carries its own platform fee
+            totalPrice: legs.reduce((sum, leg) => sum + leg.price + PLATFORM_COMMISSION, 0)
+        };
+    });
+
+    res.set({
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+        'Pragma': 'no-cache',
+        'Expires': '0'
+    });
+
+    res.status(200).json({
+        success: true,
+        count: results.length,
+        transferRules: { walkingRadiusKm, minLayoverMinutes, maxLayoverMinutes },
+        connections: results
+    });
+});
+
 /**
  * Show ride details
  * ✅ RESPECTS: Profile visibility preferences
@@ -553,6 +734,24 @@ exports.showRideDetails = asyncHandler(async (req, res) => {
         });
     }
 
+    const isWatching = req.user
+        ? !!(await RideWatch.exists({ ride: ride._id, user: req.user._id }))
+        : false;
+
+    // Viewer's place in the waitlist (with any seats held for them) and queue length
+    let waitlistEntry = null;
+    if (req.user) {
+        const entry = await WaitlistEntry.findOne({
+            ride: ride._id,
+            passenger: req.user._id,
+            status: { $in: ['WAITING', 'OFFERED'] }
+        });
+        if (entry) {
+            waitlistEntry = { ...entry.toObject(), position: await waitlist.getPosition(entry) };
+        }
+    }
+    const waitlistCount = await WaitlistEntry.countDocuments({ ride: ride._id, status: { $in: ['WAITING', 'OFFERED'] } });
+
     // Get reviews for rider
     const Review = require('../models/Review');
     const reviews = await Review.find({
@@ -594,6 +793,9 @@ exports.showRideDetails = asyncHandler(async (req, res) => {
         success: true,
         ride,
         userBooking,
+        isWatching,
+        waitlistEntry,
+        waitlistCount,
         reviews,
         bookingStats,
         confirmedBookings
@@ -774,6 +976,7 @@ exports.updateRide = asyncHandler(async (req, res) => {
     }
 
     const { departureTime, availableSeats, pricePerSeat, preferences } = req.body;
+    const previousPrice = ride.pricing?.pricePerSeat;
 
     // Update allowed fields (using correct nested schema paths)
     if (departureTime) {
@@ -814,8 +1017,25 @@ exports.updateRide = asyncHandler(async (req, res) => {
         ride.preferences = { ...ride.preferences, ...JSON.parse(preferences) };
     }
 
+    // Editing a single occurrence detaches it from later series-wide edits
+    if (ride.series) {
+        ride.seriesDetached = true;
+    }
+
     await ride.save();
 
+    // A new time or lower price can make the ride match more saved searches
+    rideAlerts.processRideAlerts(ride._id, req.app.get('io'));
+
+    if (ride.pricing.pricePerSeat < previousPrice) {
+        rideWatches.notifyPriceDrop(ride._id, previousPrice, req.app.get('io'));
+    }
+
+    // Extra seats go to the waitlist first
+    if (availableSeats) {
+        waitlist.offerFreedSeats(ride._id, req.app.get('io'));
+    }
+
     res.status(200).json({
         success: true,
         message: 'Ride updated successfully',
@@ -824,43 +1044,18 @@ exports.updateRide = asyncHandler(async (req, res) => {
 });
 
 /**
- * Cancel ride - Now with Smart Auto-Reassignment
- * When a rider cancels, automatically finds alternative rides for passengers
+ * Cancel a ride, auto-reassign its passengers and cancel/refund the rest
+ * Shared by single ride cancellation and recurring series cancellation
+ * @param {Object} ride - Ride document (rider populated)
+ * @param {Object} options - { cancelledBy: userId, reason, io }
+ * @returns {Object} { affectedBookings, reassignmentResults, penalty }
  */
-exports.cancelRide = asyncHandler(async (req, res) => {
-    const { rideId } = req.params;
-    const { reason } = req.body;
-
-    // Get Socket.io instance for real-time notifications
-    const io = req.app.get('io');
-
-    const ride = await Ride.findById(rideId)
-        .populate('rider', 'name profile');
-
-    if (!ride) {
-        throw new AppError('Ride not found', 404);
-    }
-
-    if (ride.rider._id.toString() !== req.user._id.toString()) {
-        throw new AppError('Not authorized', 403);
-    }
-
-    if (ride.status === 'CANCELLED') {
-        throw new AppError('Ride already cancelled', 400);
-    }
-
-    if (ride.status === 'COMPLETED') {
-        throw new AppError('Cannot cancel completed ride', 400);
-    }
-
-    console.log('🚫 [Cancel Ride] Starting cancellation process for ride:', rideId);
-    console.log('   Reason:', reason || 'No reason provided');
-
+async function cancelRideWithBookings(ride, { cancelledBy, reason, io }) {
     // Update ride status
     ride.status = 'CANCELLED';
     ride.cancellation = {
         cancelled: true,
-        cancelledBy: req.user._id,
+        cancelledBy,
         cancelledAt: new Date(),
         reason: reason || 'No reason provided'
     };
@@ -875,6 +1070,13 @@ exports.cancelRide = asyncHandler(async (req, res) => {
 
     console.log(`   Found ${affectedBookings.length} affected bookings`);
 
+    // Refunds and the driver's late-cancellation penalty, fixed before any status changes
+    const policy = await cancellationPolicy.getPolicy();
+    const quotes = new Map(affectedBookings.map(booking => [
+        booking._id.toString(),
+        cancellationPolicy.quote(booking, policy, { actor: 'DRIVER', departure: ride.schedule.departureDateTime })
+    ]));
+
     let reassignmentResults = null;
 
     // Trigger auto-reassignment if there are affected bookings
@@ -907,18 +1109,27 @@ exports.cancelRide = asyncHandler(async (req, res) => {
             );
             
             if (!wasReassigned && booking.status !== 'CANCELLED') {
+                const quote = quotes.get(booking._id.toString());
                 booking.status = 'CANCELLED';
                 booking.cancellation = {
                     cancelled: true,
                     cancelledBy: 'RIDER',
                     reason: 'Ride cancelled by rider',
-                    cancelledAt: new Date()
+                    cancelledAt: new Date(),
+                    policy: { rule: quote.rule, refundPercent: quote.refundPercent, feeAmount: quote.feeAmount, penaltyAmount: quote.penaltyAmount }
                 };
 
-                // Issue full refund
-                if (booking.payment.status === 'PAID' || booking.payment.status === 'PAYMENT_CONFIRMED') {
+                // Refund per the driver-cancellation rule - straight to the wallet when the platform holds the money
+                const settlement = await walletService.settleCancelledBooking(booking, {
+                    refundAmount: quote.refundAmount,
+                    reason: 'Ride cancelled by rider',
+                    postedBy: cancelledBy
+                });
+                if (settlement.refunded) {
+                    booking.payment.refund = { amount: settlement.refunded };
+                } else if (quote.refundAmount > 0 && (booking.payment.status === 'PAID' || booking.payment.status === 'PAYMENT_CONFIRMED')) {
                     booking.payment.refund = {
-                        amount: booking.totalPrice,
+                        amount: quote.refundAmount,
                         status: 'PENDING',
                         initiatedAt: new Date(),
                         reason: 'Ride cancelled by rider'
@@ -933,7 +1144,7 @@ exports.cancelRide = asyncHandler(async (req, res) => {
                     user: booking.passenger._id || booking.passenger,
                     type: 'RIDE_CANCELLED',
                     title: '❌ Ride Cancelled',
-                    message: `Your ride has been cancelled by the rider. ${booking.payment.refund ? 'A full refund has been initiated.' : ''}`,
+                    message: `Your ride has been cancelled by the rider. ${booking.payment.status === 'REFUNDED' ? `₹${booking.payment.refundAmount} has been refunded to your wallet.` : booking.payment.refund ? `A refund of ₹${booking.payment.refund.amount} has been initiated.` : ''}`,
                     data: {
                         bookingId: booking._id,
                         rideId: ride._id,
@@ -958,34 +1169,53 @@ exports.cancelRide = asyncHandler(async (req, res) => {
                 }
             }
         }
+
+        // Keep multi-leg itineraries consistent with the outcome of this leg
+        for (const booking of affectedBookings.filter(b => b.itinerary)) {
+            const reassigned = reassignmentResults?.reassigned?.find(
+                r => r.bookingId.toString() === booking._id.toString()
+            );
+            try {
+                await itineraryUtils.handleLegCancelled(booking, {
+                    io,
+                    replacementBookingId: reassigned?.newBookingId,
+                    reason: 'Ride cancelled by rider'
+                });
+            } catch (itineraryError) {
+                console.error(`❌ [Cancel Ride] Itinerary update failed for booking ${booking._id}:`, itineraryError.message);
+            }
+        }
     }
 
-    // Restore available seats for non-reassigned bookings
-    // (Reassigned bookings have their seats transferred to new ride)
+    // Late cancellation: the penalty is added to what the driver owes and netted from their next payout
+    const penalty = [...quotes.values()].reduce((sum, quote) => sum + quote.penaltyAmount, 0);
+    if (penalty > 0) {
+        const riderId = ride.rider._id || ride.rider;
+        await ledger.recordCancellationPenalty(riderId, penalty, {
+            key: ride._id.toString(),
+            ride: ride._id,
+            postedBy: cancelledBy
+        }).catch(error => console.error('❌ [Ledger] Failed to post cancellation penalty:', error.message));
 
-    console.log('✅ [Cancel Ride] Cancellation complete');
-    console.log('   Reassignment results:', reassignmentResults);
+        await Notification.create({
+            user: riderId,
+            type: 'WARNING',
+            title: 'Late Cancellation Penalty',
+            message: `You cancelled within ${policy.driver.penaltyWindowHours} hours of departure with confirmed passengers. ` +
+                `A ₹${penalty} penalty will be deducted from your next payout.`,
+            data: { rideId: ride._id, amount: penalty }
+        }).catch(error => console.error('❌ [Cancel Ride] Failed to notify penalty:', error.message));
+    }
 
-    res.status(200).json({
-        success: true,
-        message: 'Ride cancelled successfully',
-        totalBookings: affectedBookings.length,
-        reassignment: reassignmentResults ? {
-            attempted: true,
-            reassigned: reassignmentResults.reassigned.length,
-            noAlternative: reassignmentResults.noAlternative.length,
-            details: reassignmentResults
-        } : null
-    });
-});
+    return { affectedBookings, reassignmentResults, penalty };
+}
 
 /**
- * Delete ride
+ * Preview a ride cancellation: passenger refunds and any late-cancellation penalty
+ * GET /api/rides/:rideId/cancellation-quote
  */
-exports.deleteRide = asyncHandler(async (req, res) => {
-    const { rideId } = req.params;
-
-    const ride = await Ride.findById(rideId);
+exports.getRideCancellationQuote = asyncHandler(async (req, res) => {
+    const ride = await Ride.findById(req.params.rideId).select('rider status schedule');
 
     if (!ride) {
         throw new AppError('Ride not found', 404);
@@ -995,39 +1225,155 @@ exports.deleteRide = asyncHandler(async (req, res) => {
         throw new AppError('Not authorized', 403);
     }
 
-    // Check if ride has any active bookings
-    const activeBookings = await Booking.countDocuments({
-        ride: ride._id,
-        status: { $nin: ['CANCELLED', 'REJECTED', 'EXPIRED'] }
-    });
-
-    if (activeBookings > 0) {
-        throw new AppError('Cannot delete ride with active bookings. Please cancel the ride first.', 400);
-    }
-
-    // Only allow deletion of ACTIVE or CANCELLED rides
-    if (!['ACTIVE', 'CANCELLED'].includes(ride.status)) {
-        throw new AppError('Cannot delete ride in current status', 400);
-    }
-
-    // Delete the ride
-    await Ride.findByIdAndDelete(rideId);
-
-    // Delete all associated bookings (should only be cancelled/rejected)
-    await Booking.deleteMany({ ride: rideId });
+    const bookings = await Booking.find({ ride: ride._id, status: { $in: ['CONFIRMED', 'PENDING'] } })
+        .select('status totalPrice payment createdAt reassignment');
 
-    console.log('✅ [Delete Ride] Ride deleted:', rideId);
+    const policy = await cancellationPolicy.getPolicy();
+    const quotes = bookings.map(booking => cancellationPolicy.quote(booking, policy, {
+        actor: 'DRIVER',
+        departure: ride.schedule.departureDateTime
+    }));
 
     res.status(200).json({
         success: true,
-        message: 'Ride deleted successfully'
+        quote: {
+            bookings: bookings.length,
+            confirmedBookings: bookings.filter(b => b.status === 'CONFIRMED').length,
+            refundPercent: policy.driver.refundPercent,
+            refundTotal: quotes.filter(q => q.collected).reduce((sum, q) => sum + q.refundAmount, 0),
+            penaltyAmount: quotes.reduce((sum, q) => sum + q.penaltyAmount, 0),
+            penaltyWindowHours: policy.driver.penaltyWindowHours,
+            penaltyPerPassenger: policy.driver.penaltyAmount
+        }
     });
 });
 
 /**
- * Start ride
+ * Cancel ride - Now with Smart Auto-Reassignment
+ * When a rider cancels, automatically finds alternative rides for passengers
  */
-exports.startRide = asyncHandler(async (req, res) => {
+exports.cancelRide = asyncHandler(async (req, res) => {
+    const { rideId } = req.params;
+    const { reason } = req.body;
+
+    // Get Socket.io instance for real-time notifications
+    const io = req.app.get('io');
+
+    const ride = await Ride.findById(rideId)
+        .populate('rider', 'name profile');
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+
+    if (ride.rider._id.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+
+    if (ride.status === 'CANCELLED') {
+        throw new AppError('Ride already cancelled', 400);
+    }
+
+    if (ride.status === 'COMPLETED') {
+        throw new AppError('Cannot cancel completed ride', 400);
+    }
+
+    console.log('🚫 [Cancel Ride] Starting cancellation process for ride:', rideId);
+    console.log('   Reason:', reason || 'No reason provided');
+
+    const { affectedBookings, reassignmentResults, penalty } = await cancelRideWithBookings(ride, {
+        cancelledBy: req.user._id,
+        reason,
+        io
+    });
+
+    // Keep the series generator from recreating a cancelled occurrence
+    if (ride.series) {
+        await RideSeries.updateOne(
+            { _id: ride.series },
+            { $addToSet: { 'recurrence.skipDates': ride.seriesOccurrence } }
+        );
+    }
+
+    // Restore available seats for non-reassigned bookings
+    // (Reassigned bookings have their seats transferred to new ride)
+
+    console.log('✅ [Cancel Ride] Cancellation complete');
+    console.log('   Reassignment results:', reassignmentResults);
+
+    res.status(200).json({
+        success: true,
+        message: penalty > 0
+            ? `Ride cancelled. A ₹${penalty} late cancellation penalty applies`
+            : 'Ride cancelled successfully',
+        totalBookings: affectedBookings.length,
+        penalty,
+        reassignment: reassignmentResults ? {
+            attempted: true,
+            reassigned: reassignmentResults.reassigned.length,
+            noAlternative: reassignmentResults.noAlternative.length,
+            details: reassignmentResults
+        } : null
+    });
+});
+
+/**
+ * Delete ride
+ */
+exports.deleteRide = asyncHandler(async (req, res) => {
+    const { rideId } = req.params;
+
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+
+    if (ride.rider.toString() !== req.user._id.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+
+    // Check if ride has any active bookings
+    const activeBookings = await Booking.countDocuments({
+        ride: ride._id,
+        status: { $nin: ['CANCELLED', 'REJECTED', 'EXPIRED'] }
+    });
+
+    if (activeBookings > 0) {
+        throw new AppError('Cannot delete ride with active bookings. Please cancel the ride first.', 400);
+    }
+
+    // Only allow deletion of ACTIVE or CANCELLED rides
+    if (!['ACTIVE', 'CANCELLED'].includes(ride.status)) {
+        throw new AppError('Cannot delete ride in current status', 400);
+    }
+
+    // Delete the ride
+    await Ride.findByIdAndDelete(rideId);
+
+    // A deleted series occurrence must not be regenerated
+    if (ride.series) {
+        await RideSeries.updateOne(
+            { _id: ride.series },
+            { $addToSet: { 'recurrence.skipDates': ride.seriesOccurrence } }
+        );
+    }
+
+    // Delete all associated bookings (should only be cancelled/rejected)
+    await Booking.deleteMany({ ride: rideId });
+
+    console.log('✅ [Delete Ride] Ride deleted:', rideId);
+
+    res.status(200).json({
+        success: true,
+        message: 'Ride deleted successfully'
+    });
+});
+
+/**
+ * Start ride
+ */
+exports.startRide = asyncHandler(async (req, res) => {
     const { rideId } = req.params;
 
     const ride = await Ride.findById(rideId)
@@ -1054,7 +1400,6 @@ exports.startRide = asyncHandler(async (req, res) => {
     ride.status = 'IN_PROGRESS';
     ride.tracking.isLive = true;
     ride.tracking.startedAt = new Date();
-    ride.tracking.breadcrumbs = ride.tracking.breadcrumbs || [];
 
     await ride.save();
 
@@ -1215,6 +1560,7 @@ exports.completeRide = asyncHandler(async (req, res) => {
     ride.tracking.completedAt = new Date();
 
     await ride.save();
+    trackingIngestion.stop(ride._id);
 
     console.log('✅ [Ride Complete] Ride marked as COMPLETED:', ride._id);
 
@@ -1269,6 +1615,13 @@ exports.completeRide = asyncHandler(async (req, res) => {
 
         console.log(`✅ [Ride Complete] Booking ${booking._id}: DROPPED_OFF → COMPLETED`);
 
+        await promotions.rewardReferral(booking)
+            .catch(error => console.error('❌ [Promotions] Failed to reward referral:', error.message));
+
+        // Tax invoice to the passenger - rendered in the background as it takes a few seconds
+        invoices.sendBookingInvoice(booking._id)
+            .catch(error => console.error('❌ [Invoices] Failed to send invoice:', error.message));
+
         // ⭐ NOW update passenger statistics (moved from dropoff to completion)
         const passenger = await User.findById(booking.passenger._id);
         if (passenger && passenger.statistics) {
@@ -1330,54 +1683,684 @@ exports.completeRide = asyncHandler(async (req, res) => {
  */
 exports.updateLocation = asyncHandler(async (req, res) => {
     const { rideId } = req.params;
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, speed, accuracy, heading } = req.body;
 
-    const ride = await Ride.findById(rideId);
+    let result;
+    try {
+        result = await trackingIngestion.ingest({
+            rideId,
+            userId: req.user._id,
+            location: { latitude, longitude, speed, accuracy, heading },
+            io: req.app.get('io')
+        });
+    } catch (error) {
+        throw new AppError(error.message, error.statusCode || 400);
+    }
 
-    if (!ride) {
-        throw new AppError('Ride not found', 404);
+    res.status(200).json({
+        success: true,
+        location: result.currentLocation,
+        deviation: result.geoFencing
+    });
+});
+
+// ============================================
+// RECURRING RIDE SERIES
+// ============================================
+
+// Booking statuses that block rescheduling or silently removing an occurrence
+const OPEN_BOOKING_STATUSES = ['PENDING', 'CONFIRMED'];
+
+/**
+ * Load a series and verify the requester owns it
+ */
+async function findOwnSeries(seriesId, userId) {
+    const series = await RideSeries.findById(seriesId);
+
+    if (!series) {
+        throw new AppError('Ride series not found', 404);
     }
 
-    if (ride.rider.toString() !== req.user._id.toString()) {
+    if (series.rider.toString() !== userId.toString()) {
         throw new AppError('Not authorized', 403);
     }
 
-    if (ride.status !== 'IN_PROGRESS') {
-        throw new AppError('Cannot update location for inactive ride', 400);
+    return series;
+}
+
+/**
+ * Upcoming ACTIVE occurrences of a series with their open booking counts
+ */
+async function findUpcomingOccurrences(seriesId) {
+    const rides = await Ride.find({
+        series: seriesId,
+        status: 'ACTIVE',
+        'schedule.departureDateTime': { $gt: new Date() }
+    }).populate('rider', 'name profile');
+
+    const openCounts = await Booking.aggregate([
+        { $match: { ride: { $in: rides.map(r => r._id) }, status: { $in: OPEN_BOOKING_STATUSES } } },
+        { $group: { _id: '$ride', count: { $sum: 1 } } }
+    ]);
+    const countByRide = new Map(openCounts.map(c => [c._id.toString(), c.count]));
+
+    return rides.map(ride => ({ ride, openBookings: countByRide.get(ride._id.toString()) || 0 }));
+}
+
+/**
+ * Remove a single upcoming occurrence: delete it when nobody ever booked,
+ * otherwise cancel it through the regular cancellation flow
+ */
+async function removeOccurrence(ride, { cancelledBy, reason, io }) {
+    if (!ride.bookings || ride.bookings.length === 0) {
+        await Ride.findByIdAndDelete(ride._id);
+        return 'DELETED';
+    }
+
+    await cancelRideWithBookings(ride, { cancelledBy, reason, io });
+    return 'CANCELLED';
+}
+
+/**
+ * Create a recurring ride series and generate its first occurrences
+ */
+exports.createRideSeries = asyncHandler(async (req, res) => {
+    const user = req.user;
+
+    if (user.verificationStatus !== 'VERIFIED') {
+        throw new AppError('Document verification required', 403);
+    }
+
+    const {
+        fromLocation,
+        toLocation,
+        originCoordinates,
+        destinationCoordinates,
+        vehicleId,
+        availableSeats,
+        pricePerSeat,
+        time,
+        daysOfWeek,
+        startDate,
+        endDate,
+        timezoneOffset,
+        ladiesOnly,
+        petsAllowed,
+        smokingAllowed,
+        luggageAllowed,
+        autoAcceptBookings,
+        notes
+    } = req.body;
+
+    const vehicle = user.vehicles.find(v => v._id.toString() === vehicleId);
+    if (!vehicle) {
+        throw new AppError('Vehicle not found', 400);
+    }
+    if (vehicle.status !== 'APPROVED') {
+        throw new AppError('Vehicle is not approved yet', 400);
+    }
+
+    const origin = typeof originCoordinates === 'string' ? JSON.parse(originCoordinates) : originCoordinates;
+    const destination = typeof destinationCoordinates === 'string' ? JSON.parse(destinationCoordinates) : destinationCoordinates;
+
+    console.log('🔁 [Ride Series] Creating series:', fromLocation, '→', toLocation, 'on days', daysOfWeek, 'at', time);
+
+    const { distance, duration, geometry } = await calculateRouteData([origin.coordinates, destination.coordinates]);
+
+    const userRideComfort = user.preferences?.rideComfort || {};
+
+    const series = await RideSeries.create({
+        rider: user._id,
+        vehicle: vehicle._id,
+        route: {
+            start: {
+                name: fromLocation,
+                address: origin.address || fromLocation,
+                coordinates: origin.coordinates
+            },
+            destination: {
+                name: toLocation,
+                address: destination.address || toLocation,
+                coordinates: destination.coordinates
+            },
+            geometry,
+            distance,
+            duration
+        },
+        recurrence: {
+            daysOfWeek: [...new Set(daysOfWeek.map(d => parseInt(d, 10)))],
+            time,
+            timezoneOffset: timezoneOffset !== undefined ? parseInt(timezoneOffset, 10) : undefined,
+            startDate,
+            endDate,
+            skipDates: []
+        },
+        pricing: {
+            pricePerSeat: parseFloat(pricePerSeat),
+            totalSeats: parseInt(availableSeats, 10)
+        },
+        preferences: {
+            gender: ladiesOnly ? 'FEMALE_ONLY' : 'ANY',
+            autoAcceptBookings: autoAcceptBookings === true || autoAcceptBookings === 'true', // Applies to subscribed passengers' bookings
+            smoking: smokingAllowed !== undefined ? (smokingAllowed === 'true' || smokingAllowed === true) : userRideComfort.smokingAllowed === true,
+            pets: petsAllowed !== undefined ? (petsAllowed === 'true' || petsAllowed === true) : userRideComfort.petsAllowed === true,
+            luggage: luggageAllowed ? 'LARGE_LUGGAGE' : 'MEDIUM_BAG',
+            music: userRideComfort.musicPreference || 'OPEN_TO_REQUESTS',
+            conversation: userRideComfort.conversationPreference || 'DEPENDS_ON_MOOD'
+        },
+        specialInstructions: notes || ''
+    });
+
+    const rides = await rideSeriesUtils.materializeSeries(series, { io: req.app.get('io') });
+
+    console.log(`✅ [Ride Series] Series ${series._id} created with ${rides.length} upcoming rides`);
+
+    res.status(201).json({
+        success: true,
+        message: `Recurring ride created. ${rides.length} upcoming ride(s) posted.`,
+        series,
+        rides,
+        redirectUrl: '/rides/my-rides'
+    });
+});
+
+/**
+ * List the rider's recurring series with their upcoming occurrences
+ */
+exports.getMySeries = asyncHandler(async (req, res) => {
+    const seriesList = await RideSeries.find({ rider: req.user._id }).sort({ createdAt: -1 });
+
+    const upcoming = await Ride.find({
+        series: { $in: seriesList.map(s => s._id) },
+        'schedule.departureDateTime': { $gte: new Date() }
+    })
+        .select('series seriesOccurrence seriesDetached status schedule pricing bookings')
+        .sort({ 'schedule.departureDateTime': 1 })
+        .lean();
+
+    const series = seriesList.map(item => ({
+        ...item.toObject(),
+        upcomingRides: upcoming.filter(r => r.series.toString() === item._id.toString())
+    }));
+
+    res.json({
+        success: true,
+        series
+    });
+});
+
+/**
+ * Get a single series with all of its generated rides
+ */
+exports.getSeriesDetails = asyncHandler(async (req, res) => {
+    const series = await findOwnSeries(req.params.seriesId, req.user._id);
+
+    const rides = await Ride.find({ series: series._id })
+        .select('seriesOccurrence seriesDetached status schedule pricing bookings cancellation')
+        .sort({ 'schedule.departureDateTime': 1 })
+        .lean();
+
+    res.json({
+        success: true,
+        series,
+        rides
+    });
+});
+
+/**
+ * Update a whole series
+ * Applies to upcoming occurrences that were not edited individually; occurrences
+ * with open bookings keep their departure time and seat count
+ */
+exports.updateRideSeries = asyncHandler(async (req, res) => {
+    const series = await findOwnSeries(req.params.seriesId, req.user._id);
+
+    if (series.status !== 'ACTIVE') {
+        throw new AppError('Cannot update an inactive series', 400);
+    }
+
+    const { time, daysOfWeek, endDate, pricePerSeat, availableSeats, autoAcceptBookings, notes } = req.body;
+
+    if (time) series.recurrence.time = time;
+    if (daysOfWeek) series.recurrence.daysOfWeek = [...new Set(daysOfWeek.map(d => parseInt(d, 10)))];
+    if (endDate) {
+        if (endDate < series.recurrence.startDate) {
+            throw new AppError('End date cannot be before the series start date', 400);
+        }
+        series.recurrence.endDate = endDate;
+    }
+    if (pricePerSeat) series.pricing.pricePerSeat = parseFloat(pricePerSeat);
+    if (availableSeats) series.pricing.totalSeats = parseInt(availableSeats, 10);
+    if (autoAcceptBookings !== undefined) series.preferences.autoAcceptBookings = autoAcceptBookings === true || autoAcceptBookings === 'true';
+    if (notes !== undefined) series.specialInstructions = notes;
+
+    await series.save();
+
+    const io = req.app.get('io');
+    const occurrences = await findUpcomingOccurrences(series._id);
+    const result = { updated: 0, removed: 0, skipped: [] };
+
+    for (const { ride, openBookings } of occurrences) {
+        // Occurrence no longer part of the pattern (weekday or end date changed)
+        if (!series.includesDate(ride.seriesOccurrence)) {
+            if (openBookings > 0) {
+                result.skipped.push({ rideId: ride._id, date: ride.seriesOccurrence, reason: 'Has open bookings' });
+                continue;
+            }
+            await removeOccurrence(ride, { cancelledBy: req.user._id, reason: 'Removed from recurring series', io });
+            result.removed++;
+            continue;
+        }
+
+        if (ride.seriesDetached) {
+            result.skipped.push({ rideId: ride._id, date: ride.seriesOccurrence, reason: 'Edited individually' });
+            continue;
+        }
+
+        ride.pricing.pricePerSeat = series.pricing.pricePerSeat;
+        ride.specialInstructions = series.specialInstructions;
+        ride.preferences.autoAcceptBookings = series.preferences.autoAcceptBookings;
+
+        if (openBookings === 0) {
+            const departure = rideSeriesUtils.getDepartureDateTime(series, ride.seriesOccurrence);
+            ride.schedule.date = departure;
+            ride.schedule.departureDateTime = departure;
+            ride.schedule.time = series.recurrence.time;
+
+            const bookedSeats = ride.pricing.totalSeats - ride.pricing.availableSeats;
+            ride.pricing.totalSeats = Math.max(series.pricing.totalSeats, bookedSeats);
+            ride.pricing.availableSeats = ride.pricing.totalSeats - bookedSeats;
+        } else if (time || availableSeats) {
+            result.skipped.push({ rideId: ride._id, date: ride.seriesOccurrence, reason: 'Has open bookings - time and seats unchanged' });
+        }
+
+        await ride.save();
+        result.updated++;
+    }
+
+    // Generate occurrences for newly added weekdays or an extended end date
+    const created = await rideSeriesUtils.materializeSeries(series, { io: req.app.get('io') });
+
+    console.log(`✅ [Ride Series] Series ${series._id} updated:`, { ...result, created: created.length });
+
+    res.json({
+        success: true,
+        message: 'Recurring ride updated',
+        series,
+        occurrences: { ...result, created: created.length }
+    });
+});
+
+/**
+ * Skip one date of a series (cancels the generated ride if it already exists)
+ */
+exports.skipSeriesOccurrence = asyncHandler(async (req, res) => {
+    const series = await findOwnSeries(req.params.seriesId, req.user._id);
+    const { date, reason } = req.body;
+
+    if (!series.includesDate(date)) {
+        throw new AppError('Date is not part of this series', 400);
+    }
+
+    series.recurrence.skipDates.push(date);
+    await series.save();
+
+    let outcome = 'SKIPPED';
+    const ride = await Ride.findOne({ series: series._id, seriesOccurrence: date, status: 'ACTIVE' })
+        .populate('rider', 'name profile');
+
+    if (ride) {
+        outcome = await removeOccurrence(ride, {
+            cancelledBy: req.user._id,
+            reason: reason || 'Occurrence skipped by rider',
+            io: req.app.get('io')
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Ride on ${date} skipped`,
+        outcome
+    });
+});
+
+/**
+ * Cancel a whole series and every upcoming occurrence
+ */
+exports.cancelRideSeries = asyncHandler(async (req, res) => {
+    const series = await findOwnSeries(req.params.seriesId, req.user._id);
+    const { reason } = req.body;
+
+    if (series.status !== 'ACTIVE') {
+        throw new AppError('Series is not active', 400);
     }
 
-    const location = {
-        type: 'Point',
-        coordinates: [parseFloat(longitude), parseFloat(latitude)]
+    series.status = 'CANCELLED';
+    series.cancellation = {
+        cancelled: true,
+        cancelledAt: new Date(),
+        reason: reason || 'No reason provided'
     };
+    await series.save();
+
+    const io = req.app.get('io');
+    const occurrences = await findUpcomingOccurrences(series._id);
+    const result = { deleted: 0, cancelled: 0 };
+
+    for (const { ride } of occurrences) {
+        const outcome = await removeOccurrence(ride, {
+            cancelledBy: req.user._id,
+            reason: reason || 'Recurring ride cancelled by rider',
+            io
+        });
+        if (outcome === 'DELETED') result.deleted++;
+        else result.cancelled++;
+    }
+
+    // Passenger subscriptions stop with the series
+    await RideSubscription.updateMany(
+        { series: series._id, status: { $in: ['ACTIVE', 'PAUSED'] } },
+        { $set: { status: 'ENDED' } }
+    );
+
+    console.log(`🚫 [Ride Series] Series ${series._id} cancelled:`, result);
+
+    res.json({
+        success: true,
+        message: 'Recurring ride cancelled',
+        series,
+        occurrences: result
+    });
+});
+
+// ============================================
+// SAVED SEARCHES & RIDE ALERTS
+// ============================================
+
+/**
+ * Build saved search fields from a request body (create and update)
+ */
+function buildSavedSearchFields(body) {
+    const fields = {};
+    if (body.name !== undefined) fields.name = body.name;
+    if (body.origin) fields.origin = { address: body.origin.address, coordinates: body.origin.coordinates };
+    if (body.destination) fields.destination = { address: body.destination.address, coordinates: body.destination.coordinates };
+    if (body.timeFrom !== undefined || body.timeTo !== undefined) {
+        fields.timeWindow = { from: body.timeFrom || undefined, to: body.timeTo || undefined };
+    }
+    if (body.seats !== undefined) fields.seats = parseInt(body.seats);
+    if (body.maxPrice !== undefined) fields.maxPrice = body.maxPrice ? parseFloat(body.maxPrice) : undefined;
+    if (body.preferences) {
+        fields.preferences = {
+            noSmoking: body.preferences.noSmoking === true,
+            petsAllowed: body.preferences.petsAllowed === true,
+            femaleOnly: body.preferences.femaleOnly === true,
+            verifiedOnly: body.preferences.verifiedOnly === true
+        };
+    }
+    if (body.alertsEnabled !== undefined) fields.alertsEnabled = body.alertsEnabled === true || body.alertsEnabled === 'true';
+    return fields;
+}
+
+/**
+ * Find a saved search owned by the current user
+ */
+async function findOwnSavedSearch(searchId, userId) {
+    const search = await SavedSearch.findById(searchId);
+
+    if (!search) {
+        throw new AppError('Saved search not found', 404);
+    }
+    if (search.user.toString() !== userId.toString()) {
+        throw new AppError('Not authorized', 403);
+    }
+    return search;
+}
+
+/**
+ * List the user's saved searches
+ */
+exports.getSavedSearches = asyncHandler(async (req, res) => {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+        .select('-alertedRides')
+        .sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        savedSearches
+    });
+});
+
+/**
+ * Save a route search - matching rides posted later trigger ride alerts
+ */
+exports.createSavedSearch = asyncHandler(async (req, res) => {
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= rideAlerts.MAX_SAVED_SEARCHES) {
+        throw new AppError(`You can save up to ${rideAlerts.MAX_SAVED_SEARCHES} searches. Delete one to add another.`, 400);
+    }
+
+    const fields = buildSavedSearchFields(req.body);
+    if (!fields.name) {
+        const from = fields.origin.address?.split(',')[0] || 'Origin';
+        const to = fields.destination.address?.split(',')[0] || 'Destination';
+        fields.name = `${from} → ${to}`.slice(0, 60);
+    }
+
+    const savedSearch = await SavedSearch.create({
+        user: req.user._id,
+        ...fields
+    });
+
+    console.log(`🔖 [Saved Search] ${req.user._id} saved search ${savedSearch._id}`);
 
-    // Update current location
-    ride.tracking.currentLocation = location;
-    ride.tracking.lastUpdated = new Date();
+    res.status(201).json({
+        success: true,
+        message: 'Search saved. We will alert you when a matching ride is posted.',
+        savedSearch
+    });
+});
+
+/**
+ * Update a saved search (filters or alert toggle)
+ */
+exports.updateSavedSearch = asyncHandler(async (req, res) => {
+    const savedSearch = await findOwnSavedSearch(req.params.searchId, req.user._id);
+
+    savedSearch.set(buildSavedSearchFields(req.body));
+    await savedSearch.save();
+
+    res.json({
+        success: true,
+        message: 'Saved search updated',
+        savedSearch
+    });
+});
+
+/**
+ * Delete a saved search
+ */
+exports.deleteSavedSearch = asyncHandler(async (req, res) => {
+    const savedSearch = await findOwnSavedSearch(req.params.searchId, req.user._id);
+
+    await savedSearch.deleteOne();
+
+    res.json({
+        success: true,
+        message: 'Saved search deleted'
+    });
+});
+
+// ============================================
+// RIDE WATCHES (price drop & seat alerts)
+// ============================================
 
-    // Add to breadcrumbs
-    ride.tracking.breadcrumbs.push({
-        location,
-        timestamp: new Date()
+/**
+ * Watch a ride for price drops and freed-up seats
+ */
+exports.watchRide = asyncHandler(async (req, res) => {
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+    if (ride.rider.toString() === req.user._id.toString()) {
+        throw new AppError('Cannot watch your own ride', 400);
+    }
+    if (ride.status !== 'ACTIVE') {
+        throw new AppError('Only active rides can be watched', 400);
+    }
+
+    const { notifyPriceDrop, notifySeats } = req.body;
+    let watch = await RideWatch.findOne({ ride: ride._id, user: req.user._id });
+    const isNew = !watch;
+
+    if (isNew) {
+        watch = new RideWatch({
+            ride: ride._id,
+            user: req.user._id,
+            lastKnownPrice: ride.pricing.pricePerSeat
+        });
+    }
+    if (notifyPriceDrop !== undefined) watch.notifyPriceDrop = notifyPriceDrop === true || notifyPriceDrop === 'true';
+    if (notifySeats !== undefined) watch.notifySeats = notifySeats === true || notifySeats === 'true';
+    await watch.save();
+
+    if (isNew) {
+        await Ride.findByIdAndUpdate(ride._id, { $inc: { bookmarkCount: 1 } });
+    }
+
+    res.status(isNew ? 201 : 200).json({
+        success: true,
+        message: 'Watching this ride. We will tell you about price drops and free seats.',
+        watch
     });
+});
 
-    // Check route deviation
-    const deviation = routeMatching.checkRouteDeviation(
-        location.coordinates,
-        ride.route.geometry.coordinates
+/**
+ * Stop watching a ride
+ */
+exports.unwatchRide = asyncHandler(async (req, res) => {
+    const watch = await RideWatch.findOneAndDelete({ ride: req.params.rideId, user: req.user._id });
+
+    if (!watch) {
+        throw new AppError('You are not watching this ride', 404);
+    }
+
+    await Ride.findOneAndUpdate(
+        { _id: watch.ride, bookmarkCount: { $gt: 0 } },
+        { $inc: { bookmarkCount: -1 } }
     );
 
-    if (deviation.isDeviated && deviation.severity !== 'NONE') {
-        // TODO: Send deviation alert
-        console.log('Route deviation detected:', deviation);
+    res.json({
+        success: true,
+        message: 'Stopped watching this ride'
+    });
+});
+
+/**
+ * List rides the user is watching
+ */
+exports.getWatchedRides = asyncHandler(async (req, res) => {
+    const watches = await RideWatch.find({ user: req.user._id })
+        .populate({
+            path: 'ride',
+            select: 'route.start route.destination schedule pricing status rider',
+            populate: { path: 'rider', select: 'profile.firstName profile.lastName profile.photo rating' }
+        })
+        .sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        watches: watches.filter(watch => watch.ride)
+    });
+});
+
+// ============================================
+// STOP MANIFEST (driver pickup/drop-off order)
+// ============================================
+
+/**
+ * Find a ride owned by the requesting rider
+ */
+const findOwnRide = async (rideId, user) => {
+    const ride = await Ride.findById(rideId);
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+    if (ride.rider.toString() !== user._id.toString()) {
+        throw new AppError('Not authorized to manage this ride', 403);
     }
 
-    await ride.save();
+    return ride;
+};
 
-    res.status(200).json({
+/**
+ * Attach passenger details to the stored stop sequence, dropping stops
+ * whose booking is no longer active
+ */
+const buildManifest = async (stopSequence) => {
+    const stops = stopSequence?.stops || [];
+    const bookings = await Booking.find({
+        _id: { $in: stops.map(stop => stop.booking) },
+        status: { $in: ['CONFIRMED', 'PICKUP_PENDING', 'PICKED_UP', 'IN_TRANSIT', 'DROPOFF_PENDING'] }
+    }).populate('passenger', 'profile.firstName profile.lastName profile.photo phone');
+    const bookingsById = new Map(bookings.map(booking => [booking._id.toString(), booking]));
+
+    return {
+        stops: stops
+            .filter(stop => bookingsById.has(stop.booking.toString()))
+            .map(stop => {
+                const booking = bookingsById.get(stop.booking.toString());
+                return {
+                    ...stop.toObject(),
+                    bookingStatus: booking.status,
+                    seats: booking.seatsBooked,
+                    passenger: booking.passenger
+                };
+            }),
+        totalDistance: stopSequence?.totalDistance,
+        totalDuration: stopSequence?.totalDuration,
+        source: stopSequence?.source,
+        computedAt: stopSequence?.computedAt
+    };
+};
+
+/**
+ * Get the ordered pickup/drop-off manifest for a ride
+ * Sequences the stops on first request if it has not been done yet
+ */
+exports.getRideManifest = asyncHandler(async (req, res) => {
+    let ride = await findOwnRide(req.params.rideId, req.user);
+
+    if (!ride.stopSequence?.computedAt && ['ACTIVE', 'IN_PROGRESS'].includes(ride.status)) {
+        await stopSequencer.sequenceRideStops(ride._id);
+        ride = await Ride.findById(ride._id);
+    }
+
+    res.json({
+        success: true,
+        manifest: await buildManifest(ride.stopSequence)
+    });
+});
+
+/**
+ * Re-run the stop sequencer for a ride (e.g. after the driver changed plans)
+ */
+exports.optimizeRideStops = asyncHandler(async (req, res) => {
+    const ride = await findOwnRide(req.params.rideId, req.user);
+
+    if (!['ACTIVE', 'IN_PROGRESS'].includes(ride.status)) {
+        throw new AppError(`Cannot optimise stops for a ${ride.status.toLowerCase()} ride`, 400);
+    }
+
+    const stopSequence = await stopSequencer.sequenceRideStops(ride._id, { io: req.app.get('io') });
+
+    res.json({
         success: true,
-        location: ride.tracking.currentLocation,
-        deviation
+        message: 'Stop order optimised',
+        manifest: await buildManifest(stopSequence)
     });
 });
 
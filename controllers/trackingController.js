@@ -2,14 +2,15 @@
  * Tracking Controller
  * Handles real-time ride tracking functionality
  * Features: Live location updates, breadcrumb trails, Socket.IO integration
- * ✅ RESPECTS: shareLocation privacy preference
  */
 
 const Booking = require('../models/Booking');
 const Ride = require('../models/Ride');
 const User = require('../models/User');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
-const { canShareLocation } = require('../utils/helpers');
+const trackingIngestion = require('../utils/trackingIngestion');
+const locationHistory = require('../utils/locationHistory');
+const tripShares = require('../utils/tripShares');
 
 /**
  * Show live tracking page
@@ -114,7 +115,7 @@ exports.showTrackingPage = asyncHandler(async (req, res) => {
         isPassenger,
         isRider,
         currentLocation: ride.tracking?.currentLocation || null,
-        breadcrumbs: ride.tracking?.breadcrumbs || [],
+        path: await locationHistory.getPath(ride._id),
         isLive: ride.tracking?.isLive || false,
         startedAt: ride.tracking?.startedAt || null,
         // Map configuration - ensure coordinates are in correct format
@@ -172,7 +173,7 @@ exports.getTrackingData = asyncHandler(async (req, res) => {
         data: {
             isLive: ride.tracking?.isLive || false,
             currentLocation: ride.tracking?.currentLocation || null,
-            breadcrumbs: ride.tracking?.breadcrumbs || [],
+            path: await locationHistory.getPath(ride._id, { tolerance: req.query.tolerance }),
             lastUpdated: ride.tracking?.currentLocation?.timestamp || null,
             rideStatus: ride.status,
             startedAt: ride.tracking?.startedAt,
@@ -183,112 +184,78 @@ exports.getTrackingData = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update driver location during ride (API endpoint)
- * POST /api/tracking/:rideId/location
+ * Get the driven path so far as a simplified polyline (API endpoint)
+ * GET /api/tracking/api/:bookingId/path?tolerance=<meters>
  */
-exports.updateLocation = asyncHandler(async (req, res) => {
-    const { rideId } = req.params;
-    const { latitude, longitude, speed, accuracy } = req.body;
+exports.getTrackingPath = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
     const userId = req.user._id;
 
-    console.log('🔵 [Tracking] Location update for ride:', rideId);
-    console.log('🔵 [Tracking] Location:', { latitude, longitude, speed });
-
-    const ride = await Ride.findById(rideId).populate('rider', 'preferences.privacy');
+    const booking = await Booking.findById(bookingId).select('ride passenger rider');
 
-    if (!ride) {
-        throw new AppError('Ride not found', 404);
-    }
-
-    // Only rider can update location
-    if (ride.rider._id.toString() !== userId.toString()) {
-        throw new AppError('Only the rider can update location', 403);
+    if (!booking) {
+        throw new AppError('Booking not found', 404);
     }
 
-    // ✅ CHECK LOCATION SHARING PREFERENCE
-    // Even if rider disabled sharing, we still allow tracking during active rides for safety
-    // But we log it for audit purposes
-    if (!canShareLocation(ride.rider)) {
-        console.log('⚠️ [Tracking] Rider has disabled location sharing but ride is active - allowing for safety');
-    }
+    const isPassenger = booking.passenger.toString() === userId.toString();
+    const isRider = booking.rider.toString() === userId.toString();
 
-    // Check ride status (allow ACTIVE, READY_FOR_PICKUP or IN_PROGRESS to start streaming)
-    if (!['IN_PROGRESS', 'ACTIVE', 'READY_FOR_PICKUP'].includes(ride.status)) {
-        throw new AppError('Ride is not active', 400);
+    if (!isPassenger && !isRider) {
+        throw new AppError('Unauthorized', 403);
     }
 
-    // Ensure tracking object exists
-    if (!ride.tracking) {
-        ride.tracking = {};
-    }
-    if (!Array.isArray(ride.tracking.breadcrumbs)) {
-        ride.tracking.breadcrumbs = [];
-    }
-    if (!ride.tracking.isLive) {
-        ride.tracking.isLive = true;
-        ride.tracking.startedAt = ride.tracking.startedAt || new Date();
-    }
+    const path = await locationHistory.getPath(booking.ride, { tolerance: req.query.tolerance });
 
-    // Update current location
-    ride.tracking.currentLocation = {
-        coordinates: [longitude, latitude],
-        timestamp: new Date(),
-        speed: speed || 0,
-        accuracy: accuracy || 0
-    };
+    res.json({
+        success: true,
+        path
+    });
+});
 
-    ride.tracking.lastUpdated = new Date();
+/**
+ * Public view of a shared trip (no login)
+ * GET /api/tracking/share/:token
+ * Read-only: driver position, ETA to the passenger's dropoff and the vehicle
+ */
+exports.getSharedTrip = asyncHandler(async (req, res) => {
+    const shared = await tripShares.findActiveShare(req.params.token);
 
-    // Add to breadcrumbs (cap to last 500 points)
-    ride.tracking.breadcrumbs.push({
-        coordinates: [longitude, latitude],
-        timestamp: new Date(),
-        speed: speed || 0
-    });
-    if (ride.tracking.breadcrumbs.length > 500) {
-        ride.tracking.breadcrumbs = ride.tracking.breadcrumbs.slice(-500);
+    if (!shared) {
+        throw new AppError('This link has expired or was revoked', 404);
     }
 
-    await ride.save();
-
-    console.log('✅ [Tracking] Location updated successfully');
+    await tripShares.recordView(shared.share);
 
-    // Emit Socket.IO event to all tracking this ride
-    const io = req.app.get('io');
-    io.to(`ride-${rideId}`).emit('location-update', {
-        rideId,
-        location: {
-            latitude,
-            longitude,
-            speed,
-            accuracy,
-            timestamp: new Date()
-        }
+    res.json({
+        success: true,
+        trip: tripShares.getPublicView(shared)
     });
+});
 
-    // Find all bookings for this ride and emit to booking rooms too
-    const bookings = await Booking.find({ ride: rideId, status: { $in: ['CONFIRMED', 'IN_PROGRESS'] } });
-    bookings.forEach(booking => {
-        io.to(`tracking-${booking._id}`).emit('location-update', {
-            bookingId: booking._id.toString(),
+/**
+ * Update driver location during ride (API endpoint)
+ * POST /api/tracking/:rideId/location
+ */
+exports.updateLocation = asyncHandler(async (req, res) => {
+    const { rideId } = req.params;
+    const { latitude, longitude, speed, accuracy, heading } = req.body;
+
+    let result;
+    try {
+        result = await trackingIngestion.ingest({
             rideId,
-            location: {
-                latitude,
-                longitude,
-                speed,
-                accuracy,
-                timestamp: new Date()
-            }
+            userId: req.user._id,
+            location: { latitude, longitude, speed, accuracy, heading },
+            io: req.app.get('io')
         });
-    });
+    } catch (error) {
+        throw new AppError(error.message, error.statusCode || 400);
+    }
 
     res.json({
         success: true,
         message: 'Location updated successfully',
-        data: {
-            currentLocation: ride.tracking.currentLocation,
-            breadcrumbsCount: ride.tracking.breadcrumbs.length
-        }
+        data: result
     });
 });
 
@@ -10,6 +10,11 @@ const Review = require('../models/Review');
 const Notification = require('../models/Notification');
 const carbonCalculator = require('../utils/carbonCalculator');
 const trustScoreCalculator = require('../utils/trustScoreCalculator');
+const walletService = require('../utils/wallet');
+const payouts = require('../utils/payouts');
+const pricing = require('../utils/pricing');
+const promotions = require('../utils/promotions');
+const invoices = require('../utils/invoices');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const helpers = require('../utils/helpers');
 const { sendEmail } = require('../config/email');
@@ -1232,6 +1237,7 @@ exports.deactivateAccount = asyncHandler(async (req, res) => {
         for (const booking of activeBookings) {
             booking.status = 'CANCELLED';
             booking.cancellationReason = 'Passenger deactivated account';
+            await walletService.settleCancelledBooking(booking, { reason: 'Passenger deactivated account' });
             await booking.save();
 
             // Notify rider
@@ -1869,24 +1875,13 @@ exports.getContributionCalculator = asyncHandler(async (req, res) => {
     const distance = parseFloat(distanceKm);
     const numPassengers = Math.max(1, parseInt(passengers) || 1);
     
-    // Fair Cost calculation parameters (BlaBlaCar-style)
-    // Based on: Petrol ₹105/L ÷ 15 km/L mileage = ₹7/km fuel + ₹1/km maintenance = ₹8/km
-    const PETROL_PRICE = 105;           // ₹ per litre (current average in India)
-    const AVERAGE_MILEAGE = 15;         // km per litre (average car)
-    const MAINTENANCE_PER_KM = 1;       // ₹ for wear & tear
-    const RUNNING_COST_PER_KM = Math.round(PETROL_PRICE / AVERAGE_MILEAGE) + MAINTENANCE_PER_KM; // ≈ ₹8/km
+    // Fair cost sharing (BlaBlaCar-style): running cost split between driver and passengers
+    const cost = pricing.costShare(distance, numPassengers);
+    const { suggestedPrice, costCap } = cost;
     
-    const totalTripCost = Math.round(distance * RUNNING_COST_PER_KM);
-    const fuelCostOnly = Math.round(distance * (PETROL_PRICE / AVERAGE_MILEAGE));
-    const maintenanceCost = Math.round(distance * MAINTENANCE_PER_KM);
-    
-    // Split between driver and passengers (BlaBlaCar model - driver shares the cost)
-    const totalPeople = numPassengers + 1; // passengers + driver
-    const suggestedPrice = Math.round(totalTripCost / totalPeople);
-    
-    // Calculate price range: Min 70%, Max 140% of suggested price
+    // Calculate price range: Min 70%, Max 140% of suggested price - never above the cost cap
     const minPrice = Math.round(suggestedPrice * 0.7);
-    const maxPrice = Math.round(suggestedPrice * 1.4);
+    const maxPrice = Math.min(Math.round(suggestedPrice * 1.4), costCap);
     
     // Carbon savings calculation
     const CO2_PER_KM_CAR = 0.12; // kg CO2 per km for average car
@@ -1898,25 +1893,26 @@ exports.getContributionCalculator = asyncHandler(async (req, res) => {
             distanceKm: distance,
             passengers: numPassengers,
             // Cost breakdown
-            petrolPrice: PETROL_PRICE,
-            averageMileage: AVERAGE_MILEAGE,
-            runningCostPerKm: RUNNING_COST_PER_KM,
-            fuelCostPerKm: Math.round(PETROL_PRICE / AVERAGE_MILEAGE),
-            maintenancePerKm: MAINTENANCE_PER_KM,
+            petrolPrice: cost.petrolPrice,
+            averageMileage: cost.averageMileage,
+            runningCostPerKm: cost.runningCostPerKm,
+            fuelCostPerKm: cost.fuelCostPerKm,
+            maintenancePerKm: cost.maintenancePerKm,
             // Trip costs
-            fuelCost: fuelCostOnly,
-            maintenanceCost: maintenanceCost,
-            totalTripCost: totalTripCost,
+            fuelCost: cost.fuelCost,
+            maintenanceCost: cost.maintenanceCost,
+            totalTripCost: cost.totalTripCost,
             // Per seat pricing
             suggestedPrice,
             priceRange: {
                 min: minPrice,
                 max: maxPrice
             },
+            costCap,
             // Environmental impact
             carbonSaved,
             // Info
-            note: 'Fair cost-sharing: Petrol ₹105/L ÷ 15 km/L + ₹1 maintenance = ₹8/km. Split equally between driver and passengers.'
+            note: `Fair cost-sharing: Petrol ₹${cost.petrolPrice}/L ÷ ${cost.averageMileage} km/L + ₹${cost.maintenancePerKm} maintenance = ₹${cost.runningCostPerKm}/km. Split equally between driver and passengers.`
         }
     });
 });
@@ -1939,23 +1935,32 @@ exports.checkBadges = asyncHandler(async (req, res) => {
 
 /**
  * ✅ GET RECOMMENDED PRICE
- * Calculate recommended price for a ride based on distance
+ * Demand-based seat price from past rides on the same corridor, capped at the fuel-cost share
  */
 exports.getRecommendedPrice = asyncHandler(async (req, res) => {
-    const { distanceKm, vehicleType } = req.query;
+    const { distanceKm, seats, originLat, originLng, destLat, destLng, departure } = req.query;
     
-    if (!distanceKm) {
+    const distance = parseFloat(distanceKm);
+    if (!distance || distance <= 0) {
         throw new AppError('Distance is required', 400);
     }
     
-    const pricing = trustScoreCalculator.calculateRecommendedPrice(
-        parseFloat(distanceKm),
-        vehicleType || 'SEDAN'
-    );
+    const point = (lng, lat) => {
+        const coords = [parseFloat(lng), parseFloat(lat)];
+        return coords.every(Number.isFinite) ? coords : null;
+    };
+    
+    const recommendation = await pricing.recommend({
+        origin: point(originLng, originLat),
+        destination: point(destLng, destLat),
+        distanceKm: distance,
+        seats: Math.min(Math.max(parseInt(seats) || 1, 1), 8),
+        departure
+    });
     
     res.status(200).json({
         success: true,
-        pricing
+        pricing: recommendation
     });
 });
 
@@ -2209,6 +2214,338 @@ exports.getDocumentStatus = asyncHandler(async (req, res) => {
     });
 });
 
+// ============================================
+// WALLET
+// ============================================
+
+/**
+ * Get Wallet
+ * GET /api/user/wallet
+ * Balance, active holds and paginated history
+ */
+exports.getWallet = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const wallet = await walletService.getSummary(req.user._id, { page, limit, type: req.query.type });
+
+    res.status(200).json({
+        success: true,
+        wallet
+    });
+});
+
+/**
+ * Start Wallet Top-up
+ * POST /api/user/wallet/topup
+ * Opens a gateway order for the amount
+ */
+exports.createWalletTopup = asyncHandler(async (req, res) => {
+    const amount = Number(req.body.amount);
+    const { minTopup, maxTopup } = walletService.limits;
+
+    if (!Number.isFinite(amount) || amount < minTopup || amount > maxTopup) {
+        throw new AppError(`Top-up amount must be between ₹${minTopup} and ₹${maxTopup}`, 400);
+    }
+
+    let order;
+    try {
+        order = await walletService.createTopup(req.user._id, amount);
+    } catch (error) {
+        if (error.message.startsWith('Wallet balance cannot exceed')) {
+            throw new AppError(error.message, 400);
+        }
+        console.error('❌ [Wallet Top-up] Gateway order failed:', error.response?.data || error.message);
+        throw new AppError('Payment gateway is unavailable. Please try again shortly', 502);
+    }
+
+    res.status(200).json({
+        success: true,
+        order,
+        user: {
+            name: User.getUserName(req.user),
+            email: req.user.email
+        }
+    });
+});
+
+/**
+ * Verify Wallet Top-up
+ * POST /api/user/wallet/topup/verify
+ * Checks the checkout signature and credits the wallet
+ */
+exports.verifyWalletTopup = asyncHandler(async (req, res) => {
+    const { orderId, paymentId, signature } = req.body;
+
+    if (!orderId || !paymentId || !signature) {
+        throw new AppError('orderId, paymentId and signature are required', 400);
+    }
+
+    let result;
+    try {
+        result = await walletService.verifyTopup(req.user._id, { orderId, paymentId, signature });
+    } catch (error) {
+        throw new AppError(error.message, error.message === 'Top-up not found' ? 404 : 400);
+    }
+
+    const wallet = await walletService.getWallet(req.user._id);
+
+    res.status(200).json({
+        success: true,
+        message: result.changed ? `₹${result.transaction.amount} added to your wallet` : 'Top-up already credited',
+        transaction: result.transaction,
+        balance: wallet.balance,
+        available: wallet.available
+    });
+});
+
+/**
+ * Report Wallet Top-up Failure
+ * POST /api/user/wallet/topup/failed
+ * Marks an abandoned or declined top-up as failed
+ */
+exports.reportWalletTopupFailure = asyncHandler(async (req, res) => {
+    const { orderId, reason } = req.body;
+
+    const topup = await walletService.findTopup(orderId, req.user._id);
+    if (!topup) {
+        throw new AppError('Top-up not found', 404);
+    }
+
+    await walletService.failTopup(topup, reason ? String(reason).slice(0, 200) : undefined);
+
+    res.status(200).json({
+        success: true,
+        message: 'Top-up failure recorded',
+        transaction: topup
+    });
+});
+
+// ============================================
+// REFERRALS
+// ============================================
+
+/**
+ * Referral code and rewards API
+ */
+exports.getReferral = asyncHandler(async (req, res) => {
+    const referral = await promotions.getReferralSummary(req.user._id);
+
+    res.status(200).json({
+        success: true,
+        referral
+    });
+});
+
+/**
+ * Use someone's referral code API (before the first completed ride)
+ * Body: { code }
+ */
+exports.applyReferralCode = asyncHandler(async (req, res) => {
+    if (!req.body.code) {
+        throw new AppError('Enter a referral code', 400);
+    }
+
+    let result;
+    try {
+        result = await promotions.applyReferral(req.user._id, req.body.code);
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+
+    const { referee } = promotions.referralRewards;
+    res.status(200).json({
+        success: true,
+        message: `Referral code applied! You and ${User.getUserName(result.referrer)} get wallet credit after your first completed ride${referee ? ` (₹${referee} for you)` : ''}.`,
+        referral: await promotions.getReferralSummary(req.user._id)
+    });
+});
+
+// ============================================
+// EARNINGS & PAYOUTS (drivers)
+// ============================================
+
+/**
+ * A user's payout details with the account number masked for display
+ */
+const maskPayoutDetails = (user) => {
+    const plain = user.toObject ? user.toObject().payoutDetails : user.payoutDetails;
+    if (!plain) return null;
+    if (plain.accountNumber) {
+        plain.accountNumberLast4 = plain.accountNumber.slice(-4);
+        plain.accountNumber = `••••${plain.accountNumberLast4}`;
+    }
+    return plain;
+};
+
+/**
+ * Get Earnings Statement
+ * GET /api/user/earnings?startDate=&endDate=
+ * Per-trip earnings, payout status and payout history
+ */
+exports.getEarningsStatement = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+    if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+        throw new AppError('Invalid date range', 400);
+    }
+
+    // Include the whole end day
+    const end = endDate ? new Date(new Date(endDate).setHours(23, 59, 59, 999)) : undefined;
+    const statement = await payouts.getStatement(req.user._id, { startDate, endDate: end });
+    const user = await User.findById(req.user._id).select('payoutDetails');
+
+    res.status(200).json({
+        success: true,
+        statement,
+        payoutDetails: maskPayoutDetails(user)
+    });
+});
+
+/**
+ * Get Payout Details
+ * GET /api/user/payout-details
+ */
+exports.getPayoutDetails = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select('payoutDetails');
+
+    res.status(200).json({
+        success: true,
+        payoutDetails: maskPayoutDetails(user)
+    });
+});
+
+/**
+ * Update Payout Details
+ * PUT /api/user/payout-details
+ * Bank account (holder, number, IFSC) or UPI ID used for future payout batches
+ */
+exports.updatePayoutDetails = asyncHandler(async (req, res) => {
+    const { method = 'BANK_TRANSFER', accountHolderName, accountNumber, ifsc, bankName, upiId } = req.body;
+
+    if (!['BANK_TRANSFER', 'UPI'].includes(method)) {
+        throw new AppError('Payout method must be BANK_TRANSFER or UPI', 400);
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (method === 'UPI') {
+        if (!upiId) {
+            throw new AppError('UPI ID is required', 400);
+        }
+        user.set('payoutDetails.upiId', String(upiId).trim());
+    } else {
+        // The form shows a masked number; keep the saved one unless a new one is entered
+        const number = accountNumber && !String(accountNumber).includes('•')
+            ? String(accountNumber).replace(/\s/g, '')
+            : user.payoutDetails?.accountNumber;
+
+        if (!accountHolderName || !number || !ifsc) {
+            throw new AppError('Account holder name, account number and IFSC are required', 400);
+        }
+        if (!/^\d{9,18}$/.test(number)) {
+            throw new AppError('Account number must be 9 to 18 digits', 400);
+        }
+
+        user.set('payoutDetails.accountHolderName', String(accountHolderName).trim());
+        user.set('payoutDetails.accountNumber', number);
+        user.set('payoutDetails.ifsc', String(ifsc).trim());
+        user.set('payoutDetails.bankName', bankName ? String(bankName).trim() : undefined);
+    }
+    user.set('payoutDetails.method', method);
+    user.set('payoutDetails.updatedAt', new Date());
+
+    const validationError = user.validateSync(['payoutDetails.ifsc', 'payoutDetails.upiId']);
+    if (validationError) {
+        throw new AppError(Object.values(validationError.errors)[0].message, 400);
+    }
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Payout details saved',
+        payoutDetails: maskPayoutDetails(user)
+    });
+});
+
+/**
+ * Download a monthly earnings statement (PDF)
+ * GET /api/user/earnings/statements/:month (month as YYYY-MM)
+ * Issued at the start of the next month; earlier months are issued on first download
+ */
+exports.downloadEarningsStatement = asyncHandler(async (req, res) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(req.params.month);
+    if (!match || match[2] < 1 || match[2] > 12) {
+        throw new AppError('Month must be in YYYY-MM format', 400);
+    }
+    const month = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+
+    let statement;
+    try {
+        statement = await invoices.issueStatement(req.user._id, month);
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
+    if (!statement) {
+        throw new AppError('You had no trips in that month', 404);
+    }
+
+    const pdf = await invoices.renderPdf(statement);
+    res.attachment(invoices.filename(statement));
+    res.type('application/pdf');
+    res.send(pdf);
+});
+
+// ============================================
+// BILLING DETAILS (tax invoices)
+// ============================================
+
+/**
+ * Get Billing Details
+ * GET /api/user/billing-details
+ */
+exports.getBillingDetails = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select('billingDetails');
+
+    res.status(200).json({
+        success: true,
+        billingDetails: user.billingDetails || {}
+    });
+});
+
+/**
+ * Update Billing Details
+ * PUT /api/user/billing-details
+ * Company name, GSTIN and address printed on invoices issued from now on
+ */
+exports.updateBillingDetails = asyncHandler(async (req, res) => {
+    const { legalName, gstin, address } = req.body;
+    const clean = (value, max) => (value ? String(value).trim().slice(0, max) : undefined);
+
+    if (gstin && !legalName) {
+        throw new AppError('Enter the registered business name for this GSTIN', 400);
+    }
+
+    const user = await User.findById(req.user._id);
+    user.set('billingDetails', {
+        legalName: clean(legalName, 120),
+        gstin: clean(gstin, 15)?.toUpperCase(),
+        address: clean(address, 300),
+        updatedAt: new Date()
+    });
+
+    const validationError = user.validateSync(['billingDetails.gstin']);
+    if (validationError) {
+        throw new AppError(Object.values(validationError.errors)[0].message, 400);
+    }
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Billing details saved. They will appear on your next invoices.',
+        billingDetails: user.billingDetails
+    });
+});
+
 // ============================================
 // API FUNCTION ALIASES (for route compatibility)
 // ============================================
@@ -91,8 +91,7 @@ async function createTestData() {
                     coordinates: [80.0390, 13.5493],
                     timestamp: new Date()
                 },
-                startedAt: new Date(),
-                breadcrumbs: []
+                startedAt: new Date()
             },
             preferences: {
                 smoking: false,
@@ -138,7 +138,12 @@ exports.validateRegistration = [
     
     body('role')
         .optional()
-        .isIn(['RIDER', 'PASSENGER']).withMessage('Invalid role selected')
+        .isIn(['RIDER', 'PASSENGER']).withMessage('Invalid role selected'),
+    
+    body('referralCode')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^[A-Za-z0-9]{4,16}$/).withMessage('Invalid referral code')
 ];
 
 /**
@@ -165,9 +170,9 @@ exports.validateOTP = [
 ];
 
 /**
- * Ride posting validation rules
+ * Ride route, pricing and vehicle rules (shared by one-off and recurring rides)
  */
-exports.validateRidePost = [
+const rideTemplateRules = [
     body('fromLocation')
         .notEmpty().withMessage('Pick-up location is required'),
     
@@ -202,14 +207,6 @@ exports.validateRidePost = [
             return value && value.coordinates && value.coordinates.length === 2;
         }).withMessage('Invalid destination coordinates'),
     
-    body('departureTime')
-        .notEmpty().withMessage('Departure time is required')
-        .custom((value) => {
-            const rideDate = new Date(value);
-            const now = new Date();
-            return rideDate >= now;
-        }).withMessage('Departure time cannot be in the past'),
-    
     body('pricePerSeat')
         .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
     
@@ -220,6 +217,21 @@ exports.validateRidePost = [
         .notEmpty().withMessage('Please select a vehicle')
 ];
 
+/**
+ * Ride posting validation rules
+ */
+exports.validateRidePost = [
+    ...rideTemplateRules,
+
+    body('departureTime')
+        .notEmpty().withMessage('Departure time is required')
+        .custom((value) => {
+            const rideDate = new Date(value);
+            const now = new Date();
+            return rideDate >= now;
+        }).withMessage('Departure time cannot be in the past')
+];
+
 /**
  * Ride update validation rules
  */
@@ -269,6 +281,81 @@ exports.validateRideUpdate = [
         }).withMessage('Invalid preferences format')
 ];
 
+/**
+ * Recurring ride series validation rules
+ */
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MAX_SERIES_DAYS = 180;
+
+const isValidDaysOfWeek = (value) => Array.isArray(value) &&
+    value.length > 0 &&
+    value.every(d => Number.isInteger(Number(d)) && Number(d) >= 0 && Number(d) <= 6);
+
+exports.validateRideSeries = [
+    ...rideTemplateRules,
+
+    body('time')
+        .matches(TIME_REGEX).withMessage('Invalid time format (HH:MM)'),
+
+    body('daysOfWeek')
+        .custom(isValidDaysOfWeek).withMessage('Select at least one weekday'),
+
+    body('startDate')
+        .matches(DATE_KEY_REGEX).withMessage('Invalid start date (YYYY-MM-DD)')
+        .custom((value) => {
+            const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            return value >= yesterday;
+        }).withMessage('Start date cannot be in the past'),
+
+    body('endDate')
+        .matches(DATE_KEY_REGEX).withMessage('Invalid end date (YYYY-MM-DD)')
+        .custom((value, { req }) => value >= req.body.startDate).withMessage('End date must be on or after the start date')
+        .custom((value, { req }) => {
+            const days = (new Date(value) - new Date(req.body.startDate)) / (24 * 60 * 60 * 1000);
+            return days <= MAX_SERIES_DAYS;
+        }).withMessage(`A recurring ride can span at most ${MAX_SERIES_DAYS} days`),
+
+    body('timezoneOffset')
+        .optional()
+        .isInt({ min: -840, max: 720 }).withMessage('Invalid timezone offset')
+];
+
+exports.validateRideSeriesUpdate = [
+    body('time')
+        .optional()
+        .matches(TIME_REGEX).withMessage('Invalid time format (HH:MM)'),
+
+    body('daysOfWeek')
+        .optional()
+        .custom(isValidDaysOfWeek).withMessage('Select at least one weekday'),
+
+    body('endDate')
+        .optional()
+        .matches(DATE_KEY_REGEX).withMessage('Invalid end date (YYYY-MM-DD)'),
+
+    body('pricePerSeat')
+        .optional()
+        .isFloat({ min: 1 }).withMessage('Price must be at least ₹1'),
+
+    body('availableSeats')
+        .optional()
+        .isInt({ min: 1, max: 7 }).withMessage('Seats must be between 1 and 7'),
+
+    body('autoAcceptBookings')
+        .optional()
+        .isBoolean().withMessage('Auto-accept must be true or false'),
+
+    body('notes')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+exports.validateSeriesSkip = [
+    body('date')
+        .matches(DATE_KEY_REGEX).withMessage('Invalid date (YYYY-MM-DD)')
+];
+
 /**
  * Booking validation rules
  */
@@ -314,7 +401,85 @@ exports.validateBooking = [
     
     body('paymentMethod')
         .optional()
-        .isIn(['CASH', 'UPI', 'CARD']).withMessage('Invalid payment method')
+        .isIn(['CASH', 'UPI', 'CARD', 'ONLINE', 'WALLET']).withMessage('Invalid payment method'),
+    
+    body('promoCode')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,20}$/).withMessage('Invalid promo code')
+];
+
+/**
+ * Recurring ride subscription validation rules
+ */
+exports.validateSubscription = [
+    body('seriesId')
+        .notEmpty().withMessage('Recurring ride is required')
+        .isMongoId().withMessage('Invalid recurring ride ID'),
+    
+    body('seats')
+        .optional()
+        .isInt({ min: 1, max: 7 }).withMessage('Seats must be between 1 and 7'),
+    
+    body('pickupLocation')
+        .optional()
+        .custom((value) => {
+            if (typeof value === 'string') JSON.parse(value);
+            return true;
+        }).withMessage('Invalid pickup location JSON'),
+    
+    body('dropoffLocation')
+        .optional()
+        .custom((value) => {
+            if (typeof value === 'string') JSON.parse(value);
+            return true;
+        }).withMessage('Invalid dropoff location JSON'),
+    
+    body('paymentMethod')
+        .optional()
+        .isIn(['CASH', 'UPI', 'CARD']).withMessage('Invalid payment method'),
+    
+    body('specialRequests')
+        .optional()
+        .isLength({ max: 300 }).withMessage('Special requests cannot exceed 300 characters')
+];
+
+/**
+ * Multi-leg itinerary booking validation rules
+ */
+exports.validateItinerary = [
+    body('legs')
+        .isArray({ min: 2, max: 2 }).withMessage('A connecting trip needs exactly two legs'),
+    
+    body('legs.*.rideId')
+        .notEmpty().withMessage('Ride is required for every leg')
+        .isMongoId().withMessage('Invalid ride ID'),
+    
+    body('legs.*.pickupLocation')
+        .notEmpty().withMessage('Pickup location is required for every leg'),
+    
+    body('legs.*.dropoffLocation')
+        .notEmpty().withMessage('Dropoff location is required for every leg'),
+    
+    body('seats')
+        .optional()
+        .isInt({ min: 1, max: 7 }).withMessage('Seats must be between 1 and 7'),
+    
+    body('minLayoverMinutes')
+        .optional()
+        .isInt({ min: 0, max: 60 }).withMessage('Minimum layover must be between 0 and 60 minutes'),
+    
+    body('maxLayoverMinutes')
+        .optional()
+        .isInt({ min: 5, max: 240 }).withMessage('Maximum layover must be between 5 and 240 minutes'),
+    
+    body('paymentMethod')
+        .optional()
+        .isIn(['CASH', 'UPI', 'CARD']).withMessage('Invalid payment method'),
+    
+    body('specialRequests')
+        .optional()
+        .isLength({ max: 300 }).withMessage('Special requests cannot exceed 300 characters')
 ];
 
 /**
@@ -956,7 +1121,81 @@ exports.validateRideSearch = [
     
     query('seats')
         .optional()
-        .isInt({ min: 1, max: 7 }).withMessage('Seats must be between 1 and 7')
+        .isInt({ min: 1, max: 7 }).withMessage('Seats must be between 1 and 7'),
+    
+    query('timeFrom')
+        .optional({ checkFalsy: true })
+        .matches(TIME_REGEX).withMessage('Time window start must be in HH:MM format'),
+    
+    query('timeTo')
+        .optional({ checkFalsy: true })
+        .matches(TIME_REGEX).withMessage('Time window end must be in HH:MM format')
+        .custom((value, { req }) => {
+            const toMinutes = (hhmm) => hhmm.split(':').reduce((h, m) => h * 60 + Number(m), 0);
+            if (req.query.timeFrom && toMinutes(value) <= toMinutes(req.query.timeFrom)) {
+                throw new Error('Time window end must be after its start');
+            }
+            return true;
+        }),
+    
+    query('flexDays')
+        .optional()
+        .isInt({ min: 0, max: 3 }).withMessage('Flexible days must be between 0 and 3'),
+    
+    query('arriveBy')
+        .optional()
+        .isBoolean().withMessage('arriveBy must be true or false')
+];
+
+/**
+ * Saved search validation rules
+ */
+const savedSearchLocationRule = (field, label) => body(field)
+    .custom((value) => {
+        if (!value || !Array.isArray(value.coordinates) || value.coordinates.length !== 2 ||
+            !value.coordinates.every(n => typeof n === 'number' && Number.isFinite(n))) {
+            throw new Error(`Invalid ${label} coordinates`);
+        }
+        return true;
+    });
+
+const savedSearchFilterRules = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ max: 60 }).withMessage('Name cannot exceed 60 characters'),
+    
+    body('timeFrom')
+        .optional({ checkFalsy: true })
+        .matches(TIME_REGEX).withMessage('Invalid time format (HH:MM)'),
+    
+    body('timeTo')
+        .optional({ checkFalsy: true })
+        .matches(TIME_REGEX).withMessage('Invalid time format (HH:MM)'),
+    
+    body('seats')
+        .optional()
+        .isInt({ min: 1, max: 7 }).withMessage('Seats must be between 1 and 7'),
+    
+    body('maxPrice')
+        .optional({ checkFalsy: true })
+        .isFloat({ min: 1, max: 10000 }).withMessage('Max price must be between ₹1 and ₹10000'),
+    
+    body('alertsEnabled')
+        .optional()
+        .isBoolean().withMessage('alertsEnabled must be true or false')
+];
+
+exports.validateSavedSearch = [
+    savedSearchLocationRule('origin', 'origin'),
+    savedSearchLocationRule('destination', 'destination'),
+    ...savedSearchFilterRules
+];
+
+exports.validateSavedSearchUpdate = [
+    savedSearchLocationRule('origin', 'origin').optional(),
+    savedSearchLocationRule('destination', 'destination').optional(),
+    ...savedSearchFilterRules
 ];
 
 /**
@@ -0,0 +1,115 @@
+/**
+ * Migrate Tracking History
+ * Moves the breadcrumbs embedded in ride documents into the LocationPoint
+ * time-series collection and removes the old tracking arrays from the rides.
+ * Deviation history is carried over onto the point recorded with it; entries
+ * with no point stay on the ride. Safe to re-run: rides whose history was
+ * already copied are not copied again
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ride = require('./models/Ride');
+const LocationPoint = require('./models/LocationPoint');
+const connectDB = require('./config/database');
+
+// How far apart a deviation entry and its breadcrumb may be recorded
+const DEVIATION_MATCH_MS = 60 * 1000;
+
+/**
+ * Put each deviation entry on the point closest in time
+ * @returns {Array} Entries no point was close enough for
+ */
+const attachDeviations = (points, deviations) => {
+    const unmatched = [];
+
+    for (const entry of deviations) {
+        const at = new Date(entry.timestamp).getTime();
+        let closest = null;
+        for (const point of points) {
+            const gap = Math.abs(new Date(point.timestamp).getTime() - at);
+            if (gap <= DEVIATION_MATCH_MS && (!closest || gap < closest.gap)) {
+                closest = { point, gap };
+            }
+        }
+
+        if (closest && !closest.point.deviation) {
+            closest.point.deviation = { distance: entry.distance, severity: entry.severity };
+        } else {
+            unmatched.push(entry);
+        }
+    }
+    return unmatched;
+};
+
+const migrateTrackingHistory = async () => {
+    try {
+        console.log('🔧 Starting tracking history migration...');
+
+        await connectDB();
+        await LocationPoint.init(); // Make sure the time-series collection exists
+
+        // The arrays are no longer in the Ride schema, so read the raw documents
+        const rides = await Ride.collection.find({
+            $or: [
+                { 'tracking.breadcrumbs': { $exists: true } },
+                { 'tracking.deviationHistory': { $exists: true } }
+            ]
+        }).project({ rider: 1, 'tracking.breadcrumbs': 1, 'tracking.deviationHistory': 1 }).toArray();
+        console.log(`📦 Found ${rides.length} rides with embedded tracking history`);
+
+        let moved = 0;
+        let skipped = 0;
+        let deviationsKept = 0;
+
+        for (const ride of rides) {
+            const points = (ride.tracking?.breadcrumbs || [])
+                .map(crumb => ({
+                    timestamp: crumb.timestamp,
+                    meta: { ride: ride._id, driver: ride.rider },
+                    // Older breadcrumbs nested the point under location
+                    coordinates: crumb.coordinates || crumb.location?.coordinates,
+                    speed: crumb.speed
+                }))
+                .filter(point => point.timestamp && Array.isArray(point.coordinates) && point.coordinates.length === 2);
+            const unmatched = attachDeviations(points, ride.tracking?.deviationHistory || []);
+
+            // A previous run already copied this ride (live pings only come after the breadcrumbs)
+            const lastCrumb = points.reduce((latest, point) => (point.timestamp > latest ? point.timestamp : latest), new Date(0));
+            const copied = points.length > 0 && await LocationPoint.exists({
+                'meta.ride': ride._id,
+                timestamp: { $lte: lastCrumb }
+            });
+
+            if (copied) {
+                skipped++;
+            } else if (points.length > 0) {
+                await LocationPoint.insertMany(points);
+                moved += points.length;
+            }
+
+            const update = unmatched.length > 0
+                ? { $unset: { 'tracking.breadcrumbs': '' }, $set: { 'tracking.deviationHistory': unmatched } }
+                : { $unset: { 'tracking.breadcrumbs': '', 'tracking.deviationHistory': '' } };
+            await Ride.collection.updateOne({ _id: ride._id }, update);
+            deviationsKept += unmatched.length;
+
+            console.log(`✅ Ride ${ride._id}: ${copied ? 'already migrated' : `moved ${points.length} points`}` +
+                (unmatched.length > 0 ? `, kept ${unmatched.length} deviation entries with no matching point` : ''));
+        }
+
+        console.log('\n📊 Summary:');
+        console.log(`🚗 Rides cleaned: ${rides.length}`);
+        console.log(`📍 Points moved: ${moved}`);
+        console.log(`⏭️  Rides already migrated: ${skipped}`);
+        console.log(`⚠️  Deviation entries left on rides: ${deviationsKept}`);
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Migration error:', error);
+        process.exit(1);
+    }
+};
+
+migrateTrackingHistory();
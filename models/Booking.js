@@ -44,6 +44,12 @@ const bookingSchema = new mongoose.Schema({
         distanceFromEnd: Number, // km from ride end
         estimatedTime: String // Estimated dropoff time
     },
+    // Extra driving the rider needs to serve this pickup/dropoff
+    detour: {
+        distance: Number, // km
+        duration: Number, // minutes
+        source: { type: String, enum: ['OSRM', 'ESTIMATE'] }
+    },
     
     // Booking Details
     seatsBooked: {
@@ -99,7 +105,7 @@ const bookingSchema = new mongoose.Schema({
         },
         method: {
             type: String,
-            enum: ['CASH', 'UPI', 'CARD', 'WALLET'],
+            enum: ['CASH', 'UPI', 'CARD', 'WALLET', 'ONLINE'],
             default: 'CASH'
         },
         
@@ -112,9 +118,21 @@ const bookingSchema = new mongoose.Schema({
             type: Number,
             default: 50 // Fixed ₹50 commission
         },
+        // Promo discount, funded by the platform (the driver still earns the full fare)
+        discount: {
+            promo: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'PromoCode'
+            },
+            code: String,
+            amount: {
+                type: Number,
+                default: 0
+            }
+        },
         totalAmount: {
             type: Number,
-            default: 0
+            default: 0 // rideFare + platformCommission - discount
         },
         
         // Payment tracking
@@ -122,6 +140,33 @@ const bookingSchema = new mongoose.Schema({
         amount: Number,
         paidAt: Date,
         
+        // Online payment (ONLINE method) - see utils/paymentService
+        gateway: String,
+        gatewayOrderId: String,
+        gatewayPaymentId: String,
+        failureReason: String,
+        walletTransaction: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WalletTransaction' // Set when paid from the wallet
+        },
+        attempts: [{
+            orderId: String,
+            paymentId: String,
+            status: {
+                type: String,
+                enum: ['CAPTURED', 'FAILED']
+            },
+            reason: String,
+            source: {
+                type: String,
+                enum: ['CHECKOUT', 'WEBHOOK']
+            },
+            at: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        
         // Rider confirmation (for both CASH and UPI)
         riderConfirmedPayment: {
             type: Boolean,
@@ -145,7 +190,7 @@ const bookingSchema = new mongoose.Schema({
             },
             amount: Number,
             settledAt: Date,
-            method: String, // 'BANK_TRANSFER', 'UPI', 'WALLET'
+            method: String, // 'BANK_TRANSFER', 'UPI', 'WALLET', 'CASH' (driver collected the fare)
             transactionId: String
         }
     },
@@ -194,7 +239,14 @@ const bookingSchema = new mongoose.Schema({
         },
         cancelledAt: Date,
         reason: String,
-        refundIssued: { type: Boolean, default: false }
+        refundIssued: { type: Boolean, default: false },
+        // Cancellation policy rule that decided the refund (utils/cancellationPolicy)
+        policy: {
+            rule: String,
+            refundPercent: Number,
+            feeAmount: Number,
+            penaltyAmount: Number
+        }
     },
     
     // Auto-Reassignment Tracking
@@ -216,6 +268,77 @@ const bookingSchema = new mongoose.Schema({
         attempts: { type: Number, default: 0 }
     },
     
+    // Passenger change requests (seats, pickup/dropoff, co-passengers), oldest first
+    // At most one is PENDING; the rest are the booking's change history
+    changeRequests: [{
+        status: {
+            type: String,
+            enum: [
+                'PENDING',        // Waiting for the rider
+                'APPROVED',       // Rider approved, applied
+                'AUTO_APPROVED',  // Applied without rider review (auto-accept ride or unaccepted booking)
+                'REJECTED',       // Rider declined
+                'WITHDRAWN',      // Passenger withdrew it
+                'EXPIRED'         // Booking or ride moved on before a response
+            ],
+            default: 'PENDING'
+        },
+        // Requested values - only the fields being changed are set
+        changes: {
+            seatsBooked: Number,
+            pickupPoint: { name: String, address: String, coordinates: [Number] },
+            dropoffPoint: { name: String, address: String, coordinates: [Number] },
+            coPassengers: {
+                type: [{ name: String, phone: String, age: Number }],
+                default: undefined
+            }
+        },
+        // Booking values before the change
+        previous: {
+            seatsBooked: Number,
+            pickupPoint: { name: String, address: String, coordinates: [Number] },
+            dropoffPoint: { name: String, address: String, coordinates: [Number] },
+            coPassengers: {
+                type: [{ name: String, phone: String, age: Number }],
+                default: undefined
+            },
+            totalPrice: Number
+        },
+        // Price after the change
+        pricing: {
+            rideFare: Number,
+            platformCommission: Number,
+            discount: Number,
+            totalAmount: Number,
+            difference: Number // totalAmount minus the previous total
+        },
+        detour: {
+            distance: Number,
+            duration: Number,
+            source: { type: String, enum: ['OSRM', 'ESTIMATE'] }
+        },
+        // Extra seats taken off the ride while the request waits
+        seatsHeld: { type: Number, default: 0 },
+        reason: String,
+        requestedAt: { type: Date, default: Date.now },
+        respondedAt: Date,
+        respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        responseMessage: String
+    }],
+    
+    // Standing subscription that created this booking (recurring rides)
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RideSubscription'
+    },
+    
+    // Multi-leg trip this booking is a leg of
+    itinerary: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Itinerary'
+    },
+    itineraryLeg: Number, // 1-based leg order within the itinerary
+    
     // Review Status
     reviews: {
         passengerReviewed: { type: Boolean, default: false },
@@ -240,6 +363,9 @@ bookingSchema.index({ ride: 1, passenger: 1 });
 bookingSchema.index({ rider: 1, status: 1 });
 bookingSchema.index({ passenger: 1, status: 1 });
 bookingSchema.index({ status: 1, createdAt: -1 });
+bookingSchema.index({ 'payment.gatewayOrderId': 1 }, { sparse: true });
+bookingSchema.index({ 'payment.discount.promo': 1, passenger: 1 }, { sparse: true });
+bookingSchema.index({ 'changeRequests.status': 1 }, { sparse: true });
 
 // Pre-save middleware to calculate response time
 bookingSchema.pre('save', function(next) {
@@ -265,25 +391,6 @@ bookingSchema.methods.canCancel = function() {
            hoursUntilRide > 2;
 };
 
-// Method to calculate refund amount
-bookingSchema.methods.calculateRefund = function() {
-    const now = new Date();
-    const rideTime = new Date(this.ride.schedule.departureDateTime);
-    const hoursUntilRide = (rideTime - now) / (1000 * 60 * 60);
-    
-    // Refund policy
-    if (hoursUntilRide > 24) {
-        return this.totalPrice; // 100% refund
-    } else if (hoursUntilRide > 12) {
-        return this.totalPrice * 0.75; // 75% refund
-    } else if (hoursUntilRide > 6) {
-        return this.totalPrice * 0.50; // 50% refund
-    } else if (hoursUntilRide > 2) {
-        return this.totalPrice * 0.25; // 25% refund
-    }
-    return 0; // No refund
-};
-
 // Virtual for booking summary
 bookingSchema.virtual('summary').get(function() {
     return {
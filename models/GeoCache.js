@@ -0,0 +1,40 @@
+/**
+ * Geo Cache Model
+ * Persistent cache of geocoding/routing provider responses, expired by a TTL index
+ */
+
+const mongoose = require('mongoose');
+
+const geoCacheSchema = new mongoose.Schema({
+    // provider:operation:hash of the normalised query/coordinates
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: String,
+    operation: {
+        type: String,
+        enum: ['geocode', 'reverseGeocode', 'autocomplete', 'route', 'table', 'nearest'],
+        required: true
+    },
+    query: String, // Readable normalised query, for admin purges
+    value: mongoose.Schema.Types.Mixed,
+    hits: {
+        type: Number,
+        default: 0
+    },
+    lastHitAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+geoCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto-delete expired
+geoCacheSchema.index({ operation: 1, provider: 1 });
+
+module.exports = mongoose.model('GeoCache', geoCacheSchema);
@@ -0,0 +1,123 @@
+/**
+ * Invoice Model
+ * Issued documents, stored as data so the PDF can be rendered again at any time:
+ * - TAX_INVOICE: one per completed booking, to the passenger
+ * - DRIVER_STATEMENT: one per driver per calendar month
+ *
+ * Party details are snapshots - later profile edits do not change an issued document
+ */
+
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    legalName: String,
+    gstin: String,
+    address: String,
+    stateCode: String,
+    email: String,
+    phone: String
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+    description: { type: String, required: true },
+    sac: String,
+    // Amount charged, tax included (negative for a platform-funded discount)
+    amount: { type: Number, required: true },
+    taxableValue: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['TAX_INVOICE', 'DRIVER_STATEMENT'],
+        required: true
+    },
+    financialYear: String, // e.g. "2026-27"
+
+    // Recipient (passenger for invoices, driver for statements)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride'
+    },
+    // Calendar month a statement covers
+    period: {
+        start: Date,
+        end: Date
+    },
+
+    supplier: partySchema,
+    recipient: partySchema,
+    // Transport provider the fare is collected for (invoices only)
+    driver: partySchema,
+    placeOfSupply: String,
+    interState: {
+        type: Boolean,
+        default: false
+    },
+
+    trip: {
+        from: String,
+        to: String,
+        departure: Date,
+        completedAt: Date,
+        seats: Number,
+        paymentMethod: String
+    },
+
+    lines: [lineSchema],
+    discount: {
+        code: String,
+        amount: { type: Number, default: 0 }
+    },
+    totals: {
+        taxableValue: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+
+    // payouts.getStatement() output for the month (statements only)
+    statement: mongoose.Schema.Types.Mixed,
+
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    emailedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+invoiceSchema.index(
+    { booking: 1, type: 1 },
+    { unique: true, partialFilterExpression: { booking: { $exists: true } } }
+);
+invoiceSchema.index(
+    { user: 1, type: 1, 'period.start': 1 },
+    { unique: true, partialFilterExpression: { type: 'DRIVER_STATEMENT' } }
+);
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
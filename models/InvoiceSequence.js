@@ -0,0 +1,34 @@
+/**
+ * Invoice Sequence Model
+ * One counter per document series and financial year, so invoice numbers run
+ * consecutively (GST requires a unique, consecutive serial per financial year)
+ */
+
+const mongoose = require('mongoose');
+
+const invoiceSequenceSchema = new mongoose.Schema({
+    // <series>/<financial year>, e.g. "INV/2026-27"
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+/**
+ * Reserve the next number in a series
+ * @returns {Number} 1 for the first document of the year
+ */
+invoiceSequenceSchema.statics.next = async function(key) {
+    const counter = await this.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
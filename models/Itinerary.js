@@ -0,0 +1,85 @@
+/**
+ * Itinerary Model
+ * Multi-leg trip booked as one: two rides connected through a transfer point
+ */
+
+const mongoose = require('mongoose');
+
+const pointSchema = {
+    name: String,
+    address: String,
+    coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+    }
+};
+
+const itinerarySchema = new mongoose.Schema({
+    passenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Legs in travel order
+    legs: [{
+        order: { type: Number, required: true }, // 1-based
+        ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+        booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+        rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        pickupPoint: pointSchema,
+        dropoffPoint: pointSchema
+    }],
+
+    // Transfer between legs and the constraints the connection must keep
+    transfer: {
+        walkingDistance: Number, // km between leg 1 drop-off and leg 2 pickup
+        walkingMinutes: Number,
+        layoverMinutes: Number, // As planned at booking time
+        minLayoverMinutes: { type: Number, default: 10 },
+        maxLayoverMinutes: { type: Number, default: 120 }
+    },
+
+    seatsBooked: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    totalPrice: {
+        type: Number,
+        default: 0
+    },
+
+    status: {
+        type: String,
+        enum: ['ACTIVE', 'CANCELLED', 'COMPLETED'],
+        default: 'ACTIVE'
+    },
+
+    // Leg changes after booking (reassignments, cascaded cancellations)
+    history: [{
+        action: {
+            type: String,
+            enum: ['LEG_REASSIGNED', 'LEG_CANCELLED', 'CANCELLED']
+        },
+        legOrder: Number,
+        fromRide: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
+        toRide: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
+        reason: String,
+        at: { type: Date, default: Date.now }
+    }],
+
+    cancellation: {
+        cancelledAt: Date,
+        reason: String
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+itinerarySchema.index({ passenger: 1, status: 1 });
+itinerarySchema.index({ 'legs.booking': 1 });
+
+module.exports = mongoose.model('Itinerary', itinerarySchema);
@@ -0,0 +1,74 @@
+/**
+ * Ledger Account Model
+ * One account per (type, owner) with a running balance kept in the account's
+ * normal direction, so a positive balance always means "as expected":
+ * - PLATFORM_CASH (asset): money held by the platform at the gateway/bank
+ * - RECEIVABLE (asset, per driver): commission a cash-collecting driver owes us
+ * - PASSENGER_WALLET (liability, per passenger): stored balance we owe a passenger
+ * - DRIVER_EARNINGS (liability, per driver): fares we owe a driver
+ * - PLATFORM_COMMISSION (revenue): commission earned
+ * - PROMOTIONS_EXPENSE (expense): promo and referral credits we gave away
+ * - PENALTY_INCOME (revenue): late-cancellation penalties charged to drivers
+ */
+
+const mongoose = require('mongoose');
+
+const ACCOUNT_TYPES = {
+    PLATFORM_CASH: { normalBalance: 'DEBIT', perUser: false },
+    RECEIVABLE: { normalBalance: 'DEBIT', perUser: true },
+    PASSENGER_WALLET: { normalBalance: 'CREDIT', perUser: true },
+    DRIVER_EARNINGS: { normalBalance: 'CREDIT', perUser: true },
+    PLATFORM_COMMISSION: { normalBalance: 'CREDIT', perUser: false },
+    PROMOTIONS_EXPENSE: { normalBalance: 'DEBIT', perUser: false },
+    PENALTY_INCOME: { normalBalance: 'CREDIT', perUser: false }
+};
+
+const ledgerAccountSchema = new mongoose.Schema({
+    // TYPE for platform accounts, TYPE:userId for per-user accounts
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: Object.keys(ACCOUNT_TYPES),
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    normalBalance: {
+        type: String,
+        enum: ['DEBIT', 'CREDIT'],
+        required: true
+    },
+    balance: {
+        type: Number,
+        default: 0
+    },
+    debitTotal: {
+        type: Number,
+        default: 0
+    },
+    creditTotal: {
+        type: Number,
+        default: 0
+    },
+    entryCount: {
+        type: Number,
+        default: 0
+    },
+    lastEntryAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+ledgerAccountSchema.index({ type: 1, balance: -1 });
+ledgerAccountSchema.index({ owner: 1 });
+
+ledgerAccountSchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,129 @@
+/**
+ * Ledger Entry Model
+ * Immutable double-entry journal. Each entry's lines debit and credit ledger
+ * accounts by equal totals; mistakes are corrected by posting a reversal,
+ * never by editing or deleting an entry
+ */
+
+const mongoose = require('mongoose');
+
+const ledgerLineSchema = new mongoose.Schema({
+    account: {
+        type: String, // LedgerAccount.key
+        required: true
+    },
+    accountType: {
+        type: String,
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    debit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Running balance of the account right after this line
+    balanceAfter: Number,
+    memo: String
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: [
+            'BOOKING_PAYMENT',      // Fare + commission recognised for a booking
+            'REFUND',               // Money returned to a passenger
+            'COMMISSION_SETTLEMENT',// Cash-collecting driver paid their commission dues
+            'WALLET_TOPUP',         // Passenger added money to their wallet
+            'WALLET_CREDIT',        // Promo/referral credit granted to a wallet
+            'DRIVER_PAYOUT',        // Earnings paid out to a driver, net of commission dues
+            'CANCELLATION_PENALTY', // Driver charged for cancelling close to departure
+            'REVERSAL'              // Mirror of an earlier entry
+        ],
+        required: true
+    },
+
+    // Same key posted twice returns the first entry instead of double-counting
+    idempotencyKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    lines: {
+        type: [ledgerLineSchema],
+        validate: {
+            validator: (lines) => lines.length >= 2,
+            message: 'A journal entry needs at least two lines'
+        }
+    },
+    amount: {
+        type: Number, // Total debits (= total credits)
+        required: true
+    },
+
+    // Related records
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride'
+    },
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    reverses: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LedgerEntry'
+    },
+
+    description: String,
+    reference: String, // External reference (gateway payment id, bank UTR...)
+    postedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    postedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+ledgerEntrySchema.index({ booking: 1 });
+ledgerEntrySchema.index({ type: 1, postedAt: -1 });
+
+// Journal entries are append-only
+ledgerEntrySchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Ledger entries are immutable - post a reversal instead'));
+    }
+    next();
+});
+
+const rejectMutation = function(next) {
+    next(new Error('Ledger entries are immutable - post a reversal instead'));
+};
+
+[
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(op => {
+    ledgerEntrySchema.pre(op, { document: true, query: true }, rejectMutation);
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
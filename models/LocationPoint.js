@@ -0,0 +1,56 @@
+/**
+ * Location Point Model
+ * Driver location history for live rides, kept in a time-series collection
+ * outside the ride document and removed after the retention period
+ */
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.TRACKING_RETENTION_DAYS, 10) || 90;
+
+const locationPointSchema = new mongoose.Schema({
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    // Series key: one series per ride
+    meta: {
+        ride: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Ride',
+            required: true
+        },
+        driver: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+    },
+    speed: Number, // km/h
+    accuracy: Number, // meters
+    heading: Number,
+    // Distance from the planned route when the point was recorded
+    deviation: {
+        distance: Number,
+        severity: {
+            type: String,
+            enum: ['NONE', 'LOW', 'MEDIUM', 'HIGH']
+        }
+    }
+}, {
+    timeseries: {
+        timeField: 'timestamp',
+        metaField: 'meta',
+        granularity: 'seconds'
+    },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+    versionKey: false
+});
+
+// Indexes
+locationPointSchema.index({ 'meta.ride': 1, timestamp: 1 });
+
+module.exports = mongoose.model('LocationPoint', locationPointSchema);
@@ -23,8 +23,12 @@ const notificationSchema = new mongoose.Schema({
             'BOOKING_ACCEPTED',        // Alias for BOOKING_CONFIRMED
             'BOOKING_REJECTED',
             'BOOKING_CANCELLED',
+            'BOOKING_CHANGE_REQUESTED', // Passenger asked to change seats/pickup/dropoff
+            'BOOKING_CHANGED',          // Booking change applied
+            'BOOKING_CHANGE_REJECTED',  // Rider declined a booking change
             'BOOKING_REASSIGNED',      // NEW: Auto-reassignment successful
             'NEW_BOOKING_REASSIGNED',  // NEW: Rider receives reassigned passenger
+            'SUBSCRIPTION_BOOKING_FAILED', // Recurring ride seat could not be reserved
             'RIDE_STARTING',
             'RIDE_STARTED',
             'RIDE_COMPLETED',
@@ -55,6 +59,11 @@ const notificationSchema = new mongoose.Schema({
             'REPORT_RESOLVED',
             'SYSTEM_ALERT',            // New: System alerts/warnings
             'PRICE_DROP',
+            'SEATS_AVAILABLE',         // Watched ride has seats again
+            'WAITLIST_OFFER',          // Seats held for a waitlisted passenger
+            'WAITLIST_BOOKED',         // Waitlisted passenger auto-booked
+            'WAITLIST_EXPIRED',        // Waitlist offer lapsed
+            'RIDE_ALERT',              // New ride matches a saved search
             'SYSTEM_UPDATE',
             'ADMIN_MESSAGE'
         ]
@@ -0,0 +1,137 @@
+/**
+ * Payout Batch Model
+ * A run of driver payouts: each line is one driver's unsettled earnings from
+ * platform-collected bookings, minus the cash-commission dues netted against them
+ *
+ * Status Flow: PENDING_APPROVAL → APPROVED → SETTLED (or CANCELLED before settling)
+ */
+
+const mongoose = require('mongoose');
+
+const payoutLineSchema = new mongoose.Schema({
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    transactions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    }],
+    bookings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }],
+    grossEarnings: {
+        type: Number,
+        required: true
+    },
+    commissionDues: {
+        type: Number,
+        default: 0
+    },
+    netAmount: {
+        type: Number,
+        required: true
+    },
+
+    // Snapshot of User.payoutDetails when the batch was generated
+    destination: {
+        method: String,
+        accountHolderName: String,
+        accountNumber: String,
+        ifsc: String,
+        bankName: String,
+        upiId: String
+    },
+
+    status: {
+        type: String,
+        enum: ['PENDING', 'PAID', 'FAILED'],
+        default: 'PENDING'
+    },
+    transactionId: String, // Bank UTR / UPI reference
+    failureReason: String,
+    settledAt: Date
+}, { _id: true });
+
+const payoutBatchSchema = new mongoose.Schema({
+    reference: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['PENDING_APPROVAL', 'APPROVED', 'SETTLED', 'CANCELLED'],
+        default: 'PENDING_APPROVAL'
+    },
+
+    // Earnings from bookings finished up to this moment
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+
+    payouts: [payoutLineSchema],
+
+    // Drivers with unsettled earnings left out of this batch
+    skipped: [{
+        rider: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        grossEarnings: Number,
+        commissionDues: Number,
+        reason: String
+    }],
+
+    totals: {
+        drivers: { type: Number, default: 0 },
+        gross: { type: Number, default: 0 },
+        commissionDues: { type: Number, default: 0 },
+        net: { type: Number, default: 0 },
+        paid: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+
+    generatedBy: {
+        type: String,
+        enum: ['SCHEDULER', 'ADMIN'],
+        default: 'SCHEDULER'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+    exportedAt: Date,
+    exportCount: {
+        type: Number,
+        default: 0
+    },
+    settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    settledAt: Date,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: Date,
+    cancellationReason: String,
+    notes: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'payouts.rider': 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
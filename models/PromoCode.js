@@ -0,0 +1,96 @@
+/**
+ * Promo Code Model
+ * A discount passengers enter when booking. Redemptions are the bookings that
+ * carry the code (Booking.payment.discount.promo), reserved atomically through
+ * PromoRedemption; a booking that is cancelled, rejected or expires gives its
+ * redemption back.
+ */
+
+const mongoose = require('mongoose');
+
+const corridorPointSchema = new mongoose.Schema({
+    name: String,
+    coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+    }
+}, { _id: false });
+
+const promoCodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,20}$/, 'Codes are 3-20 letters, digits, - or _']
+    },
+    description: {
+        type: String,
+        maxlength: 200
+    },
+
+    // Discount
+    discountType: {
+        type: String,
+        enum: ['PERCENT', 'FLAT'],
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    maxDiscount: Number, // Ceiling for PERCENT codes
+    minFare: {
+        type: Number,
+        default: 0
+    },
+
+    // Who and what it applies to
+    firstRideOnly: {
+        type: Boolean,
+        default: false
+    },
+    corridor: {
+        start: corridorPointSchema,
+        destination: corridorPointSchema,
+        radiusKm: {
+            type: Number,
+            default: 5
+        }
+    },
+    validFrom: Date,
+    validUntil: Date,
+
+    // Redemption caps (counted over live bookings)
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    totalLimit: {
+        type: Number,
+        min: 1 // Unset = unlimited
+    },
+    redemptionCount: {
+        type: Number,
+        default: 0 // Reserved redemptions (PromoRedemption), checked against totalLimit
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+promoCodeSchema.index({ active: 1, validUntil: 1 });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
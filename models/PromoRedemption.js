@@ -0,0 +1,43 @@
+/**
+ * Promo Redemption Model
+ * One use of a promo code, reserved before the booking is written so concurrent
+ * bookings cannot go past the code's caps. Each passenger's uses take numbered
+ * slots (0 .. perUserLimit - 1) under a unique index; the total is a counter on
+ * the PromoCode. Redemptions whose booking was voided are reclaimed on demand.
+ */
+
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+    promo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        required: true
+    },
+    passenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    slot: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking' // Unset while the booking is being created
+    },
+    countedInTotal: {
+        type: Boolean,
+        default: false // Holds one of PromoCode.redemptionCount
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+promoRedemptionSchema.index({ promo: 1, passenger: 1, slot: 1 }, { unique: true });
+promoRedemptionSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
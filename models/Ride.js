@@ -144,11 +144,6 @@ const rideSchema = new mongoose.Schema({
             speed: Number,
             accuracy: Number
         },
-        breadcrumbs: [{
-            coordinates: [Number],
-            timestamp: Date,
-            speed: Number
-        }],
         lastDeviation: {
             distance: Number,
             threshold: Number,
@@ -157,18 +152,44 @@ const rideSchema = new mongoose.Schema({
                 enum: ['NONE', 'LOW', 'MEDIUM', 'HIGH']
             },
             timestamp: Date
-        },
-        deviationHistory: [{
-            distance: Number,
-            threshold: Number,
-            severity: {
-                type: String,
-                enum: ['LOW', 'MEDIUM', 'HIGH']
-            },
-            timestamp: Date
-        }]
+        }
+        // Location history lives in the LocationPoint time-series collection
     },
     
+    // Admin-defined danger zones the planned route passes through (checked when posted)
+    zoneRisks: [{
+        zone: { type: mongoose.Schema.Types.ObjectId, ref: 'SafetyZone' },
+        name: String,
+        category: String,
+        riskLevel: { type: String, enum: ['LOW', 'MEDIUM', 'HIGH'] },
+        coordinates: [Number] // [longitude, latitude] where the route enters the zone
+    }],
+
+    // Optimised pickup/drop-off order for confirmed passengers (driver manifest)
+    stopSequence: {
+        stops: [{
+            booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+            type: { type: String, enum: ['PICKUP', 'DROPOFF'] },
+            order: Number,
+            name: String,
+            address: String,
+            coordinates: [Number], // [longitude, latitude]
+            estimatedArrival: Date
+        }],
+        totalDistance: Number, // km, start → stops → destination
+        totalDuration: Number, // minutes, including stop time
+        source: { type: String, enum: ['OSRM', 'ESTIMATE'] }, // Where travel times came from
+        computedAt: Date
+    },
+
+    // Recurring series this ride was generated from (if any)
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RideSeries'
+    },
+    seriesOccurrence: String, // "YYYY-MM-DD" occurrence date within the series
+    seriesDetached: { type: Boolean, default: false }, // Edited individually - series-wide edits skip it
+
     // Views and Interactions
     views: { type: Number, default: 0 },
     bookmarkCount: { type: Number, default: 0 },
@@ -192,6 +213,11 @@ rideSchema.index({ rider: 1, status: 1 });
 rideSchema.index({ 'schedule.departureDateTime': 1 });
 rideSchema.index({ status: 1, 'schedule.departureDateTime': 1 });
 rideSchema.index({ 'pricing.availableSeats': 1 });
+// One ride per series occurrence - guards the generator against duplicates
+rideSchema.index(
+    { series: 1, seriesOccurrence: 1 },
+    { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
 // Pre-save middleware to set availableSeats
 rideSchema.pre('save', function(next) {
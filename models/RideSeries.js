@@ -0,0 +1,151 @@
+/**
+ * Ride Series Model
+ * Recurring ride template (e.g. daily office commute) that the scheduled
+ * jobs materialize into concrete Ride documents ahead of time
+ */
+
+const mongoose = require('mongoose');
+
+const rideSeriesSchema = new mongoose.Schema({
+    // Rider Information
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    // Route template (copied to every occurrence)
+    route: {
+        start: {
+            name: { type: String, required: true },
+            address: String,
+            coordinates: { type: [Number], required: true } // [longitude, latitude]
+        },
+        destination: {
+            name: { type: String, required: true },
+            address: String,
+            coordinates: { type: [Number], required: true }
+        },
+        geometry: {
+            type: {
+                type: String,
+                enum: ['LineString'],
+                default: 'LineString'
+            },
+            coordinates: [[Number]]
+        },
+        distance: { type: Number, required: true }, // in kilometers
+        duration: { type: Number, required: true } // in minutes
+    },
+
+    // Recurrence pattern
+    recurrence: {
+        daysOfWeek: {
+            type: [Number], // 0 = Sunday ... 6 = Saturday
+            required: true,
+            validate: {
+                validator: (days) => days.length > 0 && days.every(d => Number.isInteger(d) && d >= 0 && d <= 6),
+                message: 'At least one valid weekday is required'
+            }
+        },
+        time: { type: String, required: true }, // Format: "HH:MM" in the rider's local time
+        timezoneOffset: { type: Number, default: () => new Date().getTimezoneOffset() }, // minutes, as Date#getTimezoneOffset
+        startDate: { type: String, required: true }, // "YYYY-MM-DD"
+        endDate: { type: String, required: true }, // "YYYY-MM-DD" (inclusive)
+        skipDates: [String] // "YYYY-MM-DD" dates that must not be generated
+    },
+
+    // Pricing template
+    pricing: {
+        pricePerSeat: { type: Number, required: true, min: 0 },
+        totalSeats: { type: Number, required: true, min: 1 },
+        currency: { type: String, default: 'INR' }
+    },
+
+    // Preferences template (same shape as Ride.preferences)
+    preferences: {
+        gender: {
+            type: String,
+            enum: ['ANY', 'MALE_ONLY', 'FEMALE_ONLY', 'MIXED'],
+            default: 'ANY'
+        },
+        autoAcceptBookings: { type: Boolean, default: false },
+        smoking: { type: Boolean, default: false },
+        pets: { type: Boolean, default: false },
+        music: {
+            type: String,
+            enum: ['NO_MUSIC', 'SOFT_MUSIC', 'ANY_MUSIC', 'LIGHT_MUSIC', 'OPEN_TO_REQUESTS'],
+            default: 'OPEN_TO_REQUESTS'
+        },
+        conversation: {
+            type: String,
+            enum: ['QUIET', 'SOME_CHAT', 'CHATTY', 'DEPENDS_ON_MOOD'],
+            default: 'DEPENDS_ON_MOOD'
+        },
+        luggage: {
+            type: String,
+            enum: ['SMALL_BAG', 'MEDIUM_BAG', 'LARGE_LUGGAGE'],
+            default: 'MEDIUM_BAG'
+        }
+    },
+
+    specialInstructions: {
+        type: String,
+        maxlength: 500
+    },
+
+    // Series Status
+    status: {
+        type: String,
+        enum: ['ACTIVE', 'CANCELLED', 'ENDED'],
+        default: 'ACTIVE'
+    },
+
+    // Materialization bookkeeping
+    generation: {
+        horizonDays: { type: Number, default: 14, min: 1, max: 60 }, // How far ahead rides are created
+        generatedUntil: String, // Last "YYYY-MM-DD" that has been materialized
+        lastRunAt: Date
+    },
+
+    // Cancellation
+    cancellation: {
+        cancelled: { type: Boolean, default: false },
+        cancelledAt: Date,
+        reason: String
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+rideSeriesSchema.index({ rider: 1, status: 1 });
+rideSeriesSchema.index({ status: 1, 'recurrence.endDate': 1 });
+
+// Check whether a "YYYY-MM-DD" date is part of this series
+rideSeriesSchema.methods.includesDate = function(dateKey) {
+    const { daysOfWeek, startDate, endDate, skipDates } = this.recurrence;
+    if (dateKey < startDate || dateKey > endDate) return false;
+    if ((skipDates || []).includes(dateKey)) return false;
+
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return daysOfWeek.includes(weekday);
+};
+
+// Virtual for a human readable pattern, e.g. "Mon, Wed, Fri at 08:30"
+rideSeriesSchema.virtual('patternLabel').get(function() {
+    const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const days = [...(this.recurrence?.daysOfWeek || [])].sort().map(d => names[d]);
+    return `${days.join(', ')} at ${this.recurrence?.time}`;
+});
+
+rideSeriesSchema.set('toJSON', { virtuals: true });
+rideSeriesSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('RideSeries', rideSeriesSchema);
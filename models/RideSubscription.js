@@ -0,0 +1,104 @@
+/**
+ * Ride Subscription Model
+ * Standing booking of a passenger on every occurrence of a recurring ride series
+ */
+
+const mongoose = require('mongoose');
+
+const rideSubscriptionSchema = new mongoose.Schema({
+    // Reference to Series and Users
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RideSeries',
+        required: true
+    },
+    passenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Pickup and Dropoff Points (reused for every occurrence)
+    pickupPoint: {
+        name: String,
+        address: String,
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            required: true
+        }
+    },
+    dropoffPoint: {
+        name: String,
+        address: String,
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+
+    // Booking template
+    seatsBooked: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    paymentMethod: {
+        type: String,
+        enum: ['CASH', 'UPI', 'CARD', 'WALLET'],
+        default: 'CASH'
+    },
+    specialRequests: {
+        type: String,
+        maxlength: 300
+    },
+
+    // Status
+    status: {
+        type: String,
+        enum: [
+            'ACTIVE',       // Occurrences are booked automatically
+            'PAUSED',       // Passenger paused - nothing is booked
+            'CANCELLED',    // Cancelled by passenger
+            'ENDED'         // Series ended or was cancelled by the rider
+        ],
+        default: 'ACTIVE'
+    },
+
+    // Per-occurrence outcome (one entry per processed series date)
+    occurrences: [{
+        date: String, // "YYYY-MM-DD" series occurrence
+        ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
+        booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+        status: {
+            type: String,
+            enum: ['BOOKED', 'FAILED']
+        },
+        reason: String, // Why the seat could not be reserved
+        processedAt: { type: Date, default: Date.now }
+    }],
+
+    // Cancellation
+    cancellation: {
+        cancelledAt: Date,
+        reason: String
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+rideSubscriptionSchema.index({ passenger: 1, status: 1 });
+rideSubscriptionSchema.index({ series: 1, status: 1 });
+
+// Method to check if an occurrence date was already handled
+rideSubscriptionSchema.methods.hasProcessed = function(dateKey) {
+    return this.occurrences.some(o => o.date === dateKey);
+};
+
+module.exports = mongoose.model('RideSubscription', rideSubscriptionSchema);
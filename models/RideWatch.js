@@ -0,0 +1,37 @@
+/**
+ * Ride Watch Model
+ * A passenger watching (bookmarking) a ride for price drops and freed-up seats
+ */
+
+const mongoose = require('mongoose');
+
+const rideWatchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride',
+        required: true
+    },
+
+    // What the watcher wants to hear about
+    notifyPriceDrop: { type: Boolean, default: true },
+    notifySeats: { type: Boolean, default: true },
+
+    // Price when the watch started or was last notified - drops are measured against it
+    lastKnownPrice: Number,
+    lastPriceAlertAt: Date,
+    lastSeatAlertAt: Date
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+rideWatchSchema.index({ user: 1, ride: 1 }, { unique: true });
+rideWatchSchema.index({ ride: 1 });
+
+module.exports = mongoose.model('RideWatch', rideWatchSchema);
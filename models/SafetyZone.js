@@ -0,0 +1,90 @@
+/**
+ * Safety Zone Model
+ * Admin-managed safe places (police stations, hospitals...) and danger areas
+ * (crime hotspots, unlit stretches...) that live tracking and ride posting check against
+ */
+
+const mongoose = require('mongoose');
+
+const SAFE_CATEGORIES = ['POLICE_STATION', 'HOSPITAL', 'FUEL_STATION', 'TRANSIT_HUB', 'WELL_LIT_AREA', 'OTHER'];
+const DANGER_CATEGORIES = ['CRIME_HOTSPOT', 'POOR_LIGHTING', 'ACCIDENT_PRONE', 'ISOLATED_AREA', 'FLOOD_PRONE', 'OTHER'];
+
+const safetyZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    kind: {
+        type: String,
+        enum: ['SAFE', 'DANGER'],
+        required: true
+    },
+    category: {
+        type: String,
+        enum: [...new Set([...SAFE_CATEGORIES, ...DANGER_CATEGORIES])],
+        default: 'OTHER'
+    },
+
+    // Shape: a circle (center + radius) or a polygon ring
+    shape: {
+        type: String,
+        enum: ['CIRCLE', 'POLYGON'],
+        required: true
+    },
+    center: [Number], // [longitude, latitude] (CIRCLE)
+    radius: {
+        type: Number, // meters (CIRCLE)
+        min: 10,
+        max: 20000
+    },
+    polygon: [[Number]], // Closed ring of [longitude, latitude] (POLYGON)
+
+    // Danger zones only
+    riskLevel: {
+        type: String,
+        enum: ['LOW', 'MEDIUM', 'HIGH'],
+        default: 'MEDIUM'
+    },
+    reason: {
+        type: String,
+        maxlength: 300
+    },
+    recommendations: [String],
+
+    // When the zone applies; no hours means all day, no days means every day.
+    // Hours may wrap past midnight (e.g. 22:00 - 05:00)
+    activeHours: {
+        start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+    },
+    activeDays: [{
+        type: Number, // 0 = Sunday
+        min: 0,
+        max: 6
+    }],
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+safetyZoneSchema.index({ active: 1, kind: 1 });
+
+safetyZoneSchema.statics.SAFE_CATEGORIES = SAFE_CATEGORIES;
+safetyZoneSchema.statics.DANGER_CATEGORIES = DANGER_CATEGORIES;
+
+module.exports = mongoose.model('SafetyZone', safetyZoneSchema);
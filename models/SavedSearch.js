@@ -0,0 +1,76 @@
+/**
+ * Saved Search Model
+ * A passenger's saved route search; newly posted rides that match it trigger ride alerts
+ */
+
+const mongoose = require('mongoose');
+
+const locationSchema = {
+    address: String,
+    coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true
+    }
+};
+
+const savedSearchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 60
+    },
+
+    // Route
+    origin: locationSchema,
+    destination: locationSchema,
+
+    // Optional departure window ("HH:MM"), applied to the estimated pickup time
+    timeWindow: {
+        from: String,
+        to: String
+    },
+
+    // Filters
+    seats: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    maxPrice: Number, // Per seat
+    preferences: {
+        noSmoking: { type: Boolean, default: false },
+        petsAllowed: { type: Boolean, default: false },
+        femaleOnly: { type: Boolean, default: false },
+        verifiedOnly: { type: Boolean, default: false }
+    },
+
+    // Alerts
+    alertsEnabled: {
+        type: Boolean,
+        default: true
+    },
+    alertedRides: [{
+        ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
+        alertedAt: { type: Date, default: Date.now }
+    }],
+    lastAlertAt: Date
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1 });
+
+// Method to check if a ride was already alerted for this search
+savedSearchSchema.methods.hasAlerted = function(rideId) {
+    return this.alertedRides.some(a => a.ride.toString() === rideId.toString());
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -161,12 +161,12 @@ const settingsSchema = new mongoose.Schema({
         },
         cancellationWindow: {
             type: Number,
-            default: 60, // minutes before ride start
+            default: 60, // minutes before ride start - passenger cancellations inside it get no refund
             min: 0
         },
         cancellationFee: {
             type: Number,
-            default: 0, // percentage of fare
+            default: 0, // percentage of fare kept from a passenger's partial or full refund
             min: 0,
             max: 100
         },
@@ -178,6 +178,85 @@ const settingsSchema = new mongoose.Schema({
         }
     },
 
+    // Cancellation & Refund Policy (applied by utils/cancellationPolicy.js)
+    cancellationPolicy: {
+        passenger: {
+            // Refund by notice given: the tier with the most hours the passenger still beat applies
+            tiers: {
+                type: [{
+                    _id: false,
+                    hoursBefore: { type: Number, min: 0, required: true },
+                    refundPercent: { type: Number, min: 0, max: 100, required: true }
+                }],
+                default: [
+                    { hoursBefore: 24, refundPercent: 100 },
+                    { hoursBefore: 12, refundPercent: 75 },
+                    { hoursBefore: 6, refundPercent: 50 },
+                    { hoursBefore: 2, refundPercent: 25 }
+                ]
+            },
+            // Requests the driver never accepted are always refunded in full
+            pendingFullRefund: {
+                type: Boolean,
+                default: true
+            },
+            // Full refund for a change of mind within this many minutes of booking (0 = off)
+            graceMinutes: {
+                type: Number,
+                default: 0,
+                min: 0,
+                max: 1440
+            }
+        },
+        driver: {
+            // What passengers get back when the driver cancels
+            refundPercent: {
+                type: Number,
+                default: 100,
+                min: 0,
+                max: 100
+            },
+            // Charged to the driver per confirmed passenger when cancelling inside the window
+            penaltyAmount: {
+                type: Number,
+                default: 0,
+                min: 0
+            },
+            penaltyWindowHours: {
+                type: Number,
+                default: 2,
+                min: 0
+            }
+        },
+        noShow: {
+            // Minutes after departure before the driver can mark a passenger as a no-show
+            waitMinutes: {
+                type: Number,
+                default: 10,
+                min: 0,
+                max: 180
+            },
+            refundPercent: {
+                type: Number,
+                default: 0,
+                min: 0,
+                max: 100
+            }
+        },
+        exemptions: {
+            // Passenger cancels a booking they were moved onto after their ride was cancelled
+            reassignedBookings: {
+                type: Boolean,
+                default: true
+            },
+            // Rides and bookings cancelled by an admin
+            adminCancellations: {
+                type: Boolean,
+                default: true
+            }
+        }
+    },
+
     // Last updated
     updatedBy: {
         type: mongoose.Schema.Types.ObjectId,
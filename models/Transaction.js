@@ -54,6 +54,12 @@ const transactionSchema = new mongoose.Schema({
             default: 50
         },
         
+        // Promo discount the platform paid for (passengerPaid is net of it)
+        discount: {
+            type: Number,
+            default: 0
+        },
+        
         // Total amount
         total: {
             type: Number,
@@ -65,7 +71,7 @@ const transactionSchema = new mongoose.Schema({
     payment: {
         method: {
             type: String,
-            enum: ['CASH', 'UPI', 'CARD', 'WALLET'],
+            enum: ['CASH', 'UPI', 'CARD', 'WALLET', 'ONLINE'],
             default: 'CASH'
         },
         
@@ -107,8 +113,12 @@ const transactionSchema = new mongoose.Schema({
             default: false
         },
         settledAt: Date,
-        method: String, // 'BANK_TRANSFER', 'UPI', 'WALLET'
-        transactionId: String
+        method: String, // 'BANK_TRANSFER', 'UPI', 'WALLET', 'CASH' (driver collected the fare)
+        transactionId: String,
+        batch: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PayoutBatch' // Set while the payout is in a batch
+        }
     },
     
     // Metadata
@@ -150,6 +160,7 @@ transactionSchema.statics.getFinancialSummary = async function(startDate, endDat
                 totalRevenue: { $sum: '$amounts.total' },
                 totalCommission: { $sum: '$amounts.platformCommission' },
                 totalRideFare: { $sum: '$amounts.rideFare' },
+                totalDiscounts: { $sum: '$amounts.discount' },
                 
                 // By payment method
                 cashPayments: {
@@ -199,6 +210,7 @@ transactionSchema.statics.getFinancialSummary = async function(startDate, endDat
         totalRevenue: 0,
         totalCommission: 0,
         totalRideFare: 0,
+        totalDiscounts: 0,
         cashPayments: 0,
         upiPayments: 0,
         commissionCollected: 0,
@@ -0,0 +1,60 @@
+/**
+ * Trip Share Model
+ * Public, read-only live tracking link a passenger sends to people without an account
+ */
+
+const mongoose = require('mongoose');
+
+const tripShareSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride',
+        required: true
+    },
+    passenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Random URL token; it is the only thing the viewer needs
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    label: {
+        type: String,
+        maxlength: 60 // Who it was sent to, e.g. "Mom"
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['REVOKED', 'DROPPED_OFF', 'BOOKING_ENDED']
+    },
+
+    views: {
+        type: Number,
+        default: 0
+    },
+    lastViewedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+tripShareSchema.index({ booking: 1, revokedAt: 1 });
+// Clean up a week after the link stops working
+tripShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('TripShare', tripShareSchema);
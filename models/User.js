@@ -232,6 +232,61 @@ const userSchema = new mongoose.Schema({
         memberSince: { type: Date, default: Date.now },
         lastRideAt: Date
     },
+
+    // Where driver payouts are sent (see utils/payouts)
+    payoutDetails: {
+        method: {
+            type: String,
+            enum: ['BANK_TRANSFER', 'UPI'],
+            default: 'BANK_TRANSFER'
+        },
+        accountHolderName: String,
+        accountNumber: String,
+        ifsc: {
+            type: String,
+            uppercase: true,
+            match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, 'Invalid IFSC code']
+        },
+        bankName: String,
+        upiId: {
+            type: String,
+            lowercase: true,
+            match: [/^[\w.-]{2,}@[a-z]{2,}$/, 'Invalid UPI ID']
+        },
+        updatedAt: Date
+    },
+
+    // Billing details printed on tax invoices (corporate travellers claiming GST credit)
+    billingDetails: {
+        legalName: String,
+        gstin: {
+            type: String,
+            uppercase: true,
+            trim: true,
+            match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN']
+        },
+        address: String,
+        updatedAt: Date
+    },
+
+    // Referrals - both sides are credited after the referee's first completed booking
+    referral: {
+        code: {
+            type: String,
+            uppercase: true,
+            trim: true
+        },
+        referredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        referredAt: Date,
+        rewardedAt: Date,
+        rewardBooking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking'
+        }
+    },
     
     // Preferences
     preferences: {
@@ -339,6 +394,8 @@ userSchema.index({ phone: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ verificationStatus: 1 });
 userSchema.index({ 'rating.overall': -1 });
+userSchema.index({ 'referral.code': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'referral.referredBy': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
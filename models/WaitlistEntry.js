@@ -0,0 +1,110 @@
+/**
+ * Waitlist Entry Model
+ * A passenger queued on a full ride, offered seats in turn as they free up
+ */
+
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride',
+        required: true
+    },
+    passenger: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Booking template used when the seat is offered
+    pickupPoint: {
+        name: String,
+        address: String,
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            required: true
+        }
+    },
+    dropoffPoint: {
+        name: String,
+        address: String,
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+    detour: {
+        distance: Number,
+        duration: Number,
+        source: { type: String, enum: ['OSRM', 'ESTIMATE'] }
+    },
+    seats: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    paymentMethod: {
+        type: String,
+        enum: ['CASH', 'UPI', 'CARD', 'WALLET', 'ONLINE'],
+        default: 'CASH'
+    },
+    specialRequests: {
+        type: String,
+        maxlength: 300
+    },
+
+    // Book straight away when seats free up instead of waiting for the passenger to accept
+    autoBook: {
+        type: Boolean,
+        default: false
+    },
+
+    status: {
+        type: String,
+        enum: [
+            'WAITING',   // In the queue
+            'OFFERED',   // Seats held for the passenger until offer.expiresAt
+            'BOOKED',    // Offer turned into a booking
+            'DECLINED',  // Passenger turned the offer down
+            'EXPIRED',   // Offer lapsed without an answer
+            'LEFT',      // Passenger left the queue
+            'CLOSED'     // Ride departed, was cancelled, or the passenger booked it another way
+        ],
+        default: 'WAITING'
+    },
+
+    // Seats taken off the ride for this passenger while the offer is open
+    offer: {
+        seatsHeld: Number,
+        offeredAt: Date,
+        expiresAt: Date
+    },
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    closedAt: Date,
+    closedReason: String
+
+}, {
+    timestamps: true
+});
+
+// Indexes
+waitlistEntrySchema.index({ ride: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ passenger: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+// One place in the queue per passenger and ride
+waitlistEntrySchema.index(
+    { ride: 1, passenger: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['WAITING', 'OFFERED'] } } }
+);
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
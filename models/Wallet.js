@@ -0,0 +1,67 @@
+/**
+ * Wallet Model
+ * Per-user stored balance. `balance` is everything the user owns; `held` is the
+ * part reserved for bookings awaiting the rider's acceptance, so
+ * available = balance - held
+ */
+
+const mongoose = require('mongoose');
+
+const walletSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    balance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    held: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    // Balance reserved for pending bookings
+    holds: [{
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking',
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['ACTIVE', 'CAPTURED', 'RELEASED'],
+            default: 'ACTIVE'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        settledAt: Date
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+walletSchema.index({ 'holds.booking': 1 });
+
+walletSchema.virtual('available').get(function() {
+    return Math.round((this.balance - this.held) * 100) / 100;
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,74 @@
+/**
+ * Wallet Transaction Model
+ * A user's wallet history: top-ups, booking payments, refunds, credits and holds
+ */
+
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: [
+            'TOPUP',            // Added through the payment gateway
+            'BOOKING_PAYMENT',  // Paid for a booking
+            'REFUND',           // Booking refund
+            'PROMO_CREDIT',     // Promotional credit
+            'REFERRAL_CREDIT',  // Referral reward
+            'HOLD',             // Reserved for a pending booking (balance unchanged)
+            'HOLD_RELEASE'      // Reservation released (balance unchanged)
+        ],
+        required: true
+    },
+    direction: {
+        type: String,
+        enum: ['CREDIT', 'DEBIT', 'NONE'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    balanceAfter: Number,
+    status: {
+        type: String,
+        enum: ['PENDING', 'COMPLETED', 'FAILED'],
+        default: 'COMPLETED'
+    },
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    description: String,
+    reference: String, // Gateway payment id, promo code...
+
+    // Top-ups
+    gateway: String,
+    gatewayOrderId: String,
+    failureReason: String,
+
+    // Same key twice returns the first transaction
+    idempotencyKey: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ gatewayOrderId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
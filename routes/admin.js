@@ -38,6 +38,8 @@ router.patch('/users/:id/status', adminController.updateUserStatus);
 router.post('/users/:id/suspend', adminController.suspendUser);
 router.post('/users/:id/activate', adminController.activateUser);
 router.delete('/users/:id', adminController.deleteUser);
+router.get('/users/:id/wallet', adminController.getUserWallet);
+router.post('/users/:id/wallet/credits', adminController.grantWalletCredit);
 
 // Verification API
 router.get('/verifications/pending', adminController.getPendingVerifications);
@@ -47,11 +49,14 @@ router.post('/verifications/:userId/reject', adminController.rejectVerification)
 // Rides Management API
 router.get('/rides', adminController.getRides);
 router.get('/rides/:rideId', adminController.getRideDetails);
+router.get('/rides/:rideId/path', adminController.getRidePath);
+router.get('/rides/:rideId/replay', adminController.getRideReplay);
 router.post('/rides/:rideId/cancel', adminController.cancelRide);
 
 // Bookings Management API
 router.get('/bookings', adminController.getBookings);
 router.get('/bookings/:bookingId', adminController.getBookingDetails);
+router.get('/bookings/:bookingId/refund-quote', adminController.getBookingRefundQuote);
 router.post('/bookings/:bookingId/refund', adminController.refundBooking);
 
 // Reports API - User Reports (complaints/issues)
@@ -72,6 +77,38 @@ router.post('/emergencies/:emergencyId/resolve', adminController.resolveEmergenc
 router.get('/settings', adminController.getSettings);
 router.put('/settings', adminController.updateSettings);
 
+// Geo cache API
+router.get('/geo-cache', adminController.getGeoCacheStats);
+router.delete('/geo-cache', adminController.purgeGeoCache);
+
+// Ledger API (double-entry balances, reconciliation with Transactions)
+router.get('/ledger/accounts', adminController.getLedgerAccounts);
+router.get('/ledger/accounts/:accountKey/entries', adminController.getLedgerStatement);
+router.get('/ledger/reconciliation', adminController.getLedgerReconciliation);
+router.post('/ledger/commission-settlements', adminController.recordCommissionSettlement);
+router.post('/ledger/entries/:entryId/reverse', adminController.reverseLedgerEntry);
+router.post('/ledger/backfill', adminController.backfillLedger);
+
+// Promo codes API
+router.get('/promo-codes', adminController.getPromoCodes);
+router.post('/promo-codes', adminController.createPromoCode);
+router.put('/promo-codes/:promoId', adminController.updatePromoCode);
+
+// Safety zones API (safe places and danger areas checked during tracking and ride posting)
+router.get('/safety-zones', adminController.getSafetyZones);
+router.post('/safety-zones', adminController.createSafetyZone);
+router.put('/safety-zones/:zoneId', adminController.updateSafetyZone);
+router.delete('/safety-zones/:zoneId', adminController.deleteSafetyZone);
+
+// Driver payouts API (scheduled batches, approval, bank CSV, settlement)
+router.get('/payouts', adminController.getPayoutBatches);
+router.post('/payouts/generate', adminController.generatePayoutBatch);
+router.get('/payouts/:batchId', adminController.getPayoutBatch);
+router.post('/payouts/:batchId/approve', adminController.approvePayoutBatch);
+router.get('/payouts/:batchId/export', adminController.exportPayoutBatch);
+router.post('/payouts/:batchId/settle', adminController.settlePayoutBatch);
+router.post('/payouts/:batchId/cancel', adminController.cancelPayoutBatch);
+
 // Notifications API
 router.get('/notifications', adminController.getNotifications);
 router.post('/notifications/:notificationId/read', adminController.markNotificationAsRead);
@@ -5,9 +5,12 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const paymentService = require('../utils/paymentService');
 const { isAuthenticated, isRider } = require('../middleware/auth');
 const {
     validateBooking,
+    validateSubscription,
+    validateItinerary,
     handleValidationErrors
 } = require('../middleware/validation');
 
@@ -22,6 +25,58 @@ router.post('/create/:rideId',
 // My Bookings API
 router.get('/my-bookings', isAuthenticated, bookingController.getMyBookings);
 
+// Recurring Ride Subscription APIs
+router.post('/subscriptions',
+    isAuthenticated,
+    validateSubscription,
+    validateItinerary,
+    handleValidationErrors,
+    bookingController.createSubscription
+);
+
+router.get('/subscriptions/my-subscriptions', isAuthenticated, bookingController.getMySubscriptions);
+
+router.post('/subscriptions/:subscriptionId/:action(pause|resume)', isAuthenticated, bookingController.updateSubscriptionStatus);
+
+router.post('/subscriptions/:subscriptionId/cancel', isAuthenticated, bookingController.cancelSubscription);
+
+// Connecting Trip (multi-leg itinerary) APIs
+router.post('/itinerary',
+    isAuthenticated,
+    validateItinerary,
+    handleValidationErrors,
+    bookingController.createItinerary
+);
+
+router.get('/itinerary/:itineraryId', isAuthenticated, bookingController.getItinerary);
+
+router.post('/itinerary/:itineraryId/cancel', isAuthenticated, bookingController.cancelItinerary);
+
+// Waitlist for full rides: join, answer a seat offer, leave
+router.post('/waitlist/:rideId',
+    isAuthenticated,
+    validateBooking,
+    handleValidationErrors,
+    bookingController.joinWaitlist
+);
+
+router.get('/waitlist/my-entries', isAuthenticated, bookingController.getMyWaitlist);
+
+router.post('/waitlist/entries/:entryId/:action(accept|decline)', isAuthenticated, bookingController.respondToWaitlistOffer);
+
+router.post('/waitlist/entries/:entryId/leave', isAuthenticated, bookingController.leaveWaitlist);
+
+// Online payment APIs - the webhook is authenticated by the gateway signature, not a session
+router.post('/payments/webhook', bookingController.paymentWebhook);
+
+// Simulated checkout, only when the mock gateway is explicitly enabled outside production
+if (paymentService.isMockEnabled()) {
+    router.post('/payments/mock-checkout', isAuthenticated, bookingController.mockCheckout);
+}
+
+// Check a promo code against a ride before booking
+router.post('/promo-codes/check', isAuthenticated, bookingController.checkPromoCode);
+
 // Booking Details API
 router.get('/:bookingId', isAuthenticated, bookingController.getBookingDetails);
 
@@ -34,6 +89,29 @@ router.post('/:bookingId/reject', isAuthenticated, isRider, bookingController.re
 // Cancel Booking API (by passenger)
 router.post('/:bookingId/cancel', isAuthenticated, bookingController.cancelBooking);
 
+// Refund preview under the cancellation policy
+router.get('/:bookingId/cancellation-quote', isAuthenticated, bookingController.getCancellationQuote);
+
+// Booking changes: seats, pickup/dropoff, co-passengers (passenger asks, rider approves)
+router.post('/:bookingId/changes/preview', isAuthenticated, bookingController.previewBookingChange);
+
+router.post('/:bookingId/changes', isAuthenticated, bookingController.requestBookingChange);
+
+router.post('/:bookingId/changes/:changeId/:action(approve|reject)', isAuthenticated, isRider, bookingController.respondToBookingChange);
+
+router.post('/:bookingId/changes/:changeId/withdraw', isAuthenticated, bookingController.withdrawBookingChange);
+
+// Public live tracking links for people without an account (passenger only)
+router.post('/:bookingId/share', isAuthenticated, bookingController.createTripShare);
+router.get('/:bookingId/share', isAuthenticated, bookingController.getTripShares);
+router.delete('/:bookingId/share/:shareId', isAuthenticated, bookingController.revokeTripShare);
+
+// Tax invoice PDF for a completed booking
+router.get('/:bookingId/invoice', isAuthenticated, bookingController.downloadInvoice);
+
+// Mark passenger as no-show (rider only)
+router.post('/:bookingId/no-show', isAuthenticated, isRider, bookingController.markNoShow);
+
 // Verify Pickup OTP API (by rider)
 router.post('/:bookingId/verify-pickup', isAuthenticated, isRider, bookingController.verifyPickupOTP);
 
@@ -43,6 +121,13 @@ router.post('/:bookingId/verify-dropoff', isAuthenticated, isRider, bookingContr
 // Complete Payment API (Passenger action after dropoff)
 router.post('/:bookingId/complete-payment', isAuthenticated, bookingController.completePayment);
 
+// Online Payment APIs (Passenger): create/reuse gateway order, verify checkout, record failure
+router.post('/:bookingId/payment/order', isAuthenticated, bookingController.createPaymentOrder);
+
+router.post('/:bookingId/payment/verify', isAuthenticated, bookingController.verifyBookingPayment);
+
+router.post('/:bookingId/payment/failed', isAuthenticated, bookingController.reportPaymentFailure);
+
 // Confirm Payment Receipt API (Rider action)
 router.post('/:bookingId/confirm-payment', isAuthenticated, isRider, bookingController.confirmPayment);
 
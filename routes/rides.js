@@ -10,6 +10,11 @@ const {
     validateRidePost,
     validateRideUpdate,
     validateRideSearch,
+    validateRideSeries,
+    validateRideSeriesUpdate,
+    validateSeriesSkip,
+    validateSavedSearch,
+    validateSavedSearchUpdate,
     handleValidationErrors
 } = require('../middleware/validation');
 
@@ -21,6 +26,14 @@ router.get('/search/results',
     rideController.searchRides
 );
 
+// Search two-ride connections (one transfer)
+router.get('/search/connections',
+    isAuthenticated,
+    validateRideSearch,
+    handleValidationErrors,
+    rideController.searchConnections
+);
+
 // Post Ride API
 router.post('/post',
     isAuthenticated,
@@ -38,6 +51,72 @@ router.get('/my-rides',
     rideController.getMyRides
 );
 
+// Recurring Ride Series APIs
+router.post('/series',
+    isAuthenticated,
+    isRider,
+    isVerifiedRider,
+    validateRideSeries,
+    handleValidationErrors,
+    rideController.createRideSeries
+);
+
+router.get('/series/my-series',
+    isAuthenticated,
+    isRider,
+    rideController.getMySeries
+);
+
+router.get('/series/:seriesId',
+    isAuthenticated,
+    isRider,
+    rideController.getSeriesDetails
+);
+
+router.put('/series/:seriesId',
+    isAuthenticated,
+    isRider,
+    validateRideSeriesUpdate,
+    handleValidationErrors,
+    rideController.updateRideSeries
+);
+
+router.post('/series/:seriesId/skip',
+    isAuthenticated,
+    isRider,
+    validateSeriesSkip,
+    handleValidationErrors,
+    rideController.skipSeriesOccurrence
+);
+
+router.post('/series/:seriesId/cancel',
+    isAuthenticated,
+    isRider,
+    rideController.cancelRideSeries
+);
+
+// Saved Searches & Ride Alerts APIs
+router.get('/saved-searches', isAuthenticated, rideController.getSavedSearches);
+
+router.post('/saved-searches',
+    isAuthenticated,
+    validateSavedSearch,
+    handleValidationErrors,
+    rideController.createSavedSearch
+);
+
+router.put('/saved-searches/:searchId',
+    isAuthenticated,
+    validateSavedSearchUpdate,
+    handleValidationErrors,
+    rideController.updateSavedSearch
+);
+
+router.delete('/saved-searches/:searchId', isAuthenticated, rideController.deleteSavedSearch);
+
+// Ride Watch APIs (price drop & seat alerts)
+router.get('/watched', isAuthenticated, rideController.getWatchedRides);
+
 // Update Ride API
 router.put('/:rideId',
     isAuthenticated,
@@ -57,6 +136,10 @@ router.delete('/:rideId',
 // Ride Details API
 router.get('/:rideId', isAuthenticated, rideController.getRideDetails);
 
+router.post('/:rideId/watch', isAuthenticated, rideController.watchRide);
+
+router.delete('/:rideId/watch', isAuthenticated, rideController.unwatchRide);
+
 // Get ride bookings API (for rider to see all bookings for their ride)
 router.get('/:rideId/bookings',
     isAuthenticated,
@@ -64,6 +147,26 @@ router.get('/:rideId/bookings',
     rideController.getRideBookings
 );
 
+// Ordered pickup/drop-off manifest for the driver
+router.get('/:rideId/manifest',
+    isAuthenticated,
+    isRider,
+    rideController.getRideManifest
+);
+
+router.post('/:rideId/optimize-stops',
+    isAuthenticated,
+    isRider,
+    rideController.optimizeRideStops
+);
+
+// Refund / penalty preview before cancelling (rider only)
+router.get('/:rideId/cancellation-quote',
+    isAuthenticated,
+    isRider,
+    rideController.getRideCancellationQuote
+);
+
 // Cancel Ride API
 router.post('/:rideId/cancel',
     isAuthenticated,
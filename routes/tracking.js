@@ -8,12 +8,18 @@ const router = express.Router();
 const trackingController = require('../controllers/trackingController');
 const { isAuthenticated } = require('../middleware/auth');
 
-// All tracking routes require authentication
+// Shared trip link - public, the token is the credential
+router.get('/share/:token', trackingController.getSharedTrip);
+
+// All other tracking routes require authentication
 router.use(isAuthenticated);
 
 // Get current tracking data API
 router.get('/api/:bookingId', trackingController.getTrackingData);
 
+// Driven path so far (simplified polyline)
+router.get('/api/:bookingId/path', trackingController.getTrackingPath);
+
 // Update driver location API
 router.post('/api/:rideId/location', trackingController.updateLocation);
 
@@ -140,6 +140,26 @@ router.get('/stats/:userId', isAuthenticated, userController.getUserStats);
 router.get('/recommended-price', isAuthenticated, userController.getRecommendedPrice);
 router.get('/contribution-calculator', isAuthenticated, userController.getContributionCalculator);
 
+// Wallet APIs
+router.get('/wallet', isAuthenticated, userController.getWallet);
+router.post('/wallet/topup', isAuthenticated, userController.createWalletTopup);
+router.post('/wallet/topup/verify', isAuthenticated, userController.verifyWalletTopup);
+router.post('/wallet/topup/failed', isAuthenticated, userController.reportWalletTopupFailure);
+
+// Referral APIs
+router.get('/referral', isAuthenticated, userController.getReferral);
+router.post('/referral', isAuthenticated, userController.applyReferralCode);
+
+// Earnings & Payout APIs (drivers)
+router.get('/earnings', isAuthenticated, isRider, userController.getEarningsStatement);
+router.get('/earnings/statements/:month', isAuthenticated, isRider, userController.downloadEarningsStatement);
+router.get('/payout-details', isAuthenticated, isRider, userController.getPayoutDetails);
+router.put('/payout-details', isAuthenticated, isRider, userController.updatePayoutDetails);
+
+// Billing details for tax invoices
+router.get('/billing-details', isAuthenticated, userController.getBillingDetails);
+router.put('/billing-details', isAuthenticated, userController.updateBillingDetails);
+
 // Account Management API
 router.delete('/account', isAuthenticated, userController.deleteAccount);
 
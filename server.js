@@ -25,6 +25,10 @@ const socketIO = require('socket.io');
 
 // User utilities (kept for API enrichment)
 const { enrichUsers } = require('./utils/userUtils');
+const trackingIngestion = require('./utils/trackingIngestion');
+const tripShares = require('./utils/tripShares');
+const socketAccess = require('./utils/socketAccess');
+const Chat = require('./models/Chat');
 
 // Import database configuration
 const connectDB = require('./config/database');
@@ -55,15 +59,23 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are signed over the raw bytes, so keep them for verification
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/bookings/payments/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
 
-// Session configuration
-app.use(session({
+// Session configuration (shared with Socket.IO so sockets know their user)
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'your-secret-key-change-this',
     resave: false,
     saveUninitialized: false,
@@ -76,7 +88,9 @@ app.use(session({
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production'
     }
-}));
+});
+app.use(sessionMiddleware);
+io.engine.use(sessionMiddleware);
 
 // Flash messages middleware
 app.use(flash());
@@ -94,60 +108,78 @@ app.use((req, res, next) => {
     next();
 });
 
+// Progress steps a driver can announce to their passengers (DriverTracking)
+const DRIVER_PROGRESS_STATUSES = ['not_started', 'on_way_to_pickup', 'arrived_at_pickup', 'ride_started', 'completed'];
+
 // Socket.IO setup for real-time features
 io.on('connection', (socket) => {
     console.log('👤 New client connected:', socket.id);
     
-    // Store userId from auth
-    if (socket.handshake.auth && socket.handshake.auth.userId) {
-        socket.userId = socket.handshake.auth.userId;
+    // The user comes from the session cookie, never from what the client claims
+    const session = socket.request.session;
+    if (session && session.userId) {
+        socket.userId = session.userId.toString();
         console.log('✅ User ID set for socket:', socket.userId);
     }
     
     // Join user's personal notification room
     socket.on('join-user', (userId) => {
-        socket.userId = userId; // Also set here as fallback
+        if (!socket.userId || String(userId) !== socket.userId) {
+            return;
+        }
         socket.join(`user-${userId}`);
         console.log(`✅ [Socket.IO] User joined personal room: user-${userId}`);
     });
     
     // Join admin room
-    socket.on('join-admin', () => {
+    socket.on('join-admin', async () => {
+        if (!await socketAccess.isAdmin(socket.userId).catch(() => false)) {
+            socket.emit('admin-joined', { success: false });
+            return;
+        }
         socket.join('admin-room');
         console.log(`🛡️ [Socket.IO] Admin joined admin room: ${socket.id}`);
         socket.emit('admin-joined', { success: true });
     });
     
-    // Generic join handler (for backward compatibility)
-    socket.on('join', (roomName) => {
-        socket.join(roomName);
-        console.log(`✅ [Socket.IO] User joined room: ${roomName}`);
-    });
-    
-    // Join room for specific ride/booking
-    socket.on('join-ride', (rideId) => {
+    // Join room for specific ride/booking (driver, its passengers or an admin)
+    socket.on('join-ride', async (data) => {
+        const rideId = data?.rideId || data;
+        if (!await socketAccess.canAccessRide(socket.userId, rideId).catch(() => false)) {
+            return;
+        }
         socket.join(`ride-${rideId}`);
         console.log(`User joined ride room: ride-${rideId}`);
     });
     
     // Join booking room
-    socket.on('join-booking', (bookingId) => {
+    socket.on('join-booking', async (bookingId) => {
+        if (!await socketAccess.canAccessBooking(socket.userId, bookingId).catch(() => false)) {
+            return;
+        }
         socket.join(`booking-${bookingId}`);
         console.log(`User joined booking room: booking-${bookingId}`);
     });
     
     // Join tracking room for real-time location updates
-    socket.on('join-tracking', (data) => {
-        const { bookingId, rideId } = data;
-        if (bookingId) {
+    socket.on('join-tracking', async (data) => {
+        const { bookingId, rideId } = data || {};
+        const [bookingAllowed, rideAllowed] = await Promise.all([
+            bookingId ? socketAccess.canAccessBooking(socket.userId, bookingId).catch(() => false) : false,
+            rideId ? socketAccess.canAccessRide(socket.userId, rideId).catch(() => false) : false
+        ]);
+        if (bookingAllowed) {
             socket.join(`tracking-${bookingId}`);
             console.log(`🗺️ [Tracking] User joined tracking room: tracking-${bookingId}`);
         }
-        if (rideId) {
+        if (rideAllowed) {
             socket.join(`ride-${rideId}`);
             console.log(`🗺️ [Tracking] User joined ride room: ride-${rideId}`);
         }
-        socket.emit('tracking-joined', { bookingId, rideId });
+        socket.emit('tracking-joined', {
+            bookingId: bookingAllowed ? bookingId : null,
+            rideId: rideAllowed ? rideId : null
+        });
     });
     
     // Leave tracking room
@@ -162,8 +194,22 @@ io.on('connection', (socket) => {
         }
     });
     
+    // Follow a shared trip link (no login, the token is checked instead)
+    socket.on('join-share', async (data) => {
+        const shared = await tripShares.findActiveShare(data?.token).catch(() => null);
+        if (!shared) {
+            socket.emit('share-ended', { reason: 'EXPIRED' });
+            return;
+        }
+        socket.join(`share-${shared.share._id}`);
+        socket.emit('share-joined', { expiresAt: shared.share.expiresAt });
+    });
+    
     // Join chat room
-    socket.on('join-chat', (chatId) => {
+    socket.on('join-chat', async (chatId) => {
+        if (!await socketAccess.findAccessibleChat(socket.userId, chatId).catch(() => null)) {
+            return;
+        }
         socket.join(`chat-${chatId}`);
         socket.emit('chat-joined', { chatId });
     });
@@ -175,109 +221,83 @@ io.on('connection', (socket) => {
     
     // Typing indicators for chat
     socket.on('typing-start', (data) => {
-        const { chatId } = data;
+        const { chatId } = data || {};
+        if (!socket.rooms.has(`chat-${chatId}`)) return;
         socket.to(`chat-${chatId}`).emit('user-typing', { chatId, userId: socket.userId });
     });
     
     socket.on('typing-stop', (data) => {
-        const { chatId } = data;
+        const { chatId } = data || {};
+        if (!socket.rooms.has(`chat-${chatId}`)) return;
         socket.to(`chat-${chatId}`).emit('user-stopped-typing', { chatId, userId: socket.userId });
     });
     
     // Mark chat messages as read
     socket.on('mark-read', (data) => {
-        const { chatId } = data;
+        const { chatId } = data || {};
+        if (!socket.rooms.has(`chat-${chatId}`)) return;
         socket.to(`chat-${chatId}`).emit('messages-read', { chatId });
     });
     
     // Location update during live tracking (DRIVER/RIDER sending location)
-    socket.on('location-update', (data) => {
-        const { rideId, bookingId, location, userId } = data;
-        
-        console.log(`📍 [Location Update] Ride: ${rideId}, User: ${userId}`, {
-            lat: location?.latitude,
-            lng: location?.longitude,
-            speed: location?.speed
-        });
-        
-        // Broadcast to all tracking this ride
-        if (rideId) {
-            io.to(`ride-${rideId}`).emit('location-update', {
-                location,
-                timestamp: new Date(),
-                userId
-            });
-            
-            // Also emit driver-location for backward compatibility
-            io.to(`ride-${rideId}`).emit('driver-location', {
-                location,
-                timestamp: new Date(),
-                userId
-            });
-        }
-        
-        // Also broadcast to specific booking rooms
-        if (bookingId) {
-            io.to(`tracking-${bookingId}`).emit('location-update', {
-                location,
-                timestamp: new Date(),
-                userId
-            });
+    const ingestLocation = async (data, ack) => {
+        const { rideId, location } = data || {};
+        try {
+            const result = await trackingIngestion.ingest({ rideId, userId: socket.userId, location, io });
+            if (typeof ack === 'function') ack({ success: true, geoFencing: result.geoFencing });
+        } catch (error) {
+            if (!error.statusCode) console.error('❌ [Location Update] Failed:', error);
+            const reply = { success: false, rideId, message: error.message };
+            if (typeof ack === 'function') ack(reply);
+            else socket.emit('location-error', reply);
         }
-    });
+    };
+    socket.on('location-update', ingestLocation);
     
     // Rider/Driver broadcasts location (alternative naming)
-    socket.on('rider-location', (data) => {
-        const { rideId, bookingId, location, userId } = data;
-        console.log(`🚗 [Rider Location] Broadcasting for ride: ${rideId}`);
-        
-        // Broadcast to all passengers tracking this ride
-        if (rideId) {
-            io.to(`ride-${rideId}`).emit('location-update', {
-                location,
-                timestamp: new Date(),
-                userId
-            });
-        }
-        
-        if (bookingId) {
-            io.to(`tracking-${bookingId}`).emit('location-update', {
-                location,
-                timestamp: new Date(),
-                userId
-            });
-        }
-    });
+    socket.on('rider-location', ingestLocation);
     
     // Ride status update (driver updating ride status)
-    socket.on('ride-status-update', (data) => {
-        const { rideId, status } = data;
-        console.log(`📊 [Ride Status] Updating ride ${rideId} to status: ${status}`);
+    socket.on('ride-status-update', async (data) => {
+        const { rideId, status } = data || {};
+        if (!DRIVER_PROGRESS_STATUSES.includes(status)) return;
+
+        const ride = await socketAccess.findDrivenRide(socket.userId, rideId).catch(() => null);
+        if (!ride) return;
+        console.log(`📊 [Ride Status] Updating ride ${ride._id} to status: ${status}`);
         
         // Broadcast to all passengers tracking this ride
-        if (rideId) {
-            io.to(`ride-${rideId}`).emit('ride-status-update', {
-                rideId,
-                status,
-                timestamp: new Date()
-            });
-        }
+        io.to(`ride-${ride._id}`).emit('ride-status-update', {
+            rideId: ride._id,
+            status,
+            updatedBy: socket.userId,
+            timestamp: new Date()
+        });
     });
     
-    // Chat message (legacy - now handled via API)
-    socket.on('send-message', (data) => {
-        const { bookingId, message, senderId } = data;
-        io.to(`booking-${bookingId}`).emit('new-message', {
-            message,
-            senderId,
+    // Chat message (legacy - now handled via API): re-announce the sender's
+    // latest stored message to the booking room
+    socket.on('send-message', async (data) => {
+        const chat = await socketAccess.findAccessibleChat(socket.userId, data?.chatId).catch(() => null);
+        if (!chat) return;
+
+        const stored = await Chat.findById(chat._id).select({ messages: { $slice: -20 } }).catch(() => null);
+        const message = stored?.messages.slice().reverse()
+            .find(m => m.sender.toString() === socket.userId && !m.deleted);
+        if (!message) return;
+
+        io.to(`booking-${chat.booking}`).emit('new-message', {
+            message: { _id: message._id, content: message.content, type: message.type, timestamp: message.timestamp },
+            senderId: socket.userId,
             timestamp: new Date()
         });
     });
     
-    // Typing indicator (legacy)
+    // Typing indicator (legacy) - only to rooms this socket was let into
     socket.on('typing', (data) => {
-        const { bookingId, userId } = data;
-        socket.to(`booking-${bookingId}`).emit('user-typing', { userId });
+        const { bookingId } = data || {};
+        if (!socket.rooms.has(`booking-${bookingId}`)) return;
+        socket.to(`booking-${bookingId}`).emit('user-typing', { userId: socket.userId });
     });
     
     socket.on('disconnect', () => {
@@ -389,11 +409,11 @@ server.listen(PORT, () => {
     const scheduledJobs = require('./utils/scheduledJobs');
     
     // Run immediately on startup
-    scheduledJobs.runAllJobs();
+    scheduledJobs.runAllJobs(io);
     
     // Run every 5 minutes
     setInterval(() => {
-        scheduledJobs.runAllJobs();
+        scheduledJobs.runAllJobs(io);
     }, 5 * 60 * 1000); // 5 minutes
     
     console.log('✅ [Scheduled Jobs] Started - running every 5 minutes');
@@ -9,6 +9,8 @@ const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const routeMatching = require('./routeMatching');
+const walletService = require('./wallet');
+const cancellationPolicy = require('./cancellationPolicy');
 const helpers = require('./helpers');
 
 class AutoReassignment {
@@ -88,6 +90,7 @@ class AutoReassignment {
                         bookingId: booking._id,
                         passengerId: booking.passenger,
                         newRideId: reassignmentResult.newRide._id,
+                        newBookingId: reassignmentResult.newBooking._id,
                         matchScore: reassignmentResult.matchScore
                     });
                 } else {
@@ -357,6 +360,9 @@ class AutoReassignment {
         });
         originalBooking.reassignment.attempts += 1;
 
+        // Money on the old booking goes back to the wallet; the new booking holds afresh
+        await walletService.settleCancelledBooking(originalBooking, { reason: 'Booking moved to another ride' });
+
         await originalBooking.save();
 
         // Calculate new price (use same or similar price)
@@ -405,6 +411,17 @@ class AutoReassignment {
 
         await newBooking.save();
 
+        if (newBooking.payment.method === 'WALLET') {
+            try {
+                await walletService.placeHold(passengerId, newBooking, newTotalPrice);
+            } catch (error) {
+                // Not enough balance for the new fare - fall back to paying the driver
+                newBooking.payment.method = 'CASH';
+                await newBooking.save();
+                console.log(`   ⚠️ Wallet hold failed for reassigned booking ${newBooking._id}: ${error.message}`);
+            }
+        }
+
         // Update new ride's available seats (atomic operation)
         await Ride.findByIdAndUpdate(
             newRide._id,
@@ -439,12 +456,7 @@ class AutoReassignment {
      * @returns {String} Estimated time string
      */
     calculateEstimatedTime(ride, routeIndex) {
-        const departureTime = new Date(ride.schedule.departureDateTime);
-        const totalDuration = ride.route.duration || 60; // minutes
-        const totalPoints = ride.route.geometry?.coordinates?.length || 2;
-        
-        const estimatedMinutes = (routeIndex / totalPoints) * totalDuration;
-        const estimatedTime = new Date(departureTime.getTime() + (estimatedMinutes * 60 * 1000));
+        const estimatedTime = routeMatching.estimateTimeAtIndex(ride, routeIndex);
         
         return estimatedTime.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
     }
@@ -566,24 +578,37 @@ class AutoReassignment {
 
         console.log(`   📧 Notifying no alternative found for passenger: ${passengerId}`);
 
+        // Passenger refund under the driver-cancellation rule
+        const quote = await cancellationPolicy.quoteBooking(booking, {
+            actor: 'DRIVER',
+            departure: cancelledRide.schedule?.departureDateTime
+        });
+
         // Update booking status
         booking.status = 'CANCELLED';
         booking.cancellation = {
             cancelled: true,
             cancelledBy: 'RIDER',
             cancelledAt: new Date(),
-            reason: 'Ride cancelled by rider - No alternative rides available'
+            reason: 'Ride cancelled by rider - No alternative rides available',
+            policy: { rule: quote.rule, refundPercent: quote.refundPercent, feeAmount: quote.feeAmount, penaltyAmount: quote.penaltyAmount }
         };
         
-        // Issue full refund if payment was made
-        if (booking.payment.status === 'PAID' || booking.payment.status === 'PAYMENT_CONFIRMED') {
+        // Refund if payment was made - to the wallet when the platform holds it
+        const settlement = await walletService.settleCancelledBooking(booking, {
+            refundAmount: quote.refundAmount,
+            reason: 'Ride cancelled by rider'
+        });
+        if (!settlement.refunded && quote.refundAmount > 0 &&
+            (booking.payment.status === 'PAID' || booking.payment.status === 'PAYMENT_CONFIRMED')) {
             booking.payment.refund = {
-                amount: booking.totalPrice,
+                amount: quote.refundAmount,
                 status: 'PENDING',
                 initiatedAt: new Date(),
                 reason: 'Ride cancelled by rider'
             };
         }
+        const refundText = quote.refundPercent >= 100 ? 'A full refund' : `A ${quote.refundPercent}% refund`;
         
         await booking.save();
 
@@ -592,11 +617,11 @@ class AutoReassignment {
             user: passengerId,
             type: 'RIDE_CANCELLED_NO_ALTERNATIVE',
             title: '❌ Ride Cancelled - No Alternative Found',
-            message: `Unfortunately, your ride was cancelled and we couldn't find an alternative ride at this time. A full refund has been initiated. We apologize for the inconvenience.`,
+            message: `Unfortunately, your ride was cancelled and we couldn't find an alternative ride at this time. ${refundText} has been initiated. We apologize for the inconvenience.`,
             data: {
                 bookingId: booking._id,
                 rideId: cancelledRide._id,
-                refundAmount: booking.totalPrice,
+                refundAmount: quote.refundAmount,
                 cancelledAt: new Date()
             },
             priority: 'HIGH',
@@ -611,9 +636,9 @@ class AutoReassignment {
                 booking: {
                     id: booking._id,
                     rideId: cancelledRide._id,
-                    refundAmount: booking.totalPrice
+                    refundAmount: quote.refundAmount
                 },
-                message: 'Your ride was cancelled. No alternative rides available. Full refund initiated.'
+                message: `Your ride was cancelled. No alternative rides available. ${refundText} initiated.`
             });
         }
 
@@ -0,0 +1,537 @@
+/**
+ * Booking Changes Utility
+ * Lets a passenger change seats, pickup/dropoff or co-passengers on an existing
+ * booking instead of cancelling and rebooking
+ *
+ * A request is checked against the ride's route and the rider's detour limit,
+ * extra seats are reserved straight away, and the new price is fixed when it is
+ * requested. It applies at once on auto-accept rides (and on bookings the rider
+ * has not accepted yet); otherwise it waits for the rider. Every request stays
+ * on booking.changeRequests as the booking's change history
+ */
+
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Transaction = require('../models/Transaction');
+const routeMatching = require('./routeMatching');
+const walletService = require('./wallet');
+const stopSequencer = require('./stopSequencer');
+const { handleSeatsReleased } = require('./waitlist');
+const { reserveSeats, releaseSeats } = require('./bookingRecords');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const MODIFIABLE_STATUSES = ['PENDING', 'CONFIRMED'];
+const SETTLED_PAYMENT_STATUSES = ['PAID', 'PAYMENT_CONFIRMED', 'REFUNDED'];
+const MAX_NAME_LENGTH = 60;
+
+class BookingChangeService {
+    /**
+     * The change request waiting for the rider, if any
+     */
+    getPending(booking) {
+        return (booking.changeRequests || []).find(change => change.status === 'PENDING') || null;
+    }
+
+    /**
+     * Parse a { address, coordinates: [lng, lat] } location (object or JSON string)
+     */
+    parsePoint(input, label) {
+        let point = input;
+        if (typeof point === 'string') {
+            try {
+                point = JSON.parse(point);
+            } catch (error) {
+                throw new Error(`Invalid ${label} location`);
+            }
+        }
+
+        const [lng, lat] = (point?.coordinates || []).map(Number);
+        if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+            throw new Error(`Invalid ${label} location`);
+        }
+
+        const address = String(point.address || '').trim();
+        return {
+            name: point.name || address.split(',')[0] || (label === 'pickup' ? 'Pickup' : 'Dropoff'),
+            address,
+            coordinates: [lng, lat]
+        };
+    }
+
+    /**
+     * Whether two stops are the same place
+     */
+    samePoint(a, b) {
+        if (!a?.coordinates?.length || !b?.coordinates?.length) return false;
+        return Math.abs(a.coordinates[0] - b.coordinates[0]) < 1e-6 &&
+            Math.abs(a.coordinates[1] - b.coordinates[1]) < 1e-6;
+    }
+
+    /**
+     * Validate the co-passenger list against the seats booked (the passenger takes one)
+     */
+    parseCoPassengers(list, seats) {
+        if (!Array.isArray(list)) throw new Error('Co-passengers must be a list');
+        if (list.length > seats - 1) {
+            throw new Error(`${seats} seat(s) leave room for ${seats - 1} co-passenger(s)`);
+        }
+
+        return list.map((person, index) => {
+            const name = String(person?.name || '').trim();
+            if (!name || name.length > MAX_NAME_LENGTH) {
+                throw new Error(`Co-passenger ${index + 1} needs a name`);
+            }
+            const age = person.age === undefined || person.age === '' || person.age === null ? undefined : Number(person.age);
+            if (age !== undefined && (!Number.isInteger(age) || age < 0 || age > 120)) {
+                throw new Error(`Co-passenger ${index + 1} has an invalid age`);
+            }
+            return { name, phone: person.phone ? String(person.phone).trim() : undefined, age };
+        });
+    }
+
+    /**
+     * Plain copies of booking stops / co-passengers for the change history
+     */
+    plainPoint(point) {
+        return { name: point.name, address: point.address, coordinates: [...point.coordinates] };
+    }
+
+    plainCoPassengers(list) {
+        return (list || []).map(({ name, phone, age }) => ({ name, phone, age }));
+    }
+
+    /**
+     * Work out a change without making it: route check, detour and new price
+     * @param {Object} booking - Booking document
+     * @param {Object} ride - Ride with rider populated (preferences)
+     * @param {Object} input - { seats, pickupLocation, dropoffLocation, coPassengers }
+     * @throws {Error} When the change is not possible, with a message fit for the passenger
+     * @returns {Object} { changes, previous, pricing, detour, seatsDelta }
+     */
+    async prepare(booking, ride, input = {}) {
+        if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+            throw new Error(`A ${booking.status.toLowerCase().replace('_', ' ')} booking cannot be changed`);
+        }
+        if (ride.status !== 'ACTIVE' || new Date(ride.schedule.departureDateTime) <= new Date()) {
+            throw new Error('This ride has already left or is no longer active');
+        }
+
+        const changes = {};
+
+        let seats = booking.seatsBooked;
+        if (input.seats !== undefined && input.seats !== null && input.seats !== '') {
+            seats = Number(input.seats);
+            if (!Number.isInteger(seats) || seats < 1 || seats > ride.pricing.totalSeats) {
+                throw new Error(`Seats must be between 1 and ${ride.pricing.totalSeats}`);
+            }
+            if (seats !== booking.seatsBooked) changes.seatsBooked = seats;
+        }
+
+        let pickup = booking.pickupPoint;
+        if (input.pickupLocation) {
+            const point = this.parsePoint(input.pickupLocation, 'pickup');
+            if (!this.samePoint(point, booking.pickupPoint)) changes.pickupPoint = pickup = point;
+        }
+        let dropoff = booking.dropoffPoint;
+        if (input.dropoffLocation) {
+            const point = this.parsePoint(input.dropoffLocation, 'dropoff');
+            if (!this.samePoint(point, booking.dropoffPoint)) changes.dropoffPoint = dropoff = point;
+        }
+
+        if (input.coPassengers !== undefined) {
+            changes.coPassengers = this.parseCoPassengers(input.coPassengers, seats);
+        } else if ((booking.coPassengers || []).length > seats - 1) {
+            throw new Error(`Remove co-passengers to fit ${seats} seat(s)`);
+        }
+
+        if (Object.keys(changes).length === 0) {
+            throw new Error('Nothing to change - the booking already has these details');
+        }
+
+        // New stops must still lie along the ride, in order, within the rider's detour limit
+        let detour = booking.detour?.toObject ? booking.detour.toObject() : booking.detour;
+        if (changes.pickupPoint || changes.dropoffPoint) {
+            const maxDetourKm = ride.rider?.preferences?.booking?.maxDetourKm;
+            const match = routeMatching.matchRoutes(
+                { pickup: pickup.coordinates, dropoff: dropoff.coordinates },
+                ride.route,
+                { maxDetourKm }
+            );
+            if (!match.isMatch) {
+                throw new Error(`The new pickup/drop-off does not fit this ride: ${match.reason}`);
+            }
+
+            detour = await routeMatching.calculateDetour(ride.route, pickup.coordinates, dropoff.coordinates);
+            if (typeof maxDetourKm === 'number' && detour.distance > maxDetourKm) {
+                throw new Error(`This pickup/drop-off needs a ${detour.distance} km detour; the rider accepts up to ${maxDetourKm} km`);
+            }
+        }
+
+        // Same per-seat price and commission; a promo keeps its amount (never more than the new total)
+        const rideFare = round(ride.pricing.pricePerSeat * seats);
+        const platformCommission = booking.payment.platformCommission;
+        const discount = round(Math.min(booking.payment.discount?.amount || 0, rideFare + platformCommission));
+        const totalAmount = round(rideFare + platformCommission - discount);
+        const pricing = {
+            rideFare,
+            platformCommission,
+            discount,
+            totalAmount,
+            difference: round(totalAmount - booking.totalPrice)
+        };
+
+        await this.assertPayable(booking, pricing.difference);
+
+        return {
+            changes,
+            previous: {
+                seatsBooked: booking.seatsBooked,
+                pickupPoint: this.plainPoint(booking.pickupPoint),
+                dropoffPoint: this.plainPoint(booking.dropoffPoint),
+                coPassengers: this.plainCoPassengers(booking.coPassengers),
+                totalPrice: booking.totalPrice
+            },
+            pricing,
+            detour: detour && { distance: detour.distance, duration: detour.duration, source: detour.source },
+            seatsDelta: seats - booking.seatsBooked
+        };
+    }
+
+    /**
+     * A price change needs an unsettled payment, and wallet bookings need the extra balance
+     */
+    async assertPayable(booking, difference) {
+        if (difference === 0) return;
+
+        if (SETTLED_PAYMENT_STATUSES.includes(booking.payment.status)) {
+            throw new Error('This booking is already paid, so its price cannot change. Keep the same number of seats or cancel and rebook');
+        }
+
+        if (booking.payment.method === 'WALLET' && difference > 0) {
+            const wallet = await walletService.getWallet(booking.passenger?._id || booking.passenger);
+            if (wallet.available < difference) {
+                throw new Error(`Insufficient wallet balance: ₹${wallet.available} available, ₹${difference} more needed`);
+            }
+        }
+    }
+
+    /**
+     * Whether a change applies without the rider's review
+     */
+    isAutoApproved(booking, ride) {
+        return ride.preferences?.autoAcceptBookings === true || booking.status === 'PENDING';
+    }
+
+    /**
+     * Short description of a change, e.g. "2 → 3 seats, new pickup"
+     */
+    describe(change) {
+        const parts = [];
+        const { changes, previous } = change;
+        if (changes.seatsBooked) parts.push(`${previous.seatsBooked} → ${changes.seatsBooked} seats`);
+        if (changes.pickupPoint?.coordinates?.length) parts.push(`pickup: ${changes.pickupPoint.name || changes.pickupPoint.address}`);
+        if (changes.dropoffPoint?.coordinates?.length) parts.push(`drop-off: ${changes.dropoffPoint.name || changes.dropoffPoint.address}`);
+        if (changes.coPassengers) parts.push('co-passengers updated');
+        return parts.join(', ');
+    }
+
+    /**
+     * Passenger asks for a change
+     * @param {Object} booking - Booking with ride populated (and ride.rider with preferences)
+     * @param {Object} input - { seats, pickupLocation, dropoffLocation, coPassengers, reason }
+     * @param {Object} options - { io }
+     * @returns {Object} { booking, change, applied }
+     */
+    async request(booking, input, { io } = {}) {
+        const ride = booking.ride;
+        if (this.getPending(booking)) {
+            throw new Error('You already have a change waiting for the rider. Withdraw it first');
+        }
+
+        const plan = await this.prepare(booking, ride, input);
+
+        // Hold extra seats now so an approval cannot fail for lack of them
+        const seatsHeld = Math.max(0, plan.seatsDelta);
+        if (seatsHeld > 0 && !await reserveSeats(ride._id, seatsHeld)) {
+            throw new Error('Not enough seats available for the extra seat(s)');
+        }
+
+        const updated = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                status: { $in: MODIFIABLE_STATUSES },
+                'changeRequests.status': { $ne: 'PENDING' }
+            },
+            {
+                $push: {
+                    changeRequests: {
+                        changes: plan.changes,
+                        previous: plan.previous,
+                        pricing: plan.pricing,
+                        detour: plan.detour,
+                        seatsHeld,
+                        reason: input.reason ? String(input.reason).trim().slice(0, 300) : undefined
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            if (seatsHeld > 0) await releaseSeats(ride._id, seatsHeld);
+            throw new Error('This booking changed in the meantime. Refresh and try again');
+        }
+
+        const change = updated.changeRequests[updated.changeRequests.length - 1];
+        console.log(`✏️ [Booking Changes] Change requested on booking ${booking._id}: ${this.describe(change)}`);
+
+        if (this.isAutoApproved(booking, ride)) {
+            const applied = await this.approve(booking._id, change._id, { status: 'AUTO_APPROVED', io });
+            return { ...applied, applied: true };
+        }
+
+        const passenger = await User.findById(updated.passenger).select('profile.firstName profile.lastName name');
+        await this.notify(updated.rider, {
+            type: 'BOOKING_CHANGE_REQUESTED',
+            title: 'Booking Change Requested',
+            message: `${User.getUserName(passenger)} wants to change their booking (${this.describe(change)})`,
+            booking: updated
+        }, io);
+
+        return { booking: updated, change, applied: false };
+    }
+
+    /**
+     * Apply a pending change (rider approval or auto-approval)
+     * @param {Object} options - { status: APPROVED | AUTO_APPROVED, respondedBy, message, io }
+     * @returns {Object} { booking, change }
+     */
+    async approve(bookingId, changeId, { status = 'APPROVED', respondedBy, message, io } = {}) {
+        const booking = await Booking.findOneAndUpdate(
+            {
+                _id: bookingId,
+                status: { $in: MODIFIABLE_STATUSES },
+                changeRequests: { $elemMatch: { _id: changeId, status: 'PENDING' } }
+            },
+            {
+                $set: {
+                    'changeRequests.$.status': status,
+                    'changeRequests.$.respondedAt': new Date(),
+                    ...(respondedBy && { 'changeRequests.$.respondedBy': respondedBy }),
+                    ...(message && { 'changeRequests.$.responseMessage': message })
+                }
+            },
+            { new: true }
+        );
+        if (!booking) throw new Error('This change request is no longer pending');
+
+        const change = booking.changeRequests.id(changeId);
+        const { changes, previous, pricing } = change;
+
+        // The payment may have moved on since the request
+        try {
+            await this.assertPayable(booking, pricing.difference);
+            if (booking.payment.method === 'WALLET') {
+                await walletService.resizeHold(booking, pricing.totalAmount);
+            }
+        } catch (error) {
+            await this.close(booking._id, changeId, 'REJECTED', { message: error.message, io, notify: false, claimed: true });
+            throw error;
+        }
+
+        if (changes.seatsBooked) booking.seatsBooked = changes.seatsBooked;
+        if (changes.pickupPoint?.coordinates?.length) booking.pickupPoint = this.plainPoint(changes.pickupPoint);
+        if (changes.dropoffPoint?.coordinates?.length) booking.dropoffPoint = this.plainPoint(changes.dropoffPoint);
+        if (changes.coPassengers) booking.coPassengers = this.plainCoPassengers(changes.coPassengers);
+        if (change.detour?.source) booking.detour = change.detour;
+
+        booking.totalPrice = pricing.totalAmount;
+        booking.payment.rideFare = pricing.rideFare;
+        booking.payment.totalAmount = pricing.totalAmount;
+        if (booking.payment.discount?.amount) booking.payment.discount.amount = pricing.discount;
+        // An open gateway order is for the old amount - the next checkout creates a new one
+        const staleOrder = pricing.difference !== 0 && Boolean(booking.payment.gatewayOrderId);
+        if (staleOrder) {
+            booking.payment.gatewayOrderId = undefined;
+            booking.payment.amount = undefined;
+        }
+        await booking.save();
+
+        // Fewer seats go back to the ride (extra seats were reserved with the request)
+        const seatsFreed = Math.max(0, previous.seatsBooked - booking.seatsBooked);
+        if (seatsFreed > 0) {
+            await releaseSeats(booking.ride, seatsFreed);
+            handleSeatsReleased(booking.ride, io);
+        }
+
+        await Transaction.findOneAndUpdate(
+            { booking: booking._id },
+            {
+                $set: {
+                    'amounts.passengerPaid': pricing.totalAmount,
+                    'amounts.rideFare': pricing.rideFare,
+                    'amounts.discount': pricing.discount,
+                    'amounts.total': pricing.totalAmount,
+                    'riderPayout.amount': pricing.rideFare,
+                    description: `Booking payment for ${booking.seatsBooked} seat(s)${booking.payment.discount?.code ? ` (promo ${booking.payment.discount.code})` : ''}`
+                },
+                ...(staleOrder && { $unset: { 'payment.gatewayOrderId': '' } })
+            }
+        );
+
+        // New stops change the driver's pickup/drop-off order
+        const stopsMoved = changes.pickupPoint?.coordinates?.length || changes.dropoffPoint?.coordinates?.length;
+        if (stopsMoved && booking.status === 'CONFIRMED') {
+            stopSequencer.sequenceRideStops(booking.ride, { io })
+                .catch(error => console.error('❌ [Booking Changes] Error sequencing stops:', error.message));
+        }
+
+        console.log(`✅ [Booking Changes] ${status} change on booking ${booking._id} (₹${previous.totalPrice} → ₹${pricing.totalAmount})`);
+
+        if (status === 'AUTO_APPROVED') {
+            if (booking.status === 'CONFIRMED') {
+                const passenger = await User.findById(booking.passenger).select('profile.firstName profile.lastName name');
+                await this.notify(booking.rider, {
+                    type: 'BOOKING_CHANGED',
+                    title: 'Booking Changed',
+                    message: `${User.getUserName(passenger)} changed their booking (${this.describe(change)})`,
+                    booking
+                }, io);
+            }
+        } else {
+            await this.notify(booking.passenger, {
+                type: 'BOOKING_CHANGED',
+                title: 'Booking Change Approved',
+                message: `Your booking change was approved (${this.describe(change)}). New total: ₹${pricing.totalAmount}`,
+                booking
+            }, io);
+        }
+
+        return { booking, change };
+    }
+
+    /**
+     * End a pending change without applying it and give back any seats it held
+     * @param {String} status - REJECTED | WITHDRAWN | EXPIRED
+     * @param {Object} options - { respondedBy, message, io, notify, claimed (status already set) }
+     * @returns {Object|null} { booking, change } or null when nothing was pending
+     */
+    async close(bookingId, changeId, status, { respondedBy, message, io, notify = true, claimed = false } = {}) {
+        const booking = await Booking.findOneAndUpdate(
+            {
+                _id: bookingId,
+                changeRequests: { $elemMatch: { _id: changeId, status: claimed ? { $in: ['APPROVED', 'AUTO_APPROVED'] } : 'PENDING' } }
+            },
+            {
+                $set: {
+                    'changeRequests.$.status': status,
+                    'changeRequests.$.respondedAt': new Date(),
+                    ...(respondedBy && { 'changeRequests.$.respondedBy': respondedBy }),
+                    ...(message && { 'changeRequests.$.responseMessage': message })
+                }
+            },
+            { new: true }
+        );
+        if (!booking) return null;
+
+        const change = booking.changeRequests.id(changeId);
+        if (change.seatsHeld > 0) {
+            await releaseSeats(booking.ride, change.seatsHeld);
+            handleSeatsReleased(booking.ride, io);
+        }
+
+        console.log(`↩️ [Booking Changes] Change on booking ${booking._id} ${status.toLowerCase()}`);
+
+        if (notify && status === 'REJECTED') {
+            await this.notify(booking.passenger, {
+                type: 'BOOKING_CHANGE_REJECTED',
+                title: 'Booking Change Declined',
+                message: `The rider declined your booking change${message ? `: ${message}` : ''}. Your original booking stands`,
+                booking
+            }, io);
+        } else if (notify && status === 'WITHDRAWN') {
+            await this.notify(booking.rider, {
+                type: 'BOOKING_CHANGED',
+                title: 'Booking Change Withdrawn',
+                message: 'A passenger withdrew their booking change request',
+                booking
+            }, io);
+        }
+
+        return { booking, change };
+    }
+
+    /**
+     * Expire the pending change of a booking that is no longer going ahead as is
+     */
+    async discardPending(booking, { io } = {}) {
+        const pending = this.getPending(booking);
+        if (!pending) return null;
+        return this.close(booking._id, pending._id, 'EXPIRED', { message: 'Booking no longer open to changes', io, notify: false });
+    }
+
+    /**
+     * Expire pending changes whose booking or ride moved on (scheduled job)
+     * @returns {Number} Changes expired
+     */
+    async expireStale() {
+        const bookings = await Booking.find({ 'changeRequests.status': 'PENDING' })
+            .populate('ride', 'status schedule.departureDateTime');
+
+        let expired = 0;
+        for (const booking of bookings) {
+            const ride = booking.ride;
+            const stale = !MODIFIABLE_STATUSES.includes(booking.status) || !ride || ride.status !== 'ACTIVE' ||
+                new Date(ride.schedule.departureDateTime) <= new Date();
+            if (!stale) continue;
+
+            const pending = this.getPending(booking);
+            const closed = await this.close(booking._id, pending._id, 'EXPIRED', {
+                message: 'The rider did not respond before the ride',
+                notify: false
+            });
+            if (closed) expired++;
+        }
+
+        if (expired > 0) {
+            console.log(`✅ [Booking Changes] Expired ${expired} pending booking changes`);
+        }
+        return expired;
+    }
+
+    /**
+     * In-app notification plus socket push
+     */
+    async notify(userId, { type, title, message, booking }, io) {
+        await Notification.create({
+            user: userId,
+            type,
+            title,
+            message,
+            data: {
+                bookingId: booking._id,
+                rideId: booking.ride?._id || booking.ride
+            }
+        });
+
+        if (io) {
+            io.to(`user-${userId}`).emit('notification', {
+                type,
+                title,
+                message,
+                bookingId: booking._id,
+                timestamp: new Date()
+            });
+            io.to(`user-${userId}`).emit('booking-changed', {
+                bookingId: booking._id.toString(),
+                type,
+                timestamp: new Date()
+            });
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new BookingChangeService();
@@ -0,0 +1,134 @@
+/**
+ * Booking Records Utility
+ * Seat reservation and booking + transaction creation shared by the
+ * automated booking flows (subscriptions, multi-leg itineraries)
+ */
+
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const Transaction = require('../models/Transaction');
+
+const PLATFORM_COMMISSION = 50; // Fixed ₹50 commission per booking (same as createBooking)
+
+/**
+ * Atomically reserve seats on an active ride
+ * @returns {Object|null} Updated ride, or null when not enough seats are left
+ */
+const reserveSeats = (rideId, seats) => {
+    return Ride.findOneAndUpdate(
+        {
+            _id: rideId,
+            status: 'ACTIVE',
+            'pricing.availableSeats': { $gte: seats }
+        },
+        {
+            $inc: { 'pricing.availableSeats': -seats }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Give reserved seats back to a ride (rollback)
+ */
+const releaseSeats = (rideId, seats) => {
+    return Ride.findByIdAndUpdate(rideId, {
+        $inc: { 'pricing.availableSeats': seats }
+    });
+};
+
+/**
+ * Create a booking, its payment transaction and link it to the ride
+ * Seats must already be reserved with reserveSeats()
+ * @param {Object} params
+ * @param {Object} params.ride - Ride document
+ * @param {String} params.passengerId
+ * @param {Object} params.pickupPoint - { name, address, coordinates, estimatedTime }
+ * @param {Object} params.dropoffPoint - { name, address, coordinates, estimatedTime }
+ * @param {Number} params.seats
+ * @param {String} params.paymentMethod
+ * @param {String} params.specialRequests
+ * @param {String} params.status - PENDING or CONFIRMED
+ * @param {String} params.description - Transaction description
+ * @param {Object} params.extra - Additional booking fields (e.g. subscription, itinerary)
+ * @returns {Object} Booking document
+ */
+const createBookingRecord = async ({
+    ride,
+    passengerId,
+    pickupPoint,
+    dropoffPoint,
+    seats,
+    paymentMethod = 'CASH',
+    specialRequests = '',
+    status = 'PENDING',
+    description,
+    extra = {}
+}) => {
+    const riderId = ride.rider._id || ride.rider;
+    const rideFare = ride.pricing.pricePerSeat * seats;
+    const totalAmount = rideFare + PLATFORM_COMMISSION;
+
+    const booking = await Booking.create({
+        passenger: passengerId,
+        rider: riderId,
+        ride: ride._id,
+        pickupPoint,
+        dropoffPoint,
+        seatsBooked: seats,
+        totalPrice: totalAmount,
+        specialRequests,
+        payment: {
+            method: paymentMethod,
+            rideFare: rideFare,
+            platformCommission: PLATFORM_COMMISSION,
+            totalAmount: totalAmount,
+            amount: totalAmount,
+            status: 'PENDING',
+            riderConfirmedPayment: false
+        },
+        status,
+        ...(status === 'CONFIRMED' && { riderResponse: { respondedAt: new Date(), responseTime: 0 } }),
+        ...extra
+    });
+
+    await Transaction.create({
+        type: 'BOOKING_PAYMENT',
+        booking: booking._id,
+        ride: ride._id,
+        passenger: passengerId,
+        rider: riderId,
+        amounts: {
+            passengerPaid: totalAmount,
+            rideFare: rideFare,
+            platformCommission: PLATFORM_COMMISSION,
+            total: totalAmount
+        },
+        payment: {
+            method: paymentMethod,
+            status: 'PENDING'
+        },
+        commission: {
+            collected: false,
+            pending: true
+        },
+        riderPayout: {
+            amount: rideFare,
+            settled: false
+        },
+        description: description || `Booking payment for ${seats} seat(s)`
+    });
+
+    await Ride.findByIdAndUpdate(ride._id, {
+        $push: { bookings: booking._id }
+    });
+
+    return booking;
+};
+
+module.exports = {
+    PLATFORM_COMMISSION,
+    reserveSeats,
+    releaseSeats,
+    createBookingRecord
+};
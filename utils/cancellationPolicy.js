@@ -0,0 +1,272 @@
+/**
+ * Cancellation Policy Utility
+ * Works out what a passenger gets back when a booking does not go ahead, from
+ * the policy admins edit in Settings (cancellationPolicy + booking.cancellationWindow
+ * / booking.cancellationFee):
+ * - passenger cancellations follow notice-based tiers, a late window and a fee
+ * - driver cancellations refund a fixed share and may charge the driver a penalty
+ * - no-shows refund their own share once the driver has waited long enough
+ * - pending requests, reassigned bookings and admin cancellations are exempt
+ */
+
+const Settings = require('../models/Settings');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_POLICY = {
+    passenger: {
+        tiers: [
+            { hoursBefore: 24, refundPercent: 100 },
+            { hoursBefore: 12, refundPercent: 75 },
+            { hoursBefore: 6, refundPercent: 50 },
+            { hoursBefore: 2, refundPercent: 25 }
+        ],
+        pendingFullRefund: true,
+        graceMinutes: 0,
+        lateWindowMinutes: 60,
+        feePercent: 0
+    },
+    driver: { refundPercent: 100, penaltyAmount: 0, penaltyWindowHours: 2 },
+    noShow: { waitMinutes: 10, refundPercent: 0 },
+    exemptions: { reassignedBookings: true, adminCancellations: true }
+};
+
+// Money the platform actually holds for the booking
+const COLLECTED_PAYMENT_STATUSES = ['PAID', 'PAYMENT_CONFIRMED'];
+
+class CancellationPolicy {
+    constructor() {
+        this.cached = null;
+        this.cachedAt = 0;
+    }
+
+    /**
+     * Current policy as a plain object (cached briefly - it is read on every cancellation)
+     */
+    async getPolicy() {
+        if (this.cached && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+            return this.cached;
+        }
+
+        const settings = await Settings.getSettings();
+        this.cached = this.fromSettings(settings);
+        this.cachedAt = Date.now();
+        return this.cached;
+    }
+
+    clearCache() {
+        this.cached = null;
+    }
+
+    fromSettings(settings) {
+        const stored = settings.toObject ? settings.toObject() : settings;
+        const policy = stored.cancellationPolicy || {};
+        const booking = stored.booking || {};
+
+        return {
+            passenger: {
+                ...DEFAULT_POLICY.passenger,
+                ...policy.passenger,
+                tiers: this.sortTiers(policy.passenger?.tiers || DEFAULT_POLICY.passenger.tiers),
+                lateWindowMinutes: booking.cancellationWindow ?? DEFAULT_POLICY.passenger.lateWindowMinutes,
+                feePercent: booking.cancellationFee ?? DEFAULT_POLICY.passenger.feePercent
+            },
+            driver: { ...DEFAULT_POLICY.driver, ...policy.driver },
+            noShow: { ...DEFAULT_POLICY.noShow, ...policy.noShow },
+            exemptions: { ...DEFAULT_POLICY.exemptions, ...policy.exemptions }
+        };
+    }
+
+    sortTiers(tiers) {
+        return tiers
+            .map(tier => ({ hoursBefore: tier.hoursBefore, refundPercent: tier.refundPercent }))
+            .sort((a, b) => b.hoursBefore - a.hoursBefore);
+    }
+
+    /**
+     * Check an admin's policy edit and merge it over the current policy
+     * @throws {Error} With a message fit for the admin
+     */
+    validate(input, current = DEFAULT_POLICY) {
+        const number = (value, label, { min = 0, max = Infinity } = {}) => {
+            const parsed = Number(value);
+            if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+                throw new Error(`${label} must be between ${min} and ${max === Infinity ? 'any amount' : max}`);
+            }
+            return parsed;
+        };
+        const percent = (value, label) => number(value, label, { max: 100 });
+        const pick = (section, field, parse) => (
+            input[section]?.[field] !== undefined ? parse(input[section][field]) : current[section][field]
+        );
+
+        let tiers = current.passenger.tiers;
+        if (input.passenger?.tiers !== undefined) {
+            if (!Array.isArray(input.passenger.tiers) || input.passenger.tiers.length > 10) {
+                throw new Error('Refund tiers must be a list of at most 10 tiers');
+            }
+            tiers = this.sortTiers(input.passenger.tiers.map((tier, i) => ({
+                hoursBefore: number(tier.hoursBefore, `Tier ${i + 1} hours`, { max: 720 }),
+                refundPercent: percent(tier.refundPercent, `Tier ${i + 1} refund`)
+            })));
+            const hours = tiers.map(t => t.hoursBefore);
+            if (new Set(hours).size !== hours.length) {
+                throw new Error('Two refund tiers cannot start at the same hour');
+            }
+        }
+
+        return {
+            passenger: {
+                tiers,
+                pendingFullRefund: pick('passenger', 'pendingFullRefund', Boolean),
+                graceMinutes: pick('passenger', 'graceMinutes', v => number(v, 'Grace period', { max: 1440 })),
+                lateWindowMinutes: pick('passenger', 'lateWindowMinutes', v => number(v, 'Late cancellation window', { max: 1440 })),
+                feePercent: pick('passenger', 'feePercent', v => percent(v, 'Cancellation fee'))
+            },
+            driver: {
+                refundPercent: pick('driver', 'refundPercent', v => percent(v, 'Driver cancellation refund')),
+                penaltyAmount: pick('driver', 'penaltyAmount', v => number(v, 'Driver penalty', { max: 10000 })),
+                penaltyWindowHours: pick('driver', 'penaltyWindowHours', v => number(v, 'Driver penalty window', { max: 168 }))
+            },
+            noShow: {
+                waitMinutes: pick('noShow', 'waitMinutes', v => number(v, 'No-show wait', { max: 180 })),
+                refundPercent: pick('noShow', 'refundPercent', v => percent(v, 'No-show refund'))
+            },
+            exemptions: {
+                reassignedBookings: pick('exemptions', 'reassignedBookings', Boolean),
+                adminCancellations: pick('exemptions', 'adminCancellations', Boolean)
+            }
+        };
+    }
+
+    /**
+     * Save an admin's policy edit
+     * @returns {Object} The new policy
+     */
+    async update(input, adminId) {
+        const settings = await Settings.getSettings();
+        const policy = this.validate(input || {}, this.fromSettings(settings));
+
+        const { lateWindowMinutes, feePercent, ...passenger } = policy.passenger;
+        settings.set('cancellationPolicy', {
+            passenger,
+            driver: policy.driver,
+            noShow: policy.noShow,
+            exemptions: policy.exemptions
+        });
+        settings.set('booking.cancellationWindow', lateWindowMinutes);
+        settings.set('booking.cancellationFee', feePercent);
+        settings.updatedBy = adminId;
+        settings.lastUpdated = new Date();
+        await settings.save();
+
+        this.clearCache();
+        console.log('⚙️ [Cancellation Policy] Policy updated');
+        return policy;
+    }
+
+    /**
+     * Refund for a booking under a policy (pure - see quoteBooking)
+     * @param {Object} booking - Booking with its ride populated (or pass departure)
+     * @param {Object} options - { actor: PASSENGER | DRIVER | ADMIN | SYSTEM, noShow, departure, at }
+     * @returns {Object} { rule, refundPercent, refundAmount, feeAmount, penaltyAmount,
+     *                     hoursBeforeDeparture, collected, description }
+     */
+    quote(booking, policy, { actor = 'PASSENGER', noShow = false, departure, at = new Date() } = {}) {
+        const total = booking.totalPrice || 0;
+        departure = departure || booking.ride?.schedule?.departureDateTime;
+        const hoursBefore = departure ? (new Date(departure) - at) / HOUR_MS : Infinity;
+
+        let rule;
+        let refundPercent;
+        let feePercent = 0;
+        let penaltyAmount = 0;
+        let tier = null;
+
+        if (actor === 'SYSTEM') {
+            rule = 'NOT_ACCEPTED';
+            refundPercent = 100;
+        } else if (actor === 'ADMIN' || actor === 'DRIVER') {
+            rule = actor === 'ADMIN' ? 'ADMIN_CANCELLED' : 'DRIVER_CANCELLED';
+            refundPercent = actor === 'ADMIN' && policy.exemptions.adminCancellations ? 100 : policy.driver.refundPercent;
+            if (actor === 'DRIVER' && booking.status !== 'PENDING' && hoursBefore < policy.driver.penaltyWindowHours) {
+                penaltyAmount = policy.driver.penaltyAmount;
+            }
+        } else if (noShow) {
+            rule = 'NO_SHOW';
+            refundPercent = policy.noShow.refundPercent;
+        } else if (booking.status === 'PENDING' && policy.passenger.pendingFullRefund) {
+            rule = 'NOT_ACCEPTED';
+            refundPercent = 100;
+        } else if (booking.reassignment?.isReassigned && policy.exemptions.reassignedBookings) {
+            rule = 'REASSIGNED';
+            refundPercent = 100;
+        } else if (policy.passenger.graceMinutes > 0 && booking.createdAt &&
+            at - new Date(booking.createdAt) <= policy.passenger.graceMinutes * 60 * 1000 && hoursBefore > 0) {
+            rule = 'GRACE_PERIOD';
+            refundPercent = 100;
+        } else if (hoursBefore * 60 < policy.passenger.lateWindowMinutes) {
+            rule = 'LATE_CANCELLATION';
+            refundPercent = 0;
+        } else {
+            tier = policy.passenger.tiers.find(t => hoursBefore > t.hoursBefore);
+            rule = tier ? 'NOTICE_TIER' : 'LATE_CANCELLATION';
+            refundPercent = tier ? tier.refundPercent : 0;
+            feePercent = tier ? policy.passenger.feePercent : 0;
+        }
+
+        const feeAmount = round(total * feePercent / 100);
+        const refundAmount = round(Math.max(total * refundPercent / 100 - feeAmount, 0));
+
+        return {
+            actor,
+            rule,
+            refundPercent,
+            refundAmount,
+            feeAmount,
+            penaltyAmount,
+            totalPaid: total,
+            hoursBeforeDeparture: Number.isFinite(hoursBefore) ? round(hoursBefore) : null,
+            // Cash bookings are paid on the ride, so nothing is refunded or kept
+            collected: COLLECTED_PAYMENT_STATUSES.includes(booking.payment?.status),
+            description: this.describe(rule, { refundPercent, feeAmount, hoursBefore, tier, policy })
+        };
+    }
+
+    /**
+     * Quote with the current policy
+     */
+    async quoteBooking(booking, options) {
+        return this.quote(booking, await this.getPolicy(), options);
+    }
+
+    describe(rule, { refundPercent, feeAmount, hoursBefore, tier, policy }) {
+        switch (rule) {
+            case 'NOT_ACCEPTED':
+                return 'Full refund - the booking was never confirmed';
+            case 'ADMIN_CANCELLED':
+                return `${refundPercent >= 100 ? 'Full' : `${refundPercent}%`} refund - cancelled by LANE Carpool support`;
+            case 'DRIVER_CANCELLED':
+                return `${refundPercent >= 100 ? 'Full' : `${refundPercent}%`} refund - the driver cancelled`;
+            case 'NO_SHOW':
+                return `${refundPercent}% refund for a missed pickup`;
+            case 'REASSIGNED':
+                return 'Full refund - you were moved to this ride after your original ride was cancelled';
+            case 'GRACE_PERIOD':
+                return `Full refund - cancelled within ${policy.passenger.graceMinutes} minutes of booking`;
+            case 'LATE_CANCELLATION':
+                return hoursBefore * 60 < policy.passenger.lateWindowMinutes
+                    ? `No refund within ${policy.passenger.lateWindowMinutes} minutes of departure`
+                    : 'No refund this close to departure';
+            default:
+                return `${refundPercent}% refund for cancelling more than ${tier.hoursBefore} hours before departure` +
+                    (feeAmount > 0 ? `, less a ₹${feeAmount} cancellation fee` : '');
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new CancellationPolicy();
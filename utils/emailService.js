@@ -511,6 +511,44 @@ class EmailService {
         }
     }
 
+    /**
+     * Send an email with a document attached (invoices, statements)
+     * ✅ RESPECTS EMAIL NOTIFICATION PREFERENCE - the document stays downloadable in the app
+     * @param {Object} attachment - { filename, content (Buffer), contentType }
+     */
+    static async sendDocumentEmail(email, subject, message, attachment) {
+        if (!await this.canSendEmailByAddress(email)) {
+            console.log(`📧 Email skipped (user preference): ${attachment.filename} to ${email}`);
+            return { skipped: true, reason: 'User disabled email notifications' };
+        }
+
+        const mailOptions = {
+            from: `"${process.env.APP_NAME}" <${process.env.EMAIL_FROM}>`,
+            to: email,
+            subject: subject,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    ${message}
+                    <p style="color: #555;">You can also download it any time from the app.</p>
+                    <hr style="margin: 30px 0;">
+                    <p style="color: #888; font-size: 12px;">
+                        ${process.env.APP_NAME} - Ride together, save together 🌍
+                    </p>
+                </div>
+            `,
+            attachments: [attachment]
+        };
+
+        try {
+            await transporter.sendMail(mailOptions);
+            console.log(`✅ Document email sent to ${email}: ${attachment.filename}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Error sending document email:', error);
+            return false;
+        }
+    }
+
     /**
      * Send password reset OTP email
      * ⚠️ PASSWORD RESET EMAILS ARE ALWAYS SENT (Security critical - no preference check)
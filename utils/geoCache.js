@@ -0,0 +1,191 @@
+/**
+ * Geo Cache Utility
+ * Two-tier cache for geoService: a small in-process map in front of the
+ * Mongo GeoCache collection, with hit/miss metrics per operation
+ */
+
+const mongoose = require('mongoose');
+const GeoCache = require('../models/GeoCache');
+
+const MEMORY_MAX_ENTRIES = 500;
+const QUERY_MAX_LENGTH = 200;
+
+/**
+ * In-memory response cache with TTL and a size cap (oldest entries evicted first)
+ */
+class MemoryCache {
+    constructor(maxEntries = MEMORY_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt < Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttlSeconds) {
+        return this.setUntil(key, value, Date.now() + ttlSeconds * 1000);
+    }
+
+    async setUntil(key, value, expiresAt) {
+        if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, { value, expiresAt });
+    }
+
+    async clear(prefix) {
+        if (!prefix) {
+            this.entries.clear();
+            return;
+        }
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) this.entries.delete(key);
+        }
+    }
+}
+
+class GeoCacheStore {
+    constructor() {
+        this.memory = new MemoryCache();
+        this.metrics = {};
+        this.since = new Date();
+    }
+
+    // Skip Mongo while disconnected instead of letting queries buffer
+    isPersistentAvailable() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    record(operation, outcome) {
+        if (!this.metrics[operation]) {
+            this.metrics[operation] = { memoryHits: 0, persistentHits: 0, misses: 0 };
+        }
+        this.metrics[operation][outcome]++;
+    }
+
+    /**
+     * @param {String} key
+     * @param {Object} meta - { operation }
+     * @returns {*} Cached value or undefined
+     */
+    async get(key, { operation } = {}) {
+        const value = await this.memory.get(key);
+        if (value !== undefined) {
+            this.record(operation, 'memoryHits');
+            return value;
+        }
+
+        if (this.isPersistentAvailable()) {
+            try {
+                const entry = await GeoCache.findOneAndUpdate(
+                    { key, expiresAt: { $gt: new Date() } },
+                    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+                    { new: true, projection: { value: 1, expiresAt: 1 } }
+                ).lean();
+
+                if (entry) {
+                    await this.memory.setUntil(key, entry.value, entry.expiresAt.getTime());
+                    this.record(operation, 'persistentHits');
+                    return entry.value;
+                }
+            } catch (error) {
+                console.error('⚠️ [GeoCache] Read failed:', error.message);
+            }
+        }
+
+        this.record(operation, 'misses');
+        return undefined;
+    }
+
+    /**
+     * @param {String} key
+     * @param {*} value
+     * @param {Number} ttlSeconds
+     * @param {Object} meta - { operation, provider, query }
+     */
+    async set(key, value, ttlSeconds, { operation, provider, query } = {}) {
+        await this.memory.set(key, value, ttlSeconds);
+        if (!this.isPersistentAvailable() || !operation) return;
+
+        try {
+            await GeoCache.updateOne(
+                { key },
+                {
+                    $set: {
+                        provider,
+                        operation,
+                        query: query?.slice(0, QUERY_MAX_LENGTH),
+                        value,
+                        expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            console.error('⚠️ [GeoCache] Write failed:', error.message);
+        }
+    }
+
+    /**
+     * Delete cached entries
+     * @param {Object} filter - { operation, provider, query } (query matches as a substring)
+     * @returns {Number} Persistent entries deleted
+     */
+    async purge({ operation, provider, query } = {}) {
+        const mongoFilter = {};
+        if (operation) mongoFilter.operation = operation;
+        if (provider) mongoFilter.provider = provider;
+        if (query) {
+            const escaped = query.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            mongoFilter.query = { $regex: escaped, $options: 'i' };
+        }
+
+        // Memory keys are hashed and can't be matched by query, so drop the affected tier wholesale
+        await this.memory.clear(provider && operation ? `${provider}:${operation}:` : undefined);
+
+        const result = await GeoCache.deleteMany(mongoFilter);
+        console.log(`🧹 [GeoCache] Purged ${result.deletedCount} entries`, mongoFilter);
+        return result.deletedCount;
+    }
+
+    /**
+     * Hit/miss counters since start-up plus stored entries per operation
+     */
+    async getMetrics() {
+        const operations = Object.entries(this.metrics).map(([operation, counts]) => {
+            const hits = counts.memoryHits + counts.persistentHits;
+            const total = hits + counts.misses;
+            return {
+                operation,
+                ...counts,
+                hitRate: total ? Math.round(hits / total * 100) : 0
+            };
+        });
+
+        const stored = this.isPersistentAvailable()
+            ? await GeoCache.aggregate([
+                { $match: { expiresAt: { $gt: new Date() } } },
+                { $group: { _id: '$operation', entries: { $sum: 1 }, hits: { $sum: '$hits' } } },
+                { $sort: { _id: 1 } }
+            ])
+            : [];
+
+        return {
+            since: this.since,
+            memoryEntries: this.memory.entries.size,
+            operations,
+            stored: stored.map(s => ({ operation: s._id, entries: s.entries, hits: s.hits }))
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new GeoCacheStore();
+module.exports.MemoryCache = MemoryCache;
@@ -99,7 +99,7 @@ class GeoFencing {
     /**
      * Check if vehicle is in a safe zone
      * @param {Object} location - { lat, lng }
-     * @param {Array} safeZones - Array of safe zone objects
+     * @param {Array} safeZones - Array of safe zone objects (center coordinates + radius, or a polygon ring)
      * @returns {Object} - { inSafeZone, zone, distance }
      */
     static checkSafeZones(location, safeZones = []) {
@@ -110,13 +110,23 @@ class GeoFencing {
         const point = turf.point([location.lng, location.lat]);
         
         for (const zone of safeZones) {
-            const zoneCenter = turf.point([zone.coordinates[0], zone.coordinates[1]]);
-            const distance = turf.distance(point, zoneCenter, { units: 'meters' });
+            let inside;
+            let distance;
+
+            if (zone.polygon) {
+                inside = turf.booleanPointInPolygon(point, turf.polygon([zone.polygon]));
+                distance = 0;
+            } else {
+                const zoneCenter = turf.point([zone.coordinates[0], zone.coordinates[1]]);
+                distance = turf.distance(point, zoneCenter, { units: 'meters' });
+                inside = distance <= zone.radius;
+            }
             
-            if (distance <= zone.radius) {
+            if (inside) {
                 return {
                     inSafeZone: true,
                     zone: zone.name,
+                    zoneId: zone._id || null,
                     distance: Math.round(distance),
                     zoneType: zone.type
                 };
@@ -155,6 +165,8 @@ class GeoFencing {
                 return {
                     inDangerZone: true,
                     zone: zone.name,
+                    zoneId: zone._id || null,
+                    category: zone.category || null,
                     riskLevel: zone.riskLevel || 'HIGH',
                     reason: zone.reason || 'High-risk area',
                     recommendations: zone.recommendations || []
@@ -359,14 +371,18 @@ class GeoFencing {
             try {
                 const polygon = turf.polygon([zone.coordinates || zone.polygon]);
                 const intersection = turf.lineIntersect(route, polygon);
+                // A route that starts inside the zone may never cross its edge
+                const startsInside = turf.booleanPointInPolygon(turf.point(routeGeometry[0]), polygon);
                 
-                if (intersection.features.length > 0) {
+                if (intersection.features.length > 0 || startsInside) {
                     risks.push({
                         zoneName: zone.name,
+                        zoneId: zone._id || null,
+                        category: zone.category || null,
                         riskLevel: zone.riskLevel || 'MEDIUM',
                         intersectionPoints: intersection.features.length,
                         recommendation: zone.recommendations || 'Exercise caution in this area',
-                        coordinates: intersection.features[0].geometry.coordinates
+                        coordinates: startsInside ? routeGeometry[0] : intersection.features[0].geometry.coordinates
                     });
                 }
             } catch (error) {
@@ -0,0 +1,129 @@
+/**
+ * Fixture Geo Provider
+ * Offline stand-in for Nominatim and OSRM: geocodes against a fixed list of
+ * places and routes along straight lines, so search/post flows run without network
+ */
+
+const fs = require('fs');
+const path = require('path');
+const helpers = require('../helpers');
+
+const ROAD_FACTOR = 1.25; // Straight line → road distance
+const SPEED_KMH = 40;
+const POINT_SPACING_KM = 0.5; // Polyline resolution
+const MAX_POINTS_PER_LEG = 200;
+const REVERSE_RADIUS_KM = 25;
+
+class FixtureProvider {
+    /**
+     * @param {Object} options - { places } array, or { fixturesPath } to a JSON file
+     *   (defaults to GEO_FIXTURES_PATH, then the bundled fixtures/places.json)
+     */
+    constructor(options = {}) {
+        this.name = 'fixture';
+        const fixturesPath = options.fixturesPath || process.env.GEO_FIXTURES_PATH || path.join(__dirname, 'fixtures', 'places.json');
+        this.places = options.places || JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    }
+
+    toPlace(place) {
+        return {
+            displayName: place.name,
+            address: { city: place.city, state: place.state, country: place.country || 'India' },
+            coordinates: place.coordinates,
+            city: place.city,
+            state: place.state,
+            country: place.country || 'India',
+            placeId: `fixture-${this.places.indexOf(place)}`
+        };
+    }
+
+    async geocode(query, { limit = 5 } = {}) {
+        const needle = query.trim().toLowerCase();
+        return this.places
+            .filter(place => place.name.toLowerCase().includes(needle) ||
+                (place.aliases || []).some(alias => alias.includes(needle) || needle.includes(alias)))
+            .slice(0, limit)
+            .map(place => this.toPlace(place));
+    }
+
+    async reverseGeocode(lat, lon) {
+        let closest = null;
+        let closestDistance = Infinity;
+        for (const place of this.places) {
+            const distance = helpers.calculateDistance(lat, lon, place.coordinates[1], place.coordinates[0]);
+            if (distance < closestDistance) {
+                closest = place;
+                closestDistance = distance;
+            }
+        }
+
+        if (closest && closestDistance <= REVERSE_RADIUS_KM) {
+            return { ...this.toPlace(closest), coordinates: [lon, lat] };
+        }
+        return {
+            displayName: `${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+            address: {},
+            coordinates: [lon, lat]
+        };
+    }
+
+    async autocomplete(query, { limit = 10 } = {}) {
+        return this.geocode(query, { limit });
+    }
+
+    /**
+     * Road distance (km) between two [lon, lat] points
+     */
+    legDistance(from, to) {
+        return helpers.calculateDistance(from[1], from[0], to[1], to[0]) * ROAD_FACTOR;
+    }
+
+    async route(coordinates) {
+        const line = [coordinates[0]];
+        const legs = [];
+
+        for (let i = 0; i < coordinates.length - 1; i++) {
+            const [from, to] = [coordinates[i], coordinates[i + 1]];
+            const distance = this.legDistance(from, to);
+            const steps = Math.min(MAX_POINTS_PER_LEG, Math.max(1, Math.ceil(distance / POINT_SPACING_KM)));
+
+            for (let s = 1; s <= steps; s++) {
+                line.push([
+                    from[0] + (to[0] - from[0]) * (s / steps),
+                    from[1] + (to[1] - from[1]) * (s / steps)
+                ]);
+            }
+            legs.push({ distance, duration: distance / SPEED_KMH * 60, steps: [] });
+        }
+
+        const distance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+        return [{
+            geometry: { type: 'LineString', coordinates: line },
+            distance,
+            duration: distance / SPEED_KMH * 60,
+            legs
+        }];
+    }
+
+    async table(coordinates, { sources, destinations } = {}) {
+        const from = sources || coordinates.map((_, i) => i);
+        const to = destinations || coordinates.map((_, i) => i);
+
+        const distances = from.map(i => to.map(j => this.legDistance(coordinates[i], coordinates[j]) * 1000));
+        return {
+            distances,
+            durations: distances.map(row => row.map(meters => (meters / 1000) / SPEED_KMH * 3600))
+        };
+    }
+
+    async nearest(coordinates) {
+        // Every point is treated as already on a road
+        return coordinates.map(coordinate => ({
+            coordinates: [coordinate[0], coordinate[1]],
+            distance: 0,
+            name: ''
+        }));
+    }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,78 @@
+/**
+ * Nominatim Geocoding Provider
+ * Geocode, reverse geocode and autocomplete against a Nominatim server
+ */
+
+const axios = require('axios');
+
+const USER_AGENT = 'LANE-Carpool-App/1.0';
+
+/**
+ * Normalise a Nominatim place into the provider result shape
+ */
+const toPlace = (place) => ({
+    displayName: place.display_name,
+    address: place.address,
+    coordinates: [parseFloat(place.lon), parseFloat(place.lat)],
+    city: place.address?.city || place.address?.town || place.address?.village,
+    state: place.address?.state,
+    country: place.address?.country,
+    placeId: place.place_id,
+    type: place.type
+});
+
+class NominatimProvider {
+    constructor(options = {}) {
+        this.name = 'nominatim';
+        this.baseUrl = options.baseUrl || process.env.NOMINATIM_API_URL || 'https://nominatim.openstreetmap.org';
+        this.countryCodes = options.countryCodes || 'in'; // India only
+        this.timeout = options.timeout || 10000;
+    }
+
+    async request(path, params) {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+            params,
+            headers: { 'User-Agent': USER_AGENT },
+            timeout: this.timeout
+        });
+        return response.data;
+    }
+
+    /**
+     * Search places by free text
+     * @returns {Array} places
+     */
+    async geocode(query, { limit = 5 } = {}) {
+        const places = await this.request('/search', {
+            q: query,
+            format: 'json',
+            limit,
+            countrycodes: this.countryCodes,
+            addressdetails: 1
+        });
+        return places.map(toPlace);
+    }
+
+    /**
+     * Address for a coordinate
+     * @returns {Object|null} place
+     */
+    async reverseGeocode(lat, lon) {
+        const place = await this.request('/reverse', {
+            lat,
+            lon,
+            format: 'json',
+            addressdetails: 1
+        });
+        return place && !place.error ? toPlace(place) : null;
+    }
+
+    /**
+     * Suggestions while typing (Nominatim has no dedicated endpoint)
+     */
+    async autocomplete(query, { limit = 10 } = {}) {
+        return this.geocode(query, { limit });
+    }
+}
+
+module.exports = NominatimProvider;
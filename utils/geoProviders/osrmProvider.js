@@ -0,0 +1,100 @@
+/**
+ * OSRM Routing Provider
+ * Route, table (distance matrix) and nearest (snap to road) against an OSRM server
+ */
+
+const axios = require('axios');
+
+class OsrmProvider {
+    constructor(options = {}) {
+        this.name = 'osrm';
+        this.baseUrl = options.baseUrl || process.env.OSRM_API_URL || 'https://router.project-osrm.org';
+        this.profile = options.profile || 'driving';
+        this.timeout = options.timeout || 15000;
+    }
+
+    async request(service, coordinates, params) {
+        const coordString = coordinates.map(c => `${c[0]},${c[1]}`).join(';');
+        const response = await axios.get(`${this.baseUrl}/${service}/v1/${this.profile}/${coordString}`, {
+            params,
+            timeout: this.timeout
+        });
+
+        if (response.data.code !== 'Ok') {
+            // NoRoute / InvalidQuery etc. will not succeed on retry
+            const error = new Error(`OSRM ${service} failed: ${response.data.code}`);
+            error.retryable = false;
+            throw error;
+        }
+        return response.data;
+    }
+
+    /**
+     * Driving routes through the coordinates
+     * @param {Array} coordinates - [[lon, lat], ...]
+     * @param {Object} options - { steps, alternatives, overview }
+     * @returns {Array} routes { geometry, distance km, duration min, legs }
+     */
+    async route(coordinates, { steps = false, alternatives = false, overview = 'full' } = {}) {
+        const data = await this.request('route', coordinates, {
+            overview,
+            geometries: 'geojson',
+            steps,
+            alternatives
+        });
+
+        return data.routes.map(route => ({
+            geometry: route.geometry,
+            distance: route.distance / 1000, // Convert to km
+            duration: route.duration / 60, // Convert to minutes
+            legs: route.legs.map(leg => ({
+                distance: leg.distance / 1000,
+                duration: leg.duration / 60,
+                steps: leg.steps ? leg.steps.map(step => ({
+                    instruction: step.maneuver?.instruction || '',
+                    distance: step.distance / 1000,
+                    duration: step.duration / 60
+                })) : []
+            }))
+        }));
+    }
+
+    /**
+     * Travel matrix between points
+     * @param {Array} coordinates - [[lon, lat], ...]
+     * @param {Object} options - { sources, destinations } index arrays (default: all)
+     * @returns {Object} { durations: seconds[][], distances: meters[][] }
+     */
+    async table(coordinates, { sources, destinations } = {}) {
+        const params = { annotations: 'duration,distance' };
+        if (sources) params.sources = sources.join(';');
+        if (destinations) params.destinations = destinations.join(';');
+
+        const data = await this.request('table', coordinates, params);
+        return {
+            durations: data.durations,
+            distances: data.distances
+        };
+    }
+
+    /**
+     * Snap each coordinate to the nearest road
+     * @returns {Array} { coordinates, distance meters, name }
+     */
+    async nearest(coordinates) {
+        // The nearest service takes a single coordinate per request
+        const snapped = [];
+        for (const coordinate of coordinates) {
+            const data = await this.request('nearest', [coordinate], { number: 1 });
+            const waypoint = data.waypoints[0];
+            snapped.push({
+                coordinates: [waypoint.location[0], waypoint.location[1]],
+                distance: waypoint.distance,
+                name: waypoint.name
+            });
+        }
+        return snapped;
+    }
+}
+
+module.exports = OsrmProvider;
@@ -0,0 +1,258 @@
+/**
+ * Geo Service
+ * Single entry point for geocoding and routing. Wraps the configured providers
+ * (Nominatim/OSRM, or the offline fixture provider) with response caching
+ * (memory + Mongo, see geoCache), retry with exponential backoff and a
+ * per-provider circuit breaker
+ *
+ * Providers are picked with GEOCODING_PROVIDER (nominatim | fixture) and
+ * ROUTING_PROVIDER (osrm | fixture); both default to fixture when NODE_ENV=test
+ */
+
+const crypto = require('crypto');
+const geoCache = require('./geoCache');
+const NominatimProvider = require('./geoProviders/nominatimProvider');
+const OsrmProvider = require('./geoProviders/osrmProvider');
+const FixtureProvider = require('./geoProviders/fixtureProvider');
+
+const GEOCODING_PROVIDERS = { nominatim: NominatimProvider, fixture: FixtureProvider };
+const ROUTING_PROVIDERS = { osrm: OsrmProvider, fixture: FixtureProvider };
+
+// Cache lifetimes per operation (seconds)
+const CACHE_TTL = {
+    geocode: 24 * 60 * 60,
+    reverseGeocode: 24 * 60 * 60,
+    autocomplete: 60 * 60,
+    route: 60 * 60,
+    table: 60 * 60,
+    nearest: 24 * 60 * 60
+};
+
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 300;
+const BREAKER_FAILURE_THRESHOLD = 5; // Consecutive failures before opening
+const BREAKER_RESET_MS = 30 * 1000; // Open time before a trial request
+
+const COORDINATE_PRECISION = 5; // ~1 m, so equivalent coordinates share a cache key
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Network errors, timeouts, 429 and 5xx are worth retrying; bad requests are not
+ */
+const isRetryable = (error) => {
+    if (error.retryable === false) return false;
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+};
+
+/**
+ * Normalise call arguments so equivalent requests share a cache entry:
+ * text is trimmed, lower-cased and whitespace-collapsed, numbers are rounded
+ */
+const normalizeArgs = (value) => {
+    if (typeof value === 'string') return value.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (typeof value === 'number') return Number(value.toFixed(COORDINATE_PRECISION));
+    if (Array.isArray(value)) return value.map(normalizeArgs);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((out, k) => {
+            if (value[k] !== undefined) out[k] = normalizeArgs(value[k]);
+            return out;
+        }, {});
+    }
+    return value;
+};
+
+/**
+ * Stops calling a provider that keeps failing, then lets one trial request
+ * through after BREAKER_RESET_MS (half-open)
+ */
+class CircuitBreaker {
+    constructor(name) {
+        this.name = name;
+        this.state = 'CLOSED';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    canRequest() {
+        if (this.state !== 'OPEN') return true;
+        if (Date.now() - this.openedAt >= BREAKER_RESET_MS) {
+            this.state = 'HALF_OPEN';
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'CLOSED') {
+            console.log(`✅ [GeoService] ${this.name} circuit closed`);
+        }
+        this.state = 'CLOSED';
+        this.failures = 0;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'HALF_OPEN' || this.failures >= BREAKER_FAILURE_THRESHOLD) {
+            if (this.state !== 'OPEN') {
+                console.warn(`⚡ [GeoService] ${this.name} circuit opened after ${this.failures} failures`);
+            }
+            this.state = 'OPEN';
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+class GeoService {
+    constructor() {
+        const defaultProvider = process.env.NODE_ENV === 'test' ? 'fixture' : null;
+        this.configure({
+            geocoder: process.env.GEOCODING_PROVIDER || defaultProvider || 'nominatim',
+            router: process.env.ROUTING_PROVIDER || defaultProvider || 'osrm'
+        });
+
+        console.log(`🗺️ [GeoService] Geocoding: ${this.geocoder.name}, Routing: ${this.router.name}`);
+    }
+
+    /**
+     * Swap providers or the cache (e.g. fixture providers in tests)
+     * @param {Object} options - { geocoder, router } provider names or instances, { cache }
+     */
+    configure({ geocoder, router, cache } = {}) {
+        const resolve = (provider, registry, kind) => {
+            if (typeof provider !== 'string') return provider;
+            const Provider = registry[provider];
+            if (!Provider) throw new Error(`Unknown ${kind} provider: ${provider}`);
+            return new Provider();
+        };
+
+        if (geocoder) this.geocoder = resolve(geocoder, GEOCODING_PROVIDERS, 'geocoding');
+        if (router) this.router = resolve(router, ROUTING_PROVIDERS, 'routing');
+        if (cache || !this.cache) this.cache = cache || geoCache;
+
+        this.breakers = {};
+        this.stats = { cacheHits: 0, cacheMisses: 0, retries: 0, failures: 0 };
+    }
+
+    getBreaker(provider) {
+        if (!this.breakers[provider.name]) {
+            this.breakers[provider.name] = new CircuitBreaker(provider.name);
+        }
+        return this.breakers[provider.name];
+    }
+
+    /**
+     * Call a provider method through cache → circuit breaker → retry
+     */
+    async call(provider, method, args) {
+        const query = JSON.stringify(normalizeArgs(args));
+        const hash = crypto.createHash('sha1').update(query).digest('hex');
+        const key = `${provider.name}:${method}:${hash}`;
+        const meta = { operation: method, provider: provider.name, query };
+
+        const cached = await this.cache.get(key, meta);
+        if (cached !== undefined) {
+            this.stats.cacheHits++;
+            return cached;
+        }
+        this.stats.cacheMisses++;
+
+        const breaker = this.getBreaker(provider);
+        if (!breaker.canRequest()) {
+            const error = new Error(`${provider.name} is temporarily unavailable`);
+            error.code = 'CIRCUIT_OPEN';
+            throw error;
+        }
+
+        let lastError;
+        for (let attempt = 1; attempt <= RETRY_ATTEMPTS; attempt++) {
+            try {
+                const result = await provider[method](...args);
+                breaker.recordSuccess();
+                await this.cache.set(key, result, CACHE_TTL[method], meta);
+                return result;
+            } catch (error) {
+                lastError = error;
+                if (!isRetryable(error)) {
+                    // The provider answered; the request itself was bad
+                    breaker.recordSuccess();
+                    throw error;
+                }
+                if (attempt < RETRY_ATTEMPTS) {
+                    this.stats.retries++;
+                    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 100;
+                    console.warn(`🔁 [GeoService] ${provider.name}.${method} failed (${error.message}), retry ${attempt} in ${Math.round(delay)}ms`);
+                    await sleep(delay);
+                }
+            }
+        }
+
+        this.stats.failures++;
+        breaker.recordFailure();
+        throw lastError;
+    }
+
+    /**
+     * Places matching an address or name
+     * @returns {Array} { displayName, address, coordinates, city, state, country, placeId }
+     */
+    geocode(query, options = {}) {
+        return this.call(this.geocoder, 'geocode', [query, options]);
+    }
+
+    /**
+     * Place at a coordinate
+     */
+    reverseGeocode(lat, lon) {
+        // Round to ~10m so nearby lookups share a cache entry
+        return this.call(this.geocoder, 'reverseGeocode', [Number(lat.toFixed(4)), Number(lon.toFixed(4))]);
+    }
+
+    /**
+     * Suggestions for a partially typed query
+     */
+    autocomplete(query, options = {}) {
+        return this.call(this.geocoder, 'autocomplete', [query.trim().toLowerCase().replace(/\s+/g, ' '), options]);
+    }
+
+    /**
+     * Driving routes through [lon, lat] coordinates
+     * @param {Object} options - { steps, alternatives, overview }
+     * @returns {Array} { geometry, distance km, duration min, legs }
+     */
+    route(coordinates, options = {}) {
+        return this.call(this.router, 'route', [coordinates, options]);
+    }
+
+    /**
+     * Travel matrix between [lon, lat] coordinates
+     * @param {Object} options - { sources, destinations } index arrays
+     * @returns {Object} { durations: seconds[][], distances: meters[][] }
+     */
+    table(coordinates, options = {}) {
+        return this.call(this.router, 'table', [coordinates, options]);
+    }
+
+    /**
+     * Snap [lon, lat] coordinates to the nearest road
+     */
+    nearest(coordinates) {
+        return this.call(this.router, 'nearest', [coordinates]);
+    }
+
+    /**
+     * Provider, breaker and cache counters for monitoring
+     */
+    getStatus() {
+        return {
+            geocoder: this.geocoder.name,
+            router: this.router.name,
+            breakers: Object.values(this.breakers).map(b => ({ provider: b.name, state: b.state, failures: b.failures })),
+            ...this.stats
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new GeoService();
@@ -0,0 +1,616 @@
+/**
+ * Invoice Utility
+ * Issues numbered tax invoices for completed bookings and monthly driver
+ * statements, renders them to PDF with Puppeteer and emails them out.
+ *
+ * Prices shown to passengers already include GST, so tax is backed out of each
+ * line rather than added on top. The ride fare is collected for the driver by
+ * LANE Carpool as the e-commerce operator; the platform fee is our own service.
+ */
+
+const puppeteer = require('puppeteer');
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Booking = require('../models/Booking');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const EmailService = require('./emailService');
+const payouts = require('./payouts');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const SAC_PASSENGER_TRANSPORT = '9964';
+const SAC_SUPPORT_SERVICES = '9985';
+
+const SERIES = {
+    TAX_INVOICE: 'INV',
+    DRIVER_STATEMENT: 'STM'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const money = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const day = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+const monthLabel = (date) => new Date(date).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+
+class InvoiceService {
+    constructor() {
+        const gstin = (process.env.COMPANY_GSTIN || '').toUpperCase();
+        this.supplier = {
+            name: 'LANE Carpool',
+            legalName: process.env.COMPANY_LEGAL_NAME || 'LANE Carpool',
+            gstin: gstin || undefined,
+            address: process.env.COMPANY_ADDRESS || '',
+            // The first two digits of a GSTIN are the state code
+            stateCode: gstin ? gstin.slice(0, 2) : (process.env.COMPANY_STATE_CODE || undefined),
+            email: process.env.EMAIL_FROM
+        };
+        this.rates = {
+            rideFare: parseFloat(process.env.GST_RATE_RIDE_FARE ?? 5),
+            platformFee: parseFloat(process.env.GST_RATE_PLATFORM_FEE ?? 18)
+        };
+        // Chromium is heavy - render one document at a time
+        this.renderQueue = Promise.resolve();
+        // Month whose statements have all gone out (skips the query on later runs)
+        this.statementsIssuedFor = null;
+    }
+
+    // ============================================
+    // NUMBERING
+    // ============================================
+
+    /**
+     * Indian financial year (April-March) of a date, e.g. "2026-27"
+     */
+    financialYear(date = new Date()) {
+        const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+        return `${start}-${String(start + 1).slice(-2)}`;
+    }
+
+    /**
+     * Next number in a series, e.g. INV/2627/000042 (GST allows at most 16 characters)
+     */
+    async nextNumber(type, date = new Date()) {
+        const fy = this.financialYear(date);
+        const seq = await InvoiceSequence.next(`${SERIES[type]}/${fy}`);
+        return { number: `${SERIES[type]}/${fy.replace('-', '').slice(2)}/${String(seq).padStart(6, '0')}`, financialYear: fy };
+    }
+
+    // ============================================
+    // TAX
+    // ============================================
+
+    /**
+     * Split a tax-inclusive amount into taxable value and CGST/SGST or IGST
+     */
+    taxLine(description, sac, amount, rate, interState) {
+        const tax = round(amount * rate / (100 + rate));
+        const cgst = interState ? 0 : round(tax / 2);
+        return {
+            description,
+            sac,
+            amount: round(amount),
+            taxableValue: round(amount - tax),
+            taxRate: rate,
+            cgst,
+            sgst: interState ? 0 : round(tax - cgst),
+            igst: interState ? tax : 0
+        };
+    }
+
+    /**
+     * Promo discount paid for by the platform - a negative, untaxed line
+     */
+    discountLine(code, amount) {
+        return {
+            description: `Promo discount${code ? ` (${code})` : ''} - funded by LANE Carpool`,
+            amount: -round(amount),
+            taxableValue: 0,
+            taxRate: 0,
+            cgst: 0,
+            sgst: 0,
+            igst: 0
+        };
+    }
+
+    sumLines(lines) {
+        const sum = (field) => round(lines.reduce((total, line) => total + line[field], 0));
+        const totals = {
+            taxableValue: sum('taxableValue'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            total: sum('amount')
+        };
+        totals.tax = round(totals.cgst + totals.sgst + totals.igst);
+        return totals;
+    }
+
+    party(user, extra = {}) {
+        const billing = user.billingDetails || {};
+        const address = user.profile?.address;
+        return {
+            name: User.getUserName(user),
+            legalName: billing.legalName,
+            gstin: billing.gstin,
+            address: billing.address || [address?.street, address?.city, address?.state, address?.zipCode].filter(Boolean).join(', '),
+            stateCode: billing.gstin ? billing.gstin.slice(0, 2) : undefined,
+            email: user.email,
+            phone: user.phone,
+            ...extra
+        };
+    }
+
+    // ============================================
+    // ISSUING
+    // ============================================
+
+    /**
+     * Tax invoice for a completed booking (issued once; later calls return it)
+     * @throws {Error} If the booking is missing or not completed
+     */
+    async issueForBooking(bookingId) {
+        const existing = await Invoice.findOne({ booking: bookingId, type: 'TAX_INVOICE' });
+        if (existing) return existing;
+
+        const booking = await Booking.findById(bookingId)
+            .populate('passenger', 'profile email phone billingDetails')
+            .populate({
+                path: 'ride',
+                select: 'rider route.start.name route.destination.name schedule.departureDateTime',
+                populate: { path: 'rider', select: 'profile email phone' }
+            });
+        if (!booking) throw new Error('Booking not found');
+        if (booking.status !== 'COMPLETED') throw new Error('An invoice is issued once the trip is completed');
+
+        const recipient = this.party(booking.passenger);
+        // Registered recipients are billed to their own state; otherwise we bill
+        // where we are registered
+        const interState = Boolean(recipient.stateCode && this.supplier.stateCode && recipient.stateCode !== this.supplier.stateCode);
+
+        const fare = booking.payment.rideFare || 0;
+        const commission = booking.payment.platformCommission || 0;
+        const discount = booking.payment.discount?.amount || 0;
+        const driverName = User.getUserName(booking.ride?.rider);
+        const from = booking.pickupPoint?.name || booking.ride?.route?.start?.name;
+        const to = booking.dropoffPoint?.name || booking.ride?.route?.destination?.name;
+
+        // Promo discounts are ours to fund (the ledger books them as an expense and
+        // the driver is paid the full fare), so they stay off the taxed lines
+        const lines = [
+            this.taxLine(
+                `Ride fare - ${booking.seatsBooked} seat(s), ${from} to ${to}, by ${driverName}`,
+                SAC_PASSENGER_TRANSPORT, fare, this.rates.rideFare, interState
+            ),
+            this.taxLine('Platform fee', SAC_SUPPORT_SERVICES, commission, this.rates.platformFee, interState),
+            this.discountLine(booking.payment.discount?.code, discount)
+        ].filter(line => line.amount !== 0);
+
+        const issuedAt = new Date();
+        const { number, financialYear } = await this.nextNumber('TAX_INVOICE', issuedAt);
+
+        try {
+            const invoice = await Invoice.create({
+                number,
+                type: 'TAX_INVOICE',
+                financialYear,
+                user: booking.passenger._id,
+                booking: booking._id,
+                ride: booking.ride?._id,
+                supplier: this.supplier,
+                recipient,
+                driver: this.party(booking.ride?.rider || {}, { email: undefined, phone: undefined }),
+                placeOfSupply: recipient.stateCode || this.supplier.stateCode,
+                interState,
+                trip: {
+                    from,
+                    to,
+                    departure: booking.ride?.schedule?.departureDateTime,
+                    completedAt: booking.journey?.completedAt || booking.updatedAt,
+                    seats: booking.seatsBooked,
+                    paymentMethod: booking.payment.method
+                },
+                lines,
+                discount: { code: booking.payment.discount?.code, amount: discount },
+                totals: this.sumLines(lines),
+                issuedAt
+            });
+            console.log(`🧾 [Invoices] ${invoice.number} issued for booking ${booking._id}`);
+            return invoice;
+        } catch (error) {
+            // Issued concurrently - the number we reserved is skipped
+            if (error.code === 11000) {
+                return Invoice.findOne({ booking: booking._id, type: 'TAX_INVOICE' });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Calendar month containing a date, in server time
+     */
+    monthRange(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), 1);
+        const end = new Date(date.getFullYear(), date.getMonth() + 1, 1, 0, 0, 0, -1);
+        return { start, end };
+    }
+
+    /**
+     * A driver's statement for a finished month (issued once)
+     * @param {Date} month - Any date in the month
+     * @returns {Object|null} The statement, or null if the driver had no trips
+     */
+    async issueStatement(riderId, month) {
+        const { start, end } = this.monthRange(month);
+        if (end > new Date()) throw new Error('Statements are issued after the month ends');
+
+        const existing = await Invoice.findOne({ user: riderId, type: 'DRIVER_STATEMENT', 'period.start': start });
+        if (existing) return existing;
+
+        const rider = await User.findById(riderId).select('profile email phone billingDetails role');
+        if (!rider) throw new Error('Driver not found');
+
+        const { trips } = await payouts.getStatement(riderId, { startDate: start, endDate: end });
+        if (trips.length === 0) return null;
+
+        const sum = (items, field) => round(items.reduce((total, item) => total + item[field], 0));
+        const platformTrips = trips.filter(t => t.collectedBy === 'PLATFORM');
+        const batches = await this.settledPayouts(riderId, start, end);
+
+        const { number, financialYear } = await this.nextNumber('DRIVER_STATEMENT', end);
+        try {
+            const statement = await Invoice.create({
+                number,
+                type: 'DRIVER_STATEMENT',
+                financialYear,
+                user: riderId,
+                period: { start, end },
+                supplier: this.supplier,
+                recipient: this.party(rider),
+                statement: {
+                    trips: trips.map(({ payout, transaction, ...trip }) => ({ ...trip, paidOut: payout.settled })),
+                    summary: {
+                        trips: trips.length,
+                        fares: sum(trips, 'fare'),
+                        earnings: sum(trips, 'earnings'),
+                        collectedInCash: sum(trips.filter(t => t.collectedBy === 'DRIVER'), 'earnings'),
+                        collectedByPlatform: sum(platformTrips, 'earnings'),
+                        paidOut: round(batches.reduce((total, b) => total + b.netAmount, 0))
+                    },
+                    payouts: batches
+                },
+                totals: { total: sum(trips, 'earnings') }
+            });
+            console.log(`🧾 [Invoices] Statement ${statement.number} issued for driver ${riderId} (${monthLabel(start)})`);
+            return statement;
+        } catch (error) {
+            if (error.code === 11000) {
+                return Invoice.findOne({ user: riderId, type: 'DRIVER_STATEMENT', 'period.start': start });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Payouts settled to a driver within a period
+     */
+    async settledPayouts(riderId, start, end) {
+        const PayoutBatch = require('../models/PayoutBatch');
+        const batches = await PayoutBatch.find({
+            status: 'SETTLED',
+            payouts: { $elemMatch: { rider: riderId, status: 'PAID', settledAt: { $gte: start, $lte: end } } }
+        }).lean();
+
+        return batches.map(batch => {
+            const line = batch.payouts.find(p => p.rider.toString() === riderId.toString());
+            return {
+                batch: batch.reference,
+                netAmount: line.netAmount,
+                method: line.destination?.method,
+                transactionId: line.transactionId,
+                settledAt: line.settledAt
+            };
+        });
+    }
+
+    /**
+     * Issue and email last month's statement to every driver who had trips in it
+     * Safe to call often: drivers who already have one are skipped
+     * @returns {Number} Statements issued
+     */
+    async issueMonthlyStatements() {
+        const lastMonth = new Date();
+        lastMonth.setDate(0); // last day of the previous month
+        const { start, end } = this.monthRange(lastMonth);
+        if (this.statementsIssuedFor === start.getTime()) return 0;
+
+        const riders = await Transaction.distinct('rider', {
+            type: 'BOOKING_PAYMENT',
+            'payment.status': { $in: ['COMPLETED', 'REFUNDED'] },
+            createdAt: { $gte: start, $lte: end }
+        });
+        const issued = await Invoice.distinct('user', { type: 'DRIVER_STATEMENT', 'period.start': start });
+        const issuedSet = new Set(issued.map(id => id.toString()));
+
+        let count = 0;
+        let failed = false;
+        for (const riderId of riders.filter(id => id && !issuedSet.has(id.toString()))) {
+            try {
+                const statement = await this.issueStatement(riderId, start);
+                if (!statement) continue;
+                count++;
+                await this.email(statement);
+            } catch (error) {
+                failed = true;
+                console.error(`❌ [Invoices] Statement failed for driver ${riderId}:`, error.message);
+            }
+        }
+        if (!failed) this.statementsIssuedFor = start.getTime();
+        return count;
+    }
+
+    // ============================================
+    // DELIVERY
+    // ============================================
+
+    filename(invoice) {
+        return `${invoice.number.replace(/\//g, '-')}.pdf`;
+    }
+
+    /**
+     * Email an issued document as a PDF attachment (once)
+     */
+    async email(invoice) {
+        if (invoice.emailedAt) return false;
+
+        const user = await User.findById(invoice.user).select('email profile');
+        if (!user?.email) return false;
+
+        const pdf = await this.renderPdf(invoice);
+        const isStatement = invoice.type === 'DRIVER_STATEMENT';
+        const subject = isStatement
+            ? `Your LANE Carpool earnings statement for ${monthLabel(invoice.period.start)}`
+            : `Your LANE Carpool invoice ${invoice.number}`;
+        const message = isStatement
+            ? `<p>Hi ${escapeHtml(user.profile?.firstName)},</p><p>Your earnings statement for ${monthLabel(invoice.period.start)} is attached: ${invoice.statement.summary.trips} trip(s), ${money(invoice.totals.total)} earned.</p>`
+            : `<p>Hi ${escapeHtml(user.profile?.firstName)},</p><p>Thanks for riding with LANE Carpool. Your invoice for the trip from ${escapeHtml(invoice.trip.from)} to ${escapeHtml(invoice.trip.to)} (${money(invoice.totals.total)}) is attached.</p>`;
+
+        const result = await EmailService.sendDocumentEmail(user.email, subject, message, {
+            filename: this.filename(invoice),
+            content: pdf,
+            contentType: 'application/pdf'
+        });
+        if (result === true) {
+            invoice.emailedAt = new Date();
+            await invoice.save();
+        }
+        return result === true;
+    }
+
+    /**
+     * Issue a completed booking's invoice and email it to the passenger
+     */
+    async sendBookingInvoice(bookingId) {
+        const invoice = await this.issueForBooking(bookingId);
+        await this.email(invoice);
+        return invoice;
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    /**
+     * Render a document to a PDF buffer
+     */
+    renderPdf(invoice) {
+        const html = invoice.type === 'DRIVER_STATEMENT' ? this.statementHtml(invoice) : this.invoiceHtml(invoice);
+        const job = this.renderQueue.then(() => this.htmlToPdf(html));
+        this.renderQueue = job.catch(() => {});
+        return job;
+    }
+
+    async htmlToPdf(html) {
+        const browser = await puppeteer.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+        });
+        try {
+            const page = await browser.newPage();
+            await page.setContent(html, { waitUntil: 'load' });
+            const pdf = await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                margin: { top: '16mm', bottom: '16mm', left: '14mm', right: '14mm' }
+            });
+            return Buffer.from(pdf);
+        } finally {
+            await browser.close();
+        }
+    }
+
+    partyHtml(title, party) {
+        if (!party?.name && !party?.legalName) return '';
+        return `
+            <div class="party">
+                <h4>${title}</h4>
+                <strong>${escapeHtml(party.legalName || party.name)}</strong>
+                ${party.legalName && party.name && party.legalName !== party.name ? `<div>${escapeHtml(party.name)}</div>` : ''}
+                ${party.address ? `<div>${escapeHtml(party.address)}</div>` : ''}
+                ${party.gstin ? `<div>GSTIN: ${escapeHtml(party.gstin)}</div>` : ''}
+                ${party.email ? `<div>${escapeHtml(party.email)}</div>` : ''}
+            </div>`;
+    }
+
+    documentHtml(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Helvetica', 'Arial', sans-serif; font-size: 10pt; color: #333; }
+        header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #10b981; padding-bottom: 12px; margin-bottom: 16px; }
+        header h1 { font-size: 20pt; color: #10b981; }
+        header h2 { font-size: 14pt; text-align: right; }
+        header .meta { text-align: right; color: #555; line-height: 1.6; }
+        .parties { display: flex; gap: 24px; margin-bottom: 16px; }
+        .party { flex: 1; line-height: 1.5; }
+        .party h4 { font-size: 8pt; text-transform: uppercase; color: #888; margin-bottom: 4px; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+        th { background: #ecfdf5; text-align: left; font-size: 8pt; text-transform: uppercase; color: #065f46; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+        td.num, th.num { text-align: right; white-space: nowrap; }
+        tr.total td { font-weight: bold; font-size: 11pt; border-top: 2px solid #10b981; }
+        .summary { display: flex; gap: 12px; margin-bottom: 16px; }
+        .summary div { flex: 1; background: #f9fafb; border-radius: 6px; padding: 8px; }
+        .summary strong { display: block; font-size: 12pt; }
+        .note { color: #666; font-size: 8pt; line-height: 1.5; margin-top: 8px; }
+        footer { margin-top: 24px; color: #888; font-size: 8pt; text-align: center; }
+    </style>
+</head>
+<body>
+${body}
+    <footer>${escapeHtml(this.supplier.legalName)} - Ride together, save together. This is a computer-generated document and needs no signature.</footer>
+</body>
+</html>`;
+    }
+
+    invoiceHtml(invoice) {
+        const title = invoice.supplier?.gstin ? 'Tax Invoice' : 'Receipt';
+        const taxColumns = invoice.interState
+            ? '<th class="num">IGST</th>'
+            : '<th class="num">CGST</th><th class="num">SGST</th>';
+        const rows = invoice.lines.map(line => line.amount < 0 ? `
+            <tr>
+                <td>${escapeHtml(line.description)}</td>
+                <td></td>
+                <td class="num">-</td>
+                <td class="num">-</td>
+                ${invoice.interState ? '<td class="num">-</td>' : '<td class="num">-</td><td class="num">-</td>'}
+                <td class="num">-${money(-line.amount)}</td>
+            </tr>` : `
+            <tr>
+                <td>${escapeHtml(line.description)}</td>
+                <td>${escapeHtml(line.sac)}</td>
+                <td class="num">${money(line.taxableValue)}</td>
+                <td class="num">${line.taxRate}%</td>
+                ${invoice.interState
+                    ? `<td class="num">${money(line.igst)}</td>`
+                    : `<td class="num">${money(line.cgst)}</td><td class="num">${money(line.sgst)}</td>`}
+                <td class="num">${money(line.amount)}</td>
+            </tr>`).join('');
+        const t = invoice.totals;
+
+        return this.documentHtml(`${title} ${invoice.number}`, `
+    <header>
+        <div><h1>LANE Carpool</h1></div>
+        <div>
+            <h2>${title}</h2>
+            <div class="meta">
+                No. <strong>${escapeHtml(invoice.number)}</strong><br>
+                Date: ${day(invoice.issuedAt)}<br>
+                ${invoice.placeOfSupply ? `Place of supply: ${escapeHtml(invoice.placeOfSupply)}<br>` : ''}
+                Booking: ${escapeHtml(String(invoice.booking).slice(-8).toUpperCase())}
+            </div>
+        </div>
+    </header>
+    <div class="parties">
+        ${this.partyHtml('From', invoice.supplier)}
+        ${this.partyHtml('Billed to', invoice.recipient)}
+    </div>
+    <table>
+        <tr><th>Trip</th><th>Date</th><th>Seats</th><th>Payment</th></tr>
+        <tr>
+            <td>${escapeHtml(invoice.trip.from)} &rarr; ${escapeHtml(invoice.trip.to)}</td>
+            <td>${day(invoice.trip.departure)}</td>
+            <td>${invoice.trip.seats}</td>
+            <td>${escapeHtml(invoice.trip.paymentMethod)}</td>
+        </tr>
+    </table>
+    <table>
+        <tr><th>Description</th><th>SAC</th><th class="num">Taxable value</th><th class="num">Rate</th>${taxColumns}<th class="num">Amount</th></tr>
+        ${rows}
+        <tr class="total">
+            <td colspan="2">Total</td>
+            <td class="num">${money(t.taxableValue)}</td>
+            <td></td>
+            ${invoice.interState ? `<td class="num">${money(t.igst)}</td>` : `<td class="num">${money(t.cgst)}</td><td class="num">${money(t.sgst)}</td>`}
+            <td class="num">${money(t.total)}</td>
+        </tr>
+    </table>
+    ${invoice.discount?.amount > 0 ? `<p class="note">The ${money(invoice.discount.amount)} discount from promo code ${escapeHtml(invoice.discount.code)} is paid by LANE Carpool; the driver receives the full fare.</p>` : ''}
+    <p class="note">
+        Prices include GST. The ride fare is collected on behalf of the driver, ${escapeHtml(invoice.driver?.name)},
+        by LANE Carpool as the e-commerce operator under section 9(5) of the CGST Act.
+    </p>`);
+    }
+
+    statementHtml(statement) {
+        const { trips, summary, payouts: settled } = statement.statement;
+        const rows = trips.map(trip => `
+            <tr>
+                <td>${day(trip.date)}</td>
+                <td>${escapeHtml(trip.from)} &rarr; ${escapeHtml(trip.to)}</td>
+                <td>${escapeHtml(trip.passenger)}</td>
+                <td>${escapeHtml(trip.paymentMethod)}</td>
+                <td class="num">${money(trip.fare)}</td>
+                <td class="num">${money(trip.earnings)}</td>
+                <td>${trip.collectedBy === 'DRIVER' ? 'Collected in cash' : (trip.paidOut ? 'Paid out' : 'Awaiting payout')}</td>
+            </tr>`).join('');
+        const payoutRows = (settled || []).map(payout => `
+            <tr>
+                <td>${day(payout.settledAt)}</td>
+                <td>${escapeHtml(payout.batch)}</td>
+                <td>${escapeHtml(payout.method)}</td>
+                <td>${escapeHtml(payout.transactionId)}</td>
+                <td class="num">${money(payout.netAmount)}</td>
+            </tr>`).join('');
+
+        return this.documentHtml(`Earnings statement ${statement.number}`, `
+    <header>
+        <div><h1>LANE Carpool</h1></div>
+        <div>
+            <h2>Earnings Statement</h2>
+            <div class="meta">
+                No. <strong>${escapeHtml(statement.number)}</strong><br>
+                Period: ${day(statement.period.start)} - ${day(statement.period.end)}<br>
+                Issued: ${day(statement.issuedAt)}
+            </div>
+        </div>
+    </header>
+    <div class="parties">
+        ${this.partyHtml('From', statement.supplier)}
+        ${this.partyHtml('Driver', statement.recipient)}
+    </div>
+    <div class="summary">
+        <div>Trips<strong>${summary.trips}</strong></div>
+        <div>Earnings<strong>${money(summary.earnings)}</strong></div>
+        <div>Collected in cash<strong>${money(summary.collectedInCash)}</strong></div>
+        <div>Collected by LANE<strong>${money(summary.collectedByPlatform)}</strong></div>
+        <div>Paid out this month<strong>${money(summary.paidOut)}</strong></div>
+    </div>
+    <table>
+        <tr><th>Date</th><th>Trip</th><th>Passenger</th><th>Payment</th><th class="num">Fare</th><th class="num">Earnings</th><th>Status</th></tr>
+        ${rows}
+        <tr class="total"><td colspan="4">Total</td><td class="num">${money(summary.fares)}</td><td class="num">${money(summary.earnings)}</td><td></td></tr>
+    </table>
+    ${payoutRows ? `
+    <table>
+        <tr><th>Settled</th><th>Batch</th><th>Method</th><th>Reference</th><th class="num">Amount</th></tr>
+        ${payoutRows}
+    </table>` : ''}
+    <p class="note">
+        Earnings are the ride fares passengers paid for your seats, less any refunds. The platform fee is charged to
+        passengers and is not deducted from your earnings. Cash commission dues are netted against payouts.
+    </p>`);
+    }
+}
+
+// Export singleton instance
+module.exports = new InvoiceService();
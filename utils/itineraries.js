@@ -0,0 +1,207 @@
+/**
+ * Itinerary Utility
+ * Keeps the legs of a multi-leg trip consistent: checks that legs still
+ * connect and cascades cancellations/reassignments from one leg to the others
+ */
+
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const Itinerary = require('../models/Itinerary');
+const Notification = require('../models/Notification');
+const routeMatching = require('./routeMatching');
+const { releaseSeats } = require('./bookingRecords');
+const { handleSeatsReleased } = require('./waitlist');
+
+/**
+ * Check that leg 2 can still be caught after leg 1
+ * @param {Object} firstRide - Ride of the earlier leg
+ * @param {Array} firstDropoff - [lon, lat] where the passenger leaves leg 1
+ * @param {Object} secondRide - Ride of the later leg
+ * @param {Array} secondPickup - [lon, lat] where the passenger joins leg 2
+ * @param {Object} transfer - Itinerary transfer constraints
+ * @returns {Object} { connects, layoverMinutes }
+ */
+const checkConnection = (firstRide, firstDropoff, secondRide, secondPickup, transfer) => {
+    const firstCoords = firstRide.route?.geometry?.coordinates;
+    const secondCoords = secondRide.route?.geometry?.coordinates;
+    if (!firstCoords || firstCoords.length < 2 || !secondCoords || secondCoords.length < 2) {
+        return { connects: false };
+    }
+
+    const firstIndex = routeMatching.isPointOnRoute(firstDropoff, firstCoords).closestIndex;
+    const secondIndex = routeMatching.isPointOnRoute(secondPickup, secondCoords).closestIndex;
+    const arrival = routeMatching.estimateTimeAtIndex(firstRide, firstIndex);
+    const departure = routeMatching.estimateTimeAtIndex(secondRide, secondIndex);
+    const layoverMinutes = Math.round((departure - arrival) / (60 * 1000));
+
+    const minLayover = (transfer.minLayoverMinutes ?? routeMatching.MIN_LAYOVER_MINUTES) + (transfer.walkingMinutes || 0);
+    const maxLayover = transfer.maxLayoverMinutes ?? routeMatching.MAX_LAYOVER_MINUTES;
+
+    return {
+        connects: layoverMinutes >= minLayover && layoverMinutes <= maxLayover,
+        layoverMinutes
+    };
+};
+
+/**
+ * Cancel one leg booking because another leg of its itinerary fell through
+ */
+const cancelLegBooking = async (bookingId, reason, io) => {
+    const booking = await Booking.findOneAndUpdate(
+        { _id: bookingId, status: { $in: ['PENDING', 'CONFIRMED'] } },
+        {
+            $set: {
+                status: 'CANCELLED',
+                'cancellation.cancelled': true,
+                'cancellation.cancelledBy': 'PASSENGER',
+                'cancellation.cancelledAt': new Date(),
+                'cancellation.reason': reason
+            }
+        },
+        { new: true }
+    );
+    if (!booking) return null;
+
+    await releaseSeats(booking.ride, booking.seatsBooked);
+    await handleSeatsReleased(booking.ride, io);
+
+    await Notification.create({
+        user: booking.rider,
+        type: 'BOOKING_CANCELLED',
+        title: 'Booking Cancelled',
+        message: `A passenger's booking was cancelled: ${reason}`,
+        data: {
+            bookingId: booking._id,
+            rideId: booking.ride
+        }
+    });
+
+    if (io) {
+        io.to(`user-${booking.rider}`).emit('booking-cancelled', {
+            bookingId: booking._id.toString(),
+            rideId: booking.ride.toString(),
+            status: 'CANCELLED',
+            cancelledBy: 'PASSENGER'
+        });
+    }
+
+    return booking;
+};
+
+/**
+ * Notify the passenger about a change to their itinerary
+ */
+const notifyPassenger = async (itinerary, { type, title, message }, io) => {
+    await Notification.create({
+        user: itinerary.passenger,
+        type,
+        title,
+        message,
+        data: {
+            bookingId: itinerary.legs[0]?.booking,
+            url: '/bookings'
+        },
+        priority: 'HIGH'
+    });
+
+    if (io) {
+        io.to(`user-${itinerary.passenger}`).emit('notification', {
+            type,
+            title,
+            message,
+            timestamp: new Date()
+        });
+    }
+};
+
+/**
+ * React to a leg booking being cancelled, rejected or expired
+ * - If the leg was reassigned and the new ride still connects, swap it in
+ * - Otherwise cancel the remaining legs and the itinerary
+ * @param {Object} booking - The leg booking that is no longer valid
+ * @param {Object} options - { io, replacementBookingId, reason, notify }
+ *   notify: false when the passenger cancelled the leg themselves
+ * @returns {String|null} 'REASSIGNED' | 'CANCELLED' | null when nothing to do
+ */
+const handleLegCancelled = async (booking, { io, replacementBookingId, reason, notify = true } = {}) => {
+    if (!booking.itinerary) return null;
+
+    const itinerary = await Itinerary.findById(booking.itinerary);
+    if (!itinerary || itinerary.status !== 'ACTIVE') return null;
+
+    const leg = itinerary.legs.find(l => l.booking?.toString() === booking._id.toString());
+    if (!leg) return null;
+
+    // Try to keep the trip with the reassigned ride
+    if (replacementBookingId) {
+        const replacement = await Booking.findById(replacementBookingId);
+        const newRide = replacement && await Ride.findById(replacement.ride);
+
+        if (newRide) {
+            const others = await Promise.all(itinerary.legs.map(l => (l === leg ? newRide : Ride.findById(l.ride))));
+            const connects = itinerary.legs.every((l, i) => {
+                if (i === 0) return true;
+                const prev = itinerary.legs[i - 1];
+                return checkConnection(others[i - 1], prev.dropoffPoint.coordinates, others[i], l.pickupPoint.coordinates, itinerary.transfer).connects;
+            });
+
+            if (connects) {
+                itinerary.history.push({ action: 'LEG_REASSIGNED', legOrder: leg.order, fromRide: leg.ride, toRide: newRide._id, reason: reason || 'Ride cancelled by rider' });
+                leg.ride = newRide._id;
+                leg.booking = replacement._id;
+                leg.rider = newRide.rider;
+                await itinerary.save();
+
+                replacement.itinerary = itinerary._id;
+                replacement.itineraryLeg = leg.order;
+                await replacement.save();
+
+                await notifyPassenger(itinerary, {
+                    type: 'BOOKING_REASSIGNED',
+                    title: 'Connecting Trip Updated',
+                    message: `Leg ${leg.order} of your trip was moved to another ride that still makes the connection.`
+                }, io);
+
+                console.log(`🔁 [Itinerary] Leg ${leg.order} of ${itinerary._id} reassigned to ride ${newRide._id}`);
+                return 'REASSIGNED';
+            }
+
+            // The replacement misses the connection - it is useless on its own
+            await cancelLegBooking(replacement._id, 'Replacement ride misses the connection', io);
+        }
+    }
+
+    const cascadeReason = `Leg ${leg.order} of this connecting trip was cancelled`;
+    for (const other of itinerary.legs) {
+        if (other === leg || !other.booking) continue;
+        const cancelled = await cancelLegBooking(other.booking, cascadeReason, io);
+        if (cancelled) {
+            itinerary.history.push({ action: 'LEG_CANCELLED', legOrder: other.order, fromRide: other.ride, reason: cascadeReason });
+        }
+    }
+
+    itinerary.status = 'CANCELLED';
+    itinerary.cancellation = {
+        cancelledAt: new Date(),
+        reason: reason || cascadeReason
+    };
+    itinerary.history.push({ action: 'CANCELLED', legOrder: leg.order, fromRide: leg.ride, reason: reason || cascadeReason });
+    await itinerary.save();
+
+    if (notify) {
+        await notifyPassenger(itinerary, {
+            type: 'BOOKING_CANCELLED',
+            title: 'Connecting Trip Cancelled',
+            message: `Leg ${leg.order} of your trip is no longer available, so the other leg was cancelled too. Please search again.`
+        }, io);
+    }
+
+    console.log(`🚫 [Itinerary] ${itinerary._id} cancelled after leg ${leg.order} fell through`);
+    return 'CANCELLED';
+};
+
+module.exports = {
+    checkConnection,
+    cancelLegBooking,
+    handleLegCancelled
+};
@@ -0,0 +1,553 @@
+/**
+ * Ledger Utility
+ * Double-entry bookkeeping for passenger, driver and platform money.
+ * Every movement is an immutable journal entry (LedgerEntry) whose debits equal
+ * its credits; each LedgerAccount keeps a running balance
+ *
+ * The flat Transaction records stay as they are - reconcile() checks the two
+ * against Transaction.getFinancialSummary
+ */
+
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerEntry = require('../models/LedgerEntry');
+const Transaction = require('../models/Transaction');
+
+const { ACCOUNT_TYPES } = LedgerAccount;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const MAX_DISCREPANCIES = 50;
+
+class Ledger {
+    /**
+     * Account key for a type and (for per-user accounts) its owner
+     */
+    accountKey(type, owner) {
+        if (!ACCOUNT_TYPES[type]) throw new Error(`Unknown ledger account type: ${type}`);
+        if (!ACCOUNT_TYPES[type].perUser) return type;
+        if (!owner) throw new Error(`${type} account needs an owner`);
+        return `${type}:${owner._id || owner}`;
+    }
+
+    /**
+     * Post a balanced journal entry and move the account balances
+     * @param {Object} params
+     * @param {String} params.type - LedgerEntry type
+     * @param {String} params.idempotencyKey - Re-posting the same key returns the original entry
+     * @param {Array} params.lines - { type, owner, debit, credit, memo }
+     * @returns {Object} The LedgerEntry
+     */
+    async post({ type, idempotencyKey, lines, booking, ride, transaction, reverses, description, reference, postedBy }) {
+        const existing = await LedgerEntry.findOne({ idempotencyKey });
+        if (existing) return existing;
+
+        const prepared = lines
+            .map(line => ({
+                account: this.accountKey(line.type, line.owner),
+                accountType: line.type,
+                owner: ACCOUNT_TYPES[line.type].perUser ? (line.owner._id || line.owner) : undefined,
+                debit: round(line.debit || 0),
+                credit: round(line.credit || 0),
+                memo: line.memo
+            }))
+            .filter(line => line.debit > 0 || line.credit > 0);
+
+        const debits = round(prepared.reduce((sum, l) => sum + l.debit, 0));
+        const credits = round(prepared.reduce((sum, l) => sum + l.credit, 0));
+
+        if (prepared.some(l => l.debit > 0 && l.credit > 0)) {
+            throw new Error('A ledger line cannot both debit and credit');
+        }
+        if (debits === 0) {
+            throw new Error('Cannot post an empty journal entry');
+        }
+        if (debits !== credits) {
+            throw new Error(`Unbalanced journal entry: debits ₹${debits} ≠ credits ₹${credits}`);
+        }
+
+        // Move balances first so each line can carry the balance it produced
+        const applied = [];
+        try {
+            for (const line of prepared) {
+                const normal = ACCOUNT_TYPES[line.accountType].normalBalance;
+                const delta = normal === 'DEBIT' ? line.debit - line.credit : line.credit - line.debit;
+
+                const account = await LedgerAccount.findOneAndUpdate(
+                    { key: line.account },
+                    {
+                        $inc: { balance: delta, debitTotal: line.debit, creditTotal: line.credit, entryCount: 1 },
+                        $set: { lastEntryAt: new Date() },
+                        $setOnInsert: { type: line.accountType, owner: line.owner, normalBalance: normal }
+                    },
+                    { upsert: true, new: true }
+                );
+                applied.push(line);
+                line.balanceAfter = round(account.balance);
+            }
+
+            return await LedgerEntry.create({
+                type,
+                idempotencyKey,
+                lines: prepared,
+                amount: debits,
+                booking,
+                ride,
+                transaction,
+                reverses,
+                description,
+                reference,
+                postedBy
+            });
+        } catch (error) {
+            // Undo the balance moves; a concurrent post of the same key wins
+            for (const line of applied) {
+                const normal = ACCOUNT_TYPES[line.accountType].normalBalance;
+                const delta = normal === 'DEBIT' ? line.debit - line.credit : line.credit - line.debit;
+                await LedgerAccount.updateOne(
+                    { key: line.account },
+                    { $inc: { balance: -delta, debitTotal: -line.debit, creditTotal: -line.credit, entryCount: -1 } }
+                );
+            }
+            if (error.code === 11000) {
+                return LedgerEntry.findOne({ idempotencyKey });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Whether the platform took the passenger's money (gateway or wallet),
+     * or the driver did in cash/UPI
+     */
+    isPlatformCollected(booking) {
+        return Boolean(booking.payment?.gatewayPaymentId || booking.payment?.walletTransaction);
+    }
+
+    /**
+     * Recognise a booking's fare and commission once the money is collected
+     * - Online: platform holds the total, owes the driver the fare, earns the commission
+     * - Cash/UPI to driver: driver keeps the fare and owes us the commission
+     * A promo discount is our expense: the passenger pays less, the driver's fare is untouched
+     */
+    async recordBookingPayment(booking, { postedBy } = {}) {
+        const rider = booking.rider || booking.ride?.rider;
+        const riderId = rider?._id || rider;
+        const rideFare = booking.payment.rideFare || 0;
+        const commission = booking.payment.platformCommission || 0;
+        const discount = booking.payment.discount?.amount || 0;
+        const platformCollected = this.isPlatformCollected(booking);
+        const promoLine = { type: 'PROMOTIONS_EXPENSE', debit: discount, memo: `Promo ${booking.payment.discount?.code || 'discount'}` };
+
+        // Wallet payments draw on money we already hold for the passenger
+        const source = booking.payment.walletTransaction
+            ? { type: 'PASSENGER_WALLET', owner: booking.passenger?._id || booking.passenger, memo: 'Paid from wallet' }
+            : { type: 'PLATFORM_CASH', memo: 'Passenger payment' };
+
+        const lines = platformCollected
+            ? [
+                { ...source, debit: round(rideFare + commission - discount) },
+                promoLine,
+                { type: 'DRIVER_EARNINGS', owner: riderId, credit: rideFare, memo: 'Ride fare' },
+                { type: 'PLATFORM_COMMISSION', credit: commission, memo: 'Platform commission' }
+            ]
+            : [
+                // Cash discounts are capped at the commission (utils/promotions)
+                { type: 'RECEIVABLE', owner: riderId, debit: round(commission - discount), memo: 'Commission due on cash fare' },
+                promoLine,
+                { type: 'PLATFORM_COMMISSION', credit: commission, memo: 'Platform commission' }
+            ];
+
+        if (!platformCollected && commission === 0) return null;
+
+        const transaction = await Transaction.findOne({ booking: booking._id }).select('_id');
+
+        return this.post({
+            type: 'BOOKING_PAYMENT',
+            idempotencyKey: `booking-payment:${booking._id}`,
+            lines,
+            booking: booking._id,
+            ride: booking.ride?._id || booking.ride,
+            transaction: transaction?._id,
+            description: `${platformCollected ? (booking.payment.walletTransaction ? 'Wallet' : 'Online') : booking.payment.method} payment for booking ${booking._id}`,
+            reference: booking.payment.gatewayPaymentId,
+            postedBy
+        });
+    }
+
+    /**
+     * Return money to a passenger, unwinding the lines the payment posted in
+     * proportion (and the promo discount we paid for with it)
+     * - Online/wallet: taken back from the driver's fare and our commission
+     * - Cash/UPI to driver: our commission and the driver's dues are reversed;
+     *   refunded to the wallet, the driver owes us the refund (netted from payouts)
+     * @param {Object} options - { amount, key (unique per refund), toWallet, postedBy }
+     */
+    async recordRefund(booking, { amount, key, toWallet = false, postedBy } = {}) {
+        const payment = await LedgerEntry.findOne({ idempotencyKey: `booking-payment:${booking._id}` });
+        const platformCollected = this.isPlatformCollected(booking);
+
+        // Nothing was recognised, so there is nothing to unwind - unless we are
+        // paying a cash refund on the driver's behalf
+        if (!payment && (platformCollected || !toWallet)) return null;
+
+        const rider = booking.rider || booking.ride?.rider;
+        const riderId = rider?._id || rider;
+        const fare = booking.payment.rideFare || 0;
+        const discount = booking.payment.discount?.amount || 0;
+        const paid = round(fare + (booking.payment.platformCommission || 0) - discount);
+        const refund = round(Math.min(amount ?? paid, paid));
+        const share = paid > 0 ? refund / paid : 0;
+        const farePart = round(fare * share);
+        const discountPart = payment ? round(discount * share) : 0;
+        const commissionPart = payment ? round(refund + discountPart - farePart) : 0;
+        const destination = toWallet
+            ? { type: 'PASSENGER_WALLET', owner: booking.passenger?._id || booking.passenger, credit: refund, memo: 'Refund to wallet' }
+            : { type: 'PLATFORM_CASH', credit: refund, memo: 'Refund to passenger' };
+
+        const lines = platformCollected
+            ? [
+                { type: 'DRIVER_EARNINGS', owner: riderId, debit: farePart, memo: 'Fare refunded' },
+                { type: 'PLATFORM_COMMISSION', debit: commissionPart, memo: 'Commission refunded' },
+                { type: 'PROMOTIONS_EXPENSE', credit: discountPart, memo: 'Promo discount reversed' },
+                destination
+            ]
+            : [
+                { type: 'PLATFORM_COMMISSION', debit: commissionPart, memo: 'Commission refunded' },
+                { type: 'PROMOTIONS_EXPENSE', credit: discountPart, memo: 'Promo discount reversed' },
+                { type: 'RECEIVABLE', owner: riderId, credit: round(commissionPart - discountPart), memo: 'Commission dues reversed' },
+                // The driver kept the cash; a wallet refund is recovered from them
+                ...(toWallet ? [
+                    { type: 'RECEIVABLE', owner: riderId, debit: refund, memo: 'Cash refund recovered from driver' },
+                    destination
+                ] : [])
+            ];
+
+        if (!lines.some(line => line.debit > 0)) return null;
+
+        return this.post({
+            type: 'REFUND',
+            idempotencyKey: `refund:${booking._id}:${key || 'full'}`,
+            lines,
+            booking: booking._id,
+            ride: booking.ride?._id || booking.ride,
+            description: `Refund of ₹${refund} for booking ${booking._id}${platformCollected ? '' : ` (${booking.payment.method} paid to driver)`}`,
+            postedBy
+        });
+    }
+
+    /**
+     * A cash-collecting driver paid (part of) the commission they owe
+     * @param {Object} options - { reference (unique per settlement, e.g. UTR), postedBy }
+     */
+    async recordCommissionSettlement(riderId, amount, { reference, postedBy } = {}) {
+        // The reference makes a retried settlement post once
+        if (!reference || !String(reference).trim()) {
+            throw new Error('A settlement reference is required');
+        }
+
+        return this.post({
+            type: 'COMMISSION_SETTLEMENT',
+            idempotencyKey: `commission-settlement:${riderId}:${String(reference).trim()}`,
+            lines: [
+                { type: 'PLATFORM_CASH', debit: amount, memo: 'Commission received' },
+                { type: 'RECEIVABLE', owner: riderId, credit: amount, memo: 'Commission dues settled' }
+            ],
+            description: `Commission dues of ₹${round(amount)} settled by driver`,
+            reference,
+            postedBy
+        });
+    }
+
+    /**
+     * Charge a driver a late-cancellation penalty; it is added to what they owe
+     * us and netted from their next payout
+     * @param {Object} options - { key (unique per penalty), reference, postedBy }
+     */
+    async recordCancellationPenalty(riderId, amount, { key, ride, booking, reference, postedBy } = {}) {
+        return this.post({
+            type: 'CANCELLATION_PENALTY',
+            idempotencyKey: `cancellation-penalty:${key}`,
+            lines: [
+                { type: 'RECEIVABLE', owner: riderId, debit: amount, memo: 'Late cancellation penalty' },
+                { type: 'PENALTY_INCOME', credit: amount, memo: 'Late cancellation penalty' }
+            ],
+            ride,
+            booking,
+            description: `Late cancellation penalty of ₹${round(amount)} charged to driver`,
+            reference,
+            postedBy
+        });
+    }
+
+    /**
+     * Pay a driver their earnings, keeping back the cash commission they owe
+     * @param {Object} payout - { gross, commissionDues, key (unique per payout), reference, postedBy }
+     */
+    async recordDriverPayout(riderId, { gross, commissionDues = 0, key, reference, postedBy } = {}) {
+        return this.post({
+            type: 'DRIVER_PAYOUT',
+            idempotencyKey: `driver-payout:${key}`,
+            lines: [
+                { type: 'DRIVER_EARNINGS', owner: riderId, debit: gross, memo: 'Earnings paid out' },
+                { type: 'RECEIVABLE', owner: riderId, credit: commissionDues, memo: 'Commission dues netted' },
+                { type: 'PLATFORM_CASH', credit: round(gross - commissionDues), memo: 'Bank transfer to driver' }
+            ],
+            description: `Payout of ₹${round(gross - commissionDues)} to driver (₹${round(commissionDues)} dues netted)`,
+            reference,
+            postedBy
+        });
+    }
+
+    /**
+     * Money added to a wallet through the payment gateway
+     */
+    async recordWalletTopup(userId, amount, { key, reference } = {}) {
+        return this.post({
+            type: 'WALLET_TOPUP',
+            idempotencyKey: `wallet-topup:${key}`,
+            lines: [
+                { type: 'PLATFORM_CASH', debit: amount, memo: 'Wallet top-up received' },
+                { type: 'PASSENGER_WALLET', owner: userId, credit: amount, memo: 'Wallet top-up' }
+            ],
+            description: `Wallet top-up of ₹${round(amount)}`,
+            reference
+        });
+    }
+
+    /**
+     * Promo or referral credit granted to a wallet at the platform's expense
+     */
+    async recordWalletCredit(userId, amount, { key, description, reference, postedBy } = {}) {
+        return this.post({
+            type: 'WALLET_CREDIT',
+            idempotencyKey: `wallet-credit:${key}`,
+            lines: [
+                { type: 'PROMOTIONS_EXPENSE', debit: amount, memo: description },
+                { type: 'PASSENGER_WALLET', owner: userId, credit: amount, memo: description }
+            ],
+            description: description || `Wallet credit of ₹${round(amount)}`,
+            reference,
+            postedBy
+        });
+    }
+
+    /**
+     * Cancel an entry by posting its mirror image
+     */
+    async reverse(entryId, { reason, postedBy } = {}) {
+        const entry = await LedgerEntry.findById(entryId);
+        if (!entry) throw new Error('Ledger entry not found');
+        if (entry.type === 'REVERSAL') throw new Error('A reversal cannot itself be reversed');
+
+        return this.post({
+            type: 'REVERSAL',
+            idempotencyKey: `reversal:${entry._id}`,
+            lines: entry.lines.map(line => ({
+                type: line.accountType,
+                owner: line.owner,
+                debit: line.credit,
+                credit: line.debit,
+                memo: `Reversal: ${line.memo || ''}`.trim()
+            })),
+            booking: entry.booking,
+            ride: entry.ride,
+            transaction: entry.transaction,
+            reverses: entry._id,
+            description: reason || `Reversal of ${entry.type.toLowerCase().replace('_', ' ')} entry`,
+            postedBy
+        });
+    }
+
+    /**
+     * Account balances, optionally filtered by type or owner
+     */
+    getAccounts({ type, owner, nonZero = false } = {}) {
+        const query = {};
+        if (type) query.type = type;
+        if (owner) query.owner = owner;
+        if (nonZero) query.balance = { $ne: 0 };
+
+        return LedgerAccount.find(query)
+            .populate('owner', 'profile.firstName profile.lastName name email phone')
+            .sort({ type: 1, balance: -1 });
+    }
+
+    /**
+     * Lines posted to one account, newest first
+     */
+    async getStatement(key, { limit = 50, before } = {}) {
+        const account = await LedgerAccount.findOne({ key })
+            .populate('owner', 'profile.firstName profile.lastName name email');
+        if (!account) return null;
+
+        const query = { 'lines.account': key };
+        if (before) query.postedAt = { $lt: new Date(before) };
+
+        const entries = await LedgerEntry.find(query)
+            .sort({ postedAt: -1 })
+            .limit(Math.min(limit, 200));
+
+        const lines = entries.flatMap(entry => entry.lines
+            .filter(line => line.account === key)
+            .map(line => ({
+                entryId: entry._id,
+                type: entry.type,
+                postedAt: entry.postedAt,
+                description: entry.description,
+                booking: entry.booking,
+                reference: entry.reference,
+                memo: line.memo,
+                debit: line.debit,
+                credit: line.credit,
+                balanceAfter: line.balanceAfter
+            })));
+
+        return { account, lines };
+    }
+
+    /**
+     * Sum of all debits vs credits across accounts - must always match
+     */
+    async getTrialBalance() {
+        const [totals] = await LedgerAccount.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    debits: { $sum: '$debitTotal' },
+                    credits: { $sum: '$creditTotal' }
+                }
+            }
+        ]);
+
+        const byType = await LedgerAccount.aggregate([
+            { $group: { _id: '$type', balance: { $sum: '$balance' }, accounts: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ]);
+
+        const debits = round(totals?.debits || 0);
+        const credits = round(totals?.credits || 0);
+        return {
+            debits,
+            credits,
+            balanced: debits === credits,
+            byType: byType.map(t => ({ type: t._id, balance: round(t.balance), accounts: t.accounts }))
+        };
+    }
+
+    /**
+     * Compare the ledger with the Transaction records for bookings created in a period
+     * Each Transaction whose commission is marked collected must have exactly its
+     * commission recognised by a BOOKING_PAYMENT entry (net of reversals)
+     */
+    async reconcile(startDate, endDate) {
+        const summary = await Transaction.getFinancialSummary(startDate, endDate);
+
+        const match = {};
+        if (startDate) match.createdAt = { $gte: new Date(startDate) };
+        if (endDate) match.createdAt = { ...match.createdAt, $lte: new Date(endDate) };
+
+        const transactions = await Transaction.find(match)
+            .select('booking amounts commission payment riderPayout')
+            .lean();
+
+        const bookingIds = transactions.map(t => t.booking);
+        const entries = await LedgerEntry.find({
+            booking: { $in: bookingIds },
+            type: { $in: ['BOOKING_PAYMENT', 'REVERSAL'] }
+        }).lean();
+
+        // Net commission recognised per booking by payment entries and their reversals
+        const paymentIds = new Set(entries.filter(e => e.type === 'BOOKING_PAYMENT').map(e => e._id.toString()));
+        const recognised = new Map();
+        for (const entry of entries) {
+            if (entry.type === 'REVERSAL' && !paymentIds.has(entry.reverses?.toString())) continue;
+            const net = entry.lines
+                .filter(l => l.accountType === 'PLATFORM_COMMISSION')
+                .reduce((sum, l) => sum + l.credit - l.debit, 0);
+            const key = entry.booking.toString();
+            recognised.set(key, round((recognised.get(key) || 0) + net));
+        }
+
+        let ledgerCommission = 0;
+        let mismatched = 0;
+        const discrepancies = [];
+        for (const txn of transactions) {
+            const expected = txn.commission?.collected ? round(txn.amounts?.platformCommission || 0) : 0;
+            const actual = recognised.get(txn.booking.toString()) || 0;
+            ledgerCommission += actual;
+
+            if (expected === actual) continue;
+            mismatched++;
+            if (discrepancies.length < MAX_DISCREPANCIES) {
+                discrepancies.push({
+                    booking: txn.booking,
+                    transaction: txn._id,
+                    paymentMethod: txn.payment?.method,
+                    expectedCommission: expected,
+                    ledgerCommission: actual,
+                    issue: actual === 0 ? 'NOT_POSTED' : expected === 0 ? 'NOT_COLLECTED' : 'AMOUNT_MISMATCH'
+                });
+            }
+        }
+        ledgerCommission = round(ledgerCommission);
+
+        const [receivables] = await LedgerAccount.aggregate([
+            { $match: { type: 'RECEIVABLE', balance: { $gt: 0 } } },
+            { $group: { _id: null, total: { $sum: '$balance' }, drivers: { $sum: 1 } } }
+        ]);
+
+        const trialBalance = await this.getTrialBalance();
+
+        return {
+            period: { startDate, endDate },
+            summary,
+            ledger: {
+                commissionRecognised: ledgerCommission,
+                cashCommissionOutstanding: round(receivables?.total || 0),
+                driversWithDues: receivables?.drivers || 0
+            },
+            differences: {
+                commissionCollected: round((summary.commissionCollected || 0) - ledgerCommission)
+            },
+            transactionsChecked: transactions.length,
+            mismatched,
+            discrepancies,
+            trialBalance,
+            reconciled: mismatched === 0 && trialBalance.balanced
+        };
+    }
+
+    /**
+     * Post BOOKING_PAYMENT entries for collected transactions recorded before the
+     * ledger existed (safe to re-run: postings are idempotent)
+     */
+    async backfill() {
+        const Booking = require('../models/Booking');
+        const transactions = await Transaction.find({ type: 'BOOKING_PAYMENT', 'commission.collected': true })
+            .select('booking')
+            .lean();
+
+        let posted = 0;
+        let failed = 0;
+        for (const txn of transactions) {
+            const alreadyPosted = await LedgerEntry.exists({ idempotencyKey: `booking-payment:${txn.booking}` });
+            if (alreadyPosted) continue;
+
+            const booking = await Booking.findById(txn.booking);
+            if (!booking) continue;
+
+            try {
+                if (await this.recordBookingPayment(booking)) posted++;
+            } catch (error) {
+                failed++;
+                console.error(`❌ [Ledger] Backfill failed for booking ${txn.booking}:`, error.message);
+            }
+        }
+
+        console.log(`📒 [Ledger] Backfill posted ${posted} entries (${failed} failed, ${transactions.length} checked)`);
+        return { checked: transactions.length, posted, failed };
+    }
+}
+
+// Export singleton instance
+module.exports = new Ledger();
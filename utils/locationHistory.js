@@ -0,0 +1,186 @@
+/**
+ * Location History Utility
+ * Stores driver location history in the LocationPoint time-series collection
+ *
+ * Pings are downsampled per ride before they are written: a point is kept once
+ * the driver has moved far enough after the sample interval, when the deviation
+ * level changes, or as a heartbeat while stationary (so stops stay visible).
+ * Recent points are kept in memory for the speed and stop checks, and stored
+ * paths are returned as simplified polylines for the maps
+ */
+
+const turf = require('@turf/turf');
+const LocationPoint = require('../models/LocationPoint');
+const GeoFencing = require('./geoFencing');
+
+const SAMPLE_SECONDS = parseInt(process.env.TRACKING_SAMPLE_SECONDS, 10) || 10;
+const SAMPLE_METERS = parseInt(process.env.TRACKING_SAMPLE_METERS, 10) || 25;
+const HEARTBEAT_SECONDS = 60;
+const STATIONARY_METERS = 50;
+const METERS_PER_DEGREE = 111320;
+const MAX_TOLERANCE_METERS = 500;
+
+// Long enough to see a stop reach the extended-stop threshold
+const WINDOW_MS = (GeoFencing.CONSTANTS.EXTENDED_STOP_DURATION + 300) * 1000;
+
+const distanceMeters = (from, to) => turf.distance(turf.point(from), turf.point(to), { units: 'meters' });
+
+class LocationHistoryService {
+    constructor() {
+        // Recent stored points per ride: { coordinates, timestamp, speed, severity }
+        this.windows = new Map();
+    }
+
+    /**
+     * Recent points for a ride, loaded from the store after a restart
+     */
+    async load(rideId) {
+        const key = rideId.toString();
+        if (this.windows.has(key)) {
+            return this.windows.get(key);
+        }
+
+        this.prune();
+        const points = await LocationPoint.find({
+            'meta.ride': rideId,
+            timestamp: { $gte: new Date(Date.now() - WINDOW_MS) }
+        }).sort({ timestamp: 1 }).select('coordinates timestamp speed deviation').lean();
+
+        const window = points.map(p => ({
+            coordinates: p.coordinates,
+            timestamp: p.timestamp,
+            speed: p.speed || 0,
+            severity: p.deviation?.severity || 'NONE'
+        }));
+        this.windows.set(key, window);
+        return window;
+    }
+
+    /**
+     * Whether a ping is worth keeping given the last stored point
+     */
+    shouldStore(last, point) {
+        if (!last) return true;
+
+        const elapsed = (point.timestamp - last.timestamp) / 1000;
+        if (elapsed >= HEARTBEAT_SECONDS) return true;
+        if ((point.severity || 'NONE') !== (last.severity || 'NONE')) return true;
+
+        return elapsed >= SAMPLE_SECONDS && distanceMeters(last.coordinates, point.coordinates) >= SAMPLE_METERS;
+    }
+
+    /**
+     * Record a ping for a ride
+     * @param {Object} point - { coordinates, timestamp, speed, accuracy, heading, deviation: { distance, severity } }
+     * @returns {Object} - { stored, history } where history ends with this ping
+     */
+    async record(ride, point) {
+        const window = await this.load(ride._id);
+        const entry = {
+            coordinates: point.coordinates,
+            timestamp: point.timestamp,
+            speed: point.speed || 0,
+            severity: point.deviation?.severity || 'NONE'
+        };
+
+        const stored = this.shouldStore(window[window.length - 1], entry);
+        if (stored) {
+            await LocationPoint.create({
+                timestamp: point.timestamp,
+                meta: { ride: ride._id, driver: ride.rider },
+                coordinates: point.coordinates,
+                speed: point.speed,
+                accuracy: point.accuracy,
+                heading: point.heading,
+                deviation: point.deviation
+            });
+
+            window.push(entry);
+            while (window.length && point.timestamp - window[0].timestamp > WINDOW_MS) {
+                window.shift();
+            }
+        }
+
+        return { stored, history: stored ? [...window] : [...window, entry] };
+    }
+
+    /**
+     * The first and last point of the stop the driver is currently in (if any),
+     * in the shape GeoFencing.detectUnusualStops expects
+     */
+    stationaryRun(history) {
+        const latest = history[history.length - 1];
+        if (!latest) return [];
+
+        let start = latest;
+        for (let i = history.length - 2; i >= 0; i--) {
+            if (distanceMeters(history[i].coordinates, latest.coordinates) > STATIONARY_METERS) break;
+            start = history[i];
+        }
+
+        return start === latest ? [latest] : [start, latest];
+    }
+
+    /**
+     * Stored path of a ride as a simplified polyline
+     * @param {Number} tolerance - Simplification tolerance in meters, up to 500 (0 keeps every stored point)
+     * @returns {Object} - { coordinates, pointCount, distanceKm, startedAt, endedAt, deviations }
+     */
+    async getPath(rideId, { tolerance = 10 } = {}) {
+        const toleranceMeters = Math.min(Math.max(Number(tolerance) || 0, 0), MAX_TOLERANCE_METERS);
+        const points = await LocationPoint.find({ 'meta.ride': rideId })
+            .sort({ timestamp: 1 })
+            .select('coordinates timestamp deviation')
+            .lean();
+
+        const raw = points.map(p => p.coordinates);
+        let coordinates = raw;
+        let distanceKm = 0;
+
+        if (raw.length > 1) {
+            const line = turf.lineString(raw);
+            distanceKm = Math.round(turf.length(line, { units: 'kilometers' }) * 10) / 10;
+            if (raw.length > 2 && toleranceMeters > 0) {
+                coordinates = turf.simplify(line, { tolerance: toleranceMeters / METERS_PER_DEGREE }).geometry.coordinates;
+            }
+        }
+
+        return {
+            coordinates,
+            pointCount: points.length,
+            distanceKm,
+            startedAt: points[0]?.timestamp || null,
+            endedAt: points[points.length - 1]?.timestamp || null,
+            deviations: points
+                .filter(p => p.deviation?.severity && p.deviation.severity !== 'NONE')
+                .map(p => ({
+                    coordinates: p.coordinates,
+                    timestamp: p.timestamp,
+                    distance: p.deviation.distance,
+                    severity: p.deviation.severity
+                }))
+        };
+    }
+
+    /**
+     * Drop the in-memory window once a ride stops streaming
+     */
+    forget(rideId) {
+        this.windows.delete(rideId.toString());
+    }
+
+    /**
+     * Drop windows of rides that have gone quiet without being stopped
+     */
+    prune() {
+        const cutoff = Date.now() - WINDOW_MS;
+        for (const [key, window] of this.windows) {
+            const last = window[window.length - 1];
+            if (!last || last.timestamp < cutoff) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = new LocationHistoryService();
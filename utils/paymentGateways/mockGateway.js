@@ -0,0 +1,105 @@
+/**
+ * Mock Payment Gateway
+ * Local stand-in for development and tests. Orders live in memory and the
+ * checkout is simulated, but signatures are real HMACs so the verification
+ * path is exercised exactly as with a live gateway
+ *
+ * Without MOCK_PAYMENT_SECRET / MOCK_PAYMENT_WEBHOOK_SECRET the secrets are
+ * random per process, so nobody outside the server can sign for it
+ */
+
+const crypto = require('crypto');
+
+const safeEqual = (expected, actual) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+class MockGateway {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.keySecret = options.keySecret || process.env.MOCK_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex');
+        this.webhookSecret = options.webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+        this.orders = new Map();
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+        const order = { id: randomId('order'), amount, currency, receipt, notes, status: 'created' };
+        this.orders.set(order.id, order);
+        return { id: order.id, amount, currency, status: order.status };
+    }
+
+    sign(orderId, paymentId) {
+        return crypto.createHmac('sha256', this.keySecret).update(`${orderId}|${paymentId}`).digest('hex');
+    }
+
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+        return safeEqual(this.sign(orderId, paymentId), signature);
+    }
+
+    signWebhook(rawBody) {
+        return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+    }
+
+    verifyWebhookSignature(rawBody, signature) {
+        return safeEqual(this.signWebhook(rawBody), signature);
+    }
+
+    /**
+     * Same payload shape as Razorpay webhooks
+     */
+    parseWebhook(body) {
+        const payment = body.payload?.payment?.entity || {};
+        const events = {
+            'payment.captured': 'CAPTURED',
+            'order.paid': 'CAPTURED',
+            'payment.failed': 'FAILED'
+        };
+
+        return {
+            event: events[body.event] || 'IGNORED',
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            reason: payment.error_description
+        };
+    }
+
+    /**
+     * Play the part of the hosted checkout
+     * @param {String} orderId
+     * @param {Object} options - { fail, reason }
+     * @returns {Object} { orderId, paymentId, signature } on success
+     */
+    simulateCheckout(orderId, { fail = false, reason = 'Payment declined by bank' } = {}) {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            const error = new Error('Unknown order');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const paymentId = randomId('pay');
+        if (fail) {
+            const error = new Error(reason);
+            error.statusCode = 402;
+            error.paymentId = paymentId;
+            throw error;
+        }
+
+        order.status = 'paid';
+        return { orderId, paymentId, signature: this.sign(orderId, paymentId) };
+    }
+
+    getCheckoutConfig() {
+        return { gateway: this.name, keyId: 'mock_key' };
+    }
+}
+
+module.exports = MockGateway;
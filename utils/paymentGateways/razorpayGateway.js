@@ -0,0 +1,105 @@
+/**
+ * Razorpay Payment Gateway
+ * Orders via the Razorpay REST API; checkout callbacks and webhooks are
+ * verified with HMAC-SHA256 signatures
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const safeEqual = (expected, actual) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+class RazorpayGateway {
+    constructor(options = {}) {
+        this.name = 'razorpay';
+        this.keyId = options.keyId || process.env.RAZORPAY_KEY_ID;
+        this.keySecret = options.keySecret || process.env.RAZORPAY_KEY_SECRET;
+        this.webhookSecret = options.webhookSecret || process.env.RAZORPAY_WEBHOOK_SECRET;
+        this.baseUrl = options.baseUrl || 'https://api.razorpay.com/v1';
+        this.timeout = options.timeout || 15000;
+    }
+
+    isConfigured() {
+        return Boolean(this.keyId && this.keySecret);
+    }
+
+    /**
+     * Create an order the checkout will collect against
+     * @param {Object} params - { amount (₹), currency, receipt, notes }
+     * @returns {Object} { id, amount (₹), currency, status }
+     */
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+        const response = await axios.post(`${this.baseUrl}/orders`, {
+            amount: Math.round(amount * 100), // Razorpay works in paise
+            currency,
+            receipt,
+            notes
+        }, {
+            auth: { username: this.keyId, password: this.keySecret },
+            timeout: this.timeout
+        });
+
+        return {
+            id: response.data.id,
+            amount: response.data.amount / 100,
+            currency: response.data.currency,
+            status: response.data.status
+        };
+    }
+
+    /**
+     * Checkout returns razorpay_signature = HMAC(order_id|payment_id, key secret)
+     */
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+        const expected = crypto
+            .createHmac('sha256', this.keySecret)
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+        return safeEqual(expected, signature);
+    }
+
+    /**
+     * Webhooks carry X-Razorpay-Signature = HMAC(raw body, webhook secret)
+     */
+    verifyWebhookSignature(rawBody, signature) {
+        if (!this.webhookSecret) return false;
+        const expected = crypto
+            .createHmac('sha256', this.webhookSecret)
+            .update(rawBody)
+            .digest('hex');
+        return safeEqual(expected, signature);
+    }
+
+    /**
+     * Normalise a webhook payload
+     * @returns {Object} { event: CAPTURED | FAILED | IGNORED, orderId, paymentId, reason }
+     */
+    parseWebhook(body) {
+        const payment = body.payload?.payment?.entity || {};
+        const events = {
+            'payment.captured': 'CAPTURED',
+            'order.paid': 'CAPTURED',
+            'payment.failed': 'FAILED'
+        };
+
+        return {
+            event: events[body.event] || 'IGNORED',
+            orderId: payment.order_id || body.payload?.order?.entity?.id,
+            paymentId: payment.id,
+            reason: payment.error_description
+        };
+    }
+
+    /**
+     * What the browser needs to open Razorpay Checkout
+     */
+    getCheckoutConfig() {
+        return { gateway: this.name, keyId: this.keyId };
+    }
+}
+
+module.exports = RazorpayGateway;
@@ -0,0 +1,256 @@
+/**
+ * Payment Service
+ * Online booking payments through a pluggable gateway adapter:
+ * create an order, verify the signed checkout callback or webhook, and record
+ * captures/failures on the Booking and its Transaction
+ *
+ * The gateway is picked with PAYMENT_GATEWAY (razorpay | mock, default razorpay).
+ * The mock gateway must be asked for explicitly and only runs with
+ * NODE_ENV=development or test; a missing or misconfigured gateway stops the
+ * server at startup instead of quietly accepting unsigned money
+ */
+
+const Booking = require('../models/Booking');
+const Transaction = require('../models/Transaction');
+const RazorpayGateway = require('./paymentGateways/razorpayGateway');
+const MockGateway = require('./paymentGateways/mockGateway');
+const ledger = require('./ledger');
+
+const GATEWAYS = { razorpay: RazorpayGateway, mock: MockGateway };
+
+// Bookings that can no longer be paid for
+const UNPAYABLE_STATUSES = ['REJECTED', 'EXPIRED', 'CANCELLED', 'NO_SHOW'];
+const SETTLED_PAYMENT_STATUSES = ['PAID', 'PAYMENT_CONFIRMED', 'REFUNDED'];
+
+// Environments the mock gateway may run in
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+
+class PaymentService {
+    constructor() {
+        this.configure({ gateway: process.env.PAYMENT_GATEWAY || 'razorpay' });
+
+        if (!this.gateway.isConfigured()) {
+            throw new Error(`[Payments] ${this.gateway.name} keys missing - set them or PAYMENT_GATEWAY=mock in development`);
+        }
+
+        console.log(`💳 [Payments] Gateway: ${this.gateway.name}`);
+    }
+
+    /**
+     * Swap the gateway (name or adapter instance)
+     */
+    configure({ gateway } = {}) {
+        if (typeof gateway === 'string') {
+            const Gateway = GATEWAYS[gateway];
+            if (!Gateway) throw new Error(`Unknown payment gateway: ${gateway}`);
+            if (gateway === 'mock' && !this.isMockAllowed()) {
+                throw new Error(`[Payments] The mock gateway needs PAYMENT_GATEWAY=mock and NODE_ENV=${MOCK_ENVIRONMENTS.join(' or ')}`);
+            }
+            this.gateway = new Gateway();
+        } else if (gateway) {
+            this.gateway = gateway;
+        }
+    }
+
+    /**
+     * Whether this deployment may use the mock gateway at all
+     */
+    isMockAllowed() {
+        return process.env.PAYMENT_GATEWAY === 'mock' && MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV);
+    }
+
+    /**
+     * Whether the active gateway is the explicitly enabled mock
+     */
+    isMockEnabled() {
+        return this.gateway?.name === 'mock' && this.isMockAllowed();
+    }
+
+    getCheckoutConfig() {
+        return this.gateway.getCheckoutConfig();
+    }
+
+    /**
+     * Why a booking cannot take an online payment, or null if it can
+     */
+    getPayableError(booking) {
+        if (UNPAYABLE_STATUSES.includes(booking.status)) {
+            return `Cannot pay for a ${booking.status.toLowerCase().replace('_', ' ')} booking`;
+        }
+        if (SETTLED_PAYMENT_STATUSES.includes(booking.payment.status)) {
+            return 'This booking has already been paid';
+        }
+        if (booking.payment.method === 'WALLET' && booking.payment.status === 'PENDING') {
+            return 'This booking is paid from your wallet when the rider accepts';
+        }
+        return null;
+    }
+
+    /**
+     * Create (or reuse) the gateway order for a booking
+     * The same order is reused on retry so late webhooks still match
+     * @returns {Object} { orderId, amount, currency, gateway, keyId }
+     */
+    async createBookingOrder(booking) {
+        const amount = booking.payment.totalAmount;
+        const reusable = booking.payment.gatewayOrderId &&
+            booking.payment.gateway === this.gateway.name &&
+            booking.payment.amount === amount;
+
+        let orderId = booking.payment.gatewayOrderId;
+        let currency = 'INR';
+
+        if (!reusable) {
+            const order = await this.gateway.createOrder({
+                amount,
+                receipt: `booking_${booking._id}`,
+                notes: { bookingId: booking._id.toString() }
+            });
+            orderId = order.id;
+            currency = order.currency;
+            console.log(`💳 [Payments] Order ${orderId} created for booking ${booking._id} (₹${amount})`);
+        }
+
+        booking.payment.method = 'ONLINE';
+        booking.payment.gateway = this.gateway.name;
+        booking.payment.gatewayOrderId = orderId;
+        booking.payment.amount = amount;
+        if (booking.payment.status === 'FAILED') {
+            booking.payment.status = 'PENDING'; // Retrying
+        }
+        await booking.save();
+
+        await Transaction.findOneAndUpdate(
+            { booking: booking._id },
+            {
+                $set: {
+                    'payment.method': 'ONLINE',
+                    'payment.gateway': this.gateway.name,
+                    'payment.gatewayOrderId': orderId,
+                    'payment.status': 'PENDING'
+                }
+            }
+        );
+
+        return { orderId, amount, currency, ...this.getCheckoutConfig() };
+    }
+
+    /**
+     * Check the signature the checkout handed back to the browser
+     */
+    verifyCheckout(booking, { orderId, paymentId, signature }) {
+        if (!orderId || orderId !== booking.payment.gatewayOrderId) return false;
+        return this.gateway.verifyPaymentSignature({ orderId, paymentId, signature });
+    }
+
+    /**
+     * Record a verified capture (idempotent - checkout and webhook both land here)
+     * @returns {Boolean} true if this call marked the booking paid
+     */
+    async recordCapture(booking, { orderId, paymentId, source }) {
+        if (SETTLED_PAYMENT_STATUSES.includes(booking.payment.status)) {
+            return false;
+        }
+
+        const now = new Date();
+        booking.payment.status = 'PAID';
+        booking.payment.gatewayPaymentId = paymentId;
+        booking.payment.transactionId = paymentId;
+        booking.payment.paidAt = now;
+        booking.payment.failureReason = undefined;
+        booking.payment.attempts.push({ orderId, paymentId, status: 'CAPTURED', source, at: now });
+        await booking.save();
+
+        // The platform now holds the fare and its commission
+        await Transaction.findOneAndUpdate(
+            { booking: booking._id },
+            {
+                $set: {
+                    'payment.status': 'COMPLETED',
+                    'payment.gatewayPaymentId': paymentId,
+                    'payment.completedAt': now,
+                    'commission.collected': true,
+                    'commission.collectedAt': now,
+                    'commission.pending': false
+                }
+            }
+        );
+
+        await ledger.recordBookingPayment(booking)
+            .catch(error => console.error('❌ [Ledger] Failed to post online payment:', error.message));
+
+        console.log(`✅ [Payments] Booking ${booking._id} paid online (${paymentId}, via ${source.toLowerCase()})`);
+        return true;
+    }
+
+    /**
+     * Record a failed attempt; the passenger can retry against the same order
+     */
+    async recordFailure(booking, { orderId, paymentId, reason, source }) {
+        if (SETTLED_PAYMENT_STATUSES.includes(booking.payment.status)) {
+            return false;
+        }
+
+        booking.payment.status = 'FAILED';
+        booking.payment.failureReason = reason || 'Payment failed';
+        booking.payment.attempts.push({ orderId, paymentId, status: 'FAILED', reason: booking.payment.failureReason, source });
+        await booking.save();
+
+        await Transaction.findOneAndUpdate(
+            { booking: booking._id },
+            { $set: { 'payment.status': 'FAILED' } }
+        );
+
+        console.log(`❌ [Payments] Booking ${booking._id} payment failed: ${booking.payment.failureReason}`);
+        return true;
+    }
+
+    /**
+     * Verify and apply a gateway webhook
+     * @param {Buffer|String} rawBody - Exact bytes the gateway signed
+     * @returns {Object} { verified, event, bookingId or walletTransactionId, changed }
+     */
+    async handleWebhook(rawBody, signature, body) {
+        if (this.gateway.name === 'mock' && !this.isMockEnabled()) {
+            return { verified: false };
+        }
+        if (!rawBody || !this.gateway.verifyWebhookSignature(rawBody, signature)) {
+            return { verified: false };
+        }
+
+        const { event, orderId, paymentId, reason } = this.gateway.parseWebhook(body);
+        if (event === 'IGNORED' || !orderId) {
+            return { verified: true, event: 'IGNORED' };
+        }
+
+        const booking = await Booking.findOne({ 'payment.gatewayOrderId': orderId });
+        if (!booking) {
+            // Wallet top-ups share the gateway (lazy require - wallet depends on this service)
+            const topup = await require('./wallet').applyTopupWebhook({ event, orderId, paymentId, reason });
+            if (topup) {
+                return { verified: true, event, walletTransactionId: topup.transaction._id, changed: topup.changed };
+            }
+            console.warn(`⚠️ [Payments] Webhook for unknown order ${orderId}`);
+            return { verified: true, event };
+        }
+
+        const changed = event === 'CAPTURED'
+            ? await this.recordCapture(booking, { orderId, paymentId, source: 'WEBHOOK' })
+            : await this.recordFailure(booking, { orderId, paymentId, reason, source: 'WEBHOOK' });
+
+        return { verified: true, event, bookingId: booking._id, changed };
+    }
+
+    /**
+     * Simulated checkout - only available with the mock gateway
+     */
+    simulateCheckout(orderId, options) {
+        if (!this.isMockEnabled() || typeof this.gateway.simulateCheckout !== 'function') {
+            throw new Error('Simulated checkout is only available with the mock gateway');
+        }
+        return this.gateway.simulateCheckout(orderId, options);
+    }
+}
+
+// Export singleton instance
+module.exports = new PaymentService();
@@ -0,0 +1,547 @@
+/**
+ * Payouts Utility
+ * Batches driver payouts: for every driver, the fares the platform collected
+ * for them (online and wallet bookings) minus what they owe us (commission on
+ * cash rides, late-cancellation penalties). Batches wait for admin approval, are exported as a bank-transfer
+ * CSV, and settle the underlying bookings when the admin confirms the transfer
+ *
+ * Configured with PAYOUT_INTERVAL_DAYS (default 7), PAYOUT_MIN_AMOUNT (₹100)
+ * and PAYOUT_HOLD_DAYS (default 2 - time for disputes before a trip is paid out)
+ */
+
+const mongoose = require('mongoose');
+const PayoutBatch = require('../models/PayoutBatch');
+const Transaction = require('../models/Transaction');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const LedgerAccount = require('../models/LedgerAccount');
+const Notification = require('../models/Notification');
+const ledger = require('./ledger');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Bookings that will not change any more
+const FINAL_BOOKING_STATUSES = ['COMPLETED', 'CANCELLED', 'NO_SHOW', 'REJECTED', 'EXPIRED'];
+const OPEN_BATCH_STATUSES = ['PENDING_APPROVAL', 'APPROVED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quote a value for CSV (commas, quotes, newlines; no formula injection)
+ */
+const csvCell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class Payouts {
+    constructor() {
+        this.intervalDays = parseInt(process.env.PAYOUT_INTERVAL_DAYS, 10) || 7;
+        this.minAmount = Number(process.env.PAYOUT_MIN_AMOUNT) || 100;
+        this.holdDays = parseInt(process.env.PAYOUT_HOLD_DAYS, 10) || 2;
+    }
+
+    /**
+     * When a booking stopped changing
+     */
+    finishedAt(booking) {
+        return booking.journey?.completedAt || booking.cancellation?.cancelledAt || booking.updatedAt;
+    }
+
+    /**
+     * The driver's share of a platform-collected booking, after any refund
+     * (the ledger takes refunds from fare and commission in proportion)
+     */
+    earningsFor(booking) {
+        const fare = booking.payment.rideFare || 0;
+        // What the passenger actually paid - a promo discount is ours, not the driver's
+        const paid = fare + (booking.payment.platformCommission || 0) - (booking.payment.discount?.amount || 0);
+        const refunded = booking.payment.status === 'REFUNDED' ? (booking.payment.refundAmount || 0) : 0;
+        const refundedFare = paid > 0 ? round(refunded * fare / paid) : 0;
+        return round(Math.max(fare - refundedFare, 0));
+    }
+
+    /**
+     * Cash commission and penalties a driver owes, from their ledger receivable
+     */
+    async getCommissionDues(riderId) {
+        const account = await LedgerAccount.findOne({ key: ledger.accountKey('RECEIVABLE', riderId) });
+        return round(Math.max(account?.balance || 0, 0));
+    }
+
+    /**
+     * Dues not yet netted by an open batch - the receivable only drops when a
+     * batch settles, so dues reserved by an approved batch must not be taken twice
+     */
+    async getUnreservedDues(riderId) {
+        const openBatches = await PayoutBatch.find({ status: { $in: OPEN_BATCH_STATUSES }, 'payouts.rider': riderId })
+            .select('payouts.rider payouts.commissionDues');
+        const reserved = openBatches
+            .flatMap(batch => batch.payouts)
+            .filter(payout => payout.rider.toString() === riderId.toString())
+            .reduce((total, payout) => total + (payout.commissionDues || 0), 0);
+
+        return round(Math.max(await this.getCommissionDues(riderId) - reserved, 0));
+    }
+
+    /**
+     * Unsettled, unbatched transactions grouped per driver
+     * @param {Date} periodEnd - Only bookings finished before this
+     * @returns {Map} riderId → { earnings: [{ transaction, booking, amount }], cash: [...] }
+     */
+    async collectUnsettled(periodEnd, { riderId } = {}) {
+        const query = {
+            type: 'BOOKING_PAYMENT',
+            'riderPayout.settled': { $ne: true },
+            'riderPayout.batch': { $exists: false },
+            'payment.status': { $in: ['COMPLETED', 'REFUNDED'] }
+        };
+        if (riderId) query.rider = riderId;
+
+        const transactions = await Transaction.find(query).sort({ createdAt: 1 });
+        const bookings = await Booking.find({
+            _id: { $in: transactions.map(t => t.booking) },
+            status: { $in: FINAL_BOOKING_STATUSES }
+        });
+        const bookingById = new Map(bookings.map(b => [b._id.toString(), b]));
+
+        const byRider = new Map();
+        for (const transaction of transactions) {
+            const booking = bookingById.get(transaction.booking?.toString());
+            if (!booking || this.finishedAt(booking) > periodEnd) continue;
+
+            const key = transaction.rider.toString();
+            if (!byRider.has(key)) byRider.set(key, { earnings: [], cash: [] });
+            const group = byRider.get(key);
+
+            if (ledger.isPlatformCollected(booking)) {
+                const amount = this.earningsFor(booking);
+                if (amount > 0) group.earnings.push({ transaction, booking, amount });
+            } else if (booking.status === 'COMPLETED') {
+                // Driver kept the fare; only the commission is outstanding
+                group.cash.push({ transaction, booking, amount: booking.payment.rideFare || 0 });
+            }
+        }
+        return byRider;
+    }
+
+    /**
+     * Lock transactions to a batch; only those still unbatched are taken, so
+     * concurrent runs (admin and scheduler) never pay the same earnings twice
+     * @returns {Array} The items whose transactions this batch claimed
+     */
+    async claimTransactions(batchId, items) {
+        const ids = items.map(i => i.transaction._id);
+        await Transaction.updateMany(
+            { _id: { $in: ids }, 'riderPayout.batch': null, 'riderPayout.settled': { $ne: true } },
+            { $set: { 'riderPayout.batch': batchId } }
+        );
+
+        const claimed = await Transaction.find({ _id: { $in: ids }, 'riderPayout.batch': batchId }).select('_id');
+        const claimedIds = new Set(claimed.map(t => t._id.toString()));
+        return items.filter(i => claimedIds.has(i.transaction._id.toString()));
+    }
+
+    async releaseTransactions(batchId, transactionIds) {
+        const query = { 'riderPayout.batch': batchId };
+        if (transactionIds) query._id = { $in: transactionIds };
+        await Transaction.updateMany(query, { $unset: { 'riderPayout.batch': '' } });
+    }
+
+    /**
+     * Build a batch from everything payable now
+     * @param {Object} options - { generatedBy: SCHEDULER | ADMIN, createdBy, notes }
+     * @returns {Object|null} The batch, or null when nobody is due a payout
+     */
+    async generateBatch({ generatedBy = 'SCHEDULER', createdBy, notes } = {}) {
+        const periodEnd = new Date(Date.now() - this.holdDays * DAY_MS);
+        const byRider = await this.collectUnsettled(periodEnd);
+        const batchId = new mongoose.Types.ObjectId();
+
+        const riders = await User.find({ _id: { $in: [...byRider.keys()] } })
+            .select('payoutDetails accountStatus isSuspended');
+        const riderById = new Map(riders.map(r => [r._id.toString(), r]));
+
+        const payouts = [];
+        const skipped = [];
+        for (const [riderId, group] of byRider) {
+            if (group.earnings.length === 0) continue; // Cash-only drivers settle dues separately
+
+            const rider = riderById.get(riderId);
+            const details = rider?.payoutDetails;
+
+            let reason = null;
+            if (!rider) reason = 'Driver account not found';
+            else if (rider.isSuspended || rider.accountStatus === 'SUSPENDED') reason = 'Driver account suspended';
+            else if (!this.hasDestination(details)) reason = 'No payout bank account or UPI ID on file';
+
+            const sum = (items) => round(items.reduce((total, e) => total + e.amount, 0));
+            if (reason) {
+                const gross = sum(group.earnings);
+                skipped.push({ rider: riderId, grossEarnings: gross, commissionDues: Math.min(await this.getUnreservedDues(riderId), gross), reason });
+                continue;
+            }
+
+            const earnings = await this.claimTransactions(batchId, group.earnings);
+            if (earnings.length === 0) continue; // Another run took them
+
+            const gross = sum(earnings);
+            const dues = await this.getUnreservedDues(riderId);
+            const commissionDues = Math.min(dues, gross);
+            const netAmount = round(gross - commissionDues);
+
+            if (netAmount < this.minAmount) {
+                await this.releaseTransactions(batchId, earnings.map(i => i.transaction._id));
+                skipped.push({ rider: riderId, grossEarnings: gross, commissionDues, reason: `Below the ₹${this.minAmount} minimum payout` });
+                continue;
+            }
+
+            // The cash rides behind the dues settle only once this payout nets all of them
+            const cash = dues <= gross ? await this.claimTransactions(batchId, group.cash) : [];
+            const items = [...earnings, ...cash];
+
+            payouts.push({
+                rider: riderId,
+                transactions: items.map(i => i.transaction._id),
+                bookings: items.map(i => i.booking._id),
+                grossEarnings: gross,
+                commissionDues,
+                netAmount,
+                destination: {
+                    method: details.method,
+                    accountHolderName: details.accountHolderName,
+                    accountNumber: details.accountNumber,
+                    ifsc: details.ifsc,
+                    bankName: details.bankName,
+                    upiId: details.upiId
+                }
+            });
+        }
+
+        if (payouts.length === 0 && skipped.length === 0) return null;
+
+        let batch;
+        try {
+            batch = await PayoutBatch.create({
+                _id: batchId,
+                reference: this.newReference(),
+                periodEnd,
+                payouts,
+                skipped,
+                totals: {
+                    drivers: payouts.length,
+                    gross: round(payouts.reduce((sum, p) => sum + p.grossEarnings, 0)),
+                    commissionDues: round(payouts.reduce((sum, p) => sum + p.commissionDues, 0)),
+                    net: round(payouts.reduce((sum, p) => sum + p.netAmount, 0))
+                },
+                generatedBy,
+                createdBy,
+                notes
+            });
+        } catch (error) {
+            await this.releaseTransactions(batchId);
+            throw error;
+        }
+
+        console.log(`💸 [Payouts] Batch ${batch.reference}: ${payouts.length} drivers, ₹${batch.totals.net} net (${skipped.length} skipped)`);
+        return batch;
+    }
+
+    hasDestination(details) {
+        if (!details) return false;
+        if (details.method === 'UPI') return Boolean(details.upiId);
+        return Boolean(details.accountHolderName && details.accountNumber && details.ifsc);
+    }
+
+    newReference() {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        const suffix = Math.random().toString(36).slice(2, 6).toUpperCase();
+        return `PB-${date}-${suffix}`;
+    }
+
+    /**
+     * Scheduler entry point: one batch per interval, never while one awaits approval
+     */
+    async generateIfDue() {
+        const pending = await PayoutBatch.exists({ status: 'PENDING_APPROVAL' });
+        if (pending) return null;
+
+        const last = await PayoutBatch.findOne({ status: { $ne: 'CANCELLED' }, generatedBy: 'SCHEDULER' })
+            .sort({ createdAt: -1 })
+            .select('createdAt');
+        if (last && Date.now() - last.createdAt.getTime() < this.intervalDays * DAY_MS) return null;
+
+        return this.generateBatch({ generatedBy: 'SCHEDULER' });
+    }
+
+    async findBatch(batchId, allowedStatuses) {
+        const batch = await PayoutBatch.findById(batchId);
+        if (!batch) throw new Error('Payout batch not found');
+        if (allowedStatuses && !allowedStatuses.includes(batch.status)) {
+            throw new Error(`Batch is ${batch.status.toLowerCase().replace('_', ' ')}`);
+        }
+        return batch;
+    }
+
+    async approveBatch(batchId, { approvedBy } = {}) {
+        const batch = await this.findBatch(batchId, ['PENDING_APPROVAL']);
+        if (batch.payouts.length === 0) throw new Error('Batch has no payouts to approve');
+
+        batch.status = 'APPROVED';
+        batch.approvedBy = approvedBy;
+        batch.approvedAt = new Date();
+        await batch.save();
+
+        console.log(`✅ [Payouts] Batch ${batch.reference} approved`);
+        return batch;
+    }
+
+    /**
+     * Bank-transfer file for an approved batch
+     * @returns {Object} { filename, csv }
+     */
+    async exportCsv(batchId) {
+        const batch = await this.findBatch(batchId, ['APPROVED', 'SETTLED']);
+        await batch.populate('payouts.rider', 'profile.firstName profile.lastName email phone');
+
+        const header = [
+            'Batch Reference', 'Payout Id', 'Beneficiary Name', 'Account Number', 'IFSC', 'Bank Name',
+            'UPI ID', 'Payment Mode', 'Amount', 'Gross Earnings', 'Commission Dues', 'Bookings',
+            'Driver Email', 'Driver Phone', 'Narration'
+        ];
+
+        const rows = batch.payouts
+            .filter(p => p.status !== 'FAILED' || batch.status !== 'SETTLED')
+            .map(p => [
+                batch.reference,
+                p._id,
+                p.destination.accountHolderName || User.getUserName(p.rider),
+                p.destination.accountNumber,
+                p.destination.ifsc,
+                p.destination.bankName,
+                p.destination.upiId,
+                p.destination.method === 'UPI' ? 'UPI' : (p.netAmount > 200000 ? 'RTGS' : 'NEFT'),
+                p.netAmount.toFixed(2),
+                p.grossEarnings.toFixed(2),
+                p.commissionDues.toFixed(2),
+                p.bookings.length,
+                p.rider?.email,
+                p.rider?.phone,
+                `LANE Carpool payout ${batch.reference}`
+            ]);
+
+        batch.exportedAt = new Date();
+        batch.exportCount += 1;
+        await batch.save();
+
+        return {
+            filename: `${batch.reference}.csv`,
+            csv: [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n'
+        };
+    }
+
+    /**
+     * Confirm the bank transfer: settle paid lines, release failed ones
+     * @param {Array} results - [{ payoutId, status: PAID | FAILED, transactionId, reason }]
+     *                          lines not listed are treated as PAID
+     */
+    async settleBatch(batchId, { results = [], settledBy } = {}) {
+        const batch = await this.findBatch(batchId, ['APPROVED']);
+        const resultById = new Map(results.map(r => [String(r.payoutId), r]));
+        const now = new Date();
+
+        for (const payout of batch.payouts) {
+            const result = resultById.get(payout._id.toString()) || {};
+
+            if (result.status === 'FAILED') {
+                payout.status = 'FAILED';
+                payout.failureReason = result.reason || 'Transfer failed';
+                // Back into the pool for the next batch
+                await Transaction.updateMany(
+                    { _id: { $in: payout.transactions } },
+                    { $unset: { 'riderPayout.batch': '' } }
+                );
+                continue;
+            }
+
+            payout.status = 'PAID';
+            payout.transactionId = result.transactionId || batch.reference;
+            payout.settledAt = now;
+            await this.settleLine(batch, payout, { settledBy });
+        }
+
+        const paid = batch.payouts.filter(p => p.status === 'PAID');
+        batch.status = 'SETTLED';
+        batch.settledBy = settledBy;
+        batch.settledAt = now;
+        batch.totals.paid = round(paid.reduce((sum, p) => sum + p.netAmount, 0));
+        batch.totals.failed = batch.payouts.length - paid.length;
+        await batch.save();
+
+        console.log(`✅ [Payouts] Batch ${batch.reference} settled: ₹${batch.totals.paid} paid, ${batch.totals.failed} failed`);
+        return batch;
+    }
+
+    /**
+     * Mark one driver's transactions and bookings settled and post the payout
+     */
+    async settleLine(batch, payout, { settledBy } = {}) {
+        const method = payout.destination.method === 'UPI' ? 'UPI' : 'BANK_TRANSFER';
+        const bookings = await Booking.find({ _id: { $in: payout.bookings } });
+
+        for (const booking of bookings) {
+            const platformCollected = ledger.isPlatformCollected(booking);
+            const riderPayout = {
+                settled: true,
+                amount: platformCollected ? this.earningsFor(booking) : booking.payment.rideFare,
+                settledAt: payout.settledAt,
+                method: platformCollected ? method : 'CASH',
+                transactionId: payout.transactionId
+            };
+
+            await Booking.updateOne({ _id: booking._id }, { $set: { 'payment.riderPayout': riderPayout } });
+            await Transaction.updateOne(
+                { booking: booking._id },
+                {
+                    $set: {
+                        'riderPayout.settled': true,
+                        'riderPayout.amount': riderPayout.amount,
+                        'riderPayout.settledAt': riderPayout.settledAt,
+                        'riderPayout.method': riderPayout.method,
+                        'riderPayout.transactionId': riderPayout.transactionId
+                    }
+                }
+            );
+        }
+
+        await ledger.recordDriverPayout(payout.rider, {
+            gross: payout.grossEarnings,
+            commissionDues: payout.commissionDues,
+            key: `${batch._id}:${payout._id}`,
+            reference: payout.transactionId,
+            postedBy: settledBy
+        }).catch(error => console.error('❌ [Ledger] Failed to post driver payout:', error.message));
+
+        await Notification.create({
+            user: payout.rider,
+            type: 'PAYMENT_RECEIVED',
+            title: 'Payout Sent 💸',
+            message: `₹${payout.netAmount} has been sent to your ${method === 'UPI' ? 'UPI ID' : 'bank account'}` +
+                (payout.commissionDues > 0 ? ` (₹${payout.commissionDues} cash-ride commission deducted)` : ''),
+            data: { amount: payout.netAmount }
+        }).catch(error => console.error('❌ [Payouts] Failed to notify driver:', error.message));
+    }
+
+    async cancelBatch(batchId, { cancelledBy, reason } = {}) {
+        const batch = await this.findBatch(batchId, OPEN_BATCH_STATUSES);
+
+        await Transaction.updateMany(
+            { 'riderPayout.batch': batch._id },
+            { $unset: { 'riderPayout.batch': '' } }
+        );
+
+        batch.status = 'CANCELLED';
+        batch.cancelledBy = cancelledBy;
+        batch.cancelledAt = new Date();
+        batch.cancellationReason = reason;
+        await batch.save();
+
+        console.log(`🚫 [Payouts] Batch ${batch.reference} cancelled`);
+        return batch;
+    }
+
+    /**
+     * A driver's earnings statement for a period
+     */
+    async getStatement(riderId, { startDate, endDate } = {}) {
+        const match = { rider: riderId, type: 'BOOKING_PAYMENT', 'payment.status': { $in: ['COMPLETED', 'REFUNDED'] } };
+        if (startDate) match.createdAt = { $gte: new Date(startDate) };
+        if (endDate) match.createdAt = { ...match.createdAt, $lte: new Date(endDate) };
+
+        const transactions = await Transaction.find(match)
+            .populate({
+                path: 'booking',
+                select: 'passenger status seatsBooked payment pickupPoint.name dropoffPoint.name journey cancellation updatedAt',
+                populate: { path: 'passenger', select: 'profile.firstName profile.lastName' }
+            })
+            .populate('ride', 'route.start.name route.destination.name schedule.departureDateTime')
+            .sort({ createdAt: -1 });
+
+        const trips = transactions
+            .filter(t => t.booking)
+            .map(t => {
+                const booking = t.booking;
+                const platformCollected = ledger.isPlatformCollected(booking);
+                return {
+                    transaction: t._id,
+                    booking: booking._id,
+                    date: t.ride?.schedule?.departureDateTime || t.createdAt,
+                    from: t.ride?.route?.start?.name || booking.pickupPoint?.name,
+                    to: t.ride?.route?.destination?.name || booking.dropoffPoint?.name,
+                    passenger: User.getUserName(booking.passenger),
+                    status: booking.status,
+                    seats: booking.seatsBooked,
+                    paymentMethod: t.payment.method,
+                    collectedBy: platformCollected ? 'PLATFORM' : 'DRIVER',
+                    fare: booking.payment.rideFare || 0,
+                    commission: booking.payment.platformCommission || 0,
+                    earnings: platformCollected ? this.earningsFor(booking) : (booking.payment.rideFare || 0),
+                    payout: {
+                        settled: Boolean(t.riderPayout?.settled),
+                        inBatch: Boolean(t.riderPayout?.batch) && !t.riderPayout?.settled,
+                        settledAt: t.riderPayout?.settledAt,
+                        method: t.riderPayout?.method,
+                        transactionId: t.riderPayout?.transactionId
+                    }
+                };
+            });
+
+        const sum = (items, field) => round(items.reduce((total, item) => total + item[field], 0));
+        const platformTrips = trips.filter(t => t.collectedBy === 'PLATFORM');
+        const cashTrips = trips.filter(t => t.collectedBy === 'DRIVER');
+
+        const batches = await PayoutBatch.find({ 'payouts.rider': riderId, status: { $in: ['APPROVED', 'SETTLED'] } })
+            .sort({ createdAt: -1 })
+            .limit(24)
+            .lean();
+        const payouts = batches.map(batch => {
+            const line = batch.payouts.find(p => p.rider.toString() === riderId.toString());
+            return {
+                batch: batch.reference,
+                status: batch.status === 'SETTLED' ? line.status : 'PROCESSING',
+                grossEarnings: line.grossEarnings,
+                commissionDues: line.commissionDues,
+                netAmount: line.netAmount,
+                method: line.destination?.method,
+                transactionId: line.transactionId,
+                settledAt: line.settledAt,
+                createdAt: batch.createdAt
+            };
+        });
+
+        return {
+            period: { startDate, endDate },
+            summary: {
+                trips: trips.length,
+                totalEarnings: sum(trips, 'earnings'),
+                collectedInCash: sum(cashTrips, 'earnings'),
+                collectedByPlatform: sum(platformTrips, 'earnings'),
+                paidOut: sum(platformTrips.filter(t => t.payout.settled), 'earnings'),
+                processing: sum(platformTrips.filter(t => t.payout.inBatch), 'earnings'),
+                awaitingPayout: sum(platformTrips.filter(t => !t.payout.settled && !t.payout.inBatch), 'earnings'),
+                commissionDues: await this.getCommissionDues(riderId)
+            },
+            schedule: {
+                intervalDays: this.intervalDays,
+                minAmount: this.minAmount,
+                holdDays: this.holdDays
+            },
+            payouts,
+            trips
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new Payouts();
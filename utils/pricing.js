@@ -0,0 +1,273 @@
+/**
+ * Pricing Utility
+ * Recommends a seat price from what happened on the same corridor before.
+ * Past rides that started and ended near the same points are weighted by how
+ * alike their departure hour, weekday and lead time are. A fill-rate vs price
+ * fit then picks the price that sells seats best. Every recommendation is capped
+ * at the fuel-cost share - a full car must not earn the driver more than the trip costs.
+ */
+
+const Ride = require('../models/Ride');
+const Booking = require('../models/Booking');
+
+const FUEL_PRICE_PER_LITRE = parseFloat(process.env.FUEL_PRICE_PER_LITRE) || 105;
+const AVERAGE_MILEAGE_KMPL = parseFloat(process.env.AVERAGE_MILEAGE_KMPL) || 15;
+const MAINTENANCE_PER_KM = 1;
+
+const CORRIDOR_RADIUS_KM = 5;   // Start and destination must both be this close
+const HISTORY_DAYS = 180;
+const MAX_COMPARABLES = 300;
+const MIN_COMPARABLES = 3;      // Below this (effective) sample, fall back to cost sharing
+const PRIOR_WEIGHT = 5;         // Pulls thin histories towards the cost-share price
+const EARTH_RADIUS_KM = 6378.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookings that actually took (or held) a seat on a past ride
+const SEAT_TAKEN_STATUSES = ['DROPPED_OFF', 'COMPLETED', 'NO_SHOW'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const roundPrice = (amount) => Math.max(Math.round(amount / 5) * 5, 5);
+const isWeekend = (date) => [0, 6].includes(date.getDay());
+
+/**
+ * Weighted quantile of values ([{ value, weight }])
+ */
+const weightedQuantile = (points, q) => {
+    const sorted = points.filter(p => p.weight > 0).sort((a, b) => a.value - b.value);
+    const total = sorted.reduce((sum, p) => sum + p.weight, 0);
+    if (total === 0) return null;
+
+    let running = 0;
+    for (const point of sorted) {
+        running += point.weight;
+        if (running >= total * q) return point.value;
+    }
+    return sorted[sorted.length - 1].value;
+};
+
+class Pricing {
+    /**
+     * Running cost of a trip and what an equal split with the driver comes to
+     * @param {Number} distanceKm
+     * @param {Number} seats - Seats offered to passengers
+     */
+    costShare(distanceKm, seats = 1) {
+        const fuelCostPerKm = Math.round(FUEL_PRICE_PER_LITRE / AVERAGE_MILEAGE_KMPL);
+        const runningCostPerKm = fuelCostPerKm + MAINTENANCE_PER_KM;
+        const totalTripCost = Math.round(distanceKm * runningCostPerKm);
+
+        return {
+            petrolPrice: FUEL_PRICE_PER_LITRE,
+            averageMileage: AVERAGE_MILEAGE_KMPL,
+            fuelCostPerKm,
+            maintenancePerKm: MAINTENANCE_PER_KM,
+            runningCostPerKm,
+            fuelCost: Math.round(distanceKm * FUEL_PRICE_PER_LITRE / AVERAGE_MILEAGE_KMPL),
+            maintenanceCost: Math.round(distanceKm * MAINTENANCE_PER_KM),
+            totalTripCost,
+            // Driver shares the cost with every passenger
+            suggestedPrice: Math.round(totalTripCost / (seats + 1)),
+            // A full car at this price covers the whole trip and nothing more
+            costCap: Math.max(Math.floor(totalTripCost / seats), 1)
+        };
+    }
+
+    /**
+     * Past rides on the corridor with how full they got
+     */
+    async findComparables(origin, destination, { now = new Date() } = {}) {
+        const radius = CORRIDOR_RADIUS_KM / EARTH_RADIUS_KM;
+        const rides = await Ride.find({
+            status: { $in: ['COMPLETED', 'EXPIRED'] },
+            'schedule.departureDateTime': { $gte: new Date(now - HISTORY_DAYS * DAY_MS), $lte: now },
+            'route.start.coordinates': { $geoWithin: { $centerSphere: [origin, radius] } },
+            'route.destination.coordinates': { $geoWithin: { $centerSphere: [destination, radius] } }
+        })
+            .select('route.distance schedule.departureDateTime pricing.pricePerSeat pricing.totalSeats createdAt')
+            .sort({ 'schedule.departureDateTime': -1 })
+            .limit(MAX_COMPARABLES)
+            .lean();
+
+        if (rides.length === 0) return [];
+
+        const seatCounts = await Booking.aggregate([
+            { $match: { ride: { $in: rides.map(r => r._id) }, status: { $in: SEAT_TAKEN_STATUSES } } },
+            { $group: { _id: '$ride', seats: { $sum: '$seatsBooked' } } }
+        ]);
+        const seatsByRide = new Map(seatCounts.map(s => [s._id.toString(), s.seats]));
+
+        return rides
+            .filter(ride => ride.route?.distance > 0 && ride.pricing?.totalSeats > 0)
+            .map(ride => {
+                const departure = new Date(ride.schedule.departureDateTime);
+                return {
+                    departure,
+                    pricePerKm: ride.pricing.pricePerSeat / ride.route.distance,
+                    fillRate: Math.min((seatsByRide.get(ride._id.toString()) || 0) / ride.pricing.totalSeats, 1),
+                    leadHours: Math.max((departure - new Date(ride.createdAt)) / (60 * 60 * 1000), 0)
+                };
+            });
+    }
+
+    /**
+     * How much a past ride should count towards this one (0..1)
+     */
+    similarity(ride, { departure, leadHours, now }) {
+        const hourGap = Math.abs(ride.departure.getHours() - departure.getHours());
+        const hourWeight = Math.exp(-Math.pow(Math.min(hourGap, 24 - hourGap), 2) / 8);
+
+        const dayWeight = ride.departure.getDay() === departure.getDay() ? 1
+            : isWeekend(ride.departure) === isWeekend(departure) ? 0.7 : 0.3;
+
+        const leadWeight = Math.exp(-Math.abs(Math.log((ride.leadHours + 1) / (leadHours + 1))));
+
+        const recencyWeight = Math.exp(-((now - ride.departure) / DAY_MS) / 90);
+
+        return hourWeight * dayWeight * leadWeight * recencyWeight;
+    }
+
+    /**
+     * Price per km that earns the most expected seat revenue under a weighted
+     * linear fit of fill rate against price. Falls back to the price that sold
+     * seats when the data shows no price sensitivity.
+     */
+    bestPricePerKm(points) {
+        const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+        const meanPrice = points.reduce((sum, p) => sum + p.weight * p.pricePerKm, 0) / totalWeight;
+        const meanFill = points.reduce((sum, p) => sum + p.weight * p.fillRate, 0) / totalWeight;
+
+        let covariance = 0;
+        let variance = 0;
+        points.forEach(p => {
+            covariance += p.weight * (p.pricePerKm - meanPrice) * (p.fillRate - meanFill);
+            variance += p.weight * Math.pow(p.pricePerKm - meanPrice, 2);
+        });
+
+        const low = weightedQuantile(points.map(p => ({ value: p.pricePerKm, weight: p.weight })), 0.1);
+        const high = weightedQuantile(points.map(p => ({ value: p.pricePerKm, weight: p.weight })), 0.9);
+
+        if (variance > 0 && covariance < 0) {
+            const slope = covariance / variance;
+            const intercept = meanFill - slope * meanPrice;
+            // Revenue p * (intercept + slope * p) peaks at -intercept / (2 * slope)
+            const best = -intercept / (2 * slope);
+            return { pricePerKm: Math.min(Math.max(best, low), high), method: 'DEMAND_CURVE', slope };
+        }
+
+        const sold = weightedQuantile(points.map(p => ({ value: p.pricePerKm, weight: p.weight * p.fillRate })), 0.5);
+        return { pricePerKm: sold ?? meanPrice, method: 'SOLD_PRICE', slope: null };
+    }
+
+    /**
+     * Fill rates of the corridor's rides that share a trait with this one
+     */
+    describeFactors(rides, { departure, leadHours }) {
+        const fillOf = (list) => list.length
+            ? round(list.reduce((sum, r) => sum + r.fillRate, 0) / list.length)
+            : null;
+        const leadBucket = (hours) => (hours < 24 ? 0 : hours < 72 ? 1 : 2);
+        const hourLabel = departure.toLocaleTimeString('en-IN', { hour: 'numeric', hour12: true });
+
+        const factors = [
+            {
+                factor: 'TIME_OF_DAY',
+                label: `Departures around ${hourLabel}`,
+                rides: rides.filter(r => {
+                    const gap = Math.abs(r.departure.getHours() - departure.getHours());
+                    return Math.min(gap, 24 - gap) <= 2;
+                })
+            },
+            {
+                factor: 'DAY_OF_WEEK',
+                label: isWeekend(departure) ? 'Weekend departures' : 'Weekday departures',
+                rides: rides.filter(r => isWeekend(r.departure) === isWeekend(departure))
+            },
+            {
+                factor: 'LEAD_TIME',
+                label: ['Posted less than a day ahead', 'Posted 1-3 days ahead', 'Posted more than 3 days ahead'][leadBucket(leadHours)],
+                rides: rides.filter(r => leadBucket(r.leadHours) === leadBucket(leadHours))
+            }
+        ];
+
+        return factors.map(({ factor, label, rides: matching }) => ({
+            factor,
+            label,
+            rides: matching.length,
+            fillRate: fillOf(matching)
+        }));
+    }
+
+    /**
+     * Recommended seat price for a new ride
+     * @param {Object} options - { origin: [lng, lat], destination: [lng, lat], distanceKm, seats, departure }
+     * @returns {Object} { recommended, band: { low, high }, confidence, basis, costCap, ... }
+     */
+    async recommend({ origin, destination, distanceKm, seats = 1, departure, now = new Date() }) {
+        const cost = this.costShare(distanceKm, seats);
+        departure = departure && !isNaN(new Date(departure)) ? new Date(departure) : new Date(now.getTime() + DAY_MS);
+        const leadHours = Math.max((departure - now) / (60 * 60 * 1000), 0);
+
+        const rides = origin && destination ? await this.findComparables(origin, destination, { now }) : [];
+        const points = rides.map(ride => ({ ...ride, weight: this.similarity(ride, { departure, leadHours, now }) }));
+        const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+        const effectiveSample = totalWeight > 0
+            ? totalWeight * totalWeight / points.reduce((sum, p) => sum + p.weight * p.weight, 0)
+            : 0;
+
+        const corridor = {
+            rides: rides.length,
+            fillRate: rides.length ? round(rides.reduce((sum, r) => sum + r.fillRate, 0) / rides.length) : null,
+            radiusKm: CORRIDOR_RADIUS_KM,
+            historyDays: HISTORY_DAYS
+        };
+
+        if (effectiveSample < MIN_COMPARABLES) {
+            const recommended = Math.min(roundPrice(cost.suggestedPrice), cost.costCap);
+            return {
+                recommended,
+                band: {
+                    low: Math.min(roundPrice(recommended * 0.85), recommended),
+                    high: Math.min(roundPrice(recommended * 1.15), cost.costCap)
+                },
+                confidence: 'NONE',
+                basis: 'COST_SHARE',
+                costCap: cost.costCap,
+                costSharePrice: cost.suggestedPrice,
+                sampleSize: rides.length,
+                corridor,
+                factors: this.describeFactors(rides, { departure, leadHours }),
+                currency: 'INR'
+            };
+        }
+
+        const best = this.bestPricePerKm(points);
+        const pricePoints = points.map(p => ({ value: p.pricePerKm, weight: p.weight }));
+
+        // Thin histories lean on the cost-share price
+        const historyShare = effectiveSample / (effectiveSample + PRIOR_WEIGHT);
+        const blended = historyShare * best.pricePerKm * distanceKm + (1 - historyShare) * cost.suggestedPrice;
+
+        const recommended = Math.min(roundPrice(blended), cost.costCap);
+        const low = Math.min(roundPrice(weightedQuantile(pricePoints, 0.25) * distanceKm), recommended);
+        const high = Math.min(Math.max(roundPrice(weightedQuantile(pricePoints, 0.75) * distanceKm), recommended), cost.costCap);
+
+        return {
+            recommended,
+            band: { low, high },
+            confidence: effectiveSample >= 15 ? 'HIGH' : effectiveSample >= 6 ? 'MEDIUM' : 'LOW',
+            basis: 'HISTORY',
+            method: best.method,
+            costCap: cost.costCap,
+            costSharePrice: cost.suggestedPrice,
+            capped: roundPrice(blended) > cost.costCap,
+            sampleSize: rides.length,
+            effectiveSample: round(effectiveSample),
+            corridor,
+            factors: this.describeFactors(rides, { departure, leadHours }),
+            currency: 'INR'
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new Pricing();
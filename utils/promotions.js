@@ -0,0 +1,413 @@
+/**
+ * Promotions Utility
+ * Promo codes and referral rewards:
+ * - promo codes take a percentage or flat amount off a booking, subject to
+ *   first-ride, corridor and date limits and per-user / global redemption caps
+ * - the platform pays for the discount, so the driver still earns the full fare
+ * - referral codes credit both wallets once the referee completes their first booking
+ */
+
+const crypto = require('crypto');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const walletService = require('./wallet');
+const helpers = require('./helpers');
+
+const REFERRER_CREDIT = parseFloat(process.env.REFERRAL_REFERRER_CREDIT) || 100;
+const REFEREE_CREDIT = parseFloat(process.env.REFERRAL_REFEREE_CREDIT) || 50;
+
+// Bookings in these states no longer hold a redemption
+const VOID_STATUSES = ['CANCELLED', 'REJECTED', 'EXPIRED'];
+
+// A reservation whose booking never got written is given back after this
+const PENDING_REDEMPTION_MS = 10 * 60 * 1000;
+
+// Fares paid to the driver directly - we can only discount out of our commission
+const DRIVER_COLLECTED_METHODS = ['CASH', 'UPI'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class Promotions {
+    constructor() {
+        this.referralRewards = { referrer: REFERRER_CREDIT, referee: REFEREE_CREDIT };
+    }
+
+    // ============================================
+    // PROMO CODES
+    // ============================================
+
+    /**
+     * Check an admin's promo code input
+     * @param {Object} input - Fields from the request body
+     * @param {Boolean} partial - Only check the fields present (updates)
+     * @throws {Error} With a message fit for the admin
+     * @returns {Object} Fields to set on the PromoCode
+     */
+    normalize(input, { partial = false } = {}) {
+        const fields = {};
+        const has = (field) => input[field] !== undefined;
+        const number = (value, label, min = 0) => {
+            const parsed = Number(value);
+            if (!Number.isFinite(parsed) || parsed < min) throw new Error(`${label} must be a number of at least ${min}`);
+            return parsed;
+        };
+        const date = (value, label) => {
+            if (value === null || value === '') return null;
+            const parsed = new Date(value);
+            if (isNaN(parsed)) throw new Error(`${label} is not a valid date`);
+            return parsed;
+        };
+        const point = (value, label) => {
+            const coordinates = value?.coordinates?.map(Number);
+            if (!coordinates || coordinates.length !== 2 || !coordinates.every(Number.isFinite)) {
+                throw new Error(`${label} needs [longitude, latitude] coordinates`);
+            }
+            return { name: value.name, coordinates };
+        };
+
+        if (has('code') || !partial) {
+            if (!input.code || !/^[A-Z0-9_-]{3,20}$/i.test(input.code)) {
+                throw new Error('Codes are 3-20 letters, digits, - or _');
+            }
+            fields.code = input.code.trim().toUpperCase();
+        }
+        if (has('description')) fields.description = String(input.description).slice(0, 200);
+
+        if (has('discountType') || !partial) {
+            if (!['PERCENT', 'FLAT'].includes(input.discountType)) throw new Error('Discount type must be PERCENT or FLAT');
+            fields.discountType = input.discountType;
+        }
+        if (has('value') || !partial) {
+            fields.value = number(input.value, 'Discount value', 1);
+            if ((fields.discountType || input.discountType) === 'PERCENT' && fields.value > 100) {
+                throw new Error('A percentage discount cannot exceed 100');
+            }
+        }
+        if (has('maxDiscount')) fields.maxDiscount = input.maxDiscount ? number(input.maxDiscount, 'Maximum discount', 1) : undefined;
+        if (has('minFare')) fields.minFare = number(input.minFare || 0, 'Minimum fare');
+
+        if (has('firstRideOnly')) fields.firstRideOnly = Boolean(input.firstRideOnly);
+        if (has('corridor')) {
+            fields.corridor = input.corridor
+                ? {
+                    start: point(input.corridor.start, 'Corridor start'),
+                    destination: point(input.corridor.destination, 'Corridor destination'),
+                    radiusKm: number(input.corridor.radiusKm ?? 5, 'Corridor radius', 0.5)
+                }
+                : undefined;
+        }
+        if (has('validFrom')) fields.validFrom = date(input.validFrom, 'Start date');
+        if (has('validUntil')) fields.validUntil = date(input.validUntil, 'End date');
+        if (fields.validFrom && fields.validUntil && fields.validFrom >= fields.validUntil) {
+            throw new Error('The end date must be after the start date');
+        }
+
+        if (has('perUserLimit')) fields.perUserLimit = Math.floor(number(input.perUserLimit, 'Per-user limit', 1));
+        if (has('totalLimit')) fields.totalLimit = input.totalLimit ? Math.floor(number(input.totalLimit, 'Total limit', 1)) : undefined;
+        if (has('active')) fields.active = Boolean(input.active);
+
+        return fields;
+    }
+
+    /**
+     * Live redemptions (bookings still holding the code)
+     */
+    countRedemptions(promoId, passengerId) {
+        const query = { 'payment.discount.promo': promoId, status: { $nin: VOID_STATUSES } };
+        if (passengerId) query.passenger = passengerId;
+        return Booking.countDocuments(query);
+    }
+
+    /**
+     * Redemption count and discount given per promo code
+     * @returns {Map} promoId → { redemptions, discountGiven }
+     */
+    async getUsage(promoIds) {
+        const usage = await Booking.aggregate([
+            { $match: { 'payment.discount.promo': { $in: promoIds }, status: { $nin: VOID_STATUSES } } },
+            { $group: { _id: '$payment.discount.promo', redemptions: { $sum: 1 }, discountGiven: { $sum: '$payment.discount.amount' } } }
+        ]);
+        return new Map(usage.map(u => [u._id.toString(), { redemptions: u.redemptions, discountGiven: round(u.discountGiven) }]));
+    }
+
+    /**
+     * Work out a promo code's discount for a booking about to be made
+     * @param {String} code
+     * @param {Object} booking - { passengerId, rideFare, platformCommission, paymentMethod, pickup, dropoff } (pickup/dropoff as [lng, lat])
+     * @throws {Error} When the code does not apply, with a message fit for the passenger
+     * @returns {Object} { promo, code, amount, description, totalAmount }
+     */
+    async quote(code, { passengerId, rideFare, platformCommission, paymentMethod, pickup, dropoff, now = new Date() }) {
+        const promo = await PromoCode.findOne({ code: String(code || '').trim().toUpperCase() });
+        if (!promo || !promo.active) throw new Error('This promo code is not valid');
+        if (promo.validFrom && now < promo.validFrom) throw new Error('This promo code is not active yet');
+        if (promo.validUntil && now > promo.validUntil) throw new Error('This promo code has expired');
+
+        const total = rideFare + platformCommission;
+        if (promo.minFare && rideFare < promo.minFare) {
+            throw new Error(`This promo code needs a fare of at least ₹${promo.minFare}`);
+        }
+
+        if (promo.corridor?.start && promo.corridor?.destination) {
+            const within = (point, target) => point && helpers.calculateDistance(
+                point[1], point[0], target.coordinates[1], target.coordinates[0]
+            ) <= promo.corridor.radiusKm;
+            if (!within(pickup, promo.corridor.start) || !within(dropoff, promo.corridor.destination)) {
+                const route = [promo.corridor.start.name, promo.corridor.destination.name].filter(Boolean).join(' → ');
+                throw new Error(`This promo code is only valid on ${route || 'a specific route'}`);
+            }
+        }
+
+        if (promo.firstRideOnly) {
+            const hasBooked = await Booking.exists({ passenger: passengerId, status: { $nin: VOID_STATUSES } });
+            if (hasBooked) throw new Error('This promo code is only valid on your first ride');
+        }
+
+        if (await this.countRedemptions(promo._id, passengerId) >= promo.perUserLimit) {
+            throw new Error('You have already used this promo code');
+        }
+        if (promo.totalLimit && await this.countRedemptions(promo._id) >= promo.totalLimit) {
+            throw new Error('This promo code has been fully redeemed');
+        }
+
+        let amount = promo.discountType === 'PERCENT'
+            ? total * promo.value / 100
+            : promo.value;
+        if (promo.maxDiscount) amount = Math.min(amount, promo.maxDiscount);
+        // The driver keeps a cash fare in full, so only our commission can be discounted
+        const driverCollected = DRIVER_COLLECTED_METHODS.includes(paymentMethod || 'CASH');
+        const limitedToCommission = driverCollected && amount > platformCommission;
+        if (limitedToCommission) amount = platformCommission;
+        amount = round(Math.min(amount, total));
+
+        return {
+            promo,
+            code: promo.code,
+            amount,
+            description: promo.description || (promo.discountType === 'PERCENT' ? `${promo.value}% off` : `₹${promo.value} off`),
+            limitedToCommission,
+            totalAmount: round(total - amount)
+        };
+    }
+
+    /**
+     * Reserve one use of a promo code for a booking about to be written.
+     * The passenger's use takes a free slot under a unique index and the total
+     * is a conditional $inc, so concurrent bookings cannot pass either cap
+     * @throws {Error} When a cap was reached since the quote
+     * @returns {Object} The PromoRedemption - attach the booking, or release it if the booking is not made
+     */
+    async reserveRedemption(promo, passengerId) {
+        const claimSlot = async () => {
+            for (let slot = 0; slot < promo.perUserLimit; slot++) {
+                try {
+                    return await PromoRedemption.create({ promo: promo._id, passenger: passengerId, slot });
+                } catch (error) {
+                    if (error.code !== 11000) throw error; // Slot taken - try the next
+                }
+            }
+            return null;
+        };
+
+        let redemption = await claimSlot();
+        if (!redemption && await this.reclaimRedemptions(promo._id, passengerId) > 0) {
+            redemption = await claimSlot();
+        }
+        if (!redemption) throw new Error('You have already used this promo code');
+        if (!promo.totalLimit) return redemption;
+
+        const countIn = () => PromoCode.findOneAndUpdate(
+            { _id: promo._id, $expr: { $lt: [{ $ifNull: ['$redemptionCount', 0] }, '$totalLimit'] } },
+            { $inc: { redemptionCount: 1 } }
+        );
+
+        let counted = await countIn();
+        if (!counted && await this.reclaimRedemptions(promo._id) > 0) {
+            counted = await countIn();
+        }
+        if (!counted) {
+            await this.releaseRedemption(redemption);
+            throw new Error('This promo code has been fully redeemed');
+        }
+
+        await PromoRedemption.updateOne({ _id: redemption._id }, { $set: { countedInTotal: true } });
+        redemption.countedInTotal = true;
+        return redemption;
+    }
+
+    attachRedemption(redemption, bookingId) {
+        return PromoRedemption.updateOne({ _id: redemption._id }, { $set: { booking: bookingId } });
+    }
+
+    /**
+     * Give a reserved use back (safe to call twice)
+     */
+    async releaseRedemption(redemption) {
+        if (!redemption) return false;
+        const removed = await PromoRedemption.findOneAndDelete({ _id: redemption._id });
+        if (!removed) return false;
+
+        if (removed.countedInTotal) {
+            await PromoCode.updateOne({ _id: removed.promo }, { $inc: { redemptionCount: -1 } });
+        }
+        return true;
+    }
+
+    /**
+     * Release redemptions whose booking was cancelled, rejected or expired,
+     * or never got written
+     * @returns {Number} How many were released
+     */
+    async reclaimRedemptions(promoId, passengerId) {
+        const query = { promo: promoId };
+        if (passengerId) query.passenger = passengerId;
+        const redemptions = await PromoRedemption.find(query).select('booking createdAt');
+
+        const liveBookings = await Booking.find({
+            _id: { $in: redemptions.map(r => r.booking).filter(Boolean) },
+            status: { $nin: VOID_STATUSES }
+        }).select('_id');
+        const live = new Set(liveBookings.map(b => b._id.toString()));
+        const pendingSince = Date.now() - PENDING_REDEMPTION_MS;
+
+        let released = 0;
+        for (const redemption of redemptions) {
+            const stale = redemption.booking
+                ? !live.has(redemption.booking.toString())
+                : redemption.createdAt.getTime() < pendingSince;
+            if (stale && await this.releaseRedemption(redemption)) released++;
+        }
+        return released;
+    }
+
+    // ============================================
+    // REFERRALS
+    // ============================================
+
+    /**
+     * A user's referral code, created on first use
+     */
+    async getReferralCode(userId) {
+        const user = await User.findById(userId).select('profile.firstName referral');
+        if (!user) throw new Error('User not found');
+        if (user.referral?.code) return user.referral.code;
+
+        const prefix = (user.profile?.firstName || 'LANE').replace(/[^A-Za-z]/g, '').slice(0, 5).toUpperCase() || 'LANE';
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const code = `${prefix}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+            try {
+                const updated = await User.findOneAndUpdate(
+                    { _id: userId, 'referral.code': { $exists: false } },
+                    { $set: { 'referral.code': code } },
+                    { new: true }
+                ).select('referral.code');
+                // Someone else set it between our read and write
+                return updated ? updated.referral.code : (await User.findById(userId).select('referral.code')).referral.code;
+            } catch (error) {
+                if (error.code !== 11000) throw error; // Code taken - try another
+            }
+        }
+        throw new Error('Could not create a referral code, please try again');
+    }
+
+    /**
+     * The user a referral code belongs to
+     */
+    findReferrer(code) {
+        if (!code) return null;
+        return User.findOne({ 'referral.code': String(code).trim().toUpperCase() }).select('_id profile.firstName profile.lastName');
+    }
+
+    /**
+     * Link a user to the person who referred them (before their first completed ride)
+     * @throws {Error} When the code cannot be used, with a message fit for the user
+     */
+    async applyReferral(userId, code) {
+        const referrer = await this.findReferrer(code);
+        if (!referrer) throw new Error('This referral code is not valid');
+        if (referrer._id.toString() === userId.toString()) throw new Error('You cannot use your own referral code');
+
+        const completed = await Booking.exists({ passenger: userId, status: 'COMPLETED' });
+        if (completed) throw new Error('Referral codes can only be used before your first completed ride');
+
+        const updated = await User.findOneAndUpdate(
+            { _id: userId, 'referral.referredBy': { $exists: false } },
+            { $set: { 'referral.referredBy': referrer._id, 'referral.referredAt': new Date() } },
+            { new: true }
+        ).select('referral');
+        if (!updated) throw new Error('You have already used a referral code');
+
+        console.log(`🤝 [Promotions] User ${userId} referred by ${referrer._id}`);
+        return { referrer, referral: updated.referral };
+    }
+
+    /**
+     * Credit both sides of a referral once the referee has completed a booking
+     * Safe to call on every completion: only the first one pays out
+     */
+    async rewardReferral(booking) {
+        const passengerId = booking.passenger?._id || booking.passenger;
+        const referee = await User.findById(passengerId).select('referral profile.firstName profile.lastName');
+        if (!referee?.referral?.referredBy || referee.referral.rewardedAt) return null;
+
+        const refereeName = User.getUserName(referee);
+        const rewards = [
+            { user: referee.referral.referredBy, amount: REFERRER_CREDIT, side: 'referrer', reason: `Referral reward - ${refereeName} completed their first ride` },
+            { user: referee._id, amount: REFEREE_CREDIT, side: 'referee', reason: 'Referral reward for your first ride' }
+        ];
+
+        for (const reward of rewards.filter(r => r.amount > 0)) {
+            const { transaction, changed } = await walletService.grantCredit(reward.user, reward.amount, {
+                type: 'REFERRAL_CREDIT',
+                reason: reward.reason,
+                reference: booking._id.toString(),
+                idempotencyKey: `referral:${referee._id}:${reward.side}`
+            });
+            if (!changed) continue;
+
+            await Notification.create({
+                user: reward.user,
+                type: 'SYSTEM_ALERT',
+                title: 'Referral Reward 🎁',
+                message: `₹${transaction.amount} has been added to your wallet. ${reward.reason}`,
+                data: { bookingId: booking._id, url: '/wallet' }
+            });
+        }
+
+        await User.updateOne(
+            { _id: referee._id },
+            { $set: { 'referral.rewardedAt': new Date(), 'referral.rewardBooking': booking._id } }
+        );
+
+        console.log(`🎁 [Promotions] Referral rewarded for user ${referee._id} (booking ${booking._id})`);
+        return rewards;
+    }
+
+    /**
+     * Referral summary for a user's wallet page
+     */
+    async getReferralSummary(userId) {
+        const code = await this.getReferralCode(userId);
+        const user = await User.findById(userId).select('referral').populate('referral.referredBy', 'profile.firstName profile.lastName');
+        const [invited, rewarded] = await Promise.all([
+            User.countDocuments({ 'referral.referredBy': userId }),
+            User.countDocuments({ 'referral.referredBy': userId, 'referral.rewardedAt': { $exists: true } })
+        ]);
+
+        return {
+            code,
+            rewards: this.referralRewards,
+            invited,
+            rewarded,
+            earned: round(rewarded * REFERRER_CREDIT),
+            referredBy: user.referral?.referredBy ? User.getUserName(user.referral.referredBy) : null,
+            rewardedAt: user.referral?.rewardedAt || null
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new Promotions();
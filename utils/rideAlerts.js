@@ -0,0 +1,215 @@
+/**
+ * Ride Alerts Utility
+ * Matches newly posted/updated rides against passengers' saved searches and
+ * alerts them by in-app notification, socket and email
+ */
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const routeMatching = require('./routeMatching');
+const emailService = require('./emailService');
+
+const ALERT_MATCH_THRESHOLD = 70; // Minimum matchRoutes score to alert
+const DAILY_ALERT_CAP = 5; // Ride alerts per user per day
+const MAX_SAVED_SEARCHES = 10; // Per user
+
+/**
+ * Check a ride against one saved search
+ * @param {Object} search - SavedSearch document
+ * @param {Object} ride - Ride with rider populated (verificationStatus)
+ * @returns {Object|null} { matchScore, estimatedPickupTime } when the ride qualifies
+ */
+const matchSavedSearch = (search, ride) => {
+    if (ride.pricing.availableSeats < (search.seats || 1)) return null;
+    if (search.maxPrice && ride.pricing.pricePerSeat > search.maxPrice) return null;
+
+    const prefs = search.preferences || {};
+    if (prefs.noSmoking && ride.preferences?.smoking) return null;
+    if (prefs.petsAllowed && !ride.preferences?.pets) return null;
+    if (prefs.femaleOnly && ride.preferences?.gender !== 'FEMALE_ONLY') return null;
+    if (prefs.verifiedOnly && ride.rider?.verificationStatus !== 'VERIFIED') return null;
+
+    const matchDetails = routeMatching.matchRoutes(
+        { pickup: search.origin.coordinates, dropoff: search.destination.coordinates },
+        ride.route
+    );
+    if (!matchDetails.isMatch || matchDetails.matchScore < ALERT_MATCH_THRESHOLD) return null;
+
+    // Same time-window rules as the search page
+    const [ranked] = routeMatching.rankByTimeWindow([{ ride, matchDetails }], {
+        searchDate: ride.schedule.departureDateTime,
+        timeFrom: search.timeWindow?.from,
+        timeTo: search.timeWindow?.to
+    });
+    if (!ranked.timing.withinWindow) return null;
+
+    return {
+        matchScore: matchDetails.matchScore,
+        estimatedPickupTime: ranked.timing.estimatedPickupTime
+    };
+};
+
+/**
+ * Degree bounding box around a ride's route, padded by the matching threshold,
+ * used to pre-filter saved searches in MongoDB
+ */
+const getRouteBounds = (coordinates) => {
+    const lons = coordinates.map(c => c[0]);
+    const lats = coordinates.map(c => c[1]);
+    const padLat = routeMatching.ROUTE_PROXIMITY_THRESHOLD / 111;
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const padLon = padLat / Math.max(Math.cos(midLat * Math.PI / 180), 0.1);
+
+    return {
+        minLon: Math.min(...lons) - padLon,
+        maxLon: Math.max(...lons) + padLon,
+        minLat: Math.min(...lats) - padLat,
+        maxLat: Math.max(...lats) + padLat
+    };
+};
+
+/**
+ * Send one ride alert through every channel
+ */
+const sendAlert = async (user, search, ride, match, io) => {
+    const from = ride.route.start.name || ride.route.start.address;
+    const to = ride.route.destination.name || ride.route.destination.address;
+    const departure = new Date(ride.schedule.departureDateTime);
+    const dateLabel = departure.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    const pickupLabel = match.estimatedPickupTime.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+    const title = 'New Ride Matches Your Route';
+    const message = `${from} → ${to} on ${dateLabel}, pickup around ${pickupLabel} for ₹${ride.pricing.pricePerSeat}/seat`;
+
+    await Notification.create({
+        user: user._id,
+        type: 'RIDE_ALERT',
+        title,
+        message,
+        data: {
+            rideId: ride._id,
+            url: `/rides/${ride._id}`
+        }
+    });
+
+    if (io) {
+        io.to(`user-${user._id}`).emit('notification', {
+            type: 'RIDE_ALERT',
+            title,
+            message,
+            rideId: ride._id,
+            savedSearchId: search._id,
+            timestamp: new Date()
+        });
+    }
+
+    try {
+        await emailService.sendRideAlert(user, {
+            from,
+            to,
+            date: dateLabel,
+            time: pickupLabel,
+            availableSeats: ride.pricing.availableSeats,
+            pricePerSeat: ride.pricing.pricePerSeat,
+            rideUrl: `${process.env.APP_URL || 'http://localhost:3000'}/rides/${ride._id}`
+        });
+    } catch (emailError) {
+        console.error('Failed to send ride alert email:', emailError);
+    }
+};
+
+/**
+ * Alert owners of saved searches that a posted/updated ride matches
+ * Each user is alerted at most once per ride and at most DAILY_ALERT_CAP times a day
+ * @param {String} rideId
+ * @param {Object} io - Socket.IO instance (optional)
+ * @returns {Number} Alerts sent
+ */
+const processRideAlerts = async (rideId, io) => {
+    try {
+        const ride = await Ride.findById(rideId).populate('rider', 'verificationStatus');
+        if (!ride || ride.status !== 'ACTIVE' || new Date(ride.schedule.departureDateTime) <= new Date()) return 0;
+
+        const coords = ride.route?.geometry?.coordinates;
+        if (!coords || coords.length < 2) return 0;
+
+        const bounds = getRouteBounds(coords);
+        const searches = await SavedSearch.find({
+            alertsEnabled: true,
+            user: { $ne: ride.rider._id },
+            'origin.coordinates.0': { $gte: bounds.minLon, $lte: bounds.maxLon },
+            'origin.coordinates.1': { $gte: bounds.minLat, $lte: bounds.maxLat },
+            'destination.coordinates.0': { $gte: bounds.minLon, $lte: bounds.maxLon },
+            'destination.coordinates.1': { $gte: bounds.minLat, $lte: bounds.maxLat }
+        });
+
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+        const alertedUsers = new Set();
+        let alertCount = 0;
+
+        for (const search of searches) {
+            try {
+                const userKey = search.user.toString();
+                if (alertedUsers.has(userKey) || search.hasAlerted(ride._id)) continue;
+
+                const match = matchSavedSearch(search, ride);
+                if (!match) continue;
+
+                // De-duplicate across the user's saved searches and ride updates
+                const alreadyAlerted = await Notification.exists({
+                    user: search.user,
+                    type: 'RIDE_ALERT',
+                    'data.rideId': ride._id
+                });
+                if (alreadyAlerted) {
+                    alertedUsers.add(userKey);
+                    continue;
+                }
+
+                const user = await User.findById(search.user).select('email name profile preferences.notifications');
+                if (!user || user.preferences?.notifications?.rideAlerts === false) continue;
+
+                const alertsToday = await Notification.countDocuments({
+                    user: search.user,
+                    type: 'RIDE_ALERT',
+                    createdAt: { $gte: startOfDay }
+                });
+                if (alertsToday >= DAILY_ALERT_CAP) {
+                    console.log(`🔕 [Ride Alerts] Daily cap reached for user ${userKey}`);
+                    alertedUsers.add(userKey);
+                    continue;
+                }
+
+                await sendAlert(user, search, ride, match, io);
+
+                search.alertedRides.push({ ride: ride._id });
+                search.lastAlertAt = new Date();
+                await search.save();
+
+                alertedUsers.add(userKey);
+                alertCount++;
+            } catch (error) {
+                console.error(`❌ [Ride Alerts] Error processing saved search ${search._id}:`, error.message);
+            }
+        }
+
+        if (alertCount > 0) {
+            console.log(`🔔 [Ride Alerts] Sent ${alertCount} alerts for ride ${ride._id}`);
+        }
+
+        return alertCount;
+    } catch (error) {
+        console.error('❌ [Ride Alerts] Error processing ride alerts:', error.message);
+        return 0;
+    }
+};
+
+module.exports = {
+    ALERT_MATCH_THRESHOLD,
+    DAILY_ALERT_CAP,
+    MAX_SAVED_SEARCHES,
+    matchSavedSearch,
+    processRideAlerts
+};
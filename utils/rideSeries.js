@@ -0,0 +1,199 @@
+/**
+ * Ride Series Utility
+ * Date helpers and materialization of recurring ride series into Ride documents
+ */
+
+const Ride = require('../models/Ride');
+const RideSeries = require('../models/RideSeries');
+const rideAlerts = require('./rideAlerts');
+const safetyZones = require('./safetyZones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a Date to a "YYYY-MM-DD" key in the rider's local calendar
+ * @param {Date} date
+ * @param {Number} timezoneOffset - minutes, as returned by Date#getTimezoneOffset
+ */
+const toDateKey = (date, timezoneOffset = 0) => {
+    const local = new Date(new Date(date).getTime() - timezoneOffset * 60 * 1000);
+    return local.toISOString().slice(0, 10);
+};
+
+/**
+ * Shift a "YYYY-MM-DD" key by a number of days
+ */
+const addDays = (dateKey, days) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Absolute departure time for an occurrence of the series
+ * @param {Object} series - RideSeries document
+ * @param {String} dateKey - "YYYY-MM-DD"
+ * @returns {Date}
+ */
+const getDepartureDateTime = (series, dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = series.recurrence.time.split(':').map(Number);
+    const offset = series.recurrence.timezoneOffset || 0;
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes) + offset * 60 * 1000);
+};
+
+/**
+ * List occurrence dates of a series between two keys (inclusive)
+ * @returns {Array<String>} "YYYY-MM-DD" keys
+ */
+const getOccurrenceDates = (series, fromKey, untilKey) => {
+    const dates = [];
+    const start = fromKey > series.recurrence.startDate ? fromKey : series.recurrence.startDate;
+    const end = untilKey < series.recurrence.endDate ? untilKey : series.recurrence.endDate;
+
+    for (let key = start; key <= end; key = addDays(key, 1)) {
+        if (series.includesDate(key)) {
+            dates.push(key);
+        }
+    }
+    return dates;
+};
+
+/**
+ * Build the Ride document data for one occurrence
+ * @param {Array} zoneRisks - Danger zones on the route at this departure (from safetyZones.analyzeRoute)
+ */
+const buildOccurrenceRide = (series, dateKey, zoneRisks = []) => {
+    const departure = getDepartureDateTime(series, dateKey);
+    const template = typeof series.toObject === 'function' ? series.toObject({ virtuals: false }) : series;
+
+    return {
+        rider: template.rider,
+        vehicle: template.vehicle,
+        route: template.route,
+        schedule: {
+            date: departure,
+            time: series.recurrence.time,
+            departureDateTime: departure,
+            flexibleTiming: false
+        },
+        pricing: {
+            pricePerSeat: template.pricing.pricePerSeat,
+            totalSeats: template.pricing.totalSeats,
+            availableSeats: template.pricing.totalSeats,
+            currency: template.pricing.currency
+        },
+        preferences: template.preferences,
+        specialInstructions: template.specialInstructions || '',
+        zoneRisks: zoneRisks.map(risk => ({
+            zone: risk.zoneId,
+            name: risk.zoneName,
+            category: risk.category,
+            riskLevel: risk.riskLevel,
+            coordinates: risk.coordinates
+        })),
+        status: 'ACTIVE',
+        series: series._id,
+        seriesOccurrence: dateKey
+    };
+};
+
+/**
+ * Create the missing Ride documents of a series up to its generation horizon
+ * @param {Object} series - RideSeries document
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (defaults to current time)
+ * @param {Object} options.io - Socket.IO instance for ride alerts (optional)
+ * @returns {Array} Newly created rides
+ */
+const materializeSeries = async (series, { now = new Date(), io } = {}) => {
+    if (series.status !== 'ACTIVE') return [];
+
+    const offset = series.recurrence.timezoneOffset || 0;
+    const fromKey = toDateKey(now, offset);
+    const untilKey = toDateKey(new Date(now.getTime() + series.generation.horizonDays * DAY_MS), offset);
+
+    const dates = getOccurrenceDates(series, fromKey, untilKey)
+        // Never create an occurrence whose departure has already passed
+        .filter(key => getDepartureDateTime(series, key) > now);
+
+    const existing = await Ride.find({ series: series._id, seriesOccurrence: { $in: dates } })
+        .select('seriesOccurrence')
+        .lean();
+    const existingDates = new Set(existing.map(r => r.seriesOccurrence));
+
+    const created = [];
+    for (const key of dates) {
+        if (existingDates.has(key)) continue;
+
+        // Zones can be active only on some days or hours, so check each departure on its own
+        const zoneRisks = await safetyZones.analyzeRoute(series.route.geometry?.coordinates, getDepartureDateTime(series, key), series.route.duration)
+            .catch(error => {
+                console.error(`❌ [Ride Series] Error checking safety zones for ${key}:`, error.message);
+                return [];
+            });
+
+        try {
+            created.push(await Ride.create(buildOccurrenceRide(series, key, zoneRisks)));
+        } catch (error) {
+            // Duplicate key: another run generated this occurrence concurrently
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    series.generation.generatedUntil = untilKey < series.recurrence.endDate ? untilKey : series.recurrence.endDate;
+    series.generation.lastRunAt = now;
+    await series.save();
+
+    // Alert passengers whose saved searches match (runs in the background)
+    created.forEach(ride => rideAlerts.processRideAlerts(ride._id, io));
+
+    return created;
+};
+
+/**
+ * Scheduled job: materialize upcoming occurrences for every active series
+ * and close series whose date range has passed
+ * @param {Object} io - Socket.IO instance for ride alerts (optional)
+ */
+const generateSeriesOccurrences = async (io) => {
+    const now = new Date();
+
+    try {
+        const activeSeries = await RideSeries.find({ status: 'ACTIVE' });
+        let createdCount = 0;
+
+        for (const series of activeSeries) {
+            if (toDateKey(now, series.recurrence.timezoneOffset || 0) > series.recurrence.endDate) {
+                series.status = 'ENDED';
+                await series.save();
+                continue;
+            }
+
+            try {
+                const created = await materializeSeries(series, { now, io });
+                createdCount += created.length;
+            } catch (error) {
+                console.error(`❌ [Ride Series] Error generating series ${series._id}:`, error.message);
+            }
+        }
+
+        if (createdCount > 0) {
+            console.log(`✅ [Scheduled Job] Generated ${createdCount} rides from recurring series`);
+        }
+
+        return createdCount;
+    } catch (error) {
+        console.error('❌ [Scheduled Job] Error generating series rides:', error.message);
+        return 0;
+    }
+};
+
+module.exports = {
+    toDateKey,
+    addDays,
+    getDepartureDateTime,
+    getOccurrenceDates,
+    buildOccurrenceRide,
+    materializeSeries,
+    generateSeriesOccurrences
+};
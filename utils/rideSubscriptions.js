@@ -0,0 +1,220 @@
+/**
+ * Ride Subscription Utility
+ * Books every occurrence of a recurring ride series for subscribed passengers
+ */
+
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const RideSeries = require('../models/RideSeries');
+const RideSubscription = require('../models/RideSubscription');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { reserveSeats, createBookingRecord } = require('./bookingRecords');
+
+/**
+ * Reserve a seat on one occurrence for a subscription
+ * @param {Object} subscription - RideSubscription document
+ * @param {Object} ride - Ride document of the occurrence
+ * @param {Object} passenger - Passenger user document
+ * @param {Object} io - Socket.IO instance (optional)
+ * @returns {Object} { booking } on success, { reason } when no seat could be reserved
+ */
+const bookOccurrence = async (subscription, ride, passenger, io) => {
+    if (ride.status !== 'ACTIVE' || new Date(ride.schedule.departureDateTime) <= new Date()) {
+        return { reason: 'Ride is no longer open for booking' };
+    }
+
+    if (ride.preferences?.gender === 'FEMALE_ONLY' && passenger.profile?.gender !== 'FEMALE') {
+        return { reason: 'This ride is for female passengers only' };
+    }
+
+    // Passenger may already have booked this day manually
+    const existingBooking = await Booking.findOne({
+        passenger: subscription.passenger,
+        ride: ride._id,
+        status: { $nin: ['CANCELLED', 'REJECTED', 'EXPIRED'] }
+    });
+    if (existingBooking) {
+        return { booking: existingBooking };
+    }
+
+    const numSeats = subscription.seatsBooked;
+
+    const seatUpdateResult = await reserveSeats(ride._id, numSeats);
+    if (!seatUpdateResult) {
+        return { reason: `Not enough seats available (${ride.pricing.availableSeats} left)` };
+    }
+
+    const autoAccepted = ride.preferences?.autoAcceptBookings === true;
+
+    const booking = await createBookingRecord({
+        ride,
+        passengerId: subscription.passenger,
+        pickupPoint: subscription.pickupPoint,
+        dropoffPoint: subscription.dropoffPoint,
+        seats: numSeats,
+        paymentMethod: subscription.paymentMethod,
+        specialRequests: subscription.specialRequests || '',
+        status: autoAccepted ? 'CONFIRMED' : 'PENDING',
+        description: `Subscription booking for ${numSeats} seat(s)`,
+        extra: { subscription: subscription._id }
+    });
+
+    // Notify rider - approval needed unless the ride auto-accepts
+    const passengerName = User.getUserName(passenger);
+    const rideDate = new Date(ride.schedule.departureDateTime).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    const title = autoAccepted ? 'Subscribed Passenger Booked' : 'New Booking Request';
+    const message = autoAccepted
+        ? `${passengerName} is booked for ${numSeats} seat(s) on ${rideDate} (recurring subscription)`
+        : `${passengerName} wants to book ${numSeats} seat(s) on ${rideDate} (recurring subscription)`;
+
+    await Notification.create({
+        user: ride.rider,
+        type: autoAccepted ? 'BOOKING_CONFIRMED' : 'BOOKING_REQUEST',
+        title,
+        message,
+        data: {
+            bookingId: booking._id,
+            rideId: ride._id
+        }
+    });
+
+    if (io) {
+        io.to(`user-${ride.rider}`).emit('notification', {
+            type: autoAccepted ? 'BOOKING_CONFIRMED' : 'BOOKING_REQUEST',
+            title,
+            message,
+            bookingId: booking._id,
+            rideId: ride._id,
+            timestamp: new Date()
+        });
+
+        if (!autoAccepted) {
+            io.to(`user-${ride.rider}`).emit('new-booking-request', {
+                bookingId: booking._id.toString(),
+                rideId: ride._id.toString(),
+                passengerName: passengerName,
+                seats: numSeats
+            });
+        }
+    }
+
+    return { booking };
+};
+
+/**
+ * Tell the passenger that a day of their subscription could not be booked
+ */
+const notifyBookingFailure = async (subscription, ride, reason, io) => {
+    const rideDate = new Date(ride.schedule.departureDateTime).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    const title = 'Recurring Ride Not Booked';
+    const message = `We couldn't reserve your seat for ${rideDate}: ${reason}. Please book another ride for that day.`;
+
+    await Notification.create({
+        user: subscription.passenger,
+        type: 'SUBSCRIPTION_BOOKING_FAILED',
+        title,
+        message,
+        data: {
+            rideId: ride._id,
+            url: '/search',
+            actionRequired: true
+        },
+        priority: 'HIGH'
+    });
+
+    if (io) {
+        io.to(`user-${subscription.passenger}`).emit('notification', {
+            type: 'SUBSCRIPTION_BOOKING_FAILED',
+            title,
+            message,
+            rideId: ride._id,
+            timestamp: new Date()
+        });
+    }
+};
+
+/**
+ * Book every upcoming occurrence of a subscription that has not been handled yet
+ * @param {Object} subscription - RideSubscription document
+ * @param {Object} options - { io }
+ * @returns {Object} { booked: [Booking], failed: [{ date, reason }] }
+ */
+const processSubscription = async (subscription, { io } = {}) => {
+    const result = { booked: [], failed: [] };
+    if (subscription.status !== 'ACTIVE') return result;
+
+    const series = await RideSeries.findById(subscription.series);
+    if (!series || series.status !== 'ACTIVE') {
+        subscription.status = 'ENDED';
+        await subscription.save();
+        return result;
+    }
+
+    const rides = await Ride.find({
+        series: series._id,
+        'schedule.departureDateTime': { $gt: new Date() },
+        status: 'ACTIVE'
+    }).sort({ 'schedule.departureDateTime': 1 });
+
+    const pending = rides.filter(ride => !subscription.hasProcessed(ride.seriesOccurrence));
+    if (pending.length === 0) return result;
+
+    const passenger = await User.findById(subscription.passenger).select('name profile');
+
+    for (const ride of pending) {
+        try {
+            const { booking, reason } = await bookOccurrence(subscription, ride, passenger, io);
+
+            if (booking) {
+                subscription.occurrences.push({ date: ride.seriesOccurrence, ride: ride._id, booking: booking._id, status: 'BOOKED' });
+                result.booked.push(booking);
+            } else {
+                subscription.occurrences.push({ date: ride.seriesOccurrence, ride: ride._id, status: 'FAILED', reason });
+                result.failed.push({ date: ride.seriesOccurrence, reason });
+                await notifyBookingFailure(subscription, ride, reason, io);
+            }
+        } catch (error) {
+            // Leave the occurrence unprocessed so the next run retries it
+            console.error(`❌ [Subscription] Error booking ${ride.seriesOccurrence} for subscription ${subscription._id}:`, error.message);
+        }
+    }
+
+    await subscription.save();
+    return result;
+};
+
+/**
+ * Scheduled job: book newly generated occurrences for all active subscriptions
+ * @param {Object} io - Socket.IO instance (optional)
+ */
+const processSubscriptions = async (io) => {
+    try {
+        const subscriptions = await RideSubscription.find({ status: 'ACTIVE' });
+        let bookedCount = 0;
+
+        for (const subscription of subscriptions) {
+            try {
+                const { booked } = await processSubscription(subscription, { io });
+                bookedCount += booked.length;
+            } catch (error) {
+                console.error(`❌ [Subscription] Error processing subscription ${subscription._id}:`, error.message);
+            }
+        }
+
+        if (bookedCount > 0) {
+            console.log(`✅ [Scheduled Job] Created ${bookedCount} subscription bookings`);
+        }
+
+        return bookedCount;
+    } catch (error) {
+        console.error('❌ [Scheduled Job] Error processing subscriptions:', error.message);
+        return 0;
+    }
+};
+
+module.exports = {
+    bookOccurrence,
+    processSubscription,
+    processSubscriptions
+};
@@ -0,0 +1,153 @@
+/**
+ * Ride Watch Utility
+ * Notifies passengers watching a ride when its price drops or seats free up
+ */
+
+const Ride = require('../models/Ride');
+const Booking = require('../models/Booking');
+const RideWatch = require('../models/RideWatch');
+const Notification = require('../models/Notification');
+
+const SEAT_ALERT_COOLDOWN_MINUTES = 60; // One seat alert per watcher per hour
+
+/**
+ * Watches that should hear about a ride - skips the rider and passengers
+ * who already hold an active booking on it
+ */
+const findActiveWatches = async (ride, flag) => {
+    const watches = await RideWatch.find({ ride: ride._id, [flag]: true });
+    if (watches.length === 0) return [];
+
+    const bookedPassengers = await Booking.distinct('passenger', {
+        ride: ride._id,
+        status: { $in: ['PENDING', 'CONFIRMED', 'PICKUP_PENDING', 'PICKED_UP', 'IN_PROGRESS'] }
+    });
+    const excluded = new Set([ride.rider.toString(), ...bookedPassengers.map(id => id.toString())]);
+
+    return watches.filter(watch => !excluded.has(watch.user.toString()));
+};
+
+/**
+ * Create the in-app notification and push it over the socket
+ */
+const notifyWatcher = async (watch, ride, { type, title, message }, io) => {
+    await Notification.create({
+        user: watch.user,
+        type,
+        title,
+        message,
+        data: {
+            rideId: ride._id,
+            url: `/rides/${ride._id}`
+        }
+    });
+
+    if (io) {
+        io.to(`user-${watch.user}`).emit('notification', {
+            type,
+            title,
+            message,
+            rideId: ride._id,
+            timestamp: new Date()
+        });
+    }
+};
+
+const describeRide = (ride) => {
+    const from = (ride.route.start.name || ride.route.start.address || '').split(',')[0];
+    const to = (ride.route.destination.name || ride.route.destination.address || '').split(',')[0];
+    const date = new Date(ride.schedule.departureDateTime).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    return `${from} → ${to} on ${date}`;
+};
+
+/**
+ * Tell watchers that the price per seat went down
+ * @param {String} rideId
+ * @param {Number} oldPrice - Price per seat before the update
+ * @param {Object} io - Socket.IO instance (optional)
+ * @returns {Number} Watchers notified
+ */
+const notifyPriceDrop = async (rideId, oldPrice, io) => {
+    try {
+        const ride = await Ride.findById(rideId);
+        if (!ride || ride.status !== 'ACTIVE') return 0;
+
+        const newPrice = ride.pricing.pricePerSeat;
+        if (!(newPrice < oldPrice)) return 0;
+
+        const watches = await findActiveWatches(ride, 'notifyPriceDrop');
+        let notified = 0;
+
+        for (const watch of watches) {
+            // Only alert on a drop below the last price this watcher was told about
+            const referencePrice = watch.lastKnownPrice ?? oldPrice;
+            if (newPrice >= referencePrice) continue;
+
+            await notifyWatcher(watch, ride, {
+                type: 'PRICE_DROP',
+                title: 'Price Drop on a Watched Ride',
+                message: `${describeRide(ride)} is now ₹${newPrice}/seat (was ₹${referencePrice})`
+            }, io);
+
+            watch.lastKnownPrice = newPrice;
+            watch.lastPriceAlertAt = new Date();
+            await watch.save();
+            notified++;
+        }
+
+        if (notified > 0) {
+            console.log(`💸 [Ride Watch] Price drop on ride ${ride._id} sent to ${notified} watchers`);
+        }
+        return notified;
+    } catch (error) {
+        console.error('❌ [Ride Watch] Error sending price drop alerts:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * Tell watchers that seats were released on a ride (cancellation, rejection, expiry)
+ * @param {String} rideId
+ * @param {Object} io - Socket.IO instance (optional)
+ * @returns {Number} Watchers notified
+ */
+const notifySeatsAvailable = async (rideId, io) => {
+    try {
+        const ride = await Ride.findById(rideId);
+        if (!ride || ride.status !== 'ACTIVE' || ride.pricing.availableSeats < 1) return 0;
+        if (new Date(ride.schedule.departureDateTime) <= new Date()) return 0;
+
+        const watches = await findActiveWatches(ride, 'notifySeats');
+        const cooldownStart = new Date(Date.now() - SEAT_ALERT_COOLDOWN_MINUTES * 60 * 1000);
+        const seats = ride.pricing.availableSeats;
+        let notified = 0;
+
+        for (const watch of watches) {
+            if (watch.lastSeatAlertAt && watch.lastSeatAlertAt > cooldownStart) continue;
+
+            await notifyWatcher(watch, ride, {
+                type: 'SEATS_AVAILABLE',
+                title: 'Seats Available on a Watched Ride',
+                message: `${describeRide(ride)} now has ${seats} seat${seats > 1 ? 's' : ''} available`
+            }, io);
+
+            watch.lastSeatAlertAt = new Date();
+            await watch.save();
+            notified++;
+        }
+
+        if (notified > 0) {
+            console.log(`💺 [Ride Watch] Seat alert for ride ${ride._id} sent to ${notified} watchers`);
+        }
+        return notified;
+    } catch (error) {
+        console.error('❌ [Ride Watch] Error sending seat alerts:', error.message);
+        return 0;
+    }
+};
+
+module.exports = {
+    describeRide,
+    notifyPriceDrop,
+    notifySeatsAvailable
+};
@@ -4,14 +4,27 @@
  * Uses polyline geometry matching - checks if pickup/dropoff are ON the driver's route
  */
 
-const axios = require('axios');
 const helpers = require('./helpers');
+const geoService = require('./geoService');
 
 class RouteMatching {
     constructor() {
-        this.OSRM_URL = process.env.OSRM_API_URL || 'https://router.project-osrm.org';
         // How far from the route polyline a point can be and still be considered "on route"
         this.ROUTE_PROXIMITY_THRESHOLD = 5; // 5 km from route line
+        // Connection (two-ride) search defaults - overridable per search
+        this.TRANSFER_WALKING_RADIUS = 1; // km between drop-off of leg 1 and pickup of leg 2
+        this.MIN_LAYOVER_MINUTES = 10;
+        this.MAX_LAYOVER_MINUTES = 120;
+        this.WALKING_SPEED_KMH = 5;
+        this.TRANSFER_SAMPLE_POINTS = 150; // Polyline points compared per leg when looking for a transfer
+        // Time-window search
+        this.FLEXIBLE_TIMING_MINUTES = 30; // Rides marked flexibleTiming may shift this much either way
+        this.ARRIVE_BY_WINDOW_MINUTES = 60; // Default window before an arrive-by deadline
+        // Detour matching (driver's preferences.booking.maxDetourKm)
+        this.DETOUR_FREE_RADIUS = 0.5; // km a passenger can walk to the route at no detour cost
+        this.DETOUR_ROAD_FACTOR = 1.3; // Road distance vs straight line for detour estimates
+        this.DEFAULT_SPEED_KMH = 40; // When the ride has no usable distance/duration
+        this.DETOUR_REFINE_LIMIT = 10; // Search results re-checked against OSRM per search
         
         console.log('🔧 [RouteMatching] Initialized');
         console.log(`   ROUTE_PROXIMITY_THRESHOLD: ${this.ROUTE_PROXIMITY_THRESHOLD} km`);
@@ -91,13 +104,23 @@ class RouteMatching {
      * 2. Is passenger dropoff ON the driver's route polyline? (within threshold)
      * 3. Does dropoff come AFTER pickup along the route? (same direction)
      * 
+     * With options.maxDetourKm (the driver's limit) points further off the route
+     * are accepted as long as the estimated detour to serve them fits the limit
+     * 
      * @param {object} passengerRoute - { pickup: [lon, lat], dropoff: [lon, lat] }
      * @param {object} rideRoute - { geometry: { coordinates: [[lon, lat]...] }, distance: km }
+     * @param {object} options - { maxDetourKm }
      * @returns {object} Match result
      */
-    matchRoutes(passengerRoute, rideRoute) {
+    matchRoutes(passengerRoute, rideRoute, options = {}) {
         const { pickup, dropoff } = passengerRoute;
         const routeCoords = rideRoute.geometry?.coordinates;
+        const { maxDetourKm } = options;
+        const hasDetourLimit = typeof maxDetourKm === 'number' && maxDetourKm >= 0;
+        // Beyond this a round trip off the route can never fit the driver's limit
+        const threshold = hasDetourLimit
+            ? this.DETOUR_FREE_RADIUS + maxDetourKm / (2 * this.DETOUR_ROAD_FACTOR)
+            : this.ROUTE_PROXIMITY_THRESHOLD;
 
         // Validate route has geometry
         if (!routeCoords || routeCoords.length < 2) {
@@ -110,24 +133,24 @@ class RouteMatching {
         console.log(`    Checking ${routeCoords.length} polyline points...`);
 
         // Step 1: Check if PICKUP is on the route
-        const pickupResult = this.isPointOnRoute(pickup, routeCoords);
-        console.log(`    Pickup: ${pickupResult.isOnRoute ? '✅ ON ROUTE' : '❌ OFF ROUTE'} (${pickupResult.distance.toFixed(2)}km from route, threshold: ${this.ROUTE_PROXIMITY_THRESHOLD}km)`);
+        const pickupResult = this.isPointOnRoute(pickup, routeCoords, threshold);
+        console.log(`    Pickup: ${pickupResult.isOnRoute ? '✅ ON ROUTE' : '❌ OFF ROUTE'} (${pickupResult.distance.toFixed(2)}km from route, threshold: ${threshold.toFixed(1)}km)`);
         
         if (!pickupResult.isOnRoute) {
             return {
                 isMatch: false,
-                reason: `Pickup is ${pickupResult.distance.toFixed(1)}km from route (max ${this.ROUTE_PROXIMITY_THRESHOLD}km)`
+                reason: `Pickup is ${pickupResult.distance.toFixed(1)}km from route (max ${threshold.toFixed(1)}km)`
             };
         }
 
         // Step 2: Check if DROPOFF is on the route
-        const dropoffResult = this.isPointOnRoute(dropoff, routeCoords);
-        console.log(`    Dropoff: ${dropoffResult.isOnRoute ? '✅ ON ROUTE' : '❌ OFF ROUTE'} (${dropoffResult.distance.toFixed(2)}km from route, threshold: ${this.ROUTE_PROXIMITY_THRESHOLD}km)`);
+        const dropoffResult = this.isPointOnRoute(dropoff, routeCoords, threshold);
+        console.log(`    Dropoff: ${dropoffResult.isOnRoute ? '✅ ON ROUTE' : '❌ OFF ROUTE'} (${dropoffResult.distance.toFixed(2)}km from route, threshold: ${threshold.toFixed(1)}km)`);
         
         if (!dropoffResult.isOnRoute) {
             return {
                 isMatch: false,
-                reason: `Dropoff is ${dropoffResult.distance.toFixed(1)}km from route (max ${this.ROUTE_PROXIMITY_THRESHOLD}km)`
+                reason: `Dropoff is ${dropoffResult.distance.toFixed(1)}km from route (max ${threshold.toFixed(1)}km)`
             };
         }
 
@@ -152,6 +175,16 @@ class RouteMatching {
             dropoff[1], dropoff[0]
         );
 
+        // Extra driving to leave the route for pickup/dropoff and come back
+        const detour = this.estimateDetour(rideRoute, pickupResult.distance, dropoffResult.distance);
+        if (hasDetourLimit && detour.distance > maxDetourKm) {
+            return {
+                isMatch: false,
+                reason: `Needs a ${detour.distance.toFixed(1)}km detour (driver max ${maxDetourKm}km)`
+            };
+        }
+        detour.maxDetourKm = hasDetourLimit ? maxDetourKm : null;
+
         // Calculate match score based on how close points are to the route
         const pickupScore = Math.max(0, 50 - (pickupResult.distance / this.ROUTE_PROXIMITY_THRESHOLD) * 50);
         const dropoffScore = Math.max(0, 50 - (dropoffResult.distance / this.ROUTE_PROXIMITY_THRESHOLD) * 50);
@@ -172,10 +205,111 @@ class RouteMatching {
                 routeIndex: dropoffResult.closestIndex
             },
             segmentDistance: segmentDistance,
-            directDistance: directDistance
+            directDistance: directDistance,
+            detour,
+            detourPercent: rideRoute.distance ? Math.round(detour.distance / rideRoute.distance * 100) : 0
         };
     }
 
+    /**
+     * Average driving speed of a ride in km/h
+     */
+    getRouteSpeed(rideRoute) {
+        if (rideRoute.distance > 0 && rideRoute.duration > 0) {
+            return rideRoute.distance / (rideRoute.duration / 60);
+        }
+        return this.DEFAULT_SPEED_KMH;
+    }
+
+    /**
+     * Local detour estimate from how far pickup/dropoff lie off the route
+     * (there and back, beyond the walkable radius, scaled to road distance)
+     * @param {object} rideRoute - Ride route (distance km, duration min)
+     * @param {number} pickupOffset - km from the route
+     * @param {number} dropoffOffset - km from the route
+     * @returns {object} { distance: km, duration: minutes, source: 'ESTIMATE' }
+     */
+    estimateDetour(rideRoute, pickupOffset, dropoffOffset) {
+        const offRoute = Math.max(0, pickupOffset - this.DETOUR_FREE_RADIUS) + Math.max(0, dropoffOffset - this.DETOUR_FREE_RADIUS);
+        const distance = 2 * offRoute * this.DETOUR_ROAD_FACTOR;
+
+        return {
+            distance: Math.round(distance * 10) / 10,
+            duration: Math.round(distance / this.getRouteSpeed(rideRoute) * 60),
+            source: 'ESTIMATE'
+        };
+    }
+
+    /**
+     * Road detour from OSRM: start → pickup → dropoff → destination versus
+     * start → destination. Falls back to estimateDetour when OSRM fails
+     * @param {object} rideRoute - Ride route with start/destination coordinates
+     * @param {Array} pickup - [lon, lat]
+     * @param {Array} dropoff - [lon, lat]
+     * @returns {object} { distance: km, duration: minutes, source: 'OSRM' | 'ESTIMATE' }
+     */
+    async calculateDetour(rideRoute, pickup, dropoff) {
+        const pickupOnRoute = this.isPointOnRoute(pickup, rideRoute.geometry?.coordinates || []);
+        const dropoffOnRoute = this.isPointOnRoute(dropoff, rideRoute.geometry?.coordinates || []);
+
+        // Walkable offsets need no road check
+        if (pickupOnRoute.distance <= this.DETOUR_FREE_RADIUS && dropoffOnRoute.distance <= this.DETOUR_FREE_RADIUS) {
+            return { distance: 0, duration: 0, source: 'ESTIMATE' };
+        }
+
+        try {
+            const { distances, durations } = await this.getDistanceMatrix([
+                rideRoute.start.coordinates, pickup, dropoff, rideRoute.destination.coordinates
+            ]);
+            const direct = { distance: distances[0][3], duration: durations[0][3] };
+            const via = {
+                distance: distances[0][1] + distances[1][2] + distances[2][3],
+                duration: durations[0][1] + durations[1][2] + durations[2][3]
+            };
+            if (![direct.distance, via.distance, direct.duration, via.duration].every(Number.isFinite)) {
+                throw new Error('Unroutable detour');
+            }
+
+            return {
+                distance: Math.round(Math.max(0, via.distance - direct.distance) / 100) / 10,
+                duration: Math.round(Math.max(0, via.duration - direct.duration) / 60),
+                source: 'OSRM'
+            };
+        } catch (error) {
+            console.error('⚠️ [RouteMatching] Detour via OSRM failed, using estimate:', error.message);
+            return this.estimateDetour(rideRoute, pickupOnRoute.distance, dropoffOnRoute.distance);
+        }
+    }
+
+    /**
+     * Replace estimated detours of the top matches with OSRM road detours and
+     * drop matches that exceed the driver's limit once measured on the road
+     * @param {Array} matches - From findMatchingRides/rankByTimeWindow
+     * @param {object} passengerRoute - { pickup, dropoff }
+     * @returns {Array} Matches that still fit
+     */
+    async refineDetours(matches, passengerRoute) {
+        const refined = await Promise.all(matches.map(async (match, index) => {
+            const estimate = match.matchDetails.detour;
+            if (!estimate || estimate.distance === 0 || index >= this.DETOUR_REFINE_LIMIT) return match;
+
+            const detour = await this.calculateDetour(match.ride.route, passengerRoute.pickup, passengerRoute.dropoff);
+            detour.maxDetourKm = estimate.maxDetourKm;
+            if (estimate.maxDetourKm != null && detour.distance > estimate.maxDetourKm) {
+                console.log(`    ❌ Ride ${match.ride._id}: road detour ${detour.distance}km exceeds ${estimate.maxDetourKm}km`);
+                return null;
+            }
+
+            match.matchDetails.detour = detour;
+            match.matchDetails.detourPercent = match.ride.route.distance
+                ? Math.round(detour.distance / match.ride.route.distance * 100)
+                : 0;
+            return match;
+        }));
+
+        return refined.filter(Boolean);
+    }
+
     /**
      * Calculate distance along route between two indices
      */
@@ -223,8 +357,10 @@ class RouteMatching {
             console.log(`    Route: ${ride.route.start?.name} → ${ride.route.destination?.name}`);
             console.log(`    Polyline points: ${ride.route.geometry.coordinates.length}`);
 
-            // Match using polyline
-            const matchResult = this.matchRoutes(passengerRoute, ride.route);
+            // Match using polyline, within the driver's detour limit when known
+            const matchResult = this.matchRoutes(passengerRoute, ride.route, {
+                maxDetourKm: ride.rider?.preferences?.booking?.maxDetourKm
+            });
 
             if (matchResult.isMatch) {
                 console.log(`    ✅ MATCH! Score: ${matchResult.matchScore}, Quality: ${matchResult.matchQuality}`);
@@ -245,38 +381,280 @@ class RouteMatching {
     }
 
     /**
-     * Get route from OSRM
+     * Estimate when a ride passes a point of its polyline
+     * (linear along the polyline; autoReassignment.calculateEstimatedTime formats this)
+     * @returns {Date}
      */
-    async getRoute(coordinates) {
-        try {
-            const coordString = coordinates.map(c => `${c[0]},${c[1]}`).join(';');
-            
-            const url = `${this.OSRM_URL}/route/v1/driving/${coordString}`;
-            const params = {
-                overview: 'full',
-                geometries: 'geojson',
-                steps: false
-            };
+    estimateTimeAtIndex(ride, routeIndex) {
+        const departureTime = new Date(ride.schedule.departureDateTime);
+        const totalDuration = ride.route.duration || 60; // minutes
+        const totalPoints = ride.route.geometry?.coordinates?.length || 2;
 
-            const response = await axios.get(url, { params });
-            
-            if (response.data.code !== 'Ok') {
-                throw new Error('OSRM routing failed');
+        return new Date(departureTime.getTime() + (routeIndex / totalPoints) * totalDuration * 60 * 1000);
+    }
+
+    /**
+     * Find the closest pair of points where leg 1 (after fromIndex) passes
+     * near leg 2 (before toIndex)
+     * @param {Array} firstCoords - Leg 1 polyline
+     * @param {Number} fromIndex - Passenger pickup index on leg 1
+     * @param {Array} secondCoords - Leg 2 polyline
+     * @param {Number} toIndex - Passenger dropoff index on leg 2
+     * @param {Number} radius - Max walking distance in km
+     * @returns {Object|null} { firstIndex, secondIndex, firstPoint, secondPoint, distance }
+     */
+    findTransferPoint(firstCoords, fromIndex, secondCoords, toIndex, radius) {
+        const firstStride = Math.max(1, Math.ceil((firstCoords.length - fromIndex) / this.TRANSFER_SAMPLE_POINTS));
+        const secondStride = Math.max(1, Math.ceil(toIndex / this.TRANSFER_SAMPLE_POINTS));
+        let best = null;
+
+        for (let i = fromIndex + 1; i < firstCoords.length; i += firstStride) {
+            const point = firstCoords[i];
+
+            // Compare against leg 2 segments between sampled points (chords of the polyline)
+            for (let j = 0; j < toIndex; j += secondStride) {
+                const segmentEnd = secondCoords[Math.min(j + secondStride, toIndex)];
+                const closest = this.closestPointOnSegment(point, secondCoords[j], segmentEnd);
+                const distance = helpers.calculateDistance(point[1], point[0], closest[1], closest[0]);
+
+                if (distance <= radius && (!best || distance < best.distance)) {
+                    best = {
+                        firstIndex: i,
+                        secondIndex: j,
+                        firstPoint: point,
+                        secondPoint: closest,
+                        distance
+                    };
+                }
             }
+        }
+
+        return best;
+    }
+
+    /**
+     * Find two-ride connections for a passenger route:
+     * leg 1 from the pickup to a transfer point, leg 2 from there to the dropoff
+     * @param {object} passengerRoute - { pickup: [lon, lat], dropoff: [lon, lat] }
+     * @param {Array} availableRides - Rides with route geometry and schedule
+     * @param {object} options - { walkingRadiusKm, minLayoverMinutes, maxLayoverMinutes, maxResults }
+     * @returns {Array} Connections sorted by arrival time
+     */
+    findConnections(passengerRoute, availableRides, options = {}) {
+        const {
+            walkingRadiusKm = this.TRANSFER_WALKING_RADIUS,
+            minLayoverMinutes = this.MIN_LAYOVER_MINUTES,
+            maxLayoverMinutes = this.MAX_LAYOVER_MINUTES,
+            maxResults = 10
+        } = options;
+        const { pickup, dropoff } = passengerRoute;
+
+        console.log('🔍 [findConnections] Looking for transfers among', availableRides.length, 'rides');
+
+        // Split rides into possible first legs (pass the pickup) and second legs (pass the dropoff)
+        const firstLegs = [];
+        const secondLegs = [];
+        for (const ride of availableRides) {
+            const coords = ride.route?.geometry?.coordinates;
+            if (!coords || coords.length < 2) continue;
+
+            const pickupResult = this.isPointOnRoute(pickup, coords);
+            if (pickupResult.isOnRoute) firstLegs.push({ ride, pickupResult });
+
+            const dropoffResult = this.isPointOnRoute(dropoff, coords);
+            if (dropoffResult.isOnRoute) secondLegs.push({ ride, dropoffResult });
+        }
+
+        console.log(`  ${firstLegs.length} possible first legs, ${secondLegs.length} possible second legs`);
+
+        const connections = [];
+        for (const first of firstLegs) {
+            for (const second of secondLegs) {
+                if (first.ride._id.toString() === second.ride._id.toString()) continue;
+
+                const firstCoords = first.ride.route.geometry.coordinates;
+                const secondCoords = second.ride.route.geometry.coordinates;
+                const transfer = this.findTransferPoint(
+                    firstCoords,
+                    first.pickupResult.closestIndex,
+                    secondCoords,
+                    second.dropoffResult.closestIndex,
+                    walkingRadiusKm
+                );
+                if (!transfer) continue;
+
+                const arrivalAtTransfer = this.estimateTimeAtIndex(first.ride, transfer.firstIndex);
+                const departureFromTransfer = this.estimateTimeAtIndex(second.ride, transfer.secondIndex);
+                const walkingMinutes = Math.ceil((transfer.distance / this.WALKING_SPEED_KMH) * 60);
+                const layoverMinutes = Math.round((departureFromTransfer - arrivalAtTransfer) / (60 * 1000));
+
+                if (layoverMinutes < minLayoverMinutes + walkingMinutes || layoverMinutes > maxLayoverMinutes) {
+                    continue;
+                }
+
+                const departureTime = this.estimateTimeAtIndex(first.ride, first.pickupResult.closestIndex);
+                const arrivalTime = this.estimateTimeAtIndex(second.ride, second.dropoffResult.closestIndex);
+                const firstDistance = this.calculateRouteSegmentDistance(firstCoords, first.pickupResult.closestIndex, transfer.firstIndex);
+                const secondDistance = this.calculateRouteSegmentDistance(secondCoords, transfer.secondIndex, second.dropoffResult.closestIndex);
+
+                connections.push({
+                    legs: [
+                        {
+                            ride: first.ride,
+                            pickupPoint: {
+                                coordinates: first.pickupResult.closestPoint,
+                                distanceFromRoute: first.pickupResult.distance,
+                                routeIndex: first.pickupResult.closestIndex
+                            },
+                            dropoffPoint: {
+                                coordinates: transfer.firstPoint,
+                                routeIndex: transfer.firstIndex
+                            },
+                            departureTime,
+                            arrivalTime: arrivalAtTransfer,
+                            segmentDistance: firstDistance
+                        },
+                        {
+                            ride: second.ride,
+                            pickupPoint: {
+                                coordinates: transfer.secondPoint,
+                                routeIndex: transfer.secondIndex
+                            },
+                            dropoffPoint: {
+                                coordinates: second.dropoffResult.closestPoint,
+                                distanceFromRoute: second.dropoffResult.distance,
+                                routeIndex: second.dropoffResult.closestIndex
+                            },
+                            departureTime: departureFromTransfer,
+                            arrivalTime,
+                            segmentDistance: secondDistance
+                        }
+                    ],
+                    transfer: {
+                        coordinates: transfer.firstPoint,
+                        walkingDistance: transfer.distance,
+                        walkingMinutes,
+                        layoverMinutes
+                    },
+                    departureTime,
+                    arrivalTime,
+                    totalDuration: Math.round((arrivalTime - departureTime) / (60 * 1000)),
+                    totalDistance: firstDistance + secondDistance
+                });
+            }
+        }
+
+        // Earliest arrival first, shorter overall trip breaks ties
+        connections.sort((a, b) => (a.arrivalTime - b.arrivalTime) || (a.totalDuration - b.totalDuration));
+
+        console.log(`🎯 [findConnections] Total connections: ${connections.length}`);
+        return connections.slice(0, maxResults);
+    }
+
+    /**
+     * Rank matches by how close their estimated pickup (or drop-off, in arrive-by
+     * mode) is to a time window on each ride's own day
+     * @param {Array} matches - Output of findMatchingRides
+     * @param {object} options - { searchDate, timeFrom: "HH:MM", timeTo: "HH:MM", arriveBy }
+     * @returns {Array} Matches with a `timing` object, best first; arrive-by drops late rides
+     */
+    rankByTimeWindow(matches, options = {}) {
+        const { searchDate, timeFrom, timeTo, arriveBy = false } = options;
+        const hasWindow = Boolean(timeFrom || timeTo);
+        const startOfSearch = new Date(searchDate);
+        startOfSearch.setHours(0, 0, 0, 0);
+
+        const atTime = (day, hhmm) => {
+            const [hours, minutes] = hhmm.split(':').map(Number);
+            const date = new Date(day);
+            date.setHours(hours, minutes, 0, 0);
+            return date;
+        };
+
+        const ranked = [];
+        for (const match of matches) {
+            const { ride, matchDetails } = match;
+            const estimatedPickupTime = this.estimateTimeAtIndex(ride, matchDetails.pickupPoint.routeIndex);
+            const estimatedDropoffTime = this.estimateTimeAtIndex(ride, matchDetails.dropoffPoint.routeIndex);
+            const target = arriveBy ? estimatedDropoffTime : estimatedPickupTime;
+
+            const day = new Date(target);
+            day.setHours(0, 0, 0, 0);
+            const dayOffset = Math.round((day - startOfSearch) / (24 * 60 * 60 * 1000));
+
+            let timeDeviation = 0;
+            if (hasWindow) {
+                const windowEnd = timeTo ? atTime(day, timeTo) : atTime(day, '23:59');
+                const windowStart = timeFrom
+                    ? atTime(day, timeFrom)
+                    : arriveBy
+                        ? new Date(windowEnd.getTime() - this.ARRIVE_BY_WINDOW_MINUTES * 60 * 1000)
+                        : day;
+                const tolerance = ride.schedule?.flexibleTiming ? this.FLEXIBLE_TIMING_MINUTES : 0;
+
+                // Arriving after the deadline defeats the purpose of arrive-by
+                if (arriveBy && target > new Date(windowEnd.getTime() + tolerance * 60 * 1000)) {
+                    continue;
+                }
+
+                const minutesOutside = target < windowStart
+                    ? (windowStart - target) / (60 * 1000)
+                    : target > windowEnd
+                        ? (target - windowEnd) / (60 * 1000)
+                        : 0;
+                timeDeviation = Math.max(0, Math.round(minutesOutside - tolerance));
+            }
+
+            ranked.push({
+                ...match,
+                timing: {
+                    estimatedPickupTime,
+                    estimatedDropoffTime,
+                    dayOffset,
+                    timeDeviation,
+                    withinWindow: timeDeviation === 0
+                }
+            });
+        }
+
+        // Closest to the window first, then closest to the requested day, then best route match
+        ranked.sort((a, b) =>
+            (a.timing.timeDeviation - b.timing.timeDeviation) ||
+            (Math.abs(a.timing.dayOffset) - Math.abs(b.timing.dayOffset)) ||
+            (b.matchDetails.matchScore - a.matchDetails.matchScore)
+        );
+
+        return ranked;
+    }
+
+    /**
+     * Get driving route through coordinates
+     */
+    async getRoute(coordinates) {
+        try {
+            const [route] = await geoService.route(coordinates);
 
-            const route = response.data.routes[0];
-            
             return {
                 geometry: route.geometry,
-                distance: route.distance / 1000, // Convert to km
-                duration: route.duration / 60 // Convert to minutes
+                distance: route.distance, // km
+                duration: route.duration // minutes
             };
         } catch (error) {
-            console.error('OSRM routing error:', error.message);
+            console.error('Routing error:', error.message);
             throw new Error('Failed to calculate route');
         }
     }
 
+    /**
+     * Get travel durations/distances between points
+     * @param {Array} coordinates - [[lon, lat], ...]
+     * @param {object} options - { sources, destinations } index arrays (default: all points)
+     * @returns {object} { durations: seconds[][], distances: meters[][] }
+     */
+    async getDistanceMatrix(coordinates, options = {}) {
+        return geoService.table(coordinates, options);
+    }
+
     /**
      * Check if current location deviates from planned route
      */
@@ -0,0 +1,286 @@
+/**
+ * Safety Zones Utility
+ * Registry of the admin-managed safe and danger zones
+ *
+ * Zones are turned into the shapes GeoFencing works with (danger zones as
+ * polygon rings, circles included; safe zones as center + radius or a ring)
+ * and cached in memory, as every location update checks them. Admin changes
+ * clear the cache, so other server instances pick them up within CACHE_MS
+ */
+
+const turf = require('@turf/turf');
+const SafetyZone = require('../models/SafetyZone');
+const GeoFencing = require('./geoFencing');
+
+const CACHE_MS = 60 * 1000;
+const CIRCLE_STEPS = 32;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class SafetyZonesService {
+    constructor() {
+        this.cache = null;
+        this.loadedAt = 0;
+    }
+
+    /**
+     * Validate admin input into zone fields
+     * @param {Object} input - Request body
+     * @param {Object} options - { partial, current } - current is the stored zone on updates
+     */
+    normalize(input, { partial = false, current = null } = {}) {
+        const fields = {};
+        const has = (field) => input[field] !== undefined;
+        const point = (value, label) => {
+            const coordinates = value?.map(Number);
+            if (!coordinates || coordinates.length !== 2 || !coordinates.every(Number.isFinite) ||
+                Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+                throw new Error(`${label} needs [longitude, latitude] coordinates`);
+            }
+            return coordinates;
+        };
+
+        if (has('name') || !partial) {
+            if (!input.name || !String(input.name).trim()) throw new Error('Zone name is required');
+            fields.name = String(input.name).trim().slice(0, 100);
+        }
+
+        const kind = has('kind') ? input.kind : current?.kind;
+        if (has('kind') || !partial) {
+            if (!['SAFE', 'DANGER'].includes(input.kind)) throw new Error('Zone kind must be SAFE or DANGER');
+            fields.kind = input.kind;
+        }
+
+        if (has('category') || has('kind')) {
+            const allowed = kind === 'SAFE' ? SafetyZone.SAFE_CATEGORIES : SafetyZone.DANGER_CATEGORIES;
+            const category = input.category || (allowed.includes(current?.category) ? current.category : 'OTHER');
+            if (!allowed.includes(category)) {
+                throw new Error(`${category} is not a ${kind.toLowerCase()} zone category`);
+            }
+            fields.category = category;
+        }
+
+        // The shape is replaced as a whole
+        if (has('shape') || !partial) {
+            if (input.shape === 'CIRCLE') {
+                fields.shape = 'CIRCLE';
+                fields.center = point(input.center, 'Zone center');
+                const radius = Number(input.radius);
+                if (!Number.isFinite(radius) || radius < 10 || radius > 20000) {
+                    throw new Error('Zone radius must be between 10 and 20000 meters');
+                }
+                fields.radius = Math.round(radius);
+                fields.polygon = [];
+            } else if (input.shape === 'POLYGON') {
+                const ring = (input.polygon || []).map((vertex, index) => point(vertex, `Polygon point ${index + 1}`));
+                const [first, last] = [ring[0], ring[ring.length - 1]];
+                if (ring.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) {
+                    ring.push([...first]);
+                }
+                if (ring.length < 4) throw new Error('A polygon needs at least 3 points');
+                if (turf.kinks(turf.polygon([ring])).features.length > 0) {
+                    throw new Error('Polygon edges must not cross each other');
+                }
+                fields.shape = 'POLYGON';
+                fields.polygon = ring;
+                fields.center = undefined;
+                fields.radius = undefined;
+            } else {
+                throw new Error('Zone shape must be CIRCLE or POLYGON');
+            }
+        }
+
+        if (has('riskLevel')) {
+            if (!['LOW', 'MEDIUM', 'HIGH'].includes(input.riskLevel)) throw new Error('Risk level must be LOW, MEDIUM or HIGH');
+            fields.riskLevel = input.riskLevel;
+        }
+        if (has('reason')) fields.reason = input.reason ? String(input.reason).slice(0, 300) : undefined;
+        if (has('recommendations')) {
+            const list = Array.isArray(input.recommendations)
+                ? input.recommendations
+                : String(input.recommendations || '').split('\n');
+            fields.recommendations = list.map(item => String(item).trim()).filter(Boolean).slice(0, 10);
+        }
+
+        if (has('activeHours')) {
+            const { start, end } = input.activeHours || {};
+            if (!start && !end) {
+                fields.activeHours = undefined;
+            } else {
+                if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+                    throw new Error('Active hours need a start and end time as HH:mm');
+                }
+                if (start === end) throw new Error('Active hours start and end cannot be the same');
+                fields.activeHours = { start, end };
+            }
+        }
+        if (has('activeDays')) {
+            const days = (input.activeDays || []).map(Number);
+            if (!days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                throw new Error('Active days must be 0 (Sunday) to 6 (Saturday)');
+            }
+            fields.activeDays = [...new Set(days)].sort();
+        }
+        if (has('active')) fields.active = Boolean(input.active);
+
+        return fields;
+    }
+
+    /**
+     * Whether a zone applies at a given time (server local time)
+     */
+    isActiveAt(zone, date = new Date()) {
+        if (zone.activeDays?.length && !zone.activeDays.includes(date.getDay())) {
+            return false;
+        }
+
+        const { start, end } = zone.activeHours || {};
+        if (!start || !end) return true;
+
+        const minutes = (time) => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        };
+        const now = date.getHours() * 60 + date.getMinutes();
+        const from = minutes(start);
+        const to = minutes(end);
+
+        // Overnight windows (22:00 - 05:00) wrap past midnight
+        return from < to ? now >= from && now < to : now >= from || now < to;
+    }
+
+    /**
+     * Polygon ring of a zone (circles are approximated)
+     */
+    toRing(zone) {
+        if (zone.shape === 'POLYGON') return zone.polygon;
+        return turf.circle(zone.center, zone.radius / 1000, { steps: CIRCLE_STEPS, units: 'kilometers' })
+            .geometry.coordinates[0];
+    }
+
+    /**
+     * Zone in the format GeoFencing's zone checks take
+     */
+    toGeoFence(zone) {
+        const base = { _id: zone._id, name: zone.name, category: zone.category, activeHours: zone.activeHours, activeDays: zone.activeDays };
+
+        if (zone.kind === 'SAFE') {
+            return zone.shape === 'CIRCLE'
+                ? { ...base, coordinates: zone.center, radius: zone.radius, type: zone.category }
+                : { ...base, polygon: zone.polygon, type: zone.category };
+        }
+
+        return {
+            ...base,
+            polygon: this.toRing(zone),
+            riskLevel: zone.riskLevel,
+            reason: zone.reason,
+            recommendations: zone.recommendations || []
+        };
+    }
+
+    /**
+     * Enabled zones converted for GeoFencing, cached
+     */
+    async load() {
+        if (this.cache && Date.now() - this.loadedAt < CACHE_MS) {
+            return this.cache;
+        }
+
+        const zones = await SafetyZone.find({ active: true }).lean();
+        const fences = [];
+        zones.forEach(zone => {
+            try {
+                fences.push({ kind: zone.kind, fence: this.toGeoFence(zone) });
+            } catch (error) {
+                console.error(`❌ [Safety Zones] Skipping invalid zone ${zone._id}:`, error.message);
+            }
+        });
+
+        this.cache = fences;
+        this.loadedAt = Date.now();
+        return fences;
+    }
+
+    /**
+     * Drop the cache after zones change
+     */
+    invalidate() {
+        this.cache = null;
+        this.loadedAt = 0;
+    }
+
+    /**
+     * Safe and danger zones that apply at a time
+     * @returns {Object} - { safe, danger }
+     */
+    async getZones(date = new Date()) {
+        const fences = await this.load();
+        const current = fences.filter(({ fence }) => this.isActiveAt(fence, date));
+        return {
+            safe: current.filter(z => z.kind === 'SAFE').map(z => z.fence),
+            danger: current.filter(z => z.kind === 'DANGER').map(z => z.fence)
+        };
+    }
+
+    /**
+     * Closest safe zone to a location, for pointing people somewhere safer
+     */
+    nearestSafeZone(location, safeZones) {
+        const point = turf.point([location.lng, location.lat]);
+        let nearest = null;
+
+        safeZones.forEach(zone => {
+            const center = zone.polygon ? turf.centroid(turf.polygon([zone.polygon])) : turf.point(zone.coordinates);
+            const distance = turf.distance(point, center, { units: 'meters' });
+            if (!nearest || distance < nearest.distance) {
+                nearest = {
+                    zoneId: zone._id,
+                    name: zone.name,
+                    type: zone.type,
+                    distance: Math.round(distance),
+                    coordinates: center.geometry.coordinates
+                };
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Check a live position against the zones in force now
+     * @param {Object} location - { lat, lng }
+     * @returns {Object} - { safeZone, dangerZone, nearestSafeZone }
+     */
+    async check(location, date = new Date()) {
+        const { safe, danger } = await this.getZones(date);
+        const dangerZone = GeoFencing.checkDangerZones(location, danger);
+
+        return {
+            safeZone: GeoFencing.checkSafeZones(location, safe),
+            dangerZone,
+            nearestSafeZone: dangerZone.inDangerZone && safe.length > 0 ? this.nearestSafeZone(location, safe) : null
+        };
+    }
+
+    /**
+     * Danger zones a planned route passes through while the ride is under way
+     * @param {Array} routeCoordinates - [lng, lat] pairs
+     * @param {Date} departure - Departure time
+     * @param {Number} durationMinutes - Planned duration (zones active at arrival count too)
+     */
+    async analyzeRoute(routeCoordinates, departure, durationMinutes = 0) {
+        if (!routeCoordinates || routeCoordinates.length < 2) return [];
+
+        const start = new Date(departure);
+        const arrival = new Date(start.getTime() + (durationMinutes || 0) * 60 * 1000);
+        const fences = await this.load();
+        const danger = fences
+            .filter(z => z.kind === 'DANGER')
+            .map(z => z.fence)
+            .filter(fence => this.isActiveAt(fence, start) || this.isActiveAt(fence, arrival));
+
+        return GeoFencing.analyzeRouteRisks(routeCoordinates, danger);
+    }
+}
+
+module.exports = new SafetyZonesService();
@@ -5,6 +5,14 @@
 
 const Ride = require('../models/Ride');
 const Booking = require('../models/Booking');
+const { generateSeriesOccurrences } = require('./rideSeries');
+const { processSubscriptions } = require('./rideSubscriptions');
+const { handleLegCancelled } = require('./itineraries');
+const waitlist = require('./waitlist');
+const walletService = require('./wallet');
+const payouts = require('./payouts');
+const invoices = require('./invoices');
+const bookingChanges = require('./bookingChanges');
 
 /**
  * Mark rides as expired if departure time has passed
@@ -42,23 +50,28 @@ const expireOldRides = async () => {
  * Expire pending bookings that haven't been responded to
  * Default timeout: 15 minutes (configurable)
  */
-const expirePendingBookings = async (timeoutMinutes = 15) => {
+const expirePendingBookings = async (timeoutMinutes = 15, subscriptionTimeoutHours = 24) => {
     const now = new Date();
     const cutoffTime = new Date(now.getTime() - timeoutMinutes * 60 * 1000);
+    // Subscription bookings are created days ahead - give the rider longer to respond
+    const subscriptionCutoffTime = new Date(now.getTime() - subscriptionTimeoutHours * 60 * 60 * 1000);
     
     try {
         // Find PENDING bookings older than timeout
         const expiredBookings = await Booking.find({
             status: 'PENDING',
-            createdAt: { $lt: cutoffTime }
+            $or: [
+                { subscription: { $exists: false }, createdAt: { $lt: cutoffTime } },
+                { subscription: { $exists: true }, createdAt: { $lt: subscriptionCutoffTime } }
+            ]
         }).populate('ride');
         
         let expiredCount = 0;
         
         for (const booking of expiredBookings) {
-            // Expire the booking
-            await Booking.findByIdAndUpdate(booking._id, {
-                $set: { 
+            // Expire the booking - only if the rider has not accepted or rejected it meanwhile
+            const expired = await Booking.findOneAndUpdate({ _id: booking._id, status: 'PENDING' }, {
+                $set: {
                     status: 'EXPIRED',
                     'cancellation.cancelled': true,
                     'cancellation.cancelledBy': 'SYSTEM',
@@ -66,12 +79,31 @@ const expirePendingBookings = async (timeoutMinutes = 15) => {
                     'cancellation.cancelledAt': new Date()
                 }
             });
-            
+            if (!expired) continue;
+
+            // Free a wallet hold, or refund a booking that was prepaid online
+            try {
+                const settlement = await walletService.settleCancelledBooking(booking, { reason: 'Booking request timed out' });
+                if (settlement.refunded) await booking.save();
+            } catch (walletError) {
+                console.error(`❌ [Scheduled Job] Wallet settlement failed for booking ${booking._id}:`, walletError.message);
+            }
+
             // Restore seats to ride
             if (booking.ride) {
                 await Ride.findByIdAndUpdate(booking.ride._id, {
                     $inc: { 'pricing.availableSeats': booking.seatsBooked }
                 });
+                await waitlist.handleSeatsReleased(booking.ride._id);
+            }
+
+            // An expired leg breaks its connecting trip
+            if (booking.itinerary) {
+                try {
+                    await handleLegCancelled(booking, { reason: 'Booking request timed out' });
+                } catch (itineraryError) {
+                    console.error(`❌ [Scheduled Job] Itinerary update failed for booking ${booking._id}:`, itineraryError.message);
+                }
             }
             
             expiredCount++;
@@ -88,6 +120,19 @@ const expirePendingBookings = async (timeoutMinutes = 15) => {
     }
 };
 
+/**
+ * Expire booking change requests the rider never answered before the ride
+ * left (or whose booking was cancelled, rejected or expired) and free their seats
+ */
+const expireBookingChanges = async () => {
+    try {
+        return await bookingChanges.expireStale();
+    } catch (error) {
+        console.error('❌ [Scheduled Job] Error expiring booking changes:', error.message);
+        return 0;
+    }
+};
+
 /**
  * Clean up orphaned chats (no messages for 30 days after ride completed)
  */
@@ -97,17 +142,51 @@ const cleanupOldChats = async (daysOld = 30) => {
     return 0;
 };
 
+/**
+ * Generate a driver payout batch for admin approval once per payout interval
+ * @returns {Number} Drivers included in the new batch (0 if none was due)
+ */
+const generatePayoutBatches = async () => {
+    try {
+        const batch = await payouts.generateIfDue();
+        return batch ? batch.payouts.length : 0;
+    } catch (error) {
+        console.error('❌ [Scheduled Job] Error generating payout batch:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * Email drivers their earnings statement once a month has ended
+ * @returns {Number} Statements issued
+ */
+const issueDriverStatements = async () => {
+    try {
+        return await invoices.issueMonthlyStatements();
+    } catch (error) {
+        console.error('❌ [Scheduled Job] Error issuing driver statements:', error.message);
+        return 0;
+    }
+};
+
 /**
  * Run all scheduled jobs
+ * @param {Object} io - Socket.IO instance for real-time notifications (optional)
  */
-const runAllJobs = async () => {
+const runAllJobs = async (io) => {
     console.log('🕐 [Scheduled Jobs] Running scheduled jobs...');
     const startTime = Date.now();
     
     const results = {
         expiredRides: await expireOldRides(),
         expiredBookings: await expirePendingBookings(),
-        cleanedChats: await cleanupOldChats()
+        expiredBookingChanges: await expireBookingChanges(),
+        closedWaitlistEntries: await waitlist.expireWaitlist(io),
+        cleanedChats: await cleanupOldChats(),
+        generatedSeriesRides: await generateSeriesOccurrences(io),
+        subscriptionBookings: await processSubscriptions(io),
+        payoutDrivers: await generatePayoutBatches(),
+        driverStatements: await issueDriverStatements()
     };
     
     const duration = Date.now() - startTime;
@@ -119,6 +198,12 @@ const runAllJobs = async () => {
 module.exports = {
     expireOldRides,
     expirePendingBookings,
+    expireBookingChanges,
+    expireWaitlist: waitlist.expireWaitlist,
     cleanupOldChats,
+    generateSeriesOccurrences,
+    processSubscriptions,
+    generatePayoutBatches,
+    issueDriverStatements,
     runAllJobs
 };
@@ -0,0 +1,77 @@
+/**
+ * Socket Access Utility
+ * Who may join which Socket.IO room. Rooms carry live driver positions,
+ * safety alerts and chat, so every join is checked against the session user:
+ * - ride-<id>: the driver, passengers with an accepted booking, admins
+ * - booking-<id> / tracking-<id>: the booking's passenger and driver, admins
+ * - chat-<id>: the chat's participants, admins
+ * - admin-room: admins
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Ride = require('../models/Ride');
+const Booking = require('../models/Booking');
+const Chat = require('../models/Chat');
+
+// Bookings that do not (or no longer) entitle the passenger to follow the ride
+const EXCLUDED_BOOKING_STATUSES = ['PENDING', 'REJECTED', 'EXPIRED', 'CANCELLED'];
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+
+const isAdmin = async (userId) => {
+    if (!isId(userId)) return false;
+    const user = await User.findById(userId).select('role');
+    return user?.role === 'ADMIN';
+};
+
+/**
+ * @returns {Boolean} Whether the user drives the ride, rides in it or is an admin
+ */
+const canAccessRide = async (userId, rideId) => {
+    if (!isId(userId) || !isId(rideId)) return false;
+
+    const [driving, riding] = await Promise.all([
+        Ride.exists({ _id: rideId, rider: userId }),
+        Booking.exists({ ride: rideId, passenger: userId, status: { $nin: EXCLUDED_BOOKING_STATUSES } })
+    ]);
+    return Boolean(driving || riding) || isAdmin(userId);
+};
+
+/**
+ * @returns {Object|null} The ride, if the user is its driver
+ */
+const findDrivenRide = async (userId, rideId) => {
+    if (!isId(userId) || !isId(rideId)) return null;
+    return Ride.findOne({ _id: rideId, rider: userId }).select('_id status');
+};
+
+/**
+ * @returns {Boolean} Whether the user is the booking's passenger or driver, or an admin
+ */
+const canAccessBooking = async (userId, bookingId) => {
+    if (!isId(userId) || !isId(bookingId)) return false;
+
+    const booking = await Booking.exists({ _id: bookingId, $or: [{ passenger: userId }, { rider: userId }] });
+    return Boolean(booking) || isAdmin(userId);
+};
+
+/**
+ * @returns {Object|null} The chat, if the user takes part in it (or is an admin)
+ */
+const findAccessibleChat = async (userId, chatId) => {
+    if (!isId(userId) || !isId(chatId)) return null;
+
+    const chat = await Chat.findById(chatId).select('booking participants');
+    if (!chat) return null;
+    const participant = chat.participants.some(p => p.toString() === String(userId));
+    return participant || await isAdmin(userId) ? chat : null;
+};
+
+module.exports = {
+    isAdmin,
+    canAccessRide,
+    findDrivenRide,
+    canAccessBooking,
+    findAccessibleChat
+};
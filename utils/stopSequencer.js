@@ -0,0 +1,251 @@
+/**
+ * Stop Sequencer Utility
+ * Orders a ride's passenger pickups and drop-offs to minimise driving time,
+ * regenerates the route through those stops and refreshes each booking's ETAs
+ */
+
+const Ride = require('../models/Ride');
+const Booking = require('../models/Booking');
+const routeMatching = require('./routeMatching');
+const helpers = require('./helpers');
+
+const STOP_DWELL_MINUTES = 2; // Time spent at each pickup/drop-off
+const FALLBACK_SPEED_KMH = 40; // Used when the OSRM table is unavailable
+const MAX_EXACT_STOPS = 14; // Above this, fall back to greedy ordering
+
+// Bookings that still need a pickup, and those already on board
+const AWAITING_PICKUP = ['CONFIRMED', 'PICKUP_PENDING'];
+const ON_BOARD = ['PICKED_UP', 'IN_TRANSIT', 'DROPOFF_PENDING'];
+
+/**
+ * Turn bookings into pickup/drop-off stops
+ * Passengers already on board only need their drop-off
+ */
+const buildStops = (bookings) => {
+    const stops = [];
+
+    for (const booking of bookings) {
+        if (AWAITING_PICKUP.includes(booking.status)) {
+            stops.push({
+                booking: booking._id,
+                type: 'PICKUP',
+                name: booking.pickupPoint.name,
+                address: booking.pickupPoint.address,
+                coordinates: booking.pickupPoint.coordinates
+            });
+        }
+        stops.push({
+            booking: booking._id,
+            type: 'DROPOFF',
+            name: booking.dropoffPoint.name,
+            address: booking.dropoffPoint.address,
+            coordinates: booking.dropoffPoint.coordinates
+        });
+    }
+
+    return stops;
+};
+
+/**
+ * Straight-line travel matrix when OSRM is unreachable
+ */
+const estimateMatrix = (points) => {
+    const distances = points.map(a => points.map(b => helpers.calculateDistance(a[1], a[0], b[1], b[0]) * 1000));
+    const durations = distances.map(row => row.map(m => (m / 1000) / FALLBACK_SPEED_KMH * 3600));
+    return { distances, durations };
+};
+
+/**
+ * Greedy ordering: always drive to the nearest stop that can be visited next
+ */
+const orderGreedy = (n, cost, canVisit) => {
+    const order = [];
+    let visited = 0;
+    let current = 0;
+    while (order.length < n) {
+        let best = -1;
+        for (let i = 0; i < n; i++) {
+            if ((visited & (1 << i)) || !canVisit(i, visited)) continue;
+            if (best === -1 || cost[current][i + 1] < cost[current][best + 1]) best = i;
+        }
+        order.push(best);
+        visited |= 1 << best;
+        current = best + 1;
+    }
+    return order;
+};
+
+/**
+ * Cheapest order of stops from the first point to the last point
+ * Pickups must come before the matching drop-off
+ * @param {Array} stops - From buildStops
+ * @param {Array} cost - Square matrix over [origin, ...stops, destination]
+ * @returns {Array} Stop indices in visiting order
+ */
+const orderStops = (stops, cost) => {
+    const n = stops.length;
+    const end = n + 1;
+    if (n === 0) return [];
+
+    // Index of the pickup each drop-off depends on (-1 when already on board)
+    const requires = stops.map((stop, i) => (
+        stop.type === 'DROPOFF'
+            ? stops.findIndex((s, j) => j !== i && s.type === 'PICKUP' && s.booking.toString() === stop.booking.toString())
+            : -1
+    ));
+    const canVisit = (i, visited) => requires[i] === -1 || (visited & (1 << requires[i])) !== 0;
+
+    if (n > MAX_EXACT_STOPS) return orderGreedy(n, cost, canVisit);
+
+    // Exact: dynamic programming over visited subsets
+    const full = (1 << n) - 1;
+    const best = Array.from({ length: 1 << n }, () => new Array(n).fill(Infinity));
+    const parent = Array.from({ length: 1 << n }, () => new Array(n).fill(-1));
+
+    for (let i = 0; i < n; i++) {
+        if (requires[i] === -1) best[1 << i][i] = cost[0][i + 1];
+    }
+
+    for (let mask = 1; mask <= full; mask++) {
+        for (let last = 0; last < n; last++) {
+            const current = best[mask][last];
+            if (current === Infinity) continue;
+            for (let next = 0; next < n; next++) {
+                if ((mask & (1 << next)) || !canVisit(next, mask)) continue;
+                const nextMask = mask | (1 << next);
+                const total = current + cost[last + 1][next + 1];
+                if (total < best[nextMask][next]) {
+                    best[nextMask][next] = total;
+                    parent[nextMask][next] = last;
+                }
+            }
+        }
+    }
+
+    let last = 0;
+    for (let i = 1; i < n; i++) {
+        if (best[full][i] + cost[i + 1][end] < best[full][last] + cost[last + 1][end]) last = i;
+    }
+
+    const order = [];
+    let mask = full;
+    while (last !== -1) {
+        order.unshift(last);
+        const prev = parent[mask][last];
+        mask &= ~(1 << last);
+        last = prev;
+    }
+
+    // Unroutable legs leave no complete exact path
+    return order.length === n ? order : orderGreedy(n, cost, canVisit);
+};
+
+const formatTime = (date) => date.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Compute and save the optimal stop order for a ride
+ * @param {String} rideId
+ * @param {Object} options - { io } to push the new manifest to the driver
+ * @returns {Object|null} The ride's stopSequence, or null when there is nothing to sequence
+ */
+const sequenceRideStops = async (rideId, { io } = {}) => {
+    const ride = await Ride.findById(rideId);
+    if (!ride || !['ACTIVE', 'IN_PROGRESS'].includes(ride.status)) return null;
+
+    const bookings = await Booking.find({
+        ride: ride._id,
+        status: { $in: [...AWAITING_PICKUP, ...ON_BOARD] }
+    });
+
+    const stops = buildStops(bookings);
+
+    // Once the trip is under way, sequence from where the driver is now
+    const liveLocation = ride.status === 'IN_PROGRESS' && ride.tracking?.currentLocation?.coordinates;
+    const origin = liveLocation?.length === 2 ? liveLocation : ride.route.start.coordinates;
+    const points = [origin, ...stops.map(s => s.coordinates), ride.route.destination.coordinates];
+
+    let matrix;
+    let source = 'OSRM';
+    try {
+        matrix = await routeMatching.getDistanceMatrix(points);
+    } catch (error) {
+        console.error('⚠️ [Stop Sequencer] Distance matrix unavailable, using estimates:', error.message);
+        matrix = estimateMatrix(points);
+        source = 'ESTIMATE';
+    }
+
+    // OSRM returns null for unroutable pairs
+    const durations = matrix.durations.map(row => row.map(d => (d === null ? Infinity : d)));
+    const order = orderStops(stops, durations);
+
+    // ETAs along the chosen order
+    const departure = new Date(ride.schedule.departureDateTime);
+    const startTime = Math.max(departure.getTime(), Date.now());
+    let elapsed = 0; // seconds
+    let distance = 0; // meters
+    let previous = 0;
+
+    const sequenced = order.map((stopIndex, position) => {
+        elapsed += durations[previous][stopIndex + 1];
+        distance += matrix.distances[previous][stopIndex + 1] || 0;
+        previous = stopIndex + 1;
+
+        const stop = {
+            ...stops[stopIndex],
+            order: position + 1,
+            estimatedArrival: Number.isFinite(elapsed) ? new Date(startTime + elapsed * 1000) : undefined
+        };
+        elapsed += STOP_DWELL_MINUTES * 60;
+        return stop;
+    });
+
+    elapsed += durations[previous][points.length - 1];
+    distance += matrix.distances[previous][points.length - 1] || 0;
+
+    // Regenerate the driving route through the stops (only before departure)
+    if (ride.status === 'ACTIVE') {
+        try {
+            const waypoints = [ride.route.start.coordinates, ...sequenced.map(s => s.coordinates), ride.route.destination.coordinates];
+            const route = await routeMatching.getRoute(waypoints);
+            ride.route.geometry = route.geometry;
+            ride.route.distance = route.distance;
+            ride.route.duration = route.duration;
+        } catch (error) {
+            console.error('⚠️ [Stop Sequencer] Keeping previous route geometry:', error.message);
+        }
+    }
+
+    ride.stopSequence = {
+        stops: sequenced,
+        totalDistance: Math.round(distance / 100) / 10,
+        totalDuration: Number.isFinite(elapsed) ? Math.round(elapsed / 60) : null,
+        source,
+        computedAt: new Date()
+    };
+    await ride.save();
+
+    // Refresh the times passengers see on their bookings
+    for (const stop of sequenced) {
+        if (!stop.estimatedArrival) continue;
+        const field = stop.type === 'PICKUP' ? 'pickupPoint.estimatedTime' : 'dropoffPoint.estimatedTime';
+        await Booking.updateOne({ _id: stop.booking }, { $set: { [field]: formatTime(stop.estimatedArrival) } });
+    }
+
+    if (io) {
+        io.to(`user-${ride.rider}`).emit('ride-manifest-updated', {
+            rideId: ride._id.toString(),
+            stops: sequenced.length,
+            timestamp: new Date()
+        });
+    }
+
+    console.log(`🧭 [Stop Sequencer] Ride ${ride._id}: ${sequenced.length} stops sequenced (${source})`);
+    return ride.stopSequence;
+};
+
+module.exports = {
+    STOP_DWELL_MINUTES,
+    buildStops,
+    orderStops,
+    sequenceRideStops
+};
@@ -0,0 +1,390 @@
+/**
+ * Tracking Ingestion Utility
+ * Single entry point for driver location updates, whether they arrive over
+ * Socket.IO or one of the REST endpoints
+ *
+ * Every update is checked against the ride's driver, run through the
+ * geo-fencing checks (route corridor, speed, unusual stops, admin-managed
+ * safe and danger zones), recorded in the
+ * location history (ride.tracking only keeps the latest position) and broadcast
+ * to the ride room, the tracking room of every passenger on board and the
+ * viewers of their trip share links
+ */
+
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const RouteDeviation = require('../models/RouteDeviation');
+const GeoFencing = require('./geoFencing');
+const locationHistory = require('./locationHistory');
+const safetyZones = require('./safetyZones');
+const tripShares = require('./tripShares');
+
+const TRACKABLE_RIDE_STATUSES = ['ACTIVE', 'IN_PROGRESS'];
+const TRACKED_BOOKING_STATUSES = ['CONFIRMED', 'PICKUP_PENDING', 'PICKED_UP', 'IN_TRANSIT', 'DROPOFF_PENDING'];
+const CORRIDOR_WIDTH_METERS = 500;
+
+// GeoFencing deviation levels mapped onto the severities stored on ride.tracking
+const DEVIATION_SEVERITY = { NONE: 'NONE', MINOR: 'LOW', MAJOR: 'MEDIUM', CRITICAL: 'HIGH' };
+
+const fail = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+class TrackingIngestionService {
+    constructor() {
+        // Last alert time per ride and alert type, so alerts respect GeoFencing's cooldown
+        this.lastAlerts = new Map();
+    }
+
+    /**
+     * Normalise a { latitude, longitude } or { lat, lng } payload.
+     * Speed is expected in km/h
+     */
+    parseLocation(input) {
+        const latitude = Number(input?.latitude ?? input?.lat);
+        const longitude = Number(input?.longitude ?? input?.lng);
+
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+            Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            throw fail('Invalid location', 400);
+        }
+
+        const number = (value) => (value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value));
+        return {
+            latitude,
+            longitude,
+            speed: Math.max(number(input.speed) || 0, 0),
+            accuracy: number(input.accuracy) || 0,
+            heading: number(input.heading)
+        };
+    }
+
+    /**
+     * Load a ride the user is driving and is allowed to stream locations for
+     */
+    async findDrivenRide(rideId, userId) {
+        if (!userId) {
+            throw fail('Authentication required', 401);
+        }
+
+        const ride = await Ride.findById(rideId).catch(() => null);
+        if (!ride) {
+            throw fail('Ride not found', 404);
+        }
+
+        if (ride.rider.toString() !== userId.toString()) {
+            throw fail('Only the driver can update location', 403);
+        }
+
+        if (!TRACKABLE_RIDE_STATUSES.includes(ride.status)) {
+            throw fail('Ride is not active', 400);
+        }
+
+        return ride;
+    }
+
+    /**
+     * Ingest one driver location update
+     * @returns {Object} - { currentLocation, stored, geoFencing, eta }
+     */
+    async ingest({ rideId, userId, location, io }) {
+        const ride = await this.findDrivenRide(rideId, userId);
+        const point = this.parseLocation(location);
+        const now = new Date();
+        const position = { lat: point.latitude, lng: point.longitude };
+        const routeGeometry = ride.route?.geometry?.coordinates || [];
+
+        const coordinates = [point.longitude, point.latitude];
+
+        const deviationCheck = routeGeometry.length > 1
+            ? GeoFencing.isWithinRouteCorridor(position, routeGeometry, CORRIDOR_WIDTH_METERS)
+            : { withinCorridor: true, distance: null, deviation: 'NONE' };
+        const severity = DEVIATION_SEVERITY[deviationCheck.deviation];
+
+        const { stored, history } = await locationHistory.record(ride, {
+            coordinates,
+            timestamp: now,
+            speed: point.speed,
+            accuracy: point.accuracy,
+            heading: point.heading,
+            deviation: severity ? { distance: deviationCheck.distance, severity } : undefined
+        });
+        const speedAnalysis = GeoFencing.analyzeSpeedPatterns(history);
+        const stopAnalysis = GeoFencing.detectUnusualStops(locationHistory.stationaryRun(history));
+        const zoneCheck = await safetyZones.check(position, now).catch(error => {
+            console.error('Error checking safety zones:', error);
+            return { safeZone: { inSafeZone: false }, dangerZone: { inDangerZone: false }, nearestSafeZone: null };
+        });
+
+        const destination = ride.route?.destination?.coordinates;
+        const eta = destination
+            ? GeoFencing.calculateETA(position, { lat: destination[1], lng: destination[0] }, routeGeometry, point.speed || 40)
+            : { eta: null, distance: null, delay: 0 };
+
+        const currentLocation = {
+            coordinates,
+            timestamp: now,
+            speed: point.speed,
+            accuracy: point.accuracy
+        };
+
+        const update = {
+            $set: {
+                'tracking.currentLocation': currentLocation,
+                'tracking.isLive': true
+            }
+        };
+        if (!ride.tracking?.startedAt) {
+            update.$set['tracking.startedAt'] = now;
+        }
+
+        if (severity) {
+            update.$set['tracking.lastDeviation'] = {
+                distance: deviationCheck.distance,
+                threshold: CORRIDOR_WIDTH_METERS,
+                severity,
+                timestamp: now
+            };
+        }
+
+        await Ride.updateOne({ _id: ride._id }, update);
+
+        const bookings = await Booking.find({
+            ride: ride._id,
+            status: { $in: TRACKED_BOOKING_STATUSES }
+        }).select('_id passenger');
+
+        if (io) {
+            this.broadcast(io, ride, bookings, {
+                rideId: ride._id.toString(),
+                userId: userId.toString(),
+                location: {
+                    ...point,
+                    lat: point.latitude,
+                    lng: point.longitude,
+                    timestamp: now
+                },
+                timestamp: now,
+                deviationStatus: deviationCheck.deviation,
+                deviationDistance: deviationCheck.distance,
+                speedStatus: speedAnalysis.type,
+                eta: eta.etaMinutes ?? null,
+                onSchedule: eta.onSchedule ?? null
+            });
+        }
+
+        await tripShares.broadcastLocation(io, bookings, { coordinates, speed: point.speed, timestamp: now })
+            .catch(error => console.error('Error updating trip share viewers:', error));
+
+        await this.raiseAlerts({ ride, bookings, deviationCheck, speedAnalysis, stopAnalysis, zoneCheck, coordinates, io });
+
+        return {
+            currentLocation,
+            stored,
+            geoFencing: {
+                routeDeviation: deviationCheck.deviation,
+                deviationDistance: deviationCheck.distance,
+                withinCorridor: deviationCheck.withinCorridor,
+                speedStatus: speedAnalysis.type,
+                unusualStop: stopAnalysis.suspiciousStop,
+                dangerZone: zoneCheck.dangerZone.inDangerZone
+                    ? { name: zoneCheck.dangerZone.zone, riskLevel: zoneCheck.dangerZone.riskLevel }
+                    : null,
+                safeZone: zoneCheck.safeZone.inSafeZone
+                    ? { name: zoneCheck.safeZone.zone, type: zoneCheck.safeZone.zoneType }
+                    : null
+            },
+            eta
+        };
+    }
+
+    /**
+     * Fan the update out to the ride room and each passenger's tracking room.
+     * A single emit per event so sockets in several of the rooms get it once
+     */
+    broadcast(io, ride, bookings, payload) {
+        const rooms = [`ride-${ride._id}`, ...bookings.map(booking => `tracking-${booking._id}`)];
+        io.to(rooms).emit('location-update', payload);
+        // Older clients listen for driver-location instead
+        io.to(rooms).emit('driver-location', payload);
+    }
+
+    /**
+     * Send deviation, speed, stop and danger zone alerts that are due (cooldown per ride and type)
+     */
+    async raiseAlerts({ ride, bookings, deviationCheck, speedAnalysis, stopAnalysis, zoneCheck, coordinates, io }) {
+        const key = ride._id.toString();
+        if (!this.lastAlerts.has(key)) {
+            this.lastAlerts.set(key, {});
+        }
+        const rideAlerts = this.lastAlerts.get(key);
+
+        const due = (type, condition) => {
+            if (!condition || !GeoFencing.shouldSendAlert(type, rideAlerts)) return false;
+            rideAlerts[type] = Date.now();
+            return true;
+        };
+
+        try {
+            if (due('ROUTE_DEVIATION', deviationCheck.deviation === 'MAJOR' || deviationCheck.deviation === 'CRITICAL')) {
+                console.warn(`⚠️ Route deviation detected: ${deviationCheck.deviation}, Distance: ${deviationCheck.distance}m`);
+                await this.sendDeviationAlert(ride, bookings, deviationCheck, coordinates, io);
+            }
+
+            if (due('SPEED_ALERT', speedAnalysis.abnormalSpeed && speedAnalysis.severity === 'CRITICAL') && io) {
+                console.warn(`🚨 Speed alert: ${speedAnalysis.message}`);
+                io.to(`ride-${ride._id}`).emit('safety-alert', {
+                    type: 'SPEED_ALERT',
+                    severity: speedAnalysis.severity,
+                    message: speedAnalysis.message,
+                    speed: speedAnalysis.value
+                });
+            }
+
+            // Only stops past the extended threshold (30 min) are escalated
+            if (due('UNUSUAL_STOP', stopAnalysis.criticalStop) && io) {
+                console.warn(`⏱️ Unusual stop detected: ${stopAnalysis.duration}s`);
+                io.to(`ride-${ride._id}`).emit('safety-alert', {
+                    type: 'EXTENDED_STOP',
+                    severity: 'CRITICAL',
+                    message: `Vehicle has been stationary for ${Math.round(stopAnalysis.duration / 60)} minutes`,
+                    duration: stopAnalysis.duration,
+                    requiresCheck: true
+                });
+            }
+
+            // Cooldown per zone, so moving into another zone alerts again
+            const { dangerZone } = zoneCheck;
+            if (due(`DANGER_ZONE_${dangerZone.zoneId}`, dangerZone.inDangerZone) && io) {
+                this.sendDangerZoneAlert(ride, bookings, zoneCheck, coordinates, io);
+            }
+        } catch (error) {
+            console.error('Error sending tracking alerts:', error);
+        }
+    }
+
+    /**
+     * Record the deviation and warn passengers, the driver and (for large ones) admins
+     */
+    async sendDeviationAlert(ride, bookings, deviationCheck, coordinates, io) {
+        const deviationDistanceKm = (deviationCheck.distance / 1000).toFixed(2);
+
+        let severity = 'LOW';
+        if (deviationCheck.distance > 15000) severity = 'CRITICAL'; // > 15km
+        else if (deviationCheck.distance > 10000) severity = 'HIGH'; // > 10km
+        else if (deviationCheck.distance > 5000) severity = 'MEDIUM'; // > 5km
+
+        let deviation = await RouteDeviation.findOne({ ride: ride._id, status: 'ACTIVE' });
+
+        if (!deviation) {
+            deviation = await RouteDeviation.create({
+                ride: ride._id,
+                driver: ride.rider,
+                passengers: bookings.map(b => b.passenger),
+                deviationType: 'ROUTE_DEVIATION',
+                severity,
+                deviationLocation: { type: 'Point', coordinates },
+                deviationDistance: parseFloat(deviationDistanceKm),
+                deviatedAt: new Date(),
+                locationDescription: `Deviated ${deviationDistanceKm}km from planned route`,
+                status: 'ACTIVE'
+            });
+        } else {
+            deviation.deviationDistance = parseFloat(deviationDistanceKm);
+            deviation.severity = severity;
+            deviation.duration = Math.floor((Date.now() - deviation.deviatedAt) / 1000);
+        }
+
+        const location = { lat: coordinates[1], lng: coordinates[0] };
+
+        if (io) {
+            bookings.forEach(booking => {
+                io.to(`user-${booking.passenger}`).emit('safety-alert', {
+                    type: 'ROUTE_DEVIATION',
+                    severity,
+                    message: `⚠️ ROUTE DEVIATION: Driver is ${deviationDistanceKm}km off the planned route. Stay alert!`,
+                    deviationId: deviation._id,
+                    distance: deviationDistanceKm,
+                    location,
+                    actions: [
+                        { label: 'View on Map', action: 'VIEW_MAP' },
+                        { label: 'Contact Driver', action: 'CALL_DRIVER' },
+                        { label: 'Report Emergency', action: 'SOS', critical: severity === 'CRITICAL' }
+                    ]
+                });
+            });
+
+            io.to(`user-${ride.rider}`).emit('driver-warning', {
+                type: 'ROUTE_DEVIATION',
+                severity,
+                message: `⚠️ WARNING: You are ${deviationDistanceKm}km off route. Please return to the planned path immediately.`,
+                deviationId: deviation._id,
+                distance: deviationDistanceKm,
+                instructions: 'Return to planned route immediately to avoid penalties'
+            });
+
+            if (severity === 'HIGH' || severity === 'CRITICAL') {
+                io.to('admin-room').emit('admin-alert', {
+                    type: 'ROUTE_DEVIATION',
+                    severity,
+                    deviationId: deviation._id,
+                    ride: { id: ride._id },
+                    message: `${severity} route deviation detected: ${deviationDistanceKm}km off route`,
+                    location,
+                    timestamp: new Date(),
+                    requiresAction: severity === 'CRITICAL'
+                });
+            }
+        }
+
+        if (bookings.length > 0) deviation.notificationsSent.passengerNotified = true;
+        deviation.notificationsSent.driverWarned = true;
+        if (severity === 'HIGH' || severity === 'CRITICAL') deviation.notificationsSent.adminAlerted = true;
+        await deviation.save();
+
+        console.log(`📢 Route deviation alert sent for ride ${ride._id} - Severity: ${severity}, Distance: ${deviationDistanceKm}km`);
+    }
+
+    /**
+     * Warn everyone on the ride that it entered a danger zone (admins for HIGH risk zones)
+     */
+    sendDangerZoneAlert(ride, bookings, { dangerZone, nearestSafeZone }, coordinates, io) {
+        const location = { lat: coordinates[1], lng: coordinates[0] };
+        const severity = dangerZone.riskLevel;
+        console.warn(`🚧 Ride ${ride._id} entered danger zone ${dangerZone.zone} (${severity})`);
+
+        const alert = {
+            type: 'DANGER_ZONE',
+            severity,
+            message: `⚠️ Entering ${dangerZone.zone}: ${dangerZone.reason}. Stay alert!`,
+            zone: { id: dangerZone.zoneId, name: dangerZone.zone, category: dangerZone.category },
+            recommendations: dangerZone.recommendations,
+            nearestSafeZone,
+            location
+        };
+
+        io.to([`ride-${ride._id}`, ...bookings.map(booking => `user-${booking.passenger}`)]).emit('safety-alert', alert);
+        io.to(`user-${ride.rider}`).emit('driver-warning', alert);
+
+        if (severity === 'HIGH') {
+            io.to('admin-room').emit('admin-alert', {
+                ...alert,
+                ride: { id: ride._id },
+                message: `Ride entered HIGH risk zone ${dangerZone.zone}`,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    /**
+     * Forget alert cooldowns and recent points once a ride stops streaming
+     */
+    stop(rideId) {
+        this.lastAlerts.delete(rideId.toString());
+        locationHistory.forget(rideId);
+    }
+}
+
+module.exports = new TrackingIngestionService();
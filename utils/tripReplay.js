@@ -0,0 +1,159 @@
+/**
+ * Trip Replay Utility
+ * Rebuilds what happened on a completed ride for admin investigations
+ *
+ * Combines the recorded positions from the location history with the planned
+ * route and the trip's events - ride start/end, pickup and dropoff OTP checks,
+ * route deviations and SOS alerts raised by anyone on board - on one timeline
+ */
+
+const Booking = require('../models/Booking');
+const Emergency = require('../models/Emergency');
+const LocationPoint = require('../models/LocationPoint');
+const RouteDeviation = require('../models/RouteDeviation');
+const { getUserDisplay } = require('./userUtils');
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Recorded position closest in time to a timestamp (track is sorted by time)
+ */
+const positionAt = (track, timestamp) => {
+    if (!track.length || !timestamp) return null;
+
+    const time = new Date(timestamp).getTime();
+    let low = 0;
+    let high = track.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (track[mid].t.getTime() < time) low = mid + 1;
+        else high = mid;
+    }
+
+    const before = track[Math.max(low - 1, 0)];
+    const after = track[low];
+    return Math.abs(before.t - time) < Math.abs(after.t - time) ? before.coordinates : after.coordinates;
+};
+
+/**
+ * Build the replay for a ride
+ * @param {Object} ride - Ride document (rider populated or not)
+ * @returns {Object} - { plannedRoute, track, events, stats, startedAt, endedAt }
+ */
+exports.buildReplay = async (ride) => {
+    const points = await LocationPoint.find({ 'meta.ride': ride._id })
+        .sort({ timestamp: 1 })
+        .select('timestamp coordinates speed heading deviation')
+        .lean();
+
+    const track = points.map(p => ({
+        t: p.timestamp,
+        coordinates: p.coordinates,
+        speed: round(p.speed || 0),
+        heading: p.heading ?? null,
+        severity: p.deviation?.severity || 'NONE',
+        deviationDistance: p.deviation?.distance ?? null
+    }));
+
+    const startedAt = ride.tracking?.startedAt || track[0]?.t || null;
+    const endedAt = ride.tracking?.completedAt || track[track.length - 1]?.t || null;
+    const events = [];
+
+    if (startedAt) {
+        events.push({
+            type: 'RIDE_START',
+            timestamp: startedAt,
+            coordinates: positionAt(track, startedAt) || ride.route?.start?.coordinates,
+            label: 'Ride started'
+        });
+    }
+
+    const bookings = await Booking.find({ ride: ride._id })
+        .select('passenger status pickupPoint dropoffPoint verification')
+        .populate('passenger', 'profile email')
+        .lean();
+
+    bookings.forEach(booking => {
+        const passenger = getUserDisplay(booking.passenger).name;
+        const stops = [
+            ['PICKUP', booking.verification?.pickup?.verifiedAt, booking.pickupPoint, 'picked up'],
+            ['DROPOFF', booking.verification?.dropoff?.verifiedAt, booking.dropoffPoint, 'dropped off']
+        ];
+
+        stops.forEach(([type, verifiedAt, point, verb]) => {
+            if (!verifiedAt) return;
+            events.push({
+                type,
+                timestamp: verifiedAt,
+                coordinates: positionAt(track, verifiedAt) || point?.coordinates,
+                // Where the passenger asked to be picked up / dropped off, to compare with where it happened
+                plannedCoordinates: point?.coordinates || null,
+                label: `${passenger} ${verb} (OTP verified)`,
+                bookingId: booking._id,
+                passenger
+            });
+        });
+    });
+
+    const deviations = await RouteDeviation.find({ ride: ride._id }).sort({ deviatedAt: 1 }).lean();
+    deviations.forEach(deviation => {
+        events.push({
+            type: 'DEVIATION',
+            timestamp: deviation.deviatedAt,
+            coordinates: deviation.deviationLocation?.coordinates || positionAt(track, deviation.deviatedAt),
+            label: `${deviation.severity} route deviation: ${deviation.deviationDistance} km off route`,
+            severity: deviation.severity,
+            status: deviation.status,
+            deviationId: deviation._id
+        });
+    });
+
+    // SOS alerts are not linked to rides, so match anyone on board during the trip
+    if (startedAt && endedAt) {
+        const people = [ride.rider?._id || ride.rider, ...bookings.map(b => b.passenger?._id).filter(Boolean)];
+        const emergencies = await Emergency.find({
+            user: { $in: people },
+            triggeredAt: { $gte: startedAt, $lte: endedAt }
+        }).populate('user', 'profile email').sort({ triggeredAt: 1 }).lean();
+
+        emergencies.forEach(emergency => {
+            const coordinates = emergency.location?.coordinates?.coordinates;
+            events.push({
+                type: 'SOS',
+                timestamp: emergency.triggeredAt,
+                coordinates: coordinates?.length === 2 ? coordinates : positionAt(track, emergency.triggeredAt),
+                label: `${emergency.type} from ${getUserDisplay(emergency.user).name}`,
+                severity: emergency.severity,
+                status: emergency.status,
+                emergencyId: emergency._id
+            });
+        });
+    }
+
+    if (endedAt) {
+        events.push({
+            type: 'RIDE_END',
+            timestamp: endedAt,
+            coordinates: positionAt(track, endedAt) || ride.route?.destination?.coordinates,
+            label: 'Ride completed'
+        });
+    }
+
+    events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const speeds = track.map(p => p.speed).filter(speed => speed > 0);
+    return {
+        plannedRoute: ride.route?.geometry?.coordinates || [],
+        track,
+        events,
+        startedAt,
+        endedAt,
+        stats: {
+            points: track.length,
+            durationMinutes: startedAt && endedAt ? Math.round((new Date(endedAt) - new Date(startedAt)) / 60000) : null,
+            maxSpeed: speeds.length ? Math.max(...speeds) : 0,
+            avgSpeed: speeds.length ? round(speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length) : 0,
+            offRoutePoints: track.filter(p => p.severity !== 'NONE').length
+        }
+    };
+};
@@ -0,0 +1,208 @@
+/**
+ * Trip Shares Utility
+ * Time-limited, revocable links that let anyone follow a passenger's trip
+ *
+ * A link shows only what a family member needs - the driver's live position,
+ * ETA to the passenger's dropoff and the vehicle - and stops working when it
+ * expires, when the passenger revokes it or when the booking leaves the trip
+ * (dropped off, cancelled...). Viewers get live updates in a share-<id> room
+ */
+
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const TripShare = require('../models/TripShare');
+const GeoFencing = require('./geoFencing');
+
+const SHARE_HOURS = parseInt(process.env.TRIP_SHARE_HOURS, 10) || 12;
+const MAX_ACTIVE_SHARES = 5;
+const SHAREABLE_STATUSES = ['CONFIRMED', 'PICKUP_PENDING', 'PICKED_UP', 'IN_TRANSIT', 'DROPOFF_PENDING'];
+
+const activeFilter = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * ETA from a position to the passenger's dropoff
+ */
+const etaToDropoff = (coordinates, booking, speed) => {
+    const dropoff = booking.dropoffPoint?.coordinates;
+    if (!coordinates || !dropoff) return null;
+
+    const eta = GeoFencing.calculateETA(
+        { lat: coordinates[1], lng: coordinates[0] },
+        { lat: dropoff[1], lng: dropoff[0] },
+        null,
+        speed > GeoFencing.CONSTANTS.MIN_SPEED ? speed : 40
+    );
+    return eta.eta ? { minutes: eta.etaMinutes, at: eta.eta, remainingKm: eta.remainingDistance } : null;
+};
+
+/**
+ * Create a share link for a booking
+ */
+const createShare = async (booking, { hours, label } = {}) => {
+    if (!SHAREABLE_STATUSES.includes(booking.status)) {
+        throw new Error('Trips can only be shared while the booking is active');
+    }
+
+    const activeCount = await TripShare.countDocuments({ booking: booking._id, ...activeFilter() });
+    if (activeCount >= MAX_ACTIVE_SHARES) {
+        throw new Error(`You can have at most ${MAX_ACTIVE_SHARES} active share links per trip`);
+    }
+
+    const validHours = Math.min(Math.max(parseInt(hours, 10) || SHARE_HOURS, 1), SHARE_HOURS);
+    return TripShare.create({
+        booking: booking._id,
+        ride: booking.ride._id || booking.ride,
+        passenger: booking.passenger._id || booking.passenger,
+        token: crypto.randomBytes(24).toString('base64url'),
+        label: label ? String(label).trim().slice(0, 60) : undefined,
+        expiresAt: new Date(Date.now() + validHours * 60 * 60 * 1000)
+    });
+};
+
+/**
+ * Active share links of a booking
+ */
+const listShares = (bookingId) =>
+    TripShare.find({ booking: bookingId, ...activeFilter() }).sort({ createdAt: -1 });
+
+/**
+ * Stop share links and tell anyone watching them
+ */
+const endShares = async (filter, reason, io) => {
+    const shares = await TripShare.find({ ...filter, ...activeFilter() }).select('_id');
+    if (shares.length === 0) return 0;
+
+    await TripShare.updateMany(
+        { _id: { $in: shares.map(s => s._id) } },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    if (io) {
+        shares.forEach(share => io.to(`share-${share._id}`).emit('share-ended', { reason }));
+    }
+    return shares.length;
+};
+
+const revokeShare = (shareId, bookingId, io) => endShares({ _id: shareId, booking: bookingId }, 'REVOKED', io);
+
+/**
+ * End every link of a booking once the passenger is off the trip
+ */
+const endForBooking = (bookingId, status, io) =>
+    endShares({ booking: bookingId }, status === 'DROPPED_OFF' ? 'DROPPED_OFF' : 'BOOKING_ENDED', io);
+
+/**
+ * Resolve a token to a working share with its booking, or null
+ */
+const findActiveShare = async (token) => {
+    if (!token || typeof token !== 'string') return null;
+
+    const share = await TripShare.findOne({ token, ...activeFilter() });
+    if (!share) return null;
+
+    const booking = await Booking.findById(share.booking)
+        .select('status pickupPoint dropoffPoint passenger ride')
+        .populate('passenger', 'profile.firstName')
+        .populate({
+            path: 'ride',
+            select: 'status vehicle tracking.currentLocation tracking.isLive route.start route.destination schedule',
+            populate: { path: 'rider', select: 'profile.firstName profile.photo rating vehicles' }
+        });
+
+    // Bookings can end on paths that do not revoke links (admin changes, cancellations)
+    if (!booking || !SHAREABLE_STATUSES.includes(booking.status)) {
+        await endForBooking(share.booking, booking?.status);
+        return null;
+    }
+
+    return { share, booking };
+};
+
+/**
+ * What a share link viewer is allowed to see
+ */
+const getPublicView = ({ share, booking }) => {
+    const ride = booking.ride;
+    const rider = ride.rider;
+    const vehicle = (rider?.vehicles || []).find(v => v._id.toString() === ride.vehicle?.toString());
+    const current = ride.tracking?.currentLocation;
+    const hasPosition = current?.coordinates?.length === 2;
+
+    return {
+        status: booking.status,
+        rideStatus: ride.status,
+        isLive: !!ride.tracking?.isLive,
+        passengerFirstName: booking.passenger?.profile?.firstName || 'Your contact',
+        driver: {
+            firstName: rider?.profile?.firstName || 'Driver',
+            photo: rider?.profile?.photo || null,
+            rating: rider?.rating?.overall || null
+        },
+        vehicle: vehicle ? {
+            make: vehicle.make,
+            model: vehicle.model,
+            color: vehicle.color,
+            licensePlate: vehicle.licensePlate
+        } : null,
+        location: hasPosition ? {
+            lat: current.coordinates[1],
+            lng: current.coordinates[0],
+            timestamp: current.timestamp
+        } : null,
+        pickup: {
+            address: booking.pickupPoint?.address || booking.pickupPoint?.name,
+            coordinates: booking.pickupPoint?.coordinates
+        },
+        dropoff: {
+            address: booking.dropoffPoint?.address || booking.dropoffPoint?.name,
+            coordinates: booking.dropoffPoint?.coordinates
+        },
+        eta: hasPosition ? etaToDropoff(current.coordinates, booking, current.speed) : null,
+        departureTime: ride.schedule?.departureDateTime,
+        expiresAt: share.expiresAt
+    };
+};
+
+/**
+ * Count a view of a share link
+ */
+const recordView = (share) =>
+    TripShare.updateOne({ _id: share._id }, { $inc: { views: 1 }, lastViewedAt: new Date() });
+
+/**
+ * Forward a driver position to viewers of the passengers' share links
+ * @param {Array} bookings - Bookings on board (need _id; dropoffPoint is loaded here)
+ */
+const broadcastLocation = async (io, bookings, { coordinates, speed, timestamp }) => {
+    if (!io || bookings.length === 0) return;
+
+    const shares = await TripShare.find({
+        booking: { $in: bookings.map(b => b._id) },
+        ...activeFilter()
+    }).select('_id booking');
+    if (shares.length === 0) return;
+
+    const shared = await Booking.find({ _id: { $in: shares.map(s => s.booking) } }).select('dropoffPoint');
+    const byBooking = new Map(shared.map(b => [b._id.toString(), b]));
+
+    shares.forEach(share => {
+        const booking = byBooking.get(share.booking.toString());
+        io.to(`share-${share._id}`).emit('share-location', {
+            location: { lat: coordinates[1], lng: coordinates[0], timestamp },
+            eta: booking ? etaToDropoff(coordinates, booking, speed) : null
+        });
+    });
+};
+
+module.exports = {
+    SHARE_HOURS,
+    SHAREABLE_STATUSES,
+    createShare,
+    listShares,
+    revokeShare,
+    endForBooking,
+    findActiveShare,
+    getPublicView,
+    recordView,
+    broadcastLocation
+};
@@ -387,47 +387,6 @@ const updateResponseTime = async (userId, responseTimeMinutes) => {
     return user.responseMetrics;
 };
 
-/**
- * Calculate recommended price per seat based on distance (like BlaBlaCar)
- * Using ₹2.5/km as base rate
- */
-const calculateRecommendedPrice = (distanceKm, vehicleType = 'SEDAN') => {
-    // Base rate per km (in INR)
-    const baseRates = {
-        MOTORCYCLE: 1.5,
-        AUTO: 2.0,
-        HATCHBACK: 2.0,
-        SEDAN: 2.5,
-        SUV: 3.0,
-        MPV: 2.8,
-        VAN: 3.5,
-        LUXURY: 4.0
-    };
-    
-    const baseRate = baseRates[vehicleType] || 2.5;
-    
-    // Calculate base price
-    let recommendedPrice = Math.round(distanceKm * baseRate);
-    
-    // Minimum price
-    if (recommendedPrice < 50) recommendedPrice = 50;
-    
-    // Round to nearest 10
-    recommendedPrice = Math.round(recommendedPrice / 10) * 10;
-    
-    // Calculate range (±20%)
-    const minPrice = Math.round(recommendedPrice * 0.8);
-    const maxPrice = Math.round(recommendedPrice * 1.2);
-    
-    return {
-        recommended: recommendedPrice,
-        min: minPrice,
-        max: maxPrice,
-        perKm: baseRate,
-        currency: 'INR'
-    };
-};
-
 module.exports = {
     BADGES,
     TRUST_LEVELS,
@@ -436,6 +395,5 @@ module.exports = {
     checkAndAwardBadges,
     updateCancellationRate,
     updateResponseTime,
-    calculateRecommendedPrice,
     getTrustLevel
 };
@@ -0,0 +1,520 @@
+/**
+ * Waitlist Utility
+ * Queues passengers on full rides and offers freed seats in turn
+ *
+ * When seats come back (cancellation, rejection, expiry) the first waiting
+ * passenger whose seat count fits has them held for a limited time. Accepting
+ * the offer - or having opted into auto-booking - creates the booking from the
+ * details given when joining. Seats nobody on the queue can use go to watchers
+ */
+
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const Transaction = require('../models/Transaction');
+const routeMatching = require('./routeMatching');
+const walletService = require('./wallet');
+const stopSequencer = require('./stopSequencer');
+const { notifySeatsAvailable, describeRide } = require('./rideWatches');
+const { reserveSeats, releaseSeats, createBookingRecord, PLATFORM_COMMISSION } = require('./bookingRecords');
+
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 15;
+const QUEUED_STATUSES = ['WAITING', 'OFFERED'];
+
+const isOpen = (ride) => ride && ride.status === 'ACTIVE' &&
+    new Date(ride.schedule.departureDateTime) > new Date();
+
+const hasActiveBooking = (rideId, passengerId) => Booking.exists({
+    ride: rideId,
+    passenger: passengerId,
+    status: { $nin: ['CANCELLED', 'REJECTED', 'EXPIRED'] }
+});
+
+/**
+ * Parse a { address, name, coordinates: [lng, lat] } location (object or JSON string),
+ * falling back to a ride stop
+ */
+const toPoint = (input, fallback, label) => {
+    let point = input;
+    if (typeof point === 'string') {
+        try {
+            point = JSON.parse(point);
+        } catch (error) {
+            throw new Error('Invalid location data format');
+        }
+    }
+
+    const coordinates = point?.coordinates || fallback?.coordinates;
+    if (!coordinates) {
+        throw new Error(`Unable to determine ${label.toLowerCase()} coordinates`);
+    }
+
+    const address = point?.address || fallback?.address;
+    return {
+        name: point?.name || address?.split(',')[0] || label,
+        address,
+        coordinates
+    };
+};
+
+/**
+ * Passenger's place in the queue (1 = next in line)
+ */
+const getPosition = async (entry) => {
+    if (entry.status !== 'WAITING') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+        ride: entry.ride._id || entry.ride,
+        status: 'WAITING',
+        createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+};
+
+/**
+ * In-app notification plus socket push
+ */
+const notifyUser = async (userId, { type, title, message, ride, entry, bookingId, priority }, io) => {
+    await Notification.create({
+        user: userId,
+        type,
+        title,
+        message,
+        data: {
+            rideId: ride._id,
+            bookingId,
+            url: bookingId ? `/bookings/${bookingId}` : `/rides/${ride._id}`,
+            actionRequired: type === 'WAITLIST_OFFER'
+        },
+        priority: priority || 'NORMAL'
+    });
+
+    if (io) {
+        io.to(`user-${userId}`).emit('notification', {
+            type,
+            title,
+            message,
+            rideId: ride._id,
+            bookingId,
+            timestamp: new Date()
+        });
+        if (entry) {
+            io.to(`user-${userId}`).emit('waitlist-updated', {
+                entryId: entry._id.toString(),
+                rideId: ride._id.toString(),
+                status: entry.status,
+                expiresAt: entry.offer?.expiresAt
+            });
+        }
+    }
+};
+
+/**
+ * Join the waitlist of a full ride
+ * @param {Object} ride - Ride with rider populated (preferences)
+ * @param {String} passengerId
+ * @param {Object} input - { seats, pickupLocation, dropoffLocation, paymentMethod, specialRequests, autoBook }
+ * @throws {Error} When the passenger cannot join, with a message fit for them
+ * @returns {Object} { entry, position }
+ */
+const joinWaitlist = async (ride, passengerId, input = {}) => {
+    if (!isOpen(ride)) {
+        throw new Error('This ride is no longer open for booking');
+    }
+
+    const seats = parseInt(input.seats, 10) || 1;
+    if (seats > ride.pricing.totalSeats) {
+        throw new Error(`This ride only has ${ride.pricing.totalSeats} seats`);
+    }
+
+    if (await hasActiveBooking(ride._id, passengerId)) {
+        throw new Error('You already have a booking for this ride');
+    }
+    if (await WaitlistEntry.exists({ ride: ride._id, passenger: passengerId, status: { $in: QUEUED_STATUSES } })) {
+        throw new Error('You are already on the waitlist for this ride');
+    }
+
+    // Nobody ahead and seats to spare - no reason to queue
+    const queued = await WaitlistEntry.countDocuments({ ride: ride._id, status: { $in: QUEUED_STATUSES } });
+    if (queued === 0 && ride.pricing.availableSeats >= seats) {
+        throw new Error('Seats are available on this ride - book it directly');
+    }
+
+    const pickupPoint = toPoint(input.pickupLocation, ride.route.start, 'Pickup');
+    const dropoffPoint = toPoint(input.dropoffLocation, ride.route.destination, 'Dropoff');
+
+    // Same detour limit as a direct booking, checked now so an offer never fails on it
+    const detour = await routeMatching.calculateDetour(ride.route, pickupPoint.coordinates, dropoffPoint.coordinates);
+    const maxDetourKm = ride.rider.preferences?.booking?.maxDetourKm;
+    if (typeof maxDetourKm === 'number' && detour.distance > maxDetourKm) {
+        throw new Error(`This pickup/drop-off needs a ${detour.distance} km detour; the rider accepts up to ${maxDetourKm} km`);
+    }
+
+    let entry;
+    try {
+        entry = await WaitlistEntry.create({
+            ride: ride._id,
+            passenger: passengerId,
+            rider: ride.rider._id || ride.rider,
+            pickupPoint,
+            dropoffPoint,
+            detour,
+            seats,
+            paymentMethod: input.paymentMethod || 'CASH',
+            specialRequests: input.specialRequests || '',
+            autoBook: input.autoBook === true || input.autoBook === 'true'
+        });
+    } catch (error) {
+        if (error.code === 11000) throw new Error('You are already on the waitlist for this ride');
+        throw error;
+    }
+
+    console.log(`⏳ [Waitlist] Passenger ${passengerId} joined the waitlist for ride ${ride._id} (${seats} seat(s))`);
+    return { entry, position: await getPosition(entry) };
+};
+
+/**
+ * Turn a held offer into a booking (seats are already reserved)
+ * @returns {Object} Booking document
+ */
+const bookOffer = async (entry, ride, io) => {
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'OFFERED', 'offer.expiresAt': { $gt: new Date() } },
+        { $set: { status: 'BOOKED', closedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new Error('This offer has expired or was already answered');
+    }
+
+    const autoAccepted = ride.preferences?.autoAcceptBookings === true;
+    // The offer still holds the seats until it lapses
+    const putOfferBack = () => WaitlistEntry.updateOne({ _id: claimed._id }, { $set: { status: 'OFFERED' }, $unset: { closedAt: 1 } });
+
+    let booking;
+    try {
+        booking = await createBookingRecord({
+            ride,
+            passengerId: claimed.passenger,
+            pickupPoint: claimed.pickupPoint,
+            dropoffPoint: claimed.dropoffPoint,
+            seats: claimed.seats,
+            paymentMethod: claimed.paymentMethod,
+            specialRequests: claimed.specialRequests || '',
+            status: autoAccepted ? 'CONFIRMED' : 'PENDING',
+            description: `Waitlist booking for ${claimed.seats} seat(s)`,
+            extra: { detour: claimed.detour }
+        });
+    } catch (error) {
+        await putOfferBack();
+        throw error;
+    }
+
+    if (booking.payment.method === 'WALLET') {
+        try {
+            await walletService.placeHold(claimed.passenger, booking, booking.totalPrice);
+            // An auto-accepted booking is paid now, as when the rider accepts a request
+            if (autoAccepted && !(await walletService.captureHold(booking))) {
+                throw new Error('Your wallet payment could not be completed');
+            }
+        } catch (error) {
+            // Balance dropped since the offer was made - undo the booking and put the offer back
+            await walletService.releaseHold(booking, 'Waitlist booking not completed')
+                .catch(releaseError => console.error(`❌ [Waitlist] Failed to release hold for booking ${booking._id}:`, releaseError.message));
+            await Booking.deleteOne({ _id: booking._id });
+            await Transaction.deleteOne({ booking: booking._id });
+            await Ride.updateOne({ _id: ride._id }, { $pull: { bookings: booking._id } });
+            await putOfferBack();
+            throw error;
+        }
+    }
+
+    claimed.booking = booking._id;
+    await claimed.save();
+
+    console.log(`✅ [Waitlist] Entry ${claimed._id} booked as ${booking._id}`);
+
+    if (autoAccepted) {
+        stopSequencer.sequenceRideStops(ride._id, { io })
+            .catch(error => console.error('❌ [Waitlist] Error sequencing stops:', error.message));
+    }
+
+    // Rider approves it like any other request unless the ride auto-accepts
+    const passenger = await User.findById(claimed.passenger).select('profile.firstName profile.lastName name');
+    const passengerName = User.getUserName(passenger);
+    const riderId = ride.rider._id || ride.rider;
+    await notifyUser(riderId, {
+        type: autoAccepted ? 'BOOKING_CONFIRMED' : 'BOOKING_REQUEST',
+        title: autoAccepted ? 'Waitlisted Passenger Booked' : 'New Booking Request',
+        message: autoAccepted
+            ? `${passengerName} is booked for ${claimed.seats} seat(s) from the waitlist`
+            : `${passengerName} wants to book ${claimed.seats} seat(s) (from the waitlist)`,
+        ride,
+        bookingId: booking._id
+    }, io);
+
+    if (io && !autoAccepted) {
+        io.to(`user-${riderId}`).emit('new-booking-request', {
+            bookingId: booking._id.toString(),
+            rideId: ride._id.toString(),
+            passengerName,
+            seats: claimed.seats,
+            detourMinutes: claimed.detour?.duration
+        });
+    }
+
+    if (claimed.autoBook) {
+        await notifyUser(claimed.passenger, {
+            type: 'WAITLIST_BOOKED',
+            title: 'Booked from the Waitlist',
+            message: `A seat opened up on ${describeRide(ride)} and we booked ${claimed.seats} seat(s) for you${autoAccepted ? '' : ' - waiting for the rider to accept'}`,
+            ride,
+            entry: claimed,
+            bookingId: booking._id,
+            priority: 'HIGH'
+        }, io);
+    }
+
+    return booking;
+};
+
+/**
+ * Close a queued entry without a booking
+ */
+const closeEntry = (entryId, fromStatuses, status, reason) => WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, status: { $in: fromStatuses } },
+    { $set: { status, closedAt: new Date(), closedReason: reason } },
+    { new: true }
+);
+
+/**
+ * Hold freed seats for the next eligible passengers on a ride's waitlist
+ * Skips passengers who need more seats than are free; they keep their place
+ * @param {String} rideId
+ * @param {Object} io - Socket.IO instance (optional)
+ * @returns {Number} Offers made
+ */
+const offerFreedSeats = async (rideId, io) => {
+    try {
+        const ride = await Ride.findById(rideId);
+        if (!isOpen(ride) || ride.pricing.availableSeats < 1) return 0;
+
+        const entries = await WaitlistEntry.find({ ride: ride._id, status: 'WAITING' }).sort({ createdAt: 1 });
+        let available = ride.pricing.availableSeats;
+        let offered = 0;
+
+        for (const entry of entries) {
+            if (available < 1) break;
+            if (entry.seats > available) continue;
+
+            // Booked this ride some other way in the meantime
+            if (await hasActiveBooking(ride._id, entry.passenger)) {
+                await closeEntry(entry._id, ['WAITING'], 'CLOSED', 'Passenger already has a booking on this ride');
+                continue;
+            }
+
+            const updatedRide = await reserveSeats(ride._id, entry.seats);
+            if (!updatedRide) break; // Taken by a direct booking
+
+            const now = new Date();
+            const claimed = await WaitlistEntry.findOneAndUpdate(
+                { _id: entry._id, status: 'WAITING' },
+                {
+                    $set: {
+                        status: 'OFFERED',
+                        offer: {
+                            seatsHeld: entry.seats,
+                            offeredAt: now,
+                            expiresAt: new Date(now.getTime() + OFFER_MINUTES * 60 * 1000)
+                        }
+                    }
+                },
+                { new: true }
+            );
+            if (!claimed) {
+                // Passenger left the queue meanwhile
+                await releaseSeats(ride._id, entry.seats);
+                continue;
+            }
+
+            available = updatedRide.pricing.availableSeats;
+            offered++;
+
+            if (claimed.autoBook) {
+                try {
+                    await bookOffer(claimed, ride, io);
+                    continue;
+                } catch (error) {
+                    // Fall back to a regular offer the passenger can accept
+                    console.error(`❌ [Waitlist] Auto-booking entry ${claimed._id} failed:`, error.message);
+                }
+            }
+
+            await notifyUser(claimed.passenger, {
+                type: 'WAITLIST_OFFER',
+                title: 'A Seat Opened Up',
+                message: `${claimed.seats} seat(s) on ${describeRide(ride)} are held for you for ${OFFER_MINUTES} minutes. Accept to book them`,
+                ride,
+                entry: claimed,
+                priority: 'HIGH'
+            }, io);
+        }
+
+        if (offered > 0) {
+            console.log(`🎟️ [Waitlist] Offered seats on ride ${ride._id} to ${offered} waitlisted passengers`);
+        }
+        return offered;
+    } catch (error) {
+        console.error('❌ [Waitlist] Error offering freed seats:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * Seats went back to a ride: the waitlist gets first call, watchers hear about the rest
+ */
+const handleSeatsReleased = async (rideId, io) => {
+    await offerFreedSeats(rideId, io);
+    return notifySeatsAvailable(rideId, io);
+};
+
+/**
+ * Give an offer's held seats back and pass them down the queue
+ */
+const releaseOffer = async (entry, io) => {
+    if (entry.offer?.seatsHeld > 0) {
+        await releaseSeats(entry.ride, entry.offer.seatsHeld);
+        await handleSeatsReleased(entry.ride, io);
+    }
+};
+
+/**
+ * Passenger accepts an offer - the booking is created from the waitlist details
+ * @returns {Object} Booking document
+ */
+const acceptOffer = async (entryId, passengerId, { io } = {}) => {
+    const entry = await WaitlistEntry.findOne({ _id: entryId, passenger: passengerId });
+    if (!entry) throw new Error('Waitlist entry not found');
+    if (entry.status !== 'OFFERED' || entry.offer.expiresAt <= new Date()) {
+        throw new Error('This offer has expired or was already answered');
+    }
+
+    const ride = await Ride.findById(entry.ride);
+    if (!isOpen(ride)) throw new Error('This ride is no longer open for booking');
+
+    if (entry.paymentMethod === 'WALLET') {
+        const wallet = await walletService.getWallet(passengerId);
+        const total = ride.pricing.pricePerSeat * entry.seats + PLATFORM_COMMISSION;
+        if (wallet.available < total) {
+            throw new Error(`Insufficient wallet balance: ₹${wallet.available} available, ₹${total} needed. Top up your wallet before the offer runs out`);
+        }
+    }
+
+    return bookOffer(entry, ride, io);
+};
+
+/**
+ * Passenger turns an offer down - the seats go to the next in line
+ */
+const declineOffer = async (entryId, passengerId, { io } = {}) => {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: entryId, passenger: passengerId, status: 'OFFERED' },
+        { $set: { status: 'DECLINED', closedAt: new Date(), closedReason: 'Offer declined' } },
+        { new: true }
+    );
+    if (!entry) throw new Error('This offer has expired or was already answered');
+
+    await releaseOffer(entry, io);
+    return entry;
+};
+
+/**
+ * Passenger leaves the queue (giving back held seats if an offer was open)
+ */
+const leaveWaitlist = async (entryId, passengerId, { io } = {}) => {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: entryId, passenger: passengerId, status: { $in: QUEUED_STATUSES } },
+        { $set: { status: 'LEFT', closedAt: new Date(), closedReason: 'Left the waitlist' } }
+    );
+    if (!entry) throw new Error('You are not on this waitlist');
+
+    if (entry.status === 'OFFERED') await releaseOffer(entry, io);
+    entry.status = 'LEFT';
+    return entry;
+};
+
+/**
+ * Scheduled job: lapse unanswered offers (seats pass down the queue) and close
+ * entries on rides that have left or were cancelled
+ * @param {Object} io - Socket.IO instance (optional)
+ * @returns {Number} Entries closed
+ */
+const expireWaitlist = async (io) => {
+    try {
+        let closed = 0;
+
+        const lapsed = await WaitlistEntry.find({ status: 'OFFERED', 'offer.expiresAt': { $lte: new Date() } });
+        for (const entry of lapsed) {
+            const expired = await closeEntry(entry._id, ['OFFERED'], 'EXPIRED', 'Offer not accepted in time');
+            if (!expired) continue;
+            closed++;
+
+            const ride = await Ride.findById(entry.ride);
+            if (ride) {
+                await notifyUser(entry.passenger, {
+                    type: 'WAITLIST_EXPIRED',
+                    title: 'Waitlist Offer Expired',
+                    message: `The seat held for you on ${describeRide(ride)} was passed to the next passenger`,
+                    ride,
+                    entry: expired
+                }, io);
+            }
+            await releaseOffer(expired, io);
+        }
+
+        const queued = await WaitlistEntry.find({ status: { $in: QUEUED_STATUSES } })
+            .populate('ride', 'status schedule.departureDateTime');
+        for (const entry of queued) {
+            if (isOpen(entry.ride)) continue;
+
+            const ended = await closeEntry(entry._id, QUEUED_STATUSES, 'CLOSED', 'Ride is no longer open for booking');
+            if (!ended) continue;
+            closed++;
+
+            // A cancelled ride may still be reopened - keep its seat count right
+            if (entry.status === 'OFFERED' && entry.offer?.seatsHeld > 0 && entry.ride) {
+                await releaseSeats(entry.ride._id, entry.offer.seatsHeld);
+            }
+        }
+
+        if (closed > 0) {
+            console.log(`✅ [Scheduled Job] Closed ${closed} waitlist entries`);
+        }
+        return closed;
+    } catch (error) {
+        console.error('❌ [Scheduled Job] Error expiring waitlist entries:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * Drop a passenger from a ride's queue once they booked it directly
+ */
+const closeForBooking = (rideId, passengerId) => WaitlistEntry.updateMany(
+    { ride: rideId, passenger: passengerId, status: 'WAITING' },
+    { $set: { status: 'CLOSED', closedAt: new Date(), closedReason: 'Booked the ride directly' } }
+);
+
+module.exports = {
+    OFFER_MINUTES,
+    joinWaitlist,
+    getPosition,
+    offerFreedSeats,
+    handleSeatsReleased,
+    acceptOffer,
+    declineOffer,
+    leaveWaitlist,
+    expireWaitlist,
+    closeForBooking
+};
@@ -0,0 +1,523 @@
+/**
+ * Wallet Utility
+ * Per-user stored balance: gateway top-ups, promo/referral credits, holds for
+ * pending bookings (captured when the rider accepts), and automatic refunds
+ *
+ * Every balance change writes a WalletTransaction and posts to the ledger, so
+ * PASSENGER_WALLET accounts always match the sum of wallet balances
+ */
+
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Transaction = require('../models/Transaction');
+const paymentService = require('./paymentService');
+const ledger = require('./ledger');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const MIN_TOPUP = 10;
+const MAX_TOPUP = 20000;
+const MAX_BALANCE = 50000; // Prepaid wallet limit
+
+const CREDIT_TYPES = ['PROMO_CREDIT', 'REFERRAL_CREDIT'];
+
+class WalletService {
+    constructor() {
+        this.limits = { minTopup: MIN_TOPUP, maxTopup: MAX_TOPUP, maxBalance: MAX_BALANCE };
+    }
+
+    /**
+     * Get (or open) a user's wallet
+     */
+    async getWallet(userId) {
+        return Wallet.findOneAndUpdate(
+            { user: userId },
+            { $setOnInsert: { user: userId } },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Balance, active holds and a page of history
+     */
+    async getSummary(userId, { page = 1, limit = 20, type } = {}) {
+        const wallet = await this.getWallet(userId);
+        const history = await this.getHistory(userId, { page, limit, type });
+
+        const activeHolds = wallet.holds.filter(h => h.status === 'ACTIVE');
+        await Wallet.populate(activeHolds, { path: 'booking', select: 'status totalPrice ride' });
+
+        return {
+            balance: round(wallet.balance),
+            held: round(wallet.held),
+            available: wallet.available,
+            currency: wallet.currency,
+            holds: activeHolds,
+            limits: this.limits,
+            ...history
+        };
+    }
+
+    async getHistory(userId, { page = 1, limit = 20, type } = {}) {
+        const query = { user: userId };
+        if (type) query.type = type;
+
+        const skip = (page - 1) * limit;
+        const [transactions, total] = await Promise.all([
+            WalletTransaction.find(query)
+                .populate('booking', 'status totalPrice')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            WalletTransaction.countDocuments(query)
+        ]);
+
+        return {
+            transactions,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        };
+    }
+
+    /**
+     * Add money to a wallet and record it
+     * Re-using an idempotencyKey returns the first transaction untouched
+     * @returns {Object} { transaction, changed }
+     */
+    async credit(userId, amount, { type, description, reference, booking, idempotencyKey, createdBy } = {}) {
+        amount = round(amount);
+        if (!(amount > 0)) throw new Error('Amount must be greater than zero');
+
+        if (idempotencyKey) {
+            const existing = await WalletTransaction.findOne({ idempotencyKey });
+            if (existing) return { transaction: existing, changed: false };
+        }
+
+        await this.getWallet(userId);
+        const wallet = await Wallet.findOneAndUpdate(
+            { user: userId },
+            { $inc: { balance: amount } },
+            { new: true }
+        );
+
+        try {
+            const transaction = await WalletTransaction.create({
+                user: userId,
+                type,
+                direction: 'CREDIT',
+                amount,
+                balanceAfter: round(wallet.balance),
+                booking,
+                description,
+                reference,
+                idempotencyKey,
+                createdBy
+            });
+            return { transaction, changed: true };
+        } catch (error) {
+            // Lost a race on the same key - undo our increment
+            await Wallet.updateOne({ user: userId }, { $inc: { balance: -amount } });
+            if (error.code === 11000 && idempotencyKey) {
+                return { transaction: await WalletTransaction.findOne({ idempotencyKey }), changed: false };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Promo or referral credit, paid for by the platform
+     */
+    async grantCredit(userId, amount, { type = 'PROMO_CREDIT', reason, reference, idempotencyKey, createdBy } = {}) {
+        if (!CREDIT_TYPES.includes(type)) throw new Error(`Unknown credit type: ${type}`);
+
+        const description = reason || (type === 'REFERRAL_CREDIT' ? 'Referral reward' : 'Promotional credit');
+        const result = await this.credit(userId, amount, {
+            type,
+            description,
+            reference,
+            idempotencyKey,
+            createdBy
+        });
+
+        if (result.changed) {
+            await ledger.recordWalletCredit(userId, result.transaction.amount, {
+                key: result.transaction._id,
+                description,
+                reference,
+                postedBy: createdBy
+            }).catch(error => console.error('❌ [Ledger] Failed to post wallet credit:', error.message));
+
+            console.log(`🎁 [Wallet] ₹${result.transaction.amount} ${type.toLowerCase().replace('_', ' ')} for user ${userId}`);
+        }
+        return result;
+    }
+
+    // ============================================
+    // TOP-UPS (through the payment gateway)
+    // ============================================
+
+    /**
+     * Open a gateway order for a top-up
+     * @returns {Object} { orderId, amount, currency, gateway, keyId, transactionId }
+     */
+    async createTopup(userId, amount) {
+        amount = round(Number(amount));
+        if (!(amount >= MIN_TOPUP) || amount > MAX_TOPUP) {
+            throw new Error(`Top-up amount must be between ₹${MIN_TOPUP} and ₹${MAX_TOPUP}`);
+        }
+
+        const wallet = await this.getWallet(userId);
+        if (wallet.balance + amount > MAX_BALANCE) {
+            throw new Error(`Wallet balance cannot exceed ₹${MAX_BALANCE}`);
+        }
+
+        const gateway = paymentService.gateway;
+        const order = await gateway.createOrder({
+            amount,
+            receipt: `wallet_${userId}_${Date.now()}`,
+            notes: { userId: userId.toString(), purpose: 'wallet_topup' }
+        });
+
+        const transaction = await WalletTransaction.create({
+            user: userId,
+            type: 'TOPUP',
+            direction: 'CREDIT',
+            amount,
+            status: 'PENDING',
+            gateway: gateway.name,
+            gatewayOrderId: order.id,
+            description: 'Wallet top-up'
+        });
+
+        console.log(`💳 [Wallet] Top-up order ${order.id} for user ${userId} (₹${amount})`);
+        return { orderId: order.id, amount, currency: order.currency, transactionId: transaction._id, ...paymentService.getCheckoutConfig() };
+    }
+
+    async findTopup(orderId, userId) {
+        const query = { type: 'TOPUP', gatewayOrderId: orderId };
+        if (userId) query.user = userId;
+        return WalletTransaction.findOne(query);
+    }
+
+    /**
+     * Verify the checkout signature and credit the wallet
+     * @returns {Object} { transaction, changed } - throws if the signature is bad
+     */
+    async verifyTopup(userId, { orderId, paymentId, signature }) {
+        const topup = await this.findTopup(orderId, userId);
+        if (!topup) throw new Error('Top-up not found');
+
+        if (!paymentService.gateway.verifyPaymentSignature({ orderId, paymentId, signature })) {
+            await this.failTopup(topup, 'Payment signature could not be verified');
+            throw new Error('Payment verification failed');
+        }
+
+        return this.completeTopup(topup, paymentId);
+    }
+
+    /**
+     * Credit a captured top-up (idempotent - checkout and webhook both land here)
+     */
+    async completeTopup(topup, paymentId) {
+        // Mock signatures are only worth anything when the mock gateway was enabled on purpose
+        if ((topup.gateway === 'mock' || paymentService.gateway.name === 'mock') && !paymentService.isMockEnabled()) {
+            throw new Error('Top-ups through the mock gateway cannot be credited');
+        }
+
+        // Claim the pending transaction so a concurrent webhook cannot credit twice
+        const claimed = await WalletTransaction.findOneAndUpdate(
+            { _id: topup._id, status: { $in: ['PENDING', 'FAILED'] } },
+            { $set: { status: 'COMPLETED', reference: paymentId, failureReason: null } },
+            { new: true }
+        );
+        if (!claimed) {
+            return { transaction: await WalletTransaction.findById(topup._id), changed: false };
+        }
+
+        const wallet = await Wallet.findOneAndUpdate(
+            { user: claimed.user },
+            { $inc: { balance: claimed.amount } },
+            { new: true, upsert: true }
+        );
+        claimed.balanceAfter = round(wallet.balance);
+        await claimed.save();
+
+        await ledger.recordWalletTopup(claimed.user, claimed.amount, { key: claimed._id, reference: paymentId })
+            .catch(error => console.error('❌ [Ledger] Failed to post wallet top-up:', error.message));
+
+        console.log(`✅ [Wallet] Top-up ${claimed.gatewayOrderId} credited ₹${claimed.amount} to user ${claimed.user}`);
+        return { transaction: claimed, changed: true };
+    }
+
+    async failTopup(topup, reason) {
+        if (topup.status !== 'PENDING') return false;
+        topup.status = 'FAILED';
+        topup.failureReason = reason || 'Payment failed';
+        await topup.save();
+        console.log(`❌ [Wallet] Top-up ${topup.gatewayOrderId} failed: ${topup.failureReason}`);
+        return true;
+    }
+
+    /**
+     * Apply an already-verified gateway webhook to a top-up
+     * @returns {Object|null} { transaction, changed }, or null if the order is not a top-up
+     */
+    async applyTopupWebhook({ event, orderId, paymentId, reason }) {
+        const topup = await this.findTopup(orderId);
+        if (!topup) return null;
+
+        if (event === 'CAPTURED') {
+            return this.completeTopup(topup, paymentId);
+        }
+        return { transaction: topup, changed: await this.failTopup(topup, reason) };
+    }
+
+    // ============================================
+    // BOOKING HOLDS AND PAYMENTS
+    // ============================================
+
+    /**
+     * Reserve the booking total until the rider responds
+     * @throws if the available balance is too low
+     */
+    async placeHold(userId, booking, amount = booking.totalPrice) {
+        amount = round(amount);
+        await this.getWallet(userId);
+
+        const wallet = await Wallet.findOneAndUpdate(
+            {
+                user: userId,
+                'holds.booking': { $ne: booking._id },
+                $expr: { $gte: [{ $subtract: ['$balance', '$held'] }, amount] }
+            },
+            {
+                $inc: { held: amount },
+                $push: { holds: { booking: booking._id, amount } }
+            },
+            { new: true }
+        );
+
+        if (!wallet) {
+            const current = await Wallet.findOne({ user: userId });
+            throw new Error(`Insufficient wallet balance: ₹${current?.available || 0} available, ₹${amount} needed`);
+        }
+
+        await WalletTransaction.create({
+            user: userId,
+            type: 'HOLD',
+            direction: 'NONE',
+            amount,
+            balanceAfter: round(wallet.balance),
+            booking: booking._id,
+            description: 'Reserved for booking request'
+        });
+
+        console.log(`🔒 [Wallet] Held ₹${amount} for booking ${booking._id}`);
+        return wallet;
+    }
+
+    /**
+     * Settle a booking's active hold: CAPTURED takes the money, RELEASED frees it
+     * @returns {Object|null} { wallet, amount } or null when there was no active hold
+     */
+    async settleHold(booking, status) {
+        const userId = booking.passenger?._id || booking.passenger;
+        const current = await Wallet.findOne({ user: userId });
+        const hold = current?.holds.find(h => h.booking.equals(booking._id) && h.status === 'ACTIVE');
+        if (!hold) return null;
+
+        const inc = status === 'CAPTURED'
+            ? { balance: -hold.amount, held: -hold.amount }
+            : { held: -hold.amount };
+
+        const wallet = await Wallet.findOneAndUpdate(
+            { _id: current._id, holds: { $elemMatch: { _id: hold._id, status: 'ACTIVE' } } },
+            {
+                $inc: inc,
+                $set: { 'holds.$.status': status, 'holds.$.settledAt': new Date() }
+            },
+            { new: true }
+        );
+
+        return wallet ? { wallet, amount: hold.amount } : null;
+    }
+
+    /**
+     * Take the held amount when the rider accepts and mark the booking paid
+     * @returns {Boolean} Whether the booking was paid from the wallet
+     */
+    async captureHold(booking) {
+        const settled = await this.settleHold(booking, 'CAPTURED');
+        if (!settled) return false;
+
+        const now = new Date();
+        const transaction = await WalletTransaction.create({
+            user: booking.passenger?._id || booking.passenger,
+            type: 'BOOKING_PAYMENT',
+            direction: 'DEBIT',
+            amount: settled.amount,
+            balanceAfter: round(settled.wallet.balance),
+            booking: booking._id,
+            description: 'Booking payment'
+        });
+
+        booking.payment.status = 'PAID';
+        booking.payment.walletTransaction = transaction._id;
+        booking.payment.transactionId = `wallet_${transaction._id}`;
+        booking.payment.paidAt = now;
+        await booking.save();
+
+        await Transaction.findOneAndUpdate(
+            { booking: booking._id },
+            {
+                $set: {
+                    'payment.status': 'COMPLETED',
+                    'payment.completedAt': now,
+                    'commission.collected': true,
+                    'commission.collectedAt': now,
+                    'commission.pending': false
+                }
+            }
+        );
+
+        await ledger.recordBookingPayment(booking)
+            .catch(error => console.error('❌ [Ledger] Failed to post wallet payment:', error.message));
+
+        console.log(`✅ [Wallet] Booking ${booking._id} paid from wallet (₹${settled.amount})`);
+        return true;
+    }
+
+    /**
+     * Change the amount of a booking's active hold (the booking was modified)
+     * @throws if the available balance cannot cover an increase
+     * @returns {Boolean} Whether there was an active hold to change
+     */
+    async resizeHold(booking, amount) {
+        amount = round(amount);
+        const userId = booking.passenger?._id || booking.passenger;
+        const current = await Wallet.findOne({ user: userId });
+        const hold = current?.holds.find(h => h.booking.equals(booking._id) && h.status === 'ACTIVE');
+        if (!hold) return false;
+
+        const difference = round(amount - hold.amount);
+        if (difference === 0) return true;
+
+        const wallet = await Wallet.findOneAndUpdate(
+            {
+                _id: current._id,
+                holds: { $elemMatch: { _id: hold._id, status: 'ACTIVE', amount: hold.amount } },
+                $expr: { $gte: [{ $subtract: ['$balance', '$held'] }, difference] }
+            },
+            {
+                $inc: { held: difference },
+                $set: { 'holds.$.amount': amount }
+            },
+            { new: true }
+        );
+
+        if (!wallet) {
+            throw new Error(`Insufficient wallet balance: ₹${current.available} available, ₹${difference} more needed`);
+        }
+
+        await WalletTransaction.create({
+            user: userId,
+            type: difference > 0 ? 'HOLD' : 'HOLD_RELEASE',
+            direction: 'NONE',
+            amount: Math.abs(difference),
+            balanceAfter: round(wallet.balance),
+            booking: booking._id,
+            description: 'Booking changed'
+        });
+
+        console.log(`🔒 [Wallet] Hold for booking ${booking._id} changed to ₹${amount}`);
+        return true;
+    }
+
+    /**
+     * Free the held amount (rejected, expired or cancelled before acceptance)
+     */
+    async releaseHold(booking, reason = 'Booking not confirmed') {
+        const settled = await this.settleHold(booking, 'RELEASED');
+        if (!settled) return false;
+
+        await WalletTransaction.create({
+            user: booking.passenger?._id || booking.passenger,
+            type: 'HOLD_RELEASE',
+            direction: 'NONE',
+            amount: settled.amount,
+            balanceAfter: round(settled.wallet.balance),
+            booking: booking._id,
+            description: reason
+        });
+
+        console.log(`🔓 [Wallet] Released ₹${settled.amount} held for booking ${booking._id}`);
+        return true;
+    }
+
+    // ============================================
+    // REFUNDS
+    // ============================================
+
+    /**
+     * Whether the platform holds this booking's money and can refund it to the wallet
+     */
+    isRefundable(booking) {
+        return ['PAID', 'PAYMENT_CONFIRMED'].includes(booking.payment.status) && ledger.isPlatformCollected(booking);
+    }
+
+    /**
+     * Refund a platform-collected booking into the passenger's wallet
+     * Updates booking.payment / cancellation (caller saves the booking)
+     * @param {Object} booking
+     * @param {Object} options - { amount (default: full), key (unique per refund), postedBy,
+     *   recoverFromDriver - also refund cash/UPI paid to the driver, who then owes it to us }
+     * @returns {Number} Amount refunded
+     */
+    async refundBooking(booking, { amount, key = 'full', postedBy, recoverFromDriver = false } = {}) {
+        const paid = ['PAID', 'PAYMENT_CONFIRMED'].includes(booking.payment.status);
+        if (!this.isRefundable(booking) && !(recoverFromDriver && paid)) return 0;
+
+        const refund = round(Math.min(amount ?? booking.totalPrice, booking.totalPrice));
+        booking.payment.refundAmount = refund;
+        if (refund <= 0) return 0; // Outside the refund window
+
+        booking.payment.refundedAt = new Date();
+        booking.payment.status = 'REFUNDED';
+        if (booking.cancellation) booking.cancellation.refundIssued = true;
+
+        await Transaction.findOneAndUpdate(
+            { booking: booking._id },
+            { $set: { 'payment.status': 'REFUNDED' } }
+        );
+
+        const userId = booking.passenger?._id || booking.passenger;
+        const { changed } = await this.credit(userId, refund, {
+            type: 'REFUND',
+            booking: booking._id,
+            description: refund < booking.totalPrice ? 'Partial booking refund' : 'Booking refund',
+            idempotencyKey: `refund:${booking._id}:${key}`,
+            createdBy: postedBy
+        });
+
+        if (changed) {
+            await ledger.recordRefund(booking, { amount: refund, key, toWallet: true, postedBy })
+                .catch(error => console.error('❌ [Ledger] Failed to post wallet refund:', error.message));
+            console.log(`💸 [Wallet] Refunded ₹${refund} for booking ${booking._id} to wallet`);
+        }
+        return refund;
+    }
+
+    /**
+     * Money side of a booking that will not go ahead: release an active hold,
+     * or refund what the platform collected (full unless refundAmount is given)
+     * Updates the booking's payment fields; the caller saves it
+     * @returns {Object} { released, refunded }
+     */
+    async settleCancelledBooking(booking, { refundAmount, key = 'cancellation', reason, postedBy } = {}) {
+        const released = await this.releaseHold(booking, reason);
+        const refunded = released ? 0 : await this.refundBooking(booking, { amount: refundAmount, key, postedBy });
+        return { released, refunded };
+    }
+}
+
+// Export singleton instance
+module.exports = new WalletService();